@@ -26,6 +26,13 @@ const webhookRouter = require("./routes/webhookRoutes");
 const ringbaFakeTargetPingRouter = require("./routes/ringbaFakeTargetPingRoutes");
 const callgridLanderRouter = require("./routes/callgridLanderRoutes");
 const callgridRingTreeTargetRouter = require("./routes/callgridRingTreeTargetRoutes");
+const apiKeyRouter = require("./routes/apiKeyRoutes");
+const conversionOutboxRouter = require("./routes/conversionOutboxRoutes");
+const conversionDeliveryRouter = require("./routes/conversionDeliveryRoutes");
+const privacyRouter = require("./routes/privacyRoutes");
+const enrichmentRouter = require("./routes/enrichmentRoutes");
+const googleAdsAccountRouter = require("./routes/googleAdsAccountRoutes");
+const auditRouter = require("./routes/auditRoutes");
 const { ringbaBodyParser } = require("./middleware/ringbaBodyParser");
 
 const app = express();
@@ -222,6 +229,13 @@ app.use("/api/v1/redtrack", redtrackRouter);
 app.use("/api/v1/ringba-fake-target-pings", ringbaFakeTargetPingRouter);
 app.use("/api/v1/callgrid", callgridLanderRouter);
 app.use("/api/v1/callgrid-ring-tree", callgridRingTreeTargetRouter);
+app.use("/api/v1/api-keys", apiKeyRouter);
+app.use("/api/v1/conversion-outbox", conversionOutboxRouter);
+app.use("/api/v1/conversions", conversionDeliveryRouter);
+app.use("/api/v1/privacy", privacyRouter);
+app.use("/api/v1/enrichment", enrichmentRouter);
+app.use("/api/v1/google-ads", googleAdsAccountRouter);
+app.use("/api/v1/audit", auditRouter);
 app.use("/api/v1", routeRouter); // ✅ example endpoint: POST /routes
 app.use("/webhooks", webhookRouter);
 
@@ -0,0 +1,51 @@
+/**
+ * Scoped API keys for machine clients (Ringba / CallGrid / RedTrack pixels and postbacks).
+ *
+ * Pixel URL example (query param keeps Ringba URL templates working):
+ * /webhooks/ringba/tier-rpc/fe?api_key=ak_XXXXXXXX_...&callId=[Call:InboundCallId]&revenue=[Call:ConversionPayout]
+ *
+ * Header alternatives: `X-Api-Key: ak_...` or `Authorization: ApiKey ak_...`.
+ * Keys are matched by the `ak_` prefix, so legacy shared secrets in `token` / `secret` / X-Api-Key keep
+ * working until their scope is listed in API_KEY_ENFORCED_SCOPES.
+ */
+const KEY_PREFIX = "ak_";
+
+/** One scope per webhook endpoint family. Keys may also hold "*" or "webhooks:*"-style wildcards. */
+const API_KEY_SCOPES = [
+  "ringTree:pixel",
+  "callgrid:pixel",
+  "ringba:fakeTargetPing",
+  "conversions:google",
+  "conversions:cm360",
+  "conversions:roku",
+  "conversions:jade",
+  "conversions:meta",
+];
+
+/**
+ * Scopes where a valid API key is mandatory (comma list, or "*" for all).
+ * Unlisted scopes still accept the legacy shared secret (or nothing, if none is configured).
+ */
+const API_KEY_ENFORCED_SCOPES = String(process.env.API_KEY_ENFORCED_SCOPES || "")
+  .split(",")
+  .map((s) => s.trim())
+  .filter(Boolean);
+
+/** Key lookups are cached briefly; Ringba posts 150-200 req/sec at peak. */
+const API_KEY_CACHE_TTL_MS = 60 * 1000;
+
+/** lastUsedAt is written at most once per key per interval. */
+const API_KEY_LAST_USED_FLUSH_MS = 60 * 1000;
+
+function isScopeEnforced(scope) {
+  return API_KEY_ENFORCED_SCOPES.includes("*") || API_KEY_ENFORCED_SCOPES.includes(scope);
+}
+
+module.exports = {
+  KEY_PREFIX,
+  API_KEY_SCOPES,
+  API_KEY_ENFORCED_SCOPES,
+  API_KEY_CACHE_TTL_MS,
+  API_KEY_LAST_USED_FLUSH_MS,
+  isScopeEnforced,
+};
@@ -0,0 +1,16 @@
+/**
+ * Bulk domain / route import (services/bulkImportService.js): POST /api/v1/domain/bulk queues one provisioning
+ * job per domain (run by the provisioning worker at DOMAIN_PROVISIONING_CONCURRENCY), POST /api/v1/route/bulk
+ * adds routes to existing domains.
+ */
+function envInt(name, fallback, min = 0) {
+  const parsed = parseInt(String(process.env[name] || "").trim(), 10);
+  return Number.isFinite(parsed) && parsed >= min ? parsed : fallback;
+}
+
+module.exports = {
+  /** Rows per request (CSV lines or JSON array entries) */
+  MAX_ROWS: envInt("BULK_IMPORT_MAX_ROWS", 200, 1),
+  /** Domains whose routes are saved and whose nginx fragment is regenerated side by side */
+  ROUTE_CONCURRENCY: envInt("BULK_IMPORT_ROUTE_CONCURRENCY", 3, 1),
+};
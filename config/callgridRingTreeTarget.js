@@ -1,9 +1,12 @@
 /**
  * CallGrid Dynamic Ring Tree — multi-campaign profiles.
- * Ringba ping trees ≈ campaign.routingGroups.plans[].groups[] (tiers).
+ * Ringba ping trees ≈ campaign.routingGroups.plans[].groups[] (tiers, in plan order).
  * Ringba targets ≈ destinations (destinationId).
+ * Per profile: tierRules (one per group except the last), batchSize, moveCooldownMs, evaluation — optional.
  */
 const path = require("path");
+const ringTreeTiering = require("../services/ringTreeTiering");
+const ringTreeRpcWindow = require("../services/ringTreeRpcWindow");
 
 function envTrim(name, fallback = "") {
   const raw = process.env[name];
@@ -75,6 +78,12 @@ const DEFAULT_PROFILES = {
 
 const envOverrides = parseProfilesJson(process.env.CALLGRID_RING_TREE_PROFILES_JSON);
 
+const BATCH_SIZE = Math.max(1, parseInt(envTrim("CALLGRID_RING_TREE_BATCH_SIZE", "5"), 10) || 5);
+const MOVE_COOLDOWN_MS = Math.max(
+  0,
+  parseInt(envTrim("CALLGRID_RING_TREE_MOVE_COOLDOWN_MS", "1800000"), 10) || 1800000
+);
+
 function mergeProfile(base, override) {
   if (!override || typeof override !== "object") return base;
   const merged = { ...base, ...override };
@@ -84,6 +93,12 @@ function mergeProfile(base, override) {
   if (override.hysteresis && typeof override.hysteresis === "object") {
     merged.hysteresis = { ...(base.hysteresis || {}), ...override.hysteresis };
   }
+  if (Array.isArray(override.tierRules)) {
+    merged.tierRules = override.tierRules.map((r) => ({ ...r }));
+  }
+  if (override.evaluation && typeof override.evaluation === "object") {
+    merged.evaluation = { ...(base.evaluation || {}), ...override.evaluation };
+  }
   return merged;
 }
 
@@ -130,12 +145,31 @@ function getProfileHysteresis(profile) {
   return profile?.hysteresis || MEDICARE_HYSTERESIS;
 }
 
+function getProfileTierRules(profile) {
+  return ringTreeTiering.getTierRules(profile, {
+    rpcRules: MEDICARE_RPC_RULES,
+    hysteresis: MEDICARE_HYSTERESIS,
+  });
+}
+
+function getProfileBatchSize(profile) {
+  const n = parseInt(profile?.batchSize, 10);
+  return Number.isFinite(n) && n >= 1 ? n : BATCH_SIZE;
+}
+
+function getProfileMoveCooldownMs(profile) {
+  const n = parseInt(profile?.moveCooldownMs, 10);
+  return Number.isFinite(n) && n >= 0 ? n : MOVE_COOLDOWN_MS;
+}
+
+/** { mode: "batch", batchSize } or rolling-window settings (services/ringTreeRpcWindow.js). */
+function getProfileEvaluation(profile) {
+  return ringTreeRpcWindow.getEvaluationConfig(profile, getProfileBatchSize(profile));
+}
+
 module.exports = {
-  BATCH_SIZE: Math.max(1, parseInt(envTrim("CALLGRID_RING_TREE_BATCH_SIZE", "5"), 10) || 5),
-  MOVE_COOLDOWN_MS: Math.max(
-    0,
-    parseInt(envTrim("CALLGRID_RING_TREE_MOVE_COOLDOWN_MS", "1800000"), 10) || 1800000
-  ),
+  BATCH_SIZE,
+  MOVE_COOLDOWN_MS,
   DRY_RUN: envTrim("CALLGRID_RING_TREE_DRY_RUN", "true").toLowerCase() !== "false",
   STARTUP_DISCOVER:
     envTrim("CALLGRID_RING_TREE_STARTUP_DISCOVER", "true").toLowerCase() !== "false",
@@ -144,6 +178,11 @@ module.exports = {
     envTrim("CALLGRID_RING_TREE_SLACK_WEBHOOK_URL") ||
     envTrim("DYNAMIC_RING_TREE_SLACK_WEBHOOK_URL") ||
     envTrim("SLACK_WEBHOOK_URL"),
+  /** "json" (logs/*-state.json, single process) or "mongo" (ringTreeTargetStates, multi-process safe). */
+  STATE_BACKEND: (
+    envTrim("CALLGRID_RING_TREE_STATE_BACKEND") ||
+    envTrim("RING_TREE_STATE_BACKEND", "json")
+  ).toLowerCase(),
   STATE_FILE: path.join(__dirname, "..", "logs", "callgrid-ring-tree-state.json"),
   EVENTS_FILE: path.join(__dirname, "..", "logs", "callgrid-ring-tree-events.jsonl"),
   API_BASE_URL: envTrim("CALLGRID_API_BASE_URL", "https://api.callgrid.com").replace(/\/$/, ""),
@@ -157,6 +196,10 @@ module.exports = {
   resolveProfileKeyFromCampaign,
   getProfileRpcRules,
   getProfileHysteresis,
+  getProfileTierRules,
+  getProfileBatchSize,
+  getProfileMoveCooldownMs,
+  getProfileEvaluation,
   // Legacy exports for medicare-only callers
   PROFILE_KEY: "medicare",
   CAMPAIGN_ID: DEFAULT_PROFILES.medicare.campaignId,
@@ -0,0 +1,57 @@
+/**
+ * Conversion outbox — inbound conversions are stored in `conversionOutbox` and delivered by
+ * services/conversionOutboxWorker.js with per-destination exponential backoff and a dead-letter state.
+ *
+ * Per-destination overrides: CONVERSION_OUTBOX_<DEST>_MAX_ATTEMPTS / _BASE_DELAY_MS / _MAX_DELAY_MS
+ * (DEST = CM360, ROKU, JADE, GOOGLE, META).
+ */
+function envInt(name, fallback, min = 0) {
+  const parsed = parseInt(String(process.env[name] || "").trim(), 10);
+  return Number.isFinite(parsed) && parsed >= min ? parsed : fallback;
+}
+
+function envBool(name, fallback) {
+  const raw = String(process.env[name] || "").trim().toLowerCase();
+  if (!raw) return fallback;
+  return raw === "1" || raw === "true" || raw === "yes";
+}
+
+/** Defaults: Google accepts click conversions for days, so it gets the longest retry window. */
+const DESTINATION_DEFAULTS = {
+  cm360: { maxAttempts: 8, baseDelayMs: 30 * 1000, maxDelayMs: 60 * 60 * 1000 },
+  roku: { maxAttempts: 10, baseDelayMs: 30 * 1000, maxDelayMs: 60 * 60 * 1000 },
+  jade: { maxAttempts: 6, baseDelayMs: 30 * 1000, maxDelayMs: 30 * 60 * 1000 },
+  google: { maxAttempts: 10, baseDelayMs: 60 * 1000, maxDelayMs: 2 * 60 * 60 * 1000 },
+  /** Meta accepts events up to 7 days old */
+  meta: { maxAttempts: 10, baseDelayMs: 30 * 1000, maxDelayMs: 2 * 60 * 60 * 1000 },
+};
+
+const DESTINATIONS = Object.keys(DESTINATION_DEFAULTS);
+
+function getDestinationConfig(destination) {
+  const defaults = DESTINATION_DEFAULTS[destination];
+  if (!defaults) return null;
+  const prefix = `CONVERSION_OUTBOX_${destination.toUpperCase()}`;
+  return {
+    maxAttempts: envInt(`${prefix}_MAX_ATTEMPTS`, defaults.maxAttempts, 1),
+    baseDelayMs: envInt(`${prefix}_BASE_DELAY_MS`, defaults.baseDelayMs, 1000),
+    maxDelayMs: envInt(`${prefix}_MAX_DELAY_MS`, defaults.maxDelayMs, 1000),
+  };
+}
+
+module.exports = {
+  /** false = webhooks deliver inline as before (no outbox writes) */
+  ENABLED: envBool("CONVERSION_OUTBOX_ENABLED", true),
+  WORKER_ENABLED: envBool("CONVERSION_OUTBOX_WORKER_ENABLED", true),
+  POLL_INTERVAL_MS: envInt("CONVERSION_OUTBOX_POLL_MS", 2000, 250),
+  /** Jobs claimed per poll */
+  BATCH_SIZE: envInt("CONVERSION_OUTBOX_BATCH_SIZE", 20, 1),
+  /** A job stuck in `processing` this long (worker crashed mid-delivery) is released back to pending */
+  STALE_LOCK_MS: envInt("CONVERSION_OUTBOX_STALE_LOCK_MS", 10 * 60 * 1000, 60 * 1000),
+  /** Attempt history kept per job */
+  HISTORY_LIMIT: 20,
+  /** Every send attempt is also written to conversionDeliveries (GET /api/v1/conversions) */
+  DELIVERY_LOG_ENABLED: envBool("CONVERSION_DELIVERY_LOG_ENABLED", true),
+  DESTINATIONS,
+  getDestinationConfig,
+};
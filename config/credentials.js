@@ -0,0 +1,56 @@
+/**
+ * Master key for third-party secrets stored in Mongo (services/credentialVault.js): Company API tokens,
+ * Google Ads secrets, Roku / Meta keys on queued conversions.
+ *
+ * Keys are 32 bytes, as 64 hex chars or base64. Generate with
+ *   node -e "console.log(require('crypto').randomBytes(32).toString('hex'))"
+ *
+ * CREDENTIALS_ENCRYPTION_KEY (or CREDENTIALS_ENCRYPTION_KEY_FILE): the current key; everything new is encrypted with it.
+ * CREDENTIALS_PREVIOUS_KEYS (comma list, or CREDENTIALS_PREVIOUS_KEYS_FILE one per line): retired keys, decrypt only.
+ *
+ * Rotation: make the new key current, list the old one as previous, restart, run
+ * `node scripts/encrypt-credentials.js --apply`, then drop the previous key.
+ */
+const fs = require("fs");
+
+function parseKey(raw) {
+  const value = String(raw || "").trim();
+  if (!value) return null;
+  if (/^[0-9a-f]{64}$/i.test(value)) return Buffer.from(value, "hex");
+  const decoded = Buffer.from(value, "base64");
+  return decoded.length === 32 ? decoded : null;
+}
+
+function readEnvOrFile(name) {
+  const file = String(process.env[`${name}_FILE`] || "").trim();
+  if (file) {
+    try {
+      return fs.readFileSync(file, "utf8");
+    } catch (err) {
+      console.warn(`⚠️ ${name}_FILE could not be read (${err.message}) — ignored`);
+      return "";
+    }
+  }
+  return process.env[name] || "";
+}
+
+function loadKeys(name, { multiple = false } = {}) {
+  const raw = readEnvOrFile(name);
+  const entries = multiple ? raw.split(/[\s,]+/) : [raw];
+  const keys = [];
+  for (const entry of entries.filter((e) => e.trim())) {
+    const key = parseKey(entry);
+    if (key) keys.push(key);
+    else console.warn(`⚠️ ${name} has a value that is not 32 bytes (64 hex chars or base64) — ignored`);
+  }
+  return keys;
+}
+
+const ENCRYPTION_KEY = loadKeys("CREDENTIALS_ENCRYPTION_KEY")[0] || null;
+const PREVIOUS_KEYS = loadKeys("CREDENTIALS_PREVIOUS_KEYS", { multiple: true });
+
+module.exports = {
+  ENCRYPTION_KEY,
+  PREVIOUS_KEYS,
+  parseKey,
+};
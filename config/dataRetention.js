@@ -0,0 +1,64 @@
+/**
+ * PII retention policy — applied by services/dataRetentionService.js (scheduled in server.js).
+ *
+ * Per store:
+ * - ttlDays:         records are deleted after this many days (Mongo TTL index; JSONL lines dropped by the job)
+ * - redactAfterDays: plain PII (raw phones, emails, names, DOB, IPs) is stripped after this many days;
+ *                    phones are kept as sha256 hashes so dedupe / support lookups still work
+ * 0 disables either step. Env overrides: DATA_RETENTION_<STORE>_TTL_DAYS / DATA_RETENTION_<STORE>_REDACT_DAYS,
+ * e.g. DATA_RETENTION_ROKU_LOGS_REDACT_DAYS=3.
+ */
+function envInt(name, fallback, min = 0) {
+  const parsed = parseInt(String(process.env[name] || "").trim(), 10);
+  return Number.isFinite(parsed) && parsed >= min ? parsed : fallback;
+}
+
+function envBool(name, fallback) {
+  const raw = String(process.env[name] || "").trim().toLowerCase();
+  if (!raw) return fallback;
+  return raw === "1" || raw === "true" || raw === "yes";
+}
+
+const STORE_DEFAULTS = {
+  // Mongo collections
+  rokuLogs: { ttlDays: 90, redactAfterDays: 7 },
+  ringbaFakeTargetPings: { ttlDays: 90, redactAfterDays: 30 },
+  /** Finished jobs only (delivered / skipped / dead); pending jobs are never touched */
+  conversionOutbox: { ttlDays: 90, redactAfterDays: 30 },
+  /** Stores phone hashes only, so nothing to redact */
+  conversionDeliveries: { ttlDays: 180, redactAfterDays: 0 },
+  // JSONL files under logs/
+  rokuAuditFile: { ttlDays: 30, redactAfterDays: 7 },
+  domainRouteHitsFile: { ttlDays: 30, redactAfterDays: 7 },
+  /** Backtester source (events mode) — kept longer, caller phones hashed */
+  ringTreeEventsFile: { ttlDays: 180, redactAfterDays: 30 },
+  callgridRingTreeEventsFile: { ttlDays: 180, redactAfterDays: 30 },
+  googleConversionsFile: { ttlDays: 90, redactAfterDays: 0 },
+};
+
+const STORES = Object.keys(STORE_DEFAULTS);
+
+function envPrefix(store) {
+  return `DATA_RETENTION_${store.replace(/([a-z0-9])([A-Z])/g, "$1_$2").toUpperCase()}`;
+}
+
+function getStorePolicy(store) {
+  const defaults = STORE_DEFAULTS[store];
+  if (!defaults) return null;
+  const prefix = envPrefix(store);
+  return {
+    ttlDays: envInt(`${prefix}_TTL_DAYS`, defaults.ttlDays),
+    redactAfterDays: envInt(`${prefix}_REDACT_DAYS`, defaults.redactAfterDays),
+  };
+}
+
+module.exports = {
+  ENABLED: envBool("DATA_RETENTION_ENABLED", true),
+  /** How often the redaction / JSONL pruning job runs (TTL deletes are done by MongoDB itself) */
+  INTERVAL_MS: envInt("DATA_RETENTION_INTERVAL_MS", 6 * 60 * 60 * 1000, 60 * 1000),
+  /** Documents redacted per batch; the job keeps going until nothing is left */
+  BATCH_SIZE: envInt("DATA_RETENTION_BATCH_SIZE", 500, 1),
+  STORES,
+  envPrefix,
+  getStorePolicy,
+};
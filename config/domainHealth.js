@@ -0,0 +1,27 @@
+/**
+ * Domain health / drift checks (services/domainHealthService.js), scheduled by services/domainHealthScheduler.js.
+ * Every active domain is compared with Cloudflare (zone, A records, trk CNAME, SSL mode), RedTrack, its nginx
+ * fragment and an HTTP probe of each route.
+ */
+function envInt(name, fallback, min = 0) {
+  const parsed = parseInt(String(process.env[name] || "").trim(), 10);
+  return Number.isFinite(parsed) && parsed >= min ? parsed : fallback;
+}
+
+function envBool(name, fallback) {
+  const raw = String(process.env[name] || "").trim().toLowerCase();
+  if (!raw) return fallback;
+  return raw === "1" || raw === "true" || raw === "yes";
+}
+
+module.exports = {
+  ENABLED: envBool("DOMAIN_HEALTH_ENABLED", true),
+  INTERVAL_MS: envInt("DOMAIN_HEALTH_INTERVAL_MS", 6 * 60 * 60 * 1000, 60 * 1000),
+  /** Domains checked side by side (~3 Cloudflare calls + one probe per route each) */
+  CONCURRENCY: envInt("DOMAIN_HEALTH_CONCURRENCY", 2, 1),
+  HTTP_TIMEOUT_MS: envInt("DOMAIN_HEALTH_HTTP_TIMEOUT_MS", 10 * 1000, 1000),
+  /** Where generateNginxConfig writes fragments (only checked when this process runs on the nginx host) */
+  NGINX_DIR: (process.env.DOMAIN_HEALTH_NGINX_DIR || "/etc/nginx/dynamic").trim(),
+  /** Slack message when domains newly drift (SLACK_WEBHOOK_URL) */
+  SLACK_ALERTS: envBool("DOMAIN_HEALTH_SLACK_ALERTS", true),
+};
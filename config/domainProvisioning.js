@@ -0,0 +1,37 @@
+/**
+ * Domain provisioning jobs (services/domainProvisioningService.js): POST /api/v1/domain queues a job and
+ * services/domainProvisioningWorker.js runs its steps, retrying failed steps with backoff and re-checking
+ * zones that are still waiting for nameservers.
+ */
+function envInt(name, fallback, min = 0) {
+  const parsed = parseInt(String(process.env[name] || "").trim(), 10);
+  return Number.isFinite(parsed) && parsed >= min ? parsed : fallback;
+}
+
+function envBool(name, fallback) {
+  const raw = String(process.env[name] || "").trim().toLowerCase();
+  if (!raw) return fallback;
+  return raw === "1" || raw === "true" || raw === "yes";
+}
+
+module.exports = {
+  /** false = jobs are queued but only run on an instance with the worker enabled */
+  WORKER_ENABLED: envBool("DOMAIN_PROVISIONING_WORKER_ENABLED", true),
+  POLL_INTERVAL_MS: envInt("DOMAIN_PROVISIONING_POLL_MS", 15 * 1000, 1000),
+  /**
+   * Jobs run side by side per instance. Each job makes ~15 Cloudflare calls (limit 1200 / 5 min per token) and
+   * one RedTrack domain create; keep this low when bulk imports queue dozens of domains at once.
+   */
+  CONCURRENCY: envInt("DOMAIN_PROVISIONING_CONCURRENCY", 2, 1),
+  /** Attempts per step before the job stops as failed (POST .../provisioning/retry starts it again) */
+  STEP_MAX_ATTEMPTS: envInt("DOMAIN_PROVISIONING_STEP_MAX_ATTEMPTS", 5, 1),
+  RETRY_BASE_DELAY_MS: envInt("DOMAIN_PROVISIONING_RETRY_BASE_DELAY_MS", 30 * 1000, 0),
+  RETRY_MAX_DELAY_MS: envInt("DOMAIN_PROVISIONING_RETRY_MAX_DELAY_MS", 10 * 60 * 1000, 0),
+  /** How often a zone pending nameserver changes is re-checked, and how long before the job gives up */
+  ZONE_RECHECK_MS: envInt("DOMAIN_PROVISIONING_ZONE_RECHECK_MS", 5 * 60 * 1000, 1000),
+  ZONE_WAIT_MAX_HOURS: envInt("DOMAIN_PROVISIONING_ZONE_WAIT_HOURS", 72, 1),
+  /** A job left running this long (process restarted mid-step) is picked up again */
+  STALE_LOCK_MS: envInt("DOMAIN_PROVISIONING_STALE_LOCK_MS", 10 * 60 * 1000, 60 * 1000),
+  /** DNS propagation wait before registering the trk CNAME with RedTrack */
+  REDTRACK_DNS_WAIT_MS: envInt("DOMAIN_PROVISIONING_REDTRACK_DNS_WAIT_MS", 5000, 0),
+};
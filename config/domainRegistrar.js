@@ -0,0 +1,23 @@
+/**
+ * Cloudflare Registrar sync (services/domainRegistrarService.js), scheduled by services/domainRegistrarScheduler.js.
+ * Expiry date, auto-renew and lock status of every registration are copied onto the Domain documents.
+ */
+function envInt(name, fallback, min = 0) {
+  const parsed = parseInt(String(process.env[name] || "").trim(), 10);
+  return Number.isFinite(parsed) && parsed >= min ? parsed : fallback;
+}
+
+function envBool(name, fallback) {
+  const raw = String(process.env[name] || "").trim().toLowerCase();
+  if (!raw) return fallback;
+  return raw === "1" || raw === "true" || raw === "yes";
+}
+
+module.exports = {
+  ENABLED: envBool("DOMAIN_REGISTRAR_SYNC_ENABLED", true),
+  INTERVAL_MS: envInt("DOMAIN_REGISTRAR_SYNC_INTERVAL_MS", 24 * 60 * 60 * 1000, 60 * 1000),
+  /** Domains expiring within this many days are reported (GET /domain-registrar default, Slack digest) */
+  EXPIRY_WARNING_DAYS: envInt("DOMAIN_REGISTRAR_EXPIRY_WARNING_DAYS", 30, 1),
+  /** Slack digest after each sync when something needs attention (SLACK_WEBHOOK_URL) */
+  SLACK_DIGEST: envBool("DOMAIN_REGISTRAR_SLACK_DIGEST", true),
+};
@@ -1,9 +1,15 @@
 /**
  * Dynamic Ring Tree Target — multi-vertical tier profiles.
- * Each vertical (FE, Medicare, Debt, ACA) has fixed ping tree IDs per tier.
+ * Each vertical (FE, Medicare, Debt, ACA) has fixed ping tree IDs per tier (2+ tiers, Tier 1 = best RPC).
  * Enable additional verticals when IDs are confirmed in Ringba.
+ *
+ * Optional per profile: tierRules (one per tier except the last — see services/ringTreeTiering.js),
+ * batchSize and moveCooldownMs (fall back to the global env values), evaluation (batch | rolling window —
+ * see services/ringTreeRpcWindow.js).
  */
 const RINGBA_CONFIG = require("./ringbaApi");
+const ringTreeTiering = require("../services/ringTreeTiering");
+const ringTreeRpcWindow = require("../services/ringTreeRpcWindow");
 
 function parseProfilesJson(raw) {
   if (!raw || typeof raw !== "string" || !raw.trim()) return null;
@@ -18,6 +24,15 @@ function tier(name, pingTreeId) {
   return { name, pingTreeId: (pingTreeId || "").trim() };
 }
 
+/** Fewest tier ring trees a profile can define. */
+const MIN_TIER_COUNT = 2;
+
+const BATCH_SIZE = Math.max(1, parseInt(process.env.DYNAMIC_RING_TREE_BATCH_SIZE || "20", 10) || 20);
+const MOVE_COOLDOWN_MS = Math.max(
+  0,
+  parseInt(process.env.DYNAMIC_RING_TREE_MOVE_COOLDOWN_MS || "1800000", 10) || 1800000
+);
+
 const FE_RPC_RULES = { mode: "min", tier1Min: 20, tier2Min: 15 };
 const FE_HYSTERESIS = {
   promoteToTier1: 21,
@@ -111,26 +126,50 @@ function mergeProfile(base, override) {
   if (override.rpcRules && typeof override.rpcRules === "object") {
     merged.rpcRules = { ...(base.rpcRules || {}), ...override.rpcRules };
   }
+  if (Array.isArray(override.tierRules)) {
+    merged.tierRules = override.tierRules.map((r) => ({ ...r }));
+  }
+  if (override.evaluation && typeof override.evaluation === "object") {
+    merged.evaluation = { ...(base.evaluation || {}), ...override.evaluation };
+  }
   if (override.hysteresis && typeof override.hysteresis === "object") {
     merged.hysteresis = { ...(base.hysteresis || {}), ...override.hysteresis };
   }
   return merged;
 }
 
+/** Profiles saved through /api/v1/ring-tree-target/profiles (ringTreeProfiles); synced by ringTreeProfileService. */
+let storedProfiles = {};
+
+function setStoredProfiles(profilesByKey) {
+  storedProfiles = profilesByKey && typeof profilesByKey === "object" ? profilesByKey : {};
+}
+
+/** Precedence: DB profile > DYNAMIC_RING_TREE_PROFILES_JSON > DEFAULT_PROFILES. */
 function getProfiles() {
   const out = {};
-  for (const [key, base] of Object.entries(DEFAULT_PROFILES)) {
-    out[key] = mergeProfile(base, envOverrides?.[key]);
+  const keys = new Set([...Object.keys(DEFAULT_PROFILES), ...Object.keys(storedProfiles)]);
+  for (const key of keys) {
+    const base = DEFAULT_PROFILES[key] || { key, tiers: [] };
+    const withEnv = mergeProfile(base, envOverrides?.[key]);
+    out[key] = storedProfiles[key] ? { ...withEnv, ...storedProfiles[key], key } : withEnv;
   }
   return out;
 }
 
+function getProfileSource(profileKey) {
+  if (storedProfiles[profileKey]) return "db";
+  if (envOverrides?.[profileKey]) return "env";
+  return DEFAULT_PROFILES[profileKey] ? "default" : null;
+}
+
 function isProfileConfigured(profile) {
   if (!profile || !profile.enabled) return false;
   return (
     Array.isArray(profile.tiers) &&
-    profile.tiers.length === 3 &&
-    profile.tiers.every((t) => t.name && t.pingTreeId)
+    profile.tiers.length >= MIN_TIER_COUNT &&
+    profile.tiers.every((t) => t.name && t.pingTreeId) &&
+    getProfileTierRules(profile).length === profile.tiers.length - 1
   );
 }
 
@@ -186,6 +225,26 @@ function getProfileHysteresis(profile) {
   return FE_HYSTERESIS;
 }
 
+/** One rule per tier except the last; legacy rpcRules + hysteresis map onto 3 tiers. */
+function getProfileTierRules(profile) {
+  return ringTreeTiering.getTierRules(profile, { rpcRules: FE_RPC_RULES, hysteresis: FE_HYSTERESIS });
+}
+
+function getProfileBatchSize(profile) {
+  const n = parseInt(profile?.batchSize, 10);
+  return Number.isFinite(n) && n >= 1 ? n : BATCH_SIZE;
+}
+
+function getProfileMoveCooldownMs(profile) {
+  const n = parseInt(profile?.moveCooldownMs, 10);
+  return Number.isFinite(n) && n >= 0 ? n : MOVE_COOLDOWN_MS;
+}
+
+/** { mode: "batch", batchSize } or rolling-window settings (services/ringTreeRpcWindow.js). */
+function getProfileEvaluation(profile) {
+  return ringTreeRpcWindow.getEvaluationConfig(profile, getProfileBatchSize(profile));
+}
+
 /** Per-profile dry-run when set; otherwise global DYNAMIC_RING_TREE_DRY_RUN (FE on prod). */
 function isProfileDryRun(profile) {
   if (profile && typeof profile.dryRun === "boolean") return profile.dryRun;
@@ -193,14 +252,11 @@ function isProfileDryRun(profile) {
 }
 
 module.exports = {
-  BATCH_SIZE: Math.max(1, parseInt(process.env.DYNAMIC_RING_TREE_BATCH_SIZE || "20", 10) || 20),
+  BATCH_SIZE,
   RPC_TIER1_MIN: FE_RPC_RULES.tier1Min,
   RPC_TIER2_MIN: FE_RPC_RULES.tier2Min,
   HYSTERESIS: FE_HYSTERESIS,
-  MOVE_COOLDOWN_MS: Math.max(
-    0,
-    parseInt(process.env.DYNAMIC_RING_TREE_MOVE_COOLDOWN_MS || "1800000", 10) || 1800000
-  ),
+  MOVE_COOLDOWN_MS,
   DRY_RUN: String(process.env.DYNAMIC_RING_TREE_DRY_RUN ?? "true").trim().toLowerCase() !== "false",
   /** When pixel revenue is all $0 at Completed, refetch conversion from Ringba calllogs before tier eval. */
   REVENUE_BACKFILL_ENABLED:
@@ -209,6 +265,11 @@ module.exports = {
     0,
     parseInt(process.env.DYNAMIC_RING_TREE_REVENUE_BACKFILL_DELAY_MS || "0", 10) || 0
   ),
+  /** Rolling mode: window calls Insights had no revenue for are not looked up again for this long. */
+  REVENUE_BACKFILL_RECHECK_MS: Math.max(
+    0,
+    parseInt(process.env.DYNAMIC_RING_TREE_REVENUE_BACKFILL_RECHECK_MS || "600000", 10) || 0
+  ),
   /** Skip tier-down when RPC is still 0 after backfill (RTB postbacks often lag Completed). */
   SKIP_DEMOTION_ON_UNCONFIRMED_ZERO_RPC:
     String(process.env.DYNAMIC_RING_TREE_SKIP_DEMOTION_ON_ZERO_RPC ?? "true").trim().toLowerCase() !==
@@ -227,12 +288,27 @@ module.exports = {
     23,
     Math.max(0, parseInt(process.env.DYNAMIC_RING_TREE_DAILY_BATCH_RESET_HOUR || "1", 10) || 1)
   ),
+  /** "json" (logs/*-state.json, single process) or "mongo" (ringTreeTargetStates, multi-process safe). */
+  STATE_BACKEND: (
+    process.env.DYNAMIC_RING_TREE_STATE_BACKEND ||
+    process.env.RING_TREE_STATE_BACKEND ||
+    "json"
+  )
+    .trim()
+    .toLowerCase(),
   STATE_FILE: require("path").join(__dirname, "..", "logs", "dynamic-ring-tree-state.json"),
   EVENTS_FILE: require("path").join(__dirname, "..", "logs", "dynamic-ring-tree-events.jsonl"),
   RINGBA_ACCOUNT_ID: RINGBA_CONFIG.ACCOUNT_ID,
   RINGBA_API_TOKEN: RINGBA_CONFIG.API_KEY,
   RINGBA_BASE_URL: (RINGBA_CONFIG.BASE_URL || "https://api.ringba.com").replace(/\/$/, ""),
+  MIN_TIER_COUNT,
+  PROFILE_SYNC_INTERVAL_MS: Math.max(
+    5000,
+    parseInt(process.env.DYNAMIC_RING_TREE_PROFILE_SYNC_INTERVAL_MS || "60000", 10) || 60000
+  ),
   getProfiles,
+  getProfileSource,
+  setStoredProfiles,
   getProfile,
   getEnabledProfiles,
   isProfileConfigured,
@@ -240,5 +316,9 @@ module.exports = {
   resolveProfileKeyFromCampaignName,
   getProfileRpcRules,
   getProfileHysteresis,
+  getProfileTierRules,
+  getProfileBatchSize,
+  getProfileMoveCooldownMs,
+  getProfileEvaluation,
   isProfileDryRun,
 };
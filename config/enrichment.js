@@ -0,0 +1,68 @@
+/**
+ * Caller identity enrichment — services/enrichmentService.js looks a caller up by phone through the
+ * providers in services/enrichmentProviders.js (in ENRICHMENT_PROVIDERS order, first match wins) and caches
+ * the profile in `enrichmentProfiles`, so Roku, Jade and Google share one paid lookup per caller.
+ *
+ * Per-provider overrides: ENRICHMENT_<PROVIDER>_COST_CENTS / _FAILURE_THRESHOLD / _COOLDOWN_MS
+ * (PROVIDER = AUDIENCEACUITY, DATAZAPP).
+ */
+function envInt(name, fallback, min = 0) {
+  const parsed = parseInt(String(process.env[name] || "").trim(), 10);
+  return Number.isFinite(parsed) && parsed >= min ? parsed : fallback;
+}
+
+function envNumber(name, fallback, min = 0) {
+  const parsed = Number(String(process.env[name] || "").trim());
+  return String(process.env[name] || "").trim() && Number.isFinite(parsed) && parsed >= min ? parsed : fallback;
+}
+
+function envBool(name, fallback) {
+  const raw = String(process.env[name] || "").trim().toLowerCase();
+  if (!raw) return fallback;
+  return raw === "1" || raw === "true" || raw === "yes";
+}
+
+/** costCents: price per paid lookup (cache hits are free); used for the spend counters only. */
+const PROVIDER_DEFAULTS = {
+  audienceacuity: { costCents: 0, failureThreshold: 5, cooldownMs: 5 * 60 * 1000 },
+  datazapp: { costCents: 0, failureThreshold: 5, cooldownMs: 5 * 60 * 1000 },
+};
+
+const PROVIDER_NAMES = Object.keys(PROVIDER_DEFAULTS);
+
+function parseProviders(raw) {
+  const names = String(raw || "")
+    .split(",")
+    .map((s) => s.trim().toLowerCase())
+    .filter(Boolean);
+  return [...new Set(names)].filter((name) => PROVIDER_NAMES.includes(name));
+}
+
+function getProviderConfig(provider) {
+  const defaults = PROVIDER_DEFAULTS[provider];
+  if (!defaults) return null;
+  const prefix = `ENRICHMENT_${provider.toUpperCase()}`;
+  return {
+    costCents: envNumber(`${prefix}_COST_CENTS`, defaults.costCents),
+    /** Consecutive errors before the circuit opens */
+    failureThreshold: envInt(`${prefix}_FAILURE_THRESHOLD`, defaults.failureThreshold, 1),
+    /** How long an open circuit skips the provider before one trial lookup is let through */
+    cooldownMs: envInt(`${prefix}_COOLDOWN_MS`, defaults.cooldownMs, 1000),
+  };
+}
+
+module.exports = {
+  /** Lookup order; unknown names are ignored */
+  PROVIDERS: parseProviders(process.env.ENRICHMENT_PROVIDERS || "audienceacuity"),
+  /** false = always call the provider (no enrichmentProfiles reads / writes) */
+  CACHE_ENABLED: envBool("ENRICHMENT_CACHE_ENABLED", true),
+  /** Matched profiles are reused this long */
+  CACHE_TTL_HOURS: envInt("ENRICHMENT_CACHE_TTL_HOURS", 30 * 24, 1),
+  /** "No match" is cached too, for a shorter time, so a repeat caller without a match is not paid for again */
+  NO_MATCH_TTL_HOURS: envInt("ENRICHMENT_NO_MATCH_TTL_HOURS", 24, 0),
+  /** Attach hashed phone / email (enhanced conversions) to Google click uploads that carry a caller phone */
+  GOOGLE_USER_IDENTIFIERS_ENABLED: envBool("ENRICHMENT_GOOGLE_USER_IDENTIFIERS_ENABLED", false),
+  PROVIDER_NAMES,
+  parseProviders,
+  getProviderConfig,
+};
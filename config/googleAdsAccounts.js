@@ -0,0 +1,32 @@
+/**
+ * Google Ads account routing (googleAdsAccounts collection, services/googleAdsAccountService.js).
+ *
+ * Per conversion the account is picked by, in order:
+ *   1. an explicit account key (`account` / `google_account` on the webhook, e.g. ?account=ipm)
+ *   2. the conversionActionId, if an account lists it
+ *   3. the RedTrack campaign id (`rt_campaign_id` / `campaign_id`), if an account lists it
+ *   4. legacy env packs: "mcc1" when mcc=1, else "default" (GOOGLE_ADS_* / GOOGLE_ADS_MCC1_*)
+ * A stored account named "default" or "mcc1" replaces that env pack.
+ */
+const ACCOUNT_KEY_FIELDS = ["account", "google_account", "googleAccount"];
+const REDTRACK_CAMPAIGN_FIELDS = ["rt_campaign_id", "rt_campaign", "campaign_id", "campaignId"];
+
+/** Keys served from env when no stored account has them. */
+const LEGACY_ACCOUNT_KEYS = ["default", "mcc1"];
+
+const KEY_PATTERN = /^[a-z0-9][a-z0-9_-]{0,39}$/;
+
+/** Stored accounts are reloaded at most this often (and immediately after a change on this instance). */
+const CACHE_TTL_MS = Math.max(1000, Number(process.env.GOOGLE_ADS_ACCOUNTS_CACHE_TTL_MS) || 60 * 1000);
+
+/** gclid used by the "test credentials" action when none is given; Google rejects it per row, not per request. */
+const TEST_GCLID = "paragon-credentials-test";
+
+module.exports = {
+  ACCOUNT_KEY_FIELDS,
+  REDTRACK_CAMPAIGN_FIELDS,
+  LEGACY_ACCOUNT_KEYS,
+  KEY_PATTERN,
+  CACHE_TTL_MS,
+  TEST_GCLID,
+};
@@ -0,0 +1,21 @@
+/**
+ * Meta (Facebook) Conversions API — server-side events for converted calls.
+ * POST {GRAPH_API_BASE}/{API_VERSION}/{pixel_id}/events
+ * Pixel id and access token come from Ringba per conversion (pixel_id / meta_access_token), like roku_api_key.
+ * Docs: https://developers.facebook.com/docs/marketing-api/conversions-api
+ *
+ * META_CAPI_BASE_URL points the service at a local stub (e.g. http://127.0.0.1:4010) for testing.
+ */
+module.exports = {
+  GRAPH_API_BASE: (process.env.META_CAPI_BASE_URL || "https://graph.facebook.com").trim().replace(/\/+$/, ""),
+  API_VERSION: (process.env.META_GRAPH_API_VERSION || "v21.0").trim(),
+  /** Events Manager → Test events code; set only while verifying a pixel (events then stay out of reporting) */
+  TEST_EVENT_CODE: (process.env.META_CAPI_TEST_EVENT_CODE || "").trim(),
+  EVENT_NAMES: ["Lead", "Purchase"],
+  DEFAULT_EVENT_NAME: "Lead",
+  /** Meta accepts "phone_call" for conversions that happened on a call */
+  ACTION_SOURCE: "phone_call",
+  REQUEST_TIMEOUT_MS: Number(process.env.META_CAPI_REQUEST_TIMEOUT_MS || 8000),
+  /** Same event_id is not sent twice within this window (Meta's own dedupe window is 48h) */
+  DEDUPE_TTL_MS: 48 * 60 * 60 * 1000,
+};
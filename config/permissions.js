@@ -0,0 +1,100 @@
+/**
+ * Role → permission map for the admin API (see middleware/authorize.js).
+ * Routes declare the permission they need (router.get("/x", requirePermission("accounting:read"), ...));
+ * roles are User.role values. "*" grants everything, "ringTree:*" everything under ringTree.
+ */
+
+const PERMISSIONS = [
+  "users:manage",
+  "apiKeys:manage",
+  "audit:read",
+  "domains:read",
+  "domains:write",
+  "domains:delete",
+  "domains:restore",
+  "domains:transfer",
+  "cache:purge",
+  "cache:purgeAll",
+  "system:read",
+  "ssl:manage",
+  "accounting:read",
+  "accounting:write",
+  "reports:read",
+  "reports:refresh",
+  "roku:read",
+  "roku:write",
+  "ringba:read",
+  "callgrid:read",
+  "conversions:read",
+  "conversions:replay",
+  "conversions:backfill",
+  "enrichment:read",
+  "googleAds:read",
+  "googleAds:manage",
+  "privacy:read",
+  "privacy:manage",
+  "privacy:erase",
+  "ringTree:read",
+  "ringTree:write",
+  "ringTree:backtest",
+  "ringTree:override",
+  "ringTree:test",
+  "ringTree:reset",
+];
+
+const ROLE_PERMISSIONS = {
+  ceo: ["*"],
+  admin: ["*"],
+  tech: [
+    "audit:read",
+    "domains:*",
+    "cache:*",
+    "system:read",
+    "ssl:manage",
+    "accounting:read",
+    "reports:*",
+    "roku:*",
+    "ringba:read",
+    "callgrid:read",
+    "conversions:*",
+    "enrichment:read",
+    "googleAds:read",
+    "privacy:read",
+    "ringTree:*",
+  ],
+  // Domain-level ownership (owner / co-owner / team) is still enforced in routeController for media buyers.
+  mediaBuyer: [
+    "domains:read",
+    "domains:write",
+    "domains:delete",
+    "domains:restore",
+    "cache:purge",
+    "reports:read",
+    "roku:read",
+    "callgrid:read",
+    "ringTree:read",
+  ],
+  accountManager: ["domains:read", "accounting:read", "reports:read", "ringba:read", "ringTree:read"],
+  accounting: ["accounting:read", "accounting:write", "reports:read", "reports:refresh"],
+};
+
+function grantMatches(grant, permission) {
+  if (grant === "*" || grant === permission) return true;
+  return grant.endsWith(":*") && permission.startsWith(grant.slice(0, -1));
+}
+
+function roleHasPermission(role, permission) {
+  return (ROLE_PERMISSIONS[role] || []).some((grant) => grantMatches(grant, permission));
+}
+
+function getRolePermissions(role) {
+  return PERMISSIONS.filter((permission) => roleHasPermission(role, permission));
+}
+
+module.exports = {
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  grantMatches,
+  roleHasPermission,
+  getRolePermissions,
+};
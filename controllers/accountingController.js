@@ -9,6 +9,8 @@ const accountingRevenueCacheService = require("../services/accountingRevenueCach
 const callgridReportService = require("../services/callgridReportService");
 const callgridStatsReportService = require("../services/callgridStatsReportService");
 const callgridOrgResolveService = require("../services/callgridOrgResolveService");
+const credentialVault = require("../services/credentialVault");
+const auditLogService = require("../services/auditLogService");
 const SUPPORTED_PLATFORMS = ["ringba", "retriever", "callgrid"];
 
 /** Map Company docs (platform=callgrid) to stats/calls buyer rows. */
@@ -16,7 +18,7 @@ function mapCallgridCompaniesToBuyers(companies) {
   return companies.map((c) => ({
     buyer: c.companyName,
     organizationId: c.accountID,
-    apiKey: (c.apiToken && String(c.apiToken).trim()) || "",
+    apiKey: credentialVault.reveal(c.apiToken, `company ${c.accountID} apiToken`).trim(),
   }));
 }
 
@@ -345,7 +347,8 @@ exports.getPgnmRingbaBuyers = async (req, res) => {
       });
     }
 
-    const apiToken = (pgnm.apiToken && String(pgnm.apiToken).trim()) || RINGBA_CONFIG.API_KEY;
+    const apiToken =
+      credentialVault.reveal(pgnm.apiToken, `company ${pgnm.accountID} apiToken`).trim() || RINGBA_CONFIG.API_KEY;
     if (!apiToken) {
       return res.status(500).json({
         success: false,
@@ -388,16 +391,19 @@ exports.getPgnmRingbaBuyers = async (req, res) => {
 
 /**
  * GET /api/v1/accounting/companies
- * List all companies (companyName, accountID; apiToken not returned).
+ * List all companies (companyName, accountID; apiToken only as apiTokenMasked).
  */
 exports.listCompanies = async (req, res) => {
   try {
     const companies = await Company.find()
-      .select("companyName accountID net platform createdAt")
+      .select("companyName accountID apiToken net platform createdAt")
       .lean();
     return res.status(200).json({
       success: true,
-      companies,
+      companies: companies.map(({ apiToken, ...company }) => ({
+        ...company,
+        apiTokenMasked: credentialVault.mask(apiToken),
+      })),
     });
   } catch (err) {
     console.error("Accounting listCompanies error:", err);
@@ -490,10 +496,16 @@ exports.createCompany = async (req, res) => {
     const company = await Company.create({
       companyName: companyName.trim(),
       accountID: accountID.trim(),
-      apiToken: apiTokenToStore,
+      apiToken: credentialVault.seal(apiTokenToStore),
       net: typeof net === "string" ? net.trim() : "",
       platform: normalizedPlatform,
     });
+    await auditLogService.recordAudit(req, {
+      action: "company.create",
+      targetType: "company",
+      accountID: company.accountID,
+      after: auditLogService.snapshotCompany(company),
+    });
     return res.status(201).json({
       success: true,
       company: {
@@ -502,6 +514,7 @@ exports.createCompany = async (req, res) => {
         accountID: company.accountID,
         net: company.net || "",
         platform: company.platform || "ringba",
+        apiTokenMasked: credentialVault.mask(company.apiToken),
         createdAt: company.createdAt,
       },
     });
@@ -579,7 +592,7 @@ exports.updateCompany = async (req, res) => {
           error: "apiToken must be a non-empty string.",
         });
       }
-      updates.apiToken = apiToken.trim();
+      updates.apiToken = credentialVault.seal(apiToken.trim());
     }
     if (net !== undefined) {
       if (typeof net !== "string") {
@@ -635,13 +648,22 @@ exports.updateCompany = async (req, res) => {
           accountID: company.accountID,
           net: company.net || "",
           platform: company.platform || "ringba",
+          apiTokenMasked: credentialVault.mask(company.apiToken),
           createdAt: company.createdAt,
           updatedAt: company.updatedAt,
         },
       });
     }
+    const auditBefore = auditLogService.snapshotCompany(company);
     Object.assign(company, updates);
     await company.save();
+    await auditLogService.recordAudit(req, {
+      action: "company.update",
+      targetType: "company",
+      accountID: company.accountID,
+      before: auditBefore,
+      after: auditLogService.snapshotCompany(company),
+    });
     return res.status(200).json({
       success: true,
       company: {
@@ -650,6 +672,7 @@ exports.updateCompany = async (req, res) => {
         accountID: company.accountID,
         net: company.net || "",
         platform: company.platform || "ringba",
+        apiTokenMasked: credentialVault.mask(company.apiToken),
         createdAt: company.createdAt,
         updatedAt: company.updatedAt,
       },
@@ -691,6 +714,12 @@ exports.deleteCompany = async (req, res) => {
         error: "Company not found for the given accountID.",
       });
     }
+    await auditLogService.recordAudit(req, {
+      action: "company.delete",
+      targetType: "company",
+      accountID: company.accountID,
+      before: auditLogService.snapshotCompany(company),
+    });
     return res.status(200).json({
       success: true,
       message: "Company deleted.",
@@ -700,6 +729,7 @@ exports.deleteCompany = async (req, res) => {
         accountID: company.accountID,
         net: company.net || "",
         platform: company.platform || "ringba",
+        apiTokenMasked: credentialVault.mask(company.apiToken),
       },
     });
   } catch (err) {
@@ -0,0 +1,60 @@
+/**
+ * Scoped API key management — /api/v1/api-keys (permission apiKeys:manage).
+ * The raw key is only returned by create / rotate; lists show the prefix and last-used info.
+ */
+const apiKeyService = require("../services/apiKeyService");
+const { API_KEY_SCOPES, API_KEY_ENFORCED_SCOPES } = require("../config/apiKeys");
+
+function sendResult(res, result) {
+  const { status, ...payload } = result;
+  return res.status(status || (result.ok ? 200 : 400)).json(payload);
+}
+
+/** GET /api/v1/api-keys?includeRevoked=true */
+exports.listKeys = async (req, res) => {
+  try {
+    const result = await apiKeyService.listKeys({ includeRevoked: req.query?.includeRevoked === "true" });
+    if (result.ok) {
+      result.scopes = API_KEY_SCOPES;
+      result.enforcedScopes = API_KEY_ENFORCED_SCOPES;
+    }
+    return sendResult(res, result);
+  } catch (err) {
+    console.error("ApiKey list error:", err);
+    return res.status(500).json({ ok: false, error: err.message });
+  }
+};
+
+/** POST /api/v1/api-keys  body: { name, scopes: ["ringTree:pixel"], ipAllowlist?: ["1.2.3.0/24"], expiresAt? } */
+exports.createKey = async (req, res) => {
+  try {
+    return sendResult(res, await apiKeyService.createKey(req.body, req.user));
+  } catch (err) {
+    console.error("ApiKey create error:", err);
+    return res.status(500).json({ ok: false, error: err.message });
+  }
+};
+
+/** POST /api/v1/api-keys/:id/rotate  body: { graceMinutes?: 60 } — old key stays valid for the grace period */
+exports.rotateKey = async (req, res) => {
+  try {
+    const body = req.body && typeof req.body === "object" ? req.body : {};
+    return sendResult(
+      res,
+      await apiKeyService.rotateKey(req.params.id, { graceMinutes: body.graceMinutes }, req.user)
+    );
+  } catch (err) {
+    console.error("ApiKey rotate error:", err);
+    return res.status(500).json({ ok: false, error: err.message });
+  }
+};
+
+/** DELETE /api/v1/api-keys/:id — revoke immediately */
+exports.revokeKey = async (req, res) => {
+  try {
+    return sendResult(res, await apiKeyService.revokeKey(req.params.id, req.user));
+  } catch (err) {
+    console.error("ApiKey revoke error:", err);
+    return res.status(500).json({ ok: false, error: err.message });
+  }
+};
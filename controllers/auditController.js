@@ -0,0 +1,33 @@
+/**
+ * Audit log — /api/v1/audit (audit:read). Domain, route and company mutations recorded by
+ * services/auditLogService.js; entries are read-only.
+ */
+const auditLogService = require("../services/auditLogService");
+
+function sendResult(res, result) {
+  const { status, ...payload } = result;
+  return res.status(status || (result.ok ? 200 : 400)).json(payload);
+}
+
+/**
+ * GET /api/v1/audit?actor=&userId=&action=&targetType=&domain=&route=&accountID=&field=&from=&to=&page=&limit=
+ * action accepts a comma list; field matches a diff path (e.g. phoneNumber); includeSnapshots=true adds before / after.
+ */
+exports.searchAudit = async (req, res) => {
+  try {
+    return sendResult(res, await auditLogService.searchAudit(req.query || {}));
+  } catch (err) {
+    console.error("Audit search error:", err);
+    return res.status(500).json({ ok: false, error: err.message });
+  }
+};
+
+/** GET /api/v1/audit/domain/:domain — same filters, scoped to one domain and its routes */
+exports.getDomainHistory = async (req, res) => {
+  try {
+    return sendResult(res, await auditLogService.getDomainHistory(req.params.domain, req.query || {}));
+  } catch (err) {
+    console.error("Audit domain history error:", err);
+    return res.status(500).json({ ok: false, error: err.message });
+  }
+};
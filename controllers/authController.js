@@ -20,7 +20,7 @@ const verifyToken = (token) => {
 // REGISTER NEW USER
 exports.register = async (req, res) => {
   try {
-    const { username, email, password, firstName, lastName, role } = req.body;
+    const { username, email, password, firstName, lastName, role, teams } = req.body;
 
     // Validate required fields
     if (!username || !email || !password) {
@@ -48,6 +48,7 @@ exports.register = async (req, res) => {
       firstName,
       lastName,
       role: role || "user", // Use provided role or default to "user"
+      teams: Array.isArray(teams) ? teams : [],
     });
 
     await user.save();
@@ -351,6 +352,44 @@ exports.deleteAccount = async (req, res) => {
   }
 };
 
+// SET A USER'S TEAMS (users:manage) — domains with one of these teams become accessible to the user
+exports.updateUserTeams = async (req, res) => {
+  try {
+    const { teams } = req.body;
+
+    if (!Array.isArray(teams) || teams.some((t) => typeof t !== "string" || !t.trim())) {
+      return res.status(400).json({
+        error: "teams must be an array of non-empty strings.",
+      });
+    }
+
+    const updatedUser = await User.findByIdAndUpdate(
+      req.params.userId,
+      { teams: [...new Set(teams.map((t) => t.trim().toLowerCase()))] },
+      { new: true, runValidators: true }
+    );
+
+    if (!updatedUser) {
+      return res.status(404).json({
+        error: "User not found.",
+      });
+    }
+
+    res.status(200).json({
+      message: "Teams updated successfully.",
+      user: updatedUser.toJSON(),
+    });
+  } catch (err) {
+    console.error("Update user teams error:", err);
+
+    if (err.name === "CastError") {
+      return res.status(400).json({ error: "Invalid user id." });
+    }
+
+    res.status(500).json({ error: "Server error while updating teams." });
+  }
+};
+
 // LOGOUT (client-side token removal)
 exports.logout = async (req, res) => {
   try {
@@ -69,7 +69,8 @@ exports.handleWebhook = async (req, res) => {
     const result = await callgridRingTreeTargetService.handleWebhookIngest(
       req.query || {},
       req.body || {},
-      req.headers || {}
+      req.headers || {},
+      { apiKey: req.apiKey }
     );
     const statusCode =
       result.status === "unauthorized"
@@ -0,0 +1,43 @@
+/**
+ * Conversion delivery log — /api/v1/conversions (conversions:read)
+ * One record per send attempt to CM360 / Roku / Jade / Google (services/conversionDeliveryLogService.js).
+ */
+const conversionDeliveryLogService = require("../services/conversionDeliveryLogService");
+
+function sendResult(res, result) {
+  const { status, ...payload } = result;
+  return res.status(status || (result.ok ? 200 : 400)).json(payload);
+}
+
+/**
+ * GET /api/v1/conversions?callId=&phone=&destination=&status=&from=&to=&page=1&limit=50&includeBodies=true
+ * With callId or phone the response also has `reach`: latest outcome per destination.
+ */
+exports.searchDeliveries = async (req, res) => {
+  try {
+    return sendResult(res, await conversionDeliveryLogService.searchDeliveries(req.query || {}));
+  } catch (err) {
+    console.error("ConversionDeliveries search error:", err);
+    return res.status(500).json({ ok: false, error: err.message });
+  }
+};
+
+/** GET /api/v1/conversions/summary?from=&to= — success rate and latency per destination (default last 24h) */
+exports.getSummary = async (req, res) => {
+  try {
+    return sendResult(res, await conversionDeliveryLogService.getSummary(req.query || {}));
+  } catch (err) {
+    console.error("ConversionDeliveries summary error:", err);
+    return res.status(500).json({ ok: false, error: err.message });
+  }
+};
+
+/** GET /api/v1/conversions/:id — one delivery incl. redacted request / response */
+exports.getDelivery = async (req, res) => {
+  try {
+    return sendResult(res, await conversionDeliveryLogService.getDelivery(req.params.id));
+  } catch (err) {
+    console.error("ConversionDeliveries get error:", err);
+    return res.status(500).json({ ok: false, error: err.message });
+  }
+};
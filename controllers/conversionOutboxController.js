@@ -0,0 +1,87 @@
+/**
+ * Conversion outbox admin — /api/v1/conversion-outbox
+ * Reads require conversions:read, replays conversions:replay, backfills conversions:backfill (config/permissions.js).
+ */
+const conversionOutboxService = require("../services/conversionOutboxService");
+const conversionBackfillService = require("../services/conversionBackfillService");
+const conversionOutboxWorker = require("../services/conversionOutboxWorker");
+
+function sendResult(res, result) {
+  const { status, ...payload } = result;
+  return res.status(status || (result.ok ? 200 : 400)).json(payload);
+}
+
+/** GET /api/v1/conversion-outbox?status=dead&destination=roku&reference=&from=&to=&page=1&limit=50 */
+exports.listJobs = async (req, res) => {
+  try {
+    return sendResult(res, await conversionOutboxService.listJobs(req.query || {}));
+  } catch (err) {
+    console.error("ConversionOutbox list error:", err);
+    return res.status(500).json({ ok: false, error: err.message });
+  }
+};
+
+/** GET /api/v1/conversion-outbox/stats — counts per destination/status + worker backoff state */
+exports.getStats = async (req, res) => {
+  try {
+    const stats = await conversionOutboxService.getStats();
+    return res.status(200).json({ ...stats, worker: conversionOutboxWorker.getWorkerStatus() });
+  } catch (err) {
+    console.error("ConversionOutbox stats error:", err);
+    return res.status(500).json({ ok: false, error: err.message });
+  }
+};
+
+/** GET /api/v1/conversion-outbox/:id — full job incl. payload and attempt history */
+exports.getJob = async (req, res) => {
+  try {
+    return sendResult(res, await conversionOutboxService.getJob(req.params.id));
+  } catch (err) {
+    console.error("ConversionOutbox get error:", err);
+    return res.status(500).json({ ok: false, error: err.message });
+  }
+};
+
+/** POST /api/v1/conversion-outbox/:id/replay */
+exports.replayJob = async (req, res) => {
+  try {
+    return sendResult(res, await conversionOutboxService.replayJob(req.params.id, req.user));
+  } catch (err) {
+    console.error("ConversionOutbox replay error:", err);
+    return res.status(500).json({ ok: false, error: err.message });
+  }
+};
+
+/** POST /api/v1/conversion-outbox/replay  body: { ids?: [...], destination?: "roku", status?: "dead" | "skipped" } */
+exports.replayJobs = async (req, res) => {
+  try {
+    const body = req.body && typeof req.body === "object" ? req.body : {};
+    return sendResult(
+      res,
+      await conversionOutboxService.replayJobs(
+        { ids: body.ids, destination: body.destination, status: body.status || "dead" },
+        req.user
+      )
+    );
+  } catch (err) {
+    console.error("ConversionOutbox bulk replay error:", err);
+    return res.status(500).json({ ok: false, error: err.message });
+  }
+};
+
+/**
+ * POST /api/v1/conversion-outbox/backfill
+ * body: { destination, from, to, campaign?, buyer?, target?, defaults?, tagColumns?, dryRun?: true, limit?, maxPages? }
+ * Slow: Ringba calllogs pages are ~13s apart, so the request reads at most CALLLOGS_HTTP_MAX_PAGES pages
+ * (scripts/backfill-conversions.js has no cap).
+ */
+exports.runBackfill = async (req, res) => {
+  try {
+    const body = req.body && typeof req.body === "object" ? req.body : {};
+    const input = { ...body, pageLimit: conversionBackfillService.CALLLOGS_HTTP_MAX_PAGES };
+    return sendResult(res, await conversionBackfillService.runBackfill(input, req.user));
+  } catch (err) {
+    console.error("ConversionOutbox backfill error:", err);
+    return res.status(500).json({ ok: false, error: err.message });
+  }
+};
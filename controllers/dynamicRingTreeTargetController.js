@@ -24,18 +24,6 @@ exports.status = async (req, res) => {
   }
 };
 
-exports.profiles = async (req, res) => {
-  const profiles = Object.values(CFG.getProfiles()).map((p) => ({
-    key: p.key,
-    label: p.label,
-    enabled: p.enabled,
-    configured: CFG.isProfileConfigured(p),
-    targetNamePrefix: p.targetNamePrefix,
-    tiers: (p.tiers || []).map((t) => ({ name: t.name, pingTreeId: t.pingTreeId || null })),
-  }));
-  return res.status(200).json({ ok: true, profiles });
-};
-
 /** GET /api/v1/ring-tree-target/fe-ring-trees — live FE Tier 1/2/3 + targets from Ringba */
 exports.getFeRingTrees = async (req, res) => {
   try {
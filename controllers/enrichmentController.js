@@ -0,0 +1,30 @@
+/**
+ * Caller enrichment — /api/v1/enrichment (enrichment:read)
+ * Provider circuit state and spend counters (services/enrichmentService.js).
+ */
+const enrichmentService = require("../services/enrichmentService");
+
+function sendResult(res, result) {
+  const { status, ...payload } = result;
+  return res.status(status || (result.ok ? 200 : 400)).json(payload);
+}
+
+/** GET /api/v1/enrichment/usage?from=YYYY-MM-DD&to=YYYY-MM-DD — daily lookups / matches / cache hits / cost per provider */
+exports.getUsage = async (req, res) => {
+  try {
+    return sendResult(res, await enrichmentService.getUsage(req.query || {}));
+  } catch (err) {
+    console.error("Enrichment usage error:", err);
+    return res.status(500).json({ ok: false, error: err.message });
+  }
+};
+
+/** GET /api/v1/enrichment/providers — configured providers and circuit breaker state */
+exports.getProviders = async (req, res) => {
+  try {
+    return res.json({ ok: true, providers: enrichmentService.getProviderStatus() });
+  } catch (err) {
+    console.error("Enrichment providers error:", err);
+    return res.status(500).json({ ok: false, error: err.message });
+  }
+};
@@ -0,0 +1,82 @@
+/**
+ * Google Ads accounts — /api/v1/google-ads/accounts (googleAds:read / googleAds:manage).
+ * Secrets go in on create / update and are never returned (services/googleAdsAccountService.js).
+ */
+const googleAdsAccountService = require("../services/googleAdsAccountService");
+const googleConversionService = require("../services/googleConversionService");
+
+function sendResult(res, result) {
+  const { status, ...payload } = result;
+  return res.status(status || (result.ok ? 200 : 400)).json(payload);
+}
+
+/** GET /api/v1/google-ads/accounts?includeInactive=false */
+exports.listAccounts = async (req, res) => {
+  try {
+    return sendResult(
+      res,
+      await googleAdsAccountService.listAccounts({ includeInactive: req.query?.includeInactive !== "false" })
+    );
+  } catch (err) {
+    console.error("GoogleAdsAccount list error:", err);
+    return res.status(500).json({ ok: false, error: err.message });
+  }
+};
+
+/** GET /api/v1/google-ads/accounts/:key */
+exports.getAccount = async (req, res) => {
+  try {
+    return sendResult(res, await googleAdsAccountService.getAccount(req.params.key));
+  } catch (err) {
+    console.error("GoogleAdsAccount get error:", err);
+    return res.status(500).json({ ok: false, error: err.message });
+  }
+};
+
+/**
+ * POST /api/v1/google-ads/accounts
+ * body: { key, name?, customerId, loginCustomerId, refreshToken, clientId?, clientSecret?, developerToken?,
+ *         conversionActionIds?: [], redtrackCampaignIds?: [], active? }
+ */
+exports.createAccount = async (req, res) => {
+  try {
+    return sendResult(res, await googleAdsAccountService.createAccount(req.body, req.user));
+  } catch (err) {
+    console.error("GoogleAdsAccount create error:", err);
+    return res.status(500).json({ ok: false, error: err.message });
+  }
+};
+
+/** PUT /api/v1/google-ads/accounts/:key — same fields as create except key; only provided fields change */
+exports.updateAccount = async (req, res) => {
+  try {
+    return sendResult(res, await googleAdsAccountService.updateAccount(req.params.key, req.body, req.user));
+  } catch (err) {
+    console.error("GoogleAdsAccount update error:", err);
+    return res.status(500).json({ ok: false, error: err.message });
+  }
+};
+
+/** DELETE /api/v1/google-ads/accounts/:key */
+exports.deleteAccount = async (req, res) => {
+  try {
+    return sendResult(res, await googleAdsAccountService.deleteAccount(req.params.key, req.user));
+  } catch (err) {
+    console.error("GoogleAdsAccount delete error:", err);
+    return res.status(500).json({ ok: false, error: err.message });
+  }
+};
+
+/** POST /api/v1/google-ads/accounts/:key/test  body: { conversionActionId?, gclid? } — validateOnly upload */
+exports.testAccount = async (req, res) => {
+  try {
+    const body = req.body && typeof req.body === "object" ? req.body : {};
+    return sendResult(
+      res,
+      await googleConversionService.testGoogleAdsAccountCredentials(req.params.key, body, req.user)
+    );
+  } catch (err) {
+    console.error("GoogleAdsAccount test error:", err);
+    return res.status(500).json({ ok: false, error: err.message });
+  }
+};
@@ -1,4 +1,5 @@
 const googleConversionService = require("../services/googleConversionService");
+const conversionOutboxService = require("../services/conversionOutboxService");
 const slackService = require("../services/slackService");
 
 /**
@@ -36,6 +37,41 @@ async function notifyGoogleConversionException(error, source, callID) {
   await slackService.sendSlackMessage(message);
 }
 
+/**
+ * Validate, then hand the conversion to the outbox (worker uploads with retries / dead-letter).
+ * Inline fallback (no Mongo) returns the upload result like before.
+ */
+async function submitGoogleConversion(res, payload, source, callID) {
+  const prepared = googleConversionService.prepareQueuedConversion(payload);
+  if (!prepared.ok) {
+    await notifyGoogleConversionFailure(prepared, source, callID);
+    return res.status(prepared.statusCode || 400).json(prepared);
+  }
+
+  const submitted = await conversionOutboxService.submitConversions("google", [prepared.payload], {
+    options: { source },
+    source,
+  });
+  if (submitted.queued) {
+    return res.status(200).json({
+      ok: true,
+      queued: true,
+      outboxId: submitted.ids[0],
+      ...(callID ? { callID } : {}),
+    });
+  }
+
+  const [outcome] = submitted.results;
+  if (outcome.result) return res.status(outcome.result.statusCode || 200).json(outcome.result);
+  const status = outcome.httpStatus;
+  return res.status(status && status >= 400 && status < 600 ? status : 500).json({
+    ok: false,
+    error: "google_conversion_upload_failed",
+    message: outcome.error,
+    ...(callID ? { callID } : {}),
+  });
+}
+
 async function handleRingbaGoogleConversion(req, res) {
   const source = "Ringba webhook (POST /webhooks/ringba/google-conversion)";
   const payload = buildConversionPayload(req);
@@ -50,9 +86,7 @@ async function handleRingbaGoogleConversion(req, res) {
       });
     }
 
-    const result = await googleConversionService.uploadGoogleClickConversion(payload);
-    await notifyGoogleConversionFailure(result, source, callID);
-    return res.status(result.statusCode || 200).json(result);
+    return await submitGoogleConversion(res, payload, source, callID);
   } catch (error) {
     await notifyGoogleConversionException(error, source, callID);
     const status = error.statusCode || error.response?.status;
@@ -85,9 +119,7 @@ async function handleRedTrackGoogleConversion(req, res) {
     const payload = { ...payloadPreview };
     delete payload.rt;
 
-    const result = await googleConversionService.uploadGoogleClickConversion(payload);
-    await notifyGoogleConversionFailure(result, source, callID);
-    return res.status(result.statusCode || 200).json(result);
+    return await submitGoogleConversion(res, payload, source, callID);
   } catch (error) {
     await notifyGoogleConversionException(error, source, callID);
     const status = error.statusCode || error.response?.status;
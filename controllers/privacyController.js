@@ -0,0 +1,57 @@
+/**
+ * PII retention and erasure — /api/v1/privacy
+ * Policy in config/dataRetention.js; work done by services/dataRetentionService.js.
+ */
+const dataRetentionService = require("../services/dataRetentionService");
+const { runScheduledRetention } = require("../services/dataRetentionScheduler");
+
+function sendResult(res, result) {
+  const { status, ...payload } = result;
+  return res.status(status || (result.ok ? 200 : 400)).json(payload);
+}
+
+/** GET /api/v1/privacy/retention — effective per-store policy and the last run's counts */
+exports.getRetentionStatus = async (req, res) => {
+  try {
+    return res.json({ ok: true, ...dataRetentionService.getRetentionStatus() });
+  } catch (err) {
+    console.error("Privacy retention status error:", err);
+    return res.status(500).json({ ok: false, error: err.message });
+  }
+};
+
+/** POST /api/v1/privacy/retention/run — run the TTL sync / redaction / JSONL pruning pass now */
+exports.runRetention = async (req, res) => {
+  try {
+    const run = await runScheduledRetention(`manual by ${req.user?.email || "?"}`);
+    if (!run) return res.status(409).json({ ok: false, error: "A retention run is already in progress" });
+    return res.json({ ok: true, run });
+  } catch (err) {
+    console.error("Privacy retention run error:", err);
+    return res.status(500).json({ ok: false, error: err.message });
+  }
+};
+
+/**
+ * POST /api/v1/privacy/erasure
+ * Body: { phone?, email?, reference?, dryRun? } — deletes every record tied to the caller.
+ * dryRun: true returns per-store counts without deleting.
+ */
+exports.eraseSubject = async (req, res) => {
+  try {
+    return sendResult(res, await dataRetentionService.eraseSubject(req.body || {}, req.user));
+  } catch (err) {
+    console.error("Privacy erasure error:", err);
+    return res.status(500).json({ ok: false, error: err.message });
+  }
+};
+
+/** GET /api/v1/privacy/erasures?page=1&limit=50 — erasure history (hashes only) */
+exports.listErasures = async (req, res) => {
+  try {
+    return sendResult(res, await dataRetentionService.listErasures(req.query || {}));
+  } catch (err) {
+    console.error("Privacy erasures list error:", err);
+    return res.status(500).json({ ok: false, error: err.message });
+  }
+};
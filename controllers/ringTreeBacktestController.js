@@ -0,0 +1,32 @@
+/**
+ * Ring-tree what-if backtester — replays historical calls with candidate tier rules (no side effects).
+ */
+const ringTreeBacktestService = require("../services/ringTreeBacktestService");
+
+/**
+ * POST /api/v1/ring-tree-target/backtest
+ * body: { profile: "fe", from: "2026-10-01", to: "2026-10-07", source: "events"|"calllogs", target?,
+ *         rules?: { tierRules | rpcRules + hysteresis, batchSize, moveCooldownMs }, initialTiers?, includeTargets?, maxPages? }
+ */
+exports.runBacktest = async (req, res) => {
+  try {
+    const body = req.body && typeof req.body === "object" ? req.body : {};
+    const { status, ...payload } = await ringTreeBacktestService.runBacktest({
+      profile: body.profile || body.vertical || req.query?.profile,
+      from: body.from,
+      to: body.to,
+      source: body.source,
+      target: body.target || body.targetId || body.targetName,
+      rules: body.rules,
+      initialTiers: body.initialTiers,
+      includeTargets: body.includeTargets,
+      maxPages: body.maxPages,
+      // Synchronous request: keep the paced calllogs pull short (scripts/backtest-ring-tree.js has no cap).
+      pageLimit: ringTreeBacktestService.CALLLOGS_HTTP_MAX_PAGES,
+    });
+    return res.status(status || (payload.ok ? 200 : 400)).json(payload);
+  } catch (err) {
+    console.error("RingTreeBacktest error:", err);
+    return res.status(500).json({ ok: false, error: err.message });
+  }
+};
@@ -0,0 +1,52 @@
+/**
+ * Ring-tree decision history (Ringba + CallGrid engines).
+ */
+const ringTreeHistoryService = require("../services/ringTreeHistoryService");
+
+function queryString(req, ...keys) {
+  for (const k of keys) {
+    const v = req.query?.[k];
+    if (typeof v === "string" && v.trim() !== "") return v.trim();
+  }
+  return undefined;
+}
+
+/**
+ * GET /api/v1/ring-tree-target/history
+ * ?profile=fe&target=PI...&from=2026-10-01&to=2026-10-19&action=live_move,hysteresis_block&engine=ringba&limit=100&page=1
+ */
+exports.getHistory = async (req, res) => {
+  try {
+    const payload = await ringTreeHistoryService.queryHistory({
+      engine: queryString(req, "engine"),
+      profileKey: queryString(req, "profile", "vertical"),
+      targetId: queryString(req, "target", "targetId", "destinationId"),
+      from: queryString(req, "from", "startDate"),
+      to: queryString(req, "to", "endDate"),
+      action: queryString(req, "action", "type"),
+      limit: queryString(req, "limit"),
+      page: queryString(req, "page"),
+    });
+    return res.status(payload.ok ? 200 : 400).json(payload);
+  } catch (err) {
+    console.error("RingTreeTarget history error:", err);
+    return res.status(500).json({ ok: false, error: err.message });
+  }
+};
+
+/** GET /api/v1/ring-tree-target/history/:targetId/timeline?profile=fe&from=&to=&engine= */
+exports.getTargetTimeline = async (req, res) => {
+  try {
+    const payload = await ringTreeHistoryService.getTargetTimeline({
+      targetId: String(req.params.targetId || "").trim(),
+      engine: queryString(req, "engine"),
+      profileKey: queryString(req, "profile", "vertical"),
+      from: queryString(req, "from", "startDate"),
+      to: queryString(req, "to", "endDate"),
+    });
+    return res.status(payload.ok ? 200 : 400).json(payload);
+  } catch (err) {
+    console.error("RingTreeTarget timeline error:", err);
+    return res.status(500).json({ ok: false, error: err.message });
+  }
+};
@@ -0,0 +1,89 @@
+/**
+ * Ring-tree manual overrides — pin a target to a tier, unpin it, or force-move it now.
+ * Routes require ringTree:read / ringTree:override (config/permissions.js); changes are audited
+ * (events log + ringTreeEvents) and posted to Slack with req.user as the actor.
+ */
+const dynamicRingTreeTargetService = require("../services/dynamicRingTreeTargetService");
+
+function sendResult(res, result) {
+  const { status, ...payload } = result;
+  return res.status(status || (result.ok ? 200 : 400)).json(payload);
+}
+
+function profileKeyFrom(req) {
+  const raw = req.body?.profile || req.body?.vertical || req.query?.profile || req.query?.vertical || "fe";
+  return String(raw).trim().toLowerCase();
+}
+
+/** GET /api/v1/ring-tree-target/pins?profile=fe */
+exports.listPins = async (req, res) => {
+  try {
+    const profileKey = req.query?.profile ? String(req.query.profile).trim().toLowerCase() : undefined;
+    return sendResult(res, await dynamicRingTreeTargetService.listPins(profileKey));
+  } catch (err) {
+    console.error("RingTreeOverride listPins error:", err);
+    return res.status(500).json({ ok: false, error: err.message });
+  }
+};
+
+/**
+ * POST /api/v1/ring-tree-target/targets/:targetId/pin
+ * body: { profile: "fe", tier: "FE - Tier 1", expiresAt?: ISO, reason?, moveNow?: boolean }
+ * :targetId may be the RTT id or the exact target name.
+ */
+exports.pinTarget = async (req, res) => {
+  try {
+    const body = req.body && typeof req.body === "object" ? req.body : {};
+    if (!body.tier) return res.status(400).json({ ok: false, error: "tier is required" });
+    const result = await dynamicRingTreeTargetService.pinTarget({
+      profileKey: profileKeyFrom(req),
+      target: req.params.targetId,
+      tier: String(body.tier).trim(),
+      reason: body.reason ? String(body.reason).trim() : "",
+      expiresAt: body.expiresAt,
+      moveNow: body.moveNow === true,
+      actor: req.user,
+    });
+    return sendResult(res, result);
+  } catch (err) {
+    console.error("RingTreeOverride pin error:", err);
+    return res.status(500).json({ ok: false, error: err.message });
+  }
+};
+
+/** DELETE /api/v1/ring-tree-target/targets/:targetId/pin?profile=fe */
+exports.unpinTarget = async (req, res) => {
+  try {
+    const result = await dynamicRingTreeTargetService.unpinTarget({
+      profileKey: profileKeyFrom(req),
+      target: req.params.targetId,
+      actor: req.user,
+    });
+    return sendResult(res, result);
+  } catch (err) {
+    console.error("RingTreeOverride unpin error:", err);
+    return res.status(500).json({ ok: false, error: err.message });
+  }
+};
+
+/**
+ * POST /api/v1/ring-tree-target/targets/:targetId/move
+ * body: { profile: "fe", tier: "FE - Tier 2", reason? } — ignores RPC/hysteresis/cooldown; honors dry-run and pins.
+ */
+exports.moveTarget = async (req, res) => {
+  try {
+    const body = req.body && typeof req.body === "object" ? req.body : {};
+    if (!body.tier) return res.status(400).json({ ok: false, error: "tier is required" });
+    const result = await dynamicRingTreeTargetService.manualMoveTarget({
+      profileKey: profileKeyFrom(req),
+      target: req.params.targetId,
+      tier: String(body.tier).trim(),
+      reason: body.reason ? String(body.reason).trim() : "",
+      actor: req.user,
+    });
+    return sendResult(res, result);
+  } catch (err) {
+    console.error("RingTreeOverride move error:", err);
+    return res.status(500).json({ ok: false, error: err.message });
+  }
+};
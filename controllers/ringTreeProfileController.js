@@ -0,0 +1,73 @@
+/**
+ * Ring-tree profile management — /api/v1/ring-tree-target/profiles
+ * Reads require ringTree:read, writes ringTree:write (config/permissions.js); req.user is recorded on each version.
+ */
+const ringTreeProfileService = require("../services/ringTreeProfileService");
+
+function sendResult(res, result) {
+  const { status, ...payload } = result;
+  return res.status(status || (result.ok ? 200 : 400)).json(payload);
+}
+
+/** GET /api/v1/ring-tree-target/profiles */
+exports.listProfiles = async (req, res) => {
+  return res.status(200).json({ ok: true, profiles: ringTreeProfileService.listProfiles() });
+};
+
+/** GET /api/v1/ring-tree-target/profiles/:profileKey */
+exports.getProfile = async (req, res) => {
+  try {
+    return sendResult(res, await ringTreeProfileService.getProfileDetail(req.params.profileKey));
+  } catch (err) {
+    console.error("RingTreeProfile get error:", err);
+    return res.status(500).json({ ok: false, error: err.message });
+  }
+};
+
+/** GET /api/v1/ring-tree-target/profiles/:profileKey/versions?limit=50 */
+exports.listVersions = async (req, res) => {
+  try {
+    const result = await ringTreeProfileService.listProfileVersions(req.params.profileKey, {
+      limit: req.query?.limit,
+    });
+    return res.status(200).json(result);
+  } catch (err) {
+    console.error("RingTreeProfile versions error:", err);
+    return res.status(500).json({ ok: false, error: err.message });
+  }
+};
+
+/** POST /api/v1/ring-tree-target/profiles  body: { key, label, enabled, tiers, rpcRules, hysteresis, ... } */
+exports.createProfile = async (req, res) => {
+  try {
+    const body = req.body && typeof req.body === "object" ? req.body : {};
+    if (!body.key) return res.status(400).json({ ok: false, error: "key is required" });
+    const result = await ringTreeProfileService.saveProfile(body.key, body, req.user, { create: true });
+    return sendResult(res, result);
+  } catch (err) {
+    console.error("RingTreeProfile create error:", err);
+    return res.status(500).json({ ok: false, error: err.message });
+  }
+};
+
+/** PUT /api/v1/ring-tree-target/profiles/:profileKey  body: partial profile */
+exports.updateProfile = async (req, res) => {
+  try {
+    const body = req.body && typeof req.body === "object" ? req.body : {};
+    const result = await ringTreeProfileService.saveProfile(req.params.profileKey, body, req.user);
+    return sendResult(res, result);
+  } catch (err) {
+    console.error("RingTreeProfile update error:", err);
+    return res.status(500).json({ ok: false, error: err.message });
+  }
+};
+
+/** DELETE /api/v1/ring-tree-target/profiles/:profileKey — drop DB override, fall back to config */
+exports.deleteProfile = async (req, res) => {
+  try {
+    return sendResult(res, await ringTreeProfileService.deleteProfile(req.params.profileKey, req.user));
+  } catch (err) {
+    console.error("RingTreeProfile delete error:", err);
+    return res.status(500).json({ ok: false, error: err.message });
+  }
+};
@@ -1,8 +1,5 @@
-const path = require("path");
-const cm360Service = require("../services/cm360Service");
-const rokuConversionService = require("../services/rokuConversionService");
-const jadeLeadService = require("../services/jadeLeadService");
-const slackService = require("../services/slackService");
+const conversionOutboxService = require("../services/conversionOutboxService");
+const metaConversionService = require("../services/metaConversionService");
 
 function hasDclid(conversion) {
   return (
@@ -167,31 +164,11 @@ async function handleRingbaConversion(req, res) {
     const conversions = req.body.conversions;
     const cm360Conversions = conversions.filter(hasDclid);
 
-    let cm360Response = null;
-    if (cm360Conversions.length > 0) {
-      try {
-        console.log("📤 Sending to CM360:", cm360Conversions.length, "conversion(s)");
-        cm360Response = await cm360Service.sendConversionsToCM360(cm360Conversions);
-        if (cm360Response.hasFailures && cm360Response.status) {
-          for (const statusItem of cm360Response.status) {
-            if (statusItem.errors && statusItem.errors.length > 0) {
-              const ordinal = statusItem.conversion?.ordinal || "UNKNOWN";
-              const errorMessages = statusItem.errors.map((e) => e.message).join("; ");
-              await slackService.sendSlackMessage(`${ordinal} failed. Err message : ${errorMessages}`);
-              console.error("❌ CM360 conversion error:", { ordinal, errors: errorMessages });
-            }
-          }
-        }
-      } catch (cm360Err) {
-        console.error("❌ CM360 request failed:", cm360Err.message);
-        cm360Response = { error: cm360Err.message, hasFailures: true };
-      }
-    }
-
-    return res.status(200).json({
-      success: true,
-      ...(cm360Response !== null && { cm360Response }),
+    // Persist to the conversion outbox; the worker delivers to CM360 with retries (inline if Mongo is down).
+    const submitted = await conversionOutboxService.submitConversions("cm360", cm360Conversions, {
+      source: "POST /ringba/conversion",
     });
+    return res.status(200).json(conversionOutboxService.summarizeSubmission(submitted));
   } catch (error) {
     console.error("❌ Ringba conversion handler error:", {
       error: error.message,
@@ -276,42 +253,12 @@ async function handleRokuConversion(req, res) {
       event_group_id: (c.event_group_id ?? c.eventGroupId ?? c.event ?? c.Event ?? bodyEvent).trim() || bodyEvent,
     }));
 
-    const rokuResults = await rokuConversionService.sendConversionsToRoku(conversions, {
-      defaultEventGroupId: body.event_group_id ?? body.eventGroupId ?? body.event ?? body.Event,
+    const submitted = await conversionOutboxService.submitConversions("roku", conversions, {
+      options: { defaultEventGroupId: body.event_group_id ?? body.eventGroupId ?? body.event ?? body.Event },
+      source: "POST /ringba/roku/conversion",
     });
-
-    // Slack notification for Roku failures (same pattern as CM360)
-    for (const result of rokuResults) {
-      if (result.error) {
-        const phone =
-          result.conversion?.phone ??
-          result.conversion?.caller_phone ??
-          result.conversion?.callerPhone ??
-          "unknown";
-        const errMsg = typeof result.error === "string" ? result.error : JSON.stringify(result.error);
-        const isNetworkTlsError = errMsg.includes("[network_tls_error]");
-        const errorTag = isNetworkTlsError ? "network_tls_error" : "roku_error";
-        await slackService.sendSlackMessage(
-          `ROKU [${errorTag}]: conversion fail for caller : ${phone}. Err message : ${errMsg}`
-        );
-      }
-    }
-
-    // Debug file logging to disk removed to avoid overloading server.
-
-    const hasRokuErrors = rokuResults.some((r) => r.error != null);
-    const responsePayload = {
-      success: !hasRokuErrors,
-      rokuResults: rokuResults.map((r) => ({
-        conversion: r.conversion && typeof r.conversion === "object" ? { ...r.conversion } : r.conversion,
-        sentToRoku: r.sentToRoku ?? null,
-        response: r.response ?? null,
-        error: typeof r.error === "string" ? r.error : (r.error ?? null),
-        skipped: r.skipped === true,
-      })),
-    };
-    const statusCode = hasRokuErrors ? 502 : 200;
-    return res.status(statusCode).json(responsePayload);
+    const summary = conversionOutboxService.summarizeSubmission(submitted);
+    return res.status(summary.success ? 200 : 502).json(summary);
   } catch (error) {
     console.error("❌ Roku conversion handler error:", { error: error.message, stack: error.stack });
     return res.status(500).json({ success: false, error: error.message });
@@ -340,15 +287,76 @@ async function handleJadeConversion(req, res) {
       conversions = [req.body];
     }
 
-    const summary = await jadeLeadService.sendConversionsToJade(conversions);
-    return res.status(200).json({
-      success: summary.success === true,
-      jadeSummary: {
-        success: summary.success === true,
-        data: summary.data,
-      },
+    if (conversions.length === 0) {
+      return res.status(200).json({ success: false, queued: 0, error: "no_conversions_received" });
+    }
+
+    const submitted = await conversionOutboxService.submitConversions("jade", conversions, {
+      source: "POST /ringba/jade/conversion",
     });
+    return res.status(200).json(conversionOutboxService.summarizeSubmission(submitted));
+  } catch (error) {
+    return res.status(500).json({ success: false, error: error.message });
+  }
+}
+
+/** Body-level values Ringba may send once for all conversions (same fallback as Roku's roku_api_key). */
+const META_BODY_FIELDS = ["pixel_id", "meta_access_token", "event_name", "test_event_code"];
+
+/**
+ * Handle Meta Conversions API request
+ * POST /ringba/meta/conversion
+ * Body: either { conversions: [ {...} ] } OR a single flat object:
+ *   { pixel_id, meta_access_token, event_id, phone, event_name?, email?, fbclid?, ip?, value? }
+ */
+async function handleMetaConversion(req, res) {
+  try {
+    if (!req.body || typeof req.body !== "object" || Array.isArray(req.body)) {
+      return res.status(400).json({
+        success: false,
+        error: "Request body is missing or could not be parsed. Ensure Content-Type is application/json",
+      });
+    }
+
+    const body = req.body;
+    const list = Array.isArray(body.conversions) ? body.conversions : [body];
+    if (list.length === 0) {
+      return res.status(400).json({ success: false, error: "Conversions array cannot be empty" });
+    }
+    const conversions = list.map((c) => {
+      const merged = { ...c };
+      for (const field of META_BODY_FIELDS) {
+        if (String(merged[field] ?? "").trim() === "" && String(body[field] ?? "").trim() !== "") {
+          merged[field] = body[field];
+        }
+      }
+      delete merged.conversions;
+      return merged;
+    });
+
+    console.log("📥 Meta conversion webhook received:", {
+      timestamp: new Date().toISOString(),
+      conversionsCount: conversions.length,
+    });
+
+    for (let i = 0; i < conversions.length; i++) {
+      const missing = metaConversionService.missingMetaFields(conversions[i]);
+      if (missing.length) {
+        const error = `Validation failed for conversion at index ${i}: ${missing.join(", ")} required`;
+        console.error("❌ Meta validation failed:", error);
+        return res.status(400).json({ success: false, error });
+      }
+    }
+
+    const submitted = await conversionOutboxService.submitConversions(
+      "meta",
+      conversions.map(metaConversionService.prepareQueuedConversion),
+      { source: "POST /ringba/meta/conversion" }
+    );
+    const summary = conversionOutboxService.summarizeSubmission(submitted);
+    return res.status(summary.success ? 200 : 502).json(summary);
   } catch (error) {
+    console.error("❌ Meta conversion handler error:", { error: error.message, stack: error.stack });
     return res.status(500).json({ success: false, error: error.message });
   }
 }
@@ -357,4 +365,5 @@ module.exports = {
   handleRingbaConversion,
   handleRokuConversion,
   handleJadeConversion,
+  handleMetaConversion,
 };
@@ -6,7 +6,8 @@ async function handleFakeTargetPing(req, res) {
     const result = await ringbaFakeTargetPingService.handleFakeTargetPing(
       req.query || {},
       req.body || {},
-      req.headers || {}
+      req.headers || {},
+      { apiKey: req.apiKey }
     );
     return res.status(result.httpStatus).json(result.body);
   } catch (err) {
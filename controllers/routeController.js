@@ -1,56 +1,37 @@
 const Domain = require("../models/domainModel");
-const User = require("../models/userModel");
-const jwt = require("jsonwebtoken");
 const { generateNginxConfig } = require("../services/dynamicRoutes");
 const cloudflareService = require("../services/cloudflareService");
 const redtrackService = require("../services/redtrackService");
 const {
-  enableProxyForDomain,
   enableProxyForTrkCNAME,
   disableProxyForTrkCNAME,
 } = require("../services/cloudflareProxyEnable");
 const templateService = require("../services/templateService");
 const CLOUDFLARE_CONFIG = require("../config/cloudflare");
+const { roleHasPermission } = require("../config/permissions");
 const axios = require("axios");
 const cacheService = require("../services/cacheService");
 const phpFpmMonitor = require("../services/phpFpmMonitor");
+const auditLogService = require("../services/auditLogService");
+const routeVersionService = require("../services/routeVersionService");
+const domainProvisioningService = require("../services/domainProvisioningService");
+const bulkImportService = require("../services/bulkImportService");
+const domainHealthService = require("../services/domainHealthService");
+const domainOwnershipService = require("../services/domainOwnershipService");
+const domainRegistrarService = require("../services/domainRegistrarService");
+const { runScheduledRegistrarSync } = require("../services/domainRegistrarScheduler");
 const {
   computePurgeAt,
   formatArchivedDomainResponse,
   getTrashMetadata,
 } = require("../services/trashBinService");
 
-// Helper function to extract user from JWT token
-const getUserFromToken = async (req) => {
-  try {
-    const token = req.headers.authorization?.replace("Bearer ", "");
-    if (!token) {
-      return null;
-    }
-
-    const decoded = jwt.verify(
-      token,
-      process.env.JWT_SECRET || "your-secret-key"
-    );
-    if (!decoded || !decoded.userId) {
-      return null;
-    }
-
-    const user = await User.findById(decoded.userId);
-    if (!user) {
-      return null;
-    }
-
-    return {
-      email: user.email,
-      role: user.role,
-      userId: user._id.toString(),
-    };
-  } catch (error) {
-    console.error("Error extracting user from token:", error);
-    return null;
-  }
-};
+/**
+ * Media buyers may only touch domains they own, co-own or share a team with (services/domainOwnershipService.js).
+ * Role permissions (domains:write, cache:purge, ...) are enforced before the handler runs — see
+ * routes/routeManager.js and middleware/authorize.js.
+ */
+const { canAccessDomain } = domainOwnershipService;
 
 const ACTIVE_DOMAIN_FILTER = { status: { $ne: "archived" } };
 const ARCHIVED_DOMAIN_FILTER = { status: "archived" };
@@ -176,6 +157,12 @@ exports.createDomain = async (req, res) => {
 
   try {
     // Handle both array and object request bodies (for frontend compatibility)
+    if (Array.isArray(req.body) && req.body.length > 1) {
+      return res.status(400).json({
+        error: "Invalid request body",
+        details: "Send several domains to POST /api/v1/domain/bulk",
+      });
+    }
     const requestData = Array.isArray(req.body) ? req.body[0] : req.body;
 
     if (!requestData || typeof requestData !== "object") {
@@ -304,6 +291,17 @@ exports.createDomain = async (req, res) => {
       });
     }
 
+    // assignedTo must be an active user (email or user id); the Domain stores both the id and the email
+    const owner = await domainOwnershipService.resolveOwner(assignedTo);
+    if (!owner.ok) {
+      console.error(`❌ Validation failed: ${owner.error}`);
+      return res.status(400).json({
+        error: "Invalid assignedTo",
+        details: owner.error,
+        provided: assignedTo,
+      });
+    }
+
     // Validate environment variables
     console.log("🔍 STEP 3 — Validating environment configuration");
     if (!CLOUDFLARE_CONFIG.API_TOKEN) {
@@ -337,301 +335,47 @@ exports.createDomain = async (req, res) => {
     console.log("✅ Environment configuration validated");
 
     // ============================================
-    // CLOUDFLARE & REDTRACK INTEGRATION
+    // CLOUDFLARE & REDTRACK INTEGRATION (provisioning job)
     // ============================================
 
-    console.log("🔍 STEP 4 — Starting Cloudflare & RedTrack integration");
-
-    let cloudflareZoneId = null;
-    let redtrackResult = null;
-    let tempDomain = null;
-    let createdARecordIds = [];
-    const redtrackDedicatedDomain =
-      redtrackService.getRedTrackDedicatedDomain();
-
-    console.log(
-      `ℹ️  RedTrack dedicated domain: ${
-        redtrackDedicatedDomain || "Not configured"
-      }`
-    );
-
-    try {
-      // 1) Get or create Cloudflare zone (no polling; rely on status only)
-      console.log(
-        `🔄 STEP 4.1 — Getting/Creating Cloudflare zone for ${sanitizedDomain}`
-      );
-      const zoneDetails = await cloudflareService.getOrCreateZone(
-        sanitizedDomain
-      );
-      cloudflareZoneId = zoneDetails.id;
-      console.log(
-        `✅ Cloudflare zone: ${zoneDetails.name} (${cloudflareZoneId}) status=${zoneDetails.status}`
-      );
-
-      if (zoneDetails.status !== "active") {
-        throw new Error(
-          `Cloudflare zone is ${zoneDetails.status}. Please point registrar nameservers to Cloudflare and retry.`
-        );
-      }
-
-      // 2) Add A records (root + wildcard) -> origin IP, DNS-only
-      console.log(
-        `🔄 STEP 4.2 — Ensuring A records for ${sanitizedDomain} → ${CLOUDFLARE_CONFIG.SERVER_IP} (proxied: false)`
-      );
-      const aRecordResult = await cloudflareService.setARecord(
-        cloudflareZoneId,
-        sanitizedDomain,
-        CLOUDFLARE_CONFIG.SERVER_IP
-      );
-      createdARecordIds = aRecordResult.createdRecordIds || [];
-      console.log(
-        `✅ A record step complete (created: ${
-          createdARecordIds.length
-        }, existing: ${aRecordResult.existingRecordIds?.length || 0})`
-      );
-
-      // 3) Create RedTrack CNAME (DNS only, no proxy - RedTrack needs to verify it first)
-      if (redtrackDedicatedDomain) {
-        console.log(
-          `🔄 STEP 4.3 — Ensuring RedTrack CNAME for ${sanitizedDomain} → ${redtrackDedicatedDomain} (DNS-only for RedTrack verification)`
-        );
-        await cloudflareService.createRedTrackCNAME(
-          cloudflareZoneId,
-          sanitizedDomain,
-          redtrackDedicatedDomain
-        );
-        console.log(`✅ RedTrack CNAME present (DNS-only)`);
-      } else {
-        console.log(`ℹ️  Skipping RedTrack CNAME (not configured)`);
-      }
-
-      // 4) Create DB record (proxy disabled until later)
-      console.log(`🔄 STEP 4.4 — Creating temporary domain record in database`);
-      const tempDomainData = {
+    // Steps 4.1–4.10 (zone, A records, trk CNAME, DB record, nginx, SSL mode, proxy, RedTrack) run as a
+    // persisted job — see services/domainProvisioningService.js. Poll GET /domain/:domain/provisioning.
+    console.log("🔍 STEP 4 — Queueing Cloudflare & RedTrack provisioning job");
+    const provisioning = await domainProvisioningService.startProvisioning(
+      {
         domain: sanitizedDomain,
-        assignedTo,
+        assignedTo: owner.user.email,
+        ownerId: String(owner.user._id),
         organization: organization || "Paragon",
         id,
         platform,
         vertical: vertical.trim(),
         rtkID: rtkID || null,
         certificationTags: certificationTags || [],
-        routes: [],
-        cloudflareZoneId: cloudflareZoneId || null,
-        aRecordIP: CLOUDFLARE_CONFIG.SERVER_IP || null,
-        sslStatus: "cf-universal",
-        proxyStatus: "disabled",
-      };
-
-      tempDomain = await Domain.create(tempDomainData);
-      console.log(
-        `✅ Temporary domain record created: ${sanitizedDomain} (ID: ${tempDomain._id})`
-      );
-
-      // 5) Generate nginx fragment (no SSL configuration changes here)
-      console.log(
-        `🔄 STEP 4.5 — Writing nginx fragment for ${sanitizedDomain}`
-      );
-      try {
-        await generateNginxConfig(tempDomain);
-
-        // Verify the config file was actually created
-        const fs = require("fs");
-        const configPath = `/etc/nginx/dynamic/${sanitizedDomain}.conf`;
-        if (fs.existsSync(configPath)) {
-          console.log(`✅ Nginx config file verified: ${configPath}`);
-        } else {
-          console.error(
-            `❌ WARNING: Nginx config file was NOT created: ${configPath}`
-          );
-          console.error(
-            `⚠️  Domain created but Nginx config is missing - manual regeneration required`
-          );
-        }
-        console.log(`✅ nginx fragment ready`);
-      } catch (nginxErr) {
-        console.error(
-          `❌ Failed to generate nginx config: ${nginxErr.message}`
-        );
-        console.error(`❌ Nginx error stack: ${nginxErr.stack}`);
-        // Don't fail domain creation if nginx config fails - log error but continue
-        console.warn(
-          `⚠️  Domain created but nginx config generation failed - manual regeneration required`
-        );
-      }
-
-      // 6) Set Cloudflare SSL mode (Universal SSL handles edge)
-      console.log(
-        `🔄 STEP 4.6 — Setting Cloudflare SSL mode to ${CLOUDFLARE_CONFIG.SSL_MODE}`
-      );
-      const sslModeResult = await cloudflareService.setSSLMode(
-        cloudflareZoneId,
-        CLOUDFLARE_CONFIG.SSL_MODE
-      );
-      if (sslModeResult?.skipped) {
-        console.warn(
-          `⚠️  SSL mode setting skipped: ${
-            sslModeResult.reason || "unknown reason"
-          }`
-        );
-      } else {
-        console.log(
-          `✅ Cloudflare SSL mode set to ${CLOUDFLARE_CONFIG.SSL_MODE}`
-        );
-      }
-
-      // 7) Ensure trk CNAME is DNS-only (disable proxy if needed) before RedTrack verification
-      if (redtrackDedicatedDomain) {
-        console.log(
-          `🔄 STEP 4.7 — Ensuring trk CNAME is DNS-only for RedTrack verification`
-        );
-        const disableResult = await disableProxyForTrkCNAME(sanitizedDomain);
-        if (disableResult.success) {
-          console.log(
-            `✅ trk CNAME is DNS-only (ready for RedTrack verification)`
-          );
-        } else {
-          console.warn(
-            `⚠️  Could not ensure trk CNAME is DNS-only: ${disableResult.error}`
-          );
-        }
-      }
-
-      // 8) Enable Cloudflare proxy for A records only (NOT trk CNAME - RedTrack needs to verify DNS first)
-      console.log(
-        `🔄 STEP 4.8 — Enabling Cloudflare proxy for new A records on ${sanitizedDomain}`
-      );
-      await enableProxyForDomain(sanitizedDomain, createdARecordIds);
-      console.log(`✅ Cloudflare proxy enabled for created A records`);
-
-      // 9) Add domain to RedTrack (BEFORE enabling proxy on trk CNAME - they need to verify the CNAME points to dx8jy.ttrk.io)
-      if (redtrackDedicatedDomain) {
-        console.log(
-          `🔄 STEP 4.9 — Registering domain with RedTrack: ${sanitizedDomain} (trk CNAME is DNS-only for verification)`
-        );
-        // Wait a few seconds for DNS propagation before RedTrack verification
-        console.log(
-          `⏳ Waiting 5 seconds for DNS propagation before RedTrack registration...`
-        );
-        await new Promise((resolve) => setTimeout(resolve, 5000));
-        console.log(`✅ DNS propagation wait complete`);
-
-        redtrackResult = await redtrackService.addRedTrackDomain(
-          sanitizedDomain
-        );
-        if (redtrackResult.status === "skipped") {
-          console.warn(
-            `⚠️  RedTrack registration skipped: ${
-              redtrackResult.reason || "unknown reason"
-            }`
-          );
-          console.warn(
-            `⚠️  Domain will be created, but RedTrack registration needs to be done manually`
-          );
-        } else {
-          console.log(`✅ RedTrack added: ${redtrackResult.trackingDomain}`);
-
-          // 10) NOW enable proxy for trk CNAME after RedTrack registration succeeds
-          console.log(
-            `🔄 STEP 4.10 — Enabling Cloudflare proxy for trk CNAME (after RedTrack registration)`
-          );
-          const trkProxyResult = await enableProxyForTrkCNAME(sanitizedDomain);
-          if (trkProxyResult.success) {
-            console.log(`✅ Cloudflare proxy enabled for trk CNAME`);
-          } else {
-            console.warn(
-              `⚠️  Could not enable proxy for trk CNAME: ${trkProxyResult.error}`
-            );
-          }
-        }
-      } else {
-        console.log(`ℹ️  Skipping RedTrack registration (not configured)`);
-      }
-    } catch (integrationError) {
-      console.error("=".repeat(80));
-      console.error("❌ DOMAIN CREATION ERROR — Integration failed");
-      console.error("Domain:", sanitizedDomain);
-      console.error("Error name:", integrationError.name);
-      console.error("Error message:", integrationError.message);
-      console.error("Error stack:", integrationError.stack);
-      if (integrationError.response) {
-        console.error(
-          "HTTP Response Status:",
-          integrationError.response.status
-        );
-        console.error(
-          "HTTP Response Data:",
-          JSON.stringify(integrationError.response.data, null, 2)
-        );
-      }
-      console.error("=".repeat(80));
-
-      // cleanup DB record if created
-      if (tempDomain && tempDomain._id) {
-        try {
-          await Domain.findByIdAndDelete(tempDomain._id);
-          console.log(`✅ Temporary domain record deleted for cleanup`);
-        } catch (e) {
-          console.error(`⚠️ Failed to delete temp domain record:`, e.message);
-        }
-      }
-
-      const errorDetails =
-        integrationError.message || integrationError.toString();
-      const errorResponse = {
-        error: "Domain creation failed: Integration error",
-        details: errorDetails,
+      },
+      req
+    );
+    if (!provisioning.ok) {
+      console.error(`❌ Could not queue provisioning for ${sanitizedDomain}: ${provisioning.error}`);
+      return res.status(provisioning.status).json({
+        error: "Domain creation failed",
+        details: provisioning.error,
         domain: sanitizedDomain,
-      };
-
-      // Add more details if available
-      if (integrationError.response?.data) {
-        errorResponse.apiError = integrationError.response.data;
-      }
-
-      return res.status(400).json(errorResponse);
+        ...(provisioning.job && { jobId: provisioning.job.id, provisioning: provisioning.job }),
+      });
     }
-
-    // 9. Update domain record with final integration data
-    console.log(`🔄 STEP 5 — Saving final domain record to database`);
-    tempDomain.sslStatus = "cf-universal";
-    tempDomain.proxyStatus = "enabled";
-    tempDomain.redtrackDomainId = redtrackResult?.domainId || null;
-    tempDomain.redtrackTrackingDomain = redtrackResult?.trackingDomain || null;
-
-    const newDomain = await tempDomain.save();
-    console.log(
-      `✅ Domain saved successfully: ${sanitizedDomain} (${newDomain.organization}) - ID: ${id} - Assigned to: ${assignedTo}`
-    );
     console.log(
-      `✅ RedTrack Domain ID: ${newDomain.redtrackDomainId || "N/A"}`
-    );
-    console.log(
-      `✅ RedTrack Tracking Domain: ${
-        newDomain.redtrackTrackingDomain || "N/A"
-      }`
+      `✅ Provisioning job ${provisioning.job.id} queued for ${sanitizedDomain} (assigned to: ${owner.user.email})`
     );
 
-    // Return success immediately (no DNS/SSL polling)
-    res.status(201).json({
+    res.status(202).json({
       message:
-        "Domain created successfully using Cloudflare Universal SSL. Proxy enabled.",
-      domain: {
-        domain: newDomain.domain,
-        assignedTo: newDomain.assignedTo,
-        organization: newDomain.organization,
-        id: newDomain.id,
-        platform: newDomain.platform,
-        vertical: newDomain.vertical,
-        rtkID: newDomain.rtkID,
-        certificationTags: newDomain.certificationTags,
-        routes: newDomain.routes,
-        cloudflareZoneId: newDomain.cloudflareZoneId,
-        sslStatus: newDomain.sslStatus,
-        proxyStatus: newDomain.proxyStatus,
-        redtrackTrackingDomain: newDomain.redtrackTrackingDomain,
-        createdAt: newDomain.createdAt,
-      },
+        "Domain provisioning started. Poll the provisioning endpoint for per-step status.",
+      domain: sanitizedDomain,
+      jobId: provisioning.job.id,
+      status: provisioning.job.status,
+      statusUrl: `/api/v1/domain/${encodeURIComponent(sanitizedDomain)}/provisioning`,
+      steps: provisioning.job.steps,
     });
   } catch (err) {
     console.error("=".repeat(80));
@@ -696,16 +440,9 @@ exports.createRoute = async (req, res) => {
   } = req.body;
 
   try {
-    // Extract logged-in user from JWT token
-    const loggedInUser = await getUserFromToken(req);
-    if (!loggedInUser) {
-      return res.status(401).json({
-        error: "Authentication required. Please provide a valid token.",
-      });
-    }
+    const loggedInUser = req.user;
 
     const loggedInUserEmail = loggedInUser.email;
-    const loggedInUserRole = loggedInUser.role;
 
     // Validate required fields (createdBy is optional - we'll set it from JWT)
     if (!domain || !route || !template || !organization || !platform) {
@@ -780,21 +517,10 @@ exports.createRoute = async (req, res) => {
       });
     }
 
-    // Role-based access control
-    if (loggedInUserRole === "mediaBuyer") {
-      // MediaBuyer can only create routes on domains assigned to them
-      if (domainDoc.assignedTo !== loggedInUserEmail) {
-        return res.status(403).json({
-          error: "You don't have access to modify this domain.",
-        });
-      }
-    } else if (["tech", "ceo", "admin"].includes(loggedInUserRole)) {
-      // Tech, CEO, and Admin can create routes on any domain
-      // No additional check needed
-    } else {
-      // Unknown role - deny access
+    // MediaBuyer can only create routes on domains assigned to them
+    if (!canAccessDomain(loggedInUser, domainDoc)) {
       return res.status(403).json({
-        error: "You don't have permission to create routes.",
+        error: "You don't have access to modify this domain.",
       });
     }
 
@@ -825,6 +551,18 @@ exports.createRoute = async (req, res) => {
     });
 
     await domainDoc.save();
+    await auditLogService.recordAudit(req, {
+      action: "route.create",
+      targetType: "route",
+      domain: domainDoc.domain,
+      route: newRoute.route,
+      after: auditLogService.snapshotRoute(newRoute),
+    });
+    await routeVersionService.recordRouteVersion(
+      domainDoc.domain,
+      domainDoc.routes.find((r) => r.route === route),
+      { action: "create", user: loggedInUser }
+    );
 
     // Refresh domainDoc from database to ensure we have the latest data with the new route
     const refreshedDomainDoc = await Domain.findOne({ domain });
@@ -936,6 +674,43 @@ exports.createRoute = async (req, res) => {
   }
 };
 
+// BULK IMPORT — CSV (text/csv or { csv }) or a JSON array of rows; ?dryRun=true validates only,
+// ?skipInvalid=true imports the valid rows when some are invalid
+function bulkImportOptions(req) {
+  return { req, dryRun: req.query.dryRun === "true", skipInvalid: req.query.skipInvalid === "true" };
+}
+
+// Endpoint: POST /api/v1/domain/bulk — one provisioning job per domain, routes created with the domain
+exports.bulkCreateDomains = async (req, res) => {
+  try {
+    const { ok, status, ...report } = await bulkImportService.importDomains(req.body, bulkImportOptions(req));
+    if (ok && !report.dryRun) {
+      console.log(`📦 Bulk domain import by ${req.user.email}: ${JSON.stringify(report.summary)}`);
+    }
+    res.status(status).json(report);
+  } catch (err) {
+    console.error("Bulk domain import error:", err);
+    res.status(500).json({ error: "Server error during bulk domain import." });
+  }
+};
+
+// Endpoint: POST /api/v1/route/bulk — routes on existing domains (same fields as POST /route)
+exports.bulkCreateRoutes = async (req, res) => {
+  try {
+    const { ok, status, ...report } = await bulkImportService.importRoutes(req.body, {
+      ...bulkImportOptions(req),
+      canAccess: (domainDoc) => canAccessDomain(req.user, domainDoc),
+    });
+    if (ok && !report.dryRun) {
+      console.log(`📦 Bulk route import by ${req.user.email}: ${JSON.stringify(report.summary)}`);
+    }
+    res.status(status).json(report);
+  } catch (err) {
+    console.error("Bulk route import error:", err);
+    res.status(500).json({ error: "Server error during bulk route import." });
+  }
+};
+
 // EDIT DOMAIN NAME AND OTHER FIELDS
 exports.updateDomainName = async (req, res) => {
   try {
@@ -963,6 +738,10 @@ exports.updateDomainName = async (req, res) => {
       return res.status(404).json({ error: "Domain not found." });
     }
 
+    if (!canAccessDomain(req.user, domainDoc)) {
+      return res.status(403).json({ error: "You don't have access to this domain." });
+    }
+
     if (isDomainArchived(domainDoc)) {
       return res.status(400).json({
         error: "Domain is archived.",
@@ -974,6 +753,9 @@ exports.updateDomainName = async (req, res) => {
 
     console.log(`📋 Found domain document:`, domainDoc.domain);
 
+    const auditBefore = auditLogService.snapshotDomain(domainDoc);
+    let ownershipChange = null;
+
     // Store old values for response
     const oldValues = {
       organization: domainDoc.organization,
@@ -1071,8 +853,24 @@ exports.updateDomainName = async (req, res) => {
           error: "assignedTo must be a non-empty string",
         });
       }
-      newValues.assignedTo = newAssignedTo;
-      domainDoc.assignedTo = newAssignedTo;
+      // A new assignee is an ownership transfer: ownerId, route createdBy and the transfer history follow.
+      // The unchanged value (sent back by the edit form) is left alone, even if it has no user yet.
+      if (newAssignedTo.trim() !== domainDoc.assignedTo) {
+        // Same permission as POST /domain/:domain/transfer (media buyers have domains:write but not this)
+        if (!roleHasPermission(req.user?.role, "domains:transfer")) {
+          return res.status(403).json({
+            error: "You don't have permission to change the domain owner (requires domains:transfer).",
+          });
+        }
+        const owner = await domainOwnershipService.resolveOwner(newAssignedTo);
+        if (!owner.ok) {
+          return res.status(400).json({ error: "Invalid assignedTo", details: owner.error });
+        }
+        if (String(domainDoc.ownerId || "") !== String(owner.user._id) || domainDoc.assignedTo !== owner.user.email) {
+          ownershipChange = domainOwnershipService.applyTransfer(domainDoc, owner.user);
+        }
+      }
+      newValues.assignedTo = domainDoc.assignedTo;
     }
 
     if (newVertical !== undefined) {
@@ -1092,6 +890,27 @@ exports.updateDomainName = async (req, res) => {
 
     // Save the updated domain
     const updatedDomain = await domainDoc.save();
+    await auditLogService.recordAudit(req, {
+      action: "domain.update",
+      targetType: "domain",
+      domain: updatedDomain.domain,
+      before: auditBefore,
+      after: auditLogService.snapshotDomain(updatedDomain),
+    });
+    if (ownershipChange) await domainOwnershipService.recordTransfer(ownershipChange, req);
+    // Domain-level rtkID is copied onto every route and a transfer moves createdBy, so those routes get a new version.
+    if (oldValues.rtkID !== newValues.rtkID || ownershipChange?.routesUpdated.length) {
+      for (const r of updatedDomain.routes) {
+        const previous = auditBefore.routes.find((p) => p.route === r.route);
+        const current = routeVersionService.snapshotRoute(r);
+        if (JSON.stringify(routeVersionService.snapshotRoute(previous)) === JSON.stringify(current)) continue;
+        await routeVersionService.recordRouteVersion(updatedDomain.domain, r, {
+          action: "update",
+          previous: routeVersionService.snapshotRoute(previous),
+          user: req.user,
+        });
+      }
+    }
 
     console.log(
       `✅ Domain updated successfully: ${oldDomain} -> ${updatedDomain.domain}`
@@ -1135,6 +954,7 @@ exports.updateDomainName = async (req, res) => {
         rtkID: updatedDomain.rtkID,
         certificationTags: updatedDomain.certificationTags,
         assignedTo: updatedDomain.assignedTo,
+        ownerId: updatedDomain.ownerId || null,
         routes: updatedDomain.routes.length,
       },
       changes: hasChanges
@@ -1180,16 +1000,7 @@ exports.updateRouteData = async (req, res) => {
   } = req.body;
 
   try {
-    // Extract logged-in user from JWT token
-    const loggedInUser = await getUserFromToken(req);
-    if (!loggedInUser) {
-      return res.status(401).json({
-        error: "Authentication required. Please provide a valid token.",
-      });
-    }
-
-    const loggedInUserEmail = loggedInUser.email;
-    const loggedInUserRole = loggedInUser.role;
+    const loggedInUser = req.user;
 
     // Validate required fields (createdBy is optional - we'll use logged-in user)
     if (!domain || !route) {
@@ -1213,21 +1024,10 @@ exports.updateRouteData = async (req, res) => {
       });
     }
 
-    // Role-based access control
-    if (loggedInUserRole === "mediaBuyer") {
-      // MediaBuyer can only update routes on domains assigned to them
-      if (domainDoc.assignedTo !== loggedInUserEmail) {
-        return res.status(403).json({
-          error: "You don't have access to modify this domain.",
-        });
-      }
-    } else if (["tech", "ceo", "admin"].includes(loggedInUserRole)) {
-      // Tech, CEO, and Admin can update routes on any domain
-      // No additional check needed
-    } else {
-      // Unknown role - deny access
+    // MediaBuyer can only update routes on domains assigned to them
+    if (!canAccessDomain(loggedInUser, domainDoc)) {
       return res.status(403).json({
-        error: "You don't have permission to update routes.",
+        error: "You don't have access to modify this domain.",
       });
     }
 
@@ -1239,6 +1039,8 @@ exports.updateRouteData = async (req, res) => {
         .json({ error: "Route not found under this domain." });
     }
 
+    const auditBefore = auditLogService.snapshotRoute(routeToUpdate);
+
     // Store old values for response
     const oldValues = {
       oldRoute: route,
@@ -1294,6 +1096,19 @@ exports.updateRouteData = async (req, res) => {
     }
 
     await domainDoc.save();
+    await auditLogService.recordAudit(req, {
+      action: "route.update",
+      targetType: "route",
+      domain: domainDoc.domain,
+      route: routeToUpdate.route,
+      before: auditBefore,
+      after: auditLogService.snapshotRoute(routeToUpdate),
+    });
+    await routeVersionService.recordRouteVersion(domainDoc.domain, routeToUpdate, {
+      action: "update",
+      previous: routeVersionService.snapshotRoute(auditBefore),
+      user: loggedInUser,
+    });
     await generateNginxConfig();
 
     // Check if any values actually changed
@@ -1512,13 +1327,7 @@ exports.deleteDomain = async (req, res) => {
   try {
     const { domain } = req.params;
 
-    // Extract logged-in user from JWT token
-    const loggedInUser = await getUserFromToken(req);
-    if (!loggedInUser) {
-      return res.status(401).json({
-        error: "Authentication required. Please provide a valid token.",
-      });
-    }
+    const loggedInUser = req.user;
 
     const loggedInUserEmail = loggedInUser.email;
     const loggedInUserRole = loggedInUser.role;
@@ -1538,27 +1347,17 @@ exports.deleteDomain = async (req, res) => {
       });
     }
 
-    // Role-based access control
-    if (loggedInUserRole === "mediaBuyer") {
-      // MediaBuyer can only delete domains assigned to them
-      if (domainDoc.assignedTo !== loggedInUserEmail) {
-        return res.status(403).json({
-          error: "You don't have access to delete this domain.",
-        });
-      }
-    } else if (["tech", "ceo", "admin"].includes(loggedInUserRole)) {
-      // Tech, CEO, and Admin can delete any domain
-      // No additional check needed
-    } else {
-      // Unknown role - deny access
+    // MediaBuyer can only delete domains assigned to them
+    if (!canAccessDomain(loggedInUser, domainDoc)) {
       return res.status(403).json({
-        error: "You don't have permission to delete domains.",
+        error: "You don't have access to delete this domain.",
       });
     }
 
     console.log(
       `🗑️  Archiving domain: ${domain} (requested by: ${loggedInUserEmail}, role: ${loggedInUserRole})`
     );
+    const auditBefore = auditLogService.snapshotDomain(domainDoc);
 
     // --- Cleanup Cloudflare & RedTrack resources ---
     // Keep Cloudflare A records pointing at origin so deleted hosts hit nginx
@@ -1581,6 +1380,7 @@ exports.deleteDomain = async (req, res) => {
         console.log(`🔄 Disabling Cloudflare auto-renew for ${domain}...`);
         const autoRenewResult =
           await cloudflareService.disableRegistrarAutoRenew(domain);
+        domainRegistrarService.noteAutoRenew(domainDoc, autoRenewResult);
         switch (autoRenewResult.status) {
           case "disabled":
           case "disabled_async":
@@ -1687,6 +1487,14 @@ exports.deleteDomain = async (req, res) => {
     domainDoc.restoredBy = undefined;
     await domainDoc.save();
     console.log(`✅ Domain archived in database: ${domain} (data retained)`);
+    await auditLogService.recordAudit(req, {
+      action: "domain.archive",
+      targetType: "domain",
+      domain: domainDoc.domain,
+      before: auditBefore,
+      after: auditLogService.snapshotDomain(domainDoc),
+      meta: { cloudflareCache: cloudflareCachePurge, cloudflareAutoRenew, redtrack: redtrackCleanup },
+    });
 
     // 4. Delete Nginx config file for this domain
     const { execSync } = require("child_process");
@@ -1761,14 +1569,8 @@ exports.deleteDomain = async (req, res) => {
 // GET ARCHIVED DOMAINS
 exports.getArchivedDomains = async (req, res) => {
   try {
-    const loggedInUser = await getUserFromToken(req);
-    if (!loggedInUser) {
-      return res.status(401).json({
-        error: "Authentication required. Please provide a valid token.",
-      });
-    }
+    const loggedInUser = req.user;
 
-    const loggedInUserEmail = loggedInUser.email;
     const loggedInUserRole = loggedInUser.role;
 
     const {
@@ -1781,20 +1583,13 @@ exports.getArchivedDomains = async (req, res) => {
 
     let query = { ...ARCHIVED_DOMAIN_FILTER };
 
-    if (loggedInUserRole === "mediaBuyer") {
-      query.assignedTo = loggedInUserEmail;
-    } else if (!["tech", "ceo", "admin"].includes(loggedInUserRole)) {
-      return res.status(403).json({
-        error: "You don't have permission to view archived domains.",
-      });
-    }
+    const ownershipFilter = domainOwnershipService.accessFilter(loggedInUser);
+    Object.assign(query, ownershipFilter);
 
     if (search) {
       query.$and = [
         { status: "archived" },
-        ...(loggedInUserRole === "mediaBuyer"
-          ? [{ assignedTo: loggedInUserEmail }]
-          : []),
+        ...(loggedInUserRole === "mediaBuyer" ? [ownershipFilter] : []),
         {
           $or: [
             { domain: { $regex: search, $options: "i" } },
@@ -1804,7 +1599,7 @@ exports.getArchivedDomains = async (req, res) => {
         },
       ];
       delete query.status;
-      delete query.assignedTo;
+      delete query.$or;
     }
 
     const sortOptions = {};
@@ -1864,12 +1659,7 @@ exports.restoreDomain = async (req, res) => {
   try {
     const { domain } = req.params;
 
-    const loggedInUser = await getUserFromToken(req);
-    if (!loggedInUser) {
-      return res.status(401).json({
-        error: "Authentication required. Please provide a valid token.",
-      });
-    }
+    const loggedInUser = req.user;
 
     const loggedInUserEmail = loggedInUser.email;
     const loggedInUserRole = loggedInUser.role;
@@ -1888,21 +1678,16 @@ exports.restoreDomain = async (req, res) => {
       });
     }
 
-    if (loggedInUserRole === "mediaBuyer") {
-      if (domainDoc.assignedTo !== loggedInUserEmail) {
-        return res.status(403).json({
-          error: "You don't have access to restore this domain.",
-        });
-      }
-    } else if (!["tech", "ceo", "admin"].includes(loggedInUserRole)) {
+    if (!canAccessDomain(loggedInUser, domainDoc)) {
       return res.status(403).json({
-        error: "You don't have permission to restore domains.",
+        error: "You don't have access to restore this domain.",
       });
     }
 
     console.log(
       `♻️  Restoring domain: ${domain} (requested by: ${loggedInUserEmail}, role: ${loggedInUserRole})`
     );
+    const auditBefore = auditLogService.snapshotDomain(domainDoc);
 
     let cloudflareAutoRenew = "pending";
     let redtrackRestore = "pending";
@@ -1912,6 +1697,7 @@ exports.restoreDomain = async (req, res) => {
       console.log(`🔄 Enabling Cloudflare auto-renew for ${domain}...`);
       const autoRenewResult =
         await cloudflareService.enableRegistrarAutoRenew(domain);
+      domainRegistrarService.noteAutoRenew(domainDoc, autoRenewResult);
       switch (autoRenewResult.status) {
         case "enabled":
         case "enabled_async":
@@ -1986,6 +1772,14 @@ exports.restoreDomain = async (req, res) => {
     domainDoc.archivedBy = undefined;
     domainDoc.purgeAt = undefined;
     await domainDoc.save();
+    await auditLogService.recordAudit(req, {
+      action: "domain.restore",
+      targetType: "domain",
+      domain: domainDoc.domain,
+      before: auditBefore,
+      after: auditLogService.snapshotDomain(domainDoc),
+      meta: { cloudflareAutoRenew, redtrack: redtrackRestore },
+    });
 
     try {
       console.log(`🔄 Regenerating nginx config for ${domain}...`);
@@ -2045,16 +1839,7 @@ exports.deleteSubRoute = async (req, res) => {
   try {
     const { domain, route } = req.params;
 
-    // Extract logged-in user from JWT token
-    const loggedInUser = await getUserFromToken(req);
-    if (!loggedInUser) {
-      return res.status(401).json({
-        error: "Authentication required. Please provide a valid token.",
-      });
-    }
-
-    const loggedInUserEmail = loggedInUser.email;
-    const loggedInUserRole = loggedInUser.role;
+    const loggedInUser = req.user;
 
     const domainDoc = await Domain.findOne({ domain });
 
@@ -2071,21 +1856,10 @@ exports.deleteSubRoute = async (req, res) => {
       });
     }
 
-    // Role-based access control
-    if (loggedInUserRole === "mediaBuyer") {
-      // MediaBuyer can only delete routes on domains assigned to them
-      if (domainDoc.assignedTo !== loggedInUserEmail) {
-        return res.status(403).json({
-          error: "You don't have access to modify this domain.",
-        });
-      }
-    } else if (["tech", "ceo", "admin"].includes(loggedInUserRole)) {
-      // Tech, CEO, and Admin can delete routes on any domain
-      // No additional check needed
-    } else {
-      // Unknown role - deny access
+    // MediaBuyer can only delete routes on domains assigned to them
+    if (!canAccessDomain(loggedInUser, domainDoc)) {
       return res.status(403).json({
-        error: "You don't have permission to delete routes.",
+        error: "You don't have access to modify this domain.",
       });
     }
 
@@ -2100,6 +1874,21 @@ exports.deleteSubRoute = async (req, res) => {
         .status(404)
         .json({ error: "Route not found under this domain." });
     }
+    const deletedRoute = domainDoc.routes.find((r) => r.route === route);
+    if (deletedRoute) {
+      await auditLogService.recordAudit(req, {
+        action: "route.delete",
+        targetType: "route",
+        domain: domainDoc.domain,
+        route,
+        before: auditLogService.snapshotRoute(deletedRoute),
+      });
+      await routeVersionService.recordRouteVersion(domainDoc.domain, deletedRoute, {
+        action: "delete",
+        previous: routeVersionService.snapshotRoute(deletedRoute),
+        user: loggedInUser,
+      });
+    }
 
     // Regenerate nginx config for ONLY this domain (not all domains)
     console.log(
@@ -2137,6 +1926,395 @@ exports.deleteSubRoute = async (req, res) => {
   }
 };
 
+// DOMAIN PROVISIONING JOB
+// Media buyers only see jobs for domains assigned to them (the Domain record may not exist yet).
+async function loadProvisioningForUser(req, res) {
+  const result = await domainProvisioningService.getProvisioning(req.params.domain);
+  if (!result.ok) {
+    res.status(result.status).json({ error: result.error });
+    return null;
+  }
+  if (!canAccessDomain(req.user, { assignedTo: result.job.input?.assignedTo, ownerId: result.job.input?.ownerId })) {
+    res.status(403).json({ error: "You don't have access to this domain." });
+    return null;
+  }
+  return result.job;
+}
+
+// Endpoint: GET /api/v1/domain/:domain/provisioning
+exports.getDomainProvisioning = async (req, res) => {
+  try {
+    const job = await loadProvisioningForUser(req, res);
+    if (!job) return;
+    res.status(200).json({ domain: req.params.domain, provisioning: job });
+  } catch (err) {
+    console.error("Error fetching domain provisioning:", err);
+    res.status(500).json({ error: "Server error while fetching provisioning status." });
+  }
+};
+
+// Endpoint: POST /api/v1/domain/:domain/provisioning/retry — resume a failed job from its failed step
+exports.retryDomainProvisioning = async (req, res) => {
+  try {
+    if (!(await loadProvisioningForUser(req, res))) return;
+    const result = await domainProvisioningService.retryProvisioning(req.params.domain);
+    if (!result.ok) {
+      return res.status(result.status).json({ error: result.error });
+    }
+    console.log(`🔁 Provisioning retry for ${req.params.domain} requested by ${req.user.email}`);
+    res.status(202).json({
+      message: "Provisioning resumed.",
+      domain: req.params.domain,
+      provisioning: result.job,
+    });
+  } catch (err) {
+    console.error("Error retrying domain provisioning:", err);
+    res.status(500).json({ error: "Server error while retrying provisioning." });
+  }
+};
+
+// Endpoint: POST /api/v1/domain/:domain/provisioning/cancel — stop the job and undo completed steps
+exports.cancelDomainProvisioning = async (req, res) => {
+  try {
+    if (!(await loadProvisioningForUser(req, res))) return;
+    const result = await domainProvisioningService.cancelProvisioning(req.params.domain, req.user);
+    if (!result.ok) {
+      return res.status(result.status).json({ error: result.error });
+    }
+    res.status(result.status).json({
+      message: result.message || "Provisioning cancelled.",
+      domain: req.params.domain,
+      provisioning: result.job,
+    });
+  } catch (err) {
+    console.error("Error cancelling domain provisioning:", err);
+    res.status(500).json({ error: "Server error while cancelling provisioning." });
+  }
+};
+
+// Domain by :domain for endpoints that media buyers may only use on their own domains
+async function loadAccessibleDomain(req, res) {
+  const domainDoc = await Domain.findOne({ domain: req.params.domain });
+  if (!domainDoc) {
+    res.status(404).json({ error: "Domain not found." });
+    return null;
+  }
+  if (!canAccessDomain(req.user, domainDoc)) {
+    res.status(403).json({ error: "You don't have access to this domain." });
+    return null;
+  }
+  return domainDoc;
+}
+
+// DOMAIN HEALTH / DRIFT
+// Endpoint: GET /api/v1/domain-health?status=drift — latest check per domain, most drift first
+exports.listDomainHealth = async (req, res) => {
+  try {
+    const result = await domainHealthService.listHealth(req.query, req.user);
+    if (!result.ok) {
+      return res.status(result.status).json({ error: result.error });
+    }
+    res.status(200).json({ domains: result.domains, pagination: result.pagination });
+  } catch (err) {
+    console.error("Error listing domain health:", err);
+    res.status(500).json({ error: "Server error while listing domain health." });
+  }
+};
+
+// Endpoint: GET /api/v1/domain/:domain/health
+exports.getDomainHealth = async (req, res) => {
+  try {
+    if (!(await loadAccessibleDomain(req, res))) return;
+    const result = await domainHealthService.getHealth(req.params.domain);
+    if (!result.ok) {
+      return res.status(result.status).json({ error: result.error });
+    }
+    res.status(200).json({ domain: req.params.domain, health: result.health });
+  } catch (err) {
+    console.error("Error fetching domain health:", err);
+    res.status(500).json({ error: "Server error while fetching domain health." });
+  }
+};
+
+// Endpoint: POST /api/v1/domain/:domain/health/check — run the drift check now
+exports.checkDomainHealth = async (req, res) => {
+  try {
+    const domainDoc = await loadAccessibleDomain(req, res);
+    if (!domainDoc) return;
+    if (isDomainArchived(domainDoc)) {
+      return res.status(400).json({ error: "Domain is archived.", domain: domainDoc.domain, status: "archived" });
+    }
+    const { health } = await domainHealthService.checkDomain(domainDoc);
+    res.status(200).json({ domain: domainDoc.domain, health });
+  } catch (err) {
+    console.error("Error checking domain health:", err);
+    res.status(500).json({ error: "Server error while checking domain health." });
+  }
+};
+
+// Endpoint: POST /api/v1/domain/:domain/health/repair — re-apply the expected state for repairable drift
+exports.repairDomainHealth = async (req, res) => {
+  try {
+    const domainDoc = await loadAccessibleDomain(req, res);
+    if (!domainDoc) return;
+    if (isDomainArchived(domainDoc)) {
+      return res.status(400).json({ error: "Domain is archived.", domain: domainDoc.domain, status: "archived" });
+    }
+    const result = await domainHealthService.repairDomain(domainDoc, req);
+    if (!result.ok) {
+      return res.status(result.status).json({ error: result.error });
+    }
+    console.log(`🔧 Drift repair on ${domainDoc.domain} by ${req.user.email}: ${result.actions.length} action(s)`);
+    res.status(200).json({
+      message: result.actions.length ? "Repair applied." : "Nothing to repair.",
+      domain: domainDoc.domain,
+      actions: result.actions,
+      health: result.health,
+    });
+  } catch (err) {
+    console.error("Error repairing domain:", err);
+    res.status(500).json({ error: "Server error while repairing domain." });
+  }
+};
+
+// DOMAIN REGISTRAR
+// Endpoint: GET /api/v1/domain-registrar?days=30 — expiring domains and auto-renew mismatches (last sync)
+exports.getRegistrarIssues = async (req, res) => {
+  try {
+    const result = await domainRegistrarService.findRegistrarIssues(req.query, req.user);
+    if (!result.ok) {
+      return res.status(result.status).json({ error: result.error });
+    }
+    const { ok, ...issues } = result;
+    res.status(200).json(issues);
+  } catch (err) {
+    console.error("Error fetching registrar issues:", err);
+    res.status(500).json({ error: "Server error while fetching registrar status." });
+  }
+};
+
+// Endpoint: POST /api/v1/domain-registrar/sync — pull Cloudflare Registrar now (also posts the Slack digest)
+exports.syncRegistrar = async (req, res) => {
+  try {
+    const result = await runScheduledRegistrarSync("manual");
+    if (!result) {
+      return res.status(409).json({ error: "A registrar sync is already running." });
+    }
+    if (!result.ok) {
+      return res.status(result.status).json({ error: result.error });
+    }
+    const { ok, ...summary } = result;
+    res.status(200).json(summary);
+  } catch (err) {
+    console.error("Error syncing registrar:", err);
+    res.status(500).json({ error: `Registrar sync failed: ${err.message}` });
+  }
+};
+
+// DOMAIN OWNERSHIP
+// Endpoint: GET /api/v1/domain/:domain/ownership — owner, co-owners, team and transfer history
+exports.getDomainOwnership = async (req, res) => {
+  try {
+    const domainDoc = await loadAccessibleDomain(req, res);
+    if (!domainDoc) return;
+    const result = await domainOwnershipService.getOwnership(domainDoc);
+    if (!result.ok) {
+      return res.status(result.status).json({ error: result.error });
+    }
+    res.status(200).json(result.ownership);
+  } catch (err) {
+    console.error("Error fetching domain ownership:", err);
+    res.status(500).json({ error: "Server error while fetching domain ownership." });
+  }
+};
+
+// Endpoint: POST /api/v1/domain/:domain/transfer
+// Body: { to, reassignRoutes?, reattributeStats?, keepPreviousAsCoOwner?, reason? } — to: user id or email
+exports.transferDomainOwnership = async (req, res) => {
+  try {
+    if (!req.body?.to) {
+      return res.status(400).json({ error: "to (user id or email) is required." });
+    }
+    const domainDoc = await Domain.findOne({ domain: req.params.domain });
+    if (!domainDoc) {
+      return res.status(404).json({ error: "Domain not found." });
+    }
+    const result = await domainOwnershipService.transferDomain(domainDoc, req.body, req);
+    if (!result.ok) {
+      return res.status(result.status).json({ error: result.error });
+    }
+    console.log(
+      `👤 ${domainDoc.domain} transferred ${result.transfer.from.email} -> ${result.transfer.to.email} by ${req.user.email}`
+    );
+    res.status(200).json({ message: "Domain transferred.", domain: domainDoc.domain, transfer: result.transfer });
+  } catch (err) {
+    console.error("Error transferring domain:", err);
+    res.status(500).json({ error: "Server error while transferring domain." });
+  }
+};
+
+// Endpoint: PUT /api/v1/domain/:domain/owners — Body: { coOwners?: [user id or email], team?: string|null }
+exports.updateDomainOwners = async (req, res) => {
+  try {
+    const domainDoc = await Domain.findOne({ domain: req.params.domain });
+    if (!domainDoc) {
+      return res.status(404).json({ error: "Domain not found." });
+    }
+    const result = await domainOwnershipService.updateOwners(domainDoc, req.body, req);
+    if (!result.ok) {
+      return res.status(result.status).json({ error: result.error });
+    }
+    res.status(200).json({ message: "Domain owners updated.", ...result.ownership });
+  } catch (err) {
+    console.error("Error updating domain owners:", err);
+    res.status(500).json({ error: "Server error while updating domain owners." });
+  }
+};
+
+// Endpoint: POST /api/v1/domain-ownership/transfer — hand over everything a user owns (e.g. when they leave)
+// Body: { from, to, reassignRoutes?, reattributeStats?, keepPreviousAsCoOwner?, reason? }
+exports.transferUserDomains = async (req, res) => {
+  try {
+    if (!req.body?.from || !req.body?.to) {
+      return res.status(400).json({ error: "from and to (user id or email) are required." });
+    }
+    const result = await domainOwnershipService.transferUserDomains(req.body, req);
+    if (!result.ok) {
+      return res.status(result.status).json({ error: result.error });
+    }
+    console.log(
+      `👤 ${result.transferred} domain(s) transferred ${result.from.email} -> ${result.to.email} by ${req.user.email}`
+    );
+    const { ok, ...summary } = result;
+    res.status(200).json(summary);
+  } catch (err) {
+    console.error("Error transferring user domains:", err);
+    res.status(500).json({ error: "Server error while transferring domains." });
+  }
+};
+
+// ROUTE VERSION HISTORY
+// Endpoint: GET /api/v1/domain/:domain/route/:route/versions?limit=50
+exports.getRouteVersions = async (req, res) => {
+  try {
+    const { domain, route } = req.params;
+
+    const domainDoc = await Domain.findOne({ domain });
+    if (!domainDoc) {
+      return res.status(404).json({ error: "Domain not found." });
+    }
+
+    if (!canAccessDomain(req.user, domainDoc)) {
+      return res.status(403).json({
+        error: "You don't have access to this domain.",
+      });
+    }
+
+    const result = await routeVersionService.listRouteVersions(
+      domainDoc,
+      route,
+      req.query
+    );
+    const { ok, status, ...payload } = result;
+    if (!ok) {
+      return res.status(status).json({ error: payload.error });
+    }
+    res.status(200).json(payload);
+  } catch (err) {
+    console.error("Error fetching route versions:", err);
+    res.status(500).json({ error: "Server error while fetching route versions." });
+  }
+};
+
+// ROLL BACK A ROUTE TO A STORED VERSION
+// Endpoint: POST /api/v1/domain/:domain/route/:route/rollback  body: { version }
+exports.rollbackRoute = async (req, res) => {
+  try {
+    const { domain, route } = req.params;
+    const loggedInUser = req.user;
+
+    const domainDoc = await Domain.findOne({ domain });
+    if (!domainDoc) {
+      return res.status(404).json({ error: "Domain not found." });
+    }
+
+    if (isDomainArchived(domainDoc)) {
+      return res.status(400).json({
+        error: "Domain is archived.",
+        details: "Restore this domain before rolling back routes.",
+        domain: domainDoc.domain,
+        status: "archived",
+      });
+    }
+
+    if (!canAccessDomain(loggedInUser, domainDoc)) {
+      return res.status(403).json({
+        error: "You don't have access to modify this domain.",
+      });
+    }
+
+    const result = await routeVersionService.rollbackRoute(
+      domainDoc,
+      route,
+      req.body?.version,
+      loggedInUser
+    );
+    if (!result.ok) {
+      return res.status(result.status).json({ error: result.error });
+    }
+    console.log(
+      `⏪ Route ${domain}/${result.route} rolled back to v${result.rolledBackTo} by ${loggedInUser.email}`
+    );
+    await auditLogService.recordAudit(req, {
+      action: "route.rollback",
+      targetType: "route",
+      domain: domainDoc.domain,
+      route: result.route,
+      before: result.before,
+      after: result.after,
+      meta: { rolledBackTo: result.rolledBackTo, version: result.version },
+    });
+
+    // Lander reads go through routeDetailsCache; drop both paths in case the rollback renamed the route.
+    routeDetailsCache.delete(`${domainDoc.domain}:${route}`);
+    routeDetailsCache.delete(`${domainDoc.domain}:${result.route}`);
+
+    let nginx = "pending";
+    try {
+      const nginxResult = await generateNginxConfig(domainDoc);
+      nginx = nginxResult?.warning
+        ? `Warning: ${nginxResult.warning}`
+        : "Nginx config regenerated";
+    } catch (nginxErr) {
+      nginx = `Failed: ${nginxErr.message}`;
+      console.error(`❌ Failed to regenerate nginx config after rollback: ${nginxErr.message}`);
+    }
+
+    let cloudflareCache = "pending";
+    try {
+      const purgeResult = await cacheService.purgeDomainCache(domainDoc.domain);
+      cloudflareCache = purgeResult.message;
+    } catch (purgeErr) {
+      cloudflareCache = `Failed: ${purgeErr.message}`;
+      console.error(`⚠️  Cloudflare purge failed after rollback: ${purgeErr.message}`);
+    }
+
+    res.status(200).json({
+      message: `Route '${result.route}' rolled back to version ${result.rolledBackTo}.`,
+      domain: domainDoc.domain,
+      route: result.route,
+      previousRoute: result.previousRoute,
+      version: result.version,
+      rolledBackTo: result.rolledBackTo,
+      routeData: result.after,
+      refresh: { routeDetailsCache: "purged", nginx, cloudflareCache },
+    });
+  } catch (err) {
+    console.error("Error rolling back route:", err);
+    res.status(500).json({ error: "Server error while rolling back route." });
+  }
+};
+
 // Get recent domains (last 7 days)
 exports.getRecentDomains = async (req, res) => {
   try {
@@ -2265,6 +2443,17 @@ exports.getRoutesFromDatabase = async () => {
   return await Domain.find(ACTIVE_DOMAIN_FILTER);
 };
 
+// ?attribution=credited (default) keeps routes moved by an ownership transfer with their original creator;
+// ?attribution=createdBy counts whoever the route shows today.
+function creatorAttribution(req, res) {
+  const { attribution = "credited" } = req.query;
+  if (domainOwnershipService.ATTRIBUTIONS.includes(attribution)) return attribution;
+  res.status(400).json({
+    error: `attribution must be one of: ${domainOwnershipService.ATTRIBUTIONS.join(", ")}`,
+  });
+  return null;
+}
+
 // Get routes by creator
 exports.getRoutesByCreator = async (req, res) => {
   try {
@@ -2275,6 +2464,8 @@ exports.getRoutesByCreator = async (req, res) => {
         .status(400)
         .json({ error: "createdBy parameter is required." });
     }
+    const attribution = creatorAttribution(req, res);
+    if (!attribution) return;
 
     // Build sort object
     const sortOptions = {};
@@ -2299,17 +2490,20 @@ exports.getRoutesByCreator = async (req, res) => {
     // Find domains that have routes created by the specified user
     const domains = await Domain.find({
       ...ACTIVE_DOMAIN_FILTER,
-      "routes.createdBy": createdBy,
+      routes: { $elemMatch: domainOwnershipService.creatorCondition(createdBy, attribution) },
     }).sort(sortOptions);
 
     // Extract and format the routes for easier frontend consumption
     const routesByCreator = domains.map((domain) => ({
       domain: domain.domain,
-      routes: domain.routes.filter((route) => route.createdBy === createdBy),
+      routes: domain.routes.filter((route) =>
+        domainOwnershipService.isCreatedByForStats(route, createdBy, attribution)
+      ),
     }));
 
     res.status(200).json({
       createdBy,
+      attribution,
       routes: routesByCreator,
       totalRoutes: routesByCreator.reduce(
         (acc, domain) => acc + domain.routes.length,
@@ -2334,12 +2528,15 @@ exports.getCreatorStats = async (req, res) => {
         .status(400)
         .json({ error: "createdBy parameter is required." });
     }
+    const attribution = creatorAttribution(req, res);
+    if (!attribution) return;
+    const creatorMatch = domainOwnershipService.creatorCondition(createdBy, attribution, "routes.");
 
     // Get total routes by creator
     const totalRoutes = await Domain.aggregate([
       { $match: ACTIVE_DOMAIN_FILTER },
       { $unwind: "$routes" },
-      { $match: { "routes.createdBy": createdBy } },
+      { $match: creatorMatch },
       { $count: "count" },
     ]);
 
@@ -2351,7 +2548,7 @@ exports.getCreatorStats = async (req, res) => {
       { $unwind: "$routes" },
       {
         $match: {
-          "routes.createdBy": createdBy,
+          ...creatorMatch,
           "routes.createdAt": { $gte: today },
         },
       },
@@ -2366,7 +2563,7 @@ exports.getCreatorStats = async (req, res) => {
       { $unwind: "$routes" },
       {
         $match: {
-          "routes.createdBy": createdBy,
+          ...creatorMatch,
           "routes.createdAt": { $gte: thisWeek },
         },
       },
@@ -2375,6 +2572,7 @@ exports.getCreatorStats = async (req, res) => {
 
     res.status(200).json({
       createdBy,
+      attribution,
       totalRoutes: totalRoutes.length > 0 ? totalRoutes[0].count : 0,
       routesToday: routesToday.length > 0 ? routesToday[0].count : 0,
       routesThisWeek: routesThisWeek.length > 0 ? routesThisWeek[0].count : 0,
@@ -2390,24 +2588,6 @@ exports.getCreatorStats = async (req, res) => {
 // PURGE CLOUDFLARE CACHE FOR ALL DOMAINS
 exports.purgeAllCache = async (req, res) => {
   try {
-    // Extract logged-in user from JWT token
-    const loggedInUser = await getUserFromToken(req);
-    if (!loggedInUser) {
-      return res.status(401).json({
-        error: "Authentication required. Please provide a valid token.",
-      });
-    }
-
-    const loggedInUserRole = loggedInUser.role;
-
-    // Only admin, tech, and ceo can purge cache
-    if (!["admin", "tech", "ceo"].includes(loggedInUserRole)) {
-      return res.status(403).json({
-        error:
-          "You don't have permission to purge cache. Only admin, tech, and ceo can perform this action.",
-      });
-    }
-
     // Purge cache for all domains
     const result = await cacheService.purgeAllDomainsCache();
 
@@ -2433,16 +2613,7 @@ exports.purgeAllCache = async (req, res) => {
 // PURGE CLOUDFLARE CACHE FOR A SPECIFIC DOMAIN
 exports.purgeDomainCache = async (req, res) => {
   try {
-    // Extract logged-in user from JWT token
-    const loggedInUser = await getUserFromToken(req);
-    if (!loggedInUser) {
-      return res.status(401).json({
-        error: "Authentication required. Please provide a valid token.",
-      });
-    }
-
-    const loggedInUserRole = loggedInUser.role;
-    const loggedInUserEmail = loggedInUser.email;
+    const loggedInUser = req.user;
 
     const { domain } = req.params;
 
@@ -2460,18 +2631,10 @@ exports.purgeDomainCache = async (req, res) => {
       });
     }
 
-    // Role-based access control
-    if (loggedInUserRole === "mediaBuyer") {
-      // MediaBuyer can only purge cache for domains assigned to them
-      if (domainDoc.assignedTo !== loggedInUserEmail) {
-        return res.status(403).json({
-          error: "You don't have access to purge cache for this domain.",
-        });
-      }
-    } else if (!["tech", "ceo", "admin"].includes(loggedInUserRole)) {
-      // Only tech, ceo, and admin can purge cache for any domain
+    // MediaBuyer can only purge cache for domains assigned to them
+    if (!canAccessDomain(loggedInUser, domainDoc)) {
       return res.status(403).json({
-        error: "You don't have permission to purge cache.",
+        error: "You don't have access to purge cache for this domain.",
       });
     }
 
@@ -2495,23 +2658,6 @@ exports.purgeDomainCache = async (req, res) => {
 // GET PHP-FPM WORKER STATUS
 exports.getPhpFpmStatus = async (req, res) => {
   try {
-    // Extract logged-in user from JWT token
-    const loggedInUser = await getUserFromToken(req);
-    if (!loggedInUser) {
-      return res.status(401).json({
-        error: "Authentication required. Please provide a valid token.",
-      });
-    }
-
-    const loggedInUserRole = loggedInUser.role;
-
-    // Only admin, tech, and ceo can view PHP-FPM status
-    if (!["admin", "tech", "ceo"].includes(loggedInUserRole)) {
-      return res.status(403).json({
-        error: "You don't have permission to view PHP-FPM status.",
-      });
-    }
-
     // Get PHP-FPM statistics
     const stats = await phpFpmMonitor.getPhpFpmStats();
 
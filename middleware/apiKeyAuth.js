@@ -0,0 +1,69 @@
+/**
+ * API key check for webhook / pixel routes (webhookRoutes, ringbaRoutes).
+ *
+ *   router.post("/ringba/tier-rpc", requireApiKey("ringTree:pixel"), controller.handleTierRpcPixel);
+ *
+ * A presented `ak_` key must be valid for the scope (401/403 otherwise). Without one, the request falls
+ * through to the endpoint's legacy shared secret unless the scope is in API_KEY_ENFORCED_SCOPES.
+ * On success req.apiKey = { id, name, prefix, scopes } and the key is removed from req.query / req.body
+ * so it is never stored with the raw payload.
+ */
+const apiKeyService = require("../services/apiKeyService");
+const CFG = require("../config/apiKeys");
+
+const QUERY_KEY_PARAMS = ["api_key", "apiKey", "token", "secret"];
+
+function isApiKey(value) {
+  return typeof value === "string" && value.startsWith(CFG.KEY_PREFIX);
+}
+
+/** Returns { key, source } where source says where to redact it from, or null. */
+function extractApiKey(req) {
+  const header = req.headers?.["x-api-key"];
+  if (isApiKey(header)) return { key: header.trim(), source: null };
+  const auth = String(req.headers?.authorization || "");
+  if (auth.startsWith("ApiKey ") && isApiKey(auth.slice(7).trim())) {
+    return { key: auth.slice(7).trim(), source: null };
+  }
+  for (const param of QUERY_KEY_PARAMS) {
+    if (isApiKey(req.query?.[param])) return { key: req.query[param], source: { in: "query", param } };
+  }
+  const body = req.body && typeof req.body === "object" && !Array.isArray(req.body) ? req.body : null;
+  if (body && isApiKey(body.api_key)) return { key: body.api_key, source: { in: "body", param: "api_key" } };
+  return null;
+}
+
+function requireApiKey(scope) {
+  if (!CFG.API_KEY_SCOPES.includes(scope)) {
+    throw new Error(`requireApiKey: unknown scope: ${scope}`);
+  }
+
+  async function checkApiKey(req, res, next) {
+    try {
+      const found = extractApiKey(req);
+      if (!found) {
+        if (!CFG.isScopeEnforced(scope)) return next();
+        return res.status(401).json({ ok: false, error: "API key required" });
+      }
+
+      const result = await apiKeyService.verifyKey(found.key, scope, req.ip);
+      if (!result.ok) return res.status(result.status).json({ ok: false, error: result.error });
+
+      if (found.source?.in === "query") delete req.query[found.source.param];
+      if (found.source?.in === "body") delete req.body[found.source.param];
+      req.apiKey = result.apiKey;
+      return next();
+    } catch (err) {
+      console.error("ApiKeyAuth error:", err);
+      return res.status(500).json({ ok: false, error: "Server error during API key check" });
+    }
+  }
+
+  checkApiKey.apiKeyScope = scope;
+  return checkApiKey;
+}
+
+module.exports = {
+  extractApiKey,
+  requireApiKey,
+};
@@ -0,0 +1,78 @@
+/**
+ * Central authentication + permission checks for every admin router mounted in app.js.
+ *
+ *   router.get("/revenue/cached", requirePermission("accounting:read"), controller.getCachedRevenue);
+ *   router.post("/cloak", allowPublic, controller.cloak);   // landing pages — intentionally open
+ *
+ * Webhook routers (/webhooks, /ringba) keep their own secret-based auth and do not use this.
+ * On success req.user = { userId, email, role, teams } (req.userId kept for older handlers).
+ */
+const jwt = require("jsonwebtoken");
+const User = require("../models/userModel");
+const { PERMISSIONS, roleHasPermission } = require("../config/permissions");
+
+function getBearerToken(req) {
+  const header = req.headers.authorization || "";
+  return header.startsWith("Bearer ") ? header.slice(7).trim() : "";
+}
+
+/** Verify the JWT and load the (active) user. */
+async function authenticate(req, res, next) {
+  if (req.user) return next();
+  try {
+    const token = getBearerToken(req);
+    if (!token) {
+      return res.status(401).json({ error: "Authentication required. Please provide a valid token." });
+    }
+
+    let decoded;
+    try {
+      decoded = jwt.verify(token, process.env.JWT_SECRET || "your-secret-key");
+    } catch {
+      return res.status(401).json({ error: "Invalid or expired token." });
+    }
+
+    const user = decoded?.userId ? await User.findById(decoded.userId).lean() : null;
+    if (!user || user.isActive === false) {
+      return res.status(401).json({ error: "Invalid or expired token." });
+    }
+
+    req.user = { userId: user._id.toString(), email: user.email, role: user.role, teams: user.teams || [] };
+    req.userId = req.user.userId;
+    return next();
+  } catch (err) {
+    console.error("Authorize authenticate error:", err);
+    return res.status(500).json({ error: "Server error during authentication." });
+  }
+}
+
+/** Authenticate, then require ANY of the given permissions. */
+function requirePermission(...permissions) {
+  const unknown = permissions.filter((p) => !PERMISSIONS.includes(p));
+  if (unknown.length || permissions.length === 0) {
+    throw new Error(`requirePermission: unknown permission(s): ${unknown.join(", ") || "(none)"}`);
+  }
+
+  function checkPermission(req, res, next) {
+    if (permissions.some((p) => roleHasPermission(req.user?.role, p))) return next();
+    return res.status(403).json({
+      error: `You don't have permission to perform this action (requires ${permissions.join(" or ")}).`,
+    });
+  }
+
+  const chain = [authenticate, checkPermission];
+  chain.permissions = permissions;
+  checkPermission.permissions = permissions;
+  return chain;
+}
+
+/** Marks a route as deliberately unauthenticated (landing pages, health checks). */
+function allowPublic(req, res, next) {
+  next();
+}
+
+module.exports = {
+  authenticate,
+  requirePermission,
+  allowPublic,
+};
@@ -0,0 +1,35 @@
+/**
+ * Scoped API keys for webhook / pixel clients. Only the SHA-256 of the key is stored;
+ * the raw key is returned once, on create or rotate.
+ * Collection: apiKeys
+ */
+const mongoose = require("mongoose");
+
+const apiKeySchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, trim: true },
+    /** First characters of the key (e.g. "ak_3f9c1a2b"), safe to show in lists and logs */
+    prefix: { type: String, required: true, trim: true },
+    keyHash: { type: String, required: true, unique: true },
+    /** config/apiKeys.js API_KEY_SCOPES; "*" and "conversions:*" wildcards allowed */
+    scopes: { type: [String], default: [] },
+    /** Exact IPs or CIDR ranges; empty = any IP */
+    ipAllowlist: { type: [String], default: [] },
+    expiresAt: { type: Date, default: null },
+    revokedAt: { type: Date, default: null },
+    revokedBy: { type: String, default: null },
+    /** Set on the key that replaced this one via rotate */
+    replacedBy: { type: mongoose.Schema.Types.ObjectId, ref: "ApiKey", default: null },
+    lastUsedAt: { type: Date, default: null },
+    lastUsedIp: { type: String, default: null },
+    lastUsedScope: { type: String, default: null },
+    createdBy: {
+      userId: { type: String, default: null },
+      email: { type: String, default: null },
+      role: { type: String, default: null },
+    },
+  },
+  { timestamps: true, collection: "apiKeys" }
+);
+
+module.exports = mongoose.model("ApiKey", apiKeySchema);
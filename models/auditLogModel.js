@@ -0,0 +1,81 @@
+/**
+ * Audit log — one document per domain / route / company mutation, written by services/auditLogService.js
+ * and served at /api/v1/audit. Append-only: updates and deletes through the model are rejected.
+ * Secrets (company apiToken) are stored masked.
+ * Collection: auditLogs
+ */
+const mongoose = require("mongoose");
+
+const auditLogSchema = new mongoose.Schema(
+  {
+    actor: {
+      userId: { type: String, default: null },
+      email: { type: String, default: null },
+      role: { type: String, default: null },
+    },
+    ip: { type: String, default: null },
+    action: {
+      type: String,
+      required: true,
+      enum: [
+        "domain.create",
+        "domain.update",
+        "domain.archive",
+        "domain.restore",
+        "domain.repair",
+        "domain.transfer",
+        "route.create",
+        "route.update",
+        "route.delete",
+        "route.rollback",
+        "company.create",
+        "company.update",
+        "company.delete",
+      ],
+    },
+    /** domain | route | company */
+    targetType: { type: String, required: true, enum: ["domain", "route", "company"] },
+    domain: { type: String, default: null },
+    route: { type: String, default: null },
+    /** Company accountID */
+    accountID: { type: String, default: null },
+    /** Snapshot before / after the change (null on create / delete) */
+    before: { type: mongoose.Schema.Types.Mixed, default: null },
+    after: { type: mongoose.Schema.Types.Mixed, default: null },
+    /** Changed fields: [{ path: "routes.quote.phoneNumber", from, to }] */
+    diff: { type: [mongoose.Schema.Types.Mixed], default: [] },
+    /** Extra context (e.g. cleanup results of an archive) */
+    meta: { type: mongoose.Schema.Types.Mixed, default: null },
+  },
+  { timestamps: { createdAt: true, updatedAt: false }, collection: "auditLogs" }
+);
+
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ domain: 1, createdAt: -1 });
+auditLogSchema.index({ accountID: 1, createdAt: -1 });
+auditLogSchema.index({ "actor.email": 1, createdAt: -1 });
+
+function rejectMutation(next) {
+  next(new Error("auditLogs is append-only"));
+}
+
+auditLogSchema.pre("save", function (next) {
+  if (!this.isNew) return rejectMutation(next);
+  return next();
+});
+auditLogSchema.pre(
+  [
+    "updateOne",
+    "updateMany",
+    "replaceOne",
+    "findOneAndUpdate",
+    "findOneAndReplace",
+    "findOneAndDelete",
+    "deleteOne",
+    "deleteMany",
+  ],
+  { document: false, query: true },
+  rejectMutation
+);
+
+module.exports = mongoose.model("AuditLog", auditLogSchema);
@@ -17,6 +17,7 @@ const companySchema = new mongoose.Schema(
       trim: true,
       unique: true,
     },
+    /** Sealed by services/credentialVault.js ("enc:v1:..."); read with credentialVault.reveal, never returned raw */
     apiToken: {
       type: String,
       required: false,
@@ -0,0 +1,48 @@
+/**
+ * Conversion delivery log — one document per send attempt to a destination (cm360 / roku / jade / google / meta),
+ * written by services/conversionDeliveryLogService.js for outbox jobs and inline deliveries alike.
+ * No plain PII: the caller is stored as phoneHash (sha256 of the last 10 digits); names / phones / IPs in
+ * request bodies are redacted and click ids masked.
+ * Collection: conversionDeliveries
+ */
+const mongoose = require("mongoose");
+
+const conversionDeliverySchema = new mongoose.Schema(
+  {
+    destination: {
+      type: String,
+      required: true,
+      enum: ["cm360", "roku", "jade", "google", "meta"],
+    },
+    /** Ringba inbound call id when the payload carries one */
+    callId: { type: String, default: null },
+    /** Outbox reference (ordinal / event_id / call id) */
+    reference: { type: String, default: null },
+    phoneHash: { type: String, default: null },
+    source: { type: String, default: null },
+    outboxId: { type: mongoose.Schema.Types.ObjectId, default: null },
+    /** 1-based attempt number for the outbox job (1 for inline deliveries) */
+    attempt: { type: Number, default: 1 },
+    /** delivered | skipped | failed */
+    status: { type: String, required: true, enum: ["delivered", "skipped", "failed"] },
+    retryable: { type: Boolean, default: false },
+    httpStatus: { type: Number, default: null },
+    error: { type: String, default: null },
+    /** Body sent to the destination (redacted) */
+    request: { type: mongoose.Schema.Types.Mixed, default: null },
+    /** Destination response / skip reason (truncated) */
+    response: { type: mongoose.Schema.Types.Mixed, default: null },
+    latencyMs: { type: Number, default: null },
+    /** true when delivered inside the webhook request (outbox unavailable) */
+    inline: { type: Boolean, default: false },
+  },
+  { timestamps: { createdAt: true, updatedAt: false }, collection: "conversionDeliveries" }
+);
+
+conversionDeliverySchema.index({ callId: 1, createdAt: -1 });
+conversionDeliverySchema.index({ phoneHash: 1, createdAt: -1 });
+conversionDeliverySchema.index({ destination: 1, status: 1, createdAt: -1 });
+conversionDeliverySchema.index({ outboxId: 1 });
+// TTL index on createdAt is managed by services/dataRetentionService.js (DATA_RETENTION_CONVERSION_DELIVERIES_TTL_DAYS).
+
+module.exports = mongoose.model("ConversionDelivery", conversionDeliverySchema);
@@ -0,0 +1,72 @@
+/**
+ * Conversion outbox — one document per conversion per destination (cm360 / roku / jade / google / meta).
+ * Webhooks insert `pending` jobs; services/conversionOutboxWorker.js delivers them.
+ * Status: pending → processing → delivered | skipped (duplicate / incomplete, nothing to send) | dead.
+ * Collection: conversionOutbox
+ */
+const mongoose = require("mongoose");
+
+const attemptSchema = new mongoose.Schema(
+  {
+    at: { type: Date, default: Date.now },
+    attempt: { type: Number, default: null },
+    /** delivered | skipped | retry | dead | replayed | released */
+    outcome: { type: String, required: true },
+    error: { type: String, default: null },
+    httpStatus: { type: Number, default: null },
+    durationMs: { type: Number, default: null },
+    by: { type: String, default: null },
+  },
+  { _id: false }
+);
+
+const conversionOutboxSchema = new mongoose.Schema(
+  {
+    destination: {
+      type: String,
+      required: true,
+      enum: ["cm360", "roku", "jade", "google", "meta"],
+    },
+    /** Webhook that produced the job, e.g. "POST /ringba/roku/conversion" */
+    source: { type: String, default: null },
+    /** Call id / ordinal / phone tail — for admin search only */
+    reference: { type: String, default: null },
+    /** Single conversion exactly as the destination service expects it */
+    payload: { type: mongoose.Schema.Types.Mixed, required: true },
+    /** Extra arguments for the destination service (e.g. Roku defaultEventGroupId) */
+    options: { type: mongoose.Schema.Types.Mixed, default: {} },
+    status: {
+      type: String,
+      enum: ["pending", "processing", "delivered", "skipped", "dead"],
+      default: "pending",
+    },
+    attempts: { type: Number, default: 0 },
+    maxAttempts: { type: Number, required: true },
+    nextAttemptAt: { type: Date, default: Date.now },
+    lockedAt: { type: Date, default: null },
+    lockedBy: { type: String, default: null },
+    lastError: { type: String, default: null },
+    lastHttpStatus: { type: Number, default: null },
+    /** max_attempts | permanent_error */
+    deadReason: { type: String, default: null },
+    deliveredAt: { type: Date, default: null },
+    /** Set when the job reaches delivered / skipped / dead (cleared on replay); the retention TTL runs off it */
+    finishedAt: { type: Date, default: null },
+    /** sha256 of the caller's last 10 digits, set when the payload is redacted */
+    phoneHash: { type: String, default: null },
+    /** Payload PII stripped by the retention job — such jobs can no longer be replayed */
+    piiRedactedAt: { type: Date, default: null },
+    /** Destination response (truncated) for delivered / skipped jobs */
+    result: { type: mongoose.Schema.Types.Mixed, default: null },
+    replayCount: { type: Number, default: 0 },
+    history: { type: [attemptSchema], default: [] },
+  },
+  { timestamps: true, collection: "conversionOutbox" }
+);
+
+conversionOutboxSchema.index({ status: 1, nextAttemptAt: 1 });
+conversionOutboxSchema.index({ destination: 1, status: 1, createdAt: -1 });
+conversionOutboxSchema.index({ reference: 1 });
+conversionOutboxSchema.index({ phoneHash: 1 }, { sparse: true });
+
+module.exports = mongoose.model("ConversionOutbox", conversionOutboxSchema);
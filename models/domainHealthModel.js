@@ -0,0 +1,46 @@
+/**
+ * Domain health — one document per domain with the latest drift check (services/domainHealthService.js):
+ * what the Domain document expects vs what Cloudflare, RedTrack, nginx and the live routes show.
+ * Collection: domainHealth
+ */
+const mongoose = require("mongoose");
+
+const checkSchema = new mongoose.Schema(
+  {
+    /** zone | aRecords | trkCname | sslMode | redtrack | nginx | routes */
+    name: { type: String, required: true },
+    /** drift = reality differs from the Domain document; error = the check itself could not run */
+    status: { type: String, enum: ["ok", "drift", "error", "skipped"], required: true },
+    message: { type: String, default: null },
+    expected: { type: mongoose.Schema.Types.Mixed, default: null },
+    actual: { type: mongoose.Schema.Types.Mixed, default: null },
+    /** POST .../health/repair can fix this drift */
+    repairable: { type: Boolean, default: false },
+  },
+  { _id: false }
+);
+
+const domainHealthSchema = new mongoose.Schema(
+  {
+    domain: { type: String, required: true, unique: true },
+    /** Owner email copied from the Domain */
+    assignedTo: { type: String, default: null },
+    status: { type: String, enum: ["healthy", "drift", "error"], required: true },
+    checks: { type: [checkSchema], default: [] },
+    driftCount: { type: Number, default: 0 },
+    checkedAt: { type: Date, default: null },
+    /** First check of the current drift streak (null while healthy) */
+    driftSince: { type: Date, default: null },
+    lastRepair: {
+      at: { type: Date, default: null },
+      by: { type: String, default: null },
+      /** [{ check, ok, message }] */
+      actions: { type: [mongoose.Schema.Types.Mixed], default: [] },
+    },
+  },
+  { timestamps: true, collection: "domainHealth" }
+);
+
+domainHealthSchema.index({ status: 1, checkedAt: -1 });
+
+module.exports = mongoose.model("DomainHealth", domainHealthSchema);
@@ -13,6 +13,8 @@ const routeSchema = new mongoose.Schema({
   rtkID: { type: String },
   phoneNumber: { type: String },
   createdBy: { type: String },
+  // Set when an ownership transfer moved createdBy but kept the route's stats with the previous creator
+  creditedTo: { type: String },
   platform: {
     type: String,
     required: true,
@@ -34,7 +36,12 @@ const routeSchema = new mongoose.Schema({
 const domainSchema = new mongoose.Schema(
   {
     domain: { type: String, required: true, unique: true },
+    // Owner email, kept in sync with ownerId (older records may only have the email)
     assignedTo: { type: String, required: true },
+    ownerId: { type: mongoose.Schema.Types.ObjectId, ref: "User", index: true },
+    coOwnerIds: [{ type: mongoose.Schema.Types.ObjectId, ref: "User" }],
+    // Members of this team (User.teams) get the same access as co-owners
+    team: { type: String, required: false },
     organization: {
       type: String,
       required: true,
@@ -100,6 +107,16 @@ const domainSchema = new mongoose.Schema(
       required: false,
     },
 
+    // Cloudflare Registrar state, synced by services/domainRegistrarService.js (registered=false: registered elsewhere)
+    registrar: {
+      registered: { type: Boolean, required: false },
+      expiresAt: { type: Date, required: false },
+      autoRenew: { type: Boolean, required: false },
+      locked: { type: Boolean, required: false },
+      status: { type: String, required: false },
+      syncedAt: { type: Date, required: false },
+    },
+
     // Lifecycle: active domains are live; archived domains keep all data but are offline
     status: {
       type: String,
@@ -0,0 +1,42 @@
+/**
+ * Domain ownership history — one document per owner change, written by services/domainOwnershipService.js
+ * (transfer endpoints and assignedTo edits in updateDomainName). Never updated or deleted.
+ * Collection: domainOwnershipTransfers
+ */
+const mongoose = require("mongoose");
+
+const ownerSchema = new mongoose.Schema(
+  {
+    /** null for records that predate ownerId (email-only assignedTo) */
+    userId: { type: String, default: null },
+    email: { type: String, default: null },
+  },
+  { _id: false }
+);
+
+const domainOwnershipTransferSchema = new mongoose.Schema(
+  {
+    domain: { type: String, required: true },
+    from: { type: ownerSchema, required: true },
+    to: { type: ownerSchema, required: true },
+    coOwnerIdsBefore: { type: [String], default: [] },
+    coOwnerIdsAfter: { type: [String], default: [] },
+    /** Routes whose createdBy moved from the previous owner to the new one */
+    routesUpdated: { type: [String], default: [] },
+    /** true = the moved routes now count in the new owner's creator stats */
+    reattributeStats: { type: Boolean, default: false },
+    reason: { type: String, default: null },
+    transferredBy: {
+      userId: { type: String, default: null },
+      email: { type: String, default: null },
+      role: { type: String, default: null },
+    },
+    createdAt: { type: Date, default: Date.now },
+  },
+  { collection: "domainOwnershipTransfers" }
+);
+
+domainOwnershipTransferSchema.index({ domain: 1, createdAt: -1 });
+domainOwnershipTransferSchema.index({ "from.email": 1, createdAt: -1 });
+
+module.exports = mongoose.model("DomainOwnershipTransfer", domainOwnershipTransferSchema);
@@ -0,0 +1,82 @@
+/**
+ * Domain provisioning job — one per POST /api/v1/domain, run step by step by
+ * services/domainProvisioningService.js. Each step keeps its own status / attempts / error so a retry or a
+ * restart resumes where it stopped, and a cancel knows what to undo.
+ * Collection: domainProvisioningJobs
+ */
+const mongoose = require("mongoose");
+
+const stepSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true },
+    /** waiting = zone not active yet; compensated / compensation_failed after a cancel */
+    status: {
+      type: String,
+      enum: ["pending", "running", "waiting", "done", "skipped", "failed", "compensated", "compensation_failed"],
+      default: "pending",
+    },
+    attempts: { type: Number, default: 0 },
+    error: { type: String, default: null },
+    result: { type: mongoose.Schema.Types.Mixed, default: null },
+    startedAt: { type: Date, default: null },
+    finishedAt: { type: Date, default: null },
+  },
+  { _id: false }
+);
+
+const domainProvisioningJobSchema = new mongoose.Schema(
+  {
+    domain: { type: String, required: true },
+    /** pending → processing → succeeded; waiting_zone while nameservers move; failed / cancelled are final until retried */
+    status: {
+      type: String,
+      enum: ["pending", "processing", "waiting_zone", "succeeded", "failed", "cancelled"],
+      default: "pending",
+    },
+    /** createDomain / bulk import row after validation */
+    input: {
+      assignedTo: { type: String, required: true },
+      ownerId: { type: String, default: null },
+      organization: { type: String, default: "Paragon" },
+      id: { type: String, required: true },
+      platform: { type: String, required: true },
+      vertical: { type: String, default: null },
+      rtkID: { type: String, default: null },
+      certificationTags: { type: [String], default: [] },
+      /** Routes created together with the Domain record (bulk import) */
+      routes: { type: [mongoose.Schema.Types.Mixed], default: [] },
+    },
+    steps: { type: [stepSchema], default: [] },
+    /** What earlier steps produced (read by later steps and by compensation) */
+    context: {
+      cloudflareZoneId: { type: String, default: null },
+      zoneStatus: { type: String, default: null },
+      nameServers: { type: [String], default: [] },
+      createdARecordIds: { type: [String], default: [] },
+      existingARecordCount: { type: Number, default: 0 },
+      domainId: { type: String, default: null },
+      redtrackDomainId: { type: String, default: null },
+      redtrackTrackingDomain: { type: String, default: null },
+    },
+    nextAttemptAt: { type: Date, default: Date.now },
+    lockedAt: { type: Date, default: null },
+    lockedBy: { type: String, default: null },
+    zoneWaitStartedAt: { type: Date, default: null },
+    cancelRequested: { type: Boolean, default: false },
+    cancelledBy: { type: String, default: null },
+    requestedBy: {
+      userId: { type: String, default: null },
+      email: { type: String, default: null },
+      role: { type: String, default: null },
+    },
+    requestedIp: { type: String, default: null },
+    error: { type: String, default: null },
+    completedAt: { type: Date, default: null },
+  },
+  { timestamps: true, collection: "domainProvisioningJobs" }
+);
+
+domainProvisioningJobSchema.index({ domain: 1, createdAt: -1 });
+domainProvisioningJobSchema.index({ status: 1, nextAttemptAt: 1 });
+
+module.exports = mongoose.model("DomainProvisioningJob", domainProvisioningJobSchema);
@@ -0,0 +1,29 @@
+/**
+ * Enrichment cache — one caller profile per phone, written by services/enrichmentService.js.
+ * Keyed by phoneHash (sha256 of the last 10 digits, same as conversionDeliveries); MongoDB deletes the
+ * document at expiresAt. The profile holds plain PII (names, email, DOB) because Jade needs it unhashed;
+ * privacy erasure (services/dataRetentionService.js) deletes it with the caller's other records.
+ * Collection: enrichmentProfiles
+ */
+const mongoose = require("mongoose");
+
+const enrichmentProfileSchema = new mongoose.Schema(
+  {
+    phoneHash: { type: String, required: true, unique: true },
+    /** Provider that answered (audienceacuity / datazapp) */
+    provider: { type: String, required: true },
+    /** matched | no_match */
+    status: { type: String, required: true, enum: ["matched", "no_match"] },
+    /** { email, firstName, lastName, gender, dateOfBirth, city, state, zip, ipAddress, aGA, aID, aGI } */
+    profile: { type: mongoose.Schema.Types.Mixed, default: null },
+    expiresAt: { type: Date, required: true },
+    /** Lookups answered from this entry */
+    hits: { type: Number, default: 0 },
+    lastHitAt: { type: Date, default: null },
+  },
+  { timestamps: true, collection: "enrichmentProfiles" }
+);
+
+enrichmentProfileSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("EnrichmentProfile", enrichmentProfileSchema);
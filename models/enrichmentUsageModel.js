@@ -0,0 +1,28 @@
+/**
+ * Enrichment spend counters — one document per provider per UTC day, incremented by
+ * services/enrichmentService.js. Paid lookups = matches + noMatches + failures; cache hits cost nothing.
+ * Collection: enrichmentUsage
+ */
+const mongoose = require("mongoose");
+
+const enrichmentUsageSchema = new mongoose.Schema(
+  {
+    provider: { type: String, required: true },
+    /** YYYY-MM-DD (UTC) */
+    day: { type: String, required: true },
+    lookups: { type: Number, default: 0 },
+    matches: { type: Number, default: 0 },
+    noMatches: { type: Number, default: 0 },
+    failures: { type: Number, default: 0 },
+    /** Lookups skipped because the provider's circuit was open */
+    circuitSkips: { type: Number, default: 0 },
+    /** Lookups answered from enrichmentProfiles instead (recorded under the provider that filled the entry) */
+    cacheHits: { type: Number, default: 0 },
+    costCents: { type: Number, default: 0 },
+  },
+  { timestamps: true, collection: "enrichmentUsage" }
+);
+
+enrichmentUsageSchema.index({ provider: 1, day: 1 }, { unique: true });
+
+module.exports = mongoose.model("EnrichmentUsage", enrichmentUsageSchema);
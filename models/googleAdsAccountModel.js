@@ -0,0 +1,42 @@
+/**
+ * Google Ads accounts for offline conversion uploads, managed at /api/v1/google-ads/accounts.
+ * Secrets are sealed by services/credentialVault.js; client id / secret and developer token fall back
+ * to GOOGLE_ADS_* env when empty. Routing rules: config/googleAdsAccounts.js.
+ * Collection: googleAdsAccounts
+ */
+const mongoose = require("mongoose");
+
+const googleAdsAccountSchema = new mongoose.Schema(
+  {
+    /** Routing key sent as ?account=<key>, e.g. "ipm" */
+    key: { type: String, required: true, unique: true, trim: true, lowercase: true },
+    name: { type: String, default: "", trim: true },
+    customerId: { type: String, required: true, trim: true },
+    loginCustomerId: { type: String, required: true, trim: true },
+    clientId: { type: String, default: "", trim: true },
+    clientSecretEncrypted: { type: String, default: "" },
+    developerTokenEncrypted: { type: String, default: "" },
+    refreshTokenEncrypted: { type: String, required: true },
+    /** Conversions with one of these actions go to this account */
+    conversionActionIds: { type: [String], default: [] },
+    /** RedTrack campaign ids routed to this account */
+    redtrackCampaignIds: { type: [String], default: [] },
+    active: { type: Boolean, default: true },
+    lastTest: {
+      at: { type: Date, default: null },
+      ok: { type: Boolean, default: null },
+      conversionActionId: { type: String, default: null },
+      httpStatus: { type: Number, default: null },
+      error: { type: String, default: null },
+      by: { type: String, default: null },
+    },
+    createdBy: { type: String, default: null },
+    updatedBy: { type: String, default: null },
+  },
+  { timestamps: true, collection: "googleAdsAccounts" }
+);
+
+googleAdsAccountSchema.index({ conversionActionIds: 1 });
+googleAdsAccountSchema.index({ redtrackCampaignIds: 1 });
+
+module.exports = mongoose.model("GoogleAdsAccount", googleAdsAccountSchema);
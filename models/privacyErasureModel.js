@@ -0,0 +1,29 @@
+/**
+ * Consumer data deletion ("delete me") requests handled by POST /api/v1/privacy/erasure.
+ * Only hashes of the subject are kept, so this log itself holds no PII.
+ * Collection: privacyErasures
+ */
+const mongoose = require("mongoose");
+
+const privacyErasureSchema = new mongoose.Schema(
+  {
+    /** sha256 of the last 10 digits */
+    phoneHash: { type: String, default: null, index: true },
+    /** sha256 of the trimmed, lower-cased email */
+    emailHash: { type: String, default: null, index: true },
+    /** Support ticket / request id from the caller */
+    reference: { type: String, default: null },
+    requestedBy: { type: String, default: null },
+    dryRun: { type: Boolean, default: false },
+    /** store → records (documents or JSONL lines) erased / matched */
+    results: { type: mongoose.Schema.Types.Mixed, default: {} },
+    /** Stores that could not be erased (the rest still were) */
+    failures: { type: [String], default: [] },
+    completedAt: { type: Date, default: null },
+  },
+  { timestamps: true, collection: "privacyErasures" }
+);
+
+privacyErasureSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model("PrivacyErasure", privacyErasureSchema);
@@ -0,0 +1,38 @@
+/**
+ * Ring-tree evaluation / move history for both engines (queryable copy of the *-events.jsonl lines).
+ * Collection: ringTreeEvents
+ */
+const mongoose = require("mongoose");
+
+const ringTreeEventSchema = new mongoose.Schema(
+  {
+    at: { type: Date, required: true, default: Date.now },
+    engine: { type: String, required: true, enum: ["ringba", "callgrid"] },
+    profileKey: { type: String, trim: true, default: null },
+    /** Ringba ping-tree target id or CallGrid destination id */
+    targetId: { type: String, trim: true, default: null },
+    targetName: { type: String, trim: true, default: null },
+    /** Raw engine event type (eval_no_move, dry_run_move, move_completed, ...) */
+    type: { type: String, required: true, trim: true },
+    /** Normalized action for filtering: eval_no_move, hysteresis_block, cooldown_skip, pinned_skip, dry_run_move, live_move, manual_move, move_failed, eval_skipped, pin, unpin */
+    action: { type: String, required: true, trim: true },
+    reason: { type: String, default: null },
+    rpc: { type: Number, default: null },
+    pixelRpc: { type: Number, default: null },
+    currentTier: { type: String, default: null },
+    rawTier: { type: String, default: null },
+    desiredTier: { type: String, default: null },
+    /** Tier the target sits in after this decision (desiredTier only for live moves) */
+    tierAfter: { type: String, default: null },
+    batchSize: { type: Number, default: null },
+    dryRun: { type: Boolean, default: null },
+    details: { type: Object, default: {} },
+  },
+  { timestamps: false }
+);
+
+ringTreeEventSchema.index({ engine: 1, profileKey: 1, targetId: 1, at: -1 });
+ringTreeEventSchema.index({ action: 1, at: -1 });
+ringTreeEventSchema.index({ at: -1 });
+
+module.exports = mongoose.model("RingTreeEvent", ringTreeEventSchema, "ringTreeEvents");
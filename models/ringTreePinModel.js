@@ -0,0 +1,32 @@
+/**
+ * Ring-tree target pins — "keep this target in Tier 1 until Friday" (negotiated buyer placement).
+ * While a pin is active, evaluateBatchMove records `skipped: pinned` instead of moving the target.
+ * Collection: ringTreePins (one document per profile + target; expired pins are removed by the TTL index).
+ */
+const mongoose = require("mongoose");
+
+const ringTreePinSchema = new mongoose.Schema(
+  {
+    profileKey: { type: String, required: true, trim: true, lowercase: true },
+    /** Lowercased target name (survives the new RTT id Ringba assigns after a move), else the target id */
+    targetKey: { type: String, required: true, trim: true },
+    targetId: { type: String, trim: true, default: null },
+    targetName: { type: String, trim: true, default: null },
+    tier: { type: String, required: true, trim: true },
+    reason: { type: String, trim: true, default: "" },
+    /** null = until unpinned */
+    expiresAt: { type: Date, default: null },
+    pinnedBy: {
+      userId: { type: String, default: null },
+      email: { type: String, default: null },
+      role: { type: String, default: null },
+    },
+  },
+  { timestamps: true, collection: "ringTreePins" }
+);
+
+ringTreePinSchema.index({ profileKey: 1, targetKey: 1 }, { unique: true });
+ringTreePinSchema.index({ profileKey: 1, targetId: 1 });
+ringTreePinSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("RingTreePin", ringTreePinSchema);
@@ -0,0 +1,69 @@
+/**
+ * Ring-tree vertical profiles managed through /api/v1/ring-tree-target/profiles.
+ * Overrides config/dynamicRingTreeTarget.js defaults + DYNAMIC_RING_TREE_PROFILES_JSON.
+ * Collection: ringTreeProfiles (one current document per key; history in ringTreeProfileVersions).
+ */
+const mongoose = require("mongoose");
+
+const tierSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, trim: true },
+    pingTreeId: { type: String, default: "", trim: true },
+  },
+  { _id: false }
+);
+
+/** One per tier except the last (see services/ringTreeTiering.js). */
+const tierRuleSchema = new mongoose.Schema(
+  {
+    minRpc: { type: Number, default: undefined },
+    aboveRpc: { type: Number, default: undefined },
+    promoteAt: { type: Number, default: undefined },
+    demoteBelow: { type: Number, default: undefined },
+  },
+  { _id: false }
+);
+
+/** Omitted or mode "batch" = fixed batches (see services/ringTreeRpcWindow.js). */
+const evaluationSchema = new mongoose.Schema(
+  {
+    mode: { type: String, enum: ["batch", "rolling"], default: "batch" },
+    windowCalls: { type: Number, min: 1, default: undefined },
+    windowHours: { type: Number, min: 0, default: undefined },
+    halfLifeHours: { type: Number, min: 0, default: undefined },
+    minCalls: { type: Number, min: 1, default: undefined },
+  },
+  { _id: false }
+);
+
+const actorSchema = new mongoose.Schema(
+  {
+    userId: { type: String, default: null },
+    email: { type: String, default: null },
+    role: { type: String, default: null },
+  },
+  { _id: false }
+);
+
+const ringTreeProfileSchema = new mongoose.Schema(
+  {
+    key: { type: String, required: true, unique: true, trim: true, lowercase: true },
+    label: { type: String, required: true, trim: true },
+    enabled: { type: Boolean, default: false },
+    dryRun: { type: Boolean, default: undefined },
+    campaignName: { type: String, trim: true, default: undefined },
+    targetNamePrefix: { type: String, trim: true, default: "" },
+    rpcRules: { type: Object, required: true },
+    hysteresis: { type: Object, required: true },
+    tiers: { type: [tierSchema], default: [] },
+    tierRules: { type: [tierRuleSchema], default: undefined },
+    batchSize: { type: Number, min: 1, default: undefined },
+    moveCooldownMs: { type: Number, min: 0, default: undefined },
+    evaluation: { type: evaluationSchema, default: undefined },
+    version: { type: Number, required: true, default: 1 },
+    updatedBy: { type: actorSchema, default: () => ({}) },
+  },
+  { timestamps: true, collection: "ringTreeProfiles" }
+);
+
+module.exports = mongoose.model("RingTreeProfile", ringTreeProfileSchema);
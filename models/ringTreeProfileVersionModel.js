@@ -0,0 +1,25 @@
+/**
+ * Append-only history of ring-tree profile changes (who changed what, full snapshot per version).
+ * Collection: ringTreeProfileVersions
+ */
+const mongoose = require("mongoose");
+
+const ringTreeProfileVersionSchema = new mongoose.Schema(
+  {
+    key: { type: String, required: true, trim: true, lowercase: true },
+    version: { type: Number, required: true },
+    action: { type: String, required: true, enum: ["create", "update", "delete"] },
+    profile: { type: Object, default: null },
+    previous: { type: Object, default: null },
+    changedBy: {
+      userId: { type: String, default: null },
+      email: { type: String, default: null },
+      role: { type: String, default: null },
+    },
+  },
+  { timestamps: true, collection: "ringTreeProfileVersions" }
+);
+
+ringTreeProfileVersionSchema.index({ key: 1, version: -1 }, { unique: true });
+
+module.exports = mongoose.model("RingTreeProfileVersion", ringTreeProfileVersionSchema);
@@ -0,0 +1,28 @@
+/**
+ * Ring-tree per-target state (open RPC batch, seen call IDs, lastMoveAt).
+ * One document per engine + profile + target/destination so updates stay atomic per target.
+ * Collection: ringTreeTargetStates
+ */
+const mongoose = require("mongoose");
+
+const ringTreeTargetStateSchema = new mongoose.Schema(
+  {
+    engine: { type: String, required: true, enum: ["ringba", "callgrid"] },
+    profileKey: { type: String, required: true, trim: true },
+    entityId: { type: String, required: true, trim: true },
+    /** Engine-shaped entry: { batch, seenCallIds, targetName | destinationName } */
+    data: { type: mongoose.Schema.Types.Mixed, default: null },
+    lastMoveAt: { type: String, default: null },
+    /** Optimistic concurrency counter — every write is conditional on the version read. */
+    version: { type: Number, required: true, default: 1 },
+  },
+  { timestamps: true, minimize: false }
+);
+
+ringTreeTargetStateSchema.index({ engine: 1, profileKey: 1, entityId: 1 }, { unique: true });
+
+module.exports = mongoose.model(
+  "RingTreeTargetState",
+  ringTreeTargetStateSchema,
+  "ringTreeTargetStates"
+);
@@ -1,5 +1,6 @@
 /**
  * Captured pings from the fake Ring Tree Target (data sink — never routes calls).
+ * callerId / raw params are replaced by callerIdHash after DATA_RETENTION_RINGBA_FAKE_TARGET_PINGS_REDACT_DAYS.
  * Collection: ringbaFakeTargetPings
  */
 const mongoose = require("mongoose");
@@ -8,12 +9,15 @@ const ringbaFakeTargetPingSchema = new mongoose.Schema(
   {
     callId: { type: String, index: true },
     callerId: { type: String, index: true },
+    /** sha256 of the caller's last 10 digits, set when callerId is redacted */
+    callerIdHash: { type: String, default: null, index: true },
     zipCode: { type: String },
     state: { type: String },
     targetId: { type: String },
     targetName: { type: String },
     rawQuery: { type: Object, default: {} },
     rawBody: { type: Object, default: {} },
+    piiRedactedAt: { type: Date, default: null },
   },
   { timestamps: true }
 );
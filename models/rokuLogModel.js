@@ -2,7 +2,9 @@
  * Roku CAPI debug logs
  * Stored in MongoDB collection: `rokuLogs` (intended for the "test" database in Atlas).
  *
- * IMPORTANT: This schema intentionally stores un-hashed PII fields for debugging.
+ * IMPORTANT: This schema intentionally stores un-hashed PII fields for debugging. The data-retention job
+ * (services/dataRetentionService.js) strips them after DATA_RETENTION_ROKU_LOGS_REDACT_DAYS, keeping
+ * ringba.phoneHash and the hashed rokuRequest, and MongoDB deletes the document after the TTL.
  */
 const mongoose = require("mongoose");
 
@@ -35,6 +37,12 @@ const rokuLogSchema = new mongoose.Schema(
       type: String,
       default: null,
     },
+
+    /** Set when plain PII was stripped by the retention job */
+    piiRedactedAt: {
+      type: Date,
+      default: null,
+    },
   },
   {
     timestamps: true,
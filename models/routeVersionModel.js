@@ -0,0 +1,34 @@
+/**
+ * Append-only history of lander routes (Domain.routes entries): one full snapshot per change, written by
+ * services/routeVersionService.js. Versions are keyed by the route subdocument id, so a rename keeps its history.
+ * Collection: routeVersions
+ */
+const mongoose = require("mongoose");
+
+const routeVersionSchema = new mongoose.Schema(
+  {
+    domain: { type: String, required: true },
+    /** Domain.routes[]._id — stable across renames and kept when a deleted route is rolled back */
+    routeId: { type: String, required: true },
+    /** Route path at this version */
+    route: { type: String, required: true },
+    version: { type: Number, required: true },
+    /** baseline = state before history started (first recorded change of an older route) */
+    action: { type: String, required: true, enum: ["baseline", "create", "update", "delete", "rollback"] },
+    /** Route fields after the change (the removed route for delete) */
+    snapshot: { type: Object, required: true },
+    /** Version restored by a rollback */
+    rolledBackTo: { type: Number, default: null },
+    changedBy: {
+      userId: { type: String, default: null },
+      email: { type: String, default: null },
+      role: { type: String, default: null },
+    },
+  },
+  { timestamps: { createdAt: true, updatedAt: false }, collection: "routeVersions" }
+);
+
+routeVersionSchema.index({ domain: 1, routeId: 1, version: -1 }, { unique: true });
+routeVersionSchema.index({ domain: 1, route: 1, createdAt: -1 });
+
+module.exports = mongoose.model("RouteVersion", routeVersionSchema);
@@ -53,6 +53,8 @@ const userSchema = new mongoose.Schema(
       ],
       default: "user",
     },
+    // Team names (lowercase); a domain with the same team is accessible to every member
+    teams: [{ type: String, trim: true, lowercase: true }],
     lastLogin: {
       type: Date,
     },
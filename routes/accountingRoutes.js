@@ -5,17 +5,21 @@
 const express = require("express");
 const router = express.Router();
 const accountingController = require("../controllers/accountingController");
+const { requirePermission } = require("../middleware/authorize");
 
-router.post("/revenue", accountingController.getRevenue);
-router.get("/revenue/refresh-status", accountingController.getRevenueRefreshStatus);
-router.get("/revenue/cached", accountingController.getCachedRevenue);
-router.get("/ringba/pgnm/buyers", accountingController.getPgnmRingbaBuyers);
-router.get("/retriever/test-data", accountingController.getRetrieverTestData);
-router.post("/callgrid/resolve-org", accountingController.resolveCallgridOrg);
-router.get("/callgrid/test-data", accountingController.getCallgridTestData);
-router.get("/companies", accountingController.listCompanies);
-router.post("/companies", accountingController.createCompany);
-router.put("/companies/:accountID", accountingController.updateCompany);
-router.delete("/companies/:accountID", accountingController.deleteCompany);
+const canRead = requirePermission("accounting:read");
+const canWrite = requirePermission("accounting:write");
+
+router.post("/revenue", canRead, accountingController.getRevenue);
+router.get("/revenue/refresh-status", canRead, accountingController.getRevenueRefreshStatus);
+router.get("/revenue/cached", canRead, accountingController.getCachedRevenue);
+router.get("/ringba/pgnm/buyers", canRead, accountingController.getPgnmRingbaBuyers);
+router.get("/retriever/test-data", canRead, accountingController.getRetrieverTestData);
+router.post("/callgrid/resolve-org", canWrite, accountingController.resolveCallgridOrg);
+router.get("/callgrid/test-data", canRead, accountingController.getCallgridTestData);
+router.get("/companies", canRead, accountingController.listCompanies);
+router.post("/companies", canWrite, accountingController.createCompany);
+router.put("/companies/:accountID", canWrite, accountingController.updateCompany);
+router.delete("/companies/:accountID", canWrite, accountingController.deleteCompany);
 
 module.exports = router;
@@ -0,0 +1,15 @@
+const express = require("express");
+const router = express.Router();
+
+const apiKeyController = require("../controllers/apiKeyController");
+const { requirePermission } = require("../middleware/authorize");
+
+const canManage = requirePermission("apiKeys:manage");
+
+// Scoped API keys for webhook / pixel clients (see config/apiKeys.js)
+router.get("/", canManage, apiKeyController.listKeys);
+router.post("/", canManage, apiKeyController.createKey);
+router.post("/:id/rotate", canManage, apiKeyController.rotateKey);
+router.delete("/:id", canManage, apiKeyController.revokeKey);
+
+module.exports = router;
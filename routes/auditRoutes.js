@@ -0,0 +1,13 @@
+const express = require("express");
+const router = express.Router();
+
+const auditController = require("../controllers/auditController");
+const { requirePermission } = require("../middleware/authorize");
+
+const canRead = requirePermission("audit:read");
+
+// Append-only audit trail of domain / route / company changes (services/auditLogService.js)
+router.get("/", canRead, auditController.searchAudit);
+router.get("/domain/:domain", canRead, auditController.getDomainHistory);
+
+module.exports = router;
@@ -1,27 +1,31 @@
 const express = require("express");
 const router = express.Router();
 const authController = require("../controllers/authController");
+const { authenticate, requirePermission, allowPublic } = require("../middleware/authorize");
 
 // Public routes (no authentication required)
-router.post("/register", authController.register);
-router.post("/login", authController.login);
-router.post("/logout", authController.logout);
+router.post("/login", allowPublic, authController.login);
+router.post("/logout", allowPublic, authController.logout);
+
+// Accounts (and their role) are created by users:manage (ceo / admin)
+router.post("/register", requirePermission("users:manage"), authController.register);
+router.put("/users/:userId/teams", requirePermission("users:manage"), authController.updateUserTeams);
 
 // Protected routes (authentication required)
-router.get("/profile", authController.verifyToken, authController.getProfile);
+router.get("/profile", authenticate, authController.getProfile);
 router.put(
   "/profile",
-  authController.verifyToken,
+  authenticate,
   authController.updateProfile
 );
 router.put(
   "/change-password",
-  authController.verifyToken,
+  authenticate,
   authController.changePassword
 );
 router.delete(
   "/account",
-  authController.verifyToken,
+  authenticate,
   authController.deleteAccount
 );
 
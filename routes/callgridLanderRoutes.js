@@ -5,12 +5,16 @@
 const express = require("express");
 const router = express.Router();
 const callgridLanderController = require("../controllers/callgridLanderController");
+const { requirePermission } = require("../middleware/authorize");
 
-router.get("/campaigns", callgridLanderController.listCampaigns);
+const canRead = requirePermission("callgrid:read");
+
+router.get("/campaigns", canRead, callgridLanderController.listCampaigns);
 router.get(
   "/campaigns/:campaignId/media-buyers",
+  canRead,
   callgridLanderController.listMediaBuyers,
 );
-router.get("/destinations", callgridLanderController.listDestinations);
+router.get("/destinations", canRead, callgridLanderController.listDestinations);
 
 module.exports = router;
@@ -6,17 +6,21 @@
 const express = require("express");
 const router = express.Router();
 const callgridRingTreeTargetController = require("../controllers/callgridRingTreeTargetController");
+const { requirePermission, allowPublic } = require("../middleware/authorize");
 
-router.get("/health", callgridRingTreeTargetController.health);
-router.get("/status", callgridRingTreeTargetController.status);
-router.get("/profiles", callgridRingTreeTargetController.profiles);
-router.get("/auth-check", callgridRingTreeTargetController.authCheck);
-router.get("/discover", callgridRingTreeTargetController.discover);
-router.get("/medicare-groups", callgridRingTreeTargetController.medicareGroups);
-router.get("/campaigns/:profileKey/groups", callgridRingTreeTargetController.profileGroups);
+const canRead = requirePermission("ringTree:read");
+const canTest = requirePermission("ringTree:test");
 
-router.post("/test/simulate-batch", callgridRingTreeTargetController.simulateBatch);
-router.post("/test/single", callgridRingTreeTargetController.simulateSingle);
-router.post("/test/reset", callgridRingTreeTargetController.reset);
+router.get("/health", allowPublic, callgridRingTreeTargetController.health);
+router.get("/status", canRead, callgridRingTreeTargetController.status);
+router.get("/profiles", canRead, callgridRingTreeTargetController.profiles);
+router.get("/auth-check", canRead, callgridRingTreeTargetController.authCheck);
+router.get("/discover", canRead, callgridRingTreeTargetController.discover);
+router.get("/medicare-groups", canRead, callgridRingTreeTargetController.medicareGroups);
+router.get("/campaigns/:profileKey/groups", canRead, callgridRingTreeTargetController.profileGroups);
+
+router.post("/test/simulate-batch", canTest, callgridRingTreeTargetController.simulateBatch);
+router.post("/test/single", canTest, callgridRingTreeTargetController.simulateSingle);
+router.post("/test/reset", requirePermission("ringTree:reset"), callgridRingTreeTargetController.reset);
 
 module.exports = router;
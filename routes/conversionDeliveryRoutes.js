@@ -0,0 +1,14 @@
+const express = require("express");
+const router = express.Router();
+
+const conversionDeliveryController = require("../controllers/conversionDeliveryController");
+const { requirePermission } = require("../middleware/authorize");
+
+const canRead = requirePermission("conversions:read");
+
+// Conversion delivery log — "did call X reach Roku and Google?" and per-destination success / latency
+router.get("/", canRead, conversionDeliveryController.searchDeliveries);
+router.get("/summary", canRead, conversionDeliveryController.getSummary);
+router.get("/:id", canRead, conversionDeliveryController.getDelivery);
+
+module.exports = router;
@@ -0,0 +1,20 @@
+const express = require("express");
+const router = express.Router();
+
+const conversionOutboxController = require("../controllers/conversionOutboxController");
+const { requirePermission } = require("../middleware/authorize");
+
+const canRead = requirePermission("conversions:read");
+const canReplay = requirePermission("conversions:replay");
+const canBackfill = requirePermission("conversions:backfill");
+
+// Durable conversion outbox (CM360 / Roku / Jade / Google) — inspect and replay failed deliveries
+router.get("/", canRead, conversionOutboxController.listJobs);
+router.get("/stats", canRead, conversionOutboxController.getStats);
+router.post("/replay", canReplay, conversionOutboxController.replayJobs);
+// Re-send converted calls from Ringba call logs (dry-run unless dryRun: false)
+router.post("/backfill", canBackfill, conversionOutboxController.runBackfill);
+router.get("/:id", canRead, conversionOutboxController.getJob);
+router.post("/:id/replay", canReplay, conversionOutboxController.replayJob);
+
+module.exports = router;
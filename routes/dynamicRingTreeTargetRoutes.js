@@ -6,14 +6,36 @@
 const express = require("express");
 const router = express.Router();
 const dynamicRingTreeTargetController = require("../controllers/dynamicRingTreeTargetController");
+const ringTreeHistoryController = require("../controllers/ringTreeHistoryController");
+const ringTreeProfileController = require("../controllers/ringTreeProfileController");
+const ringTreeBacktestController = require("../controllers/ringTreeBacktestController");
+const ringTreeOverrideController = require("../controllers/ringTreeOverrideController");
+const { requirePermission, allowPublic } = require("../middleware/authorize");
 
-router.get("/health", dynamicRingTreeTargetController.health);
-router.get("/status", dynamicRingTreeTargetController.status);
-router.get("/profiles", dynamicRingTreeTargetController.profiles);
-router.get("/fe-ring-trees", dynamicRingTreeTargetController.getFeRingTrees);
+const canRead = requirePermission("ringTree:read");
+const canWrite = requirePermission("ringTree:write");
+const canOverride = requirePermission("ringTree:override");
+const canTest = requirePermission("ringTree:test");
 
-router.post("/test/simulate-batch", dynamicRingTreeTargetController.simulateBatch);
-router.post("/test/single", dynamicRingTreeTargetController.simulateSingle);
-router.post("/test/reset", dynamicRingTreeTargetController.resetTestState);
+router.get("/health", allowPublic, dynamicRingTreeTargetController.health);
+router.get("/status", canRead, dynamicRingTreeTargetController.status);
+router.get("/profiles", canRead, ringTreeProfileController.listProfiles);
+router.get("/profiles/:profileKey", canRead, ringTreeProfileController.getProfile);
+router.get("/profiles/:profileKey/versions", canRead, ringTreeProfileController.listVersions);
+router.post("/profiles", canWrite, ringTreeProfileController.createProfile);
+router.put("/profiles/:profileKey", canWrite, ringTreeProfileController.updateProfile);
+router.delete("/profiles/:profileKey", canWrite, ringTreeProfileController.deleteProfile);
+router.get("/fe-ring-trees", canRead, dynamicRingTreeTargetController.getFeRingTrees);
+router.get("/history", canRead, ringTreeHistoryController.getHistory);
+router.get("/history/:targetId/timeline", canRead, ringTreeHistoryController.getTargetTimeline);
+router.post("/backtest", requirePermission("ringTree:backtest"), ringTreeBacktestController.runBacktest);
+router.get("/pins", canRead, ringTreeOverrideController.listPins);
+router.post("/targets/:targetId/pin", canOverride, ringTreeOverrideController.pinTarget);
+router.delete("/targets/:targetId/pin", canOverride, ringTreeOverrideController.unpinTarget);
+router.post("/targets/:targetId/move", canOverride, ringTreeOverrideController.moveTarget);
+
+router.post("/test/simulate-batch", canTest, dynamicRingTreeTargetController.simulateBatch);
+router.post("/test/single", canTest, dynamicRingTreeTargetController.simulateSingle);
+router.post("/test/reset", requirePermission("ringTree:reset"), dynamicRingTreeTargetController.resetTestState);
 
 module.exports = router;
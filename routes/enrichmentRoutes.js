@@ -0,0 +1,13 @@
+const express = require("express");
+const router = express.Router();
+
+const enrichmentController = require("../controllers/enrichmentController");
+const { requirePermission } = require("../middleware/authorize");
+
+const canRead = requirePermission("enrichment:read");
+
+// Caller enrichment: provider / circuit status and spend counters
+router.get("/providers", canRead, enrichmentController.getProviders);
+router.get("/usage", canRead, enrichmentController.getUsage);
+
+module.exports = router;
@@ -0,0 +1,18 @@
+const express = require("express");
+const router = express.Router();
+
+const googleAdsAccountController = require("../controllers/googleAdsAccountController");
+const { requirePermission } = require("../middleware/authorize");
+
+const canRead = requirePermission("googleAds:read");
+const canManage = requirePermission("googleAds:manage");
+
+// Google Ads accounts for offline conversion uploads (routing: config/googleAdsAccounts.js)
+router.get("/accounts", canRead, googleAdsAccountController.listAccounts);
+router.get("/accounts/:key", canRead, googleAdsAccountController.getAccount);
+router.post("/accounts", canManage, googleAdsAccountController.createAccount);
+router.put("/accounts/:key", canManage, googleAdsAccountController.updateAccount);
+router.delete("/accounts/:key", canManage, googleAdsAccountController.deleteAccount);
+router.post("/accounts/:key/test", canManage, googleAdsAccountController.testAccount);
+
+module.exports = router;
@@ -1,7 +1,9 @@
 const express = require("express");
 const router = express.Router();
 const cloakController = require("../controllers/cloakController");
+const { allowPublic } = require("../middleware/authorize");
 
-router.post("/cloak", cloakController.cloak);
+// Called by landing pages
+router.post("/cloak", allowPublic, cloakController.cloak);
 
 module.exports = router;
@@ -0,0 +1,13 @@
+const express = require("express");
+const router = express.Router();
+
+const privacyController = require("../controllers/privacyController");
+const { requirePermission } = require("../middleware/authorize");
+
+// PII retention policy / runs and consumer erasure requests
+router.get("/retention", requirePermission("privacy:read"), privacyController.getRetentionStatus);
+router.post("/retention/run", requirePermission("privacy:manage"), privacyController.runRetention);
+router.post("/erasure", requirePermission("privacy:erase"), privacyController.eraseSubject);
+router.get("/erasures", requirePermission("privacy:read"), privacyController.listErasures);
+
+module.exports = router;
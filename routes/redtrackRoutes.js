@@ -5,7 +5,8 @@
 const express = require("express");
 const router = express.Router();
 const redtrackController = require("../controllers/redtrackController");
+const { requirePermission } = require("../middleware/authorize");
 
-router.get("/traffic-channels", redtrackController.getTrafficChannels);
+router.get("/traffic-channels", requirePermission("domains:write"), redtrackController.getTrafficChannels);
 
 module.exports = router;
@@ -1,9 +1,11 @@
 const express = require("express");
 const ringbaFakeTargetPingController = require("../controllers/ringbaFakeTargetPingController");
+const { requirePermission } = require("../middleware/authorize");
 
 const router = express.Router();
+const canRead = requirePermission("ringba:read");
 
-router.get("/", ringbaFakeTargetPingController.getPings);
-router.get("/:id", ringbaFakeTargetPingController.getPingById);
+router.get("/", canRead, ringbaFakeTargetPingController.getPings);
+router.get("/:id", canRead, ringbaFakeTargetPingController.getPingById);
 
 module.exports = router;
@@ -1,6 +1,7 @@
 const express = require("express");
 const router = express.Router();
 const ringbaController = require("../controllers/ringbaController");
+const { requireApiKey } = require("../middleware/apiKeyAuth");
 
 /**
  * Ringba Webhook Routes
@@ -10,16 +11,21 @@ const ringbaController = require("../controllers/ringbaController");
  * 
  * Rate limiting: NONE - This endpoint must capture all requests
  * (150-200 req/sec expected from Ringba account)
+ *
+ * Auth: scoped API key (X-Api-Key or ?api_key=), mandatory once the scope is in API_KEY_ENFORCED_SCOPES.
  */
 
 // POST /ringba/conversion — CM360 only
-router.post("/conversion", ringbaController.handleRingbaConversion);
+router.post("/conversion", requireApiKey("conversions:cm360"), ringbaController.handleRingbaConversion);
 
 // POST /ringba/roku/conversion — Roku CAPI only
-router.post("/roku/conversion", ringbaController.handleRokuConversion);
+router.post("/roku/conversion", requireApiKey("conversions:roku"), ringbaController.handleRokuConversion);
 
 // POST /ringba/jade/conversion — AA enrichment + Jade inbound API
-router.post("/jade/conversion", ringbaController.handleJadeConversion);
+router.post("/jade/conversion", requireApiKey("conversions:jade"), ringbaController.handleJadeConversion);
+
+// POST /ringba/meta/conversion — Meta (Facebook) Conversions API
+router.post("/meta/conversion", requireApiKey("conversions:meta"), ringbaController.handleMetaConversion);
 
 module.exports = router;
 
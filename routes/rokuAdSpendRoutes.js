@@ -5,8 +5,9 @@
 const express = require("express");
 const router = express.Router();
 const rokuAdSpendController = require("../controllers/rokuAdSpendController");
+const { requirePermission } = require("../middleware/authorize");
 
-router.post("/refresh", rokuAdSpendController.refreshRokuAdSpend);
-router.get("/cached", rokuAdSpendController.getCachedRokuAdSpend);
+router.post("/refresh", requirePermission("reports:refresh"), rokuAdSpendController.refreshRokuAdSpend);
+router.get("/cached", requirePermission("reports:read"), rokuAdSpendController.getCachedRokuAdSpend);
 
 module.exports = router;
@@ -1,11 +1,14 @@
 const express = require("express");
 const router = express.Router();
 const rokuAdsController = require("../controllers/rokuAdsController");
+const { requirePermission } = require("../middleware/authorize");
+
+const canRead = requirePermission("roku:read");
 
 // Roku Ads API (beta) — account list + async spend reports
-router.get("/roku/ad-accounts", rokuAdsController.getAdAccounts);
-router.get("/roku/permissions", rokuAdsController.getDeveloperPermissions);
-router.get("/roku/organizations", rokuAdsController.getOrganizations);
-router.get("/roku/spend", rokuAdsController.getSpend);
+router.get("/roku/ad-accounts", canRead, rokuAdsController.getAdAccounts);
+router.get("/roku/permissions", canRead, rokuAdsController.getDeveloperPermissions);
+router.get("/roku/organizations", canRead, rokuAdsController.getOrganizations);
+router.get("/roku/spend", canRead, rokuAdsController.getSpend);
 
 module.exports = router;
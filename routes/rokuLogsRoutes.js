@@ -2,11 +2,12 @@ const express = require("express");
 const router = express.Router();
 
 const rokuLogsController = require("../controllers/rokuLogsController");
+const { requirePermission } = require("../middleware/authorize");
 
 // GET /api/v1/roku-logs?limit=100
-router.get("/roku-logs", rokuLogsController.getAllRokuLogs);
+router.get("/roku-logs", requirePermission("roku:read"), rokuLogsController.getAllRokuLogs);
 // DELETE /api/v1/roku-logs/:id
-router.delete("/roku-logs/:id", rokuLogsController.deleteRokuLogById);
+router.delete("/roku-logs/:id", requirePermission("roku:write"), rokuLogsController.deleteRokuLogById);
 
 module.exports = router;
 
@@ -2,38 +2,75 @@ const express = require("express");
 const router = express.Router();
 const routeController = require("../controllers/routeController");
 const { domainRouteTrackingMiddleware } = require("../middleware/domainRouteTracking");
+const { requirePermission, allowPublic } = require("../middleware/authorize");
+
+const canRead = requirePermission("domains:read");
+const canWrite = requirePermission("domains:write");
+const canTransfer = requirePermission("domains:transfer");
+
+// Landing pages / lander server (public)
+router.post("/data", allowPublic, routeController.getRouteData);
+router.get("/domain-route-details", allowPublic, domainRouteTrackingMiddleware, routeController.getDomainRouteDetails);
 
 // Basic CRUD operations - More specific routes first
-router.get("/", routeController.getAllDomains);
-router.get("/names", routeController.getDomainNames);
-router.post("/domain", routeController.createDomain);
-router.post("/data", routeController.getRouteData);
-router.get("/domain-route-details", domainRouteTrackingMiddleware, routeController.getDomainRouteDetails);
-router.put("/updateDomain", routeController.updateDomainName);
-router.put("/updateData", routeController.updateRouteData);
-router.post("/route", routeController.createRoute);
+router.get("/", canRead, routeController.getAllDomains);
+router.get("/names", canRead, routeController.getDomainNames);
+router.post("/domain", canWrite, routeController.createDomain);
+router.put("/updateDomain", canWrite, routeController.updateDomainName);
+router.put("/updateData", canWrite, routeController.updateRouteData);
+router.post("/route", canWrite, routeController.createRoute);
+
+// Bulk import (CSV body or JSON rows)
+const csvBody = express.text({ type: ["text/csv", "text/plain"], limit: "5mb" });
+router.post("/domain/bulk", canWrite, csvBody, routeController.bulkCreateDomains);
+router.post("/route/bulk", canWrite, csvBody, routeController.bulkCreateRoutes);
 
 // Delete operations
-router.delete("/domain/:domain", routeController.deleteDomain);
-router.post("/domain/:domain/restore", routeController.restoreDomain);
-router.delete("/domain/:domain/route/:route", routeController.deleteSubRoute);
+router.delete("/domain/:domain", requirePermission("domains:delete"), routeController.deleteDomain);
+router.post("/domain/:domain/restore", requirePermission("domains:restore"), routeController.restoreDomain);
+router.delete("/domain/:domain/route/:route", requirePermission("domains:delete"), routeController.deleteSubRoute);
+
+// Domain provisioning jobs (POST /domain queues one)
+router.get("/domain/:domain/provisioning", canRead, routeController.getDomainProvisioning);
+router.post("/domain/:domain/provisioning/retry", canWrite, routeController.retryDomainProvisioning);
+router.post("/domain/:domain/provisioning/cancel", requirePermission("domains:delete"), routeController.cancelDomainProvisioning);
+
+// Domain health / drift (checked on a schedule; repair re-applies the expected state)
+router.get("/domain-health", canRead, routeController.listDomainHealth);
+router.get("/domain/:domain/health", canRead, routeController.getDomainHealth);
+router.post("/domain/:domain/health/check", canWrite, routeController.checkDomainHealth);
+router.post("/domain/:domain/health/repair", canWrite, routeController.repairDomainHealth);
+
+// Cloudflare Registrar expiry / auto-renew (synced on a schedule)
+router.get("/domain-registrar", canRead, routeController.getRegistrarIssues);
+router.post("/domain-registrar/sync", canWrite, routeController.syncRegistrar);
+
+// Ownership: owner (user id), co-owners, team; transfers move route createdBy and are kept as history
+router.get("/domain/:domain/ownership", canRead, routeController.getDomainOwnership);
+router.post("/domain/:domain/transfer", canTransfer, routeController.transferDomainOwnership);
+router.put("/domain/:domain/owners", canTransfer, routeController.updateDomainOwners);
+router.post("/domain-ownership/transfer", canTransfer, routeController.transferUserDomains);
+
+// Route version history
+router.get("/domain/:domain/route/:route/versions", canRead, routeController.getRouteVersions);
+router.post("/domain/:domain/route/:route/rollback", canWrite, routeController.rollbackRoute);
 
 // Advanced filtering and analytics
-router.get("/archived", routeController.getArchivedDomains);
-router.get("/trash", routeController.getArchivedDomains);
-router.get("/recent", routeController.getRecentDomains);
-router.get("/date-range", routeController.getDomainsByDateRange);
-router.get("/stats", routeController.getDomainStats);
+router.get("/archived", requirePermission("domains:restore"), routeController.getArchivedDomains);
+router.get("/trash", requirePermission("domains:restore"), routeController.getArchivedDomains);
+router.get("/recent", canRead, routeController.getRecentDomains);
+router.get("/date-range", canRead, routeController.getDomainsByDateRange);
+router.get("/stats", canRead, routeController.getDomainStats);
 
 // Creator-based operations
-router.get("/by-creator", routeController.getRoutesByCreator);
-router.get("/creator-stats", routeController.getCreatorStats);
+router.get("/by-creator", canRead, routeController.getRoutesByCreator);
+router.get("/creator-stats", canRead, routeController.getCreatorStats);
 
 // Cache purging operations
-router.post("/purge-cache/all", routeController.purgeAllCache);
-router.post("/purge-cache/domain/:domain", routeController.purgeDomainCache);
+router.post("/purge-cache/all", requirePermission("cache:purgeAll"), routeController.purgeAllCache);
+router.post("/purge-cache/domain/:domain", requirePermission("cache:purge"), routeController.purgeDomainCache);
 
 // PHP-FPM monitoring
-router.get("/php-fpm/status", routeController.getPhpFpmStatus);
+router.get("/php-fpm/status", requirePermission("system:read"), routeController.getPhpFpmStatus);
 
 module.exports = router;
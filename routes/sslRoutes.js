@@ -1,6 +1,7 @@
 const express = require("express");
 const router = express.Router();
 const CLOUDFLARE_CONFIG = require("../config/cloudflare");
+const { requirePermission } = require("../middleware/authorize");
 
 // Helper function to execute command on remote server via SSH
 async function executeSSHCommand(command) {
@@ -275,7 +276,7 @@ async function checkCertificateStatus(domain) {
 }
 
 // POST /api/v1/ssl/request
-router.post("/request", async (req, res) => {
+router.post("/request", requirePermission("ssl:manage"), async (req, res) => {
   try {
     const { domain } = req.body;
     if (!domain) {
@@ -292,7 +293,7 @@ router.post("/request", async (req, res) => {
 });
 
 // GET /api/v1/ssl/status?domain={domain}
-router.get("/status", async (req, res) => {
+router.get("/status", requirePermission("domains:read"), async (req, res) => {
   try {
     const { domain } = req.query;
 
@@ -5,9 +5,12 @@
 const express = require("express");
 const router = express.Router();
 const statePerformanceController = require("../controllers/statePerformanceController");
+const { requirePermission } = require("../middleware/authorize");
 
-router.post("/refresh", statePerformanceController.refreshStatePerformance);
-router.get("/cached", statePerformanceController.getCachedStatePerformance);
-router.get("/channels", statePerformanceController.getStatePerformanceChannels);
+const canRead = requirePermission("reports:read");
+
+router.post("/refresh", requirePermission("reports:refresh"), statePerformanceController.refreshStatePerformance);
+router.get("/cached", canRead, statePerformanceController.getCachedStatePerformance);
+router.get("/channels", canRead, statePerformanceController.getStatePerformanceChannels);
 
 module.exports = router;
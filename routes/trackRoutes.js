@@ -1,6 +1,7 @@
 const express = require("express");
 const router = express.Router();
 const ringbaTriggerTrackingService = require("../services/ringbaTriggerTrackingService");
+const { requirePermission, allowPublic } = require("../middleware/authorize");
 
 /**
  * POST /api/v1/track/ringba-trigger
@@ -8,7 +9,7 @@ const ringbaTriggerTrackingService = require("../services/ringbaTriggerTrackingS
  * Body: { domain: string } (required). Optional: route (not yet used for aggregation).
  * File: logs/ringba-trigger-counts.json. Auto-deleted/reset if older than 3 days.
  */
-router.post("/ringba-trigger", (req, res) => {
+router.post("/ringba-trigger", allowPublic, (req, res) => {
   const domain = req.body?.domain ?? req.query?.domain;
   const domainStr = String(domain ?? "").trim();
   if (!domainStr) {
@@ -22,7 +23,7 @@ router.post("/ringba-trigger", (req, res) => {
  * GET /api/v1/track/ringba-trigger
  * Returns current counts: { "sample.com": 5, "sample1.com": 12, ... }
  */
-router.get("/ringba-trigger", (req, res) => {
+router.get("/ringba-trigger", requirePermission("domains:read"), (req, res) => {
   const counts = ringbaTriggerTrackingService.getCounts();
   return res.status(200).json(counts);
 });
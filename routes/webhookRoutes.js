@@ -3,45 +3,58 @@ const googleConversionController = require("../controllers/googleConversionContr
 const dynamicRingTreeTargetController = require("../controllers/dynamicRingTreeTargetController");
 const ringbaFakeTargetPingController = require("../controllers/ringbaFakeTargetPingController");
 const callgridRingTreeTargetController = require("../controllers/callgridRingTreeTargetController");
+const { requireApiKey } = require("../middleware/apiKeyAuth");
 
 const router = express.Router();
 
+// Scoped API keys (?api_key= or X-Api-Key); see config/apiKeys.js for legacy-secret fallback.
+const googleConversionKey = requireApiKey("conversions:google");
+const ringTreePixelKey = requireApiKey("ringTree:pixel");
+const fakeTargetPingKey = requireApiKey("ringba:fakeTargetPing");
+const callgridPixelKey = requireApiKey("callgrid:pixel");
+
 router.post(
   "/ringba/google-conversion",
+  googleConversionKey,
   googleConversionController.handleRingbaGoogleConversion
 );
 
 router.get(
   "/ringba/google-conversion",
+  googleConversionKey,
   googleConversionController.handleRedTrackGoogleConversion
 );
 
-router.get("/ringba/tier-rpc", dynamicRingTreeTargetController.handleTierRpcPixel);
-router.post("/ringba/tier-rpc", dynamicRingTreeTargetController.handleTierRpcPixel);
+router.get("/ringba/tier-rpc", ringTreePixelKey, dynamicRingTreeTargetController.handleTierRpcPixel);
+router.post("/ringba/tier-rpc", ringTreePixelKey, dynamicRingTreeTargetController.handleTierRpcPixel);
 
 // Separate pixels per campaign (path locks vertical; body does not need vertical)
 router.get(
   "/ringba/tier-rpc/:vertical",
+  ringTreePixelKey,
   dynamicRingTreeTargetController.handleTierRpcPixelForVertical
 );
 router.post(
   "/ringba/tier-rpc/:vertical",
+  ringTreePixelKey,
   dynamicRingTreeTargetController.handleTierRpcPixelForVertical
 );
 
 router.get(
   "/ringba/fake-target-ping",
+  fakeTargetPingKey,
   ringbaFakeTargetPingController.handleFakeTargetPing
 );
 router.post(
   "/ringba/fake-target-ping",
+  fakeTargetPingKey,
   ringbaFakeTargetPingController.handleFakeTargetPing
 );
 
-router.get("/callgrid/tier-rpc", callgridRingTreeTargetController.handleWebhook);
-router.post("/callgrid/tier-rpc", callgridRingTreeTargetController.handleWebhook);
-router.get("/callgrid/tier-rpc/medicare", callgridRingTreeTargetController.handleWebhook);
-router.post("/callgrid/tier-rpc/medicare", callgridRingTreeTargetController.handleWebhook);
+router.get("/callgrid/tier-rpc", callgridPixelKey, callgridRingTreeTargetController.handleWebhook);
+router.post("/callgrid/tier-rpc", callgridPixelKey, callgridRingTreeTargetController.handleWebhook);
+router.get("/callgrid/tier-rpc/medicare", callgridPixelKey, callgridRingTreeTargetController.handleWebhook);
+router.post("/callgrid/tier-rpc/medicare", callgridPixelKey, callgridRingTreeTargetController.handleWebhook);
 
 module.exports = router;
 
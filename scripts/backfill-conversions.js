@@ -0,0 +1,79 @@
+/**
+ * Conversion backfill: re-send converted Ringba calls for a date range to one destination.
+ * Dry-run by default — prints what would be sent; pass --send to deliver.
+ *
+ * Usage:
+ *   node scripts/backfill-conversions.js --destination roku --from 2026-10-01 --to 2026-10-03 \
+ *     --campaign "Paragon - Medicare" --defaults '{"roku_api_key":"...","event_group_id":"..."}'
+ *   node scripts/backfill-conversions.js --destination google --from 2026-10-01 --to 2026-10-01 \
+ *     --buyer "Wright Source" --defaults '{"conversionActionId":"7559018081"}' --send
+ *   node scripts/backfill-conversions.js ... --tag-columns '{"gclid":"tag:User:gclid_v2"}' --limit 50 --json
+ *
+ * When MONGO_URI is set, calls already in the conversion outbox are skipped and --send queues jobs for the
+ * server's outbox worker; without it, --send delivers inline.
+ */
+require("dotenv").config({ quiet: true });
+const fs = require("fs");
+const mongoose = require("mongoose");
+const conversionBackfillService = require("../services/conversionBackfillService");
+
+function parseArgs(argv) {
+  const out = { dryRun: true, defaults: {}, json: false };
+  for (let i = 0; i < argv.length; i += 1) {
+    const a = argv[i];
+    if (a === "--destination") out.destination = argv[++i];
+    else if (a === "--from") out.from = argv[++i];
+    else if (a === "--to") out.to = argv[++i];
+    else if (a === "--campaign") out.campaign = argv[++i];
+    else if (a === "--buyer") out.buyer = argv[++i];
+    else if (a === "--target") out.target = argv[++i];
+    else if (a === "--defaults") out.defaults = { ...out.defaults, ...JSON.parse(argv[++i]) };
+    else if (a === "--defaults-file") out.defaults = { ...out.defaults, ...JSON.parse(fs.readFileSync(argv[++i], "utf8")) };
+    else if (a === "--tag-columns") out.tagColumns = JSON.parse(argv[++i]);
+    else if (a === "--limit") out.limit = parseInt(argv[++i], 10);
+    else if (a === "--max-pages") out.maxPages = parseInt(argv[++i], 10);
+    else if (a === "--send") out.dryRun = false;
+    else if (a === "--json") out.json = true;
+  }
+  return out;
+}
+
+(async () => {
+  const opts = parseArgs(process.argv.slice(2));
+  if (!opts.destination || !opts.from || !opts.to) {
+    console.error(
+      "Usage: node scripts/backfill-conversions.js --destination roku|google|cm360|jade|meta --from YYYY-MM-DD --to YYYY-MM-DD [--campaign NAME] [--buyer NAME] [--defaults JSON] [--send]"
+    );
+    process.exit(1);
+  }
+
+  if (process.env.MONGO_URI) await mongoose.connect(process.env.MONGO_URI);
+  const result = await conversionBackfillService.runBackfill(opts);
+  if (process.env.MONGO_URI) await mongoose.disconnect();
+
+  if (opts.json || !result.ok) {
+    console.log(JSON.stringify(result, null, 2));
+    process.exit(result.ok ? 0 : 1);
+  }
+
+  console.log(
+    `Backfill ${result.destination} ${result.from} → ${result.to}${result.dryRun ? " (dry-run)" : ""}: ` +
+      `${result.convertedCalls} converted call(s), ${result.toSend} to send, ${result.skipped.length} skipped`
+  );
+  if (result.truncated) console.log(`  ⚠ calllogs truncated after ${result.pages} page(s) of ${result.totalCount}`);
+  if (!result.outboxChecked) console.log("  ⚠ no MONGO_URI: calls already in the conversion outbox were not checked");
+  for (const s of result.skipped) {
+    console.log(`  skip ${s.callId}  ${s.at}  ${s.reason}`);
+  }
+  if (result.dryRun) {
+    for (const c of result.conversions) {
+      console.log(`  send ${c.callId}  ${c.at}  ${c.campaignName || "-"} / ${c.buyer || "-"}`);
+      console.log(`    ${JSON.stringify(c.preview)}`);
+    }
+  } else if (result.delivery) {
+    console.log(JSON.stringify(result.delivery, null, 2));
+  }
+})().catch((err) => {
+  console.error("Backfill failed:", err.message);
+  process.exit(1);
+});
@@ -0,0 +1,67 @@
+/**
+ * One-time backfill:
+ * - set ownerId on domains missing it, from the user whose email matches assignedTo
+ * - list assignedTo emails without a user (transfer those domains with POST /api/v1/domain-ownership/transfer)
+ *
+ * Usage:
+ *   node scripts/backfill-domain-owners.js
+ *   node scripts/backfill-domain-owners.js --dry-run
+ */
+require("dotenv").config();
+const mongoose = require("mongoose");
+const Domain = require("../models/domainModel");
+const User = require("../models/userModel");
+
+const dryRun = process.argv.includes("--dry-run");
+
+(async () => {
+  if (!process.env.MONGO_URI) {
+    console.error("MONGO_URI is not set");
+    process.exit(1);
+  }
+
+  await mongoose.connect(process.env.MONGO_URI);
+  console.log("Connected to MongoDB");
+
+  const missingOwnerFilter = { $or: [{ ownerId: { $exists: false } }, { ownerId: null }] };
+  const emails = await Domain.distinct("assignedTo", missingOwnerFilter);
+  console.log(`Domains missing ownerId: ${await Domain.countDocuments(missingOwnerFilter)} (${emails.length} assignee(s))`);
+
+  if (emails.length === 0) {
+    console.log("Nothing to backfill.");
+    await mongoose.disconnect();
+    return;
+  }
+
+  const users = await User.find({ email: { $in: emails.map((e) => String(e).toLowerCase()) } })
+    .select("email isActive")
+    .lean();
+  const byEmail = new Map(users.map((u) => [u.email, u]));
+
+  let updated = 0;
+  const unmatched = [];
+  for (const email of emails) {
+    const user = byEmail.get(String(email).toLowerCase());
+    const filter = { ...missingOwnerFilter, assignedTo: email };
+    if (!user) {
+      unmatched.push(`${email} (${await Domain.countDocuments(filter)} domain(s))`);
+      continue;
+    }
+    const inactive = user.isActive === false ? " — user is inactive, transfer these domains" : "";
+    if (dryRun) {
+      console.log(`Would set ownerId=${user._id} on ${await Domain.countDocuments(filter)} domain(s) of ${email}${inactive}`);
+      continue;
+    }
+    const result = await Domain.updateMany(filter, { $set: { ownerId: user._id, assignedTo: user.email } });
+    console.log(`Set ownerId on ${result.modifiedCount} domain(s) of ${email}${inactive}`);
+    updated += result.modifiedCount;
+  }
+
+  if (!dryRun) console.log(`Set ownerId on ${updated} domain(s)`);
+  if (unmatched.length) console.log(`No user for: ${unmatched.join(", ")}`);
+
+  await mongoose.disconnect();
+})().catch((err) => {
+  console.error("Backfill failed:", err.message);
+  process.exit(1);
+});
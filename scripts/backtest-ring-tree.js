@@ -0,0 +1,103 @@
+/**
+ * Ring-tree what-if backtest: replay a date range of completed calls through the tier logic with
+ * candidate rules and print the moves, time in tier and revenue-weighted RPC per tier.
+ * Read-only — never touches ring-tree state, the events log, Slack or Ringba ping trees.
+ *
+ * Usage:
+ *   node scripts/backtest-ring-tree.js --profile fe --from 2026-10-01 --to 2026-10-07
+ *   node scripts/backtest-ring-tree.js --profile medicare --from 2026-10-01 --to 2026-10-07 --source calllogs
+ *   node scripts/backtest-ring-tree.js --profile fe --from 2026-10-01 --to 2026-10-07 \
+ *     --rules '{"hysteresis":{"promoteToTier1":22,"demoteFromTier1":18}}' --batch-size 15 --cooldown-ms 3600000
+ *   node scripts/backtest-ring-tree.js ... --rules-file ./candidate.json --target "FE - Naked Media - CTV" --json
+ *   node scripts/backtest-ring-tree.js ... --evaluation '{"mode":"rolling","windowCalls":30,"halfLifeHours":24}'
+ *
+ * When MONGO_URI is set, profiles saved through the /profiles API are loaded first (read-only).
+ */
+require("dotenv").config({ quiet: true });
+const fs = require("fs");
+const mongoose = require("mongoose");
+const ringTreeBacktestService = require("../services/ringTreeBacktestService");
+const ringTreeProfileService = require("../services/ringTreeProfileService");
+
+function parseArgs(argv) {
+  const out = { profile: "fe", source: "events", rules: {}, json: false };
+  for (let i = 0; i < argv.length; i += 1) {
+    const a = argv[i];
+    if (a === "--profile" || a === "--vertical") out.profile = argv[++i];
+    else if (a === "--from") out.from = argv[++i];
+    else if (a === "--to") out.to = argv[++i];
+    else if (a === "--source") out.source = argv[++i];
+    else if (a === "--target") out.target = argv[++i];
+    else if (a === "--rules") out.rules = { ...out.rules, ...JSON.parse(argv[++i]) };
+    else if (a === "--rules-file") out.rules = { ...out.rules, ...JSON.parse(fs.readFileSync(argv[++i], "utf8")) };
+    else if (a === "--initial-tiers") out.initialTiers = JSON.parse(argv[++i]);
+    else if (a === "--batch-size") out.rules.batchSize = parseInt(argv[++i], 10);
+    else if (a === "--cooldown-ms") out.rules.moveCooldownMs = parseInt(argv[++i], 10);
+    else if (a === "--evaluation") out.rules.evaluation = JSON.parse(argv[++i]);
+    else if (a === "--max-pages") out.maxPages = parseInt(argv[++i], 10);
+    else if (a === "--json") out.json = true;
+  }
+  return out;
+}
+
+function formatMs(ms) {
+  const hours = ms / 3600000;
+  return hours >= 48 ? `${(hours / 24).toFixed(1)}d` : `${hours.toFixed(1)}h`;
+}
+
+function printTiers(label, tiers) {
+  console.log(label);
+  for (const [tier, row] of Object.entries(tiers)) {
+    console.log(
+      `  ${tier.padEnd(24)} time=${formatMs(row.timeMs).padStart(7)}  calls=${String(row.calls).padStart(6)}  ` +
+        `revenue=${row.revenue.toFixed(2).padStart(10)}  rpc=${row.rpc == null ? "-" : row.rpc.toFixed(2)}`
+    );
+  }
+}
+
+function printSummary(label, summary) {
+  console.log(
+    `${label}: ${summary.calls} call(s), ${summary.targets} target(s), ${summary.batches} batch(es), ` +
+      `${summary.moves} move(s) (${summary.promotions} up / ${summary.demotions} down), ` +
+      `${summary.hysteresisBlocks} hysteresis block(s), ${summary.cooldownSkips} cooldown skip(s)`
+  );
+  printTiers("  per tier:", summary.tiers);
+}
+
+(async () => {
+  const opts = parseArgs(process.argv.slice(2));
+  if (!opts.from || !opts.to) {
+    console.error(
+      "Usage: node scripts/backtest-ring-tree.js --profile fe --from YYYY-MM-DD --to YYYY-MM-DD [--source events|calllogs] [--rules JSON]"
+    );
+    process.exit(1);
+  }
+
+  if (process.env.MONGO_URI) {
+    await mongoose.connect(process.env.MONGO_URI);
+    await ringTreeProfileService.loadStoredProfiles();
+    await mongoose.disconnect();
+  }
+
+  const result = await ringTreeBacktestService.runBacktest({ ...opts, includeTargets: true });
+  if (opts.json || !result.ok) {
+    console.log(JSON.stringify(result, null, 2));
+    process.exit(result.ok ? 0 : 1);
+  }
+
+  console.log(`Backtest ${result.profileKey} ${result.from} → ${result.to} (source: ${result.source})`);
+  if (result.truncated) console.log(`  ⚠ calllogs truncated after ${result.pages} page(s) of ${result.totalCount}`);
+  console.log(`Candidate rules: ${JSON.stringify(result.rules)}`);
+  printSummary("\nCandidate", result.summary);
+  if (result.baseline) printSummary("\nCurrent rules", result.baseline.summary);
+
+  for (const t of result.targets.filter((row) => row.moves.length > 0)) {
+    console.log(`\n${t.target} (start ${t.initialTier || "-"} via ${t.initialTierSource || "-"}, end ${t.finalTier})`);
+    for (const m of t.moves) {
+      console.log(`  ${m.at}  ${m.from} → ${m.to}  rpc=${m.rpc}`);
+    }
+  }
+})().catch((err) => {
+  console.error("Backtest failed:", err.message);
+  process.exit(1);
+});
@@ -0,0 +1,60 @@
+/**
+ * Credential vault migration / key rotation (services/credentialVault.js).
+ * Encrypts plaintext secrets in place (companies.apiToken, Google Ads accounts, Roku / Meta keys on outbox jobs)
+ * and re-encrypts values written with a CREDENTIALS_PREVIOUS_KEYS key under CREDENTIALS_ENCRYPTION_KEY.
+ * Dry-run by default — prints counts per collection; pass --apply to write.
+ *
+ * Usage:
+ *   node scripts/encrypt-credentials.js
+ *   node scripts/encrypt-credentials.js --apply
+ *   node scripts/encrypt-credentials.js --store companies --apply
+ *
+ * "unknown" values were encrypted with a key that is not configured; they are left untouched.
+ */
+require("dotenv").config({ quiet: true });
+const mongoose = require("mongoose");
+const credentialVault = require("../services/credentialVault");
+
+function parseArgs(argv) {
+  const out = { dryRun: true, stores: [] };
+  for (let i = 0; i < argv.length; i += 1) {
+    const a = argv[i];
+    if (a === "--apply") out.dryRun = false;
+    else if (a === "--store") out.stores.push(argv[++i]);
+  }
+  return out;
+}
+
+(async () => {
+  const opts = parseArgs(process.argv.slice(2));
+  const known = credentialVault.STORES.map((s) => s.name);
+  const unknownStores = opts.stores.filter((s) => !known.includes(s));
+  if (unknownStores.length) {
+    console.error(`Unknown store(s): ${unknownStores.join(", ")}. Known: ${known.join(", ")}`);
+    process.exit(1);
+  }
+  if (!process.env.MONGO_URI) {
+    console.error("MONGO_URI not set in .env");
+    process.exit(1);
+  }
+
+  await mongoose.connect(process.env.MONGO_URI);
+  const result = await credentialVault.reencryptStores(opts);
+  await mongoose.disconnect();
+  if (!result.ok) {
+    console.error(result.error);
+    process.exit(1);
+  }
+
+  console.log(`Credential vault, key ${result.keyId}${result.dryRun ? " (dry-run)" : ""}:`);
+  for (const s of result.stores) {
+    console.log(
+      `  ${s.name}: ${s.scanned} document(s), ${s.updated} ${result.dryRun ? "to update" : "updated"} — ` +
+        `fields: ${s.plaintext} plaintext, ${s.previous} previous key, ${s.current} current key, ${s.unknown} unknown key`
+    );
+  }
+  if (result.dryRun) console.log("Run again with --apply to write.");
+})().catch((err) => {
+  console.error("Credential migration failed:", err.message);
+  process.exit(1);
+});
@@ -0,0 +1,67 @@
+/**
+ * Local stand-in for the Meta Conversions API, for testing POST /ringba/meta/conversion end to end.
+ *
+ * Usage:
+ *   node scripts/meta-capi-stub.js [--port 4010] [--fail 500]
+ *   META_CAPI_BASE_URL=http://127.0.0.1:4010 npm start
+ *
+ * Accepts POST /<version>/<pixel_id>/events, prints each event and answers like Graph API
+ * ({ events_received, fbtrace_id }). --fail <status> answers every request with a Graph API error instead.
+ * Requires an access_token in the body, as Meta does.
+ */
+const http = require("http");
+
+function createMetaCapiStub({ failStatus = null, onEvent = null } = {}) {
+  const received = [];
+  const server = http.createServer((req, res) => {
+    const match = req.method === "POST" && req.url.match(/^\/v[\d.]+\/([^/?]+)\/events/);
+    let raw = "";
+    req.on("data", (chunk) => {
+      raw += chunk;
+    });
+    req.on("end", () => {
+      const send = (status, body) => {
+        res.writeHead(status, { "Content-Type": "application/json" });
+        res.end(JSON.stringify(body));
+      };
+      if (!match) return send(404, { error: { message: "Unknown path", code: 803 } });
+      let body;
+      try {
+        body = JSON.parse(raw || "{}");
+      } catch {
+        return send(400, { error: { message: "Invalid JSON", code: 100 } });
+      }
+      if (!body.access_token) {
+        return send(400, { error: { message: "An access token is required", type: "OAuthException", code: 190 } });
+      }
+      if (failStatus) {
+        return send(failStatus, { error: { message: "Stub failure", code: 2, fbtrace_id: "stub" } });
+      }
+      const data = Array.isArray(body.data) ? body.data : [];
+      const entry = { pixelId: decodeURIComponent(match[1]), body };
+      received.push(entry);
+      if (onEvent) onEvent(entry);
+      return send(200, { events_received: data.length, messages: [], fbtrace_id: `stub-${received.length}` });
+    });
+  });
+  return { server, received };
+}
+
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const argValue = (flag) => {
+    const i = args.indexOf(flag);
+    return i === -1 ? null : args[i + 1];
+  };
+  const port = Number(argValue("--port") || 4010);
+  const failStatus = argValue("--fail") ? Number(argValue("--fail")) : null;
+  const { server } = createMetaCapiStub({
+    failStatus,
+    onEvent: (entry) => console.log(`pixel ${entry.pixelId}:`, JSON.stringify(entry.body.data, null, 2)),
+  });
+  server.listen(port, "127.0.0.1", () => {
+    console.log(`Meta CAPI stub on http://127.0.0.1:${port}${failStatus ? ` (failing with ${failStatus})` : ""}`);
+  });
+}
+
+module.exports = { createMetaCapiStub };
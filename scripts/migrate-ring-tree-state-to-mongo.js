@@ -0,0 +1,96 @@
+/**
+ * One-time import of ring-tree state files into the Mongo state backend:
+ * - logs/dynamic-ring-tree-state.json  → ringTreeTargetStates (engine=ringba)
+ * - logs/callgrid-ring-tree-state.json → ringTreeTargetStates (engine=callgrid)
+ *
+ * Run before switching DYNAMIC_RING_TREE_STATE_BACKEND / CALLGRID_RING_TREE_STATE_BACKEND to mongo.
+ * Existing Mongo documents for the engine are replaced by the file contents.
+ *
+ * Usage:
+ *   node scripts/migrate-ring-tree-state-to-mongo.js
+ *   node scripts/migrate-ring-tree-state-to-mongo.js --dry-run
+ *   node scripts/migrate-ring-tree-state-to-mongo.js --engine=callgrid
+ */
+require("dotenv").config();
+const mongoose = require("mongoose");
+const { createRingTreeStateStore } = require("../services/ringTreeStateStore");
+const RINGBA_CFG = require("../config/dynamicRingTreeTarget");
+const CALLGRID_CFG = require("../config/callgridRingTreeTarget");
+const dynamicRingTreeTargetService = require("../services/dynamicRingTreeTargetService");
+const callgridRingTreeTargetService = require("../services/callgridRingTreeTargetService");
+
+const dryRun = process.argv.includes("--dry-run");
+const engineArg = (process.argv.find((a) => a.startsWith("--engine=")) || "").split("=")[1] || "all";
+
+const ENGINES = [
+  {
+    engine: "ringba",
+    collectionKey: "targets",
+    stateFile: RINGBA_CFG.STATE_FILE,
+    emptyState: dynamicRingTreeTargetService.emptyState,
+    normalizeState: dynamicRingTreeTargetService.normalizeState,
+  },
+  {
+    engine: "callgrid",
+    collectionKey: "destinations",
+    stateFile: CALLGRID_CFG.STATE_FILE,
+    emptyState: callgridRingTreeTargetService.emptyState,
+    normalizeState: callgridRingTreeTargetService.normalizeState,
+  },
+];
+
+function summarize(state, collectionKey) {
+  return Object.entries(state.profiles || {}).map(([profileKey, pState]) => {
+    const entries = Object.values(pState?.[collectionKey] || {});
+    return {
+      profileKey,
+      targets: entries.length,
+      openCalls: entries.reduce((sum, e) => sum + (e?.batch?.length || 0), 0),
+      lastMoveAt: Object.keys(pState?.lastMoveAt || {}).length,
+    };
+  });
+}
+
+(async () => {
+  if (!process.env.MONGO_URI) {
+    console.error("MONGO_URI is not set");
+    process.exit(1);
+  }
+
+  await mongoose.connect(process.env.MONGO_URI);
+  console.log("Connected to MongoDB");
+
+  for (const spec of ENGINES) {
+    if (engineArg !== "all" && engineArg !== spec.engine) continue;
+
+    const fileStore = createRingTreeStateStore({ ...spec, backend: "json" });
+    const mongoStore = createRingTreeStateStore({ ...spec, backend: "mongo" });
+    const state = await fileStore.load();
+    const summary = summarize(state, spec.collectionKey);
+
+    console.log(`\n[${spec.engine}] ${spec.stateFile}`);
+    if (summary.length === 0) {
+      console.log("  (empty — nothing to import)");
+      continue;
+    }
+    for (const row of summary) {
+      console.log(
+        `  ${row.profileKey}: ${row.targets} target(s), ${row.openCalls} open call(s), ${row.lastMoveAt} cooldown(s)`
+      );
+    }
+
+    if (dryRun) {
+      console.log("  --dry-run: not written");
+      continue;
+    }
+
+    await mongoStore.save(state);
+    const roundTrip = summarize(await mongoStore.load(), spec.collectionKey);
+    console.log(`  Imported → ringTreeTargetStates: ${JSON.stringify(roundTrip)}`);
+  }
+
+  await mongoose.disconnect();
+})().catch((err) => {
+  console.error("Migration failed:", err.message);
+  process.exit(1);
+});
@@ -5,6 +5,8 @@
  *   node scripts/simulate-ring-tree-tier-batch.js --targetId PI1e2efa7...
  *   node scripts/simulate-ring-tree-tier-batch.js --targetId PI1e2efa7... --revenue 30 --profile fe
  *   node scripts/simulate-ring-tree-tier-batch.js --baseUrl http://localhost:3000
+ *
+ * The test route requires ringTree:test — pass a JWT with --token or RING_TREE_API_TOKEN.
  */
 require("dotenv").config({ quiet: true });
 
@@ -18,6 +20,7 @@ function parseArgs(argv) {
     targetName: "",
     count: 15,
     revenue: 25,
+    token: process.env.RING_TREE_API_TOKEN || "",
   };
   for (let i = 0; i < argv.length; i += 1) {
     const a = argv[i];
@@ -27,6 +30,7 @@ function parseArgs(argv) {
     else if (a === "--targetName") out.targetName = argv[++i] || "";
     else if (a === "--count") out.count = parseInt(argv[++i], 10) || 15;
     else if (a === "--revenue") out.revenue = parseFloat(argv[++i]) || 25;
+    else if (a === "--token") out.token = argv[++i] || "";
   }
   return out;
 }
@@ -55,7 +59,10 @@ function parseArgs(argv) {
       count: opts.count,
       revenuePerCall: opts.revenue,
     },
-    { timeout: 120000 }
+    {
+      timeout: 120000,
+      headers: opts.token ? { Authorization: `Bearer ${opts.token}` } : {},
+    }
   );
 
   console.log(JSON.stringify(data, null, 2));
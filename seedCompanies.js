@@ -6,6 +6,7 @@
 require("dotenv").config();
 const mongoose = require("mongoose");
 const Company = require("./models/companyModel");
+const credentialVault = require("./services/credentialVault");
 
 const PGNM_COMPANY = {
   companyName: "PGNM",
@@ -32,14 +33,14 @@ async function seed() {
         {
           $set: {
             companyName: PGNM_COMPANY.companyName,
-            apiToken: PGNM_COMPANY.apiToken,
+            apiToken: credentialVault.seal(PGNM_COMPANY.apiToken),
             platform: PGNM_COMPANY.platform,
           },
         }
       );
       console.log("Updated company record.");
     } else {
-      await Company.create(PGNM_COMPANY);
+      await Company.create({ ...PGNM_COMPANY, apiToken: credentialVault.seal(PGNM_COMPANY.apiToken) });
       console.log("Created company:", PGNM_COMPANY.companyName);
     }
   } catch (err) {
@@ -18,7 +18,23 @@ const {
 const {
   startArchivedDomainPurgeScheduler,
 } = require("./services/archivedDomainPurgeScheduler");
+const {
+  startConversionOutboxWorker,
+} = require("./services/conversionOutboxWorker");
+const {
+  startDataRetentionScheduler,
+} = require("./services/dataRetentionScheduler");
+const {
+  startDomainProvisioningWorker,
+} = require("./services/domainProvisioningWorker");
+const {
+  startDomainHealthScheduler,
+} = require("./services/domainHealthScheduler");
+const {
+  startDomainRegistrarScheduler,
+} = require("./services/domainRegistrarScheduler");
 const { runStartupDiscover } = require("./services/callgridRingTreeTargetService");
+const { startRingTreeProfileSync } = require("./services/ringTreeProfileService");
 
 const PORT = process.env.PORT || 3000;
 const MONGO_URI = process.env.MONGO_URI;
@@ -38,8 +54,14 @@ mongoose
     startAccountingRevenueScheduler();
     startStatePerformanceScheduler();
     startRokuAdSpendScheduler();
+    startRingTreeProfileSync();
     startDynamicRingTreeTargetScheduler();
     startArchivedDomainPurgeScheduler();
+    startConversionOutboxWorker();
+    startDataRetentionScheduler();
+    startDomainProvisioningWorker();
+    startDomainHealthScheduler();
+    startDomainRegistrarScheduler();
   })
   .catch((err) => console.error("❌ MongoDB connection error:", err));
 
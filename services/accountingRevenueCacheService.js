@@ -2,6 +2,7 @@ const Company = require("../models/companyModel");
 const AccountingRevenueCache = require("../models/accountingRevenueCacheModel");
 const accountingService = require("./accountingService");
 const RINGBA_CONFIG = require("../config/ringbaApi");
+const credentialVault = require("./credentialVault");
 
 function toIsoNoMs(date) {
   return new Date(date).toISOString().replace(/\.\d{3}Z$/, "Z");
@@ -19,7 +20,7 @@ function getRollingTwoMonthWindow() {
 }
 
 function resolveCompanyApiToken(company, platform) {
-  const token = (company.apiToken && company.apiToken.trim()) || "";
+  const token = credentialVault.reveal(company.apiToken, `company ${company.accountID} apiToken`).trim();
   if (token) return token;
   if (platform === "retriever") return (process.env.RETREAVER_API_KEY || "").trim();
   if (platform === "ringba") return RINGBA_CONFIG.API_KEY || "";
@@ -0,0 +1,281 @@
+/**
+ * Scoped API keys (apiKeys collection) — create / rotate / revoke for admins, verify for webhook routes.
+ * Keys are stored as SHA-256 hashes; lookups are cached for API_KEY_CACHE_TTL_MS so pixel traffic
+ * does not hit Mongo per request, and lastUsedAt is flushed at most once per key per minute.
+ */
+const crypto = require("crypto");
+const net = require("net");
+const mongoose = require("mongoose");
+const ApiKey = require("../models/apiKeyModel");
+const CFG = require("../config/apiKeys");
+const { grantMatches } = require("../config/permissions");
+
+const MAX_GRACE_MINUTES = 7 * 24 * 60;
+
+/** keyHash -> { doc | null, loadedAt } */
+const keyCache = new Map();
+/** key id -> last lastUsedAt write (ms) */
+const lastUsedFlushAt = new Map();
+
+function hashKey(rawKey) {
+  return crypto.createHash("sha256").update(String(rawKey)).digest("hex");
+}
+
+function generateRawKey() {
+  const prefix = `${CFG.KEY_PREFIX}${crypto.randomBytes(4).toString("hex")}`;
+  return { rawKey: `${prefix}_${crypto.randomBytes(24).toString("base64url")}`, prefix };
+}
+
+function normalizeIp(ip) {
+  const value = String(ip || "").trim();
+  return value.startsWith("::ffff:") ? value.slice(7) : value;
+}
+
+function parseAllowEntry(entry) {
+  const [address, bits] = String(entry).trim().split("/");
+  const family = net.isIP(address);
+  if (!family) return null;
+  const type = family === 6 ? "ipv6" : "ipv4";
+  if (bits === undefined) return { address, type };
+  const prefix = Number(bits);
+  const max = family === 6 ? 128 : 32;
+  if (!Number.isInteger(prefix) || prefix < 0 || prefix > max) return null;
+  return { address, type, prefix };
+}
+
+function ipAllowed(ip, allowlist) {
+  if (!Array.isArray(allowlist) || allowlist.length === 0) return true;
+  const address = normalizeIp(ip);
+  const family = net.isIP(address);
+  if (!family) return false;
+  const list = new net.BlockList();
+  for (const entry of allowlist) {
+    const parsed = parseAllowEntry(entry);
+    if (!parsed) continue;
+    if (parsed.prefix === undefined) list.addAddress(parsed.address, parsed.type);
+    else list.addSubnet(parsed.address, parsed.prefix, parsed.type);
+  }
+  return list.check(address, family === 6 ? "ipv6" : "ipv4");
+}
+
+function keyHasScope(doc, scope) {
+  return (doc.scopes || []).some((grant) => grantMatches(grant, scope));
+}
+
+function toPublicKey(doc) {
+  if (!doc) return null;
+  const now = Date.now();
+  let state = "active";
+  if (doc.revokedAt) state = "revoked";
+  else if (doc.expiresAt && new Date(doc.expiresAt).getTime() <= now) state = "expired";
+  return {
+    id: doc._id.toString(),
+    name: doc.name,
+    prefix: doc.prefix,
+    scopes: doc.scopes || [],
+    ipAllowlist: doc.ipAllowlist || [],
+    state,
+    expiresAt: doc.expiresAt || null,
+    revokedAt: doc.revokedAt || null,
+    revokedBy: doc.revokedBy || null,
+    replacedBy: doc.replacedBy ? doc.replacedBy.toString() : null,
+    lastUsedAt: doc.lastUsedAt || null,
+    lastUsedIp: doc.lastUsedIp || null,
+    lastUsedScope: doc.lastUsedScope || null,
+    createdBy: doc.createdBy || null,
+    createdAt: doc.createdAt || null,
+    updatedAt: doc.updatedAt || null,
+  };
+}
+
+function validateKeyInput(input) {
+  const errors = [];
+  if (!input.name || !String(input.name).trim()) errors.push("name is required");
+  if (!Array.isArray(input.scopes) || input.scopes.length === 0) {
+    errors.push("scopes must be a non-empty array");
+  } else {
+    for (const scope of input.scopes) {
+      const valid =
+        scope === "*" ||
+        CFG.API_KEY_SCOPES.includes(scope) ||
+        (typeof scope === "string" &&
+          scope.endsWith(":*") &&
+          CFG.API_KEY_SCOPES.some((s) => s.startsWith(scope.slice(0, -1))));
+      if (!valid) errors.push(`unknown scope: ${scope}`);
+    }
+  }
+  if (input.ipAllowlist !== undefined) {
+    if (!Array.isArray(input.ipAllowlist)) errors.push("ipAllowlist must be an array");
+    else {
+      for (const entry of input.ipAllowlist) {
+        if (!parseAllowEntry(entry)) errors.push(`invalid ipAllowlist entry: ${entry}`);
+      }
+    }
+  }
+  if (input.expiresAt !== undefined && input.expiresAt !== null) {
+    const expiresAt = new Date(input.expiresAt);
+    if (Number.isNaN(expiresAt.getTime())) errors.push("expiresAt must be an ISO date");
+    else if (expiresAt.getTime() <= Date.now()) errors.push("expiresAt must be in the future");
+  }
+  return errors;
+}
+
+function mongoUnavailable() {
+  return { ok: false, status: 503, error: "API keys require a MongoDB connection" };
+}
+
+function invalidateCache() {
+  keyCache.clear();
+}
+
+async function createKey(input, actor) {
+  if (mongoose.connection.readyState !== 1) return mongoUnavailable();
+  const body = input && typeof input === "object" ? input : {};
+  const errors = validateKeyInput(body);
+  if (errors.length) return { ok: false, status: 400, error: "Invalid API key", details: errors };
+
+  const { rawKey, prefix } = generateRawKey();
+  const doc = await ApiKey.create({
+    name: String(body.name).trim(),
+    prefix,
+    keyHash: hashKey(rawKey),
+    scopes: body.scopes,
+    ipAllowlist: (body.ipAllowlist || []).map((e) => String(e).trim()),
+    expiresAt: body.expiresAt ? new Date(body.expiresAt) : null,
+    createdBy: actor || {},
+  });
+  console.log(`[api-keys] created ${prefix} "${doc.name}" scopes=${doc.scopes.join(",")} by ${actor?.email || "?"}`);
+  return { ok: true, status: 201, apiKey: toPublicKey(doc.toObject()), key: rawKey };
+}
+
+async function listKeys({ includeRevoked = false } = {}) {
+  if (mongoose.connection.readyState !== 1) return mongoUnavailable();
+  const filter = includeRevoked ? {} : { revokedAt: null };
+  const docs = await ApiKey.find(filter).select("-keyHash").sort({ createdAt: -1 }).lean();
+  return { ok: true, apiKeys: docs.map(toPublicKey) };
+}
+
+/**
+ * Issue a new key with the same name / scopes / allowlist. The old key is revoked now, or
+ * keeps working for graceMinutes so pixel URLs can be switched over.
+ */
+async function rotateKey(id, { graceMinutes = 0 } = {}, actor) {
+  if (mongoose.connection.readyState !== 1) return mongoUnavailable();
+  if (!mongoose.isValidObjectId(id)) return { ok: false, status: 400, error: "Invalid API key id" };
+  const grace = Number(graceMinutes) || 0;
+  if (grace < 0 || grace > MAX_GRACE_MINUTES) {
+    return { ok: false, status: 400, error: `graceMinutes must be between 0 and ${MAX_GRACE_MINUTES}` };
+  }
+
+  const old = await ApiKey.findById(id).lean();
+  if (!old) return { ok: false, status: 404, error: "API key not found" };
+  if (old.revokedAt) return { ok: false, status: 409, error: "API key is revoked" };
+
+  const { rawKey, prefix } = generateRawKey();
+  const created = await ApiKey.create({
+    name: old.name,
+    prefix,
+    keyHash: hashKey(rawKey),
+    scopes: old.scopes,
+    ipAllowlist: old.ipAllowlist,
+    expiresAt: old.expiresAt,
+    createdBy: actor || {},
+  });
+
+  const update = { replacedBy: created._id };
+  if (grace > 0) {
+    const graceEnd = new Date(Date.now() + grace * 60 * 1000);
+    update.expiresAt = old.expiresAt && new Date(old.expiresAt) < graceEnd ? old.expiresAt : graceEnd;
+  } else {
+    update.revokedAt = new Date();
+    update.revokedBy = actor?.email || null;
+  }
+  const updatedOld = await ApiKey.findByIdAndUpdate(id, { $set: update }, { new: true }).lean();
+  invalidateCache();
+
+  console.log(
+    `[api-keys] rotated ${old.prefix} -> ${prefix} (${grace > 0 ? `old valid ${grace}m` : "old revoked"}) by ${actor?.email || "?"}`
+  );
+  return {
+    ok: true,
+    status: 201,
+    apiKey: toPublicKey(created.toObject()),
+    key: rawKey,
+    previous: toPublicKey(updatedOld),
+  };
+}
+
+async function revokeKey(id, actor) {
+  if (mongoose.connection.readyState !== 1) return mongoUnavailable();
+  if (!mongoose.isValidObjectId(id)) return { ok: false, status: 400, error: "Invalid API key id" };
+  const doc = await ApiKey.findOneAndUpdate(
+    { _id: id, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedBy: actor?.email || null } },
+    { new: true }
+  ).lean();
+  if (!doc) {
+    const exists = await ApiKey.exists({ _id: id });
+    return exists
+      ? { ok: false, status: 409, error: "API key is already revoked" }
+      : { ok: false, status: 404, error: "API key not found" };
+  }
+  invalidateCache();
+  console.log(`[api-keys] revoked ${doc.prefix} by ${actor?.email || "?"}`);
+  return { ok: true, apiKey: toPublicKey(doc) };
+}
+
+async function findByHash(keyHash) {
+  const cached = keyCache.get(keyHash);
+  if (cached && Date.now() - cached.loadedAt < CFG.API_KEY_CACHE_TTL_MS) return cached.doc;
+  const doc = await ApiKey.findOne({ keyHash }).select("-keyHash").lean();
+  keyCache.set(keyHash, { doc, loadedAt: Date.now() });
+  return doc;
+}
+
+function touchLastUsed(doc, ip, scope) {
+  const id = doc._id.toString();
+  const now = Date.now();
+  if (now - (lastUsedFlushAt.get(id) || 0) < CFG.API_KEY_LAST_USED_FLUSH_MS) return;
+  lastUsedFlushAt.set(id, now);
+  ApiKey.updateOne(
+    { _id: doc._id },
+    { $set: { lastUsedAt: new Date(now), lastUsedIp: normalizeIp(ip) || null, lastUsedScope: scope } }
+  ).catch((err) => console.error("[api-keys] lastUsed update error:", err.message));
+}
+
+/**
+ * Check a raw key for one scope from one IP.
+ * @returns {Promise<{ ok: true, apiKey: { id, name, prefix, scopes } } | { ok: false, status: number, error: string }>}
+ */
+async function verifyKey(rawKey, scope, ip) {
+  if (mongoose.connection.readyState !== 1) return mongoUnavailable();
+  const doc = await findByHash(hashKey(rawKey));
+  if (!doc || doc.revokedAt) return { ok: false, status: 401, error: "Invalid API key" };
+  if (doc.expiresAt && new Date(doc.expiresAt).getTime() <= Date.now()) {
+    return { ok: false, status: 401, error: "API key expired" };
+  }
+  if (!keyHasScope(doc, scope)) {
+    return { ok: false, status: 403, error: `API key is not allowed for ${scope}` };
+  }
+  if (!ipAllowed(ip, doc.ipAllowlist)) {
+    console.warn(`[api-keys] ${doc.prefix} rejected from ${normalizeIp(ip)} (${scope})`);
+    return { ok: false, status: 403, error: "API key is not allowed from this IP" };
+  }
+  touchLastUsed(doc, ip, scope);
+  return {
+    ok: true,
+    apiKey: { id: doc._id.toString(), name: doc.name, prefix: doc.prefix, scopes: doc.scopes },
+  };
+}
+
+module.exports = {
+  hashKey,
+  ipAllowed,
+  keyHasScope,
+  validateKeyInput,
+  createKey,
+  listKeys,
+  rotateKey,
+  revokeKey,
+  verifyKey,
+};
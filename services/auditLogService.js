@@ -0,0 +1,235 @@
+/**
+ * Audit log (auditLogs) for revenue-critical config: domains, routes (landers) and accounting companies.
+ * Controllers call recordAudit() after a mutation is saved with before / after snapshots; the field-level diff
+ * answers "who changed the phone number on this lander, and what was it before?".
+ * Recording never fails the mutation: without Mongo it is a no-op and write errors are only logged.
+ */
+const mongoose = require("mongoose");
+const AuditLog = require("../models/auditLogModel");
+const credentialVault = require("./credentialVault");
+const { ROUTE_FIELDS } = require("./routeVersionService");
+
+const DOMAIN_FIELDS = [
+  "domain",
+  "assignedTo",
+  "ownerId",
+  "coOwnerIds",
+  "team",
+  "organization",
+  "id",
+  "platform",
+  "vertical",
+  "rtkID",
+  "certificationTags",
+  "status",
+  "cloudflareZoneId",
+  "redtrackDomainId",
+  "redtrackTrackingDomain",
+  "archivedAt",
+  "archivedBy",
+  "purgeAt",
+  "restoredAt",
+  "restoredBy",
+];
+const COMPANY_FIELDS = ["companyName", "accountID", "net", "platform", "apiToken"];
+/** Stored masked; compared on plaintext so a new token shows up in the diff even with the same last 4. */
+const SECRET_FIELDS = ["apiToken"];
+
+function isLogAvailable() {
+  return mongoose.connection.readyState === 1;
+}
+
+function clientIp(req) {
+  const headers = req?.headers || {};
+  if (headers["cf-connecting-ip"]) return String(headers["cf-connecting-ip"]).trim();
+  if (headers["x-forwarded-for"]) return String(headers["x-forwarded-for"]).split(",")[0].trim();
+  return req?.ip || null;
+}
+
+function pick(doc, fields) {
+  if (!doc) return null;
+  const source = typeof doc.toObject === "function" ? doc.toObject() : doc;
+  const out = {};
+  for (const field of fields) {
+    const value = source[field];
+    if (value === undefined) continue;
+    out[field] = value instanceof Date ? value.toISOString() : Array.isArray(value) ? [...value] : value;
+  }
+  return out;
+}
+
+function snapshotRoute(route) {
+  return pick(route, ROUTE_FIELDS);
+}
+
+/** Domain config plus its routes; Cloudflare metadata and timestamps are left out. */
+function snapshotDomain(domainDoc) {
+  if (!domainDoc) return null;
+  const snapshot = pick(domainDoc, DOMAIN_FIELDS);
+  snapshot.routes = (domainDoc.routes || []).map(snapshotRoute);
+  return snapshot;
+}
+
+/** apiToken stays as stored (sealed) here; recordAudit() masks it. */
+function snapshotCompany(company) {
+  return pick(company, COMPANY_FIELDS);
+}
+
+/** Leaf values by path; routes are keyed by route name so a reorder is not a change. */
+function flatten(value, prefix, out) {
+  if (value && typeof value === "object" && !Array.isArray(value)) {
+    for (const [key, v] of Object.entries(value)) flatten(v, prefix ? `${prefix}.${key}` : key, out);
+  } else if (Array.isArray(value) && value.some((v) => v && typeof v === "object")) {
+    value.forEach((v, i) => flatten(v, `${prefix}.${v?.route ?? i}`, out));
+  } else if (value !== undefined) {
+    out[prefix] = value;
+  }
+  return out;
+}
+
+function sameValue(a, b) {
+  return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+}
+
+/**
+ * Field-level changes between two snapshots: [{ path, from, to }], from / to null when the field (or the
+ * whole target) did not exist on that side.
+ */
+function diffSnapshots(before, after) {
+  const a = flatten(before || {}, "", {});
+  const b = flatten(after || {}, "", {});
+  const paths = [...new Set([...Object.keys(a), ...Object.keys(b)])].sort();
+  return paths
+    .filter((path) => !sameValue(a[path], b[path]))
+    .map((path) => ({ path, from: a[path] ?? null, to: b[path] ?? null }));
+}
+
+/** Mask secret fields; returns the masked snapshot and which secrets differ in plaintext. */
+function maskSecrets(before, after) {
+  const masked = { before: before ? { ...before } : null, after: after ? { ...after } : null };
+  const changed = [];
+  for (const field of SECRET_FIELDS) {
+    const from = before?.[field];
+    const to = after?.[field];
+    if (from === undefined && to === undefined) continue;
+    if (masked.before && from !== undefined) masked.before[field] = credentialVault.mask(from);
+    if (masked.after && to !== undefined) masked.after[field] = credentialVault.mask(to);
+    if (before && after && credentialVault.reveal(from, field) !== credentialVault.reveal(to, field)) {
+      changed.push({ path: field, from: masked.before[field] ?? null, to: masked.after[field] ?? null });
+    }
+  }
+  return { ...masked, changed };
+}
+
+/**
+ * Record one mutation. Never throws.
+ * @param {import("express").Request} req - actor (req.user) and IP
+ * @param {{ action: string, targetType: "domain"|"route"|"company", domain?: string, route?: string,
+ *   accountID?: string, before?: Object, after?: Object, meta?: Object }} entry
+ */
+async function recordAudit(req, { action, targetType, domain = null, route = null, accountID = null, before = null, after = null, meta = null }) {
+  if (!isLogAvailable()) return null;
+  try {
+    const masked = maskSecrets(before, after);
+    const diff = diffSnapshots(masked.before, masked.after).filter((d) => !SECRET_FIELDS.includes(d.path));
+    return await AuditLog.create({
+      actor: {
+        userId: req?.user?.userId || null,
+        email: req?.user?.email || null,
+        role: req?.user?.role || null,
+      },
+      ip: clientIp(req),
+      action,
+      targetType,
+      domain,
+      route,
+      accountID,
+      before: masked.before,
+      after: masked.after,
+      diff: [...diff, ...masked.changed],
+      meta,
+    });
+  } catch (err) {
+    console.warn(`⚠️ auditLogs write failed (${action}):`, err.message);
+    return null;
+  }
+}
+
+function parseDate(value) {
+  if (value == null || String(value).trim() === "") return null;
+  const d = new Date(String(value).trim());
+  return Number.isNaN(d.getTime()) ? undefined : d;
+}
+
+function buildFilter(query) {
+  const filter = {};
+  if (query.actor) filter["actor.email"] = String(query.actor).trim().toLowerCase();
+  if (query.userId) filter["actor.userId"] = String(query.userId).trim();
+  if (query.action) {
+    const actions = String(query.action).split(",").map((a) => a.trim()).filter(Boolean);
+    const allowed = AuditLog.schema.path("action").enumValues;
+    const unknown = actions.filter((a) => !allowed.includes(a));
+    if (unknown.length) return { error: `action must be one of: ${allowed.join(", ")}` };
+    filter.action = actions.length === 1 ? actions[0] : { $in: actions };
+  }
+  if (query.targetType) filter.targetType = String(query.targetType).trim();
+  if (query.domain) filter.domain = String(query.domain).trim();
+  if (query.route) filter.route = String(query.route).trim();
+  if (query.accountID) filter.accountID = String(query.accountID).trim();
+  if (query.field) filter["diff.path"] = String(query.field).trim();
+  const from = parseDate(query.from);
+  const to = parseDate(query.to);
+  if (from === undefined || to === undefined) return { error: "from / to must be valid dates" };
+  if (from || to) {
+    filter.createdAt = {};
+    if (from) filter.createdAt.$gte = from;
+    if (to) filter.createdAt.$lte = to;
+  }
+  return { filter };
+}
+
+function toPublicEntry({ _id, __v, ...doc }) {
+  return { id: _id.toString(), ...doc };
+}
+
+/** GET /api/v1/audit?actor=&userId=&action=&targetType=&domain=&route=&accountID=&field=&from=&to=&page=&limit= */
+async function searchAudit(query = {}) {
+  if (!isLogAvailable()) return { ok: false, status: 503, error: "MongoDB not connected" };
+  const { filter, error } = buildFilter(query);
+  if (error) return { ok: false, status: 400, error };
+  const page = Math.max(1, parseInt(query.page, 10) || 1);
+  const limit = Math.min(200, Math.max(1, parseInt(query.limit, 10) || 50));
+  const [docs, total] = await Promise.all([
+    AuditLog.find(filter)
+      .select(query.includeSnapshots === "true" ? "" : "-before -after")
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    AuditLog.countDocuments(filter),
+  ]);
+  return {
+    ok: true,
+    entries: docs.map(toPublicEntry),
+    pagination: { page, limit, total, pages: Math.ceil(total / limit) },
+  };
+}
+
+/** GET /api/v1/audit/domain/:domain — domain and route changes for one domain, newest first. */
+async function getDomainHistory(domain, query = {}) {
+  const name = String(domain || "").trim();
+  if (!name) return { ok: false, status: 400, error: "domain is required" };
+  const result = await searchAudit({ ...query, domain: name });
+  return result.ok ? { ok: true, domain: name, ...result } : result;
+}
+
+module.exports = {
+  clientIp,
+  snapshotDomain,
+  snapshotRoute,
+  snapshotCompany,
+  diffSnapshots,
+  recordAudit,
+  searchAudit,
+  getDomainHistory,
+};
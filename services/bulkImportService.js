@@ -0,0 +1,507 @@
+/**
+ * Bulk domain and route import — CSV text or a JSON array of rows. Every row is validated before anything is
+ * changed (required fields, enums, duplicates inside the import, existing / archived domains, open provisioning
+ * jobs, assignees that are not active users, template existence via templateService.validateTemplate); with any
+ * invalid row nothing runs unless
+ * skipInvalid is set. Both imports answer with a per-row report.
+ *
+ * - importDomains(): one provisioning job per domain (services/domainProvisioningService.js); routes in the same
+ *   import are created together with the Domain record. The worker bounds concurrency against Cloudflare /
+ *   RedTrack rate limits.
+ * - importRoutes(): routes added to existing domains, one save + nginx regeneration per domain, at most
+ *   BULK_IMPORT_ROUTE_CONCURRENCY domains at a time.
+ */
+const mongoose = require("mongoose");
+const Domain = require("../models/domainModel");
+const CFG = require("../config/bulkImport");
+const CLOUDFLARE_CONFIG = require("../config/cloudflare");
+const templateService = require("./templateService");
+const dynamicRoutes = require("./dynamicRoutes");
+const domainProvisioningService = require("./domainProvisioningService");
+const auditLogService = require("./auditLogService");
+const routeVersionService = require("./routeVersionService");
+const domainOwnershipService = require("./domainOwnershipService");
+
+const DOMAIN_ORGANIZATIONS = Domain.schema.path("organization").enumValues;
+const ROUTE_SCHEMA = Domain.schema.path("routes").schema;
+const ROUTE_ORGANIZATIONS = ROUTE_SCHEMA.path("organization").enumValues;
+const TRACKING_PLATFORMS = ROUTE_SCHEMA.path("trackingPlatform").enumValues;
+/** Route organization used when a domain import row leaves routeOrganization empty */
+const ROUTE_ORGANIZATION_BY_DOMAIN = { Paragon: "paragon media", Elite: "elite", Fluent: "fluent" };
+
+const DOMAIN_FIELDS = ["domain", "assignedTo", "organization", "id", "platform", "vertical", "rtkID", "certificationTags"];
+const ROUTE_FIELDS = [
+  "route",
+  "template",
+  "organization",
+  "platform",
+  "ringbaID",
+  "rtkID",
+  "phoneNumber",
+  "trackingPlatform",
+  "callgridOrganizationId",
+  "callgridCampaignId",
+  "callgridCampaignSourceId",
+  "callgridMediaBuyerName",
+];
+/** Columns of a domain import row that describe its route (organization / platform would clash with the domain's) */
+const DOMAIN_ROW_ROUTE_COLUMNS = {
+  route: "route",
+  template: "template",
+  routeOrganization: "organization",
+  routePlatform: "platform",
+  ringbaID: "ringbaID",
+  phoneNumber: "phoneNumber",
+  trackingPlatform: "trackingPlatform",
+  callgridOrganizationId: "callgridOrganizationId",
+  callgridCampaignId: "callgridCampaignId",
+  callgridCampaignSourceId: "callgridCampaignSourceId",
+  callgridMediaBuyerName: "callgridMediaBuyerName",
+};
+const KNOWN_COLUMNS = [...new Set([...DOMAIN_FIELDS, ...ROUTE_FIELDS, ...Object.keys(DOMAIN_ROW_ROUTE_COLUMNS)])];
+
+function isImportAvailable() {
+  return mongoose.connection.readyState === 1;
+}
+
+/** RFC 4180-style CSV: quoted fields, "" escapes, CRLF; blank lines are skipped. */
+function parseCsv(text) {
+  const records = [];
+  let record = [];
+  let field = "";
+  let quoted = false;
+  const input = String(text).replace(/^\uFEFF/, "");
+  for (let i = 0; i < input.length; i++) {
+    const ch = input[i];
+    if (quoted) {
+      if (ch === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ",") {
+      record.push(field);
+      field = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && input[i + 1] === "\n") i++;
+      record.push(field);
+      if (record.some((v) => v.trim() !== "")) records.push(record);
+      record = [];
+      field = "";
+    } else {
+      field += ch;
+    }
+  }
+  record.push(field);
+  if (record.some((v) => v.trim() !== "")) records.push(record);
+  return records;
+}
+
+/** Header names are matched case-insensitively ("RingbaID" → ringbaID); unknown columns are reported. */
+function csvToRows(text) {
+  const [header, ...lines] = parseCsv(text);
+  if (!header) return { error: "CSV is empty" };
+  const byLower = new Map(KNOWN_COLUMNS.map((c) => [c.toLowerCase(), c]));
+  const columns = header.map((h) => byLower.get(h.trim().toLowerCase()) || null);
+  const unknown = header.filter((h, i) => !columns[i]).map((h) => h.trim());
+  if (unknown.length) return { error: `Unknown CSV column(s): ${unknown.join(", ")}` };
+  const rows = lines.map((values) => {
+    const row = {};
+    columns.forEach((column, i) => {
+      const value = (values[i] ?? "").trim();
+      if (value !== "") row[column] = value;
+    });
+    return row;
+  });
+  return { rows };
+}
+
+/**
+ * Rows from a request body: CSV text (text/csv), { csv: "..." }, a JSON array or { rows: [...] }.
+ * @returns {{ rows?: Object[], error?: string }}
+ */
+function parseImportBody(body) {
+  let parsed;
+  if (typeof body === "string") parsed = csvToRows(body);
+  else if (Array.isArray(body)) parsed = { rows: body };
+  else if (body && typeof body.csv === "string") parsed = csvToRows(body.csv);
+  else if (body && Array.isArray(body.rows)) parsed = { rows: body.rows };
+  else return { error: "Send CSV text, { csv }, a JSON array of rows or { rows: [...] }" };
+  if (parsed.error) return parsed;
+  if (!parsed.rows.length) return { error: "No rows to import" };
+  if (parsed.rows.length > CFG.MAX_ROWS) return { error: `At most ${CFG.MAX_ROWS} rows per import` };
+  if (parsed.rows.some((row) => !row || typeof row !== "object" || Array.isArray(row))) {
+    return { error: "Every row must be an object" };
+  }
+  return parsed;
+}
+
+function text(value) {
+  if (value === undefined || value === null) return "";
+  return String(value).trim();
+}
+
+/** JSON arrays as-is; CSV cells split on ";" or "|". */
+function parseTags(value) {
+  if (value === undefined || value === null || value === "") return { tags: [] };
+  if (Array.isArray(value)) return { tags: value.map(text).filter(Boolean) };
+  if (typeof value === "string") return { tags: value.split(/[;|]/).map((t) => t.trim()).filter(Boolean) };
+  return { error: "certificationTags must be an array (CSV: separate tags with ;)" };
+}
+
+/** Same rules as createRoute; createdBy is always the importing user. */
+function normalizeRoute(raw, createdBy) {
+  const errors = [];
+  const route = { createdBy };
+  for (const field of ROUTE_FIELDS) {
+    const value = text(raw[field]);
+    if (value) route[field] = value;
+  }
+  for (const field of ["route", "template", "organization", "platform"]) {
+    if (!route[field]) errors.push(`${field} is required`);
+  }
+  if (route.organization && !ROUTE_ORGANIZATIONS.includes(route.organization)) {
+    errors.push(`organization must be one of: ${ROUTE_ORGANIZATIONS.join(", ")}`);
+  }
+  if (route.trackingPlatform && !TRACKING_PLATFORMS.includes(route.trackingPlatform)) {
+    errors.push(`trackingPlatform must be one of: ${TRACKING_PLATFORMS.join(", ")}`);
+  }
+  route.rtkID = route.rtkID || null;
+  return { route, errors };
+}
+
+/** Same rules as createDomain. */
+function normalizeDomain(raw) {
+  const errors = [];
+  const domain = {};
+  for (const field of ["domain", "assignedTo", "id", "platform", "vertical", "rtkID"]) domain[field] = text(raw[field]);
+  for (const field of ["domain", "assignedTo", "id", "platform", "vertical"]) {
+    if (!domain[field]) errors.push(`${field} is required`);
+  }
+  domain.organization = text(raw.organization) || "Paragon";
+  if (!DOMAIN_ORGANIZATIONS.includes(domain.organization)) {
+    errors.push(`organization must be one of: ${DOMAIN_ORGANIZATIONS.join(", ")}`);
+  }
+  const { tags, error } = parseTags(raw.certificationTags);
+  if (error) errors.push(error);
+  domain.certificationTags = tags || [];
+  domain.rtkID = domain.rtkID || null;
+  return { domain, errors };
+}
+
+/** The route part of a domain import row: a flat CSV route (route / template / routeOrganization ...) or JSON routes[]. */
+function routesOfDomainRow(raw, domain) {
+  if (Array.isArray(raw.routes)) {
+    return raw.routes.map((r) => ({
+      organization: ROUTE_ORGANIZATION_BY_DOMAIN[domain.organization],
+      platform: domain.platform,
+      rtkID: domain.rtkID,
+      ...r,
+    }));
+  }
+  if (raw.routes !== undefined) return null;
+  if (!text(raw.route) && !text(raw.template)) return [];
+  const route = {
+    organization: ROUTE_ORGANIZATION_BY_DOMAIN[domain.organization],
+    platform: domain.platform,
+    rtkID: domain.rtkID,
+  };
+  for (const [column, field] of Object.entries(DOMAIN_ROW_ROUTE_COLUMNS)) {
+    if (text(raw[column])) route[field] = raw[column];
+  }
+  return [route];
+}
+
+/**
+ * validateTemplate() per distinct template. A template the lander server reports missing is an error; a
+ * skipped check (localhost, server unreachable) only warns, as in createRoute.
+ */
+async function checkTemplates(templates) {
+  const results = new Map();
+  for (const template of new Set(templates)) {
+    const validation = await templateService.validateTemplate(template);
+    if (validation.success) results.set(template, {});
+    else if (validation.skipped) results.set(template, { warning: `template "${template}" not verified: ${validation.error}` });
+    else results.set(template, { error: `template "${template}" not found${validation.error ? `: ${validation.error}` : ""}` });
+  }
+  return results;
+}
+
+function applyTemplateChecks(report, routes, templateChecks) {
+  for (const route of routes) {
+    const check = templateChecks.get(route.template) || {};
+    if (check.error) report.errors.push(check.error);
+    if (check.warning && !report.warnings.includes(check.warning)) report.warnings.push(check.warning);
+  }
+}
+
+function newReport(index, raw) {
+  return { row: index + 1, domain: text(raw.domain) || null, status: "valid", errors: [], warnings: [] };
+}
+
+function missingProvisioningConfig() {
+  return ["API_TOKEN", "SERVER_IP", "INTERNAL_SERVER_URL", "INTERNAL_API_TOKEN"].filter((key) => !CLOUDFLARE_CONFIG[key]);
+}
+
+/** Run fn over items with at most `limit` in flight. */
+async function mapWithConcurrency(items, limit, fn) {
+  let next = 0;
+  const lanes = Array.from({ length: Math.min(limit, items.length) }, async () => {
+    while (next < items.length) {
+      const item = items[next++];
+      await fn(item);
+    }
+  });
+  await Promise.all(lanes);
+}
+
+function summarize(reports) {
+  const summary = { total: reports.length };
+  for (const r of reports) summary[r.status] = (summary[r.status] || 0) + 1;
+  return summary;
+}
+
+/**
+ * Final answer once validation is done: nothing runs for a dry run or, unless skipInvalid, when a row is invalid.
+ * @returns {{ ok, status, ... } | null} null = go ahead
+ */
+function stopAfterValidation(reports, { dryRun, skipInvalid }) {
+  const invalid = reports.filter((r) => r.errors.length);
+  for (const r of invalid) r.status = "invalid";
+  if (dryRun) return { ok: true, status: 200, dryRun: true, summary: summarize(reports), rows: reports };
+  if (invalid.length && !skipInvalid) {
+    for (const r of reports) if (!r.errors.length) r.status = "skipped";
+    return {
+      ok: false,
+      status: 400,
+      error: `${invalid.length} invalid row(s) — nothing was imported. Fix them or pass skipInvalid=true.`,
+      summary: summarize(reports),
+      rows: reports,
+    };
+  }
+  return null;
+}
+
+/**
+ * Validate and queue domains (optionally with their first routes).
+ * @param {Object[]|string|Object} body - see parseImportBody
+ * @param {{ req: import("express").Request, dryRun?: boolean, skipInvalid?: boolean }} options
+ */
+async function importDomains(body, { req, dryRun = false, skipInvalid = false }) {
+  if (!isImportAvailable()) return { ok: false, status: 503, error: "MongoDB not connected" };
+  const missing = missingProvisioningConfig();
+  if (missing.length) return { ok: false, status: 500, error: `Server configuration error: ${missing.join(", ")} not configured` };
+  const { rows, error } = parseImportBody(body);
+  if (error) return { ok: false, status: 400, error };
+
+  const createdBy = req?.user?.email || null;
+  const reports = [];
+  /** domain → { domain, routes, reports } in first-seen order */
+  const groups = new Map();
+  rows.forEach((raw, index) => {
+    const report = newReport(index, raw);
+    reports.push(report);
+    const { domain, errors } = normalizeDomain(raw);
+    report.errors.push(...errors);
+    const rawRoutes = routesOfDomainRow(raw, domain);
+    if (!rawRoutes) report.errors.push("routes must be an array");
+    const routes = (rawRoutes || []).map((r) => {
+      const normalized = normalizeRoute(r, createdBy);
+      report.errors.push(...normalized.errors.map((e) => `route ${text(r.route) || "?"}: ${e}`));
+      return normalized.route;
+    });
+    report.routes = routes.map((r) => r.route).filter(Boolean);
+    if (!domain.domain) return;
+
+    const group = groups.get(domain.domain);
+    if (!group) {
+      groups.set(domain.domain, { domain, routes, reports: [report] });
+      return;
+    }
+    // Several rows for one domain = one route each; the domain columns must agree with the first row.
+    const first = group.reports[0];
+    if (!routes.length || !group.routes.length) {
+      report.errors.push(`duplicate domain in this import (row ${first.row})`);
+    }
+    for (const field of ["assignedTo", "organization", "id", "platform", "vertical", "rtkID"]) {
+      if (text(raw[field]) && domain[field] !== group.domain[field]) {
+        report.errors.push(`${field} differs from row ${first.row} for the same domain`);
+      }
+    }
+    for (const route of routes) {
+      const earlier = group.routes.find((r) => r.route === route.route);
+      if (earlier) report.errors.push(`duplicate route "${route.route}" for ${domain.domain} in this import`);
+    }
+    group.routes.push(...routes);
+    group.reports.push(report);
+  });
+
+  const names = [...groups.keys()];
+  const [existing, openJobs, owners] = await Promise.all([
+    Domain.find({ domain: { $in: names } }).select("domain status").lean(),
+    domainProvisioningService.findOpenJobs(names),
+    domainOwnershipService.resolveOwners([...groups.values()].map((g) => g.domain.assignedTo).filter(Boolean)),
+  ]);
+  const existingByName = new Map(existing.map((d) => [d.domain, d]));
+  const templateChecks = await checkTemplates([...groups.values()].flatMap((g) => g.routes.map((r) => r.template)).filter(Boolean));
+
+  for (const [name, group] of groups) {
+    const found = existingByName.get(name);
+    const conflict = found
+      ? found.status === "archived"
+        ? `Domain ${name} is archived — restore it instead of importing it`
+        : `Domain ${name} already exists`
+      : openJobs.has(name)
+        ? `Provisioning for ${name} is already ${openJobs.get(name)}`
+        : null;
+    const owner = owners.get(group.domain.assignedTo);
+    if (owner) Object.assign(group.domain, { assignedTo: owner.email, ownerId: String(owner._id) });
+    for (const report of group.reports) {
+      if (conflict) report.errors.push(conflict);
+      if (group.domain.assignedTo && !owner) report.errors.push(`assignedTo ${group.domain.assignedTo} is not an active user`);
+      applyTemplateChecks(report, group.routes.filter((r) => report.routes.includes(r.route)), templateChecks);
+    }
+  }
+
+  const stopped = stopAfterValidation(reports, { dryRun, skipInvalid });
+  if (stopped) return stopped;
+
+  for (const [name, group] of groups) {
+    if (group.reports.some((r) => r.errors.length)) {
+      for (const report of group.reports) if (!report.errors.length) report.status = "skipped";
+      continue;
+    }
+    const provisioning = await domainProvisioningService.startProvisioning({ ...group.domain, routes: group.routes }, req);
+    for (const report of group.reports) {
+      if (provisioning.ok) {
+        report.status = "queued";
+        report.jobId = provisioning.job.id;
+        report.statusUrl = `/api/v1/domain/${encodeURIComponent(name)}/provisioning`;
+      } else {
+        report.status = "failed";
+        report.errors.push(provisioning.error);
+      }
+    }
+  }
+  return { ok: true, status: 202, summary: summarize(reports), rows: reports };
+}
+
+/** Save one domain's new routes, record audit / versions, regenerate its nginx fragment. */
+async function applyRouteGroup(group, req) {
+  const { name, routes, reports } = group;
+  try {
+    const domainDoc = await Domain.findOne({ domain: name });
+    if (!domainDoc || domainDoc.status === "archived") throw new Error(`Domain ${name} is no longer available`);
+    const taken = routes.filter((r) => domainDoc.routes.some((existing) => existing.route === r.route));
+    if (taken.length) throw new Error(`Route(s) added meanwhile: ${taken.map((r) => r.route).join(", ")}`);
+
+    if (!domainDoc.rtkID) domainDoc.rtkID = routes.find((r) => r.rtkID)?.rtkID || domainDoc.rtkID;
+    domainDoc.routes.push(...routes);
+    await domainDoc.save();
+
+    for (const route of routes) {
+      await auditLogService.recordAudit(req, {
+        action: "route.create",
+        targetType: "route",
+        domain: name,
+        route: route.route,
+        after: auditLogService.snapshotRoute(route),
+        meta: { bulkImport: true },
+      });
+      await routeVersionService.recordRouteVersion(name, domainDoc.routes.find((r) => r.route === route.route), {
+        action: "create",
+        user: req?.user,
+      });
+    }
+    for (const report of reports) report.status = "created";
+  } catch (err) {
+    for (const report of reports) {
+      report.status = "failed";
+      report.errors.push(err.message);
+    }
+    return;
+  }
+
+  // As in createRoute: routes are saved even when the nginx fragment cannot be regenerated.
+  try {
+    const domainDoc = await Domain.findOne({ domain: name });
+    const nginxResult = await dynamicRoutes.generateNginxConfig(domainDoc);
+    if (nginxResult?.warning) for (const report of reports) report.warnings.push(`nginx: ${nginxResult.warning}`);
+  } catch (err) {
+    console.error(`❌ Bulk import: nginx regeneration failed for ${name}: ${err.message}`);
+    for (const report of reports) report.warnings.push(`nginx regeneration failed: ${err.message}`);
+  }
+}
+
+/**
+ * Validate and add routes to existing domains (one route per row, same fields as POST /route).
+ * @param {Object[]|string|Object} body - see parseImportBody
+ * @param {{ req: import("express").Request, canAccess: (domainDoc: Object) => boolean, dryRun?: boolean,
+ *   skipInvalid?: boolean }} options
+ */
+async function importRoutes(body, { req, canAccess, dryRun = false, skipInvalid = false }) {
+  if (!isImportAvailable()) return { ok: false, status: 503, error: "MongoDB not connected" };
+  const { rows, error } = parseImportBody(body);
+  if (error) return { ok: false, status: 400, error };
+
+  const createdBy = req?.user?.email || null;
+  const names = [...new Set(rows.map((raw) => text(raw.domain)).filter(Boolean))];
+  const domainDocs = await Domain.find({ domain: { $in: names } })
+    .select("domain status assignedTo ownerId coOwnerIds team routes.route")
+    .lean();
+  const domainsByName = new Map(domainDocs.map((d) => [d.domain, d]));
+
+  const reports = [];
+  const entries = [];
+  const seen = new Map();
+  rows.forEach((raw, index) => {
+    const report = newReport(index, raw);
+    reports.push(report);
+    const { route, errors } = normalizeRoute(raw, createdBy);
+    report.route = route.route || null;
+    report.errors.push(...errors);
+    if (!report.domain) {
+      report.errors.push("domain is required");
+      return;
+    }
+    const domainDoc = domainsByName.get(report.domain);
+    if (!domainDoc) report.errors.push(`Domain ${report.domain} not found — create it first (POST /domain/bulk)`);
+    else if (domainDoc.status === "archived") report.errors.push(`Domain ${report.domain} is archived — restore it before adding routes`);
+    else if (!canAccess(domainDoc)) report.errors.push(`You don't have access to modify ${report.domain}`);
+    else if (route.route && domainDoc.routes.some((r) => r.route === route.route)) {
+      report.errors.push(`Route "${route.route}" already exists on ${report.domain}`);
+    }
+    const key = `${report.domain}/${route.route}`;
+    if (route.route && seen.has(key)) report.errors.push(`duplicate route in this import (row ${seen.get(key)})`);
+    else if (route.route) seen.set(key, report.row);
+    entries.push({ report, route });
+  });
+
+  const templateChecks = await checkTemplates(entries.map((e) => e.route.template).filter(Boolean));
+  for (const { report, route } of entries) applyTemplateChecks(report, [route], templateChecks);
+
+  const stopped = stopAfterValidation(reports, { dryRun, skipInvalid });
+  if (stopped) return stopped;
+
+  const groups = new Map();
+  for (const { report, route } of entries) {
+    if (report.errors.length) continue;
+    if (!groups.has(report.domain)) groups.set(report.domain, { name: report.domain, routes: [], reports: [] });
+    groups.get(report.domain).routes.push(route);
+    groups.get(report.domain).reports.push(report);
+  }
+  await mapWithConcurrency([...groups.values()], CFG.ROUTE_CONCURRENCY, (group) => applyRouteGroup(group, req));
+  return { ok: true, status: 200, summary: summarize(reports), rows: reports };
+}
+
+module.exports = {
+  parseCsv,
+  parseImportBody,
+  importDomains,
+  importRoutes,
+};
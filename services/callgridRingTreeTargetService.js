@@ -1,22 +1,19 @@
 /**
- * CallGrid ring-tree — ingest, RPC batches, tier discovery, dry-run moves.
+ * CallGrid ring-tree — ingest, RPC batches, tier discovery, live/dry-run moves.
  */
 const fs = require("fs");
 const path = require("path");
 const CFG = require("../config/callgridRingTreeTarget");
 const slackService = require("./slackService");
+const ringTreeHistoryService = require("./ringTreeHistoryService");
+const ringTreeTiering = require("./ringTreeTiering");
+const ringTreeRpcWindow = require("./ringTreeRpcWindow");
 
-const targetLocks = new Map();
-let stateMutex = Promise.resolve();
+const { createRingTreeStateStore } = require("./ringTreeStateStore");
 
-function withStateMutex(fn) {
-  const run = stateMutex.then(fn, fn);
-  stateMutex = run.then(
-    () => undefined,
-    () => undefined
-  );
-  return run;
-}
+const targetLocks = new Map();
+/** Rolling mode keeps recent callIds past the window so webhook retries stay deduped. */
+const ROLLING_SEEN_CALL_IDS_MAX = 500;
 
 function emptyState() {
   return { version: 2, profiles: {} };
@@ -29,37 +26,39 @@ function ensureProfileState(state, profileKey) {
   return state.profiles[profileKey];
 }
 
-async function loadState() {
-  try {
-    const raw = await fs.promises.readFile(CFG.STATE_FILE, "utf8");
-    const parsed = JSON.parse(raw);
-    if (!parsed || typeof parsed !== "object") return emptyState();
-    if (!parsed.profiles) {
-      return {
-        version: 2,
-        profiles: parsed.destinations
-          ? { medicare: { destinations: parsed.destinations, lastMoveAt: parsed.lastMoveAt || {} } }
-          : {},
-      };
-    }
-    return parsed;
-  } catch (err) {
-    if (err.code === "ENOENT") return emptyState();
-    throw err;
+function normalizeState(parsed) {
+  if (!parsed || typeof parsed !== "object") return emptyState();
+  if (!parsed.profiles) {
+    return {
+      version: 2,
+      profiles: parsed.destinations
+        ? { medicare: { destinations: parsed.destinations, lastMoveAt: parsed.lastMoveAt || {} } }
+        : {},
+    };
   }
+  return parsed;
 }
 
-async function saveState(state) {
-  await fs.promises.mkdir(path.dirname(CFG.STATE_FILE), { recursive: true });
-  const tmp = `${CFG.STATE_FILE}.${process.pid}.${Date.now()}.tmp`;
-  await fs.promises.writeFile(tmp, JSON.stringify(state, null, 2), "utf8");
-  await fs.promises.rename(tmp, CFG.STATE_FILE);
+const stateStore = createRingTreeStateStore({
+  backend: CFG.STATE_BACKEND,
+  engine: "callgrid",
+  collectionKey: "destinations",
+  stateFile: CFG.STATE_FILE,
+  emptyState,
+  normalizeState,
+  logPrefix: "[callgrid-ring-tree]",
+});
+
+async function loadState() {
+  return stateStore.load();
 }
 
 async function appendEvent(entry = {}) {
-  const line = `${JSON.stringify({ at: new Date().toISOString(), ...entry })}\n`;
+  const event = { at: new Date().toISOString(), ...entry };
+  const line = `${JSON.stringify(event)}\n`;
   await fs.promises.mkdir(path.dirname(CFG.EVENTS_FILE), { recursive: true });
   await fs.promises.appendFile(CFG.EVENTS_FILE, line, "utf8");
+  await ringTreeHistoryService.recordEvent("callgrid", event);
 }
 
 function parseRevenue(value) {
@@ -223,7 +222,7 @@ function asArray(payload) {
   return [];
 }
 
-async function callgridGet(apiPath) {
+async function callgridRequest(method, apiPath, body) {
   const apiKey = CFG.getApiKey();
   if (!apiKey) {
     const err = new Error("CALLGRID_API_KEY is not configured on the server.");
@@ -231,9 +230,12 @@ async function callgridGet(apiPath) {
     throw err;
   }
   const url = `${CFG.API_BASE_URL}${apiPath.startsWith("/") ? apiPath : `/${apiPath}`}`;
+  const headers = { Authorization: `Bearer ${apiKey}`, Accept: "application/json" };
+  if (body !== undefined) headers["Content-Type"] = "application/json";
   const response = await fetch(url, {
-    method: "GET",
-    headers: { Authorization: `Bearer ${apiKey}`, Accept: "application/json" },
+    method,
+    headers,
+    body: body !== undefined ? JSON.stringify(body) : undefined,
   });
   const json = await response.json().catch(() => null);
   if (!response.ok) {
@@ -245,6 +247,10 @@ async function callgridGet(apiPath) {
   return json;
 }
 
+async function callgridGet(apiPath) {
+  return callgridRequest("GET", apiPath);
+}
+
 async function verifyAuth() {
   const apiKey = CFG.getApiKey();
   if (!apiKey) {
@@ -332,6 +338,7 @@ function buildTierSnapshot(campaign, profile, destNameById) {
     groupMode: Boolean(campaign.groupMode),
     routing: campaign.routing || null,
     plan: plan ? { id: plan.id, name: plan.name, groupCount: groups.length } : null,
+    tierRuleCount: CFG.getProfileTierRules(profile).length,
     tiers: groups,
     totalDestinations: groups.reduce((sum, g) => sum + g.destinationCount, 0),
   };
@@ -344,6 +351,11 @@ function logTierSnapshot(snapshot) {
   console.log(`Group mode: ${snapshot.groupMode} | Routing: ${snapshot.routing}`);
   if (snapshot.plan) {
     console.log(`Plan: ${snapshot.plan.name} (${snapshot.plan.id}) — ${snapshot.plan.groupCount} tier(s)`);
+    if (snapshot.plan.groupCount !== snapshot.tierRuleCount + 1) {
+      console.warn(
+        `[callgrid-ring-tree] ${snapshot.profileKey}: ${snapshot.plan.groupCount} group(s) but ${snapshot.tierRuleCount} tier rule(s) — set tierRules for ${snapshot.plan.groupCount - 1}`
+      );
+    }
   }
   for (const tier of snapshot.tiers) {
     console.log(`\n--- ${tier.name} (${tier.id}) mode=${tier.mode} targets=${tier.destinationCount} ---`);
@@ -439,9 +451,12 @@ function runStartupDiscover() {
   });
 }
 
+/** Batches are evaluated only when full, so the batch length is the profile's batch size. */
 function computeRpc(batch) {
-  const sum = (batch || []).reduce((acc, c) => acc + parseRevenue(c.revenue), 0);
-  return Math.round((sum / CFG.BATCH_SIZE) * 10000) / 10000;
+  const calls = batch || [];
+  if (calls.length === 0) return 0;
+  const sum = calls.reduce((acc, c) => acc + parseRevenue(c.revenue), 0);
+  return Math.round((sum / calls.length) * 10000) / 10000;
 }
 
 function shortTierLabel(name) {
@@ -449,56 +464,15 @@ function shortTierLabel(name) {
   return m ? `T${m[1]}` : String(name || "unknown");
 }
 
-function getRawTierFromRpc(rpc, profile) {
-  const rules = CFG.getProfileRpcRules(profile);
-  const tierNames = (profile.tierNames || []).length
-    ? profile.tierNames
-    : ["Tier 1", "Tier 2", "Tier 3"];
-  const t1 = tierNames[0];
-  const t2 = tierNames[1] || tierNames[0];
-  const t3 = tierNames[2] || tierNames[1] || tierNames[0];
-
-  if (rules.mode === "above") {
-    if (rpc > rules.tier1Above) return t1;
-    if (rpc >= rules.tier2Min) return t2;
-    return t3;
-  }
-  if (rpc >= rules.tier1Min) return t1;
-  if (rpc >= rules.tier2Min) return t2;
-  return t3;
+/** tierOrder = plan group names in routing order (best first). */
+function getRawTierFromRpc(rpc, profile, tierOrder) {
+  const order = tierOrder?.length ? tierOrder : ["Tier 1", "Tier 2", "Tier 3"];
+  return ringTreeTiering.resolveTiers(rpc, null, order, CFG.getProfileTierRules(profile)).rawTier;
 }
 
 function getDesiredTierWithHysteresis(rpc, currentTier, profile, tierOrder) {
-  const h = CFG.getProfileHysteresis(profile);
-  const rules = CFG.getProfileRpcRules(profile);
-  const order = tierOrder.length ? tierOrder : [currentTier];
-  const t1 = order[0];
-  const t2 = order[1] || order[0];
-  const t3 = order[2] || order[1] || order[0];
-  const t4 = order[3] || order[2] || order[1] || order[0];
-  const tier2Floor = rules.mode === "above" ? rules.tier2Min : rules.tier2Min;
-
-  if (currentTier === t1) {
-    if (rpc < h.demoteFromTier1) return rpc >= tier2Floor ? t2 : t3;
-    return t1;
-  }
-  if (currentTier === t2) {
-    if (rpc >= h.promoteToTier1) return t1;
-    if (rpc < h.demoteFromTier2) return t3;
-    return t2;
-  }
-  if (currentTier === t3) {
-    if (rpc >= h.promoteToTier1) return t1;
-    if (rpc >= h.promoteToTier2) return t2;
-    return t3;
-  }
-  if (currentTier === t4) {
-    if (rpc >= h.promoteToTier1) return t1;
-    if (rpc >= h.promoteToTier2) return t2;
-    if (rpc >= tier2Floor) return t3;
-    return t4;
-  }
-  return getRawTierFromRpc(rpc, profile);
+  const order = tierOrder?.length ? tierOrder : [currentTier];
+  return ringTreeTiering.resolveTiers(rpc, currentTier, order, CFG.getProfileTierRules(profile)).desiredTier;
 }
 
 function isDemotion(currentTier, desiredTier, tierOrder) {
@@ -536,12 +510,149 @@ function buildDryRunMovePlan(plan, destinationId, fromGroupName, toGroupName, ca
   return {
     ok: true,
     writePath: `PATCH /api/campaign/${campaignId}`,
-    writeImplemented: false,
+    writeImplemented: true,
     from: { id: from.id, name: from.name },
     to: { id: to.id, name: to.name },
   };
 }
 
+function destinationRefId(d) {
+  return typeof d === "string" ? d : d?.id;
+}
+
+/**
+ * Copy of campaign.routingGroups with destinationId moved from one group to another
+ * inside the given plan. Weight and priority rows travel with the destination.
+ */
+function buildMovedRoutingGroups(campaign, planId, destinationId, fromGroupName, toGroupName) {
+  const routingGroups = JSON.parse(JSON.stringify(campaign?.routingGroups || {}));
+  const plan = (routingGroups.plans || []).find((p) => p.id === planId);
+  if (!plan) return { ok: false, reason: "routing_plan_missing" };
+  const from = (plan.groups || []).find((g) => g.name === fromGroupName);
+  const to = (plan.groups || []).find((g) => g.name === toGroupName);
+  if (!from || !to) return { ok: false, reason: "missing_group", fromGroupName, toGroupName };
+
+  const fromDests = Array.isArray(from.destinations) ? from.destinations : [];
+  const fromWeights = Array.isArray(from.weights) ? from.weights : [];
+  const destRef = fromDests.find((d) => destinationRefId(d) === destinationId);
+  const weightRow = fromWeights.find((w) => w?.destinationId === destinationId);
+  if (!destRef && !weightRow) {
+    return { ok: false, reason: "destination_not_in_source_group", fromGroupName };
+  }
+
+  from.destinations = fromDests.filter((d) => destinationRefId(d) !== destinationId);
+  from.weights = fromWeights.filter((w) => w?.destinationId !== destinationId);
+
+  if (!Array.isArray(to.destinations)) to.destinations = [];
+  if (!Array.isArray(to.weights)) to.weights = [];
+  to.destinations = to.destinations.filter((d) => destinationRefId(d) !== destinationId);
+  to.weights = to.weights.filter((w) => w?.destinationId !== destinationId);
+  to.destinations.push(destRef ?? destinationId);
+  to.weights.push(weightRow ? { ...weightRow } : { destinationId, weight: 1, priority: 1 });
+
+  return {
+    ok: true,
+    routingGroups,
+    from: { id: from.id, name: from.name },
+    to: { id: to.id, name: to.name },
+    weight: weightRow?.weight ?? 1,
+    priority: weightRow?.priority ?? 1,
+  };
+}
+
+async function patchCampaignRoutingGroups(campaignId, routingGroups) {
+  return callgridRequest("PATCH", `/api/campaign/${encodeURIComponent(campaignId)}`, {
+    routingGroups,
+  });
+}
+
+/** Where does destinationId sit in the re-read plan? Lists every group that still references it. */
+function findDestinationGroups(plan, destinationId) {
+  return (plan?.groups || [])
+    .filter((g) => {
+      const inDests = (g.destinations || []).some((d) => destinationRefId(d) === destinationId);
+      const inWeights = (g.weights || []).some((w) => w?.destinationId === destinationId);
+      return inDests || inWeights;
+    })
+    .map((g) => g.name);
+}
+
+/** Re-read the campaign: which groups reference destinationId now ({ verifyError } if the read fails). */
+async function readDestinationGroups(profile, destinationId) {
+  try {
+    const after = await fetchCampaignById(profile.campaignId);
+    return { verifiedGroups: findDestinationGroups(findPlan(after, profile), destinationId), verifyError: null };
+  } catch (err) {
+    return { verifiedGroups: [], verifyError: err.message };
+  }
+}
+
+/** PATCH the pre-move routingGroups back; returns the error message or null. */
+async function restoreRoutingGroups(profile, originalRoutingGroups) {
+  try {
+    await patchCampaignRoutingGroups(profile.campaignId, originalRoutingGroups);
+    return null;
+  } catch (err) {
+    return err.message;
+  }
+}
+
+/**
+ * Live tier move: PATCH the campaign routing groups, re-read, confirm the destination
+ * only sits in the target group. If the patch half-applied (still in source, in both,
+ * or in neither) PATCH the original routingGroups back. A PATCH that throws (timeout,
+ * 5xx) may still have applied, so it is verified the same way: unless the re-read shows
+ * the destination untouched in the source group, the original routingGroups go back.
+ */
+async function moveDestinationBetweenGroups(profile, campaign, plan, destinationId, fromGroupName, toGroupName) {
+  const built = buildMovedRoutingGroups(campaign, plan.id, destinationId, fromGroupName, toGroupName);
+  if (!built.ok) return { ok: false, error: built.reason, ...built };
+
+  const originalRoutingGroups = JSON.parse(JSON.stringify(campaign.routingGroups || {}));
+  try {
+    await patchCampaignRoutingGroups(profile.campaignId, built.routingGroups);
+  } catch (err) {
+    const { verifiedGroups, verifyError } = await readDestinationGroups(profile, destinationId);
+    const untouched = !verifyError && verifiedGroups.length === 1 && verifiedGroups[0] === fromGroupName;
+    const rollbackError = untouched ? null : await restoreRoutingGroups(profile, originalRoutingGroups);
+    return {
+      ok: false,
+      error: `patch failed: ${err.message}` + (verifyError ? ` (verify read failed: ${verifyError})` : ""),
+      from: built.from,
+      to: built.to,
+      verifiedGroups,
+      rolledBack: !untouched && !rollbackError,
+      rollbackError,
+    };
+  }
+
+  const { verifiedGroups, verifyError } = await readDestinationGroups(profile, destinationId);
+
+  if (!verifyError && verifiedGroups.length === 1 && verifiedGroups[0] === toGroupName) {
+    return {
+      ok: true,
+      from: built.from,
+      to: built.to,
+      weight: built.weight,
+      priority: built.priority,
+      verifiedGroups,
+    };
+  }
+
+  const rollbackError = await restoreRoutingGroups(profile, originalRoutingGroups);
+  return {
+    ok: false,
+    error: verifyError
+      ? `verify read failed: ${verifyError}`
+      : `move not confirmed — destination found in [${verifiedGroups.join(", ") || "none"}]`,
+    from: built.from,
+    to: built.to,
+    verifiedGroups,
+    rolledBack: !rollbackError,
+    rollbackError,
+  };
+}
+
 async function lookupDestinationName(destinationId) {
   try {
     const json = await callgridGet(`/api/destination/${encodeURIComponent(destinationId)}`);
@@ -566,6 +677,8 @@ function ingestCall(state, params, profileKey) {
   }
 
   const pState = ensureProfileState(state, profileKey);
+  const batchSize = CFG.getProfileBatchSize(profile);
+  const evaluation = CFG.getProfileEvaluation(profile);
   const { callId, destinationId, destinationName, callerPhone, revenue } = params;
 
   if (isBlankOrPlaceholder(destinationId)) {
@@ -606,12 +719,23 @@ function ingestCall(state, params, profileKey) {
         profileKey,
         destinationId,
         destinationName: destState.destinationName,
-        batchSize: destState.batch.length,
+        batchSize: (evaluation.mode === "rolling" ? destState.window : destState.batch)?.length || 0,
         dryRun: CFG.DRY_RUN,
       },
     };
   }
 
+  if (evaluation.mode === "rolling") {
+    return ingestIntoRollingWindow(state, destState, {
+      profileKey,
+      destinationId,
+      callId,
+      callerPhone,
+      revenue,
+      evaluation,
+    });
+  }
+
   const phoneNorm = normalizePhone(callerPhone);
   if (destState.batch.some((c) => normalizePhone(c.callerPhone) === phoneNorm)) {
     return {
@@ -636,7 +760,7 @@ function ingestCall(state, params, profileKey) {
     receivedAt: new Date().toISOString(),
   });
 
-  if (destState.batch.length < CFG.BATCH_SIZE) {
+  if (destState.batch.length < batchSize) {
     return {
       state,
       result: {
@@ -646,7 +770,7 @@ function ingestCall(state, params, profileKey) {
         destinationId,
         destinationName: destState.destinationName,
         batchSize: destState.batch.length,
-        batchNeeded: CFG.BATCH_SIZE,
+        batchNeeded: batchSize,
         rpc: null,
         dryRun: CFG.DRY_RUN,
       },
@@ -665,7 +789,7 @@ function ingestCall(state, params, profileKey) {
       profileKey,
       destinationId,
       destinationName: destState.destinationName,
-      batchSize: CFG.BATCH_SIZE,
+      batchSize,
       rpc,
       dryRun: CFG.DRY_RUN,
     },
@@ -674,10 +798,50 @@ function ingestCall(state, params, profileKey) {
   };
 }
 
-function isMoveCooldownActive(profileState, destinationId) {
+/** Rolling mode (see services/ringTreeRpcWindow.js): re-evaluate on every call once minCalls are in the window. */
+function ingestIntoRollingWindow(state, destState, call) {
+  const { profileKey, destinationId, callId, callerPhone, revenue, evaluation } = call;
+  const receivedAt = new Date().toISOString();
+  const nowMs = new Date(receivedAt).getTime();
+  const window = ringTreeRpcWindow.pruneWindow(destState.window, evaluation, nowMs);
+  destState.window = window;
+  const base = {
+    ok: true,
+    profileKey,
+    destinationId,
+    destinationName: destState.destinationName,
+    dryRun: CFG.DRY_RUN,
+  };
+
+  const phoneNorm = normalizePhone(callerPhone);
+  if (window.some((c) => normalizePhone(c.callerPhone) === phoneNorm)) {
+    return { state, result: { ...base, status: "duplicate_caller_in_window", batchSize: window.length } };
+  }
+
+  destState.seenCallIds = [...destState.seenCallIds, callId].slice(-ROLLING_SEEN_CALL_IDS_MAX);
+  window.push({ callId, callerPhone, revenue: parseRevenue(revenue), receivedAt });
+
+  if (window.length < evaluation.minCalls) {
+    return {
+      state,
+      result: { ...base, status: "accumulating", batchSize: window.length, minCalls: evaluation.minCalls, rpc: null },
+    };
+  }
+
+  const windowCopy = [...window];
+  const rpc = ringTreeRpcWindow.computeWindowRpc(windowCopy, evaluation, parseRevenue, nowMs);
+  return {
+    state,
+    result: { ...base, status: "window_eval", batchSize: windowCopy.length, rpc },
+    shouldEval: true,
+    evalPayload: { profileKey, destinationId, destinationName: destState.destinationName, batch: windowCopy, rpc },
+  };
+}
+
+function isMoveCooldownActive(profileState, destinationId, profile) {
   const last = profileState.lastMoveAt?.[destinationId];
   if (!last) return false;
-  return Date.now() - new Date(last).getTime() < CFG.MOVE_COOLDOWN_MS;
+  return Date.now() - new Date(last).getTime() < CFG.getProfileMoveCooldownMs(profile);
 }
 
 async function evaluateBatchMove({ profileKey, destinationId, destinationName, batch, rpc, state }) {
@@ -700,7 +864,6 @@ async function evaluateBatchMove({ profileKey, destinationId, destinationName, b
   }
 
   const tierOrder = (plan.groups || []).map((g) => g.name);
-  profile.tierNames = tierOrder;
 
   const located = locateDestinationInPlan(plan, destinationId);
   if (!located) {
@@ -717,7 +880,7 @@ async function evaluateBatchMove({ profileKey, destinationId, destinationName, b
 
   const resolvedName = destinationName || (await lookupDestinationName(destinationId)) || destinationId;
   const currentTier = located.groupName;
-  const rawTier = getRawTierFromRpc(rpc, profile);
+  const rawTier = getRawTierFromRpc(rpc, profile, tierOrder);
   const desiredTier = getDesiredTierWithHysteresis(rpc, currentTier, profile, tierOrder);
   const blockedByHysteresis = rawTier !== currentTier && desiredTier === currentTier;
   const pState = ensureProfileState(state, profileKey);
@@ -731,7 +894,7 @@ async function evaluateBatchMove({ profileKey, destinationId, destinationName, b
     currentTier,
     rawTier,
     desiredTier,
-    batchSize: batch?.length || CFG.BATCH_SIZE,
+    batchSize: batch?.length || CFG.getProfileBatchSize(profile),
     dryRun: CFG.DRY_RUN,
   };
 
@@ -741,7 +904,7 @@ async function evaluateBatchMove({ profileKey, destinationId, destinationName, b
     return { action: "no_move", ...summary, blockedByHysteresis };
   }
 
-  if (isMoveCooldownActive(pState, destinationId)) {
+  if (isMoveCooldownActive(pState, destinationId, profile)) {
     await appendEvent({ type: "eval_skipped", reason: "move_cooldown", ...summary });
     console.log("[callgrid-ring-tree] cooldown — skip move", summary);
     return { action: "skipped", reason: "move_cooldown", ...summary };
@@ -756,22 +919,77 @@ async function evaluateBatchMove({ profileKey, destinationId, destinationName, b
     dryRun: CFG.DRY_RUN,
     profileKey,
   });
+  const demotion = isDemotion(currentTier, desiredTier, tierOrder);
 
-  await appendEvent({ type: CFG.DRY_RUN ? "dry_run_move" : "move_stubbed", ...summary, movePlan });
-  console.log("[callgrid-ring-tree]", slackMessage);
-  console.log("[callgrid-ring-tree] intended write", JSON.stringify(movePlan));
-  await slackService.sendCallGridRingTreeSlackMessage(slackMessage);
+  if (CFG.DRY_RUN) {
+    await appendEvent({ type: "dry_run_move", ...summary, movePlan });
+    console.log("[callgrid-ring-tree]", slackMessage);
+    console.log("[callgrid-ring-tree] intended write", JSON.stringify(movePlan));
+    await slackService.sendCallGridRingTreeSlackMessage(slackMessage);
+    return {
+      action: "dry_run_move",
+      message: slackMessage,
+      ...summary,
+      demotion,
+      movePlan,
+    };
+  }
+
+  let moveResult;
+  try {
+    moveResult = await moveDestinationBetweenGroups(
+      profile,
+      campaign,
+      plan,
+      destinationId,
+      currentTier,
+      desiredTier
+    );
+  } catch (err) {
+    moveResult = { ok: false, error: err.message, rolledBack: false };
+  }
+
+  if (!moveResult.ok) {
+    await appendEvent({ type: "move_failed", ...summary, movePlan, ...moveResult });
+    await slackService.sendCallGridRingTreeSlackMessage(
+      `[CallGrid ${profileKey}] move FAILED for ${resolvedName} (${destinationId}) ` +
+        `${shortTierLabel(currentTier)} → ${shortTierLabel(desiredTier)}: ${moveResult.error}` +
+        (moveResult.rollbackError
+          ? `\nRollback also failed: ${moveResult.rollbackError}`
+          : moveResult.rolledBack
+            ? "\nRouting groups restored to pre-move state."
+            : "")
+    );
+    console.error("[callgrid-ring-tree][move_failed]", moveResult.error);
+    return { action: "move_failed", ...summary, demotion, movePlan, error: moveResult.error };
+  }
 
-  if (!CFG.DRY_RUN) {
-    console.warn("[callgrid-ring-tree] DRY_RUN is false but CallGrid PATCH is not implemented yet — no live move.");
+  pState.lastMoveAt[destinationId] = new Date().toISOString();
+  // The destination keeps its id across groups, so drop calls taken in the old tier (as the Ringba move does);
+  // seenCallIds stay so pixel retries of those calls are still deduped.
+  const destState = pState.destinations[destinationId];
+  if (destState) {
+    destState.batch = [];
+    if (destState.window) destState.window = [];
   }
+  await appendEvent({
+    type: "move_completed",
+    ...summary,
+    movePlan,
+    weight: moveResult.weight,
+    priority: moveResult.priority,
+  });
+  console.log("[callgrid-ring-tree]", slackMessage);
+  await slackService.sendCallGridRingTreeSlackMessage(slackMessage);
 
   return {
-    action: CFG.DRY_RUN ? "dry_run_move" : "write_not_implemented",
+    action: "move_completed",
     message: slackMessage,
     ...summary,
-    demotion: isDemotion(currentTier, desiredTier, tierOrder),
+    demotion,
     movePlan,
+    weight: moveResult.weight,
+    priority: moveResult.priority,
   };
 }
 
@@ -811,8 +1029,9 @@ function summarizeIncomingPayload(query, body) {
   };
 }
 
-async function handleWebhookIngest(query, body, headers = {}) {
-  if (!webhookSecretOk(query, body, headers)) {
+/** auth.apiKey is set when middleware/apiKeyAuth already verified a scoped key (skips the shared secret). */
+async function handleWebhookIngest(query, body, headers = {}, auth = {}) {
+  if (!auth.apiKey && !webhookSecretOk(query, body, headers)) {
     return { ok: false, status: "unauthorized", message: "Invalid webhook secret" };
   }
 
@@ -860,12 +1079,9 @@ async function handleWebhookIngest(query, body, headers = {}) {
     };
   }
 
-  let ingested;
-  await withStateMutex(async () => {
-    const state = await loadState();
-    ingested = ingestCall(state, params, profileKey);
-    await saveState(ingested.state);
-  });
+  const ingested = await stateStore.update({ profileKey, ids: [params.destinationId] }, (state) =>
+    ingestCall(state, params, profileKey)
+  );
 
   await appendEvent({
     type: "pixel_ingest",
@@ -898,11 +1114,11 @@ async function handleWebhookIngest(query, body, headers = {}) {
     setImmediate(() => {
       withTargetLock(lockKey, async () => {
         try {
-          await withStateMutex(async () => {
-            const freshState = await loadState();
-            await evaluateBatchMove({ ...ingested.evalPayload, state: freshState });
-            await saveState(freshState);
-          });
+          await stateStore.update(
+            { profileKey, ids: [params.destinationId] },
+            (freshState) => evaluateBatchMove({ ...ingested.evalPayload, state: freshState }),
+            { retryOnConflict: false }
+          );
         } catch (err) {
           console.error("[callgrid-ring-tree] eval error:", err.message);
           await appendEvent({
@@ -935,7 +1151,8 @@ async function listMedicareGroups() {
     ...snapshot,
     rpcRules: CFG.getProfileRpcRules(profile),
     hysteresis: CFG.getProfileHysteresis(profile),
-    batchSize: CFG.BATCH_SIZE,
+    tierRules: CFG.getProfileTierRules(profile),
+    batchSize: CFG.getProfileBatchSize(profile),
     groups: snapshot.tiers,
   };
 }
@@ -964,6 +1181,7 @@ async function getStatus(profileKeyFilter) {
         destinationId,
         destinationName: tState.destinationName || null,
         batchSize: tState.batch?.length || 0,
+        ...(tState.window ? { windowSize: tState.window.length, window: tState.window } : {}),
         seenCallIds: tState.seenCallIds?.length || 0,
         batch: tState.batch || [],
       });
@@ -973,13 +1191,16 @@ async function getStatus(profileKeyFilter) {
   return {
     ok: true,
     dryRun: CFG.DRY_RUN,
-    writeImplemented: false,
+    writeImplemented: true,
     batchSize: CFG.BATCH_SIZE,
     enabledProfiles: CFG.getEnabledProfiles().map((p) => ({
       key: p.key,
       label: p.label,
       campaignId: p.campaignId,
       planId: p.planId || null,
+      batchSize: CFG.getProfileBatchSize(p),
+      moveCooldownMs: CFG.getProfileMoveCooldownMs(p),
+      evaluation: CFG.getProfileEvaluation(p),
     })),
     destinationCount: destinations.length,
     destinations,
@@ -990,7 +1211,8 @@ function getHealthPayload() {
   return {
     ok: true,
     dryRun: CFG.DRY_RUN,
-    writeImplemented: false,
+    writeImplemented: true,
+    stateBackend: stateStore.backend,
     batchSize: CFG.BATCH_SIZE,
     hasApiKey: Boolean(CFG.getApiKey()),
     hasSlackWebhook: Boolean(CFG.SLACK_WEBHOOK_URL),
@@ -1008,6 +1230,9 @@ function listProfilesConfig() {
     campaignId: p.campaignId || null,
     planId: p.planId || null,
     campaignName: p.campaignName || null,
+    tierRules: CFG.getProfileTierRules(p),
+    batchSize: CFG.getProfileBatchSize(p),
+    moveCooldownMs: CFG.getProfileMoveCooldownMs(p),
   }));
 }
 
@@ -1038,7 +1263,7 @@ async function simulateBatch(options = {}) {
   if (!destinationId) {
     return { ok: false, error: "destinationId is required (CallGrid destination id)" };
   }
-  const count = Math.min(50, Math.max(1, parseInt(options.count, 10) || CFG.BATCH_SIZE));
+  const count = Math.min(50, Math.max(1, parseInt(options.count, 10) || CFG.getProfileBatchSize(profile)));
   const baseRevenue = parseRevenue(options.revenuePerCall ?? options.revenue ?? 12);
   const results = [];
   for (let i = 0; i < count; i += 1) {
@@ -1069,14 +1294,12 @@ async function simulateBatch(options = {}) {
 }
 
 async function resetState(profileKey) {
-  await withStateMutex(async () => {
-    const state = await loadState();
+  await stateStore.update(profileKey ? { profileKey } : {}, (state) => {
     if (profileKey) {
       delete state.profiles[profileKey];
     } else {
       state.profiles = {};
     }
-    await saveState(state);
   });
   return { ok: true, reset: true, profileKey: profileKey || "all" };
 }
@@ -1094,5 +1317,15 @@ module.exports = {
   simulateSingle,
   simulateBatch,
   resetState,
+  loadState,
+  emptyState,
+  normalizeState,
   parseIngestParams,
+  ingestCall,
+  computeRpc,
+  getRawTierFromRpc,
+  getDesiredTierWithHysteresis,
+  buildMovedRoutingGroups,
+  moveDestinationBetweenGroups,
+  evaluateBatchMove,
 };
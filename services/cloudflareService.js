@@ -767,8 +767,127 @@ async function purgeCache(zoneId, urls = []) {
   }
 }
 
+/**
+ * Look up a zone without creating it (health checks)
+ * @param {string} domain - Domain name
+ * @returns {Promise<{id: string, name: string, status: string, name_servers: string[]}|null>} null when missing
+ */
+async function findZone(domain) {
+  try {
+    const response = await axios.get(`${CLOUDFLARE_CONFIG.BASE_URL}/zones`, {
+      headers: { Authorization: `Bearer ${CLOUDFLARE_CONFIG.API_TOKEN}` },
+      params: { name: domain },
+    });
+    const zone = response.data.result?.[0];
+    if (!zone) return null;
+    return { id: zone.id, name: zone.name, status: zone.status, name_servers: zone.name_servers };
+  } catch (error) {
+    throw new Error(`Failed to look up Cloudflare zone: ${error.message}`);
+  }
+}
+
+/**
+ * List DNS records of a zone
+ * @param {string} zoneId - Cloudflare zone ID
+ * @param {object} params - Optional filters (type, name)
+ * @returns {Promise<object[]>}
+ */
+async function listDNSRecords(zoneId, params = {}) {
+  try {
+    const response = await axios.get(
+      `${CLOUDFLARE_CONFIG.BASE_URL}/zones/${zoneId}/dns_records`,
+      {
+        headers: { Authorization: `Bearer ${CLOUDFLARE_CONFIG.API_TOKEN}` },
+        params: { per_page: 100, ...params },
+      }
+    );
+    return response.data.result || [];
+  } catch (error) {
+    throw new Error(`Failed to list DNS records: ${error.message}`);
+  }
+}
+
+/**
+ * Update fields of one DNS record (content, proxied, ...)
+ * @param {string} zoneId - Cloudflare zone ID
+ * @param {string} recordId - DNS record ID
+ * @param {object} changes - Fields to patch
+ * @returns {Promise<object>} Updated record
+ */
+async function updateDNSRecord(zoneId, recordId, changes) {
+  try {
+    const response = await axios.patch(
+      `${CLOUDFLARE_CONFIG.BASE_URL}/zones/${zoneId}/dns_records/${recordId}`,
+      changes,
+      {
+        headers: {
+          Authorization: `Bearer ${CLOUDFLARE_CONFIG.API_TOKEN}`,
+          "Content-Type": "application/json",
+        },
+      }
+    );
+    return response.data.result;
+  } catch (error) {
+    throw new Error(`Failed to update DNS record: ${error.message}`);
+  }
+}
+
+/**
+ * Read the zone's SSL mode
+ * @param {string} zoneId - Cloudflare zone ID
+ * @returns {Promise<string>} off, flexible, full or strict
+ */
+async function getSSLMode(zoneId) {
+  try {
+    const response = await axios.get(
+      `${CLOUDFLARE_CONFIG.BASE_URL}/zones/${zoneId}/settings/ssl`,
+      { headers: { Authorization: `Bearer ${CLOUDFLARE_CONFIG.API_TOKEN}` } }
+    );
+    return response.data.result?.value;
+  } catch (error) {
+    throw new Error(`Failed to read SSL mode: ${error.message}`);
+  }
+}
+
+/**
+ * Every Cloudflare Registrar registration of the account (all pages)
+ * @returns {Promise<{domain: string, expiresAt: string|null, autoRenew: boolean|null, locked: boolean|null, status: string|null}[]>}
+ */
+async function listRegistrarRegistrations() {
+  const registrations = [];
+  try {
+    for (let page = 1; ; page++) {
+      const response = await axios.get(
+        `${CLOUDFLARE_CONFIG.BASE_URL}/accounts/${CLOUDFLARE_CONFIG.ACCOUNT_ID}/registrar/registrations`,
+        {
+          headers: { Authorization: `Bearer ${CLOUDFLARE_CONFIG.API_TOKEN}` },
+          params: { page, per_page: 50 },
+        }
+      );
+      for (const item of response.data.result || []) {
+        registrations.push({
+          domain: String(item.domain_name || item.name || "").toLowerCase(),
+          expiresAt: item.expires_at || null,
+          autoRenew: typeof item.auto_renew === "boolean" ? item.auto_renew : null,
+          locked: typeof item.locked === "boolean" ? item.locked : null,
+          status: item.status || null,
+        });
+      }
+      const totalPages = response.data.result_info?.total_pages || 1;
+      if (page >= totalPages || !(response.data.result || []).length) break;
+    }
+    return registrations;
+  } catch (error) {
+    throw new Error(`Failed to list registrar registrations: ${error.message}`);
+  }
+}
+
 module.exports = {
   getOrCreateZone,
+  findZone,
+  listDNSRecords,
+  updateDNSRecord,
+  getSSLMode,
   getZoneId,
   disableProxy,
   setARecord,
@@ -779,4 +898,5 @@ module.exports = {
   purgeCache,
   disableRegistrarAutoRenew,
   enableRegistrarAutoRenew,
+  listRegistrarRegistrations,
 };
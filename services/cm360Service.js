@@ -159,15 +159,19 @@ async function sendConversionsToCM360(conversions) {
         statusText: error.response.statusText,
         error: error.response.data,
       });
-      throw new Error(
+      const apiError = new Error(
         `CM360 API error: ${error.response.status} ${
           error.response.statusText
         } - ${JSON.stringify(error.response.data)}`
       );
+      apiError.status = error.response.status;
+      throw apiError;
     } else if (error.request) {
       // Request was made but no response received
       console.error("❌ CM360 API network error:", error.message);
-      throw new Error(`CM360 API network error: ${error.message}`);
+      const networkError = new Error(`CM360 API network error: ${error.message}`);
+      networkError.code = error.code;
+      throw networkError;
     } else {
       // Error setting up the request
       console.error("❌ Failed to send conversions to CM360:", error.message);
@@ -178,5 +182,6 @@ async function sendConversionsToCM360(conversions) {
 
 module.exports = {
   sendConversionsToCM360,
+  cleanConversion,
   getAuthClient,
 };
@@ -0,0 +1,430 @@
+/**
+ * Conversion backfill — re-sends converted Ringba calls for a date range to one destination
+ * (cm360 / roku / jade / google / meta), e.g. after a webhook outage or a misconfigured pixel.
+ *
+ * Calls come from Ringba POST /calllogs (paged and paced like the ring-tree backtester). Each converted call is
+ * mapped to the same conversion shape the live webhook receives, then delivered through the conversion outbox.
+ * Dedupe, before anything is sent:
+ * - calls that already have a conversionOutbox job for the destination (reference = call id) are skipped;
+ * - within the run, each destination's own rule: Roku one event per phone per hour, Jade one lead per phone per
+ *   ET day, Google / CM360 one upload per click id, Meta one event per call id (event_id).
+ * The destination services' own duplicate checks still apply on the first delivery attempt.
+ * Dry-run (the default) returns what would be sent, built with the destination builders, without sending.
+ */
+const mongoose = require("mongoose");
+const ConversionOutbox = require("../models/conversionOutboxModel");
+const CFG = require("../config/conversionOutbox");
+const dynamicRingTreeTargetService = require("./dynamicRingTreeTargetService");
+const { parseDateBound, parseCallDt } = require("./ringTreeBacktestService");
+const conversionOutboxService = require("./conversionOutboxService");
+const cm360Service = require("./cm360Service");
+const rokuConversionService = require("./rokuConversionService");
+const jadeLeadService = require("./jadeLeadService");
+const googleConversionService = require("./googleConversionService");
+const metaConversionService = require("./metaConversionService");
+
+const MAX_RANGE_DAYS = 31;
+const MAX_CONVERSIONS = 2000;
+const CALLLOGS_PAGE_SIZE = 1000;
+const CALLLOGS_MAX_PAGES = 20;
+const CALLLOGS_PAGE_DELAY_MS = 13000;
+/** POST /backfill runs inside the HTTP request: 3 pages ≈ 30s of pacing. Longer pulls go through the CLI. */
+const CALLLOGS_HTTP_MAX_PAGES = 3;
+const ROKU_DEDUPE_WINDOW_MS = 60 * 60 * 1000;
+/** Meta rejects events older than 7 days */
+const META_MAX_EVENT_AGE_MS = 7 * 24 * 60 * 60 * 1000;
+
+/** Payload field → Ringba calllogs column, per destination. Override per run with `tagColumns`. */
+const DEFAULT_TAG_COLUMNS = {
+  cm360: { dclid: "tag:User:dclid" },
+  roku: { st: "tag:InboundNumber:State", zp: "tag:User:zip" },
+  jade: {},
+  google: { gclid: "tag:User:gclid", gbraid: "tag:User:gbraid", wbraid: "tag:User:wbraid" },
+  meta: { fbclid: "tag:User:fbclid" },
+};
+
+/** Per-destination values Ringba adds to the webhook URL, required in `defaults` for a real run. */
+const REQUIRED_DEFAULTS = {
+  cm360: ["floodlightConfigurationId", "floodlightActivityId"],
+  roku: ["roku_api_key", "event_group_id"],
+  jade: [],
+  google: ["conversionActionId"],
+  meta: ["pixel_id", "meta_access_token"],
+};
+
+const { parseRevenue, isBlankOrPlaceholder } = dynamicRingTreeTargetService;
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function toList(value) {
+  if (value == null || value === "") return [];
+  const list = Array.isArray(value) ? value : String(value).split(",");
+  return list.map((v) => String(v).trim()).filter(Boolean);
+}
+
+function cleanValue(value) {
+  return isBlankOrPlaceholder(value) ? "" : String(value).trim();
+}
+
+function isConverted(record) {
+  const flag = String(record.hasConverted ?? "").trim().toLowerCase();
+  return flag === "true" || flag === "yes" || flag === "1" || parseRevenue(record.conversionAmount) > 0;
+}
+
+function equalsFilter(column, values) {
+  return {
+    anyConditionToMatch: values.map((value) => ({
+      column,
+      value,
+      isNegativeMatch: false,
+      comparisonType: "EQUALS",
+    })),
+  };
+}
+
+function buildCallLogsBody({ from, to, campaigns, buyers, targets, tagColumns }, offset) {
+  const filters = [];
+  if (campaigns.length) filters.push(equalsFilter("campaignName", campaigns));
+  if (buyers.length) filters.push(equalsFilter("buyer", buyers));
+  if (targets.length) filters.push(equalsFilter("targetName", targets));
+  const body = {
+    reportStart: from.toISOString(),
+    reportEnd: to.toISOString(),
+    orderByColumns: [{ column: "callDt", direction: "asc" }],
+    valueColumns: [
+      "inboundCallId",
+      "callDt",
+      "campaignName",
+      "buyer",
+      "targetName",
+      "inboundPhoneNumber",
+      "hasConverted",
+      "conversionAmount",
+      ...new Set(Object.values(tagColumns)),
+    ].map((column) => ({ column })),
+    formatTimeZone: "America/New_York",
+    offset,
+    size: CALLLOGS_PAGE_SIZE,
+  };
+  if (filters.length) body.filters = filters;
+  return body;
+}
+
+/** Converted calls only, oldest first. */
+async function fetchConvertedCalls(params, { maxPages = CALLLOGS_MAX_PAGES } = {}) {
+  const calls = [];
+  let totalCount = null;
+  let pages = 0;
+  for (let offset = 0; pages < maxPages; offset += CALLLOGS_PAGE_SIZE) {
+    if (pages > 0) await sleep(CALLLOGS_PAGE_DELAY_MS);
+    const response = await dynamicRingTreeTargetService.ringbaRequest("POST", "/calllogs", {
+      data: buildCallLogsBody(params, offset),
+      validateStatus: (s) => s >= 200 && s < 500,
+      timeout: 60000,
+    });
+    pages += 1;
+    if (response.status < 200 || response.status >= 300) {
+      throw new Error(`Ringba calllogs HTTP ${response.status}`);
+    }
+    const records = response.data?.report?.records || [];
+    totalCount = response.data?.report?.totalCount ?? totalCount;
+    for (const r of records) {
+      const at = parseCallDt(r.callDt);
+      const callId = cleanValue(r.inboundCallId);
+      if (!callId || !at || !isConverted(r)) continue;
+      const tags = {};
+      for (const [field, column] of Object.entries(params.tagColumns)) {
+        const value = cleanValue(r[column]);
+        if (value) tags[field] = value;
+      }
+      calls.push({
+        callId,
+        at,
+        campaignName: cleanValue(r.campaignName) || null,
+        buyer: cleanValue(r.buyer) || null,
+        targetName: cleanValue(r.targetName) || null,
+        callerPhone: cleanValue(r.inboundPhoneNumber) || null,
+        revenue: parseRevenue(r.conversionAmount),
+        tags,
+      });
+    }
+    if (records.length < CALLLOGS_PAGE_SIZE) break;
+    if (totalCount != null && offset + CALLLOGS_PAGE_SIZE >= totalCount) break;
+  }
+  const truncated = totalCount != null && pages >= maxPages && pages * CALLLOGS_PAGE_SIZE < totalCount;
+  return { calls, pages, totalCount, truncated };
+}
+
+/** Webhook-shaped conversion for one converted call (what Ringba would have posted). */
+function mapCallToConversion(destination, call, defaults = {}) {
+  const base = { ...defaults, ...call.tags };
+  switch (destination) {
+    case "cm360":
+      return {
+        ...base,
+        ordinal: call.callId,
+        timestampMicros: String(call.at.getTime() * 1000),
+        quantity: String(base.quantity ?? "1"),
+        value: base.value ?? call.revenue,
+      };
+    case "roku":
+      return { ...base, event_id: call.callId, callId: call.callId, phone: call.callerPhone || "" };
+    case "jade":
+      return { ...base, callId: call.callId, phone: call.callerPhone || "" };
+    case "google":
+      return {
+        ...base,
+        callID: call.callId,
+        conversionDateTime: googleConversionService.formatGoogleDateTime(call.at),
+      };
+    case "meta":
+      return {
+        ...base,
+        event_id: call.callId,
+        callId: call.callId,
+        phone: call.callerPhone || "",
+        event_time: String(Math.floor(call.at.getTime() / 1000)),
+        value: base.value ?? call.revenue,
+      };
+    default:
+      return null;
+  }
+}
+
+/** Same required fields the live webhooks reject on; returns the missing ones. */
+function missingFields(destination, conversion) {
+  const missing = [];
+  const has = (field) => String(conversion[field] ?? "").trim() !== "";
+  if (destination === "cm360") {
+    for (const f of ["dclid", "floodlightConfigurationId", "floodlightActivityId", "ordinal"]) {
+      if (!has(f)) missing.push(f);
+    }
+  } else if (destination === "roku") {
+    for (const f of ["roku_api_key", "event_group_id"]) if (!has(f)) missing.push(f);
+    if (!rokuConversionService.normalizePhone(conversion.phone)) missing.push("phone");
+  } else if (destination === "jade") {
+    if (!jadeLeadService.normalizePhoneHome(conversion.phone)) missing.push("phone");
+  } else if (destination === "google") {
+    const prepared = googleConversionService.prepareQueuedConversion(conversion);
+    if (!prepared.ok) {
+      missing.push(prepared.error === "missing_click_id" ? "gclid/gbraid/wbraid" : "conversionActionId");
+    }
+  } else if (destination === "meta") {
+    missing.push(...metaConversionService.missingMetaFields(conversion));
+    if (Date.now() - Number(conversion.event_time) * 1000 > META_MAX_EVENT_AGE_MS) {
+      missing.push("event_time within 7 days");
+    }
+  }
+  return missing;
+}
+
+/** In-run duplicate key per destination rule, or null when the rule is time-windowed (Roku). */
+function dedupeKey(destination, conversion, call) {
+  if (destination === "jade") {
+    return `${jadeLeadService.normalizePhoneHome(conversion.phone)}|${jadeLeadService.getEasternDayKey(call.at)}`;
+  }
+  if (destination === "cm360") return `dclid:${conversion.dclid}`;
+  if (destination === "meta") return `event:${conversion.event_id}`;
+  if (destination === "google") {
+    const clickId = conversion.gclid || conversion.gbraid || conversion.wbraid;
+    return `${conversion.conversionActionId}|${clickId}`;
+  }
+  return null;
+}
+
+/** What the destination builder would produce — dry-run only. */
+async function previewConversion(destination, conversion, options) {
+  if (destination === "cm360") return cm360Service.cleanConversion(conversion);
+  if (destination === "roku") {
+    return rokuConversionService.buildRokuEvent(conversion, options).payload;
+  }
+  if (destination === "google") {
+    const preview = await googleConversionService.previewUploadPayload(conversion);
+    return preview.ok ? preview.body : { error: preview.error, message: preview.message };
+  }
+  if (destination === "meta") return metaConversionService.buildMetaEvent(conversion).payload;
+  // Jade name / state / zip / age come from Audience Acuity at delivery time.
+  return { phone_home: jadeLeadService.normalizePhoneHome(conversion.phone), subid: "paragon" };
+}
+
+async function findExistingJobs(destination, callIds) {
+  if (!callIds.length || mongoose.connection.readyState !== 1) return new Map();
+  const jobs = await ConversionOutbox.find(
+    { destination, reference: { $in: callIds } },
+    { reference: 1, status: 1 }
+  ).lean();
+  return new Map(jobs.map((j) => [j.reference, j.status]));
+}
+
+function validateInput(input = {}) {
+  const errors = [];
+  const destination = String(input.destination || "").trim().toLowerCase();
+  if (!CFG.DESTINATIONS.includes(destination)) {
+    errors.push(`destination must be one of: ${CFG.DESTINATIONS.join(", ")}`);
+  }
+  const from = parseDateBound(input.from, false);
+  const to = parseDateBound(input.to, true);
+  if (!from || !to) errors.push("from and to are required (YYYY-MM-DD or ISO)");
+  else if (from >= to) errors.push("from must be before to");
+  else if (to - from > MAX_RANGE_DAYS * 24 * 60 * 60 * 1000) errors.push(`Range is limited to ${MAX_RANGE_DAYS} days`);
+
+  const defaults = input.defaults && typeof input.defaults === "object" ? input.defaults : {};
+  const dryRun = input.dryRun !== false && String(input.dryRun).toLowerCase() !== "false";
+  if (!dryRun && REQUIRED_DEFAULTS[destination]) {
+    const missing = REQUIRED_DEFAULTS[destination].filter((f) => String(defaults[f] ?? "").trim() === "");
+    if (missing.length) errors.push(`defaults.${missing.join(", defaults.")} required for ${destination}`);
+  }
+  const tagOverrides = input.tagColumns && typeof input.tagColumns === "object" ? input.tagColumns : {};
+  const limit = parseInt(input.limit, 10);
+  const pageLimit = Math.min(parseInt(input.pageLimit, 10) || CALLLOGS_MAX_PAGES, CALLLOGS_MAX_PAGES);
+  if (errors.length) return { ok: false, errors };
+
+  return {
+    ok: true,
+    params: {
+      destination,
+      from,
+      to,
+      campaigns: toList(input.campaign ?? input.campaigns),
+      buyers: toList(input.buyer ?? input.buyers),
+      targets: toList(input.target ?? input.targets),
+      tagColumns: { ...DEFAULT_TAG_COLUMNS[destination], ...tagOverrides },
+      defaults,
+      dryRun,
+      limit: Number.isInteger(limit) && limit > 0 ? Math.min(limit, MAX_CONVERSIONS) : MAX_CONVERSIONS,
+      maxPages: Math.min(Math.max(parseInt(input.maxPages, 10) || pageLimit, 1), pageLimit),
+    },
+  };
+}
+
+/**
+ * Split converted calls into conversions to send and skipped rows (invalid, already in the outbox, duplicate).
+ * @param {Map<string, string>} existing call id → outbox status
+ */
+function planBackfill(params, calls, existing = new Map()) {
+  const send = [];
+  const skipped = [];
+  const seenKeys = new Set();
+  const seenCallIds = new Set();
+  const lastRokuAt = new Map();
+
+  const isDuplicate = (conversion, call) => {
+    const key = dedupeKey(params.destination, conversion, call);
+    if (key) return seenKeys.has(key);
+    const last = lastRokuAt.get(rokuConversionService.normalizePhone(conversion.phone));
+    return last != null && call.at - last < ROKU_DEDUPE_WINDOW_MS;
+  };
+  const reserve = (conversion, call) => {
+    const key = dedupeKey(params.destination, conversion, call);
+    if (key) seenKeys.add(key);
+    else lastRokuAt.set(rokuConversionService.normalizePhone(conversion.phone), call.at.getTime());
+  };
+
+  for (const call of calls) {
+    const conversion = mapCallToConversion(params.destination, call, params.defaults);
+    const row = { callId: call.callId, at: call.at.toISOString(), campaignName: call.campaignName, buyer: call.buyer };
+    const skip = (reason) => skipped.push({ ...row, reason });
+
+    if (seenCallIds.has(call.callId)) {
+      skip("duplicate_call_id");
+      continue;
+    }
+    seenCallIds.add(call.callId);
+    if (existing.has(call.callId)) {
+      // Already sent: still counts against the destination's per-phone / per-click rule.
+      reserve(conversion, call);
+      skip(`outbox_${existing.get(call.callId)}`);
+      continue;
+    }
+    // Dry-run may preview without the per-run defaults; a real run requires them (validateInput).
+    const optional = params.dryRun ? REQUIRED_DEFAULTS[params.destination] : [];
+    const missing = missingFields(params.destination, conversion).filter((f) => !optional.includes(f));
+    if (missing.length) {
+      skip(`missing: ${missing.join(", ")}`);
+      continue;
+    }
+    if (isDuplicate(conversion, call)) {
+      skip("duplicate_for_destination");
+      continue;
+    }
+    reserve(conversion, call);
+    if (send.length >= params.limit) {
+      skip("limit_reached");
+      continue;
+    }
+    send.push({ row, conversion });
+  }
+  return { send, skipped };
+}
+
+function deliveryOptions(params) {
+  if (params.destination === "roku") return { defaultEventGroupId: params.defaults.event_group_id };
+  if (params.destination === "google") return { source: "Conversion backfill" };
+  return {};
+}
+
+/**
+ * @param {{ destination: string, from: string, to: string, campaign?: string|string[], buyer?: string|string[],
+ *   target?: string|string[], defaults?: object, tagColumns?: object, dryRun?: boolean, limit?: number,
+ *   maxPages?: number, pageLimit?: number }} input
+ *   pageLimit caps maxPages (CALLLOGS_MAX_PAGES by default; the HTTP endpoint passes CALLLOGS_HTTP_MAX_PAGES).
+ * @param {{ email?: string }} [actor]
+ */
+async function runBackfill(input = {}, actor = null) {
+  const validated = validateInput(input);
+  if (!validated.ok) return { ok: false, status: 400, error: "Invalid backfill request", errors: validated.errors };
+  const { params } = validated;
+
+  const fetched = await fetchConvertedCalls(params, { maxPages: params.maxPages });
+  const existing = await findExistingJobs(params.destination, fetched.calls.map((c) => c.callId));
+  const { send, skipped } = planBackfill(params, fetched.calls, existing);
+  const options = deliveryOptions(params);
+
+  const base = {
+    ok: true,
+    status: 200,
+    destination: params.destination,
+    from: params.from.toISOString(),
+    to: params.to.toISOString(),
+    filters: { campaigns: params.campaigns, buyers: params.buyers, targets: params.targets },
+    dryRun: params.dryRun,
+    pages: fetched.pages,
+    totalCount: fetched.totalCount,
+    truncated: fetched.truncated,
+    outboxChecked: mongoose.connection.readyState === 1,
+    convertedCalls: fetched.calls.length,
+    toSend: send.length,
+    skipped,
+  };
+
+  if (params.dryRun) {
+    const conversions = [];
+    for (const { row, conversion } of send) {
+      conversions.push({ ...row, conversion, preview: await previewConversion(params.destination, conversion, options) });
+    }
+    return { ...base, conversions };
+  }
+
+  if (!send.length) return { ...base, delivery: null };
+  const by = actor?.email || "cli";
+  const submitted = await conversionOutboxService.submitConversions(
+    params.destination,
+    send.map((s) => s.conversion),
+    { options, source: `backfill ${base.from.slice(0, 10)}..${base.to.slice(0, 10)} by ${by}` }
+  );
+  console.log(`[conversion-backfill] ${params.destination}: ${send.length} conversion(s) submitted by ${by}`);
+  return { ...base, delivery: conversionOutboxService.summarizeSubmission(submitted) };
+}
+
+module.exports = {
+  CALLLOGS_HTTP_MAX_PAGES,
+  DEFAULT_TAG_COLUMNS,
+  validateInput,
+  buildCallLogsBody,
+  fetchConvertedCalls,
+  mapCallToConversion,
+  planBackfill,
+  runBackfill,
+};
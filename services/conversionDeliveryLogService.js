@@ -0,0 +1,291 @@
+/**
+ * Conversion delivery log (conversionDeliveries) — one record per send attempt, written by the conversion
+ * outbox for worker deliveries and inline fallbacks. Answers "did call X reach Roku and Google?" and feeds the
+ * per-destination success-rate / latency summary behind GET /api/v1/conversions.
+ * Logging never fails a delivery: without Mongo (or with CONVERSION_DELIVERY_LOG_ENABLED=false) it is a no-op.
+ */
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+const ConversionDelivery = require("../models/conversionDeliveryModel");
+const CFG = require("../config/conversionOutbox");
+const { getAdapter } = require("./conversionDestinations");
+
+const BODY_MAX_CHARS = 10000;
+const MAX_SUMMARY_RANGE_DAYS = 31;
+const PHONE_FIELDS = ["phone", "caller_phone", "callerPhone", "callerPhoneNumber", "phone_home"];
+/** Plain identifiers never stored; Roku's hashed user_data (ph / em / fn / ln) is kept. */
+const REDACTED_KEYS = new Set([
+  ...PHONE_FIELDS,
+  "first_name",
+  "last_name",
+  "email",
+  "ip",
+  "IP",
+  "client_ip_address",
+  "dateOfBirth",
+  "dob",
+  "roku_api_key",
+  "rokuApiKey",
+  "meta_access_token",
+  "metaAccessToken",
+  "access_token",
+]);
+const CLICK_ID_KEYS = new Set(["gclid", "gbraid", "wbraid", "dclid"]);
+
+function isLogAvailable() {
+  return CFG.DELIVERY_LOG_ENABLED && mongoose.connection.readyState === 1;
+}
+
+function normalizePhoneDigits(raw) {
+  const digits = String(raw ?? "").replace(/\D/g, "");
+  return digits.length >= 10 ? digits.slice(-10) : "";
+}
+
+/** sha256 of the last 10 digits — the same hash for "+1 (555) 123-4567" and "5551234567". */
+function hashPhone(raw) {
+  const digits = normalizePhoneDigits(raw);
+  return digits ? crypto.createHash("sha256").update(digits, "utf8").digest("hex") : null;
+}
+
+function phoneFromPayload(payload = {}) {
+  for (const field of PHONE_FIELDS) {
+    if (normalizePhoneDigits(payload[field])) return payload[field];
+  }
+  return null;
+}
+
+function callIdFromPayload(payload = {}) {
+  const raw = payload.callId ?? payload.callID ?? payload.call_id ?? payload.inboundCallId ?? "";
+  const value = String(raw).trim();
+  return value || null;
+}
+
+function maskClickId(value) {
+  const raw = String(value ?? "").trim();
+  if (!raw) return raw;
+  return raw.length <= 8 ? `${raw.slice(0, 2)}***` : `${raw.slice(0, 4)}...${raw.slice(-4)}`;
+}
+
+function redact(value, depth = 0) {
+  if (value == null || typeof value !== "object" || depth > 6) return value;
+  if (Array.isArray(value)) return value.map((v) => redact(v, depth + 1));
+  const out = {};
+  for (const [key, v] of Object.entries(value)) {
+    if (REDACTED_KEYS.has(key)) out[key] = v == null || v === "" ? v : "[redacted]";
+    else if (CLICK_ID_KEYS.has(key)) out[key] = maskClickId(v);
+    else out[key] = redact(v, depth + 1);
+  }
+  return out;
+}
+
+function truncateBody(value) {
+  if (value == null) return null;
+  const json = JSON.stringify(value);
+  if (json.length <= BODY_MAX_CHARS) return value;
+  return { truncated: true, preview: json.slice(0, BODY_MAX_CHARS) };
+}
+
+/**
+ * Record one send attempt. Never throws.
+ * @param {{ destination: string, payload: Object, outcome: Object, latencyMs: number, attempt?: number,
+ *   outboxId?: string, source?: string, inline?: boolean }} entry
+ */
+async function recordDelivery({ destination, payload, outcome, latencyMs, attempt = 1, outboxId = null, source = null, inline = false }) {
+  if (!isLogAvailable()) return null;
+  try {
+    const reference = getAdapter(destination)?.reference(payload || {}) || null;
+    return await ConversionDelivery.create({
+      destination,
+      // CM360 / Roku payloads may only carry the call id as ordinal / event_id.
+      callId: callIdFromPayload(payload || {}) || reference,
+      reference,
+      phoneHash: hashPhone(phoneFromPayload(payload || {}) ?? phoneFromPayload(outcome.request || {})),
+      source,
+      outboxId: outboxId && mongoose.isValidObjectId(outboxId) ? outboxId : null,
+      attempt,
+      status: outcome.outcome,
+      retryable: outcome.outcome === "failed" && outcome.retryable === true,
+      httpStatus: outcome.httpStatus ?? null,
+      error: outcome.error ? String(outcome.error).slice(0, 2000) : null,
+      request: truncateBody(redact(outcome.request ?? null)),
+      response: truncateBody(redact(outcome.result ?? null)),
+      latencyMs,
+      inline,
+    });
+  } catch (err) {
+    console.warn("⚠️ conversionDeliveries write failed:", err.message);
+    return null;
+  }
+}
+
+function parseDate(value) {
+  if (value == null || String(value).trim() === "") return null;
+  const d = new Date(String(value).trim());
+  return Number.isNaN(d.getTime()) ? undefined : d;
+}
+
+function buildFilter(query) {
+  const filter = {};
+  if (query.callId) filter.callId = String(query.callId).trim();
+  if (query.phone) {
+    const phoneHash = hashPhone(query.phone);
+    if (!phoneHash) return { error: "phone must have at least 10 digits" };
+    filter.phoneHash = phoneHash;
+  }
+  if (query.destination) {
+    const destination = String(query.destination).trim().toLowerCase();
+    if (!CFG.DESTINATIONS.includes(destination)) {
+      return { error: `destination must be one of: ${CFG.DESTINATIONS.join(", ")}` };
+    }
+    filter.destination = destination;
+  }
+  if (query.status) filter.status = String(query.status).trim();
+  const from = parseDate(query.from);
+  const to = parseDate(query.to);
+  if (from === undefined || to === undefined) return { error: "from / to must be valid dates" };
+  if (from || to) {
+    filter.createdAt = {};
+    if (from) filter.createdAt.$gte = from;
+    if (to) filter.createdAt.$lte = to;
+  }
+  return { filter };
+}
+
+/** Latest outcome per destination for one call or caller. */
+async function summarizeReach(filter) {
+  const rows = await ConversionDelivery.aggregate([
+    { $match: filter },
+    { $sort: { createdAt: -1 } },
+    {
+      $group: {
+        _id: "$destination",
+        lastStatus: { $first: "$status" },
+        lastAt: { $first: "$createdAt" },
+        lastError: { $first: "$error" },
+        attempts: { $sum: 1 },
+        delivered: { $max: { $cond: [{ $eq: ["$status", "delivered"] }, 1, 0] } },
+      },
+    },
+  ]);
+  const reach = {};
+  for (const row of rows) {
+    reach[row._id] = {
+      reached: row.delivered === 1,
+      lastStatus: row.lastStatus,
+      lastAt: row.lastAt,
+      lastError: row.lastError,
+      attempts: row.attempts,
+    };
+  }
+  return reach;
+}
+
+/** GET /api/v1/conversions?callId=&phone=&destination=&status=&from=&to=&page=&limit= */
+async function searchDeliveries(query = {}) {
+  if (mongoose.connection.readyState !== 1) return { ok: false, status: 503, error: "MongoDB not connected" };
+  const { filter, error } = buildFilter(query);
+  if (error) return { ok: false, status: 400, error };
+  const page = Math.max(1, parseInt(query.page, 10) || 1);
+  const limit = Math.min(200, Math.max(1, parseInt(query.limit, 10) || 50));
+  const [docs, total] = await Promise.all([
+    ConversionDelivery.find(filter)
+      .select(query.includeBodies === "true" ? "" : "-request -response")
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    ConversionDelivery.countDocuments(filter),
+  ]);
+  return {
+    ok: true,
+    // "Did call X reach Roku and Google?" — answered directly when searching one call or caller.
+    reach: filter.callId || filter.phoneHash ? await summarizeReach(filter) : undefined,
+    deliveries: docs.map(({ _id, __v, ...doc }) => ({ id: _id.toString(), ...doc })),
+    pagination: { page, limit, total, pages: Math.ceil(total / limit) },
+  };
+}
+
+async function getDelivery(id) {
+  if (!mongoose.isValidObjectId(id)) return { ok: false, status: 400, error: "Invalid delivery id" };
+  const doc = await ConversionDelivery.findById(id).lean();
+  if (!doc) return { ok: false, status: 404, error: "Delivery not found" };
+  const { _id, __v, ...rest } = doc;
+  return { ok: true, delivery: { id: _id.toString(), ...rest } };
+}
+
+async function latencyPercentile(match, count, p) {
+  if (!count) return null;
+  const index = Math.min(count - 1, Math.floor(count * p));
+  const [row] = await ConversionDelivery.find(match)
+    .sort({ latencyMs: 1 })
+    .skip(index)
+    .limit(1)
+    .select("latencyMs")
+    .lean();
+  return row?.latencyMs ?? null;
+}
+
+/**
+ * Per-destination success rate and latency for a window (default: last 24h, max 31 days).
+ * successRate = delivered / (delivered + failed); skipped sends (duplicates) are excluded.
+ */
+async function getSummary(query = {}) {
+  if (mongoose.connection.readyState !== 1) return { ok: false, status: 503, error: "MongoDB not connected" };
+  const toRaw = parseDate(query.to);
+  const fromRaw = parseDate(query.from);
+  if (fromRaw === undefined || toRaw === undefined) return { ok: false, status: 400, error: "from / to must be valid dates" };
+  const to = toRaw || new Date();
+  const from = fromRaw || new Date(to.getTime() - 24 * 60 * 60 * 1000);
+  if (from >= to) return { ok: false, status: 400, error: "from must be before to" };
+  if (to - from > MAX_SUMMARY_RANGE_DAYS * 24 * 60 * 60 * 1000) {
+    return { ok: false, status: 400, error: `Range is limited to ${MAX_SUMMARY_RANGE_DAYS} days` };
+  }
+
+  const match = { createdAt: { $gte: from, $lte: to } };
+  const rows = await ConversionDelivery.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: { destination: "$destination", status: "$status" },
+        count: { $sum: 1 },
+        avgLatencyMs: { $avg: "$latencyMs" },
+        maxLatencyMs: { $max: "$latencyMs" },
+      },
+    },
+  ]);
+
+  const destinations = {};
+  for (const destination of CFG.DESTINATIONS) {
+    const byStatus = Object.fromEntries(
+      rows.filter((r) => r._id.destination === destination).map((r) => [r._id.status, r])
+    );
+    const delivered = byStatus.delivered?.count || 0;
+    const failed = byStatus.failed?.count || 0;
+    const skipped = byStatus.skipped?.count || 0;
+    const deliveredMatch = { ...match, destination, status: "delivered" };
+    destinations[destination] = {
+      total: delivered + failed + skipped,
+      delivered,
+      failed,
+      skipped,
+      successRate: delivered + failed ? Math.round((delivered / (delivered + failed)) * 10000) / 10000 : null,
+      // Latency of successful sends only; failures include timeouts and would skew it.
+      latencyMs: {
+        avg: byStatus.delivered ? Math.round(byStatus.delivered.avgLatencyMs) : null,
+        p50: await latencyPercentile(deliveredMatch, delivered, 0.5),
+        p95: await latencyPercentile(deliveredMatch, delivered, 0.95),
+        max: byStatus.delivered?.maxLatencyMs ?? null,
+      },
+    };
+  }
+  return { ok: true, from: from.toISOString(), to: to.toISOString(), destinations };
+}
+
+module.exports = {
+  hashPhone,
+  redact,
+  recordDelivery,
+  searchDeliveries,
+  getDelivery,
+  getSummary,
+};
@@ -0,0 +1,169 @@
+/**
+ * Conversion outbox delivery adapters — one per destination (cm360 / roku / jade / google / meta), wrapping the
+ * existing send services.
+ * deliver(payload, options, ctx) never throws; it returns
+ *   { outcome: "delivered" | "skipped" | "failed", retryable?, error?, httpStatus?, result?, alert?, request? }
+ * where `alert` is the Slack message sent if the job ends up dead-lettered and `request` is the body sent to the
+ * destination (for the conversionDeliveries log).
+ * ctx.retry = true on retries / replays so the services skip their own duplicate checks
+ * (the first attempt already recorded the caller).
+ */
+const cm360Service = require("./cm360Service");
+const rokuConversionService = require("./rokuConversionService");
+const jadeLeadService = require("./jadeLeadService");
+const googleConversionService = require("./googleConversionService");
+const metaConversionService = require("./metaConversionService");
+
+function isRetryableStatus(status) {
+  return status === 429 || (status >= 500 && status < 600);
+}
+
+function failed(error, { retryable, httpStatus = null, result = null, alert = null, request = null }) {
+  return { outcome: "failed", retryable: retryable === true, error, httpStatus, result, alert, request };
+}
+
+function conversionPhone(conversion) {
+  return conversion?.phone ?? conversion?.caller_phone ?? conversion?.callerPhone ?? "unknown";
+}
+
+const cm360 = {
+  reference: (c) => c.ordinal || null,
+  async deliver(payload) {
+    const request = cm360Service.cleanConversion(payload);
+    try {
+      const response = await cm360Service.sendConversionsToCM360([payload]);
+      if (response?.hasFailures) {
+        const errors = (response.status || [])
+          .flatMap((item) => item.errors || [])
+          .map((e) => e.message)
+          .join("; ");
+        const message = errors || "CM360 reported a failure";
+        return failed(message, {
+          retryable: false,
+          result: response,
+          alert: `${payload.ordinal || "UNKNOWN"} failed. Err message : ${message}`,
+          request,
+        });
+      }
+      return { outcome: "delivered", result: response, request };
+    } catch (err) {
+      // No HTTP status = network / auth setup error — worth retrying.
+      return failed(err.message, {
+        retryable: !err.status || isRetryableStatus(err.status),
+        httpStatus: err.status || null,
+        alert: `${payload.ordinal || "UNKNOWN"} failed. Err message : ${err.message}`,
+        request,
+      });
+    }
+  },
+};
+
+const roku = {
+  reference: (c) => c.event_id || c.eventId || c.callId || c.call_id || null,
+  async deliver(payload, options = {}, ctx = {}) {
+    const [result] = await rokuConversionService.sendConversionsToRoku([payload], {
+      ...options,
+      skipDuplicateCheck: ctx.retry === true,
+    });
+    if (result.skipped) return { outcome: "skipped", result: { reason: "duplicate within 1 hour" } };
+    const request = result.sentToRoku ?? null;
+    if (!result.error) return { outcome: "delivered", result: result.response ?? null, request };
+
+    const errMsg = typeof result.error === "string" ? result.error : JSON.stringify(result.error);
+    const isNetworkTlsError = errMsg.includes("[network_tls_error]");
+    const errorTag = isNetworkTlsError ? "network_tls_error" : "roku_error";
+    return failed(errMsg, {
+      retryable: isNetworkTlsError || isRetryableStatus(result.status),
+      httpStatus: result.status ?? null,
+      alert: `ROKU [${errorTag}]: conversion fail for caller : ${conversionPhone(payload)}. Err message : ${errMsg}`,
+      request,
+    });
+  },
+};
+
+const JADE_SKIP_REASONS = ["duplicate_same_et_day", "missing_required_fields"];
+
+const jade = {
+  reference: (c) => c.callId || c.call_id || null,
+  async deliver(payload, options = {}, ctx = {}) {
+    const summary = await jadeLeadService.sendConversionsToJade([payload], {
+      skipDuplicateCheck: ctx.retry === true,
+    });
+    const result = summary.data || {};
+    const request = result.data ?? null;
+    if (result.success) return { outcome: "delivered", result: result.jadeResponse ?? null, request };
+    if (JADE_SKIP_REASONS.includes(result.failureReason)) {
+      return { outcome: "skipped", result: { reason: result.failureReason }, request };
+    }
+    const reason = result.failureReason || "jade_send_failed";
+    const status = result.jadeResponse?.status ?? null;
+    return failed(reason, {
+      retryable: reason.startsWith("[network_tls_error]") || isRetryableStatus(status),
+      httpStatus: status,
+      alert: `JADE: lead delivery failed for caller : ${conversionPhone(payload)}. Err message : ${reason}`,
+      request,
+    });
+  },
+};
+
+const google = {
+  reference: (c) => googleConversionService.resolveCallId(c),
+  async deliver(payload, options = {}) {
+    const source = options.source || "Conversion outbox";
+    const callID = googleConversionService.resolveCallId(payload);
+    const preview = await googleConversionService.previewUploadPayload(payload);
+    const request = preview.ok ? preview.body : null;
+    try {
+      const result = await googleConversionService.uploadGoogleClickConversion(payload);
+      if (result.ok) return { outcome: "delivered", result, request };
+      return failed(result.message || result.error, {
+        // 503 = account config missing; retry so a config fix picks the conversion up.
+        retryable: result.statusCode === 503,
+        httpStatus: result.statusCode || null,
+        result,
+        alert: googleConversionService.shouldNotifyGoogleConversionSlack(result)
+          ? googleConversionService.formatGoogleConversionSlackAlert({ result, source, callID })
+          : null,
+        request,
+      });
+    } catch (err) {
+      return failed(err.message, {
+        retryable: googleConversionService.isTransientGoogleError(err),
+        httpStatus: err.response?.status || err.statusCode || null,
+        alert: googleConversionService.formatGoogleConversionSlackAlert({ source, exception: err, callID }),
+        request,
+      });
+    }
+  },
+};
+
+const meta = {
+  reference: (c) => c.event_id || c.eventId || c.callId || c.call_id || null,
+  async deliver(payload, options = {}, ctx = {}) {
+    const [result] = await metaConversionService.sendConversionsToMeta([payload], {
+      ...options,
+      skipDuplicateCheck: ctx.retry === true,
+    });
+    if (result.skipped) return { outcome: "skipped", result: { reason: "duplicate event_id within 48 hours" } };
+    const request = result.sentToMeta ?? null;
+    if (!result.error) return { outcome: "delivered", result: result.response ?? null, request };
+    const isNetworkError = result.status == null;
+    return failed(result.error, {
+      retryable: isNetworkError || isRetryableStatus(result.status),
+      httpStatus: result.status ?? null,
+      alert: `META: conversion fail for event_id : ${payload.event_id || payload.callId || "UNKNOWN"} (pixel ${payload.pixel_id || "?"}). Err message : ${result.error}`,
+      request,
+    });
+  },
+};
+
+const DESTINATION_ADAPTERS = { cm360, roku, jade, google, meta };
+
+function getAdapter(destination) {
+  return DESTINATION_ADAPTERS[destination] || null;
+}
+
+module.exports = {
+  getAdapter,
+  isRetryableStatus,
+};
@@ -0,0 +1,401 @@
+/**
+ * Conversion outbox (conversionOutbox) — persist first, deliver later.
+ * Webhooks call submitConversions(); services/conversionOutboxWorker.js claims due jobs and calls processJob().
+ * Without Mongo (or with CONVERSION_OUTBOX_ENABLED=false) conversions are delivered inline, as before.
+ */
+const os = require("os");
+const { EventEmitter } = require("events");
+const mongoose = require("mongoose");
+const ConversionOutbox = require("../models/conversionOutboxModel");
+const CFG = require("../config/conversionOutbox");
+const { getAdapter } = require("./conversionDestinations");
+const slackService = require("./slackService");
+const conversionDeliveryLogService = require("./conversionDeliveryLogService");
+const credentialVault = require("./credentialVault");
+
+const WORKER_ID = `${os.hostname()}:${process.pid}`;
+const RESULT_MAX_CHARS = 10000;
+const REPLAY_MAX = 500;
+const REPLAYABLE_STATUSES = ["dead", "skipped"];
+
+/** Emits "enqueued" so the worker can deliver without waiting for the next poll. */
+const outboxEvents = new EventEmitter();
+
+function isOutboxAvailable() {
+  return CFG.ENABLED && mongoose.connection.readyState === 1;
+}
+
+/** Exponential backoff for the Nth failed attempt (1-based), capped, with ±20% jitter. */
+function computeBackoffMs(attempts, destinationConfig, random = Math.random) {
+  const raw = destinationConfig.baseDelayMs * Math.pow(2, Math.max(0, attempts - 1));
+  const capped = Math.min(raw, destinationConfig.maxDelayMs);
+  return Math.round(capped * (0.8 + random() * 0.4));
+}
+
+function truncateResult(value) {
+  if (value == null) return null;
+  const json = JSON.stringify(value);
+  if (json.length <= RESULT_MAX_CHARS) return value;
+  return { truncated: true, preview: json.slice(0, RESULT_MAX_CHARS) };
+}
+
+function historyEntry(fields) {
+  return { $each: [{ at: new Date(), ...fields }], $slice: -CFG.HISTORY_LIMIT };
+}
+
+async function deliverInline(destination, payload, options, source) {
+  const adapter = getAdapter(destination);
+  const startedAt = Date.now();
+  const outcome = await adapter.deliver(payload, options, { retry: false });
+  await conversionDeliveryLogService.recordDelivery({
+    destination,
+    payload,
+    outcome,
+    latencyMs: Date.now() - startedAt,
+    source,
+    inline: true,
+  });
+  if (outcome.outcome === "failed" && outcome.alert) {
+    await slackService.sendSlackMessage(outcome.alert);
+  }
+  return outcome;
+}
+
+/**
+ * Queue one job per conversion for a destination, or deliver inline when the outbox is unavailable.
+ * @returns {Promise<{ queued: true, ids: string[] } | { queued: false, results: Object[] }>}
+ */
+async function submitConversions(destination, conversions, { options = {}, source = null } = {}) {
+  const adapter = getAdapter(destination);
+  if (!adapter) throw new Error(`Unknown conversion destination: ${destination}`);
+
+  if (isOutboxAvailable()) {
+    try {
+      const { maxAttempts } = CFG.getDestinationConfig(destination);
+      const docs = await ConversionOutbox.insertMany(
+        conversions.map((payload) => ({
+          destination,
+          source,
+          reference: adapter.reference(payload) || null,
+          payload: credentialVault.sealConversionSecrets(payload),
+          options,
+          maxAttempts,
+        }))
+      );
+      outboxEvents.emit("enqueued", destination);
+      return { queued: true, ids: docs.map((d) => d._id.toString()) };
+    } catch (err) {
+      console.error(`[conversion-outbox] enqueue ${destination} failed, delivering inline:`, err.message);
+    }
+  }
+
+  const results = [];
+  for (const payload of conversions) {
+    results.push(await deliverInline(destination, payload, options, source));
+  }
+  return { queued: false, results };
+}
+
+/** Webhook response body for a submitConversions() result. */
+function summarizeSubmission(submitted) {
+  if (submitted.queued) {
+    return { success: true, queued: submitted.ids.length, outboxIds: submitted.ids };
+  }
+  const results = submitted.results.map(({ alert, ...rest }) => rest);
+  return { success: results.every((r) => r.outcome !== "failed"), queued: 0, results };
+}
+
+/** Jobs left in `processing` by a crashed worker go back to pending. */
+async function releaseStaleLocks() {
+  const cutoff = new Date(Date.now() - CFG.STALE_LOCK_MS);
+  const res = await ConversionOutbox.updateMany(
+    { status: "processing", lockedAt: { $lt: cutoff } },
+    {
+      $set: { status: "pending", lockedAt: null, lockedBy: null, nextAttemptAt: new Date() },
+      $push: { history: historyEntry({ outcome: "released", error: "stale processing lock" }) },
+    }
+  );
+  if (res.modifiedCount) {
+    console.warn(`[conversion-outbox] released ${res.modifiedCount} stale job(s)`);
+  }
+  return res.modifiedCount || 0;
+}
+
+async function claimNextJob(excludeDestinations = []) {
+  const filter = { status: "pending", nextAttemptAt: { $lte: new Date() } };
+  if (excludeDestinations.length) filter.destination = { $nin: excludeDestinations };
+  return ConversionOutbox.findOneAndUpdate(
+    filter,
+    { $set: { status: "processing", lockedAt: new Date(), lockedBy: WORKER_ID } },
+    { sort: { nextAttemptAt: 1 }, new: true }
+  ).lean();
+}
+
+/**
+ * Deliver one claimed job and record the outcome.
+ * @returns {Promise<{ outcome: string, retryable: boolean, status: string }>}
+ */
+async function processJob(job) {
+  const adapter = getAdapter(job.destination);
+  const attempt = job.attempts + 1;
+  const startedAt = Date.now();
+  let outcome;
+  try {
+    outcome = await adapter.deliver(credentialVault.revealConversionSecrets(job.payload), job.options || {}, {
+      retry: job.attempts > 0 || job.replayCount > 0,
+    });
+  } catch (err) {
+    outcome = { outcome: "failed", retryable: true, error: err.message };
+  }
+  const durationMs = Date.now() - startedAt;
+  await conversionDeliveryLogService.recordDelivery({
+    destination: job.destination,
+    payload: job.payload,
+    outcome,
+    latencyMs: durationMs,
+    attempt,
+    outboxId: job._id,
+    source: job.source,
+  });
+  const base = {
+    attempts: attempt,
+    lockedAt: null,
+    lockedBy: null,
+    lastHttpStatus: outcome.httpStatus ?? null,
+  };
+
+  let status;
+  let update;
+  if (outcome.outcome === "delivered" || outcome.outcome === "skipped") {
+    status = outcome.outcome;
+    update = {
+      $set: {
+        ...base,
+        status,
+        lastError: null,
+        deliveredAt: status === "delivered" ? new Date() : null,
+        finishedAt: new Date(),
+        result: truncateResult(outcome.result),
+      },
+      $push: { history: historyEntry({ attempt, outcome: status, durationMs }) },
+    };
+  } else {
+    const maxAttempts = job.maxAttempts || CFG.getDestinationConfig(job.destination).maxAttempts;
+    const deadReason = !outcome.retryable ? "permanent_error" : attempt >= maxAttempts ? "max_attempts" : null;
+    status = deadReason ? "dead" : "pending";
+    const set = { ...base, status, lastError: outcome.error || "delivery failed", deadReason };
+    if (outcome.result != null) set.result = truncateResult(outcome.result);
+    if (deadReason) {
+      set.finishedAt = new Date();
+    } else {
+      set.nextAttemptAt = new Date(Date.now() + computeBackoffMs(attempt, CFG.getDestinationConfig(job.destination)));
+    }
+    update = {
+      $set: set,
+      $push: {
+        history: historyEntry({
+          attempt,
+          outcome: deadReason ? "dead" : "retry",
+          error: set.lastError,
+          httpStatus: base.lastHttpStatus,
+          durationMs,
+        }),
+      },
+    };
+  }
+
+  await ConversionOutbox.updateOne({ _id: job._id, status: "processing" }, update);
+
+  if (status === "dead") {
+    console.error(
+      `[conversion-outbox] ${job.destination} job ${job._id} dead after ${attempt} attempt(s): ${outcome.error}`
+    );
+    if (outcome.alert) {
+      await slackService.sendSlackMessage(`${outcome.alert}\n(dead-lettered after ${attempt} attempt(s), outbox id ${job._id})`);
+    }
+  } else if (status === "pending") {
+    console.warn(`[conversion-outbox] ${job.destination} job ${job._id} attempt ${attempt} failed: ${outcome.error}`);
+  }
+  return { outcome: outcome.outcome, retryable: outcome.retryable === true, status };
+}
+
+function toListItem(doc) {
+  return {
+    id: doc._id.toString(),
+    destination: doc.destination,
+    source: doc.source,
+    reference: doc.reference,
+    status: doc.status,
+    attempts: doc.attempts,
+    maxAttempts: doc.maxAttempts,
+    nextAttemptAt: doc.nextAttemptAt,
+    lastError: doc.lastError,
+    lastHttpStatus: doc.lastHttpStatus,
+    deadReason: doc.deadReason,
+    deliveredAt: doc.deliveredAt,
+    replayCount: doc.replayCount,
+    createdAt: doc.createdAt,
+    updatedAt: doc.updatedAt,
+  };
+}
+
+/** null when blank, undefined when unparseable. */
+function parseDate(value) {
+  if (value == null || String(value).trim() === "") return null;
+  const d = new Date(String(value).trim());
+  return Number.isNaN(d.getTime()) ? undefined : d;
+}
+
+async function listJobs(query = {}) {
+  const page = Math.max(1, parseInt(query.page, 10) || 1);
+  const limit = Math.min(200, Math.max(1, parseInt(query.limit, 10) || 50));
+  const from = parseDate(query.from);
+  const to = parseDate(query.to);
+  if (from === undefined || to === undefined) return { ok: false, status: 400, error: "from / to must be valid dates" };
+  const filter = {};
+  if (query.status) filter.status = String(query.status);
+  if (query.destination) filter.destination = String(query.destination);
+  if (query.reference) filter.reference = String(query.reference).trim();
+  if (from || to) {
+    filter.createdAt = {};
+    if (from) filter.createdAt.$gte = from;
+    if (to) filter.createdAt.$lte = to;
+  }
+  const [docs, total] = await Promise.all([
+    ConversionOutbox.find(filter)
+      .select("-payload -options -history -result")
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    ConversionOutbox.countDocuments(filter),
+  ]);
+  return {
+    ok: true,
+    jobs: docs.map(toListItem),
+    pagination: { page, limit, total, pages: Math.ceil(total / limit) },
+  };
+}
+
+async function getJob(id) {
+  if (!mongoose.isValidObjectId(id)) return { ok: false, status: 400, error: "Invalid outbox id" };
+  const doc = await ConversionOutbox.findById(id).lean();
+  if (!doc) return { ok: false, status: 404, error: "Outbox job not found" };
+  return {
+    ok: true,
+    job: {
+      ...toListItem(doc),
+      payload: credentialVault.maskConversionSecrets(doc.payload),
+      options: doc.options,
+      result: doc.result,
+      history: doc.history,
+    },
+  };
+}
+
+async function getStats() {
+  const rows = await ConversionOutbox.aggregate([
+    { $group: { _id: { destination: "$destination", status: "$status" }, count: { $sum: 1 } } },
+  ]);
+  const oldestPending = await ConversionOutbox.findOne({ status: "pending" })
+    .sort({ createdAt: 1 })
+    .select("createdAt destination")
+    .lean();
+  const byDestination = {};
+  for (const destination of CFG.DESTINATIONS) {
+    byDestination[destination] = { pending: 0, processing: 0, delivered: 0, skipped: 0, dead: 0 };
+  }
+  for (const row of rows) {
+    if (!byDestination[row._id.destination]) continue;
+    byDestination[row._id.destination][row._id.status] = row.count;
+  }
+  return {
+    ok: true,
+    byDestination,
+    oldestPending: oldestPending
+      ? { destination: oldestPending.destination, createdAt: oldestPending.createdAt }
+      : null,
+  };
+}
+
+function replaySet(actor) {
+  return {
+    $set: {
+      status: "pending",
+      attempts: 0,
+      nextAttemptAt: new Date(),
+      deadReason: null,
+      finishedAt: null,
+      lockedAt: null,
+      lockedBy: null,
+    },
+    $inc: { replayCount: 1 },
+    $push: { history: historyEntry({ outcome: "replayed", by: actor?.email || null }) },
+  };
+}
+
+/** Put a dead (or skipped) job back in the queue with a fresh attempt budget. */
+async function replayJob(id, actor) {
+  if (!mongoose.isValidObjectId(id)) return { ok: false, status: 400, error: "Invalid outbox id" };
+  const doc = await ConversionOutbox.findOneAndUpdate(
+    { _id: id, status: { $in: REPLAYABLE_STATUSES }, piiRedactedAt: null },
+    replaySet(actor),
+    { new: true }
+  ).lean();
+  if (!doc) {
+    const existing = await ConversionOutbox.findById(id).select("status piiRedactedAt").lean();
+    if (existing?.piiRedactedAt) {
+      return { ok: false, status: 409, error: "Job payload was redacted by the retention policy and cannot be replayed" };
+    }
+    return existing
+      ? { ok: false, status: 409, error: `Only ${REPLAYABLE_STATUSES.join(" / ")} jobs can be replayed (job is ${existing.status})` }
+      : { ok: false, status: 404, error: "Outbox job not found" };
+  }
+  outboxEvents.emit("enqueued", doc.destination);
+  console.log(`[conversion-outbox] job ${id} replayed by ${actor?.email || "?"}`);
+  return { ok: true, job: toListItem(doc) };
+}
+
+/** Bulk replay by ids, or every dead job for a destination (capped at REPLAY_MAX). */
+async function replayJobs({ ids, destination, status = "dead" } = {}, actor) {
+  if (!REPLAYABLE_STATUSES.includes(status)) {
+    return { ok: false, status: 400, error: `status must be one of ${REPLAYABLE_STATUSES.join(", ")}` };
+  }
+  const filter = { status, piiRedactedAt: null };
+  if (Array.isArray(ids) && ids.length) {
+    if (ids.length > REPLAY_MAX) return { ok: false, status: 400, error: `At most ${REPLAY_MAX} ids per request` };
+    if (!ids.every((id) => mongoose.isValidObjectId(id))) return { ok: false, status: 400, error: "Invalid outbox id" };
+    filter._id = { $in: ids };
+  } else if (destination) {
+    if (!CFG.DESTINATIONS.includes(destination)) return { ok: false, status: 400, error: `Unknown destination: ${destination}` };
+    filter.destination = destination;
+  } else {
+    return { ok: false, status: 400, error: "Provide ids or destination" };
+  }
+
+  const targets = await ConversionOutbox.find(filter).select("_id").sort({ createdAt: 1 }).limit(REPLAY_MAX).lean();
+  const res = await ConversionOutbox.updateMany(
+    { _id: { $in: targets.map((t) => t._id) }, status },
+    replaySet(actor)
+  );
+  if (res.modifiedCount) outboxEvents.emit("enqueued", destination || null);
+  console.log(`[conversion-outbox] ${res.modifiedCount} job(s) replayed by ${actor?.email || "?"}`);
+  return { ok: true, replayed: res.modifiedCount || 0 };
+}
+
+module.exports = {
+  WORKER_ID,
+  outboxEvents,
+  isOutboxAvailable,
+  computeBackoffMs,
+  submitConversions,
+  summarizeSubmission,
+  releaseStaleLocks,
+  claimNextJob,
+  processJob,
+  listJobs,
+  getJob,
+  getStats,
+  replayJob,
+  replayJobs,
+};
@@ -0,0 +1,126 @@
+/**
+ * Conversion outbox worker — polls conversionOutbox every CONVERSION_OUTBOX_POLL_MS (and right after
+ * webhooks enqueue), delivering up to CONVERSION_OUTBOX_BATCH_SIZE jobs in parallel per round.
+ * A retryable failure also pauses the whole destination with exponential backoff, so a Roku or Google
+ * outage does not burn every queued job's attempts; one success clears the pause.
+ */
+const mongoose = require("mongoose");
+const CFG = require("../config/conversionOutbox");
+const conversionOutboxService = require("./conversionOutboxService");
+
+let pollTimer = null;
+let running = false;
+let rerunRequested = false;
+
+/** destination -> { consecutiveFailures, pausedUntil } */
+const destinationState = {};
+
+function getPausedDestinations(now = Date.now()) {
+  return CFG.DESTINATIONS.filter((d) => (destinationState[d]?.pausedUntil || 0) > now);
+}
+
+function recordDestinationOutcome(destination, result) {
+  const state = destinationState[destination] || { consecutiveFailures: 0, pausedUntil: 0 };
+  if (result.outcome === "delivered") {
+    if (state.consecutiveFailures > 0) console.log(`[conversion-outbox] ${destination} recovered`);
+    state.consecutiveFailures = 0;
+    state.pausedUntil = 0;
+  } else if (result.outcome === "failed" && result.retryable) {
+    state.consecutiveFailures += 1;
+    const cfg = CFG.getDestinationConfig(destination);
+    const pauseMs = Math.min(cfg.baseDelayMs * Math.pow(2, state.consecutiveFailures - 1), cfg.maxDelayMs);
+    state.pausedUntil = Date.now() + pauseMs;
+    console.warn(
+      `[conversion-outbox] ${destination} paused ${Math.round(pauseMs / 1000)}s after ${state.consecutiveFailures} consecutive failure(s)`
+    );
+  }
+  destinationState[destination] = state;
+}
+
+async function claimBatch() {
+  const jobs = [];
+  const paused = getPausedDestinations();
+  while (jobs.length < CFG.BATCH_SIZE) {
+    const job = await conversionOutboxService.claimNextJob(paused);
+    if (!job) break;
+    jobs.push(job);
+  }
+  return jobs;
+}
+
+/** One delivery round; keeps draining while batches come back full. */
+async function runOutboxRound() {
+  if (running) {
+    rerunRequested = true;
+    return;
+  }
+  if (mongoose.connection.readyState !== 1) return;
+  running = true;
+  try {
+    await conversionOutboxService.releaseStaleLocks();
+    for (;;) {
+      const jobs = await claimBatch();
+      if (jobs.length === 0) break;
+      await Promise.all(
+        jobs.map(async (job) => {
+          const result = await conversionOutboxService.processJob(job);
+          recordDestinationOutcome(job.destination, result);
+        })
+      );
+      if (jobs.length < CFG.BATCH_SIZE) break;
+    }
+  } catch (err) {
+    console.error("[conversion-outbox] worker round failed:", err.message);
+  } finally {
+    running = false;
+    if (rerunRequested) {
+      rerunRequested = false;
+      setImmediate(() => runOutboxRound());
+    }
+  }
+}
+
+function getWorkerStatus() {
+  const now = Date.now();
+  return {
+    enabled: CFG.ENABLED && CFG.WORKER_ENABLED,
+    running: !!pollTimer,
+    workerId: conversionOutboxService.WORKER_ID,
+    pollIntervalMs: CFG.POLL_INTERVAL_MS,
+    batchSize: CFG.BATCH_SIZE,
+    destinations: Object.fromEntries(
+      CFG.DESTINATIONS.map((d) => {
+        const state = destinationState[d] || { consecutiveFailures: 0, pausedUntil: 0 };
+        return [
+          d,
+          {
+            ...CFG.getDestinationConfig(d),
+            consecutiveFailures: state.consecutiveFailures,
+            pausedUntil: state.pausedUntil > now ? new Date(state.pausedUntil).toISOString() : null,
+          },
+        ];
+      })
+    ),
+  };
+}
+
+function startConversionOutboxWorker() {
+  if (!CFG.ENABLED || !CFG.WORKER_ENABLED) {
+    console.log("Conversion outbox worker disabled");
+    return;
+  }
+  if (pollTimer) return;
+
+  conversionOutboxService.outboxEvents.on("enqueued", () => {
+    runOutboxRound();
+  });
+  pollTimer = setInterval(() => runOutboxRound(), CFG.POLL_INTERVAL_MS);
+  runOutboxRound();
+  console.log(`✅ Conversion outbox worker started (poll ${CFG.POLL_INTERVAL_MS}ms, batch ${CFG.BATCH_SIZE})`);
+}
+
+module.exports = {
+  startConversionOutboxWorker,
+  runOutboxRound,
+  getWorkerStatus,
+};
@@ -0,0 +1,91 @@
+/**
+ * AES-256-GCM field encryption for secrets stored in Mongo (config/credentials.js).
+ * Stored form: "enc:v1:<keyId>:<iv>:<tag>:<ciphertext>" (base64 parts); keyId is the first 8 hex chars of
+ * sha256(key). Decryption picks the current or a previous key by keyId, so values written before a rotation
+ * stay readable until they are re-encrypted.
+ */
+const crypto = require("crypto");
+const CREDENTIALS = require("../config/credentials");
+
+const PREFIX = "enc:v1:";
+
+function keyMissingError() {
+  const error = new Error("CREDENTIALS_ENCRYPTION_KEY is not configured; encrypted credentials are unavailable.");
+  error.code = "credentials_key_missing";
+  error.statusCode = 503;
+  return error;
+}
+
+function keyIdFor(key) {
+  return crypto.createHash("sha256").update(key).digest("hex").slice(0, 8);
+}
+
+function getKeyring() {
+  const keyring = new Map();
+  for (const key of [CREDENTIALS.ENCRYPTION_KEY, ...CREDENTIALS.PREVIOUS_KEYS]) {
+    if (key && !keyring.has(keyIdFor(key))) keyring.set(keyIdFor(key), key);
+  }
+  return keyring;
+}
+
+function currentKeyId() {
+  return CREDENTIALS.ENCRYPTION_KEY ? keyIdFor(CREDENTIALS.ENCRYPTION_KEY) : null;
+}
+
+/** keyId of a stored value, or null when it is plaintext. */
+function keyIdOf(stored) {
+  return isEncrypted(stored) ? stored.split(":")[2] : null;
+}
+
+function isEncrypted(value) {
+  return typeof value === "string" && value.startsWith(PREFIX);
+}
+
+function hasEncryptionKey() {
+  return Boolean(CREDENTIALS.ENCRYPTION_KEY);
+}
+
+function encryptSecret(plaintext, key = CREDENTIALS.ENCRYPTION_KEY) {
+  if (!key) throw keyMissingError();
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", key, iv);
+  const ciphertext = Buffer.concat([cipher.update(String(plaintext), "utf8"), cipher.final()]);
+  return [
+    "enc",
+    "v1",
+    keyIdFor(key),
+    iv.toString("base64"),
+    cipher.getAuthTag().toString("base64"),
+    ciphertext.toString("base64"),
+  ].join(":");
+}
+
+/** Plaintext (not yet migrated) values are returned as is. */
+function decryptSecret(stored, key) {
+  if (!isEncrypted(stored)) return stored;
+  const [, , keyId, iv, tag, ciphertext] = stored.split(":");
+  if (!key) {
+    const keyring = getKeyring();
+    if (!keyring.size) throw keyMissingError();
+    key = keyring.get(keyId);
+  }
+  if (!key || keyId !== keyIdFor(key)) {
+    const error = new Error(`Credential was encrypted with key ${keyId}, which is not configured.`);
+    error.code = "credentials_key_mismatch";
+    error.statusCode = 503;
+    throw error;
+  }
+  const decipher = crypto.createDecipheriv("aes-256-gcm", key, Buffer.from(iv, "base64"));
+  decipher.setAuthTag(Buffer.from(tag, "base64"));
+  return Buffer.concat([decipher.update(Buffer.from(ciphertext, "base64")), decipher.final()]).toString("utf8");
+}
+
+module.exports = {
+  keyIdFor,
+  keyIdOf,
+  currentKeyId,
+  isEncrypted,
+  hasEncryptionKey,
+  encryptSecret,
+  decryptSecret,
+};
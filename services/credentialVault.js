@@ -0,0 +1,173 @@
+/**
+ * Credential vault — every third-party secret kept in Mongo goes through here (keys: config/credentials.js).
+ * seal() before writing, reveal() before use, mask() for API responses. STORES lists the encrypted fields per
+ * collection; reencryptStores() encrypts plaintext values and moves values from previous keys to the current
+ * one (scripts/encrypt-credentials.js). A new secret field is added by sealing it and listing it in STORES.
+ */
+const mongoose = require("mongoose");
+const Company = require("../models/companyModel");
+const GoogleAdsAccount = require("../models/googleAdsAccountModel");
+const ConversionOutbox = require("../models/conversionOutboxModel");
+const credentialCrypto = require("./credentialCrypto");
+
+/** Roku / Meta keys Ringba sends on each conversion; sealed while the job sits in the outbox. */
+const CONVERSION_SECRET_KEYS = ["roku_api_key", "rokuApiKey", "meta_access_token", "metaAccessToken", "access_token"];
+
+const STORES = [
+  { name: "companies", model: Company, fields: ["apiToken"] },
+  {
+    name: "googleAdsAccounts",
+    model: GoogleAdsAccount,
+    fields: ["clientSecretEncrypted", "developerTokenEncrypted", "refreshTokenEncrypted"],
+  },
+  { name: "conversionOutbox", model: ConversionOutbox, fields: CONVERSION_SECRET_KEYS.map((k) => `payload.${k}`) },
+];
+
+let warnedNoKey = false;
+
+/**
+ * Value to store for a secret: encrypted with the current key; "" stays "".
+ * Without CREDENTIALS_ENCRYPTION_KEY the value is stored as is (warned once) so accounting keeps working;
+ * scripts/encrypt-credentials.js encrypts it once a key is set.
+ */
+function seal(value) {
+  if (value == null || value === "") return value;
+  if (credentialCrypto.isEncrypted(value)) return value;
+  if (!credentialCrypto.hasEncryptionKey()) {
+    if (!warnedNoKey) {
+      warnedNoKey = true;
+      console.warn("⚠️ CREDENTIALS_ENCRYPTION_KEY not set — third-party secrets are stored unencrypted");
+    }
+    return value;
+  }
+  return credentialCrypto.encryptSecret(value);
+}
+
+/**
+ * Plaintext of a stored secret, or "" when it cannot be decrypted (logged with `label`), so one bad record
+ * does not stop a pipeline that loops over many.
+ */
+function reveal(stored, label = "credential") {
+  if (stored == null || stored === "") return "";
+  try {
+    return credentialCrypto.decryptSecret(String(stored));
+  } catch (err) {
+    console.error(`[credential-vault] cannot decrypt ${label}: ${err.message}`);
+    return "";
+  }
+}
+
+/** "****" + last 4 characters of the plaintext; "" when empty. Never returns the secret itself. */
+function mask(stored) {
+  if (stored == null || stored === "") return "";
+  let plain;
+  try {
+    plain = credentialCrypto.decryptSecret(String(stored));
+  } catch (err) {
+    return "****(unreadable)";
+  }
+  return plain.length > 8 ? `****${plain.slice(-4)}` : "****";
+}
+
+function sealConversionSecrets(payload) {
+  if (!payload || typeof payload !== "object") return payload;
+  const out = { ...payload };
+  for (const key of CONVERSION_SECRET_KEYS) {
+    if (typeof out[key] === "string" && out[key]) out[key] = seal(out[key]);
+  }
+  return out;
+}
+
+function revealConversionSecrets(payload) {
+  if (!payload || typeof payload !== "object") return payload;
+  const out = { ...payload };
+  for (const key of CONVERSION_SECRET_KEYS) {
+    if (credentialCrypto.isEncrypted(out[key])) out[key] = reveal(out[key], `conversion ${key}`);
+  }
+  return out;
+}
+
+function maskConversionSecrets(payload) {
+  if (!payload || typeof payload !== "object") return payload;
+  const out = { ...payload };
+  for (const key of CONVERSION_SECRET_KEYS) {
+    if (typeof out[key] === "string" && out[key]) out[key] = mask(out[key]);
+  }
+  return out;
+}
+
+function getPath(doc, path) {
+  return path.split(".").reduce((value, part) => (value == null ? undefined : value[part]), doc);
+}
+
+/** plaintext | current | previous (decryptable, older key) | unknown (key not configured) */
+function classify(value) {
+  const keyId = credentialCrypto.keyIdOf(value);
+  if (!keyId) return "plaintext";
+  if (keyId === credentialCrypto.currentKeyId()) return "current";
+  try {
+    credentialCrypto.decryptSecret(value);
+    return "previous";
+  } catch (err) {
+    return "unknown";
+  }
+}
+
+/**
+ * Encrypt plaintext secrets and re-encrypt values under previous keys, store by store.
+ * scanned / updated count documents; plaintext / current / previous / unknown count secret fields.
+ * @param {{ dryRun?: boolean, stores?: string[], batchSize?: number }} [options]
+ * @returns {Promise<{ ok, status?, keyId, dryRun, stores: Array<{ name, scanned, plaintext, current, previous, unknown, updated }> }>}
+ */
+async function reencryptStores({ dryRun = true, stores = null, batchSize = 200 } = {}) {
+  if (mongoose.connection.readyState !== 1) return { ok: false, status: 503, error: "MongoDB not connected" };
+  if (!credentialCrypto.hasEncryptionKey()) {
+    return { ok: false, status: 503, error: "CREDENTIALS_ENCRYPTION_KEY is not configured" };
+  }
+  const selected = stores && stores.length ? STORES.filter((s) => stores.includes(s.name)) : STORES;
+  const report = [];
+  for (const store of selected) {
+    const counts = { name: store.name, scanned: 0, plaintext: 0, current: 0, previous: 0, unknown: 0, updated: 0 };
+    const filter = { $or: store.fields.map((field) => ({ [field]: { $type: "string", $ne: "" } })) };
+    const cursor = store.model
+      .find(filter)
+      .select(store.fields.join(" "))
+      .lean()
+      .cursor({ batchSize });
+    let ops = [];
+    for await (const doc of cursor) {
+      counts.scanned += 1;
+      const $set = {};
+      for (const field of store.fields) {
+        const value = getPath(doc, field);
+        if (typeof value !== "string" || !value) continue;
+        const state = classify(value);
+        counts[state] += 1;
+        if (state === "plaintext") $set[field] = credentialCrypto.encryptSecret(value);
+        else if (state === "previous") $set[field] = credentialCrypto.encryptSecret(credentialCrypto.decryptSecret(value));
+      }
+      if (!Object.keys($set).length) continue;
+      counts.updated += 1;
+      if (!dryRun) ops.push({ updateOne: { filter: { _id: doc._id }, update: { $set } } });
+      if (ops.length >= batchSize) {
+        await store.model.bulkWrite(ops, { ordered: false });
+        ops = [];
+      }
+    }
+    if (ops.length) await store.model.bulkWrite(ops, { ordered: false });
+    report.push(counts);
+  }
+  return { ok: true, keyId: credentialCrypto.currentKeyId(), dryRun, stores: report };
+}
+
+module.exports = {
+  STORES,
+  CONVERSION_SECRET_KEYS,
+  seal,
+  reveal,
+  mask,
+  sealConversionSecrets,
+  revealConversionSecrets,
+  maskConversionSecrets,
+  reencryptStores,
+};
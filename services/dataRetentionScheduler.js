@@ -0,0 +1,46 @@
+const CFG = require("../config/dataRetention");
+const { runRetention } = require("./dataRetentionService");
+
+let schedulerTimer = null;
+let runInProgress = false;
+
+async function runScheduledRetention(trigger = "scheduler") {
+  if (runInProgress) {
+    console.log("Data retention run already in progress, skipping");
+    return null;
+  }
+
+  runInProgress = true;
+  try {
+    return await runRetention({ trigger });
+  } catch (error) {
+    console.error("Data retention run failed:", error.message);
+    throw error;
+  } finally {
+    runInProgress = false;
+  }
+}
+
+function startDataRetentionScheduler() {
+  if (schedulerTimer) return;
+  if (!CFG.ENABLED) {
+    console.log("Data retention scheduler disabled (DATA_RETENTION_ENABLED=false)");
+    return;
+  }
+
+  // Run once on startup (syncs TTL indexes, catches backlog), then every INTERVAL_MS
+  runScheduledRetention("startup").catch(() => {});
+
+  schedulerTimer = setInterval(() => {
+    runScheduledRetention("interval").catch(() => {});
+  }, CFG.INTERVAL_MS);
+
+  console.log(
+    `✅ Data retention scheduler started (every ${Math.round(CFG.INTERVAL_MS / 60000)} min + startup run)`
+  );
+}
+
+module.exports = {
+  startDataRetentionScheduler,
+  runScheduledRetention,
+};
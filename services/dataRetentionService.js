@@ -0,0 +1,538 @@
+/**
+ * PII retention and erasure (config/dataRetention.js).
+ *
+ * - TTL: one TTL index per collection, created / adjusted (collMod) to match the configured days on every run,
+ *   so changing DATA_RETENTION_*_TTL_DAYS needs no manual index work. JSONL files get old lines dropped instead.
+ * - Redaction: after redactAfterDays, raw phones / emails / names / DOB / IPs are stripped; phones are kept as
+ *   sha256 of the last 10 digits (the same hash conversionDeliveries uses) so lookups by phone still work.
+ * - Erasure: eraseSubject({ phone, email }) deletes every document and JSONL line tied to the caller, in raw,
+ *   redacted or Roku-hashed form, and records the request (hashes only) in privacyErasures.
+ *
+ * Not rewritten: the Roku / Jade dedupe lists (logs/roku-recent-callers.json, jade-daily-recent-callers.json);
+ * they hold phones for at most one hour / one ET day and then drop them on their own.
+ */
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const readline = require("readline");
+const { once } = require("events");
+const mongoose = require("mongoose");
+const CFG = require("../config/dataRetention");
+const dynamicRingTreeCFG = require("../config/dynamicRingTreeTarget");
+const callgridRingTreeCFG = require("../config/callgridRingTreeTarget");
+const RokuLog = require("../models/rokuLogModel");
+const RingbaFakeTargetPing = require("../models/ringbaFakeTargetPingModel");
+const ConversionOutbox = require("../models/conversionOutboxModel");
+const ConversionDelivery = require("../models/conversionDeliveryModel");
+const PrivacyErasure = require("../models/privacyErasureModel");
+const EnrichmentProfile = require("../models/enrichmentProfileModel");
+const { hashPhone } = require("./conversionDeliveryLogService");
+const { normalizeEmail } = require("./rokuConversionService");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const LOG_DIR = path.join(__dirname, "..", "logs");
+const HASH_PREFIX = "sha256:";
+const PHONE_KEYS = new Set([
+  "phone",
+  "caller_phone",
+  "callerPhone",
+  "callerPhoneNumber",
+  "phone_home",
+  "callerId",
+  "inboundPhoneNumber",
+]);
+/** Dropped outright (no hash): nothing looks these up later. */
+const PLAIN_PII_KEYS = new Set([
+  "email",
+  "firstName",
+  "lastName",
+  "first_name",
+  "last_name",
+  "dateOfBirth",
+  "dob",
+  "ip",
+  "IP",
+  "ipAddress",
+  "client_ip_address",
+  "address",
+]);
+
+let lastRun = null;
+
+function sha256(value) {
+  return crypto.createHash("sha256").update(value, "utf8").digest("hex");
+}
+
+function phoneDigits(raw) {
+  const digits = String(raw ?? "").replace(/\D/g, "");
+  return digits.length >= 10 ? digits.slice(-10) : "";
+}
+
+/** Raw phone in any format: "+1 (555) 123-4567", "15551234567", "555.123.4567". */
+function phoneRegex(digits) {
+  return new RegExp(`^\\D*(1\\D*)?${digits.split("").join("\\D*")}\\D*$`);
+}
+
+/** Recursively hash phone fields and drop plain PII fields (Roku's hashed ph / em are left alone). */
+function redactValue(value, depth = 0) {
+  if (value == null || typeof value !== "object" || depth > 8) return value;
+  if (Array.isArray(value)) return value.map((v) => redactValue(v, depth + 1));
+  const out = {};
+  for (const [key, v] of Object.entries(value)) {
+    if (PHONE_KEYS.has(key) && typeof v === "string" && v && !v.startsWith(HASH_PREFIX)) {
+      const hash = hashPhone(v);
+      out[key] = hash ? `${HASH_PREFIX}${hash}` : null;
+    } else if (PLAIN_PII_KEYS.has(key)) {
+      out[key] = v == null || v === "" ? v : null;
+    } else {
+      out[key] = redactValue(v, depth + 1);
+    }
+  }
+  return out;
+}
+
+function firstPhone(obj = {}) {
+  for (const key of PHONE_KEYS) {
+    if (phoneDigits(obj?.[key])) return obj[key];
+  }
+  return null;
+}
+
+/**
+ * Every form a caller can appear in: raw digits, our hash (plain or "sha256:"-prefixed), Roku's
+ * sha256(normalizePhone) with and without the leading 1, raw / normalized email and its Roku hash.
+ */
+function buildSubject({ phone, email } = {}) {
+  const digits = phoneDigits(phone);
+  const emailRaw = typeof email === "string" ? email.trim().toLowerCase() : "";
+  const emailNormalized = emailRaw ? normalizeEmail(emailRaw) : "";
+  const phoneHash = digits ? hashPhone(digits) : null;
+  return {
+    digits,
+    phoneHash,
+    phoneRegex: digits ? phoneRegex(digits) : null,
+    rokuPhoneHashes: digits ? [sha256(digits), sha256(`1${digits}`)] : [],
+    emails: [...new Set([emailRaw, emailNormalized].filter(Boolean))],
+    emailHash: emailRaw ? sha256(emailRaw) : null,
+    rokuEmailHash: emailNormalized ? sha256(emailNormalized) : null,
+  };
+}
+
+/** Mongo stores: which field the TTL runs on, how a document is redacted, how a subject is found. */
+const COLLECTION_STORES = {
+  rokuLogs: {
+    model: RokuLog,
+    ttlField: "createdAt",
+    redactFilter: (cutoff) => ({ createdAt: { $lt: cutoff } }),
+    redact: (doc) => ({
+      "ringba.phone": null,
+      "ringba.ip": null,
+      "ringba.phoneHash": hashPhone(doc.ringba?.phone),
+      plainUserData: {},
+      rokuRequest: redactValue(doc.rokuRequest || {}),
+    }),
+    erasureFilter: (s) => {
+      const or = [];
+      if (s.digits) {
+        or.push(
+          { "ringba.phone": s.phoneRegex },
+          { "ringba.phoneHash": s.phoneHash },
+          { "plainUserData.ph": s.phoneRegex },
+          { "rokuRequest.events.user_data.ph": { $in: s.rokuPhoneHashes } }
+        );
+      }
+      if (s.emails.length) {
+        or.push(
+          { "plainUserData.em": { $in: s.emails } },
+          { "rokuRequest.events.user_data.em": s.rokuEmailHash }
+        );
+      }
+      return or;
+    },
+  },
+  ringbaFakeTargetPings: {
+    model: RingbaFakeTargetPing,
+    ttlField: "createdAt",
+    redactFilter: (cutoff) => ({ createdAt: { $lt: cutoff } }),
+    redact: (doc) => ({ callerId: null, callerIdHash: hashPhone(doc.callerId), rawQuery: {}, rawBody: {} }),
+    erasureFilter: (s) => (s.digits ? [{ callerId: s.phoneRegex }, { callerIdHash: s.phoneHash }] : []),
+  },
+  conversionOutbox: {
+    model: ConversionOutbox,
+    ttlField: "finishedAt",
+    redactFilter: (cutoff) => ({ finishedAt: { $lt: cutoff } }),
+    redact: (doc) => ({
+      payload: redactValue(doc.payload || {}),
+      result: redactValue(doc.result),
+      phoneHash: hashPhone(firstPhone(doc.payload)),
+    }),
+    // Pending jobs are erased too: they would otherwise still send the caller to the ad platforms.
+    erasureFilter: (s) => {
+      const or = [];
+      if (s.digits) {
+        or.push({ phoneHash: s.phoneHash });
+        for (const key of PHONE_KEYS) {
+          or.push({ [`payload.${key}`]: s.phoneRegex }, { [`payload.${key}`]: `${HASH_PREFIX}${s.phoneHash}` });
+        }
+      }
+      if (s.emails.length) or.push({ "payload.email": { $in: s.emails } });
+      return or;
+    },
+  },
+  conversionDeliveries: {
+    model: ConversionDelivery,
+    ttlField: "createdAt",
+    erasureFilter: (s) => (s.digits ? [{ phoneHash: s.phoneHash }] : []),
+  },
+  /** Erasure only: entries expire on their own (ENRICHMENT_CACHE_TTL_HOURS, expiresAt TTL index). */
+  enrichmentProfiles: {
+    model: EnrichmentProfile,
+    erasureFilter: (s) => {
+      const or = s.digits ? [{ phoneHash: s.phoneHash }] : [];
+      if (s.emails.length) or.push({ "profile.email": { $in: s.emails } });
+      return or;
+    },
+  },
+};
+
+/** JSONL stores under logs/ and the field holding each line's timestamp. */
+const FILE_STORES = {
+  rokuAuditFile: { file: path.join(LOG_DIR, "roku-audit.jsonl"), timeField: "timestamp" },
+  domainRouteHitsFile: { file: path.join(LOG_DIR, "domain-route-hits.jsonl"), timeField: "timestamp" },
+  ringTreeEventsFile: { file: dynamicRingTreeCFG.EVENTS_FILE, timeField: "at" },
+  callgridRingTreeEventsFile: { file: callgridRingTreeCFG.EVENTS_FILE, timeField: "at" },
+  googleConversionsFile: { file: path.join(LOG_DIR, "google-conversions.jsonl"), timeField: "ts" },
+};
+
+/** Create the TTL index, or collMod it when the configured days changed; drop it when TTL is 0. */
+async function syncTtlIndex(store, ttlDays) {
+  const collection = store.model.collection;
+  const key = { [store.ttlField]: 1 };
+  let indexes = [];
+  try {
+    indexes = await collection.indexes();
+  } catch (err) {
+    if (err.codeName !== "NamespaceNotFound") throw err;
+  }
+  const existing = indexes.find((ix) => JSON.stringify(ix.key) === JSON.stringify(key));
+  const expireAfterSeconds = ttlDays * 24 * 60 * 60;
+
+  if (!ttlDays) {
+    if (existing?.expireAfterSeconds != null) {
+      await collection.dropIndex(existing.name);
+      return "dropped";
+    }
+    return "none";
+  }
+  if (!existing) {
+    await collection.createIndex(key, { expireAfterSeconds, name: `${collection.collectionName}_retention_ttl` });
+    return "created";
+  }
+  if (existing.expireAfterSeconds === expireAfterSeconds) return "ok";
+  await store.model.db.db.command({
+    collMod: collection.collectionName,
+    index: { name: existing.name, expireAfterSeconds },
+  });
+  return "updated";
+}
+
+async function redactCollection(store, cutoff, now) {
+  let redacted = 0;
+  for (;;) {
+    const docs = await store.model
+      .find({ ...store.redactFilter(cutoff), piiRedactedAt: null })
+      .limit(CFG.BATCH_SIZE)
+      .lean();
+    if (!docs.length) break;
+    await store.model.bulkWrite(
+      docs.map((doc) => ({
+        updateOne: { filter: { _id: doc._id }, update: { $set: { ...store.redact(doc), piiRedactedAt: now } } },
+      }))
+    );
+    redacted += docs.length;
+    if (docs.length < CFG.BATCH_SIZE) break;
+  }
+  return redacted;
+}
+
+/** Length up to the last complete line, so a half-written line is left for the tail copy. */
+function completeLength(file, size) {
+  const chunk = Math.min(size, 64 * 1024);
+  const buf = Buffer.alloc(chunk);
+  const fd = fs.openSync(file, "r");
+  try {
+    fs.readSync(fd, buf, 0, chunk, size - chunk);
+  } finally {
+    fs.closeSync(fd);
+  }
+  const idx = buf.lastIndexOf(0x0a);
+  return idx === -1 ? size : size - chunk + idx + 1;
+}
+
+/**
+ * Stream a JSONL file through transform(line) → line (keep), changed line (rewrite) or null (drop).
+ * Lines appended meanwhile are copied over before the rename; the copy + rename are synchronous, so this
+ * process's appendFileSync writers cannot slip a line in between.
+ * @returns {Promise<{ lines: number, dropped: number, changed: number } | null>} null when the file is missing
+ */
+async function rewriteJsonl(file, transform, { dryRun = false } = {}) {
+  let size;
+  try {
+    size = (await fs.promises.stat(file)).size;
+  } catch (err) {
+    if (err.code === "ENOENT") return null;
+    throw err;
+  }
+  const counts = { lines: 0, dropped: 0, changed: 0 };
+  if (!size) return counts;
+  const limit = completeLength(file, size);
+
+  const tmp = `${file}.retention-${process.pid}.tmp`;
+  const out = dryRun ? null : fs.createWriteStream(tmp, { encoding: "utf8" });
+  const rl = readline.createInterface({
+    input: fs.createReadStream(file, { encoding: "utf8", start: 0, end: limit - 1 }),
+    crlfDelay: Infinity,
+  });
+  for await (const line of rl) {
+    if (!line.trim()) continue;
+    counts.lines += 1;
+    const next = transform(line);
+    if (next === null) {
+      counts.dropped += 1;
+      continue;
+    }
+    if (next !== line) counts.changed += 1;
+    if (out && !out.write(`${next}\n`)) await once(out, "drain");
+  }
+  if (!out) return counts;
+  await new Promise((resolve, reject) => out.end((err) => (err ? reject(err) : resolve())));
+
+  if (!counts.dropped && !counts.changed) {
+    await fs.promises.unlink(tmp);
+    return counts;
+  }
+  const currentSize = fs.statSync(file).size;
+  if (currentSize > limit) {
+    const tail = Buffer.alloc(currentSize - limit);
+    const fd = fs.openSync(file, "r");
+    try {
+      fs.readSync(fd, tail, 0, tail.length, limit);
+    } finally {
+      fs.closeSync(fd);
+    }
+    fs.appendFileSync(tmp, tail);
+  }
+  fs.renameSync(tmp, file);
+  return counts;
+}
+
+function retentionTransform(timeField, ttlCutoff, redactCutoff) {
+  return (line) => {
+    let entry;
+    try {
+      entry = JSON.parse(line);
+    } catch {
+      return line;
+    }
+    const at = new Date(entry?.[timeField]);
+    if (Number.isNaN(at.getTime())) return line;
+    if (ttlCutoff && at < ttlCutoff) return null;
+    if (redactCutoff && at < redactCutoff && !entry._piiRedacted) {
+      return JSON.stringify({ ...redactValue(entry), _piiRedacted: true });
+    }
+    return line;
+  };
+}
+
+/** True when any string in the entry is the subject's phone, email or one of their hashes. */
+function entryMatchesSubject(value, s, depth = 0) {
+  if (value == null || depth > 8) return false;
+  if (typeof value === "string") {
+    if (s.digits) {
+      const digits = value.replace(/\D/g, "");
+      if ((digits.length === 10 || (digits.length === 11 && digits[0] === "1")) && digits.slice(-10) === s.digits) {
+        return true;
+      }
+      if (value === s.phoneHash || value === `${HASH_PREFIX}${s.phoneHash}` || s.rokuPhoneHashes.includes(value)) {
+        return true;
+      }
+    }
+    if (s.emails.length) {
+      const lower = value.trim().toLowerCase();
+      if (s.emails.includes(lower) || value === s.rokuEmailHash) return true;
+    }
+    return false;
+  }
+  if (typeof value !== "object") return false;
+  return Object.values(value).some((v) => entryMatchesSubject(v, s, depth + 1));
+}
+
+function policies() {
+  return Object.fromEntries(CFG.STORES.map((store) => [store, CFG.getStorePolicy(store)]));
+}
+
+/**
+ * One retention pass: sync TTL indexes, redact Mongo documents past their redaction age, then prune / redact JSONL.
+ * Each store is handled independently — one failure does not stop the others.
+ */
+async function runRetention({ trigger = "manual", now = new Date() } = {}) {
+  const startedAt = Date.now();
+  const stores = {};
+  const mongoReady = mongoose.connection.readyState === 1;
+
+  for (const [key, store] of Object.entries(COLLECTION_STORES)) {
+    const policy = CFG.getStorePolicy(key);
+    if (!policy) continue;
+    const row = { ...policy };
+    if (!mongoReady) {
+      stores[key] = { ...row, skipped: "mongo_not_connected" };
+      continue;
+    }
+    try {
+      row.ttlIndex = await syncTtlIndex(store, policy.ttlDays);
+      if (policy.redactAfterDays && store.redact) {
+        row.redacted = await redactCollection(store, new Date(now - policy.redactAfterDays * DAY_MS), now);
+      }
+    } catch (err) {
+      console.error(`[data-retention] ${key} failed:`, err.message);
+      row.error = err.message;
+    }
+    stores[key] = row;
+  }
+
+  for (const [key, store] of Object.entries(FILE_STORES)) {
+    const policy = CFG.getStorePolicy(key);
+    const row = { ...policy, file: path.relative(path.join(__dirname, ".."), store.file) };
+    if (policy.ttlDays || policy.redactAfterDays) {
+      try {
+        const counts = await rewriteJsonl(
+          store.file,
+          retentionTransform(
+            store.timeField,
+            policy.ttlDays ? new Date(now - policy.ttlDays * DAY_MS) : null,
+            policy.redactAfterDays ? new Date(now - policy.redactAfterDays * DAY_MS) : null
+          )
+        );
+        if (counts) Object.assign(row, { dropped: counts.dropped, redacted: counts.changed, lines: counts.lines });
+        else row.missing = true;
+      } catch (err) {
+        console.error(`[data-retention] ${key} failed:`, err.message);
+        row.error = err.message;
+      }
+    }
+    stores[key] = row;
+  }
+
+  lastRun = { trigger, at: now.toISOString(), durationMs: Date.now() - startedAt, stores };
+  const touched = Object.entries(stores)
+    .filter(([, r]) => r.redacted || r.dropped || r.error)
+    .map(([k, r]) => `${k}: ${r.error ? "error" : `${r.redacted || 0} redacted, ${r.dropped || 0} dropped`}`);
+  console.log(`[data-retention] ${trigger} run done${touched.length ? ` — ${touched.join("; ")}` : ""}`);
+  return lastRun;
+}
+
+function getRetentionStatus() {
+  return { enabled: CFG.ENABLED, intervalMs: CFG.INTERVAL_MS, policies: policies(), lastRun };
+}
+
+/**
+ * Erase every record tied to a phone number and/or email (consumer deletion request).
+ * @param {{ phone?: string, email?: string, reference?: string, dryRun?: boolean }} input
+ * @param {{ email?: string }} [actor]
+ */
+async function eraseSubject(input = {}, actor = null) {
+  const subject = buildSubject(input);
+  if (!subject.digits && !subject.emails.length) {
+    return { ok: false, status: 400, error: "phone (10+ digits) or email is required" };
+  }
+  if (mongoose.connection.readyState !== 1) return { ok: false, status: 503, error: "MongoDB not connected" };
+  const dryRun = input.dryRun === true || String(input.dryRun).toLowerCase() === "true";
+
+  const results = {};
+  const failures = [];
+  for (const [key, store] of Object.entries(COLLECTION_STORES)) {
+    const or = store.erasureFilter(subject);
+    if (!or.length) continue;
+    try {
+      results[key] = dryRun
+        ? await store.model.countDocuments({ $or: or })
+        : (await store.model.deleteMany({ $or: or })).deletedCount || 0;
+    } catch (err) {
+      console.error(`[privacy-erasure] ${key} failed:`, err.message);
+      failures.push(key);
+    }
+  }
+  for (const [key, store] of Object.entries(FILE_STORES)) {
+    try {
+      const counts = await rewriteJsonl(
+        store.file,
+        (line) => {
+          try {
+            return entryMatchesSubject(JSON.parse(line), subject) ? null : line;
+          } catch {
+            return line;
+          }
+        },
+        { dryRun }
+      );
+      if (counts) results[key] = counts.dropped;
+    } catch (err) {
+      console.error(`[privacy-erasure] ${key} failed:`, err.message);
+      failures.push(key);
+    }
+  }
+
+  const record = await PrivacyErasure.create({
+    phoneHash: subject.phoneHash,
+    emailHash: subject.emailHash,
+    reference: input.reference ? String(input.reference).trim().slice(0, 200) : null,
+    requestedBy: actor?.email || null,
+    dryRun,
+    results,
+    failures,
+    completedAt: new Date(),
+  });
+  console.log(
+    `[privacy-erasure] ${dryRun ? "dry-run " : ""}request ${record._id} by ${actor?.email || "?"}: ${JSON.stringify(results)}`
+  );
+  return {
+    ok: failures.length === 0,
+    status: failures.length ? 500 : 200,
+    id: record._id.toString(),
+    dryRun,
+    results,
+    failures,
+  };
+}
+
+async function listErasures(query = {}) {
+  const page = Math.max(1, parseInt(query.page, 10) || 1);
+  const limit = Math.min(200, Math.max(1, parseInt(query.limit, 10) || 50));
+  const [docs, total] = await Promise.all([
+    PrivacyErasure.find({})
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    PrivacyErasure.countDocuments({}),
+  ]);
+  return {
+    ok: true,
+    erasures: docs.map(({ _id, __v, ...doc }) => ({ id: _id.toString(), ...doc })),
+    pagination: { page, limit, total, pages: Math.ceil(total / limit) },
+  };
+}
+
+module.exports = {
+  COLLECTION_STORES,
+  FILE_STORES,
+  redactValue,
+  buildSubject,
+  entryMatchesSubject,
+  rewriteJsonl,
+  retentionTransform,
+  runRetention,
+  getRetentionStatus,
+  eraseSubject,
+  listErasures,
+};
@@ -0,0 +1,48 @@
+/**
+ * I/O used by services/domainHealthService.js besides the Cloudflare / RedTrack services: HTTP probes of live
+ * routes and the nginx fragment on disk. Kept separate so tests can replace them.
+ */
+const fs = require("fs");
+const path = require("path");
+const axios = require("axios");
+const CFG = require("../config/domainHealth");
+const CLOUDFLARE_CONFIG = require("../config/cloudflare");
+
+/**
+ * GET a URL without following redirects.
+ * @returns {Promise<{ httpStatus: number|null, ms: number, error?: string }>}
+ */
+async function probeUrl(url) {
+  const started = Date.now();
+  try {
+    const response = await axios.get(url, {
+      timeout: CFG.HTTP_TIMEOUT_MS,
+      maxRedirects: 0,
+      validateStatus: () => true,
+      headers: { "User-Agent": "domain-health-check" },
+    });
+    return { httpStatus: response.status, ms: Date.now() - started };
+  } catch (error) {
+    return { httpStatus: null, ms: Date.now() - started, error: error.code || error.message };
+  }
+}
+
+/** Fragments are only on this disk when nginx runs here (same rule as generateNginxConfig). */
+function nginxIsLocal() {
+  const internalUrl = (CLOUDFLARE_CONFIG.INTERNAL_SERVER_URL || "").trim();
+  return !internalUrl || internalUrl.includes("localhost") || internalUrl.includes("127.0.0.1") || internalUrl.includes("::1");
+}
+
+/**
+ * @returns {{ local: boolean, content: string|null }} content null when the file is missing
+ */
+function readNginxFragment(domain) {
+  if (!nginxIsLocal()) return { local: false, content: null };
+  const file = path.join(CFG.NGINX_DIR, `${domain}.conf`);
+  return { local: true, content: fs.existsSync(file) ? fs.readFileSync(file, "utf8") : null };
+}
+
+module.exports = {
+  probeUrl,
+  readNginxFragment,
+};
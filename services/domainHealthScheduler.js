@@ -0,0 +1,46 @@
+const CFG = require("../config/domainHealth");
+const { runHealthRound } = require("./domainHealthService");
+
+let schedulerTimer = null;
+let runInProgress = false;
+
+async function runScheduledHealthCheck(trigger = "scheduler") {
+  if (runInProgress) {
+    console.log("Domain health check already in progress, skipping");
+    return null;
+  }
+
+  runInProgress = true;
+  try {
+    return await runHealthRound({ trigger });
+  } catch (error) {
+    console.error("Domain health check failed:", error.message);
+    throw error;
+  } finally {
+    runInProgress = false;
+  }
+}
+
+function startDomainHealthScheduler() {
+  if (schedulerTimer) return;
+  if (!CFG.ENABLED) {
+    console.log("Domain health scheduler disabled (DOMAIN_HEALTH_ENABLED=false)");
+    return;
+  }
+
+  // Run once on startup, then every INTERVAL_MS
+  runScheduledHealthCheck("startup").catch(() => {});
+
+  schedulerTimer = setInterval(() => {
+    runScheduledHealthCheck("interval").catch(() => {});
+  }, CFG.INTERVAL_MS);
+
+  console.log(
+    `✅ Domain health scheduler started (every ${Math.round(CFG.INTERVAL_MS / 60000)} min + startup run)`
+  );
+}
+
+module.exports = {
+  startDomainHealthScheduler,
+  runScheduledHealthCheck,
+};
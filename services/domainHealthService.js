@@ -0,0 +1,416 @@
+/**
+ * Domain health / drift detection. The Domain document is the expected state; each CHECK compares it with
+ * reality (Cloudflare zone, A records, trk CNAME, SSL mode, RedTrack, the nginx fragment, live routes) and the
+ * result is stored per domain in domainHealth. repairDomain() re-applies the expected state for repairable drift
+ * with the same calls provisioning uses, then checks again.
+ *
+ * Cloudflare / RedTrack go through their service modules and HTTP / disk through services/domainHealthProbes.js,
+ * so tests replace those functions.
+ */
+const mongoose = require("mongoose");
+const Domain = require("../models/domainModel");
+const DomainHealth = require("../models/domainHealthModel");
+const CFG = require("../config/domainHealth");
+const CLOUDFLARE_CONFIG = require("../config/cloudflare");
+const cloudflareService = require("./cloudflareService");
+const cloudflareProxy = require("./cloudflareProxyEnable");
+const redtrackService = require("./redtrackService");
+const dynamicRoutes = require("./dynamicRoutes");
+const domainHealthProbes = require("./domainHealthProbes");
+const auditLogService = require("./auditLogService");
+const slackService = require("./slackService");
+const domainOwnershipService = require("./domainOwnershipService");
+const domainProvisioningService = require("./domainProvisioningService");
+
+function isHealthAvailable() {
+  return mongoose.connection.readyState === 1;
+}
+
+function redtrackEnabled() {
+  return Boolean(redtrackService.getRedTrackDedicatedDomain());
+}
+
+function expectedIp(doc) {
+  return doc.aRecordIP || CLOUDFLARE_CONFIG.SERVER_IP;
+}
+
+function withoutTrailingDot(value) {
+  return String(value || "").replace(/\.$/, "").toLowerCase();
+}
+
+async function zoneRecords(ctx) {
+  if (!ctx.records) ctx.records = await cloudflareService.listDNSRecords(ctx.zone.id);
+  return ctx.records;
+}
+
+function aRecordNames(domain) {
+  return [domain, `*.${domain}`];
+}
+
+/** trk CNAME is proxied once RedTrack has verified it (provisioning step trkCnameProxy). */
+function expectedTrk(doc) {
+  return {
+    type: "CNAME",
+    content: redtrackService.getRedTrackDedicatedDomain(),
+    proxied: Boolean(doc.redtrackDomainId),
+  };
+}
+
+/**
+ * Checks in run order. run(ctx) returns { status, message?, expected?, actual?, repairable? }; repair(ctx)
+ * re-applies the expected state and returns what it did. ctx = { doc, zone, records }.
+ */
+const CHECKS = [
+  {
+    name: "zone",
+    async run(ctx) {
+      const { doc } = ctx;
+      ctx.zone = await cloudflareService.findZone(doc.domain);
+      const expected = { id: doc.cloudflareZoneId || null, status: "active" };
+      if (!ctx.zone) return { status: "drift", message: "Zone not found in Cloudflare", expected };
+      const actual = { id: ctx.zone.id, status: ctx.zone.status, nameServers: ctx.zone.name_servers || [] };
+      if (ctx.zone.status !== "active") {
+        return { status: "drift", message: `Zone is ${ctx.zone.status} — check nameservers at the registrar`, expected, actual };
+      }
+      if (doc.cloudflareZoneId !== ctx.zone.id) {
+        return { status: "drift", message: "Domain record has a different zone id", expected, actual, repairable: true };
+      }
+      return { status: "ok", expected, actual };
+    },
+    async repair(ctx) {
+      ctx.doc.cloudflareZoneId = ctx.zone.id;
+      await ctx.doc.save();
+      return `cloudflareZoneId set to ${ctx.zone.id}`;
+    },
+  },
+  {
+    name: "aRecords",
+    async run(ctx) {
+      if (!ctx.zone) return { status: "skipped", message: "no zone" };
+      const { doc } = ctx;
+      const expected = { content: expectedIp(doc), proxied: doc.proxyStatus === "enabled" };
+      const records = await zoneRecords(ctx);
+      const actual = aRecordNames(doc.domain).map((name) => {
+        const record = records.find((r) => r.type === "A" && r.name === name);
+        return record ? { name, content: record.content, proxied: record.proxied } : { name, missing: true };
+      });
+      const problems = actual
+        .filter((r) => r.missing || r.content !== expected.content || r.proxied !== expected.proxied)
+        .map((r) => (r.missing ? `${r.name} missing` : `${r.name} → ${r.content} (proxied: ${r.proxied})`));
+      if (problems.length) return { status: "drift", message: problems.join("; "), expected, actual, repairable: true };
+      return { status: "ok", expected, actual };
+    },
+    async repair(ctx) {
+      const { doc, zone } = ctx;
+      const ip = expectedIp(doc);
+      const proxied = doc.proxyStatus === "enabled";
+      // Creates only the missing records (DNS only); content / proxy are patched below.
+      const { createdRecordIds } = await cloudflareService.setARecord(zone.id, doc.domain, ip);
+      const records = await cloudflareService.listDNSRecords(zone.id, { type: "A" });
+      let updated = 0;
+      for (const name of aRecordNames(doc.domain)) {
+        const record = records.find((r) => r.name === name);
+        if (record && (record.content !== ip || record.proxied !== proxied)) {
+          await cloudflareService.updateDNSRecord(zone.id, record.id, { content: ip, proxied });
+          updated++;
+        }
+      }
+      return `${createdRecordIds.length} created, ${updated} updated`;
+    },
+  },
+  {
+    name: "trkCname",
+    async run(ctx) {
+      if (!redtrackEnabled()) return { status: "skipped", message: "RedTrack not configured" };
+      if (!ctx.zone) return { status: "skipped", message: "no zone" };
+      const trk = `trk.${ctx.doc.domain}`;
+      const expected = expectedTrk(ctx.doc);
+      const record = (await zoneRecords(ctx)).find((r) => r.name === trk);
+      if (!record) return { status: "drift", message: `${trk} missing`, expected, repairable: true };
+      const actual = { type: record.type, content: record.content, proxied: record.proxied };
+      if (record.type !== "CNAME") {
+        return { status: "drift", message: `${trk} is a ${record.type} record — remove it manually`, expected, actual };
+      }
+      const problems = [];
+      if (withoutTrailingDot(record.content) !== withoutTrailingDot(expected.content)) problems.push(`points to ${record.content}`);
+      if (record.proxied !== expected.proxied) problems.push(`proxied: ${record.proxied}`);
+      if (problems.length) return { status: "drift", message: `${trk} ${problems.join(", ")}`, expected, actual, repairable: true };
+      return { status: "ok", expected, actual };
+    },
+    async repair(ctx) {
+      const { doc, zone } = ctx;
+      const trk = `trk.${doc.domain}`;
+      const expected = expectedTrk(doc);
+      let record = (await cloudflareService.listDNSRecords(zone.id, { name: trk })).find((r) => r.name === trk);
+      if (!record) {
+        await cloudflareService.createRedTrackCNAME(zone.id, doc.domain, expected.content);
+        record = (await cloudflareService.listDNSRecords(zone.id, { name: trk })).find((r) => r.name === trk);
+      }
+      if (!record) throw new Error(`${trk} still missing after create`);
+      const changes = {};
+      if (withoutTrailingDot(record.content) !== withoutTrailingDot(expected.content)) changes.content = expected.content;
+      if (record.proxied !== expected.proxied) changes.proxied = expected.proxied;
+      if (Object.keys(changes).length) await cloudflareService.updateDNSRecord(zone.id, record.id, changes);
+      return `${trk} → ${expected.content} (proxied: ${expected.proxied})`;
+    },
+  },
+  {
+    name: "sslMode",
+    async run(ctx) {
+      if (!ctx.zone) return { status: "skipped", message: "no zone" };
+      const expected = CLOUDFLARE_CONFIG.SSL_MODE;
+      const actual = await cloudflareService.getSSLMode(ctx.zone.id);
+      if (actual !== expected) return { status: "drift", message: `SSL mode is ${actual}`, expected, actual, repairable: true };
+      return { status: "ok", expected, actual };
+    },
+    async repair(ctx) {
+      const result = await cloudflareService.setSSLMode(ctx.zone.id, CLOUDFLARE_CONFIG.SSL_MODE);
+      if (result?.skipped) throw new Error(`SSL mode not set: ${result.reason}`);
+      return `SSL mode set to ${CLOUDFLARE_CONFIG.SSL_MODE}`;
+    },
+  },
+  {
+    name: "redtrack",
+    async run(ctx) {
+      if (!redtrackEnabled()) return { status: "skipped", message: "RedTrack not configured" };
+      const { doc } = ctx;
+      const expected = { domainId: doc.redtrackDomainId || null, status: "active" };
+      if (!doc.redtrackDomainId) {
+        return { status: "drift", message: "Not registered with RedTrack", expected, repairable: true };
+      }
+      const actual = await redtrackService.checkDomainStatus(doc.redtrackDomainId);
+      if (actual.status !== "active" && !actual.verified) {
+        return { status: "drift", message: `RedTrack domain is ${actual.status} (not verified)`, expected, actual };
+      }
+      return { status: "ok", expected, actual };
+    },
+    /** Same sequence as provisioning: trk DNS only while RedTrack verifies, then proxied again. */
+    async repair(ctx) {
+      const { doc } = ctx;
+      await cloudflareProxy.disableProxyForTrkCNAME(doc.domain);
+      const result = await redtrackService.addRedTrackDomain(doc.domain);
+      if (result.status === "skipped") throw new Error(result.reason || "skipped by RedTrack — register manually");
+      doc.redtrackDomainId = result.domainId || null;
+      doc.redtrackTrackingDomain = result.trackingDomain || null;
+      await doc.save();
+      await cloudflareProxy.enableProxyForTrkCNAME(doc.domain);
+      return `registered as ${result.domainId}`;
+    },
+  },
+  {
+    name: "nginx",
+    async run(ctx) {
+      const { doc } = ctx;
+      const { local, content } = domainHealthProbes.readNginxFragment(doc.domain);
+      if (!local) return { status: "skipped", message: "nginx runs on the lander server" };
+      if (content === null) return { status: "drift", message: "Config fragment missing", repairable: true };
+      const missingRoutes = (doc.routes || []).map((r) => r.route).filter((route) => !content.includes(`location = /${route} {`));
+      if (content.trim() !== dynamicRoutes.buildDomainFragment(doc).trim()) {
+        const message = missingRoutes.length
+          ? `Config fragment lacks route(s): ${missingRoutes.join(", ")}`
+          : "Config fragment differs from the generated config";
+        return { status: "drift", message, actual: { missingRoutes }, repairable: true };
+      }
+      return { status: "ok" };
+    },
+    async repair(ctx) {
+      const result = await dynamicRoutes.generateNginxConfig(ctx.doc);
+      if (result?.warning) throw new Error(result.warning);
+      return "config regenerated";
+    },
+  },
+  {
+    name: "routes",
+    async run(ctx) {
+      const { doc } = ctx;
+      if (!doc.routes?.length) return { status: "skipped", message: "no routes" };
+      const actual = [];
+      for (const { route } of doc.routes) {
+        actual.push({ route, ...(await domainHealthProbes.probeUrl(`https://${doc.domain}/${route}/`)) });
+      }
+      const failing = actual.filter((r) => !r.httpStatus || r.httpStatus >= 400);
+      if (failing.length) {
+        const list = failing.map((r) => `/${r.route} (${r.httpStatus || r.error})`).join(", ");
+        return { status: "drift", message: `${failing.length}/${actual.length} route(s) failing: ${list}`, expected: "HTTP < 400", actual };
+      }
+      return { status: "ok", expected: "HTTP < 400", actual };
+    },
+  },
+];
+
+async function runChecks(ctx) {
+  const results = [];
+  for (const check of CHECKS) {
+    try {
+      results.push({ name: check.name, repairable: false, ...(await check.run(ctx)) });
+    } catch (err) {
+      results.push({ name: check.name, status: "error", message: err.message, repairable: false });
+    }
+  }
+  return results;
+}
+
+function overallStatus(checks) {
+  if (checks.some((c) => c.status === "drift")) return "drift";
+  if (checks.some((c) => c.status === "error")) return "error";
+  return "healthy";
+}
+
+function toPublicHealth(doc) {
+  if (!doc) return null;
+  const { _id, __v, ...rest } = typeof doc.toObject === "function" ? doc.toObject() : doc;
+  return rest;
+}
+
+/**
+ * Check one domain and store the result.
+ * @param {Object} domainDoc - Domain document (or lean object)
+ * @returns {Promise<{ health: Object, newlyDrifted: boolean }>}
+ */
+async function checkDomain(domainDoc) {
+  const checks = await runChecks({ doc: domainDoc });
+  return saveHealth(domainDoc, checks);
+}
+
+async function saveHealth(domainDoc, checks, extra = {}) {
+  const status = overallStatus(checks);
+  const previous = await DomainHealth.findOne({ domain: domainDoc.domain }).select("status driftSince").lean();
+  const now = new Date();
+  const health = await DomainHealth.findOneAndUpdate(
+    { domain: domainDoc.domain },
+    {
+      $set: {
+        assignedTo: domainDoc.assignedTo || null,
+        status,
+        checks,
+        driftCount: checks.filter((c) => c.status === "drift").length,
+        checkedAt: now,
+        driftSince: status === "drift" ? (previous?.status === "drift" && previous.driftSince) || now : null,
+        ...extra,
+      },
+    },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  ).lean();
+  return { health: toPublicHealth(health), newlyDrifted: status === "drift" && previous?.status !== "drift" };
+}
+
+/**
+ * Re-apply the expected state for every repairable drift, then check again.
+ * @param {Object} domainDoc - Domain mongoose document (repairs may save it)
+ * @param {import("express").Request} req - actor for the audit entry
+ */
+async function repairDomain(domainDoc, req) {
+  if (!isHealthAvailable()) return { ok: false, status: 503, error: "MongoDB not connected" };
+  const ctx = { doc: domainDoc };
+  const before = await runChecks(ctx);
+  const actions = [];
+  for (const result of before) {
+    if (result.status !== "drift" || !result.repairable) continue;
+    const check = CHECKS.find((c) => c.name === result.name);
+    try {
+      actions.push({ check: check.name, ok: true, message: await check.repair(ctx) });
+    } catch (err) {
+      actions.push({ check: check.name, ok: false, message: err.message });
+    }
+  }
+  const after = await runChecks({ doc: domainDoc });
+  const { health } = await saveHealth(domainDoc, after, {
+    lastRepair: { at: new Date(), by: req?.user?.email || null, actions },
+  });
+  if (actions.length) {
+    await auditLogService.recordAudit(req, {
+      action: "domain.repair",
+      targetType: "domain",
+      domain: domainDoc.domain,
+      meta: { actions, driftBefore: before.filter((c) => c.status === "drift").map((c) => c.name) },
+    });
+  }
+  return { ok: true, actions, health };
+}
+
+/** GET /api/v1/domain/:domain/health */
+async function getHealth(domain) {
+  if (!isHealthAvailable()) return { ok: false, status: 503, error: "MongoDB not connected" };
+  const health = await DomainHealth.findOne({ domain }).lean();
+  if (!health) return { ok: false, status: 404, error: "No health check yet — POST .../health/check runs one." };
+  return { ok: true, health: toPublicHealth(health) };
+}
+
+/** GET /api/v1/domain-health?status=drift&page=&limit= — media buyers only see domains they can access. */
+async function listHealth(query = {}, user = null) {
+  if (!isHealthAvailable()) return { ok: false, status: 503, error: "MongoDB not connected" };
+  const filter = {};
+  if (query.status) {
+    const allowed = DomainHealth.schema.path("status").enumValues;
+    if (!allowed.includes(query.status)) return { ok: false, status: 400, error: `status must be one of: ${allowed.join(", ")}` };
+    filter.status = query.status;
+  }
+  if (user?.role === "mediaBuyer") {
+    filter.domain = { $in: await Domain.distinct("domain", domainOwnershipService.accessFilter(user)) };
+  }
+  const page = Math.max(1, parseInt(query.page, 10) || 1);
+  const limit = Math.min(200, Math.max(1, parseInt(query.limit, 10) || 50));
+  const [docs, total] = await Promise.all([
+    DomainHealth.find(filter).sort({ driftCount: -1, checkedAt: -1 }).skip((page - 1) * limit).limit(limit).lean(),
+    DomainHealth.countDocuments(filter),
+  ]);
+  return {
+    ok: true,
+    domains: docs.map((doc) => ({
+      domain: doc.domain,
+      status: doc.status,
+      driftCount: doc.driftCount,
+      checkedAt: doc.checkedAt,
+      driftSince: doc.driftSince,
+      problems: doc.checks
+        .filter((c) => c.status === "drift" || c.status === "error")
+        .map((c) => ({ name: c.name, status: c.status, message: c.message, repairable: c.repairable })),
+    })),
+    pagination: { page, limit, total, pages: Math.ceil(total / limit) },
+  };
+}
+
+/** Check every active domain, drop health of domains no longer active, alert Slack on new drift. */
+async function runHealthRound({ trigger = "manual" } = {}) {
+  if (!isHealthAvailable()) return null;
+  const allDomains = await Domain.find({ status: { $ne: "archived" } }).lean();
+  // Domains still being provisioned do not match their Domain document yet — that is not drift.
+  const openJobs = await domainProvisioningService.findOpenJobs(allDomains.map((d) => d.domain));
+  const domains = allDomains.filter((d) => !openJobs.has(d.domain));
+  const summary = { trigger, checked: 0, healthy: 0, drift: 0, error: 0, provisioning: openJobs.size, newlyDrifted: [] };
+  let next = 0;
+  const lanes = Array.from({ length: Math.min(CFG.CONCURRENCY, domains.length) }, async () => {
+    while (next < domains.length) {
+      const domainDoc = domains[next++];
+      try {
+        const { health, newlyDrifted } = await checkDomain(domainDoc);
+        summary.checked++;
+        summary[health.status]++;
+        if (newlyDrifted) summary.newlyDrifted.push({ domain: health.domain, checks: health.checks.filter((c) => c.status === "drift") });
+      } catch (err) {
+        console.error(`[domain-health] ${domainDoc.domain} check failed:`, err.message);
+      }
+    }
+  });
+  await Promise.all(lanes);
+  await DomainHealth.deleteMany({ domain: { $nin: allDomains.map((d) => d.domain) } });
+
+  if (summary.newlyDrifted.length && CFG.SLACK_ALERTS) {
+    const lines = summary.newlyDrifted.map(
+      ({ domain, checks }) => `• ${domain}: ${checks.map((c) => `${c.name} — ${c.message}`).join("; ")}`
+    );
+    await slackService.sendSlackMessage(`⚠️ Domain drift detected on ${lines.length} domain(s):\n${lines.join("\n")}`);
+  }
+  console.log(
+    `[domain-health] ${trigger}: ${summary.checked} checked, ${summary.drift} drift, ${summary.error} error, ${summary.newlyDrifted.length} new, ${summary.provisioning} provisioning`
+  );
+  return { ...summary, newlyDrifted: summary.newlyDrifted.map((d) => d.domain) };
+}
+
+module.exports = {
+  checkDomain,
+  repairDomain,
+  getHealth,
+  listHealth,
+  runHealthRound,
+};
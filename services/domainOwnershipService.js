@@ -0,0 +1,321 @@
+/**
+ * Domain ownership: an owner (Domain.ownerId, mirrored to the assignedTo email older code reads), optional
+ * co-owners and an optional team. Media buyers may work on domains they own, co-own or share a team with.
+ *
+ * A transfer moves the owner, moves route createdBy from the previous owner to the new one and records the
+ * change in domainOwnershipTransfers plus the audit log. Unless reattributeStats is set, moved routes keep
+ * counting for the previous owner in creator stats (route.creditedTo).
+ */
+const mongoose = require("mongoose");
+const Domain = require("../models/domainModel");
+const User = require("../models/userModel");
+const DomainOwnershipTransfer = require("../models/domainOwnershipTransferModel");
+const auditLogService = require("./auditLogService");
+const routeVersionService = require("./routeVersionService");
+
+/** credited = creditedTo, falling back to createdBy (default); createdBy = whoever the route shows today */
+const ATTRIBUTIONS = ["credited", "createdBy"];
+
+function isOwnershipAvailable() {
+  return mongoose.connection.readyState === 1;
+}
+
+function idOf(value) {
+  return value ? String(value) : null;
+}
+
+function normalizeTeam(team) {
+  if (team === null || team === undefined) return null;
+  const value = String(team).trim().toLowerCase();
+  return value || null;
+}
+
+function canAccessDomain(user, domainDoc) {
+  if (user?.role !== "mediaBuyer") return true;
+  if (!domainDoc) return false;
+  if (idOf(domainDoc.ownerId) === user.userId || domainDoc.assignedTo === user.email) return true;
+  if ((domainDoc.coOwnerIds || []).some((id) => idOf(id) === user.userId)) return true;
+  return Boolean(domainDoc.team) && (user.teams || []).includes(domainDoc.team);
+}
+
+/** Domain filter matching canAccessDomain() ({} for roles that see every domain). */
+function accessFilter(user) {
+  if (user?.role !== "mediaBuyer") return {};
+  const or = [{ assignedTo: user.email }];
+  if (mongoose.Types.ObjectId.isValid(user.userId)) or.push({ ownerId: user.userId }, { coOwnerIds: user.userId });
+  if (user.teams?.length) or.push({ team: { $in: user.teams } });
+  return { $or: or };
+}
+
+function userFilter(ref) {
+  const value = typeof ref === "string" ? ref.trim() : idOf(ref);
+  if (!value) return null;
+  if (value.includes("@")) return { email: value.toLowerCase() };
+  return mongoose.Types.ObjectId.isValid(value) ? { _id: value } : null;
+}
+
+/** Active users for user ids / emails: Map ref → user (unknown or inactive refs are missing). */
+async function resolveOwners(refs) {
+  const found = new Map();
+  const filters = [...new Set(refs)].map((ref) => [ref, userFilter(ref)]).filter(([, filter]) => filter);
+  if (!filters.length) return found;
+  const users = await User.find({ $or: filters.map(([, filter]) => filter), isActive: { $ne: false } })
+    .select("email role teams")
+    .lean();
+  for (const [ref, filter] of filters) {
+    const user = users.find((u) => (filter.email ? u.email === filter.email : String(u._id) === String(filter._id)));
+    if (user) found.set(ref, user);
+  }
+  return found;
+}
+
+/** Owner for a new assignment (user id or email) — 400 unless it is an active user. */
+async function resolveOwner(ref) {
+  const user = (await resolveOwners([ref])).get(ref);
+  if (!user) return { ok: false, status: 400, error: `No active user found for "${ref ?? ""}"` };
+  return { ok: true, user };
+}
+
+/**
+ * Route condition for creator stats / routes-by-creator.
+ * @param {string} prefix - "routes." after an $unwind, "" inside $elemMatch
+ */
+function creatorCondition(email, attribution = "credited", prefix = "") {
+  if (attribution === "createdBy") return { [`${prefix}createdBy`]: email };
+  return {
+    $or: [{ [`${prefix}creditedTo`]: email }, { [`${prefix}creditedTo`]: null, [`${prefix}createdBy`]: email }],
+  };
+}
+
+function isCreatedByForStats(route, email, attribution = "credited") {
+  if (attribution === "createdBy") return route.createdBy === email;
+  return (route.creditedTo || route.createdBy) === email;
+}
+
+/**
+ * Point the domain at a new owner (not saved). Routes created by the previous owner move to the new one.
+ * @returns the transfer record for recordTransfer()
+ */
+function applyTransfer(domainDoc, toUser, { reassignRoutes = true, reattributeStats = false, keepPreviousAsCoOwner = false } = {}) {
+  const from = { userId: idOf(domainDoc.ownerId), email: domainDoc.assignedTo || null };
+  const to = { userId: idOf(toUser._id), email: toUser.email };
+  const coOwnerIdsBefore = (domainDoc.coOwnerIds || []).map(idOf);
+  const coOwnerIdsAfter = coOwnerIdsBefore.filter((id) => id !== to.userId);
+  if (keepPreviousAsCoOwner && from.userId && from.userId !== to.userId && !coOwnerIdsAfter.includes(from.userId)) {
+    coOwnerIdsAfter.push(from.userId);
+  }
+
+  domainDoc.ownerId = to.userId;
+  domainDoc.assignedTo = to.email;
+  domainDoc.coOwnerIds = coOwnerIdsAfter;
+
+  const routesUpdated = [];
+  if (reassignRoutes && from.email && from.email !== to.email) {
+    for (const route of domainDoc.routes || []) {
+      if (route.createdBy !== from.email) continue;
+      if (reattributeStats) route.creditedTo = undefined;
+      else if (!route.creditedTo) route.creditedTo = from.email;
+      route.createdBy = to.email;
+      routesUpdated.push(route.route);
+    }
+  }
+  return {
+    domain: domainDoc.domain,
+    from,
+    to,
+    coOwnerIdsBefore,
+    coOwnerIdsAfter,
+    routesUpdated,
+    reattributeStats: Boolean(reattributeStats),
+  };
+}
+
+/** Append to the ownership history; like the audit log, a write error is logged and never fails the change. */
+async function recordTransfer(change, req, reason = null) {
+  if (!isOwnershipAvailable()) return null;
+  try {
+    return await DomainOwnershipTransfer.create({
+      ...change,
+      reason: typeof reason === "string" && reason.trim() ? reason.trim() : null,
+      transferredBy: {
+        userId: req?.user?.userId || null,
+        email: req?.user?.email || null,
+        role: req?.user?.role || null,
+      },
+    });
+  } catch (err) {
+    console.error("Ownership transfer record error:", err.message);
+    return null;
+  }
+}
+
+/** Route versions for routes whose createdBy / creditedTo changed (rollbacks keep these fields as they are). */
+async function recordRouteVersions(domainDoc, beforeSnapshot, routesUpdated, user) {
+  for (const route of domainDoc.routes || []) {
+    if (!routesUpdated.includes(route.route)) continue;
+    const previous = beforeSnapshot.routes.find((p) => p.route === route.route);
+    await routeVersionService.recordRouteVersion(domainDoc.domain, route, {
+      action: "update",
+      previous: routeVersionService.snapshotRoute(previous),
+      user,
+    });
+  }
+}
+
+async function transferToUser(domainDoc, toUser, options, req) {
+  if (idOf(domainDoc.ownerId) === idOf(toUser._id) && domainDoc.assignedTo === toUser.email) {
+    return { ok: false, status: 400, error: `${domainDoc.domain} is already owned by ${toUser.email}` };
+  }
+  const before = auditLogService.snapshotDomain(domainDoc);
+  const change = applyTransfer(domainDoc, toUser, options);
+  await domainDoc.save();
+  await recordTransfer(change, req, options.reason);
+  await auditLogService.recordAudit(req, {
+    action: "domain.transfer",
+    targetType: "domain",
+    domain: domainDoc.domain,
+    before,
+    after: auditLogService.snapshotDomain(domainDoc),
+    meta: { from: change.from, to: change.to, routesUpdated: change.routesUpdated, reason: options.reason || null },
+  });
+  await recordRouteVersions(domainDoc, before, change.routesUpdated, req?.user);
+  return { ok: true, transfer: change };
+}
+
+/**
+ * POST /api/v1/domain/:domain/transfer
+ * @param {{ to, reassignRoutes?, reattributeStats?, keepPreviousAsCoOwner?, reason? }} options - to: user id or email
+ */
+async function transferDomain(domainDoc, options, req) {
+  if (!isOwnershipAvailable()) return { ok: false, status: 503, error: "MongoDB not connected" };
+  const owner = await resolveOwner(options.to);
+  if (!owner.ok) return owner;
+  return transferToUser(domainDoc, owner.user, options, req);
+}
+
+/**
+ * POST /api/v1/domain-ownership/transfer — everything a user owns (archived domains too) goes to `to`, and their
+ * co-ownerships are handed over. `from` may be deactivated or only exist as an assignedTo email.
+ */
+async function transferUserDomains(options, req) {
+  if (!isOwnershipAvailable()) return { ok: false, status: 503, error: "MongoDB not connected" };
+  const filter = userFilter(options.from);
+  if (!filter) return { ok: false, status: 400, error: "from must be a user id or email" };
+  const fromUser = await User.findOne(filter).select("email").lean();
+  const fromEmail = fromUser?.email || filter.email;
+  if (!fromEmail) return { ok: false, status: 404, error: "User not found" };
+  const owner = await resolveOwner(options.to);
+  if (!owner.ok) return owner;
+  if (owner.user.email === fromEmail) return { ok: false, status: 400, error: "from and to are the same user" };
+
+  const ownedFilter = fromUser ? { $or: [{ ownerId: fromUser._id }, { assignedTo: fromEmail }] } : { assignedTo: fromEmail };
+  const owned = await Domain.find(ownedFilter);
+  const results = [];
+  for (const domainDoc of owned) {
+    const result = await transferToUser(domainDoc, owner.user, options, req);
+    results.push(
+      result.ok
+        ? { domain: domainDoc.domain, ok: true, routesUpdated: result.transfer.routesUpdated }
+        : { domain: domainDoc.domain, ok: false, error: result.error }
+    );
+  }
+
+  const coOwned = fromUser ? await Domain.find({ coOwnerIds: fromUser._id }) : [];
+  const toId = idOf(owner.user._id);
+  for (const domainDoc of coOwned) {
+    const ids = (domainDoc.coOwnerIds || []).map(idOf).filter((id) => id !== idOf(fromUser._id));
+    if (idOf(domainDoc.ownerId) !== toId && !ids.includes(toId)) ids.push(toId);
+    await saveOwners(domainDoc, ids, domainDoc.team || null, req, { coOwnerHandover: { from: fromEmail, to: owner.user.email } });
+  }
+
+  return {
+    ok: true,
+    from: { userId: idOf(fromUser?._id), email: fromEmail },
+    to: { userId: toId, email: owner.user.email },
+    transferred: results.filter((r) => r.ok).length,
+    failed: results.filter((r) => !r.ok).length,
+    coOwnershipsMoved: coOwned.map((d) => d.domain),
+    domains: results,
+  };
+}
+
+async function saveOwners(domainDoc, coOwnerIds, team, req, meta = null) {
+  const before = auditLogService.snapshotDomain(domainDoc);
+  domainDoc.coOwnerIds = coOwnerIds;
+  domainDoc.team = team || undefined;
+  await domainDoc.save();
+  await auditLogService.recordAudit(req, {
+    action: "domain.update",
+    targetType: "domain",
+    domain: domainDoc.domain,
+    before,
+    after: auditLogService.snapshotDomain(domainDoc),
+    meta,
+  });
+}
+
+/**
+ * PUT /api/v1/domain/:domain/owners — replace co-owners and / or the team.
+ * @param {{ coOwners?: string[], team?: string|null }} body - co-owners as user ids or emails
+ */
+async function updateOwners(domainDoc, body = {}, req) {
+  if (!isOwnershipAvailable()) return { ok: false, status: 503, error: "MongoDB not connected" };
+  const { coOwners, team } = body;
+  if (coOwners === undefined && team === undefined) return { ok: false, status: 400, error: "coOwners or team is required" };
+  if (coOwners !== undefined && !Array.isArray(coOwners)) return { ok: false, status: 400, error: "coOwners must be an array" };
+  if (team !== undefined && team !== null && typeof team !== "string") {
+    return { ok: false, status: 400, error: "team must be a string or null" };
+  }
+
+  let coOwnerIds = (domainDoc.coOwnerIds || []).map(idOf);
+  if (coOwners !== undefined) {
+    const users = await resolveOwners(coOwners);
+    const unknown = coOwners.filter((ref) => !users.has(ref));
+    if (unknown.length) return { ok: false, status: 400, error: `No active user found for: ${unknown.join(", ")}` };
+    const ownerId = idOf(domainDoc.ownerId);
+    coOwnerIds = [...new Set(coOwners.map((ref) => idOf(users.get(ref)._id)))].filter((id) => id !== ownerId);
+  }
+  await saveOwners(domainDoc, coOwnerIds, team === undefined ? domainDoc.team : normalizeTeam(team), req);
+  return getOwnership(domainDoc);
+}
+
+/** GET /api/v1/domain/:domain/ownership — owner, co-owners, team and the latest transfers. */
+async function getOwnership(domainDoc, { limit = 50 } = {}) {
+  if (!isOwnershipAvailable()) return { ok: false, status: 503, error: "MongoDB not connected" };
+  const ids = [domainDoc.ownerId, ...(domainDoc.coOwnerIds || [])].filter(Boolean);
+  const [users, transfers] = await Promise.all([
+    ids.length ? User.find({ _id: { $in: ids } }).select("email isActive").lean() : [],
+    DomainOwnershipTransfer.find({ domain: domainDoc.domain }).sort({ createdAt: -1 }).limit(limit).lean(),
+  ]);
+  const describe = (id, fallbackEmail = null) => {
+    const user = users.find((u) => String(u._id) === idOf(id));
+    return { userId: idOf(id), email: user?.email || fallbackEmail, active: user ? user.isActive !== false : null };
+  };
+  return {
+    ok: true,
+    ownership: {
+      domain: domainDoc.domain,
+      owner: describe(domainDoc.ownerId, domainDoc.assignedTo),
+      coOwners: (domainDoc.coOwnerIds || []).map((id) => describe(id)),
+      team: domainDoc.team || null,
+      transfers: transfers.map(({ _id, __v, ...transfer }) => ({ id: String(_id), ...transfer })),
+    },
+  };
+}
+
+module.exports = {
+  ATTRIBUTIONS,
+  normalizeTeam,
+  canAccessDomain,
+  accessFilter,
+  resolveOwners,
+  resolveOwner,
+  creatorCondition,
+  isCreatedByForStats,
+  applyTransfer,
+  recordTransfer,
+  transferDomain,
+  transferUserDomains,
+  updateOwners,
+  getOwnership,
+};
@@ -0,0 +1,491 @@
+/**
+ * Domain provisioning as a persisted job (domainProvisioningJobs). createDomain validates the request and calls
+ * startProvisioning(); services/domainProvisioningWorker.js claims due jobs and runs the STEPS in order.
+ *
+ * Every step is safe to run again: it either checks what earlier attempts left behind (context, existing DNS
+ * records, the Domain document it created) or is an idempotent Cloudflare call. A failed step is retried with
+ * backoff up to STEP_MAX_ATTEMPTS; a zone still waiting for nameservers parks the job as waiting_zone and is
+ * re-checked until Cloudflare reports it active. Cancelling undoes completed steps in reverse order.
+ */
+const os = require("os");
+const { EventEmitter } = require("events");
+const fs = require("fs");
+const { execSync } = require("child_process");
+const mongoose = require("mongoose");
+const DomainProvisioningJob = require("../models/domainProvisioningJobModel");
+const Domain = require("../models/domainModel");
+const CFG = require("../config/domainProvisioning");
+const CLOUDFLARE_CONFIG = require("../config/cloudflare");
+const cloudflareService = require("./cloudflareService");
+const cloudflareProxy = require("./cloudflareProxyEnable");
+const redtrackService = require("./redtrackService");
+const dynamicRoutes = require("./dynamicRoutes");
+const auditLogService = require("./auditLogService");
+const routeVersionService = require("./routeVersionService");
+
+const WORKER_ID = `${os.hostname()}:${process.pid}`;
+const ACTIVE_STATUSES = ["pending", "processing", "waiting_zone", "failed"];
+
+/** Emits "enqueued" so the worker starts a new job without waiting for the next poll. */
+const provisioningEvents = new EventEmitter();
+
+function isProvisioningAvailable() {
+  return mongoose.connection.readyState === 1;
+}
+
+/** Error that retrying cannot fix (the job fails right away). */
+function permanentError(message) {
+  const error = new Error(message);
+  error.permanent = true;
+  return error;
+}
+
+function redtrackEnabled() {
+  return Boolean(redtrackService.getRedTrackDedicatedDomain());
+}
+
+async function loadDomainDoc(job) {
+  const doc = job.context.domainId ? await Domain.findById(job.context.domainId) : null;
+  if (!doc) throw new Error(`Domain record for ${job.domain} is missing — retry the domainRecord step`);
+  return doc;
+}
+
+/**
+ * Steps in run order. run(job) returns { status: "done" | "skipped" | "waiting", result? } and records what it
+ * created on job.context; compensate(job) undoes it on cancel.
+ */
+const STEPS = [
+  {
+    name: "cloudflareZone",
+    async run(job) {
+      const zone = await cloudflareService.getOrCreateZone(job.domain);
+      job.context.cloudflareZoneId = zone.id;
+      job.context.zoneStatus = zone.status;
+      job.context.nameServers = zone.name_servers || [];
+      const result = { zoneId: zone.id, zoneStatus: zone.status, nameServers: zone.name_servers || [] };
+      return { status: zone.status === "active" ? "done" : "waiting", result };
+    },
+  },
+  {
+    name: "aRecords",
+    async run(job) {
+      const { createdRecordIds = [], existingRecordIds = [] } = await cloudflareService.setARecord(
+        job.context.cloudflareZoneId,
+        job.domain,
+        CLOUDFLARE_CONFIG.SERVER_IP
+      );
+      // A retry finds the records created by the first attempt as "existing"; keep both.
+      job.context.createdARecordIds = [...new Set([...job.context.createdARecordIds, ...createdRecordIds])];
+      if (!job.context.createdARecordIds.length) job.context.existingARecordCount = existingRecordIds.length;
+      return { status: "done", result: { created: createdRecordIds.length, existing: existingRecordIds.length } };
+    },
+    async compensate(job) {
+      // deleteDNSRecords removes every root / wildcard A record to our IP, so leave records we did not create.
+      if (!job.context.createdARecordIds.length || job.context.existingARecordCount) return "kept (records pre-existed)";
+      await cloudflareService.deleteDNSRecords(job.context.cloudflareZoneId, job.domain);
+      return "A records deleted";
+    },
+  },
+  {
+    name: "redtrackCname",
+    async run(job) {
+      if (!redtrackEnabled()) return { status: "skipped", result: "RedTrack not configured" };
+      await cloudflareService.createRedTrackCNAME(
+        job.context.cloudflareZoneId,
+        job.domain,
+        redtrackService.getRedTrackDedicatedDomain()
+      );
+      return { status: "done" };
+    },
+  },
+  {
+    name: "domainRecord",
+    async run(job) {
+      const existing = await Domain.findOne({ domain: job.domain });
+      if (existing) {
+        if (String(existing._id) === job.context.domainId) return { status: "done", result: { domainId: job.context.domainId } };
+        throw permanentError(`Domain ${job.domain} already exists in the database`);
+      }
+      const { routes = [], ...input } = job.toObject().input;
+      const doc = await Domain.create({
+        domain: job.domain,
+        ...input,
+        routes,
+        cloudflareZoneId: job.context.cloudflareZoneId,
+        aRecordIP: CLOUDFLARE_CONFIG.SERVER_IP || null,
+        sslStatus: "cf-universal",
+        proxyStatus: "disabled",
+      });
+      job.context.domainId = String(doc._id);
+      return { status: "done", result: { domainId: job.context.domainId } };
+    },
+    async compensate(job) {
+      if (!job.context.domainId) return "no record";
+      await Domain.findByIdAndDelete(job.context.domainId);
+      return "Domain record deleted";
+    },
+  },
+  {
+    name: "nginxConfig",
+    async run(job) {
+      const doc = await loadDomainDoc(job);
+      // As before: a missing fragment is reported, not fatal (regenerate later from the domain list).
+      try {
+        const nginxResult = await dynamicRoutes.generateNginxConfig(doc);
+        return { status: "done", result: nginxResult?.warning ? { warning: nginxResult.warning } : null };
+      } catch (err) {
+        console.warn(`⚠️  nginx fragment for ${job.domain} failed (continuing): ${err.message}`);
+        return { status: "done", result: { warning: err.message } };
+      }
+    },
+    async compensate(job) {
+      const configPath = `/etc/nginx/dynamic/${job.domain}.conf`;
+      if (!fs.existsSync(configPath)) return "no config file";
+      execSync(`sudo rm -f ${configPath}`, { stdio: "inherit" });
+      execSync("sudo nginx -t", { stdio: "inherit" });
+      execSync("sudo systemctl reload nginx", { stdio: "inherit" });
+      return "config deleted, nginx reloaded";
+    },
+  },
+  {
+    name: "sslMode",
+    async run(job) {
+      const sslModeResult = await cloudflareService.setSSLMode(job.context.cloudflareZoneId, CLOUDFLARE_CONFIG.SSL_MODE);
+      if (sslModeResult?.skipped) return { status: "skipped", result: sslModeResult.reason || "skipped" };
+      return { status: "done", result: { sslMode: CLOUDFLARE_CONFIG.SSL_MODE } };
+    },
+  },
+  {
+    name: "trkCnameDnsOnly",
+    async run(job) {
+      if (!redtrackEnabled()) return { status: "skipped", result: "RedTrack not configured" };
+      // RedTrack verifies the CNAME target, so it must not be proxied yet.
+      const disableResult = await cloudflareProxy.disableProxyForTrkCNAME(job.domain);
+      return { status: "done", result: disableResult.success ? null : { warning: disableResult.error } };
+    },
+  },
+  {
+    name: "proxyEnable",
+    async run(job) {
+      await cloudflareProxy.enableProxyForDomain(job.domain, job.context.createdARecordIds);
+      return { status: "done" };
+    },
+  },
+  {
+    name: "redtrackDomain",
+    async run(job) {
+      if (!redtrackEnabled()) return { status: "skipped", result: "RedTrack not configured" };
+      if (job.context.redtrackDomainId) return { status: "done", result: { domainId: job.context.redtrackDomainId } };
+      if (CFG.REDTRACK_DNS_WAIT_MS) await new Promise((resolve) => setTimeout(resolve, CFG.REDTRACK_DNS_WAIT_MS));
+      const redtrackResult = await redtrackService.addRedTrackDomain(job.domain);
+      if (redtrackResult.status === "skipped") {
+        return { status: "skipped", result: redtrackResult.reason || "skipped by RedTrack — register manually" };
+      }
+      job.context.redtrackDomainId = redtrackResult.domainId || null;
+      job.context.redtrackTrackingDomain = redtrackResult.trackingDomain || null;
+      return { status: "done", result: { domainId: redtrackResult.domainId, trackingDomain: redtrackResult.trackingDomain } };
+    },
+    async compensate(job) {
+      if (!job.context.redtrackDomainId) return "no RedTrack domain";
+      await redtrackService.deleteRedTrackDomain(job.context.redtrackDomainId);
+      return "RedTrack domain deleted";
+    },
+  },
+  {
+    name: "trkCnameProxy",
+    async run(job) {
+      if (!redtrackEnabled() || !job.context.redtrackDomainId) return { status: "skipped", result: "no RedTrack domain" };
+      const trkProxyResult = await cloudflareProxy.enableProxyForTrkCNAME(job.domain);
+      return { status: "done", result: trkProxyResult.success ? null : { warning: trkProxyResult.error } };
+    },
+  },
+  {
+    name: "finalize",
+    async run(job) {
+      const doc = await loadDomainDoc(job);
+      doc.sslStatus = "cf-universal";
+      doc.proxyStatus = "enabled";
+      doc.redtrackDomainId = job.context.redtrackDomainId;
+      doc.redtrackTrackingDomain = job.context.redtrackTrackingDomain;
+      await doc.save();
+      await auditLogService.recordAudit(
+        { user: job.requestedBy, headers: {}, ip: job.requestedIp },
+        { action: "domain.create", targetType: "domain", domain: doc.domain, after: auditLogService.snapshotDomain(doc) }
+      );
+      for (const route of doc.routes) {
+        await routeVersionService.recordRouteVersion(doc.domain, route, { action: "create", user: job.requestedBy });
+      }
+      return { status: "done" };
+    },
+  },
+];
+
+const STEP_NAMES = STEPS.map((s) => s.name);
+
+function retryDelayMs(attempts) {
+  return Math.min(CFG.RETRY_BASE_DELAY_MS * Math.pow(2, Math.max(0, attempts - 1)), CFG.RETRY_MAX_DELAY_MS);
+}
+
+function releaseLock(job) {
+  job.lockedAt = null;
+  job.lockedBy = null;
+}
+
+function toPublicJob(job) {
+  const doc = typeof job.toObject === "function" ? job.toObject() : job;
+  const { _id, __v, lockedBy, ...rest } = doc;
+  return { id: String(_id), ...rest };
+}
+
+/**
+ * Queue provisioning for a validated createDomain request. 409 while another job for the domain is still
+ * open (pending / running / waiting / failed) — retry or cancel that one instead.
+ * @param {{ domain, assignedTo, organization, id, platform, vertical, rtkID, certificationTags, routes? }} input
+ *   routes: validated Domain.routes entries created with the Domain record (bulk import)
+ * @param {import("express").Request} req - requester (req.user) and IP
+ */
+async function startProvisioning(input, req) {
+  if (!isProvisioningAvailable()) return { ok: false, status: 503, error: "MongoDB not connected" };
+  const { domain, ...fields } = input;
+  const open = await DomainProvisioningJob.findOne({ domain, status: { $in: ACTIVE_STATUSES } }).lean();
+  if (open) {
+    return {
+      ok: false,
+      status: 409,
+      error: `Provisioning for ${domain} is already ${open.status}`,
+      job: toPublicJob(open),
+    };
+  }
+  const job = await DomainProvisioningJob.create({
+    domain,
+    input: fields,
+    steps: STEP_NAMES.map((name) => ({ name })),
+    requestedBy: {
+      userId: req?.user?.userId || null,
+      email: req?.user?.email || null,
+      role: req?.user?.role || null,
+    },
+    requestedIp: auditLogService.clientIp(req),
+  });
+  provisioningEvents.emit("enqueued", String(job._id));
+  return { ok: true, status: 202, job: toPublicJob(job) };
+}
+
+/** Open jobs (pending / running / waiting / failed) for these domains: Map domain → status. */
+async function findOpenJobs(domains) {
+  if (!isProvisioningAvailable() || !domains.length) return new Map();
+  const jobs = await DomainProvisioningJob.find({ domain: { $in: domains }, status: { $in: ACTIVE_STATUSES } })
+    .select("domain status")
+    .lean();
+  return new Map(jobs.map((j) => [j.domain, j.status]));
+}
+
+/** Jobs left in `processing` by a restarted process go back to pending (their running step is retried). */
+async function releaseStaleLocks() {
+  const cutoff = new Date(Date.now() - CFG.STALE_LOCK_MS);
+  const res = await DomainProvisioningJob.updateMany(
+    { status: "processing", lockedAt: { $lt: cutoff } },
+    { $set: { status: "pending", lockedAt: null, lockedBy: null, nextAttemptAt: new Date() } }
+  );
+  if (res.modifiedCount) console.warn(`[domain-provisioning] released ${res.modifiedCount} stale job(s)`);
+  return res.modifiedCount || 0;
+}
+
+async function claimNextJob() {
+  return DomainProvisioningJob.findOneAndUpdate(
+    { status: { $in: ["pending", "waiting_zone"] }, nextAttemptAt: { $lte: new Date() } },
+    { $set: { status: "processing", lockedAt: new Date(), lockedBy: WORKER_ID } },
+    { sort: { nextAttemptAt: 1 }, new: true }
+  );
+}
+
+/** Undo completed steps in reverse order; failures are recorded per step and do not stop the others. */
+async function compensateJob(job) {
+  for (const step of [...STEPS].reverse()) {
+    const state = job.steps.find((s) => s.name === step.name);
+    if (!state || state.status !== "done" || !step.compensate) continue;
+    try {
+      state.result = { ...(state.result || {}), compensation: await step.compensate(job) };
+      state.status = "compensated";
+      state.error = null;
+    } catch (err) {
+      state.status = "compensation_failed";
+      state.error = err.message;
+      console.error(`❌ [domain-provisioning] ${job.domain} ${step.name} compensation failed: ${err.message}`);
+    }
+  }
+  job.status = "cancelled";
+  job.completedAt = new Date();
+  releaseLock(job);
+  await job.save();
+  console.log(`🛑 [domain-provisioning] ${job.domain} cancelled by ${job.cancelledBy || "unknown"}`);
+  return job;
+}
+
+/**
+ * Run a claimed job from its first unfinished step until it succeeds, waits, fails or is cancelled.
+ * Progress is saved after every step.
+ */
+async function runJob(job) {
+  for (const step of STEPS) {
+    const state = job.steps.find((s) => s.name === step.name);
+    if (state.status === "done" || state.status === "skipped") continue;
+    const cancel = await DomainProvisioningJob.findOne({ _id: job._id, cancelRequested: true }).select("cancelledBy").lean();
+    if (cancel) {
+      job.cancelRequested = true;
+      job.cancelledBy = cancel.cancelledBy;
+      return compensateJob(job);
+    }
+
+    state.status = "running";
+    state.attempts += 1;
+    state.startedAt = new Date();
+    await job.save();
+
+    let outcome;
+    try {
+      outcome = await step.run(job);
+    } catch (err) {
+      state.status = "failed";
+      state.error = err.message;
+      state.finishedAt = new Date();
+      releaseLock(job);
+      if (err.permanent || state.attempts >= CFG.STEP_MAX_ATTEMPTS) {
+        job.status = "failed";
+        job.error = `${step.name}: ${err.message}`;
+        console.error(`❌ [domain-provisioning] ${job.domain} failed at ${step.name}: ${err.message}`);
+      } else {
+        job.status = "pending";
+        job.nextAttemptAt = new Date(Date.now() + retryDelayMs(state.attempts));
+        console.warn(
+          `⚠️  [domain-provisioning] ${job.domain} ${step.name} attempt ${state.attempts}/${CFG.STEP_MAX_ATTEMPTS} failed: ${err.message}`
+        );
+      }
+      await job.save();
+      return job;
+    }
+
+    state.result = outcome.result ?? null;
+    state.finishedAt = new Date();
+    if (outcome.status === "waiting") {
+      // Waiting for nameservers is not a failed attempt.
+      state.status = "waiting";
+      state.attempts -= 1;
+      job.zoneWaitStartedAt = job.zoneWaitStartedAt || new Date();
+      releaseLock(job);
+      if (Date.now() - job.zoneWaitStartedAt.getTime() > CFG.ZONE_WAIT_MAX_HOURS * 60 * 60 * 1000) {
+        state.status = "failed";
+        state.error = `Zone still ${job.context.zoneStatus} after ${CFG.ZONE_WAIT_MAX_HOURS}h`;
+        job.status = "failed";
+        job.error = `${step.name}: ${state.error} — point registrar nameservers to Cloudflare and retry`;
+      } else {
+        job.status = "waiting_zone";
+        job.nextAttemptAt = new Date(Date.now() + CFG.ZONE_RECHECK_MS);
+      }
+      await job.save();
+      return job;
+    }
+    state.status = outcome.status;
+    state.error = null;
+    await job.save();
+    console.log(`✅ [domain-provisioning] ${job.domain} ${step.name} ${outcome.status}`);
+  }
+
+  job.status = "succeeded";
+  job.error = null;
+  job.completedAt = new Date();
+  releaseLock(job);
+  await job.save();
+  console.log(`✅ [domain-provisioning] ${job.domain} provisioned`);
+  return job;
+}
+
+async function findLatestJob(domain) {
+  return DomainProvisioningJob.findOne({ domain }).sort({ createdAt: -1 });
+}
+
+/** GET /api/v1/domain/:domain/provisioning — latest job for the domain. */
+async function getProvisioning(domain) {
+  if (!isProvisioningAvailable()) return { ok: false, status: 503, error: "MongoDB not connected" };
+  const job = await findLatestJob(domain);
+  if (!job) return { ok: false, status: 404, error: "No provisioning job for this domain." };
+  return { ok: true, job: toPublicJob(job) };
+}
+
+/** Resume a failed job: the failed step gets a fresh set of attempts, finished steps are kept. */
+async function retryProvisioning(domain) {
+  if (!isProvisioningAvailable()) return { ok: false, status: 503, error: "MongoDB not connected" };
+  const job = await findLatestJob(domain);
+  if (!job) return { ok: false, status: 404, error: "No provisioning job for this domain." };
+  if (job.status === "pending" || job.status === "waiting_zone") {
+    job.nextAttemptAt = new Date();
+    await job.save();
+    provisioningEvents.emit("enqueued", String(job._id));
+    return { ok: true, job: toPublicJob(job) };
+  }
+  if (job.status !== "failed") return { ok: false, status: 409, error: `Provisioning is ${job.status}; only failed jobs can be retried.` };
+  for (const state of job.steps) {
+    if (state.status === "failed" || state.status === "waiting") {
+      state.status = "pending";
+      state.attempts = 0;
+      state.error = null;
+    }
+  }
+  job.status = "pending";
+  job.error = null;
+  job.zoneWaitStartedAt = null;
+  job.nextAttemptAt = new Date();
+  await job.save();
+  provisioningEvents.emit("enqueued", String(job._id));
+  return { ok: true, job: toPublicJob(job) };
+}
+
+/**
+ * Cancel an unfinished job and undo what it created (DB record, nginx fragment, A records, RedTrack domain;
+ * the Cloudflare zone is kept). A job mid-step is flagged and compensated by the worker after that step.
+ */
+async function cancelProvisioning(domain, user) {
+  if (!isProvisioningAvailable()) return { ok: false, status: 503, error: "MongoDB not connected" };
+  const latest = await findLatestJob(domain);
+  if (!latest) return { ok: false, status: 404, error: "No provisioning job for this domain." };
+  if (!ACTIVE_STATUSES.includes(latest.status)) {
+    return {
+      ok: false,
+      status: 409,
+      error:
+        latest.status === "succeeded"
+          ? "Domain is already provisioned — archive it with DELETE /api/v1/domain/:domain."
+          : `Provisioning is already ${latest.status}.`,
+    };
+  }
+  const cancelledBy = user?.email || user?.userId || null;
+  const claimed = await DomainProvisioningJob.findOneAndUpdate(
+    { _id: latest._id, status: { $in: ["pending", "waiting_zone", "failed"] } },
+    { $set: { status: "processing", lockedAt: new Date(), lockedBy: WORKER_ID, cancelRequested: true, cancelledBy } },
+    { new: true }
+  );
+  if (!claimed) {
+    await DomainProvisioningJob.updateOne({ _id: latest._id }, { $set: { cancelRequested: true, cancelledBy } });
+    return {
+      ok: true,
+      status: 202,
+      message: "Cancellation requested; completed steps are undone once the running step finishes.",
+      job: toPublicJob(await DomainProvisioningJob.findById(latest._id)),
+    };
+  }
+  return { ok: true, status: 200, job: toPublicJob(await compensateJob(claimed)) };
+}
+
+module.exports = {
+  STEP_NAMES,
+  WORKER_ID,
+  provisioningEvents,
+  startProvisioning,
+  findOpenJobs,
+  releaseStaleLocks,
+  claimNextJob,
+  runJob,
+  getProvisioning,
+  retryProvisioning,
+  cancelProvisioning,
+};
@@ -0,0 +1,63 @@
+/**
+ * Domain provisioning worker — polls domainProvisioningJobs every DOMAIN_PROVISIONING_POLL_MS (and right
+ * after createDomain queues a job) and runs due jobs, at most DOMAIN_PROVISIONING_CONCURRENCY at a time so a bulk
+ * import stays inside the Cloudflare / RedTrack rate limits. Zones waiting for nameservers resume from here.
+ */
+const mongoose = require("mongoose");
+const CFG = require("../config/domainProvisioning");
+const domainProvisioningService = require("./domainProvisioningService");
+
+let pollTimer = null;
+let running = false;
+let rerunRequested = false;
+
+async function runProvisioningRound() {
+  if (running) {
+    rerunRequested = true;
+    return;
+  }
+  if (mongoose.connection.readyState !== 1) return;
+  running = true;
+  try {
+    await domainProvisioningService.releaseStaleLocks();
+    // Each lane claims atomically, so lanes never pick up the same job.
+    const lanes = Array.from({ length: CFG.CONCURRENCY }, async () => {
+      for (;;) {
+        const job = await domainProvisioningService.claimNextJob();
+        if (!job) break;
+        await domainProvisioningService.runJob(job);
+      }
+    });
+    await Promise.all(lanes);
+  } catch (err) {
+    console.error("[domain-provisioning] worker round failed:", err.message);
+  } finally {
+    running = false;
+    if (rerunRequested) {
+      rerunRequested = false;
+      setImmediate(() => runProvisioningRound());
+    }
+  }
+}
+
+function startDomainProvisioningWorker() {
+  if (!CFG.WORKER_ENABLED) {
+    console.log("Domain provisioning worker disabled");
+    return;
+  }
+  if (pollTimer) return;
+
+  domainProvisioningService.provisioningEvents.on("enqueued", () => {
+    runProvisioningRound();
+  });
+  pollTimer = setInterval(() => runProvisioningRound(), CFG.POLL_INTERVAL_MS);
+  runProvisioningRound();
+  console.log(
+    `✅ Domain provisioning worker started (poll ${CFG.POLL_INTERVAL_MS}ms, concurrency ${CFG.CONCURRENCY})`
+  );
+}
+
+module.exports = {
+  startDomainProvisioningWorker,
+  runProvisioningRound,
+};
@@ -0,0 +1,49 @@
+const CFG = require("../config/domainRegistrar");
+const { runRegistrarRound } = require("./domainRegistrarService");
+
+let schedulerTimer = null;
+let runInProgress = false;
+
+/** null while another sync is still running */
+async function runScheduledRegistrarSync(trigger = "scheduler") {
+  if (runInProgress) {
+    console.log("Domain registrar sync already in progress, skipping");
+    return null;
+  }
+
+  runInProgress = true;
+  try {
+    const result = await runRegistrarRound({ trigger });
+    if (!result.ok) console.warn(`Domain registrar sync skipped: ${result.error}`);
+    return result;
+  } catch (error) {
+    console.error("Domain registrar sync failed:", error.message);
+    throw error;
+  } finally {
+    runInProgress = false;
+  }
+}
+
+function startDomainRegistrarScheduler() {
+  if (schedulerTimer) return;
+  if (!CFG.ENABLED) {
+    console.log("Domain registrar scheduler disabled (DOMAIN_REGISTRAR_SYNC_ENABLED=false)");
+    return;
+  }
+
+  // Run once on startup, then every INTERVAL_MS
+  runScheduledRegistrarSync("startup").catch(() => {});
+
+  schedulerTimer = setInterval(() => {
+    runScheduledRegistrarSync("interval").catch(() => {});
+  }, CFG.INTERVAL_MS);
+
+  console.log(
+    `✅ Domain registrar scheduler started (every ${Math.round(CFG.INTERVAL_MS / 60000)} min + startup run)`
+  );
+}
+
+module.exports = {
+  startDomainRegistrarScheduler,
+  runScheduledRegistrarSync,
+};
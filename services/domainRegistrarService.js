@@ -0,0 +1,180 @@
+/**
+ * Cloudflare Registrar tracking. syncRegistrations() copies expiry date, auto-renew and lock status of every
+ * registration onto Domain.registrar; findRegistrarIssues() reports what needs attention:
+ * - expiring: active domains expiring within N days (or already expired)
+ * - autoRenewOff: active domains that lapse unless someone renews them by hand
+ * - archivedAutoRenewOn: archived domains that will still be renewed (and billed)
+ * runRegistrarRound() does both on a schedule and posts a Slack digest.
+ */
+const mongoose = require("mongoose");
+const Domain = require("../models/domainModel");
+const CFG = require("../config/domainRegistrar");
+const CLOUDFLARE_CONFIG = require("../config/cloudflare");
+const cloudflareService = require("./cloudflareService");
+const slackService = require("./slackService");
+const domainOwnershipService = require("./domainOwnershipService");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+/** Lines per Slack digest section */
+const DIGEST_SECTION_LIMIT = 25;
+
+function isRegistrarAvailable() {
+  return mongoose.connection.readyState === 1;
+}
+
+function registrarState(registration, syncedAt) {
+  if (!registration) return { registered: false, syncedAt };
+  return {
+    registered: true,
+    expiresAt: registration.expiresAt ? new Date(registration.expiresAt) : null,
+    autoRenew: registration.autoRenew,
+    locked: registration.locked,
+    status: registration.status,
+    syncedAt,
+  };
+}
+
+/** Store every registration on its Domain (archived ones too); domains without one get registered=false. */
+async function syncRegistrations() {
+  if (!isRegistrarAvailable()) return { ok: false, status: 503, error: "MongoDB not connected" };
+  if (!CLOUDFLARE_CONFIG.API_TOKEN || !CLOUDFLARE_CONFIG.ACCOUNT_ID) {
+    return { ok: false, status: 500, error: "CLOUDFLARE_API_TOKEN and CLOUDFLARE_ACCOUNT_ID must be configured" };
+  }
+  const registrations = await cloudflareService.listRegistrarRegistrations();
+  const byDomain = new Map(registrations.map((r) => [r.domain, r]));
+  const domains = await Domain.find({}).select("domain").lean();
+  const syncedAt = new Date();
+  const ops = domains.map((d) => ({
+    updateOne: {
+      filter: { _id: d._id },
+      update: { $set: { registrar: registrarState(byDomain.get(d.domain.toLowerCase()), syncedAt) } },
+    },
+  }));
+  if (ops.length) await Domain.bulkWrite(ops, { ordered: false });
+
+  const known = new Set(domains.map((d) => d.domain.toLowerCase()));
+  return {
+    ok: true,
+    syncedAt,
+    domains: domains.length,
+    registered: domains.filter((d) => byDomain.has(d.domain.toLowerCase())).length,
+    /** Registrations (still billed) without a Domain record */
+    untracked: registrations.filter((r) => !known.has(r.domain)).map((r) => r.domain),
+  };
+}
+
+/** Keep Domain.registrar in step with an enable / disableRegistrarAutoRenew result (archive / restore). */
+function noteAutoRenew(domainDoc, result) {
+  if (typeof result?.autoRenew !== "boolean") return;
+  domainDoc.set("registrar.registered", true);
+  domainDoc.set("registrar.autoRenew", result.autoRenew);
+}
+
+function describe(domainDoc, now) {
+  const { expiresAt, autoRenew = null, locked = null } = domainDoc.registrar || {};
+  return {
+    domain: domainDoc.domain,
+    assignedTo: domainDoc.assignedTo || null,
+    status: domainDoc.status || "active",
+    expiresAt: expiresAt ? new Date(expiresAt).toISOString() : null,
+    daysLeft: expiresAt ? Math.floor((new Date(expiresAt).getTime() - now.getTime()) / DAY_MS) : null,
+    autoRenew,
+    locked,
+  };
+}
+
+/** Split registered domains into the three issue lists (expiring soonest first). */
+function classifyDomains(domains, { days = CFG.EXPIRY_WARNING_DAYS, now = new Date() } = {}) {
+  const issues = { expiring: [], autoRenewOff: [], archivedAutoRenewOn: [] };
+  for (const domainDoc of domains) {
+    if (!domainDoc.registrar?.registered) continue;
+    const entry = describe(domainDoc, now);
+    const archived = entry.status === "archived";
+    if (!archived && entry.daysLeft !== null && entry.daysLeft <= days) issues.expiring.push(entry);
+    if (!archived && entry.autoRenew === false) issues.autoRenewOff.push(entry);
+    if (archived && entry.autoRenew === true) issues.archivedAutoRenewOn.push(entry);
+  }
+  const byExpiry = (a, b) => (a.expiresAt || "9999").localeCompare(b.expiresAt || "9999");
+  for (const list of Object.values(issues)) list.sort(byExpiry);
+  return issues;
+}
+
+/**
+ * GET /api/v1/domain-registrar?days=30 — media buyers only see domains they can access.
+ */
+async function findRegistrarIssues(query = {}, user = null) {
+  if (!isRegistrarAvailable()) return { ok: false, status: 503, error: "MongoDB not connected" };
+  const days = query.days === undefined ? CFG.EXPIRY_WARNING_DAYS : Number(query.days);
+  if (!Number.isInteger(days) || days < 0 || days > 3650) {
+    return { ok: false, status: 400, error: "days must be an integer between 0 and 3650" };
+  }
+  const domains = await Domain.find({ "registrar.registered": true, ...domainOwnershipService.accessFilter(user) })
+    .select("domain assignedTo status registrar")
+    .lean();
+  const syncedAt = domains.reduce((latest, d) => {
+    const at = d.registrar?.syncedAt ? new Date(d.registrar.syncedAt) : null;
+    return at && (!latest || at > latest) ? at : latest;
+  }, null);
+  return { ok: true, days, syncedAt, registered: domains.length, ...classifyDomains(domains, { days }) };
+}
+
+function digestSection(title, entries, line) {
+  if (!entries.length) return [];
+  const lines = entries.slice(0, DIGEST_SECTION_LIMIT).map(line);
+  if (entries.length > DIGEST_SECTION_LIMIT) lines.push(`…and ${entries.length - DIGEST_SECTION_LIMIT} more`);
+  return [`*${title} (${entries.length}):*`, ...lines];
+}
+
+function expiryText(entry) {
+  if (!entry.expiresAt) return "no expiry date";
+  const date = entry.expiresAt.slice(0, 10);
+  return entry.daysLeft < 0 ? `expired ${date}` : `expires ${date} (${entry.daysLeft}d)`;
+}
+
+/** Slack digest text, or null when nothing needs attention. */
+function buildDigest(issues, days) {
+  const lines = [
+    ...digestSection(`Expiring within ${days} days`, issues.expiring, (e) =>
+      `• ${e.domain} — ${expiryText(e)}, auto-renew ${e.autoRenew ? "on" : "OFF"}${e.assignedTo ? `, ${e.assignedTo}` : ""}`
+    ),
+    ...digestSection("Active with auto-renew off", issues.autoRenewOff, (e) => `• ${e.domain} — ${expiryText(e)}`),
+    ...digestSection("Archived but still auto-renewing", issues.archivedAutoRenewOn, (e) => `• ${e.domain} — ${expiryText(e)}`),
+  ];
+  return lines.length ? `🗓️ Domain registrar digest\n${lines.join("\n")}` : null;
+}
+
+/** Scheduled: sync, classify every domain, post the digest. */
+async function runRegistrarRound({ trigger = "manual" } = {}) {
+  const sync = await syncRegistrations();
+  if (!sync.ok) return sync;
+  const domains = await Domain.find({ "registrar.registered": true }).select("domain assignedTo status registrar").lean();
+  const issues = classifyDomains(domains, { days: CFG.EXPIRY_WARNING_DAYS });
+  const digest = buildDigest(issues, CFG.EXPIRY_WARNING_DAYS);
+  if (digest && CFG.SLACK_DIGEST) await slackService.sendSlackMessage(digest);
+
+  const summary = {
+    ok: true,
+    trigger,
+    syncedAt: sync.syncedAt,
+    domains: sync.domains,
+    registered: sync.registered,
+    untracked: sync.untracked,
+    expiring: issues.expiring.length,
+    autoRenewOff: issues.autoRenewOff.length,
+    archivedAutoRenewOn: issues.archivedAutoRenewOn.length,
+  };
+  console.log(
+    `[domain-registrar] ${trigger}: ${summary.registered}/${summary.domains} registered, ${summary.expiring} expiring, ` +
+      `${summary.autoRenewOff} auto-renew off, ${summary.archivedAutoRenewOn} archived auto-renewing, ${summary.untracked.length} untracked`
+  );
+  return summary;
+}
+
+module.exports = {
+  syncRegistrations,
+  noteAutoRenew,
+  classifyDomains,
+  findRegistrarIssues,
+  buildDigest,
+  runRegistrarRound,
+};
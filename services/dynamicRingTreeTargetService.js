@@ -5,21 +5,19 @@
 const axios = require("axios");
 const fs = require("fs");
 const path = require("path");
+const mongoose = require("mongoose");
 const CFG = require("../config/dynamicRingTreeTarget");
 const slackService = require("./slackService");
+const ringTreeHistoryService = require("./ringTreeHistoryService");
+const ringTreeTiering = require("./ringTreeTiering");
+const ringTreeRpcWindow = require("./ringTreeRpcWindow");
+const ringTreePinService = require("./ringTreePinService");
 
-const targetLocks = new Map();
+const { createRingTreeStateStore } = require("./ringTreeStateStore");
 
-/** Serialize read-modify-write of the shared state file (prevents concurrent write corruption). */
-let stateMutex = Promise.resolve();
-function withStateMutex(fn) {
-  const run = stateMutex.then(fn, fn);
-  stateMutex = run.then(
-    () => undefined,
-    () => undefined
-  );
-  return run;
-}
+const targetLocks = new Map();
+/** Rolling mode keeps recent callIds past the window so pixel retries stay deduped. */
+const ROLLING_SEEN_CALL_IDS_MAX = 500;
 
 function emptyState() {
   return { profiles: {}, version: 1 };
@@ -48,66 +46,30 @@ function normalizeState(parsed) {
   return parsed;
 }
 
-/**
- * If concurrent writeFile corrupted the file (valid JSON + trailing junk),
- * recover the first complete JSON object and rewrite a clean file.
- */
-function tryRecoverStateJson(raw) {
-  if (!raw || typeof raw !== "string") return null;
-  const trimmed = raw.trim();
-  try {
-    return normalizeState(JSON.parse(trimmed));
-  } catch {
-    // fall through
-  }
-
-  for (let i = trimmed.lastIndexOf("}"); i > 0; i = trimmed.lastIndexOf("}", i - 1)) {
-    const candidate = trimmed.slice(0, i + 1);
-    try {
-      const parsed = JSON.parse(candidate);
-      if (parsed && typeof parsed === "object") {
-        return normalizeState(parsed);
-      }
-    } catch {
-      // keep scanning for an earlier closing brace
-    }
-  }
-  return null;
-}
+const stateStore = createRingTreeStateStore({
+  backend: CFG.STATE_BACKEND,
+  engine: "ringba",
+  collectionKey: "targets",
+  stateFile: CFG.STATE_FILE,
+  emptyState,
+  normalizeState,
+  logPrefix: "[ring-tree-target]",
+});
 
 async function loadState() {
-  try {
-    const raw = await fs.promises.readFile(CFG.STATE_FILE, "utf8");
-    try {
-      return normalizeState(JSON.parse(raw));
-    } catch (parseErr) {
-      const recovered = tryRecoverStateJson(raw);
-      if (!recovered) throw parseErr;
-      console.error(
-        "[ring-tree-target] Corrupted state JSON recovered; rewriting clean file:",
-        parseErr.message
-      );
-      await saveState(recovered);
-      return recovered;
-    }
-  } catch (err) {
-    if (err.code === "ENOENT") return emptyState();
-    throw err;
-  }
+  return stateStore.load();
 }
 
 async function saveState(state) {
-  await fs.promises.mkdir(path.dirname(CFG.STATE_FILE), { recursive: true });
-  const payload = JSON.stringify(state, null, 2);
-  const tmp = `${CFG.STATE_FILE}.${process.pid}.${Date.now()}.tmp`;
-  await fs.promises.writeFile(tmp, payload, "utf8");
-  await fs.promises.rename(tmp, CFG.STATE_FILE);
+  return stateStore.save(state);
 }
 
 async function appendEvent(entry) {
-  const line = JSON.stringify({ at: new Date().toISOString(), ...entry }) + "\n";
+  const event = { at: new Date().toISOString(), ...entry };
+  const line = JSON.stringify(event) + "\n";
   await fs.promises.mkdir(path.dirname(CFG.EVENTS_FILE), { recursive: true });
   await fs.promises.appendFile(CFG.EVENTS_FILE, line, "utf8");
+  await ringTreeHistoryService.recordEvent("ringba", event);
 }
 
 function parseRevenue(value) {
@@ -154,51 +116,27 @@ function formatRingTreeMoveSlackMessage({ targetName, currentTier, desiredTier,
   return `${prefix}${targetName} move from ${shortTierLabel(currentTier)} to ${shortTierLabel(desiredTier)}. RPC = ${rpcValue}`;
 }
 
-function getRawTierFromRpc(rpc, profile) {
-  const t1 = profile?.tiers?.[0]?.name || "FE - Tier 1";
-  const t2 = profile?.tiers?.[1]?.name || "FE - Tier 2";
-  const t3 = profile?.tiers?.[2]?.name || "FE - Tier 3";
-  const rules = CFG.getProfileRpcRules(profile);
-
-  if (rules.mode === "above") {
-    if (rpc > rules.tier1Above) return t1;
-    if (rpc >= rules.tier2Min) return t2;
-    return t3;
-  }
+function profileTierNames(profile) {
+  const names = (profile?.tiers || []).map((t) => t.name);
+  return names.length ? names : ["FE - Tier 1", "FE - Tier 2", "FE - Tier 3"];
+}
 
-  if (rpc >= rules.tier1Min) return t1;
-  if (rpc >= rules.tier2Min) return t2;
-  return t3;
+function getRawTierFromRpc(rpc, profile) {
+  return ringTreeTiering.resolveTiers(rpc, null, profileTierNames(profile), CFG.getProfileTierRules(profile))
+    .rawTier;
 }
 
 function getDesiredTierWithHysteresis(rpc, currentTier, profile) {
-  const t1 = profile.tiers[0].name;
-  const t2 = profile.tiers[1].name;
-  const t3 = profile.tiers[2].name;
-  const h = CFG.getProfileHysteresis(profile);
-  const rules = CFG.getProfileRpcRules(profile);
-  const tier2Floor = rules.mode === "above" ? rules.tier2Min : rules.tier2Min;
-
-  if (currentTier === t1) {
-    if (rpc < h.demoteFromTier1) return rpc >= tier2Floor ? t2 : t3;
-    return t1;
-  }
-  if (currentTier === t2) {
-    if (rpc >= h.promoteToTier1) return t1;
-    if (rpc < h.demoteFromTier2) return t3;
-    return t2;
-  }
-  if (currentTier === t3) {
-    if (rpc >= h.promoteToTier1) return t1;
-    if (rpc >= h.promoteToTier2) return t2;
-    return t3;
-  }
-  return getRawTierFromRpc(rpc, profile);
+  return ringTreeTiering.resolveTiers(rpc, currentTier, profileTierNames(profile), CFG.getProfileTierRules(profile))
+    .desiredTier;
 }
 
+/** Batches are evaluated only when full, so the batch length is the profile's batch size. */
 function computeRpcFromBatch(batch) {
-  const sum = (batch || []).reduce((acc, c) => acc + parseRevenue(c.revenue), 0);
-  return Math.round((sum / CFG.BATCH_SIZE) * 10000) / 10000;
+  const calls = batch || [];
+  if (calls.length === 0) return 0;
+  const sum = calls.reduce((acc, c) => acc + parseRevenue(c.revenue), 0);
+  return Math.round((sum / calls.length) * 10000) / 10000;
 }
 
 function batchPixelRevenueAllZero(batch) {
@@ -390,6 +328,56 @@ async function enrichBatchRevenueFromCallLogs(batch, options = {}) {
   };
 }
 
+/** Unconfirmed window call that Insights was asked about less than REVENUE_BACKFILL_RECHECK_MS ago. */
+function recentlyChecked(call, nowMs) {
+  const checkedMs = new Date(call.revenueCheckedAt).getTime();
+  return Number.isFinite(checkedMs) && nowMs - checkedMs < CFG.REVENUE_BACKFILL_RECHECK_MS;
+}
+
+/**
+ * Rolling mode: backfill only window calls not yet confirmed by Insights, write confirmed revenue back
+ * into the stored window (confirmed calls are never fetched again; misses are re-checked after
+ * REVENUE_BACKFILL_RECHECK_MS) and recompute the window RPC (decay included).
+ */
+async function enrichRollingWindowRevenue(window, profile, { state, profileKey, targetId, evaluatedAt }) {
+  const evaluation = CFG.getProfileEvaluation(profile);
+  const nowMs = evaluatedAt ? new Date(evaluatedAt).getTime() : Date.now();
+  const pending = window.filter((c) => c.revenueSource !== "insights" && !recentlyChecked(c, nowMs));
+  const enriched = pending.length > 0 ? await enrichBatchRevenueFromCallLogs(pending) : null;
+  const checkedAt = new Date(nowMs).toISOString();
+  const looked = Boolean(enriched?.backfilled && enriched.backfillOk);
+  const byCallId = new Map(
+    (enriched?.batch || []).map((c) => [
+      c.callId,
+      c.revenueSource === "insights" || !looked ? c : { ...c, revenueCheckedAt: checkedAt },
+    ])
+  );
+  const merged = window.map((c) => byCallId.get(c.callId) || c);
+
+  const stored = state?.profiles?.[profileKey]?.targets?.[targetId];
+  if (Array.isArray(stored?.window)) {
+    stored.window = stored.window.map((c) => {
+      const updated = byCallId.get(c.callId);
+      return updated && (updated.revenueSource === "insights" || updated.revenueCheckedAt === checkedAt) ? updated : c;
+    });
+  }
+
+  const pixelWindow = window.map((c) => ({ ...c, revenue: c.pixelRevenue ?? c.revenue }));
+  const confirmedCalls = merged.filter((c) => c.revenueSource === "insights");
+  return {
+    ...(enriched || {}),
+    batch: merged,
+    rpc: ringTreeRpcWindow.computeWindowRpc(merged, evaluation, parseRevenue, nowMs),
+    pixelRpc: ringTreeRpcWindow.computeWindowRpc(pixelWindow, evaluation, parseRevenue, nowMs),
+    revenueSource: confirmedCalls.length > 0 ? "insights" : "pixel",
+    backfilled: enriched ? enriched.backfilled : true,
+    backfillOk: enriched ? enriched.backfillOk : true,
+    backfillFetched: confirmedCalls.length,
+    hadAnyBackfillRevenue: confirmedCalls.some((c) => parseRevenue(c.revenue) > 0),
+    backfilledNow: Boolean(enriched?.backfilled),
+  };
+}
+
 function isDemotion(currentTier, desiredTier, profile) {
   const tiers = (profile?.tiers || []).map((t) => t.name);
   const currentIdx = tiers.indexOf(currentTier);
@@ -598,8 +586,12 @@ function parsePixelParams(query = {}, body = {}) {
   };
 }
 
-function ingestPixelCall(state, payload, profileKey) {
-  const profile = CFG.getProfile(profileKey);
+/**
+ * Pure: add one pixel call to the target's batch. options.profile (candidate rules) and
+ * options.receivedAt (historical call time) are used by the backtester.
+ */
+function ingestPixelCall(state, payload, profileKey, options = {}) {
+  const profile = options.profile || CFG.getProfile(profileKey);
   if (!profile) {
     return {
       state,
@@ -612,6 +604,8 @@ function ingestPixelCall(state, payload, profileKey) {
   }
 
   const profileDryRun = CFG.isProfileDryRun(profile);
+  const batchSize = CFG.getProfileBatchSize(profile);
+  const evaluation = CFG.getProfileEvaluation(profile);
   const { callId, targetId, targetName, callerPhone, revenue } = payload;
 
   const ignoreReason = getIgnoreReason(payload);
@@ -656,12 +650,26 @@ function ingestPixelCall(state, payload, profileKey) {
         profileKey,
         targetId,
         targetName: targetState.targetName,
-        batchSize: targetState.batch.length,
+        batchSize: (evaluation.mode === "rolling" ? targetState.window : targetState.batch)?.length || 0,
         dryRun: profileDryRun,
       },
     };
   }
 
+  const receivedAt = options.receivedAt || new Date().toISOString();
+  if (evaluation.mode === "rolling") {
+    return ingestIntoRollingWindow(state, targetState, {
+      profileKey,
+      targetId,
+      callId,
+      callerPhone,
+      revenue,
+      receivedAt,
+      evaluation,
+      profileDryRun,
+    });
+  }
+
   const phoneNorm = normalizePhone(callerPhone);
   if (targetState.batch.some((c) => normalizePhone(c.callerPhone) === phoneNorm)) {
     return {
@@ -683,10 +691,10 @@ function ingestPixelCall(state, payload, profileKey) {
     callId,
     callerPhone,
     revenue: parseRevenue(revenue),
-    receivedAt: new Date().toISOString(),
+    receivedAt,
   });
 
-  if (targetState.batch.length < CFG.BATCH_SIZE) {
+  if (targetState.batch.length < batchSize) {
     return {
       state,
       result: {
@@ -715,7 +723,7 @@ function ingestPixelCall(state, payload, profileKey) {
       profileKey,
       targetId,
       targetName: targetState.targetName,
-      batchSize: CFG.BATCH_SIZE,
+      batchSize,
       batch: batchCopy,
       rpc,
       dryRun: profileDryRun,
@@ -725,11 +733,66 @@ function ingestPixelCall(state, payload, profileKey) {
   };
 }
 
-function isMoveCooldownActive(profileState, targetId) {
+/**
+ * Rolling mode: the window is never discarded — calls age out by count / hours — and every pixel
+ * re-evaluates once minCalls are in it. Unique callers are enforced within the window.
+ */
+function ingestIntoRollingWindow(state, targetState, call) {
+  const { profileKey, targetId, callId, callerPhone, revenue, receivedAt, evaluation, profileDryRun } = call;
+  const nowMs = new Date(receivedAt).getTime();
+  const window = ringTreeRpcWindow.pruneWindow(targetState.window, evaluation, nowMs);
+  targetState.window = window;
+
+  const phoneNorm = normalizePhone(callerPhone);
+  if (window.some((c) => normalizePhone(c.callerPhone) === phoneNorm)) {
+    return {
+      state,
+      result: {
+        ok: true,
+        status: "duplicate_caller_in_window",
+        profileKey,
+        targetId,
+        targetName: targetState.targetName,
+        batchSize: window.length,
+        dryRun: profileDryRun,
+      },
+    };
+  }
+
+  targetState.seenCallIds = [...targetState.seenCallIds, callId].slice(-ROLLING_SEEN_CALL_IDS_MAX);
+  window.push({ callId, callerPhone, revenue: parseRevenue(revenue), receivedAt });
+
+  const base = { ok: true, profileKey, targetId, targetName: targetState.targetName, dryRun: profileDryRun };
+  if (window.length < evaluation.minCalls) {
+    return {
+      state,
+      result: { ...base, status: "accumulating", batchSize: window.length, minCalls: evaluation.minCalls, rpc: null },
+    };
+  }
+
+  const windowCopy = [...window];
+  const rpc = ringTreeRpcWindow.computeWindowRpc(windowCopy, evaluation, parseRevenue, nowMs);
+  return {
+    state,
+    result: { ...base, status: "window_eval", batchSize: windowCopy.length, rpc },
+    shouldEval: true,
+    evalPayload: {
+      profileKey,
+      targetId,
+      targetName: targetState.targetName,
+      batch: windowCopy,
+      rpc,
+      mode: "rolling",
+      evaluatedAt: receivedAt,
+    },
+  };
+}
+
+function isMoveCooldownActive(profileState, targetId, profile) {
   const last = profileState.lastMoveAt?.[targetId];
   if (!last) return false;
   const elapsed = Date.now() - new Date(last).getTime();
-  return elapsed < CFG.MOVE_COOLDOWN_MS;
+  return elapsed < CFG.getProfileMoveCooldownMs(profile);
 }
 
 async function removeTargetFromPingTree(pingTreeId, targetId) {
@@ -836,7 +899,96 @@ async function addTargetToPingTree(sourceTargetId, destPingTreeId, options = {})
   };
 }
 
-async function evaluateBatchMove({ profileKey, targetId, targetName, batch, rpc: initialRpc, state }) {
+/**
+ * Remove the target from its current ping tree and add it to the destination (rolled back on failure),
+ * then record lastMoveAt and drop its open batch. Shared by evaluateBatchMove and manual moves.
+ */
+async function performTierMove(pState, profile, moveSummary, options = {}) {
+  const {
+    profileKey,
+    targetId: resolvedTargetId,
+    targetName: displayName,
+    currentTier,
+    desiredTier,
+    currentPingTreeId,
+    desiredPingTreeId,
+    rpc,
+  } = moveSummary;
+  const eventFields = options.eventFields || {};
+  let preDeleteConfig = null;
+  try {
+    preDeleteConfig = await getPingTreeTargetConfig(resolvedTargetId);
+    await removeTargetFromPingTree(currentPingTreeId, resolvedTargetId);
+    const addResult = await addTargetToPingTree(resolvedTargetId, desiredPingTreeId, {
+      preDeleteConfig,
+    });
+    const finalTargetId = addResult.targetId || resolvedTargetId;
+    pState.lastMoveAt[finalTargetId] = new Date().toISOString();
+    if (finalTargetId !== resolvedTargetId) {
+      delete pState.lastMoveAt[resolvedTargetId];
+    }
+    // After tier move Ringba may assign a new RTT id — next pixel uses new targetId and starts a fresh batch.
+    delete pState.targets[resolvedTargetId];
+    await appendEvent({
+      type: options.completedType || "move_completed",
+      ...moveSummary,
+      ...eventFields,
+      addMethod: addResult.method,
+      finalTargetId: finalTargetId !== resolvedTargetId ? finalTargetId : undefined,
+    });
+    await slackService.sendRingTreeSlackMessage(
+      options.slackMessage ||
+        formatRingTreeMoveSlackMessage({
+          targetName: displayName,
+          currentTier,
+          desiredTier,
+          rpc,
+          dryRun: false,
+        })
+    );
+    console.log("[ring-tree-target][move_completed]", moveSummary);
+    return { action: "move_completed", ...moveSummary, addResult, finalTargetId };
+  } catch (err) {
+    let rollbackError = null;
+    if (preDeleteConfig && currentPingTreeId && currentPingTreeId !== desiredPingTreeId) {
+      try {
+        await addTargetToPingTree(resolvedTargetId, currentPingTreeId, { preDeleteConfig });
+      } catch (rollbackErr) {
+        rollbackError = rollbackErr.message;
+      }
+    }
+    await appendEvent({
+      type: "move_failed",
+      ...moveSummary,
+      ...eventFields,
+      error: err.message,
+      rollbackError,
+    });
+    await slackService.sendRingTreeSlackMessage(
+      `Ring Tree move FAILED (${profile.label})\nTarget: ${displayName} (${resolvedTargetId})\nError: ${err.message}${
+        rollbackError
+          ? `\nRollback to ${shortTierLabel(currentTier)} also failed: ${rollbackError}`
+          : preDeleteConfig
+            ? `\nRollback to ${shortTierLabel(currentTier)} attempted.`
+            : ""
+      }${options.slackNote || ""}`
+    );
+    console.error("[ring-tree-target][move_failed]", err.message);
+    return { action: "move_failed", ...moveSummary, error: err.message };
+  }
+}
+
+/** batch = the completed batch, or the current window when mode === "rolling" (same move path either way). */
+async function evaluateBatchMove({
+  profileKey,
+  targetId,
+  targetName,
+  batch,
+  rpc: initialRpc,
+  state,
+  mode,
+  evaluatedAt,
+}) {
   const profile = CFG.getProfile(profileKey);
   if (!profile) {
     await appendEvent({
@@ -859,7 +1011,10 @@ async function evaluateBatchMove({ profileKey, targetId, targetName, batch, rpc:
   };
 
   if (batch && batch.length > 0) {
-    const enriched = await enrichBatchRevenueFromCallLogs(batch);
+    const enriched =
+      mode === "rolling"
+        ? await enrichRollingWindowRevenue(batch, profile, { state, profileKey, targetId, evaluatedAt })
+        : await enrichBatchRevenueFromCallLogs(batch);
     batchForEval = enriched.batch;
     rpc = enriched.rpc;
     revenueMeta = {
@@ -871,7 +1026,7 @@ async function evaluateBatchMove({ profileKey, targetId, targetName, batch, rpc:
       backfillFetched: enriched.backfillFetched,
       hadAnyBackfillRevenue: enriched.hadAnyBackfillRevenue,
     };
-    if (enriched.backfilled) {
+    if (enriched.backfilled && enriched.backfilledNow !== false) {
       await appendEvent({
         type: "revenue_backfill",
         profileKey,
@@ -931,6 +1086,44 @@ async function evaluateBatchMove({ profileKey, targetId, targetName, batch, rpc:
   const blockedByHysteresis = rawTier !== currentTier && desiredTier === currentTier;
   const demotion = isDemotion(currentTier, desiredTier, profile);
   const pixelAllZero = batchPixelRevenueAllZero(batch);
+
+  let pin;
+  try {
+    pin = await ringTreePinService.findActivePin(profileKey, {
+      targetId: resolvedTargetId,
+      targetName: resolvedTargetName || targetName,
+    });
+  } catch (err) {
+    await appendEvent({
+      type: "eval_skipped",
+      reason: "pin_lookup_failed",
+      profileKey,
+      targetId: resolvedTargetId,
+      targetName: displayName,
+      rpc,
+      currentTier,
+      desiredTier,
+      error: err.message,
+    });
+    return { action: "skipped", reason: "pin_lookup_failed", error: err.message };
+  }
+  if (pin) {
+    await appendEvent({
+      type: "eval_skipped",
+      reason: "pinned",
+      profileKey,
+      targetId: resolvedTargetId,
+      targetName: displayName,
+      rpc,
+      currentTier,
+      rawTier,
+      desiredTier,
+      pinnedTier: pin.tier,
+      pinExpiresAt: pin.expiresAt,
+    });
+    return { action: "skipped", reason: "pinned", currentTier, desiredTier, rpc, pin };
+  }
+
   const revenueConfirmedByCallLogs =
     revenueMeta.hadAnyBackfillRevenue ||
     (revenueMeta.backfilled && revenueMeta.backfillOk && (revenueMeta.backfillFetched || 0) > 0);
@@ -996,7 +1189,7 @@ async function evaluateBatchMove({ profileKey, targetId, targetName, batch, rpc:
     return { action: "skipped", reason: "missing_dest_ping_tree_id" };
   }
 
-  if (isMoveCooldownActive(pState, resolvedTargetId)) {
+  if (isMoveCooldownActive(pState, resolvedTargetId, profile)) {
     await appendEvent({
       type: "eval_skipped",
       reason: "move_cooldown",
@@ -1021,7 +1214,7 @@ async function evaluateBatchMove({ profileKey, targetId, targetName, batch, rpc:
     desiredTier,
     currentPingTreeId,
     desiredPingTreeId,
-    batchSize: batchForEval?.length || CFG.BATCH_SIZE,
+    batchSize: batchForEval?.length || CFG.getProfileBatchSize(profile),
   };
 
   const profileDryRun = CFG.isProfileDryRun(profile);
@@ -1041,64 +1234,7 @@ async function evaluateBatchMove({ profileKey, targetId, targetName, batch, rpc:
     return { action: "dry_run_move", ...moveSummary };
   }
 
-  let preDeleteConfig = null;
-  try {
-    preDeleteConfig = await getPingTreeTargetConfig(resolvedTargetId);
-    await removeTargetFromPingTree(currentPingTreeId, resolvedTargetId);
-    const addResult = await addTargetToPingTree(resolvedTargetId, desiredPingTreeId, {
-      preDeleteConfig,
-    });
-    const finalTargetId = addResult.targetId || resolvedTargetId;
-    pState.lastMoveAt[finalTargetId] = new Date().toISOString();
-    if (finalTargetId !== resolvedTargetId) {
-      delete pState.lastMoveAt[resolvedTargetId];
-    }
-    // After tier move Ringba may assign a new RTT id — next pixel uses new targetId and starts a fresh batch.
-    delete pState.targets[resolvedTargetId];
-    await appendEvent({
-      type: "move_completed",
-      ...moveSummary,
-      addMethod: addResult.method,
-      finalTargetId: finalTargetId !== resolvedTargetId ? finalTargetId : undefined,
-    });
-    await slackService.sendRingTreeSlackMessage(
-      formatRingTreeMoveSlackMessage({
-        targetName: displayName,
-        currentTier,
-        desiredTier,
-        rpc,
-        dryRun: false,
-      })
-    );
-    console.log("[ring-tree-target][move_completed]", moveSummary);
-    return { action: "move_completed", ...moveSummary, addResult };
-  } catch (err) {
-    let rollbackError = null;
-    if (preDeleteConfig && currentPingTreeId && currentPingTreeId !== desiredPingTreeId) {
-      try {
-        await addTargetToPingTree(resolvedTargetId, currentPingTreeId, { preDeleteConfig });
-      } catch (rollbackErr) {
-        rollbackError = rollbackErr.message;
-      }
-    }
-    await appendEvent({
-      type: "move_failed",
-      ...moveSummary,
-      error: err.message,
-      rollbackError,
-    });
-    await slackService.sendRingTreeSlackMessage(
-      `Ring Tree move FAILED (${profile.label})\nTarget: ${displayName} (${resolvedTargetId})\nError: ${err.message}${
-        rollbackError
-          ? `\nRollback to ${shortTierLabel(currentTier)} also failed: ${rollbackError}`
-          : preDeleteConfig
-            ? `\nRollback to ${shortTierLabel(currentTier)} attempted.`
-            : ""
-      }`
-    );
-    console.error("[ring-tree-target][move_failed]", err.message);
-    return { action: "move_failed", ...moveSummary, error: err.message };
-  }
+  return performTierMove(pState, profile, moveSummary);
 }
 
 async function withTargetLock(lockKey, fn) {
@@ -1155,16 +1291,13 @@ async function handlePixelIngest(query, body) {
     return {
       ok: false,
       status: "profile_not_configured",
-      message: `Profile "${profileKey}" is not enabled or missing tier ping tree IDs`,
+      message: `Profile "${profileKey}" is not enabled or missing tier ping tree IDs / tier rules`,
     };
   }
 
-  let ingested;
-  await withStateMutex(async () => {
-    let state = await loadState();
-    ingested = ingestPixelCall(state, params, profileKey);
-    await saveState(ingested.state);
-  });
+  const ingested = await stateStore.update({ profileKey, ids: [params.targetId] }, (state) =>
+    ingestPixelCall(state, params, profileKey)
+  );
 
   await appendEvent({
     type: "pixel_ingest",
@@ -1182,14 +1315,11 @@ async function handlePixelIngest(query, body) {
     setImmediate(() => {
       withTargetLock(lockKey, async () => {
         try {
-          await withStateMutex(async () => {
-            const freshState = await loadState();
-            await evaluateBatchMove({
-              ...ingested.evalPayload,
-              state: freshState,
-            });
-            await saveState(freshState);
-          });
+          await stateStore.update(
+            { profileKey, ids: [params.targetId] },
+            (freshState) => evaluateBatchMove({ ...ingested.evalPayload, state: freshState }),
+            { retryOnConflict: false }
+          );
         } catch (err) {
           console.error("[ring-tree-target] eval error:", err.message);
           await appendEvent({
@@ -1208,6 +1338,210 @@ async function handlePixelIngest(query, body) {
   return ingested.result;
 }
 
+/** Look a target up in the profile's tier ping trees by RTT id or exact name. */
+async function resolveProfileTarget(profile, target) {
+  const pingTrees = await fetchPingTrees();
+  const { byId, byName } = buildFeTargetMap(extractProfileTierRingTrees(pingTrees, profile));
+  const key = String(target || "").trim();
+  return byId.get(key) || byName.get(key) || null;
+}
+
+/** Shared validation for pin / manual move: enabled profile, known tier, target in one of its tiers. */
+async function resolveOverrideRequest(profileKey, target, tier) {
+  const key = String(profileKey || "").trim().toLowerCase();
+  const profile = CFG.getProfile(key);
+  if (!profile) return { error: { ok: false, status: 404, error: `Profile "${key}" not enabled or configured` } };
+  const tierIdMap = buildTierIdMap(profile);
+  if (tier !== undefined && !tierIdMap.get(tier)) {
+    return {
+      error: { ok: false, status: 400, error: `tier must be one of: ${[...tierIdMap.keys()].join(", ")}` },
+    };
+  }
+  let info;
+  try {
+    info = await resolveProfileTarget(profile, target);
+  } catch (err) {
+    return { error: { ok: false, status: 502, error: `Could not load Ringba ping trees: ${err.message}` } };
+  }
+  if (!info) {
+    return { error: { ok: false, status: 404, error: `Target "${target}" is not in any ${profile.label} tier` } };
+  }
+  return { key, profile, tierIdMap, info };
+}
+
+function actorLabel(actor) {
+  return actor?.email || actor?.userId || "unknown user";
+}
+
+function parsePinExpiry(value) {
+  if (value == null || value === "") return { expiresAt: null };
+  const d = new Date(value);
+  if (Number.isNaN(d.getTime())) return { error: "expiresAt must be an ISO timestamp" };
+  if (d <= new Date()) return { error: "expiresAt must be in the future" };
+  return { expiresAt: d };
+}
+
+/**
+ * Force-move a target to a tier now (ignores RPC, hysteresis and cooldown; respects dry-run and pins).
+ * Goes through the same remove/add path as automatic moves and sets lastMoveAt, so the automation
+ * cooldown applies afterwards.
+ */
+async function manualMoveTarget({ profileKey, target, tier, reason, actor }) {
+  const resolved = await resolveOverrideRequest(profileKey, target, tier);
+  if (resolved.error) return resolved.error;
+  const { key, profile, tierIdMap, info } = resolved;
+
+  const pin = await ringTreePinService.findActivePin(key, { targetId: info.id, targetName: info.name });
+  if (pin && pin.tier !== tier) {
+    return { ok: false, status: 409, error: `Target is pinned to ${pin.tier}; unpin it first`, pin };
+  }
+  if (info.currentTier === tier) {
+    return { ok: true, status: 200, action: "no_move", targetId: info.id, targetName: info.name, currentTier: tier };
+  }
+
+  const displayName = info.name || info.id;
+  const moveSummary = {
+    profileKey: key,
+    targetName: displayName,
+    targetId: info.id,
+    currentTier: info.currentTier,
+    desiredTier: tier,
+    currentPingTreeId: info.currentPingTreeId,
+    desiredPingTreeId: tierIdMap.get(tier),
+    manual: true,
+    reason: reason || "",
+    actor: actor || null,
+  };
+  const note = `\nManual move by ${actorLabel(actor)}${reason ? ` — ${reason}` : ""}`;
+  const dryRun = CFG.isProfileDryRun(profile);
+  const slackMessage = `${dryRun ? "[DRY-RUN] " : ""}${displayName} manually moved from ${shortTierLabel(
+    info.currentTier
+  )} to ${shortTierLabel(tier)}.${note}`;
+
+  const result = await withTargetLock(`${key}:${info.id}`, () =>
+    stateStore.update(
+      { profileKey: key, ids: [info.id] },
+      async (state) => {
+        const pState = ensureProfileState(state, key);
+        if (dryRun) {
+          await appendEvent({ type: "dry_run_move", ...moveSummary, action: "dry_run_move" });
+          await slackService.sendRingTreeSlackMessage(slackMessage);
+          return { action: "dry_run_move", ...moveSummary };
+        }
+        return performTierMove(pState, profile, moveSummary, {
+          completedType: "manual_move",
+          slackMessage,
+          slackNote: note,
+        });
+      },
+      { retryOnConflict: false }
+    )
+  );
+
+  if (result.action === "move_completed" && pin && result.finalTargetId !== info.id) {
+    await ringTreePinService.updatePinTargetId(key, { targetId: info.id, targetName: info.name }, result.finalTargetId);
+  }
+  const failed = result.action === "move_failed";
+  return { ok: !failed, status: failed ? 502 : 200, ...result };
+}
+
+/** Pin a target to a tier (optionally until expiresAt); moveNow also force-moves it there. */
+async function pinTarget({ profileKey, target, tier, reason, expiresAt: rawExpiresAt, moveNow, actor }) {
+  if (mongoose.connection.readyState !== 1) {
+    return { ok: false, status: 503, error: "Pins require MongoDB (not connected)" };
+  }
+  const { expiresAt, error } = parsePinExpiry(rawExpiresAt);
+  if (error) return { ok: false, status: 400, error };
+  const resolved = await resolveOverrideRequest(profileKey, target, tier);
+  if (resolved.error) return resolved.error;
+  const { key, profile, info } = resolved;
+
+  const { pin, previous } = await ringTreePinService.upsertPin({
+    profileKey: key,
+    targetId: info.id,
+    targetName: info.name,
+    tier,
+    reason,
+    expiresAt,
+    actor,
+  });
+  await appendEvent({
+    type: "target_pinned",
+    profileKey: key,
+    targetId: info.id,
+    targetName: info.name || info.id,
+    currentTier: info.currentTier,
+    pinnedTier: tier,
+    expiresAt: pin.expiresAt,
+    reason: reason || "",
+    actor: actor || null,
+    previousPin: previous,
+  });
+  await slackService.sendRingTreeSlackMessage(
+    `Ring Tree pin (${profile.label}): ${info.name || info.id} pinned to ${shortTierLabel(tier)}${
+      pin.expiresAt ? ` until ${pin.expiresAt}` : ""
+    } by ${actorLabel(actor)}${reason ? ` — ${reason}` : ""}`
+  );
+
+  const move =
+    moveNow && info.currentTier !== tier
+      ? await manualMoveTarget({ profileKey: key, target: info.id, tier, reason, actor })
+      : null;
+  return {
+    ok: true,
+    status: previous ? 200 : 201,
+    pin,
+    currentTier: info.currentTier,
+    inPinnedTier: info.currentTier === tier,
+    move,
+  };
+}
+
+async function unpinTarget({ profileKey, target, actor }) {
+  if (mongoose.connection.readyState !== 1) {
+    return { ok: false, status: 503, error: "Pins require MongoDB (not connected)" };
+  }
+  const key = String(profileKey || "").trim().toLowerCase();
+  const profile = CFG.getProfiles()[key];
+  if (!profile) return { ok: false, status: 404, error: `Profile "${key}" not found` };
+
+  // Resolve the name so a pin made before a move (old RTT id) is still found; fall back to the raw value.
+  let info = null;
+  try {
+    info = await resolveProfileTarget(profile, target);
+  } catch {
+    info = null;
+  }
+  const removed = await ringTreePinService.removePin(key, {
+    targetId: info?.id || target,
+    targetName: info?.name || target,
+  });
+  if (!removed) return { ok: false, status: 404, error: `No active pin for "${target}" in ${key}` };
+
+  await appendEvent({
+    type: "target_unpinned",
+    profileKey: key,
+    targetId: info?.id || removed.targetId,
+    targetName: removed.targetName || info?.name || target,
+    currentTier: info?.currentTier || null,
+    pinnedTier: removed.tier,
+    actor: actor || null,
+  });
+  await slackService.sendRingTreeSlackMessage(
+    `Ring Tree pin (${profile.label}): ${removed.targetName || target} unpinned from ${shortTierLabel(
+      removed.tier
+    )} by ${actorLabel(actor)}`
+  );
+  return { ok: true, status: 200, removed };
+}
+
+async function listPins(profileKey) {
+  if (mongoose.connection.readyState !== 1) {
+    return { ok: false, status: 503, error: "Pins require MongoDB (not connected)" };
+  }
+  return { ok: true, status: 200, pins: await ringTreePinService.listActivePins(profileKey) };
+}
+
 async function getStatus(profileKeyFilter) {
   const state = await loadState();
   const profiles = profileKeyFilter
@@ -1223,6 +1557,7 @@ async function getStatus(profileKeyFilter) {
         targetId,
         targetName: tState.targetName || null,
         batchSize: tState.batch?.length || 0,
+        ...(tState.window ? { windowSize: tState.window.length, window: tState.window } : {}),
         seenCallIds: tState.seenCallIds?.length || 0,
         batch: tState.batch || [],
       });
@@ -1238,6 +1573,10 @@ async function getStatus(profileKeyFilter) {
       dryRun: CFG.isProfileDryRun(p),
       campaignName: p.campaignName || null,
       rpcRules: CFG.getProfileRpcRules(p),
+      tierRules: CFG.getProfileTierRules(p),
+      batchSize: CFG.getProfileBatchSize(p),
+      moveCooldownMs: CFG.getProfileMoveCooldownMs(p),
+      evaluation: CFG.getProfileEvaluation(p),
       tiers: p.tiers.map((t) => ({ name: t.name, pingTreeId: t.pingTreeId })),
     })),
     targetCount: targets.length,
@@ -1254,7 +1593,10 @@ async function simulateTestBatch(options = {}) {
   const profileKey = (options.profileKey || "fe").trim().toLowerCase();
   const targetId = String(options.targetId || "").trim();
   const targetName = String(options.targetName || "").trim();
-  const count = Math.min(100, Math.max(1, parseInt(options.count, 10) || CFG.BATCH_SIZE));
+  const count = Math.min(
+    100,
+    Math.max(1, parseInt(options.count, 10) || CFG.getProfileBatchSize(CFG.getProfiles()[profileKey]))
+  );
   const baseRevenue = parseRevenue(options.revenuePerCall ?? options.revenue ?? 25);
 
   if (!targetId) {
@@ -1298,35 +1640,43 @@ async function simulateTestBatch(options = {}) {
 }
 
 async function resetProfileState(profileKey) {
-  return withStateMutex(async () => {
-    const state = await loadState();
+  return stateStore.update(profileKey ? { profileKey } : {}, (state) => {
     if (profileKey) {
       delete state.profiles[profileKey];
     } else {
       state.profiles = {};
     }
-    await saveState(state);
     return { ok: true, profileKey: profileKey || "all" };
   });
 }
 
 /**
  * Clear in-progress batches (batch + seenCallIds) for all targets.
+ * Rolling-window profiles keep their windows; only windows idle for 7+ days are dropped.
  * Preserves lastMoveAt cooldowns. Runs daily at 1am ET by default.
  */
 async function clearAllOpenBatches(options = {}) {
-  return withStateMutex(async () => {
-    const state = await loadState();
+  const profileConfigs = CFG.getProfiles();
+  const now = Date.now();
+  const summary = await stateStore.update({}, (state) => {
     let targetsCleared = 0;
     let callsCleared = 0;
     const clearedByProfile = {};
 
     for (const [pKey, pState] of Object.entries(state.profiles || {})) {
       if (!pState?.targets) continue;
+      const rolling = CFG.getProfileEvaluation(profileConfigs[pKey]).mode === "rolling";
       let profileTargets = 0;
       let profileCalls = 0;
 
       for (const [targetId, tState] of Object.entries(pState.targets)) {
+        if (rolling && Array.isArray(tState.window)) {
+          if (!ringTreeRpcWindow.isWindowStale(tState.window, now)) continue;
+          profileCalls += tState.window.length;
+          profileTargets += 1;
+          delete pState.targets[targetId];
+          continue;
+        }
         const batchLen = tState.batch?.length || 0;
         const seenLen = tState.seenCallIds?.length || 0;
         if (batchLen === 0 && seenLen === 0) continue;
@@ -1346,25 +1696,23 @@ async function clearAllOpenBatches(options = {}) {
       }
     }
 
-    await saveState(state);
-
-    const summary = {
+    return {
       ok: true,
       targetsCleared,
       callsCleared,
       clearedByProfile,
       trigger: options.trigger || "manual",
     };
+  });
 
-    if (targetsCleared > 0 || options.trigger) {
-      await appendEvent({
-        type: "batch_daily_reset",
-        ...summary,
-      });
-    }
+  if (summary.targetsCleared > 0 || options.trigger) {
+    await appendEvent({
+      type: "batch_daily_reset",
+      ...summary,
+    });
+  }
 
-    return summary;
-  });
+  return summary;
 }
 
 function getHealthPayload() {
@@ -1372,6 +1720,7 @@ function getHealthPayload() {
   return {
     ok: true,
     service: "dynamic-ring-tree-target",
+    stateBackend: stateStore.backend,
     dryRun: CFG.DRY_RUN,
     batchSize: CFG.BATCH_SIZE,
     revenueBackfillEnabled: CFG.REVENUE_BACKFILL_ENABLED,
@@ -1394,6 +1743,8 @@ function getHealthPayload() {
 module.exports = {
   loadState,
   saveState,
+  emptyState,
+  normalizeState,
   parseRevenue,
   normalizePhone,
   getRawTierFromRpc,
@@ -1409,7 +1760,13 @@ module.exports = {
   listFeRingTreesWithTargets,
   normalizePingTreeTarget,
   ingestPixelCall,
+  isDemotion,
+  ringbaRequest,
   evaluateBatchMove,
+  manualMoveTarget,
+  pinTarget,
+  unpinTarget,
+  listPins,
   handlePixelIngest,
   parsePixelParams,
   getIgnoreReason,
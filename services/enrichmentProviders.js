@@ -0,0 +1,325 @@
+/**
+ * Enrichment providers — caller identity lookup by phone, used through services/enrichmentService.js
+ * (cache, spend counters, circuit breaker). Same shape as services/conversionDestinations.js:
+ *
+ * lookup(phone10, audit) resolves { matched: boolean, profile, httpStatus } and throws on transport /
+ * HTTP errors (the service counts those towards the circuit breaker). Profiles share one shape:
+ * { email, firstName, lastName, gender, dateOfBirth, city, state, zip, ipAddress, aGA, aID, aGI }.
+ */
+const crypto = require("crypto");
+const axios = require("axios");
+const DATAZAPP = require("../config/datazapp");
+
+// Audience Acuity (Realink 2.0) identity lookup config.
+// Uses AA_KEY_ID + timestamp + md5(timestamp + AA_SECRET) auth.
+const AA_ORIGIN = (process.env.AA_ORIGIN || "https://api.audienceacuity.com").trim();
+const AA_KEY_ID = (process.env.AA_KEY_ID || "").trim();
+const AA_SECRET = (process.env.AA_SECRET || "").trim();
+const AA_TEMPLATE = process.env.AA_TEMPLATE ? Number(process.env.AA_TEMPLATE) : 6323591;
+const LOOKUP_TIMEOUT_MS = 10000;
+const PROFILE_FIELDS = [
+  "email",
+  "firstName",
+  "lastName",
+  "gender",
+  "dateOfBirth",
+  "city",
+  "state",
+  "zip",
+  "ipAddress",
+  "aGA",
+  "aID",
+  "aGI",
+];
+
+const toStr = (v) => (v != null && typeof v === "string" && v.trim() ? v.trim() : null);
+
+/** true when at least one profile field is set (an all-null identity counts as no match). */
+function hasAnyField(profile) {
+  return !!profile && PROFILE_FIELDS.some((field) => profile[field]);
+}
+
+function normalizeGenderForRoku(rawGender) {
+  if (rawGender == null || typeof rawGender !== "string") return null;
+  const s = rawGender.trim().toLowerCase();
+  if (!s) return null;
+  if (s === "m" || s === "male") return "male";
+  if (s === "f" || s === "female") return "female";
+  return "unknown";
+}
+
+function normalizeDateOfBirthForRoku(rawDob) {
+  if (rawDob == null || typeof rawDob !== "string") return null;
+  const s = rawDob.trim();
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(s)) return null;
+  return s;
+}
+
+/** Audience Acuity identity → profile (email / IP selection rules below). */
+function parseAudienceAcuityIdentity(identity) {
+  // Handle both raw AA identity shapes and the "cleaned" identity shape you tested.
+  // Email selection rules (per your request):
+  // 1) prefer emails with optIn: true
+  // 2) within that set, choose the one with highest rankOrder
+  // 3) if none have optIn, choose highest rankOrder from the full list
+  // 4) ties: choose the first one in the array
+  const selectBestEmail = () => {
+    const emails = identity?.emails;
+    if (!Array.isArray(emails) || emails.length === 0) return null;
+
+    // Keep original order by using a single pass that only updates on "strictly better".
+    const hasOptInTrue = emails.some((e) => typeof e === "object" && e != null && e.optIn === true);
+    let bestRank = -Infinity;
+    let bestEmail = null;
+
+    for (const entry of emails) {
+      // AA sometimes returns emails as strings; we can't infer optIn/rankOrder then.
+      if (typeof entry === "string") {
+        if (hasOptInTrue) continue; // only consider explicit opt-in emails when available
+        // If we only have plain strings, pick the first one (preserve order).
+        if (bestEmail == null) bestEmail = entry;
+        continue;
+      }
+
+      if (!entry || typeof entry !== "object") continue;
+      const emailStr = typeof entry.email === "string" ? entry.email : null;
+      if (!emailStr) continue;
+
+      if (hasOptInTrue && entry.optIn !== true) continue;
+
+      const rank = Number(entry.rankOrder);
+      const safeRank = Number.isFinite(rank) ? rank : -Infinity;
+
+      if (safeRank > bestRank) {
+        bestRank = safeRank;
+        bestEmail = emailStr;
+      }
+      // If safeRank === bestRank, we intentionally keep the first one (no update).
+    }
+
+    return bestEmail;
+  };
+
+  const email = selectBestEmail() ?? (typeof identity?.email === "string" ? identity.email : null);
+
+  let firstName = identity?.firstName ?? null;
+  let lastName = identity?.lastName ?? null;
+
+  // If AA didn't provide split names, derive from identity.name
+  if ((!firstName || !lastName) && typeof identity?.name === "string" && identity.name.trim()) {
+    const parts = identity.name.trim().split(/\s+/).filter(Boolean);
+    if (parts.length > 0) {
+      firstName = parts[0] || null;
+      const rest = parts.slice(1).join(" ").trim();
+      lastName = rest || null;
+    }
+  }
+
+  // Prefer top-level identity fields, then fall back to nested identity.data fields
+  // to match the external clean proxy behavior.
+  const rawGender = identity?.gender ?? identity?.data?.gender ?? null;
+  const rawDob = identity?.dateOfBirth ?? identity?.birthDate ?? identity?.data?.birthDate ?? null;
+  const gender = normalizeGenderForRoku(rawGender);
+  const dateOfBirth = normalizeDateOfBirthForRoku(rawDob);
+
+  let city = identity?.city ?? null;
+  let state = identity?.state ?? null;
+  let zip = identity?.zip ?? null;
+
+  // If AA provided a full address but not split geo fields, parse from address string:
+  // Example: "1532 Brown St, Middletown OH 45044"
+  if ((!city || !state || !zip) && typeof identity?.address === "string" && identity.address.trim()) {
+    const addr = identity.address.trim();
+    // Grab: ", <city> <STATE> <zip>"
+    const m = addr.match(/,\s*([^,]+?)\s+([A-Za-z]{2})\s+(\d{5})(?:-\d{4})?/);
+    if (m) {
+      city = m[1];
+      state = m[2].toUpperCase();
+      zip = m[3];
+    }
+  }
+
+  // IP selection rules (per your request):
+  // - identity.ips is an array of { ip, intensity }
+  // - choose the highest intensity
+  // - ties: choose the first one
+  const selectBestIp = () => {
+    const ips = identity?.ips;
+    if (!Array.isArray(ips) || ips.length === 0) return null;
+
+    let bestIntensity = -Infinity;
+    let bestIp = null;
+
+    for (const entry of ips) {
+      const ipStr = entry && typeof entry === "object" ? entry.ip : null;
+      if (typeof ipStr !== "string" || !ipStr.trim()) continue;
+
+      const intensity = entry && typeof entry === "object" ? Number(entry.intensity) : NaN;
+      const safeIntensity = Number.isFinite(intensity) ? intensity : -Infinity;
+
+      if (safeIntensity > bestIntensity) {
+        bestIntensity = safeIntensity;
+        bestIp = ipStr;
+      }
+      // If safeIntensity === bestIntensity, keep first (no update).
+    }
+
+    return bestIp;
+  };
+
+  const ipAddress = selectBestIp() ?? identity?.ipAddress ?? null;
+
+  let aGA = null;
+  let aID = null;
+  let aGI = null;
+  const devices =
+    (Array.isArray(identity?.devices) ? identity.devices : null) ??
+    (Array.isArray(identity?.data?.devices) ? identity.data.devices : null) ??
+    [];
+  if (devices.length > 0) {
+    for (const d of devices) {
+      const idType = String(d?.idType ?? "").trim().toUpperCase();
+      const deviceId = typeof d?.deviceId === "string" ? d.deviceId.trim() : "";
+      if (!deviceId) continue;
+
+      if (idType === "GAID" || idType === "ADID" || idType === "AAID") aGA = deviceId;
+      else if (idType === "IDFA") aID = deviceId;
+      else if (idType === "IDFV") aGI = deviceId;
+      if (aGA && aID && aGI) break;
+    }
+  } else if (identity?.mobileId) {
+    // If AA response does not include device idType, we don't know whether this is Apple vs Android.
+    // Send the same mobileId to all Roku mobile-id fields to avoid losing enrichment.
+    aGA = identity.mobileId;
+    aID = identity.mobileId;
+    aGI = identity.mobileId;
+  }
+
+
+  const cleaned = {
+    email: toStr(email),
+    firstName: toStr(firstName),
+    lastName: toStr(lastName),
+    gender,
+    dateOfBirth,
+    city: toStr(city),
+    state: toStr(state),
+    zip: toStr(zip),
+    ipAddress: toStr(ipAddress),
+    aGA,
+    aID,
+    aGI,
+  };
+
+  return cleaned;
+}
+
+const audienceacuity = {
+  name: "audienceacuity",
+  label: "Audience Acuity",
+
+  isConfigured() {
+    return !!(AA_ORIGIN && AA_KEY_ID && AA_SECRET);
+  },
+
+  async lookup(phone10, audit = {}) {
+    const requestBody = { inputs: [phone10], template: AA_TEMPLATE };
+
+    const now = Date.now().toString(36);
+    const hash = crypto.createHash("md5").update(`${now}${AA_SECRET}`, "utf8").digest("hex");
+    const authHeader = `Bearer ${AA_KEY_ID}${now}${hash}`;
+
+    const url = `${AA_ORIGIN}/v2/identities/byPhone`;
+    const response = await axios.post(url, requestBody, {
+      headers: {
+        "Content-Type": "application/json",
+        Authorization: authHeader,
+      },
+      timeout: LOOKUP_TIMEOUT_MS,
+    });
+
+    audit.requestedAt = new Date().toISOString();
+    audit.httpStatus = response?.status;
+
+    const data = response.data;
+    const results = data?.results ?? data?.[0]?.results ?? null;
+    const identity = Array.isArray(results?.[0]?.identities) ? results[0].identities[0] : null;
+    if (!identity) return { matched: false, profile: null, httpStatus: response?.status };
+
+    const profile = parseAudienceAcuityIdentity(identity);
+    // If AA returns the identity object but all fields are null, treat as no enrichment.
+    return hasAnyField(profile)
+      ? { matched: true, profile, httpStatus: response?.status }
+      : { matched: false, profile: null, httpStatus: response?.status };
+  },
+};
+
+/** DataZapp Reverse Phone Append (config/datazapp.js): name, postal address and email where available. */
+function parseDatazappRow(row = {}) {
+  const pick = (...keys) => toStr(keys.map((k) => row[k]).find((v) => typeof v === "string" && v.trim()));
+  const state = pick("State", "state");
+  const zip = pick("ZipCode", "Zip", "zip");
+  return {
+    email: pick("Email", "email"),
+    firstName: pick("FirstName", "firstName"),
+    lastName: pick("LastName", "lastName"),
+    gender: normalizeGenderForRoku(pick("Gender", "gender")),
+    dateOfBirth: normalizeDateOfBirthForRoku(pick("DOB", "DateOfBirth")),
+    city: pick("City", "city"),
+    state: state ? state.toUpperCase() : null,
+    zip: zip ? zip.slice(0, 5) : null,
+    ipAddress: null,
+    aGA: null,
+    aID: null,
+    aGI: null,
+  };
+}
+
+const datazapp = {
+  name: "datazapp",
+  label: "DataZapp",
+
+  isConfigured() {
+    return !!(DATAZAPP.API_URL && DATAZAPP.API_KEY);
+  },
+
+  async lookup(phone10, audit = {}) {
+    const response = await axios.post(
+      DATAZAPP.API_URL,
+      { ApiKey: DATAZAPP.API_KEY, AppendModule: DATAZAPP.APPEND_MODULE, Data: [{ Phone: phone10 }] },
+      { headers: { "Content-Type": "application/json" }, timeout: LOOKUP_TIMEOUT_MS }
+    );
+
+    audit.requestedAt = new Date().toISOString();
+    audit.httpStatus = response?.status;
+
+    const data = response.data || {};
+    // DataZapp reports auth / credit problems with HTTP 200 and an error message.
+    const apiError = data.ErrorMessage || data.Error || (data.ResponseCode && data.ResponseCode !== "Success" && data.Message);
+    if (apiError) {
+      const error = new Error(`DataZapp: ${apiError}`);
+      error.response = { status: response.status, data };
+      throw error;
+    }
+    const rows = data.ResponseDetail?.Data ?? data.Data ?? [];
+    const row = Array.isArray(rows) ? rows[0] : null;
+    const profile = row ? parseDatazappRow(row) : null;
+    return hasAnyField(profile)
+      ? { matched: true, profile, httpStatus: response?.status }
+      : { matched: false, profile: null, httpStatus: response?.status };
+  },
+};
+
+const PROVIDERS = { audienceacuity, datazapp };
+
+function getProvider(name) {
+  return PROVIDERS[name] || null;
+}
+
+module.exports = {
+  PROVIDERS,
+  getProvider,
+  hasAnyField,
+  parseAudienceAcuityIdentity,
+  parseDatazappRow,
+};
@@ -0,0 +1,332 @@
+/**
+ * Caller identity enrichment shared by Roku, Jade and Google (config/enrichment.js).
+ *
+ * getCallerProfile(conversion) → profile | null:
+ * 1. enrichmentProfiles cache by phone hash (matches for ENRICHMENT_CACHE_TTL_HOURS, "no match" shorter)
+ * 2. concurrent lookups for the same caller share one provider call
+ * 3. providers in ENRICHMENT_PROVIDERS order; first match wins. A provider whose circuit is open (too many
+ *    consecutive errors) is skipped until its cooldown ends, then one trial lookup decides whether it closes.
+ * Every paid lookup / cache hit is counted per provider per UTC day in enrichmentUsage.
+ * Lookup failures never throw: callers continue without enrichment, as they did before.
+ */
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+const CFG = require("../config/enrichment");
+const EnrichmentProfile = require("../models/enrichmentProfileModel");
+const EnrichmentUsage = require("../models/enrichmentUsageModel");
+const { getProvider } = require("./enrichmentProviders");
+const slackService = require("./slackService");
+
+const HOUR_MS = 60 * 60 * 1000;
+const MAX_USAGE_RANGE_DAYS = 92;
+const PHONE_FIELDS = ["phone", "caller_phone", "callerPhone", "callerPhoneNumber", "phone_home"];
+
+/** provider -> { consecutiveFailures, openUntil, trialInFlight, lastError } */
+const circuits = {};
+/** phoneHash -> pending lookup */
+const inFlight = new Map();
+
+function isMongoReady() {
+  return mongoose.connection.readyState === 1;
+}
+
+function getRawPhone(conversion = {}) {
+  for (const field of PHONE_FIELDS) {
+    const raw = conversion[field];
+    if (typeof raw === "string" && raw.trim()) return raw.trim();
+  }
+  return "";
+}
+
+/** Last 10 digits, the lookup key for every provider. */
+function normalizeLookupPhone(raw) {
+  const digits = String(raw ?? "").replace(/\D/g, "");
+  return digits.length >= 10 ? digits.slice(-10) : "";
+}
+
+/** sha256 of the last 10 digits — same as conversionDeliveries / data retention phone hashes. */
+function hashLookupPhone(phone10) {
+  return crypto.createHash("sha256").update(phone10, "utf8").digest("hex");
+}
+
+function utcDayKey(date = new Date()) {
+  return date.toISOString().slice(0, 10);
+}
+
+function bumpUsage(provider, inc) {
+  if (!isMongoReady()) return;
+  EnrichmentUsage.updateOne({ provider, day: utcDayKey() }, { $inc: inc }, { upsert: true }).catch((err) =>
+    console.warn("⚠️ enrichmentUsage write failed:", err.message)
+  );
+}
+
+function getCircuit(provider) {
+  if (!circuits[provider]) {
+    circuits[provider] = { consecutiveFailures: 0, openUntil: 0, trialInFlight: false, lastError: null };
+  }
+  return circuits[provider];
+}
+
+/** Closed → allow; open → skip until cooldown ends; then half-open: exactly one trial lookup at a time. */
+function circuitAllows(provider, now = Date.now()) {
+  const circuit = getCircuit(provider);
+  if (!circuit.openUntil) return true;
+  if (now < circuit.openUntil || circuit.trialInFlight) return false;
+  circuit.trialInFlight = true;
+  return true;
+}
+
+function recordProviderSuccess(provider) {
+  const circuit = getCircuit(provider);
+  if (circuit.openUntil) console.log(`[enrichment] ${provider} circuit closed (trial lookup succeeded)`);
+  circuit.consecutiveFailures = 0;
+  circuit.openUntil = 0;
+  circuit.trialInFlight = false;
+}
+
+function recordProviderFailure(provider, message) {
+  const circuit = getCircuit(provider);
+  const { failureThreshold, cooldownMs } = CFG.getProviderConfig(provider);
+  const wasOpen = !!circuit.openUntil;
+  circuit.consecutiveFailures += 1;
+  circuit.trialInFlight = false;
+  circuit.lastError = message;
+  if (circuit.consecutiveFailures < failureThreshold) return;
+  circuit.openUntil = Date.now() + cooldownMs;
+  console.warn(
+    `[enrichment] ${provider} circuit open for ${Math.round(cooldownMs / 1000)}s after ${circuit.consecutiveFailures} consecutive error(s): ${message}`
+  );
+  if (!wasOpen) {
+    slackService
+      .sendSlackMessage(
+        `⚠️ Enrichment provider ${getProvider(provider)?.label || provider} disabled for ${Math.round(cooldownMs / 60000)} min after ${circuit.consecutiveFailures} consecutive errors (conversions continue without enrichment).\nLast error: ${message}`
+      )
+      .catch(() => {});
+  }
+}
+
+function describeError(error) {
+  const body = error.response?.data;
+  const msg = body ? JSON.stringify(body) : error.message;
+  return typeof msg === "string" ? msg.slice(0, 500) : String(msg);
+}
+
+async function readCache(phoneHash) {
+  if (!CFG.CACHE_ENABLED || !isMongoReady()) return null;
+  try {
+    return await EnrichmentProfile.findOneAndUpdate(
+      { phoneHash, expiresAt: { $gt: new Date() } },
+      { $inc: { hits: 1 }, $set: { lastHitAt: new Date() } },
+      { new: true }
+    ).lean();
+  } catch (err) {
+    console.warn("⚠️ enrichmentProfiles read failed:", err.message);
+    return null;
+  }
+}
+
+async function writeCache(phoneHash, provider, profile) {
+  const ttlHours = profile ? CFG.CACHE_TTL_HOURS : CFG.NO_MATCH_TTL_HOURS;
+  if (!CFG.CACHE_ENABLED || !isMongoReady() || !ttlHours) return;
+  try {
+    await EnrichmentProfile.updateOne(
+      { phoneHash },
+      {
+        $set: {
+          provider,
+          status: profile ? "matched" : "no_match",
+          profile,
+          expiresAt: new Date(Date.now() + ttlHours * HOUR_MS),
+        },
+        $setOnInsert: { hits: 0 },
+      },
+      { upsert: true }
+    );
+  } catch (err) {
+    console.warn("⚠️ enrichmentProfiles write failed:", err.message);
+  }
+}
+
+async function lookupProviders(phone10, phoneHash, audit) {
+  let noMatchFrom = null;
+  let hadError = false;
+  const skipped = [];
+
+  for (const name of CFG.PROVIDERS) {
+    const provider = getProvider(name);
+    if (!provider.isConfigured()) {
+      skipped.push(`${name}:not_configured`);
+      continue;
+    }
+    if (!circuitAllows(name)) {
+      skipped.push(`${name}:circuit_open`);
+      bumpUsage(name, { circuitSkips: 1 });
+      continue;
+    }
+
+    const providerAudit = {};
+    try {
+      const { matched, profile } = await provider.lookup(phone10, providerAudit);
+      recordProviderSuccess(name);
+      bumpUsage(name, {
+        lookups: 1,
+        [matched ? "matches" : "noMatches"]: 1,
+        costCents: CFG.getProviderConfig(name).costCents,
+      });
+      Object.assign(audit, providerAudit, { source: name });
+      if (matched) {
+        audit.reason = "enriched";
+        await writeCache(phoneHash, name, profile);
+        return profile;
+      }
+      noMatchFrom = name;
+    } catch (error) {
+      hadError = true;
+      const message = describeError(error);
+      console.warn(`📋 Enrichment ${name} error (continuing without it):`, {
+        status: error.response?.status,
+        message,
+      });
+      recordProviderFailure(name, message);
+      bumpUsage(name, { lookups: 1, failures: 1 });
+      Object.assign(audit, providerAudit, {
+        source: name,
+        httpStatus: error.response?.status,
+        errorMessage: message,
+      });
+    }
+  }
+
+  if (skipped.length) audit.skippedProviders = skipped;
+  if (noMatchFrom) {
+    audit.reason = "no_identity_match";
+    // Only a clean "no match" is cached; after an error the next call tries again.
+    if (!hadError) await writeCache(phoneHash, noMatchFrom, null);
+  } else {
+    audit.reason = hadError ? "api_error" : skipped.length ? skipped.join(",") : "no_provider_configured";
+  }
+  return null;
+}
+
+/**
+ * Enriched profile for the caller on a conversion (phone / caller_phone / callerPhone / phone_home).
+ * @param {Object|string} conversionOrPhone - Ringba conversion or a raw phone
+ * @param {Object} [audit] - filled with { source, reason, cached, httpStatus, errorMessage, ... } for audit logs
+ * @returns {Promise<{ email, firstName, lastName, gender, dateOfBirth, city, state, zip, ipAddress, aGA, aID, aGI }|null>}
+ */
+async function getCallerProfile(conversionOrPhone, audit = {}) {
+  const rawPhone = typeof conversionOrPhone === "string" ? conversionOrPhone.trim() : getRawPhone(conversionOrPhone || {});
+  if (!rawPhone) {
+    audit.reason = "no_phone";
+    console.warn("📋 Enrichment: no phone on conversion, skipping lookup");
+    return null;
+  }
+  const phone10 = normalizeLookupPhone(rawPhone);
+  if (!phone10) {
+    audit.reason = "invalid_phone";
+    console.warn("📋 Enrichment: phone is not at least 10 digits, skipping lookup", { phone: rawPhone });
+    return null;
+  }
+  const phoneHash = hashLookupPhone(phone10);
+
+  const cached = await readCache(phoneHash);
+  if (cached) {
+    bumpUsage(cached.provider, { cacheHits: 1 });
+    Object.assign(audit, {
+      source: "cache",
+      provider: cached.provider,
+      cached: true,
+      cachedAt: cached.updatedAt,
+      reason: cached.status === "matched" ? "enriched" : "no_identity_match",
+    });
+    return cached.status === "matched" ? cached.profile : null;
+  }
+
+  audit.cached = false;
+  if (inFlight.has(phoneHash)) {
+    const shared = await inFlight.get(phoneHash);
+    Object.assign(audit, shared.audit, { shared: true });
+    return shared.profile;
+  }
+  const sharedAudit = {};
+  const pending = lookupProviders(phone10, phoneHash, sharedAudit)
+    .catch((err) => {
+      // Defensive: provider errors are handled above; this only guards unexpected bugs.
+      console.error("Enrichment lookup error:", err);
+      sharedAudit.reason = "internal_error";
+      return null;
+    })
+    .then((profile) => ({ profile, audit: sharedAudit }));
+  inFlight.set(phoneHash, pending);
+  try {
+    const { profile } = await pending;
+    Object.assign(audit, sharedAudit);
+    return profile;
+  } finally {
+    inFlight.delete(phoneHash);
+  }
+}
+
+function getProviderStatus(now = Date.now()) {
+  return CFG.PROVIDER_NAMES.map((name) => {
+    const circuit = getCircuit(name);
+    const open = circuit.openUntil > now;
+    return {
+      provider: name,
+      enabled: CFG.PROVIDERS.includes(name),
+      configured: getProvider(name).isConfigured(),
+      circuit: !circuit.openUntil ? "closed" : open ? "open" : "half_open",
+      openUntil: open ? new Date(circuit.openUntil).toISOString() : null,
+      consecutiveFailures: circuit.consecutiveFailures,
+      lastError: circuit.lastError,
+      ...CFG.getProviderConfig(name),
+    };
+  });
+}
+
+/** GET /api/v1/enrichment/usage?from=YYYY-MM-DD&to=YYYY-MM-DD — per-provider daily counters (default: last 30 days) */
+async function getUsage(query = {}) {
+  const dayPattern = /^\d{4}-\d{2}-\d{2}$/;
+  const to = query.to ? String(query.to).trim() : utcDayKey();
+  const from = query.from ? String(query.from).trim() : utcDayKey(new Date(Date.now() - 29 * 24 * HOUR_MS));
+  if (!dayPattern.test(from) || !dayPattern.test(to)) {
+    return { ok: false, status: 400, error: "from / to must be YYYY-MM-DD" };
+  }
+  if (from > to) return { ok: false, status: 400, error: "from must not be after to" };
+  if ((new Date(to) - new Date(from)) / (24 * HOUR_MS) >= MAX_USAGE_RANGE_DAYS) {
+    return { ok: false, status: 400, error: `Range is limited to ${MAX_USAGE_RANGE_DAYS} days` };
+  }
+
+  const providers = getProviderStatus();
+  if (!isMongoReady()) return { ok: true, from, to, providers, days: [], totals: {} };
+
+  const days = await EnrichmentUsage.find({ day: { $gte: from, $lte: to } })
+    .sort({ day: -1, provider: 1 })
+    .select("-_id -__v -createdAt -updatedAt")
+    .lean();
+  const totals = {};
+  for (const row of days) {
+    const t = (totals[row.provider] ||= {
+      lookups: 0,
+      matches: 0,
+      noMatches: 0,
+      failures: 0,
+      circuitSkips: 0,
+      cacheHits: 0,
+      costCents: 0,
+    });
+    for (const key of Object.keys(t)) t[key] += row[key] || 0;
+  }
+  for (const t of Object.values(totals)) {
+    t.matchRate = t.matches + t.noMatches ? Math.round((t.matches / (t.matches + t.noMatches)) * 10000) / 10000 : null;
+    t.cacheHitRate = t.lookups + t.cacheHits ? Math.round((t.cacheHits / (t.lookups + t.cacheHits)) * 10000) / 10000 : null;
+  }
+  return { ok: true, from, to, providers, totals, days };
+}
+
+module.exports = {
+  getCallerProfile,
+  getProviderStatus,
+  getUsage,
+  normalizeLookupPhone,
+};
@@ -0,0 +1,363 @@
+/**
+ * Google Ads accounts (googleAdsAccounts collection) — CRUD for admins and per-conversion routing for
+ * googleConversionService. Active accounts are cached for GOOGLE_ADS_ACCOUNTS_CACHE_TTL_MS, so an account added
+ * through the API is used by every instance within that window, without a redeploy.
+ */
+const mongoose = require("mongoose");
+const GoogleAdsAccount = require("../models/googleAdsAccountModel");
+const CFG = require("../config/googleAdsAccounts");
+const credentialCrypto = require("./credentialCrypto");
+const credentialVault = require("./credentialVault");
+
+const EMPTY_INDEX = { byKey: new Map(), byAction: new Map(), byCampaign: new Map() };
+
+/** { index, loadedAt } */
+let accountCache = null;
+let accountCacheLoading = null;
+
+function envTrim(name) {
+  return String(process.env[name] || "").trim();
+}
+
+function firstField(payload, fields) {
+  for (const field of fields) {
+    const value = payload?.[field];
+    if (value != null && String(value).trim() !== "") return String(value).trim();
+  }
+  return "";
+}
+
+function normalizeCustomerId(value) {
+  const digits = String(value ?? "").replace(/-/g, "").trim();
+  return /^\d{10}$/.test(digits) ? digits : null;
+}
+
+function normalizeIdList(value) {
+  if (!Array.isArray(value)) return null;
+  return [...new Set(value.map((v) => String(v ?? "").trim()).filter(Boolean))];
+}
+
+function invalidateCache() {
+  accountCache = null;
+}
+
+function buildIndex(docs) {
+  const index = { byKey: new Map(), byAction: new Map(), byCampaign: new Map() };
+  for (const doc of docs) {
+    index.byKey.set(doc.key, doc);
+    if (!doc.active) continue;
+    for (const id of doc.conversionActionIds || []) index.byAction.set(id, doc);
+    for (const id of doc.redtrackCampaignIds || []) index.byCampaign.set(id, doc);
+  }
+  return index;
+}
+
+async function getAccountIndex() {
+  if (mongoose.connection.readyState !== 1) return EMPTY_INDEX;
+  if (accountCache && Date.now() - accountCache.loadedAt < CFG.CACHE_TTL_MS) return accountCache.index;
+  if (!accountCacheLoading) {
+    accountCacheLoading = GoogleAdsAccount.find()
+      .lean()
+      .then((docs) => {
+        accountCache = { index: buildIndex(docs), loadedAt: Date.now() };
+        return accountCache.index;
+      })
+      .finally(() => {
+        accountCacheLoading = null;
+      });
+  }
+  return accountCacheLoading;
+}
+
+/**
+ * Pick the account for one conversion (order in config/googleAdsAccounts.js).
+ * `doc` is null when the key has no stored account — the caller falls back to env for legacy keys.
+ * @param {Object} payload - webhook payload
+ * @param {{ fallbackKey: string }} options - legacy key when nothing matches ("mcc1" / "default")
+ * @returns {Promise<{ key: string, matchedBy: string, doc: Object | null }>}
+ */
+async function routeConversion(payload = {}, { fallbackKey = "default" } = {}) {
+  const index = await getAccountIndex();
+  // A deactivated "default" / "mcc1" account hands back to its env pack; other inactive keys are an error.
+  const storedFor = (key) => {
+    const doc = index.byKey.get(key) || null;
+    return doc && !doc.active && CFG.LEGACY_ACCOUNT_KEYS.includes(key) ? null : doc;
+  };
+  const requestedKey = firstField(payload, CFG.ACCOUNT_KEY_FIELDS).toLowerCase();
+  if (requestedKey) return { key: requestedKey, matchedBy: "account", doc: storedFor(requestedKey) };
+  const actionId = firstField(payload, ["conversionActionId", "conversion_action_id"]);
+  const byAction = actionId ? index.byAction.get(actionId) : null;
+  if (byAction) return { key: byAction.key, matchedBy: "conversionActionId", doc: byAction };
+  const campaignId = firstField(payload, CFG.REDTRACK_CAMPAIGN_FIELDS);
+  const byCampaign = campaignId ? index.byCampaign.get(campaignId) : null;
+  if (byCampaign) return { key: byCampaign.key, matchedBy: "redtrackCampaign", doc: byCampaign };
+  return { key: fallbackKey, matchedBy: fallbackKey === "mcc1" ? "mcc" : "default", doc: storedFor(fallbackKey) };
+}
+
+function accountConfigError(message, code, accountKey) {
+  const error = new Error(message);
+  error.code = code;
+  error.statusCode = 503;
+  error.accountKey = accountKey;
+  return error;
+}
+
+/**
+ * Stored account → the credential pack googleConversionService uploads with (secrets decrypted).
+ * Empty client id / secret / developer token fall back to GOOGLE_ADS_* env.
+ */
+function toResolvedAccount(doc) {
+  if (!doc.active) {
+    throw accountConfigError(`Google Ads account "${doc.key}" is inactive.`, "google_ads_account_inactive", doc.key);
+  }
+  const clientId = doc.clientId || envTrim("GOOGLE_ADS_CLIENT_ID");
+  const clientSecret = doc.clientSecretEncrypted
+    ? credentialCrypto.decryptSecret(doc.clientSecretEncrypted)
+    : envTrim("GOOGLE_ADS_CLIENT_SECRET");
+  const developerToken = doc.developerTokenEncrypted
+    ? credentialCrypto.decryptSecret(doc.developerTokenEncrypted)
+    : envTrim("GOOGLE_ADS_DEVELOPER_TOKEN");
+  const refreshToken = credentialCrypto.decryptSecret(doc.refreshTokenEncrypted);
+  if (!clientId || !clientSecret || !developerToken || !refreshToken) {
+    throw accountConfigError(
+      `Google Ads account "${doc.key}" has no client id / secret / developer token and GOOGLE_ADS_* env has none either.`,
+      "google_ads_account_incomplete",
+      doc.key
+    );
+  }
+  return {
+    accountKey: doc.key,
+    googleCustomerId: doc.customerId,
+    loginCustomerId: doc.loginCustomerId,
+    clientId,
+    clientSecret,
+    developerToken,
+    refreshToken,
+  };
+}
+
+function toPublicAccount(doc) {
+  if (!doc) return null;
+  return {
+    key: doc.key,
+    name: doc.name || "",
+    customerId: doc.customerId,
+    loginCustomerId: doc.loginCustomerId,
+    clientId: doc.clientId || null,
+    // Masked only; "env" = falls back to GOOGLE_ADS_* at upload time.
+    credentials: {
+      clientSecret: doc.clientSecretEncrypted ? credentialVault.mask(doc.clientSecretEncrypted) : "env",
+      developerToken: doc.developerTokenEncrypted ? credentialVault.mask(doc.developerTokenEncrypted) : "env",
+      refreshToken: credentialVault.mask(doc.refreshTokenEncrypted),
+    },
+    conversionActionIds: doc.conversionActionIds || [],
+    redtrackCampaignIds: doc.redtrackCampaignIds || [],
+    active: doc.active !== false,
+    lastTest: doc.lastTest?.at ? doc.lastTest : null,
+    createdBy: doc.createdBy || null,
+    updatedBy: doc.updatedBy || null,
+    createdAt: doc.createdAt || null,
+    updatedAt: doc.updatedAt || null,
+  };
+}
+
+/**
+ * Validate a create (partial = false) or update body.
+ * @returns {{ errors: string[], set: Object }} `set` holds normalized fields, secrets already sealed
+ */
+function validateAccountInput(input, { partial = false } = {}) {
+  const errors = [];
+  const set = {};
+  const has = (field) => input[field] !== undefined;
+
+  if (!partial) {
+    const key = String(input.key ?? "").trim().toLowerCase();
+    if (!CFG.KEY_PATTERN.test(key)) {
+      errors.push("key is required: lowercase letters, digits, - or _ (max 40)");
+    } else set.key = key;
+  }
+  for (const field of ["customerId", "loginCustomerId"]) {
+    if (!partial || has(field)) {
+      const id = normalizeCustomerId(input[field]);
+      if (!id) errors.push(`${field} must be a 10-digit Google Ads customer id`);
+      else set[field] = id;
+    }
+  }
+  for (const field of ["name", "clientId"]) {
+    if (has(field)) {
+      if (typeof input[field] !== "string") errors.push(`${field} must be a string`);
+      else set[field] = input[field].trim();
+    }
+  }
+  for (const field of ["conversionActionIds", "redtrackCampaignIds"]) {
+    if (has(field)) {
+      const list = normalizeIdList(input[field]);
+      if (!list) errors.push(`${field} must be an array`);
+      else if (field === "conversionActionIds" && list.some((id) => !/^\d+$/.test(id))) {
+        errors.push("conversionActionIds must be numeric");
+      } else set[field] = list;
+    }
+  }
+  if (has("active")) {
+    if (typeof input.active !== "boolean") errors.push("active must be a boolean");
+    else set.active = input.active;
+  }
+
+  const secrets = { clientSecret: "clientSecretEncrypted", developerToken: "developerTokenEncrypted" };
+  if (!partial && (typeof input.refreshToken !== "string" || !input.refreshToken.trim())) {
+    errors.push("refreshToken is required");
+  }
+  if (has("refreshToken")) secrets.refreshToken = "refreshTokenEncrypted";
+  for (const [field, stored] of Object.entries(secrets)) {
+    if (!has(field)) continue;
+    if (typeof input[field] !== "string") {
+      errors.push(`${field} must be a string`);
+      continue;
+    }
+    const value = input[field].trim();
+    if (!value && field === "refreshToken") {
+      if (partial) errors.push("refreshToken cannot be cleared");
+      continue;
+    }
+    // Empty client secret / developer token clears it (falls back to env).
+    set[stored] = value ? credentialVault.seal(value) : "";
+  }
+  return { errors, set };
+}
+
+function mongoUnavailable() {
+  return { ok: false, status: 503, error: "Google Ads accounts require a MongoDB connection" };
+}
+
+/** 409 result when another active account already routes one of these ids. */
+async function findMappingConflict(set, excludeKey) {
+  const checks = [
+    ["conversionActionIds", set.conversionActionIds],
+    ["redtrackCampaignIds", set.redtrackCampaignIds],
+  ];
+  for (const [field, ids] of checks) {
+    if (!ids || !ids.length) continue;
+    const other = await GoogleAdsAccount.findOne({
+      key: { $ne: excludeKey },
+      active: true,
+      [field]: { $in: ids },
+    })
+      .select(`key ${field}`)
+      .lean();
+    if (other) {
+      const shared = ids.filter((id) => other[field].includes(id));
+      return { ok: false, status: 409, error: `${field} ${shared.join(", ")} already routed to account "${other.key}"` };
+    }
+  }
+  return null;
+}
+
+async function listAccounts({ includeInactive = true } = {}) {
+  if (mongoose.connection.readyState !== 1) return mongoUnavailable();
+  const docs = await GoogleAdsAccount.find(includeInactive ? {} : { active: true }).sort({ key: 1 }).lean();
+  return { ok: true, accounts: docs.map(toPublicAccount) };
+}
+
+async function getAccount(key) {
+  if (mongoose.connection.readyState !== 1) return mongoUnavailable();
+  const doc = await GoogleAdsAccount.findOne({ key: String(key || "").toLowerCase() }).lean();
+  if (!doc) return { ok: false, status: 404, error: "Google Ads account not found" };
+  return { ok: true, account: toPublicAccount(doc) };
+}
+
+async function createAccount(input, actor) {
+  if (mongoose.connection.readyState !== 1) return mongoUnavailable();
+  const body = input && typeof input === "object" ? input : {};
+  const { errors, set } = validateAccountInput(body);
+  if (errors.length) return { ok: false, status: 400, error: "Invalid Google Ads account", details: errors };
+  if (await GoogleAdsAccount.exists({ key: set.key })) {
+    return { ok: false, status: 409, error: `Google Ads account "${set.key}" already exists` };
+  }
+  const conflict = await findMappingConflict(set, set.key);
+  if (conflict) return conflict;
+
+  const doc = await GoogleAdsAccount.create({ ...set, createdBy: actor?.email || null, updatedBy: actor?.email || null });
+  invalidateCache();
+  console.log(`[google-ads-accounts] created ${doc.key} (customer ${doc.customerId}) by ${actor?.email || "?"}`);
+  return { ok: true, status: 201, account: toPublicAccount(doc.toObject()) };
+}
+
+async function updateAccount(key, input, actor) {
+  if (mongoose.connection.readyState !== 1) return mongoUnavailable();
+  const body = input && typeof input === "object" ? input : {};
+  const { errors, set } = validateAccountInput(body, { partial: true });
+  if (errors.length) return { ok: false, status: 400, error: "Invalid Google Ads account", details: errors };
+  const normalizedKey = String(key || "").toLowerCase();
+  const existing = await GoogleAdsAccount.findOne({ key: normalizedKey }).lean();
+  if (!existing) return { ok: false, status: 404, error: "Google Ads account not found" };
+  // Re-activating an account re-checks its existing mappings too.
+  const willBeActive = set.active ?? existing.active;
+  if (willBeActive) {
+    const conflict = await findMappingConflict(
+      {
+        conversionActionIds: set.conversionActionIds ?? existing.conversionActionIds,
+        redtrackCampaignIds: set.redtrackCampaignIds ?? existing.redtrackCampaignIds,
+      },
+      normalizedKey
+    );
+    if (conflict) return conflict;
+  }
+
+  const doc = await GoogleAdsAccount.findOneAndUpdate(
+    { key: normalizedKey },
+    { $set: { ...set, updatedBy: actor?.email || null } },
+    { new: true }
+  ).lean();
+  invalidateCache();
+  console.log(`[google-ads-accounts] updated ${normalizedKey} (${Object.keys(set).join(", ") || "no changes"}) by ${actor?.email || "?"}`);
+  return { ok: true, account: toPublicAccount(doc) };
+}
+
+async function deleteAccount(key, actor) {
+  if (mongoose.connection.readyState !== 1) return mongoUnavailable();
+  const doc = await GoogleAdsAccount.findOneAndDelete({ key: String(key || "").toLowerCase() }).lean();
+  if (!doc) return { ok: false, status: 404, error: "Google Ads account not found" };
+  invalidateCache();
+  console.log(`[google-ads-accounts] deleted ${doc.key} by ${actor?.email || "?"}`);
+  return { ok: true, account: toPublicAccount(doc) };
+}
+
+/** Stored account by key, bypassing the cache (for the test-credentials action). */
+async function findStoredAccount(key) {
+  if (mongoose.connection.readyState !== 1) return null;
+  return GoogleAdsAccount.findOne({ key: String(key || "").toLowerCase() }).lean();
+}
+
+async function recordTestResult(key, test, actor) {
+  if (mongoose.connection.readyState !== 1) return;
+  await GoogleAdsAccount.updateOne(
+    { key },
+    {
+      $set: {
+        lastTest: {
+          at: new Date(),
+          ok: test.ok,
+          conversionActionId: test.conversionActionId || null,
+          httpStatus: test.httpStatus ?? null,
+          error: test.error || null,
+          by: actor?.email || null,
+        },
+      },
+    }
+  );
+}
+
+module.exports = {
+  routeConversion,
+  toResolvedAccount,
+  toPublicAccount,
+  validateAccountInput,
+  invalidateCache,
+  listAccounts,
+  getAccount,
+  createAccount,
+  updateAccount,
+  deleteAccount,
+  findStoredAccount,
+  recordTestResult,
+};
@@ -1,6 +1,11 @@
+const crypto = require("crypto");
 const axios = require("axios");
 const fs = require("fs");
 const path = require("path");
+const ENRICHMENT = require("../config/enrichment");
+const GOOGLE_ADS_ACCOUNTS = require("../config/googleAdsAccounts");
+const enrichmentService = require("./enrichmentService");
+const googleAdsAccountService = require("./googleAdsAccountService");
 
 const GOOGLE_OAUTH_TOKEN_URL = "https://oauth2.googleapis.com/token";
 const GOOGLE_ADS_API_VERSION = (process.env.GOOGLE_ADS_API_VERSION || "v22").trim();
@@ -33,12 +38,12 @@ function isMcc1(payload = {}) {
 }
 
 /**
- * Resolve which Google Ads account + OAuth pack to use.
+ * Legacy env account packs ("default" / "mcc1").
  * Default path stays on existing GOOGLE_ADS_* + 4316986825.
- * mcc=1 requires GOOGLE_ADS_MCC1_* (client id/secret may fall back to default OAuth client).
+ * mcc1 requires GOOGLE_ADS_MCC1_* (client id/secret may fall back to default OAuth client).
  */
-function resolveGoogleAdsAccount(payload = {}) {
-  if (isMcc1(payload)) {
+function resolveEnvAccount(accountKey) {
+  if (accountKey === "mcc1") {
     const googleCustomerId =
       envTrim("GOOGLE_ADS_MCC1_CUSTOMER_ID", DEFAULT_MCC1_CUSTOMER_ID) ||
       DEFAULT_MCC1_CUSTOMER_ID;
@@ -99,6 +104,33 @@ function resolveGoogleAdsAccount(payload = {}) {
   };
 }
 
+function resolveAccountByKey(accountKey, doc) {
+  if (doc) return googleAdsAccountService.toResolvedAccount(doc);
+  if (GOOGLE_ADS_ACCOUNTS.LEGACY_ACCOUNT_KEYS.includes(accountKey)) return resolveEnvAccount(accountKey);
+  const error = new Error(`Unknown Google Ads account "${accountKey}". Add it at /api/v1/google-ads/accounts.`);
+  error.code = "google_ads_account_not_found";
+  error.statusCode = 503;
+  error.accountKey = accountKey;
+  throw error;
+}
+
+/**
+ * Resolve which Google Ads account + OAuth pack to use for one conversion: stored googleAdsAccounts routing
+ * (account key → conversionActionId → RedTrack campaign, see config/googleAdsAccounts.js), then the legacy
+ * mcc=1 / default env packs. Throws (statusCode 503) when the chosen account is missing or incomplete.
+ */
+async function resolveGoogleAdsAccount(payload = {}) {
+  const route = await googleAdsAccountService.routeConversion(payload, {
+    fallbackKey: isMcc1(payload) ? "mcc1" : "default",
+  });
+  try {
+    return { ...resolveAccountByKey(route.key, route.doc), matchedBy: route.matchedBy };
+  } catch (error) {
+    error.accountKey = error.accountKey || route.key;
+    throw error;
+  }
+}
+
 /** Total attempts for OAuth + upload (1 = no retry). Transient errors only. */
 function getUploadMaxAttempts() {
   const parsed = parseInt(
@@ -271,6 +303,27 @@ async function getGoogleAccessToken(account) {
   return token;
 }
 
+function sha256Hex(value) {
+  return crypto.createHash("sha256").update(value, "utf8").digest("hex");
+}
+
+/**
+ * Enhanced conversions: hashed caller phone (E.164) plus the enriched email, when the payload carries a caller
+ * phone and ENRICHMENT_GOOGLE_USER_IDENTIFIERS_ENABLED is on. Enrichment comes from the shared cache, so a
+ * caller already looked up for Roku / Jade costs nothing here.
+ */
+async function buildUserIdentifiers(payload = {}) {
+  if (!ENRICHMENT.GOOGLE_USER_IDENTIFIERS_ENABLED) return [];
+  const rawPhone = payload.phone ?? payload.caller_phone ?? payload.callerPhone ?? payload.callerPhoneNumber ?? "";
+  const phone10 = enrichmentService.normalizeLookupPhone(rawPhone);
+  if (!phone10) return [];
+  const identifiers = [{ hashedPhoneNumber: sha256Hex(`+1${phone10}`) }];
+  const profile = await enrichmentService.getCallerProfile(phone10);
+  const email = typeof profile?.email === "string" ? profile.email.trim().toLowerCase() : "";
+  if (email) identifiers.push({ hashedEmail: sha256Hex(email) });
+  return identifiers;
+}
+
 function buildUploadPayload(input) {
   const {
     googleCustomerId,
@@ -280,6 +333,8 @@ function buildUploadPayload(input) {
     clickIdValue,
     conversionValue,
     currencyCode,
+    userIdentifiers = [],
+    validateOnly = getValidateOnly(),
   } = input;
 
   return {
@@ -290,10 +345,11 @@ function buildUploadPayload(input) {
         conversionValue,
         currencyCode,
         [clickIdType]: clickIdValue,
+        ...(userIdentifiers.length && { userIdentifiers }),
       },
     ],
     partialFailure: true,
-    validateOnly: getValidateOnly(),
+    validateOnly,
   };
 }
 
@@ -398,6 +454,81 @@ function formatGoogleConversionSlackAlert({ result, source, exception, callID }
   return lines.join("\n");
 }
 
+/**
+ * Validate before queuing in the conversion outbox (same 400s as uploadGoogleClickConversion) and pin
+ * conversionDateTime to receipt time, so a delayed delivery does not report the conversion late.
+ * @returns {{ ok: true, payload: Object } | Object} error result shaped like uploadGoogleClickConversion's
+ */
+function prepareQueuedConversion(payload = {}) {
+  const callId = resolveCallId(payload);
+  if (!pickClickId(payload)) {
+    return attachCallIdToErrorResult(
+      {
+        ok: false,
+        statusCode: 400,
+        error: "missing_click_id",
+        message: "One of gclid, gbraid, or wbraid is required.",
+      },
+      callId
+    );
+  }
+  if (!validateConversionActionId(payload.conversionActionId ?? payload.conversion_action_id)) {
+    return attachCallIdToErrorResult(
+      {
+        ok: false,
+        statusCode: 400,
+        error: "invalid_conversion_action_id",
+        message: "conversionActionId is required and must be numeric.",
+      },
+      callId
+    );
+  }
+  return {
+    ok: true,
+    payload: { ...payload, conversionDateTime: resolveConversionDateTime(payload.conversionDateTime) },
+  };
+}
+
+/**
+ * Dry-run view of what uploadGoogleClickConversion would send (no token, no upload, no log line).
+ * @returns {Promise<{ ok: true, accountKey: string, matchedBy: string, body: Object } | Object>} error result as for
+ *   prepareQueuedConversion
+ */
+async function previewUploadPayload(payload = {}) {
+  const prepared = prepareQueuedConversion(payload);
+  if (!prepared.ok) return prepared;
+  let account;
+  try {
+    account = await resolveGoogleAdsAccount(payload);
+  } catch (configError) {
+    return attachCallIdToErrorResult(
+      {
+        ok: false,
+        statusCode: configError.statusCode || 503,
+        error: configError.code || "google_ads_config_missing",
+        message: configError.message,
+        accountKey: configError.accountKey || null,
+      },
+      resolveCallId(payload)
+    );
+  }
+  const clickId = pickClickId(payload);
+  return {
+    ok: true,
+    accountKey: account.accountKey,
+    matchedBy: account.matchedBy,
+    body: buildUploadPayload({
+      googleCustomerId: account.googleCustomerId,
+      conversionActionId: validateConversionActionId(payload.conversionActionId ?? payload.conversion_action_id),
+      conversionDateTime: prepared.payload.conversionDateTime,
+      clickIdType: clickId.clickIdType,
+      clickIdValue: clickId.clickIdValue,
+      conversionValue: resolveConversionValue(payload),
+      currencyCode: resolveCurrencyCode(payload),
+    }),
+  };
+}
+
 async function uploadGoogleClickConversion(payload = {}) {
   const callId = resolveCallId(payload);
   const clickId = pickClickId(payload);
@@ -410,7 +541,7 @@ async function uploadGoogleClickConversion(payload = {}) {
 
   let account;
   try {
-    account = resolveGoogleAdsAccount(payload);
+    account = await resolveGoogleAdsAccount(payload);
   } catch (configError) {
     const result = attachCallIdToErrorResult(
       {
@@ -418,7 +549,7 @@ async function uploadGoogleClickConversion(payload = {}) {
         statusCode: configError.statusCode || 503,
         error: configError.code || "google_ads_config_missing",
         message: configError.message,
-        accountKey: isMcc1(payload) ? "mcc1" : "default",
+        accountKey: configError.accountKey || (isMcc1(payload) ? "mcc1" : "default"),
       },
       callId
     );
@@ -435,6 +566,7 @@ async function uploadGoogleClickConversion(payload = {}) {
   const { accountKey, googleCustomerId, loginCustomerId, developerToken } = account;
   const logContext = {
     accountKey,
+    accountMatchedBy: account.matchedBy,
     googleCustomerId,
     loginCustomerId,
     conversionActionId: conversionActionId || null,
@@ -499,6 +631,8 @@ async function uploadGoogleClickConversion(payload = {}) {
       return result;
     }
 
+    const userIdentifiers = await buildUserIdentifiers(payload);
+    logContext.userIdentifierCount = userIdentifiers.length;
     const requestBody = buildUploadPayload({
       googleCustomerId,
       conversionActionId,
@@ -507,6 +641,7 @@ async function uploadGoogleClickConversion(payload = {}) {
       clickIdValue: clickId.clickIdValue,
       conversionValue,
       currencyCode,
+      userIdentifiers,
     });
     const url = `${GOOGLE_ADS_API_BASE}/customers/${googleCustomerId}:uploadClickConversions`;
     const maxAttempts = getUploadMaxAttempts();
@@ -632,8 +767,85 @@ async function uploadGoogleClickConversion(payload = {}) {
   }
 }
 
+/**
+ * "Test credentials" for one account key (stored, or the legacy env packs): OAuth refresh, then a validateOnly
+ * upload for one conversion action. Without a real gclid Google rejects the row as a partial failure, which
+ * still proves the token, developer token and customer / login ids are accepted. The outcome is saved on the
+ * stored account's lastTest.
+ * @param {string} accountKey
+ * @param {{ conversionActionId?: string, gclid?: string }} [input] - action defaults to the account's first
+ */
+async function testGoogleAdsAccountCredentials(accountKey, input = {}, actor) {
+  const key = String(accountKey || "").trim().toLowerCase();
+  const doc = await googleAdsAccountService.findStoredAccount(key);
+  if (!doc && !GOOGLE_ADS_ACCOUNTS.LEGACY_ACCOUNT_KEYS.includes(key)) {
+    return { ok: false, status: 404, error: "Google Ads account not found" };
+  }
+  const conversionActionId = validateConversionActionId(
+    String(input.conversionActionId ?? doc?.conversionActionIds?.[0] ?? "")
+  );
+  if (!conversionActionId) {
+    return { ok: false, status: 400, error: "conversionActionId is required (numeric) when the account maps none" };
+  }
+
+  let account;
+  try {
+    // An inactive account can still be tested before it is switched on.
+    account = resolveAccountByKey(key, doc ? { ...doc, active: true } : null);
+  } catch (configError) {
+    return { ok: false, status: configError.statusCode || 503, error: configError.message, code: configError.code || null };
+  }
+
+  const test = { accountKey: key, googleCustomerId: account.googleCustomerId, conversionActionId };
+  const requestBody = buildUploadPayload({
+    googleCustomerId: account.googleCustomerId,
+    conversionActionId,
+    conversionDateTime: formatGoogleDateTime(new Date()),
+    clickIdType: "gclid",
+    clickIdValue: String(input.gclid || "").trim() || GOOGLE_ADS_ACCOUNTS.TEST_GCLID,
+    conversionValue: GOOGLE_CONVERSION_VALUE,
+    currencyCode: GOOGLE_CURRENCY_CODE,
+    validateOnly: true,
+  });
+  try {
+    const accessToken = await getGoogleAccessToken(account);
+    const response = await axios.post(
+      `${GOOGLE_ADS_API_BASE}/customers/${account.googleCustomerId}:uploadClickConversions`,
+      requestBody,
+      {
+        headers: {
+          Authorization: `Bearer ${accessToken}`,
+          "developer-token": account.developerToken,
+          "login-customer-id": account.loginCustomerId,
+          "Content-Type": "application/json",
+        },
+        timeout: 30000,
+      }
+    );
+    test.ok = true;
+    test.httpStatus = response.status;
+    test.partialFailure = parseGooglePartialFailure(response.data);
+  } catch (error) {
+    test.ok = false;
+    test.httpStatus = error.response?.status ?? null;
+    const googleError = error.response?.data?.error;
+    test.error =
+      (typeof googleError === "string" ? `${googleError}: ${error.response.data.error_description || ""}`.trim() : null) ||
+      googleError?.message ||
+      error.message;
+  }
+
+  if (doc) await googleAdsAccountService.recordTestResult(key, test, actor);
+  console.log(`[google-ads-accounts] credentials test ${key}: ${test.ok ? "ok" : `failed (${test.error})`} by ${actor?.email || "?"}`);
+  return { ok: true, test };
+}
+
 module.exports = {
   uploadGoogleClickConversion,
+  testGoogleAdsAccountCredentials,
+  prepareQueuedConversion,
+  previewUploadPayload,
+  formatGoogleDateTime,
   shouldNotifyGoogleConversionSlack,
   formatGoogleConversionSlackAlert,
   extractGoogleFailureSummary,
@@ -1,7 +1,7 @@
 const axios = require("axios");
 const fs = require("fs");
 const path = require("path");
-const { getCallerDataFromAudienceAcuity } = require("./rokuConversionService");
+const enrichmentService = require("./enrichmentService");
 
 const JADE_INBOUND_URL = (
   process.env.JADE_INBOUND_URL ||
@@ -213,7 +213,11 @@ async function postJadeLeadWithRetry(payload) {
   throw lastError;
 }
 
-async function sendConversionsToJade(conversions) {
+/**
+ * @param {Array<Object>} conversions
+ * @param {{ skipDuplicateCheck?: boolean }} options - skipDuplicateCheck for outbox retries (first attempt recorded the phone)
+ */
+async function sendConversionsToJade(conversions, options = {}) {
   const results = [];
 
   for (const conversion of conversions) {
@@ -221,7 +225,7 @@ async function sendConversionsToJade(conversions) {
     try {
       const rawPhone = getRawPhone(conversion);
       const phoneHome = normalizePhoneHome(rawPhone);
-      const duplicateToday = await isDuplicateTodayAndAdd(phoneHome);
+      const duplicateToday = options.skipDuplicateCheck ? false : await isDuplicateTodayAndAdd(phoneHome);
       if (duplicateToday) {
         results.push({
           success: false,
@@ -242,7 +246,7 @@ async function sendConversionsToJade(conversions) {
         });
         continue;
       }
-      const callerData = await getCallerDataFromAudienceAcuity(conversion);
+      const callerData = await enrichmentService.getCallerProfile(conversion);
 
       const firstName = typeof callerData?.firstName === "string" ? callerData.firstName.trim() : "";
       const lastName = typeof callerData?.lastName === "string" ? callerData.lastName.trim() : "";
@@ -338,4 +342,6 @@ async function sendConversionsToJade(conversions) {
 module.exports = {
   sendConversionsToJade,
   calculateAgeFromDob,
+  normalizePhoneHome,
+  getEasternDayKey,
 };
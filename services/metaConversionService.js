@@ -0,0 +1,256 @@
+/**
+ * Meta (Facebook) Conversions API — server-side Lead / Purchase events for converted calls (config/meta.js).
+ * Phone / email / name hashing reuses rokuConversionService (normalizePhone, normalizeEmail, normalizeName, sha256).
+ * Each conversion carries its own pixel_id and meta_access_token from Ringba, the way Roku conversions carry
+ * roku_api_key. An event_id already sent within 48h is skipped (logs/meta-recent-events.json).
+ */
+const fs = require("fs");
+const path = require("path");
+const axios = require("axios");
+const META_CONFIG = require("../config/meta");
+const {
+  normalizePhone,
+  normalizeEmail,
+  normalizeName,
+  sha256Hash,
+  timestampMicrosToEpochSeconds,
+} = require("./rokuConversionService");
+
+const RECENT_EVENTS_FILE = path.join(__dirname, "..", "logs", "meta-recent-events.json");
+let recentEventsLock = null;
+
+function str(value) {
+  if (value == null) return "";
+  return String(value).trim();
+}
+
+function firstOf(conversion, keys) {
+  for (const key of keys) {
+    const value = str(conversion[key]);
+    if (value) return value;
+  }
+  return "";
+}
+
+function getPixelId(conversion) {
+  return firstOf(conversion, ["pixel_id", "pixelId", "meta_pixel_id"]);
+}
+
+function getAccessToken(conversion) {
+  return firstOf(conversion, ["meta_access_token", "metaAccessToken", "access_token"]);
+}
+
+function getEventId(conversion) {
+  return firstOf(conversion, ["event_id", "eventId", "callId", "call_id", "callID"]);
+}
+
+function getRawPhone(conversion) {
+  return firstOf(conversion, ["phone", "caller_phone", "callerPhone", "callerPhoneNumber"]);
+}
+
+/** Meta wants digits with country code; Ringba sends US numbers with or without the leading 1. */
+function normalizePhoneForMeta(raw) {
+  const phone = normalizePhone(raw).replace(/\D/g, "");
+  if (phone.length === 10) return `1${phone}`;
+  return phone.length >= 11 ? phone : "";
+}
+
+function getEventTime(conversion) {
+  return timestampMicrosToEpochSeconds(conversion.event_time ?? conversion.eventTime ?? conversion.timestampMicros ?? "");
+}
+
+/**
+ * Pin event_time to receipt time before queuing in the conversion outbox (Ringba rarely sends one), so a
+ * delayed delivery does not report the event, or the fbc derived from it, late.
+ */
+function prepareQueuedConversion(conversion = {}) {
+  return { ...conversion, event_time: getEventTime(conversion) };
+}
+
+/**
+ * Build one Meta event from a Ringba conversion.
+ * user_data: ph / em / fn / ln / ct / st / zp / country hashed; client_ip_address, client_user_agent, fbc, fbp,
+ * external_id (hashed call id) as Meta expects them. fbc is derived from fbclid when Ringba only has the click id.
+ * @returns {{ pixelId: string, payload: { data: Array, test_event_code?: string } }}
+ */
+function buildMetaEvent(conversion, options = {}) {
+  const eventTime = getEventTime(conversion);
+  const requestedName = firstOf(conversion, ["event_name", "eventName"]) || META_CONFIG.DEFAULT_EVENT_NAME;
+  const eventName =
+    META_CONFIG.EVENT_NAMES.find((n) => n.toLowerCase() === requestedName.toLowerCase()) ||
+    META_CONFIG.DEFAULT_EVENT_NAME;
+
+  const userData = {};
+  const hashInto = (key, value) => {
+    if (value) userData[key] = [sha256Hash(value)];
+  };
+  hashInto("ph", normalizePhoneForMeta(getRawPhone(conversion)));
+  hashInto("em", normalizeEmail(firstOf(conversion, ["email", "em"])));
+  hashInto("fn", normalizeName(firstOf(conversion, ["first_name", "firstName", "fn"])));
+  hashInto("ln", normalizeName(firstOf(conversion, ["last_name", "lastName", "ln"])));
+  hashInto("ct", firstOf(conversion, ["ct", "city"]).toLowerCase().replace(/[^a-z]/g, ""));
+  const state = firstOf(conversion, ["st", "state"]).toLowerCase();
+  hashInto("st", /^[a-z]{2}$/.test(state) ? state : "");
+  hashInto("zp", firstOf(conversion, ["zp", "zip"]).replace(/\D/g, "").slice(0, 5));
+  hashInto("country", "us");
+  const eventId = getEventId(conversion);
+  hashInto("external_id", eventId);
+
+  const ip = firstOf(conversion, ["client_ip_address", "ip", "IP"]);
+  if (ip) userData.client_ip_address = ip;
+  const userAgent = firstOf(conversion, ["client_user_agent", "user_agent", "userAgent"]);
+  if (userAgent) userData.client_user_agent = userAgent;
+  const fbclid = firstOf(conversion, ["fbclid"]);
+  const fbc = firstOf(conversion, ["fbc"]) || (fbclid ? `fb.1.${eventTime * 1000}.${fbclid}` : "");
+  if (fbc) userData.fbc = fbc;
+  const fbp = firstOf(conversion, ["fbp"]);
+  if (fbp) userData.fbp = fbp;
+
+  const event = {
+    event_name: eventName,
+    event_time: eventTime,
+    event_id: eventId,
+    action_source: META_CONFIG.ACTION_SOURCE,
+    user_data: userData,
+  };
+  const valueRaw = conversion.value ?? conversion.payout ?? conversion.conversion_value ?? null;
+  const value = valueRaw == null || str(valueRaw) === "" ? null : Number(str(valueRaw));
+  // Purchase requires value + currency; Lead sends them when Ringba has a payout.
+  if (Number.isFinite(value) || eventName === "Purchase") {
+    event.custom_data = {
+      value: Number.isFinite(value) ? value : 0,
+      currency: (firstOf(conversion, ["currency", "currency_code"]) || "USD").toUpperCase(),
+    };
+  }
+  const sourceUrl = firstOf(conversion, ["event_source_url"]);
+  if (sourceUrl) event.event_source_url = sourceUrl;
+
+  const payload = { data: [event] };
+  const testEventCode = firstOf(conversion, ["test_event_code"]) || options.testEventCode || META_CONFIG.TEST_EVENT_CODE;
+  if (testEventCode) payload.test_event_code = testEventCode;
+  return { pixelId: getPixelId(conversion), payload };
+}
+
+/** Fields the webhook rejects on; empty when the conversion can be sent. */
+function missingMetaFields(conversion) {
+  const missing = [];
+  if (!getPixelId(conversion)) missing.push("pixel_id");
+  if (!getAccessToken(conversion)) missing.push("meta_access_token");
+  if (!getEventId(conversion)) missing.push("event_id (or callId)");
+  const hasIdentifier =
+    normalizePhoneForMeta(getRawPhone(conversion)) ||
+    firstOf(conversion, ["email", "em", "fbc", "fbclid", "fbp", "client_ip_address", "ip", "IP"]);
+  if (!hasIdentifier) missing.push("phone, email, fbclid/fbc, fbp or ip");
+  return missing;
+}
+
+/**
+ * Run a function with exclusive lock so only one read-modify-write on recent events runs at a time.
+ */
+async function withRecentEventsLock(fn) {
+  const next = (recentEventsLock || Promise.resolve()).then(() => fn()).then(
+    (r) => {
+      recentEventsLock = null;
+      return r;
+    },
+    (e) => {
+      recentEventsLock = null;
+      throw e;
+    }
+  );
+  recentEventsLock = next;
+  return next;
+}
+
+async function getRecentEvents() {
+  let list = [];
+  try {
+    const parsed = JSON.parse(await fs.promises.readFile(RECENT_EVENTS_FILE, "utf8"));
+    if (Array.isArray(parsed)) list = parsed;
+  } catch (e) {
+    if (e.code !== "ENOENT") console.warn("📋 Meta recent-events read failed:", e.message);
+  }
+  const now = Date.now();
+  return list.filter((entry) => entry && entry.ts && now - entry.ts < META_CONFIG.DEDUPE_TTL_MS);
+}
+
+/**
+ * If this pixel + event_id was already sent within 48h, return true (duplicate).
+ * Otherwise record it and return false.
+ */
+async function isDuplicateAndAdd(pixelId, eventId) {
+  const key = `${pixelId}:${eventId}`;
+  return withRecentEventsLock(async () => {
+    const list = await getRecentEvents();
+    if (list.some((entry) => entry.key === key)) {
+      console.log("📋 Meta: skipping duplicate event_id within 48h:", key);
+      return true;
+    }
+    list.push({ key, ts: Date.now() });
+    await fs.promises.mkdir(path.dirname(RECENT_EVENTS_FILE), { recursive: true });
+    await fs.promises.writeFile(RECENT_EVENTS_FILE, JSON.stringify(list, null, 0), "utf8");
+    return false;
+  });
+}
+
+/**
+ * Send conversions to the Meta Conversions API, one request per conversion (each may use its own pixel / token).
+ * @param {Array<Object>} conversions - Ringba conversions (pixel_id, meta_access_token, event_id, phone, ...)
+ * @param {{ skipDuplicateCheck?: boolean, testEventCode?: string }} [options]
+ * @returns {Promise<Array<{ conversion, sentToMeta?, response?, error?, status?, skipped? }>>}
+ */
+async function sendConversionsToMeta(conversions, options = {}) {
+  const results = [];
+
+  for (const conversion of conversions) {
+    const missing = missingMetaFields(conversion);
+    if (missing.length) {
+      console.error("❌ Meta CAPI: conversion missing", missing.join(", "));
+      results.push({ conversion, error: `Missing ${missing.join(", ")}`, status: 400 });
+      continue;
+    }
+
+    const { pixelId, payload } = buildMetaEvent(conversion, options);
+    const eventId = payload.data[0].event_id;
+    const isDuplicate = options.skipDuplicateCheck ? false : await isDuplicateAndAdd(pixelId, eventId);
+    if (isDuplicate) {
+      results.push({ conversion, skipped: true });
+      continue;
+    }
+
+    const url = `${META_CONFIG.GRAPH_API_BASE}/${META_CONFIG.API_VERSION}/${encodeURIComponent(pixelId)}/events`;
+    try {
+      const response = await axios.post(
+        url,
+        { ...payload, access_token: getAccessToken(conversion) },
+        { headers: { "Content-Type": "application/json" }, timeout: META_CONFIG.REQUEST_TIMEOUT_MS }
+      );
+      console.log("✅ Meta CAPI success:", {
+        pixel_id: pixelId,
+        event_id: eventId,
+        events_received: response.data?.events_received,
+      });
+      results.push({ conversion, sentToMeta: payload, response: response.data });
+    } catch (error) {
+      // Graph API errors: { error: { message, type, code, fbtrace_id } } — never echo the token.
+      const graphError = error.response?.data?.error;
+      const errMsg = graphError
+        ? `${graphError.message || "Meta API error"} (code ${graphError.code ?? "?"}${graphError.fbtrace_id ? `, fbtrace_id ${graphError.fbtrace_id}` : ""})`
+        : error.response?.data
+          ? JSON.stringify(error.response.data)
+          : error.message;
+      console.error("❌ Meta CAPI error:", { pixel_id: pixelId, event_id: eventId, status: error.response?.status, errMsg });
+      results.push({ conversion, sentToMeta: payload, error: errMsg, status: error.response?.status ?? null });
+    }
+  }
+
+  return results;
+}
+
+module.exports = {
+  buildMetaEvent,
+  missingMetaFields,
+  normalizePhoneForMeta,
+  prepareQueuedConversion,
+  sendConversionsToMeta,
+};
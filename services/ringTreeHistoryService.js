@@ -0,0 +1,240 @@
+/**
+ * Ring-tree decision history — persists evaluation/move events from both engines
+ * (Ringba + CallGrid) into ringTreeEvents and serves history / per-target timelines.
+ * The *-events.jsonl files stay as the raw firehose; only decisions land here.
+ */
+const mongoose = require("mongoose");
+const RingTreeEvent = require("../models/ringTreeEventModel");
+
+const HISTORY_EVENT_TYPES = new Set([
+  "eval_no_move",
+  "eval_skipped",
+  "dry_run_move",
+  "move_completed",
+  "move_failed",
+  "manual_move",
+  "target_pinned",
+  "target_unpinned",
+]);
+
+const HISTORY_ACTIONS = [
+  "eval_no_move",
+  "hysteresis_block",
+  "cooldown_skip",
+  "dry_run_move",
+  "live_move",
+  "move_failed",
+  "eval_skipped",
+  "pinned_skip",
+  "manual_move",
+  "pin",
+  "unpin",
+];
+
+/** Timeline points per request; wider ranges keep the most recent ones (truncated: true). */
+const TIMELINE_LIMIT = 5000;
+
+const TOP_LEVEL_FIELDS = new Set([
+  "at",
+  "type",
+  "profileKey",
+  "targetId",
+  "destinationId",
+  "targetName",
+  "destinationName",
+  "reason",
+  "rpc",
+  "pixelRpc",
+  "currentTier",
+  "rawTier",
+  "desiredTier",
+  "batchSize",
+  "dryRun",
+]);
+
+function classifyAction(entry) {
+  switch (entry.type) {
+    case "eval_no_move":
+      return entry.blockedByHysteresis ? "hysteresis_block" : "eval_no_move";
+    case "eval_skipped":
+      if (entry.reason === "move_cooldown") return "cooldown_skip";
+      return entry.reason === "pinned" ? "pinned_skip" : "eval_skipped";
+    case "move_completed":
+      return "live_move";
+    case "target_pinned":
+      return "pin";
+    case "target_unpinned":
+      return "unpin";
+    default:
+      return entry.type;
+  }
+}
+
+function toNumberOrNull(value) {
+  if (value == null || value === "") return null;
+  const n = Number(value);
+  return Number.isFinite(n) ? n : null;
+}
+
+function buildEventDoc(engine, entry) {
+  const action = classifyAction(entry);
+  const details = {};
+  for (const [key, value] of Object.entries(entry)) {
+    if (!TOP_LEVEL_FIELDS.has(key) && value !== undefined) details[key] = value;
+  }
+  return {
+    at: entry.at ? new Date(entry.at) : new Date(),
+    engine,
+    profileKey: entry.profileKey || null,
+    targetId: entry.targetId || entry.destinationId || null,
+    targetName: entry.targetName || entry.destinationName || null,
+    type: entry.type,
+    action,
+    reason: entry.reason || null,
+    rpc: toNumberOrNull(entry.rpc),
+    pixelRpc: toNumberOrNull(entry.pixelRpc),
+    currentTier: entry.currentTier || null,
+    rawTier: entry.rawTier || null,
+    desiredTier: entry.desiredTier || null,
+    tierAfter:
+      action === "live_move" || action === "manual_move" ? entry.desiredTier || null : entry.currentTier || null,
+    batchSize: toNumberOrNull(entry.batchSize),
+    dryRun: typeof entry.dryRun === "boolean" ? entry.dryRun : action === "dry_run_move" ? true : null,
+    details,
+  };
+}
+
+/**
+ * Persist a ring-tree event if it is a decision (not pixel_ingest noise).
+ * Never throws — history must not break pixel ingest or tier moves.
+ */
+async function recordEvent(engine, entry = {}) {
+  if (!HISTORY_EVENT_TYPES.has(entry.type)) return null;
+  if (mongoose.connection.readyState !== 1) return null;
+  try {
+    return await RingTreeEvent.create(buildEventDoc(engine, entry));
+  } catch (err) {
+    console.warn(`[ring-tree-history] ${engine} event write failed:`, err?.message || err);
+    return null;
+  }
+}
+
+/** YYYY-MM-DD → start of day (from) / end of day (to), otherwise any Date-parsable string. */
+function parseDateBound(value, endOfDay = false) {
+  if (value == null || String(value).trim() === "") return null;
+  const raw = String(value).trim();
+  const dateOnly = /^\d{4}-\d{2}-\d{2}$/.test(raw);
+  const d = new Date(dateOnly ? `${raw}T${endOfDay ? "23:59:59.999" : "00:00:00.000"}Z` : raw);
+  return Number.isNaN(d.getTime()) ? undefined : d;
+}
+
+function buildHistoryFilter(options = {}) {
+  const filter = {};
+  if (options.engine) filter.engine = String(options.engine).trim().toLowerCase();
+  if (options.profileKey) filter.profileKey = String(options.profileKey).trim().toLowerCase();
+  if (options.targetId) filter.targetId = String(options.targetId).trim();
+  if (options.action) {
+    const actions = String(options.action)
+      .split(",")
+      .map((a) => a.trim())
+      .filter(Boolean);
+    const unknown = actions.filter((a) => !HISTORY_ACTIONS.includes(a));
+    if (unknown.length) {
+      return { error: `Unknown action(s): ${unknown.join(", ")}. Allowed: ${HISTORY_ACTIONS.join(", ")}` };
+    }
+    filter.action = actions.length === 1 ? actions[0] : { $in: actions };
+  }
+
+  const from = parseDateBound(options.from, false);
+  const to = parseDateBound(options.to, true);
+  if (from === undefined || to === undefined) {
+    return { error: "from/to must be YYYY-MM-DD or an ISO timestamp" };
+  }
+  if (from || to) {
+    filter.at = {};
+    if (from) filter.at.$gte = from;
+    if (to) filter.at.$lte = to;
+  }
+  return { filter };
+}
+
+async function queryHistory(options = {}) {
+  const { filter, error } = buildHistoryFilter(options);
+  if (error) return { ok: false, error };
+
+  const limit = Math.min(Math.max(parseInt(options.limit, 10) || 100, 1), 1000);
+  const page = Math.max(parseInt(options.page, 10) || 1, 1);
+
+  const [total, events] = await Promise.all([
+    RingTreeEvent.countDocuments(filter),
+    RingTreeEvent.find(filter)
+      .sort({ at: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+  ]);
+
+  return { ok: true, total, page, limit, count: events.length, events };
+}
+
+/**
+ * Per-target timeline: one point per evaluated batch (RPC + tier before/after), oldest first,
+ * plus time spent in each tier across the window (the last segment ends at min(to, now)).
+ */
+async function getTargetTimeline(options = {}) {
+  if (!options.targetId) return { ok: false, error: "targetId is required" };
+  const { filter, error } = buildHistoryFilter({ ...options, action: undefined });
+  if (error) return { ok: false, error };
+
+  // Newest first so a truncated range drops the oldest events, then back to chronological order.
+  const newest = await RingTreeEvent.find(filter).sort({ at: -1 }).limit(TIMELINE_LIMIT).lean();
+  const events = newest.reverse();
+  const rangeEnd = Math.min(filter.at?.$lte ? filter.at.$lte.getTime() : Infinity, Date.now());
+
+  const points = events
+    .filter((e) => e.rpc != null || e.currentTier)
+    .map((e) => ({
+      at: e.at,
+      engine: e.engine,
+      profileKey: e.profileKey,
+      action: e.action,
+      reason: e.reason,
+      rpc: e.rpc,
+      tier: e.currentTier,
+      desiredTier: e.desiredTier,
+      tierAfter: e.tierAfter,
+      batchSize: e.batchSize,
+    }));
+
+  const tierDurationsMs = {};
+  for (let i = 0; i < points.length; i += 1) {
+    const tier = points[i].tierAfter || points[i].tier;
+    if (!tier) continue;
+    const start = new Date(points[i].at).getTime();
+    const end = i + 1 < points.length ? new Date(points[i + 1].at).getTime() : rangeEnd;
+    tierDurationsMs[tier] = (tierDurationsMs[tier] || 0) + Math.max(0, end - start);
+  }
+
+  const latest = events[events.length - 1] || null;
+  return {
+    ok: true,
+    targetId: options.targetId,
+    targetName: latest?.targetName || null,
+    currentTier: latest ? latest.tierAfter || latest.currentTier : null,
+    moves: points.filter((p) => p.action === "live_move").length,
+    tierDurationsMs,
+    count: points.length,
+    truncated: newest.length === TIMELINE_LIMIT,
+    points,
+  };
+}
+
+module.exports = {
+  HISTORY_ACTIONS,
+  classifyAction,
+  buildEventDoc,
+  recordEvent,
+  buildHistoryFilter,
+  queryHistory,
+  getTargetTimeline,
+};
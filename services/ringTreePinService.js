@@ -0,0 +1,98 @@
+/**
+ * Ring-tree target pins (ringTreePins). Storage only — resolving targets against Ringba ping trees,
+ * audit events and Slack live in dynamicRingTreeTargetService (pinTarget / unpinTarget).
+ */
+const mongoose = require("mongoose");
+const RingTreePin = require("../models/ringTreePinModel");
+
+function targetKeyFor({ targetId, targetName }) {
+  const name = String(targetName || "").trim().toLowerCase();
+  return name || String(targetId || "").trim();
+}
+
+function activeFilter(now = new Date()) {
+  return { $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }] };
+}
+
+function toPinObject(doc) {
+  if (!doc) return null;
+  return {
+    profileKey: doc.profileKey,
+    targetId: doc.targetId,
+    targetName: doc.targetName,
+    tier: doc.tier,
+    reason: doc.reason || "",
+    expiresAt: doc.expiresAt ? new Date(doc.expiresAt).toISOString() : null,
+    pinnedBy: doc.pinnedBy || null,
+    createdAt: doc.createdAt || null,
+    updatedAt: doc.updatedAt || null,
+  };
+}
+
+/**
+ * Active pin for a target, matched by name or RTT id. Without a Mongo connection no pin can exist,
+ * so this returns null; query errors throw (callers must not move a possibly pinned target).
+ */
+async function findActivePin(profileKey, target) {
+  if (mongoose.connection.readyState !== 1) return null;
+  const key = String(profileKey || "").trim().toLowerCase();
+  const or = [{ targetKey: targetKeyFor(target) }];
+  if (target?.targetId) or.push({ targetId: String(target.targetId).trim() });
+  const doc = await RingTreePin.findOne({ profileKey: key, $and: [{ $or: or }, activeFilter()] }).lean();
+  return toPinObject(doc);
+}
+
+async function listActivePins(profileKey) {
+  const filter = { ...activeFilter() };
+  if (profileKey) filter.profileKey = String(profileKey).trim().toLowerCase();
+  const docs = await RingTreePin.find(filter).sort({ profileKey: 1, targetName: 1 }).lean();
+  return docs.map(toPinObject);
+}
+
+/** Create or replace the pin for a target; returns { pin, previous }. */
+async function upsertPin({ profileKey, targetId, targetName, tier, reason, expiresAt, actor }) {
+  const key = String(profileKey).trim().toLowerCase();
+  const targetKey = targetKeyFor({ targetId, targetName });
+  const previous = await RingTreePin.findOne({ profileKey: key, targetKey }).lean();
+  const doc = await RingTreePin.findOneAndUpdate(
+    { profileKey: key, targetKey },
+    {
+      $set: {
+        targetId: targetId || null,
+        targetName: targetName || null,
+        tier,
+        reason: reason || "",
+        expiresAt: expiresAt || null,
+        pinnedBy: actor || {},
+      },
+    },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  ).lean();
+  return { pin: toPinObject(doc), previous: toPinObject(previous) };
+}
+
+async function removePin(profileKey, target) {
+  const key = String(profileKey || "").trim().toLowerCase();
+  const or = [{ targetKey: targetKeyFor(target) }];
+  if (target?.targetId) or.push({ targetId: String(target.targetId).trim() });
+  const doc = await RingTreePin.findOneAndDelete({ profileKey: key, $or: or }).lean();
+  return toPinObject(doc);
+}
+
+/** Keep the stored RTT id current after a move (Ringba may assign a new id). */
+async function updatePinTargetId(profileKey, target, newTargetId) {
+  if (mongoose.connection.readyState !== 1 || !newTargetId) return;
+  await RingTreePin.updateOne(
+    { profileKey: String(profileKey).trim().toLowerCase(), targetKey: targetKeyFor(target) },
+    { $set: { targetId: newTargetId } }
+  );
+}
+
+module.exports = {
+  targetKeyFor,
+  findActivePin,
+  listActivePins,
+  upsertPin,
+  removePin,
+  updatePinTargetId,
+};
@@ -0,0 +1,365 @@
+/**
+ * Ring-tree profile management — DB-stored vertical profiles (tiers, RPC rules, hysteresis)
+ * layered over config/dynamicRingTreeTarget.js. Every change is validated and versioned.
+ */
+const RingTreeProfile = require("../models/ringTreeProfileModel");
+const RingTreeProfileVersion = require("../models/ringTreeProfileVersionModel");
+const CFG = require("../config/dynamicRingTreeTarget");
+const dynamicRingTreeTargetService = require("./dynamicRingTreeTargetService");
+const ringTreeTiering = require("./ringTreeTiering");
+const ringTreeRpcWindow = require("./ringTreeRpcWindow");
+
+const PROFILE_FIELDS = [
+  "label",
+  "enabled",
+  "dryRun",
+  "campaignName",
+  "targetNamePrefix",
+  "rpcRules",
+  "hysteresis",
+  "tiers",
+  "tierRules",
+  "batchSize",
+  "moveCooldownMs",
+  "evaluation",
+];
+
+let syncTimer = null;
+
+function toProfileObject(doc) {
+  if (!doc) return null;
+  const out = { key: doc.key };
+  for (const field of PROFILE_FIELDS) {
+    if (doc[field] !== undefined && doc[field] !== null) out[field] = doc[field];
+  }
+  out.tiers = (doc.tiers || []).map((t) => ({ name: t.name, pingTreeId: t.pingTreeId || "" }));
+  if (Array.isArray(doc.tierRules) && doc.tierRules.length) {
+    out.tierRules = doc.tierRules.map((r) => {
+      const rule = {};
+      for (const field of ["minRpc", "aboveRpc", "promoteAt", "demoteBelow"]) {
+        if (r[field] != null) rule[field] = r[field];
+      }
+      return rule;
+    });
+  } else {
+    delete out.tierRules;
+  }
+  return out;
+}
+
+/** Reload ringTreeProfiles into the config overlay used by both pixel ingest and evaluation. */
+async function loadStoredProfiles() {
+  const docs = await RingTreeProfile.find({}).lean();
+  const byKey = {};
+  for (const doc of docs) byKey[doc.key] = toProfileObject(doc);
+  CFG.setStoredProfiles(byKey);
+  return byKey;
+}
+
+function startRingTreeProfileSync() {
+  if (syncTimer) return;
+  const sync = async () => {
+    try {
+      await loadStoredProfiles();
+    } catch (err) {
+      console.error("RingTreeProfile sync failed:", err.message);
+    }
+  };
+  sync();
+  // Other API processes pick up profile edits on the next tick.
+  syncTimer = setInterval(sync, CFG.PROFILE_SYNC_INTERVAL_MS);
+  console.log(`RingTreeProfile sync started (every ${CFG.PROFILE_SYNC_INTERVAL_MS / 1000}s)`);
+}
+
+function stopRingTreeProfileSync() {
+  if (!syncTimer) return;
+  clearInterval(syncTimer);
+  syncTimer = null;
+}
+
+function isFiniteNumber(value) {
+  return typeof value === "number" && Number.isFinite(value);
+}
+
+/**
+ * Hysteresis bands must bracket the RPC thresholds they smooth:
+ *   demoteFromTierN <= thresholdN <= promoteToTierN
+ */
+function validateRpcRulesAndHysteresis(rpcRules, hysteresis) {
+  const errors = [];
+  if (!rpcRules || typeof rpcRules !== "object") return ["rpcRules is required"];
+  if (!hysteresis || typeof hysteresis !== "object") return ["hysteresis is required"];
+
+  if (!["min", "above"].includes(rpcRules.mode)) {
+    errors.push('rpcRules.mode must be "min" or "above"');
+  }
+  const tier1Threshold = rpcRules.mode === "above" ? rpcRules.tier1Above : rpcRules.tier1Min;
+  const tier1Field = rpcRules.mode === "above" ? "tier1Above" : "tier1Min";
+  if (!isFiniteNumber(tier1Threshold)) errors.push(`rpcRules.${tier1Field} must be a number`);
+  if (!isFiniteNumber(rpcRules.tier2Min)) errors.push("rpcRules.tier2Min must be a number");
+  if (isFiniteNumber(tier1Threshold) && isFiniteNumber(rpcRules.tier2Min) && rpcRules.tier2Min > tier1Threshold) {
+    errors.push(`rpcRules.tier2Min (${rpcRules.tier2Min}) must not exceed ${tier1Field} (${tier1Threshold})`);
+  }
+
+  for (const field of ["promoteToTier1", "demoteFromTier1", "promoteToTier2", "demoteFromTier2"]) {
+    if (!isFiniteNumber(hysteresis[field])) errors.push(`hysteresis.${field} must be a number`);
+  }
+  if (errors.length) return errors;
+
+  const bands = [
+    ["Tier1", hysteresis.demoteFromTier1, tier1Threshold, hysteresis.promoteToTier1, tier1Field],
+    ["Tier2", hysteresis.demoteFromTier2, rpcRules.tier2Min, hysteresis.promoteToTier2, "tier2Min"],
+  ];
+  for (const [tier, demote, threshold, promote, field] of bands) {
+    if (!(demote <= threshold && threshold <= promote)) {
+      errors.push(
+        `hysteresis for ${tier} must bracket rpcRules.${field}: demoteFrom${tier} (${demote}) <= ${threshold} <= promoteTo${tier} (${promote})`
+      );
+    }
+    if (demote >= promote) {
+      errors.push(`hysteresis.demoteFrom${tier} (${demote}) must be below promoteTo${tier} (${promote})`);
+    }
+  }
+  return errors;
+}
+
+/**
+ * Validate a full profile. Ping tree IDs are resolved against live Ringba pingtrees
+ * for enabled profiles (pass pingTrees to reuse one fetch).
+ */
+async function validateProfile(profile, options = {}) {
+  const errors = [];
+  if (!profile.key || !/^[a-z0-9_-]+$/.test(profile.key)) {
+    errors.push("key must be lowercase letters, digits, - or _");
+  }
+  if (!profile.label || !String(profile.label).trim()) errors.push("label is required");
+
+  const tiers = Array.isArray(profile.tiers) ? profile.tiers : [];
+  if (tiers.length < CFG.MIN_TIER_COUNT) {
+    errors.push(`tiers must contain at least ${CFG.MIN_TIER_COUNT} entries (got ${tiers.length})`);
+  }
+  tiers.forEach((t, i) => {
+    if (!t?.name || !String(t.name).trim()) errors.push(`tiers[${i}].name is required`);
+    if (profile.enabled && !String(t?.pingTreeId || "").trim()) {
+      errors.push(`tiers[${i}].pingTreeId is required when the profile is enabled`);
+    }
+  });
+  const ids = tiers.map((t) => String(t?.pingTreeId || "").trim()).filter(Boolean);
+  if (new Set(ids).size !== ids.length) errors.push("tiers must use distinct pingTreeIds");
+  const names = tiers.map((t) => String(t?.name || "").trim()).filter(Boolean);
+  if (new Set(names).size !== names.length) errors.push("tiers must use distinct names");
+
+  if (Array.isArray(profile.tierRules) && profile.tierRules.length) {
+    errors.push(...ringTreeTiering.validateTierRules(profile.tierRules, tiers.length));
+  } else if (tiers.length === 3) {
+    errors.push(...validateRpcRulesAndHysteresis(profile.rpcRules, profile.hysteresis));
+  } else if (tiers.length >= CFG.MIN_TIER_COUNT) {
+    errors.push(`tierRules (${tiers.length - 1} entries) is required for a ${tiers.length}-tier profile`);
+  }
+
+  if (profile.batchSize != null && !(Number.isInteger(profile.batchSize) && profile.batchSize >= 1)) {
+    errors.push("batchSize must be a positive integer");
+  }
+  if (
+    profile.moveCooldownMs != null &&
+    !(Number.isInteger(profile.moveCooldownMs) && profile.moveCooldownMs >= 0)
+  ) {
+    errors.push("moveCooldownMs must be a non-negative integer (ms)");
+  }
+  errors.push(...ringTreeRpcWindow.validateEvaluation(profile.evaluation));
+
+  if (errors.length === 0 && profile.enabled && ids.length > 0) {
+    let pingTrees = options.pingTrees;
+    if (!pingTrees) {
+      try {
+        pingTrees = await dynamicRingTreeTargetService.fetchPingTrees();
+      } catch (err) {
+        return { ok: false, errors: [`Could not verify ping tree IDs with Ringba: ${err.message}`] };
+      }
+    }
+    const known = new Set(
+      (pingTrees || []).map((tree) => tree?.id || tree?.uid || tree?.pingTreeId).filter(Boolean)
+    );
+    for (const [i, t] of tiers.entries()) {
+      const id = String(t.pingTreeId || "").trim();
+      if (id && !known.has(id)) errors.push(`tiers[${i}].pingTreeId ${id} was not found in Ringba pingtrees`);
+    }
+  }
+
+  return { ok: errors.length === 0, errors };
+}
+
+function normalizeInput(input = {}) {
+  const out = {};
+  for (const field of PROFILE_FIELDS) {
+    if (input[field] !== undefined) out[field] = input[field];
+  }
+  if (Array.isArray(out.tiers)) {
+    out.tiers = out.tiers.map((t) => ({
+      name: String(t?.name || "").trim(),
+      pingTreeId: String(t?.pingTreeId || "").trim(),
+    }));
+  }
+  if (typeof out.label === "string") out.label = out.label.trim();
+  return out;
+}
+
+function actorFromUser(user) {
+  return {
+    userId: user?.userId || null,
+    email: user?.email || null,
+    role: user?.role || null,
+  };
+}
+
+function listProfiles() {
+  return Object.values(CFG.getProfiles()).map((p) => ({
+    key: p.key,
+    label: p.label,
+    enabled: p.enabled,
+    configured: CFG.isProfileConfigured(p),
+    source: CFG.getProfileSource(p.key),
+    dryRun: CFG.isProfileDryRun(p),
+    campaignName: p.campaignName || null,
+    targetNamePrefix: p.targetNamePrefix,
+    rpcRules: CFG.getProfileRpcRules(p),
+    hysteresis: CFG.getProfileHysteresis(p),
+    tierRules: CFG.getProfileTierRules(p),
+    batchSize: CFG.getProfileBatchSize(p),
+    moveCooldownMs: CFG.getProfileMoveCooldownMs(p),
+    evaluation: CFG.getProfileEvaluation(p),
+    tiers: (p.tiers || []).map((t) => ({ name: t.name, pingTreeId: t.pingTreeId || null })),
+  }));
+}
+
+async function getProfileDetail(profileKey) {
+  const key = String(profileKey || "").trim().toLowerCase();
+  const profile = CFG.getProfiles()[key];
+  if (!profile) return { ok: false, status: 404, error: `Profile "${key}" not found` };
+  const doc = await RingTreeProfile.findOne({ key }).lean();
+  return {
+    ok: true,
+    profile: listProfiles().find((p) => p.key === key),
+    version: doc?.version || 0,
+    updatedBy: doc?.updatedBy || null,
+    updatedAt: doc?.updatedAt || null,
+  };
+}
+
+async function listProfileVersions(profileKey, options = {}) {
+  const key = String(profileKey || "").trim().toLowerCase();
+  const limit = Math.min(Math.max(parseInt(options.limit, 10) || 50, 1), 500);
+  const versions = await RingTreeProfileVersion.find({ key }).sort({ version: -1 }).limit(limit).lean();
+  return { ok: true, key, count: versions.length, versions };
+}
+
+/** Versions keep counting across delete + re-create so history never collides. */
+async function nextVersion(key, existing) {
+  const lastVersion = await RingTreeProfileVersion.findOne({ key }).sort({ version: -1 }).lean();
+  return Math.max(existing?.version || 0, lastVersion?.version || 0) + 1;
+}
+
+/**
+ * Create (options.create) or update a profile. Updates are partial: unspecified fields keep
+ * the current effective value (DB, env or default).
+ */
+async function saveProfile(profileKey, input, user, options = {}) {
+  const key = String(profileKey || input?.key || "").trim().toLowerCase();
+  const current = CFG.getProfiles()[key] || null;
+  if (options.create && current) {
+    return { ok: false, status: 409, error: `Profile "${key}" already exists — use PUT to update` };
+  }
+  if (!options.create && !current) {
+    return { ok: false, status: 404, error: `Profile "${key}" not found` };
+  }
+
+  const changes = normalizeInput(input);
+  const next = {
+    ...(current ? toProfileObject(current) : { key, enabled: false, targetNamePrefix: "", tiers: [] }),
+    ...changes,
+    key,
+  };
+  if (changes.rpcRules && current?.rpcRules && !options.create) {
+    next.rpcRules = { ...current.rpcRules, ...changes.rpcRules };
+  }
+  if (changes.hysteresis && current?.hysteresis && !options.create) {
+    next.hysteresis = { ...current.hysteresis, ...changes.hysteresis };
+  }
+  next.rpcRules = next.rpcRules || CFG.getProfileRpcRules(next);
+  next.hysteresis = next.hysteresis || CFG.getProfileHysteresis(next);
+
+  const validation = await validateProfile(next);
+  if (!validation.ok) {
+    return { ok: false, status: 400, error: "Profile validation failed", errors: validation.errors };
+  }
+
+  const existing = await RingTreeProfile.findOne({ key }).lean();
+  const version = await nextVersion(key, existing);
+  const actor = actorFromUser(user);
+
+  const saved = await RingTreeProfile.findOneAndUpdate(
+    { key, version: existing?.version ?? { $exists: false } },
+    { $set: { ...next, version, updatedBy: actor } },
+    { new: true, upsert: !existing, lean: true }
+  ).catch((err) => {
+    if (err.code === 11000) return null;
+    throw err;
+  });
+  if (!saved) {
+    return { ok: false, status: 409, error: `Profile "${key}" was changed concurrently — reload and retry` };
+  }
+
+  await RingTreeProfileVersion.create({
+    key,
+    version,
+    action: existing ? "update" : "create",
+    profile: toProfileObject(saved),
+    previous: current ? toProfileObject(current) : null,
+    changedBy: actor,
+  });
+  await loadStoredProfiles();
+
+  console.log(`RingTreeProfile ${key} v${version} saved by ${actor.email || actor.userId || "unknown"}`);
+  return { ok: true, status: existing ? 200 : 201, key, version, profile: toProfileObject(saved) };
+}
+
+/** Remove the DB override; the profile falls back to env/default config (if any). */
+async function deleteProfile(profileKey, user) {
+  const key = String(profileKey || "").trim().toLowerCase();
+  const existing = await RingTreeProfile.findOne({ key }).lean();
+  if (!existing) {
+    return { ok: false, status: 404, error: `Profile "${key}" has no stored override` };
+  }
+  const version = await nextVersion(key, existing);
+  const actor = actorFromUser(user);
+  await RingTreeProfile.deleteOne({ _id: existing._id });
+  await RingTreeProfileVersion.create({
+    key,
+    version,
+    action: "delete",
+    profile: null,
+    previous: toProfileObject(existing),
+    changedBy: actor,
+  });
+  await loadStoredProfiles();
+  return {
+    ok: true,
+    status: 200,
+    key,
+    deleted: true,
+    fallback: CFG.getProfileSource(key),
+  };
+}
+
+module.exports = {
+  loadStoredProfiles,
+  startRingTreeProfileSync,
+  stopRingTreeProfileSync,
+  validateProfile,
+  validateRpcRulesAndHysteresis,
+  listProfiles,
+  getProfileDetail,
+  listProfileVersions,
+  saveProfile,
+  deleteProfile,
+};
@@ -0,0 +1,115 @@
+/**
+ * Evaluation modes shared by the Ringba and CallGrid ring-tree engines.
+ *
+ * - batch (default): judge a target once every `batchSize` unique callers, then discard the batch.
+ * - rolling: keep the last `windowCalls` calls and/or the last `windowHours` hours, optionally weighted by
+ *   exponential decay (`halfLifeHours`), and re-evaluate on every pixel once `minCalls` are in the window.
+ *
+ *   evaluation: { mode: "rolling", windowCalls: 30, windowHours: 72, halfLifeHours: 24, minCalls: 10 }
+ */
+
+const EVALUATION_MODES = ["batch", "rolling"];
+/** Rolling windows with no call for this long are dropped by the daily reset (orphaned RTT ids after moves). */
+const STALE_WINDOW_MS = 7 * 24 * 60 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+
+function positiveInt(value) {
+  const n = parseInt(value, 10);
+  return Number.isFinite(n) && n >= 1 ? n : null;
+}
+
+function positiveNumber(value) {
+  const n = Number(value);
+  return Number.isFinite(n) && n > 0 ? n : null;
+}
+
+/** Normalized evaluation settings; batchSize is the profile's batch size (default window / min sample). */
+function getEvaluationConfig(profile, batchSize) {
+  const ev = profile?.evaluation && typeof profile.evaluation === "object" ? profile.evaluation : {};
+  if (ev.mode !== "rolling") return { mode: "batch", batchSize };
+
+  let windowCalls = positiveInt(ev.windowCalls);
+  const windowHours = positiveNumber(ev.windowHours);
+  if (!windowCalls && !windowHours) windowCalls = batchSize;
+  const minCalls = positiveInt(ev.minCalls) || Math.min(batchSize, windowCalls || batchSize);
+  return {
+    mode: "rolling",
+    windowCalls,
+    windowHours,
+    halfLifeHours: positiveNumber(ev.halfLifeHours),
+    minCalls,
+  };
+}
+
+function callTimeMs(call) {
+  const t = new Date(call?.receivedAt).getTime();
+  return Number.isFinite(t) ? t : 0;
+}
+
+/** Calls still inside the window at `nowMs`, oldest first. */
+function pruneWindow(window, evaluation, nowMs = Date.now()) {
+  let calls = (window || []).filter(Boolean);
+  if (evaluation.windowHours) {
+    const cutoff = nowMs - evaluation.windowHours * HOUR_MS;
+    calls = calls.filter((c) => callTimeMs(c) >= cutoff);
+  }
+  if (evaluation.windowCalls && calls.length > evaluation.windowCalls) {
+    calls = calls.slice(calls.length - evaluation.windowCalls);
+  }
+  return calls;
+}
+
+/** Revenue per call over the window; with halfLifeHours each call weighs 0.5^(age / halfLife). */
+function computeWindowRpc(window, evaluation, parseRevenue, nowMs = Date.now()) {
+  const calls = window || [];
+  if (calls.length === 0) return 0;
+  let weighted = 0;
+  let weights = 0;
+  for (const call of calls) {
+    const ageHours = Math.max(0, nowMs - callTimeMs(call)) / HOUR_MS;
+    const w = evaluation.halfLifeHours ? Math.pow(0.5, ageHours / evaluation.halfLifeHours) : 1;
+    weighted += w * parseRevenue(call.revenue);
+    weights += w;
+  }
+  if (weights <= 0) return 0;
+  return Math.round((weighted / weights) * 10000) / 10000;
+}
+
+function isWindowStale(window, nowMs = Date.now()) {
+  const newest = Math.max(0, ...(window || []).map(callTimeMs));
+  return nowMs - newest > STALE_WINDOW_MS;
+}
+
+function validateEvaluation(evaluation) {
+  if (evaluation == null) return [];
+  if (typeof evaluation !== "object") return ["evaluation must be an object"];
+  const errors = [];
+  if (!EVALUATION_MODES.includes(evaluation.mode)) {
+    errors.push(`evaluation.mode must be one of: ${EVALUATION_MODES.join(", ")}`);
+  }
+  if (evaluation.mode !== "rolling") return errors;
+  for (const field of ["windowCalls", "minCalls"]) {
+    if (evaluation[field] != null && !positiveInt(evaluation[field])) {
+      errors.push(`evaluation.${field} must be a positive integer`);
+    }
+  }
+  for (const field of ["windowHours", "halfLifeHours"]) {
+    if (evaluation[field] != null && !positiveNumber(evaluation[field])) {
+      errors.push(`evaluation.${field} must be a positive number`);
+    }
+  }
+  const { windowCalls, minCalls } = evaluation;
+  if (positiveInt(windowCalls) && positiveInt(minCalls) && minCalls > windowCalls) {
+    errors.push(`evaluation.minCalls (${minCalls}) must not exceed windowCalls (${windowCalls})`);
+  }
+  return errors;
+}
+
+module.exports = {
+  EVALUATION_MODES,
+  getEvaluationConfig,
+  pruneWindow,
+  computeWindowRpc,
+  isWindowStale,
+  validateEvaluation,
+};
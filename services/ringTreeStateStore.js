@@ -0,0 +1,295 @@
+/**
+ * Ring-tree state backends shared by the Ringba and CallGrid engines.
+ *
+ * Both engines work on the same in-memory shape:
+ *   { version, profiles: { [profileKey]: { [collectionKey]: { [id]: entry }, lastMoveAt: { [id]: iso } } } }
+ *
+ * - json:  single logs/*-state.json file, in-process mutex (local / single process).
+ * - mongo: one ringTreeTargetStates document per target, compare-and-swap on `version`
+ *          so several API processes can ingest pixels without clobbering each other.
+ */
+const fs = require("fs");
+const path = require("path");
+const RingTreeTargetState = require("../models/ringTreeTargetStateModel");
+
+const MAX_CONFLICT_RETRIES = 8;
+
+function cloneJson(value) {
+  return value == null ? value : JSON.parse(JSON.stringify(value));
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * If concurrent writeFile corrupted the file (valid JSON + trailing junk),
+ * recover the first complete JSON object.
+ */
+function tryRecoverStateJson(raw, normalizeState) {
+  if (!raw || typeof raw !== "string") return null;
+  const trimmed = raw.trim();
+  try {
+    return normalizeState(JSON.parse(trimmed));
+  } catch {
+    // fall through
+  }
+
+  for (let i = trimmed.lastIndexOf("}"); i > 0; i = trimmed.lastIndexOf("}", i - 1)) {
+    const candidate = trimmed.slice(0, i + 1);
+    try {
+      const parsed = JSON.parse(candidate);
+      if (parsed && typeof parsed === "object") {
+        return normalizeState(parsed);
+      }
+    } catch {
+      // keep scanning for an earlier closing brace
+    }
+  }
+  return null;
+}
+
+function createJsonStateStore({ stateFile, emptyState, normalizeState, logPrefix }) {
+  let stateMutex = Promise.resolve();
+
+  /** Serialize read-modify-write of the shared state file (prevents concurrent write corruption). */
+  function withStateMutex(fn) {
+    const run = stateMutex.then(fn, fn);
+    stateMutex = run.then(
+      () => undefined,
+      () => undefined
+    );
+    return run;
+  }
+
+  async function writeFile(state) {
+    await fs.promises.mkdir(path.dirname(stateFile), { recursive: true });
+    const payload = JSON.stringify(state, null, 2);
+    const tmp = `${stateFile}.${process.pid}.${Date.now()}.tmp`;
+    await fs.promises.writeFile(tmp, payload, "utf8");
+    await fs.promises.rename(tmp, stateFile);
+  }
+
+  async function readFile() {
+    try {
+      const raw = await fs.promises.readFile(stateFile, "utf8");
+      try {
+        return normalizeState(JSON.parse(raw));
+      } catch (parseErr) {
+        const recovered = tryRecoverStateJson(raw, normalizeState);
+        if (!recovered) throw parseErr;
+        console.error(`${logPrefix} Corrupted state JSON recovered; rewriting clean file:`, parseErr.message);
+        await writeFile(recovered);
+        return recovered;
+      }
+    } catch (err) {
+      if (err.code === "ENOENT") return emptyState();
+      throw err;
+    }
+  }
+
+  return {
+    backend: "json",
+    stateFile,
+    async load() {
+      return readFile();
+    },
+    async save(state) {
+      return withStateMutex(() => writeFile(state));
+    },
+    /** Scope is ignored — the whole file is loaded and written under the mutex. */
+    async update(scope, fn) {
+      return withStateMutex(async () => {
+        const state = await readFile();
+        const result = await fn(state);
+        await writeFile(state);
+        return result;
+      });
+    },
+  };
+}
+
+function createMongoStateStore({ engine, collectionKey, emptyState }) {
+  function docKey(profileKey, entityId) {
+    return `${profileKey}\u0000${entityId}`;
+  }
+
+  function buildState(docs) {
+    const state = emptyState();
+    for (const doc of docs) {
+      if (!state.profiles[doc.profileKey]) {
+        state.profiles[doc.profileKey] = { [collectionKey]: {}, lastMoveAt: {} };
+      }
+      const pState = state.profiles[doc.profileKey];
+      if (doc.data != null) pState[collectionKey][doc.entityId] = cloneJson(doc.data);
+      if (doc.lastMoveAt) pState.lastMoveAt[doc.entityId] = doc.lastMoveAt;
+    }
+    return state;
+  }
+
+  function flattenState(state) {
+    const out = new Map();
+    for (const [profileKey, pState] of Object.entries(state?.profiles || {})) {
+      if (!pState) continue;
+      const entries = pState[collectionKey] || {};
+      const moves = pState.lastMoveAt || {};
+      for (const entityId of new Set([...Object.keys(entries), ...Object.keys(moves)])) {
+        const data = entries[entityId] ?? null;
+        const lastMoveAt = moves[entityId] ?? null;
+        if (data == null && lastMoveAt == null) continue;
+        out.set(docKey(profileKey, entityId), { profileKey, entityId, data, lastMoveAt });
+      }
+    }
+    return out;
+  }
+
+  function scopeFilter(scope = {}, extraIds = []) {
+    const filter = { engine };
+    if (scope.profileKey) filter.profileKey = scope.profileKey;
+    const ids = [...(scope.ids || []), ...extraIds].filter(Boolean);
+    if (scope.ids) filter.entityId = { $in: [...new Set(ids)] };
+    return filter;
+  }
+
+  function conflictError() {
+    const err = new Error(`${engine} ring-tree state conflict`);
+    err.code = "state_conflict";
+    return err;
+  }
+
+  /** Compare-and-swap write of one target; throws state_conflict when another process won. */
+  async function writeEntryCas(before, after, profileKey, entityId) {
+    if (!after) {
+      const res = await RingTreeTargetState.deleteOne({ _id: before._id, version: before.version });
+      if (res.deletedCount === 0) throw conflictError();
+      return;
+    }
+    if (before) {
+      const res = await RingTreeTargetState.updateOne(
+        { _id: before._id, version: before.version },
+        { $set: { data: after.data, lastMoveAt: after.lastMoveAt }, $inc: { version: 1 } }
+      );
+      if (res.matchedCount === 0) throw conflictError();
+      return;
+    }
+    try {
+      await RingTreeTargetState.create({
+        engine,
+        profileKey,
+        entityId,
+        data: after.data,
+        lastMoveAt: after.lastMoveAt,
+        version: 1,
+      });
+    } catch (err) {
+      if (err.code === 11000) throw conflictError();
+      throw err;
+    }
+  }
+
+  /**
+   * Write for fn that already had side effects (tier move) and cannot be re-run.
+   * Tries compare-and-swap first; if a pixel landed meanwhile, its batch data wins and only
+   * lastMoveAt is forced so the move cooldown is never lost.
+   */
+  async function writeEntryAfterSideEffects(before, after, profileKey, entityId) {
+    try {
+      await writeEntryCas(before, after, profileKey, entityId);
+      return;
+    } catch (err) {
+      if (err.code !== "state_conflict") throw err;
+    }
+    const lastMoveAt = after?.lastMoveAt ?? null;
+    if ((before?.lastMoveAt ?? null) === lastMoveAt) return;
+    await RingTreeTargetState.updateOne(
+      { engine, profileKey, entityId },
+      { $set: { lastMoveAt }, $inc: { version: 1 } },
+      { upsert: true }
+    );
+  }
+
+  async function applyDiff(beforeDocs, state, { cas }) {
+    const before = new Map(beforeDocs.map((d) => [docKey(d.profileKey, d.entityId), d]));
+    const after = flattenState(state);
+    for (const key of new Set([...before.keys(), ...after.keys()])) {
+      const prev = before.get(key) || null;
+      const next = after.get(key) || null;
+      const prevSnapshot = prev ? JSON.stringify([prev.data ?? null, prev.lastMoveAt ?? null]) : null;
+      const nextSnapshot = next ? JSON.stringify([next.data, next.lastMoveAt]) : null;
+      if (prevSnapshot === nextSnapshot) continue;
+      const [profileKey, entityId] = key.split("\u0000");
+      if (cas) {
+        await writeEntryCas(prev, next, profileKey, entityId);
+      } else {
+        await writeEntryAfterSideEffects(prev, next, profileKey, entityId);
+      }
+    }
+  }
+
+  return {
+    backend: "mongo",
+    async load(scope = {}) {
+      const docs = await RingTreeTargetState.find(scopeFilter(scope)).lean();
+      return buildState(docs);
+    },
+    /** Replace everything this engine has stored with `state` (migration / import). */
+    async save(state) {
+      const docs = await RingTreeTargetState.find({ engine }).lean();
+      await applyDiff(docs, state, { cas: false });
+    },
+    /**
+     * Load only the targets in scope ({ profileKey, ids }), run fn(state), persist what changed.
+     * Default: compare-and-swap per target and re-run fn on conflict (fn must be side-effect free).
+     * retryOnConflict:false runs fn once (it may call Ringba/CallGrid) and never re-runs it.
+     */
+    async update(scope, fn, options = {}) {
+      const retryOnConflict = options.retryOnConflict !== false;
+      const extraIds = [];
+      for (let attempt = 0; ; attempt += 1) {
+        const docs = await RingTreeTargetState.find(scopeFilter(scope, extraIds)).lean();
+        const state = buildState(docs);
+        const result = await fn(state);
+        try {
+          await applyDiff(docs, state, { cas: retryOnConflict });
+          return result;
+        } catch (err) {
+          if (err.code !== "state_conflict" || attempt >= MAX_CONFLICT_RETRIES) throw err;
+          // fn may have created entries outside the original scope — load them on retry.
+          for (const { entityId } of flattenState(state).values()) {
+            if (!extraIds.includes(entityId)) extraIds.push(entityId);
+          }
+          await sleep(10 + Math.floor(Math.random() * 40));
+        }
+      }
+    },
+  };
+}
+
+function normalizeBackend(raw) {
+  const value = String(raw || "").trim().toLowerCase();
+  return value === "mongo" || value === "mongodb" ? "mongo" : "json";
+}
+
+/**
+ * @param {{ backend?: string, engine: "ringba"|"callgrid", collectionKey: string, stateFile: string,
+ *   emptyState: Function, normalizeState?: Function, logPrefix?: string }} options
+ */
+function createRingTreeStateStore(options) {
+  const normalizeState = options.normalizeState || ((parsed) => parsed || options.emptyState());
+  if (normalizeBackend(options.backend) === "mongo") {
+    return createMongoStateStore({ ...options, normalizeState });
+  }
+  return createJsonStateStore({
+    ...options,
+    normalizeState,
+    logPrefix: options.logPrefix || "[ring-tree-state]",
+  });
+}
+
+module.exports = {
+  createRingTreeStateStore,
+  createJsonStateStore,
+  createMongoStateStore,
+  tryRecoverStateJson,
+  normalizeBackend,
+};
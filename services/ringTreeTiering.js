@@ -0,0 +1,155 @@
+/**
+ * Tier resolution shared by the Ringba and CallGrid ring-tree engines.
+ *
+ * A profile with N tiers (Tier 1 = best RPC) declares N-1 thresholds in `tierRules`, best first:
+ *   tierRules: [{ minRpc: 20, promoteAt: 21, demoteBelow: 19 }, { minRpc: 15, promoteAt: 16, demoteBelow: 14 }]
+ * `aboveRpc` may replace `minRpc` for a strict ">" boundary. The last tier is the floor (no rule).
+ *
+ * Profiles without tierRules keep working: legacy `rpcRules` + `hysteresis` (tier1/tier2) become two rules.
+ */
+
+/** Legacy { mode, tier1Min|tier1Above, tier2Min } + { promoteToTier1, ... } → tierRules. */
+function tierRulesFromLegacy(rpcRules, hysteresis) {
+  if (!rpcRules) return [];
+  const h = hysteresis || {};
+  const tier1 =
+    rpcRules.mode === "above"
+      ? { aboveRpc: rpcRules.tier1Above }
+      : { minRpc: rpcRules.tier1Min };
+  return [
+    { ...tier1, promoteAt: h.promoteToTier1, demoteBelow: h.demoteFromTier1 },
+    { minRpc: rpcRules.tier2Min, promoteAt: h.promoteToTier2, demoteBelow: h.demoteFromTier2 },
+  ];
+}
+
+function ruleThreshold(rule) {
+  return rule.aboveRpc != null ? Number(rule.aboveRpc) : Number(rule.minRpc);
+}
+
+/** Normalized rules: missing hysteresis bands collapse onto the raw threshold (no smoothing). */
+function normalizeTierRules(rules) {
+  return (rules || []).map((rule) => {
+    const threshold = ruleThreshold(rule);
+    return {
+      ...(rule.aboveRpc != null ? { aboveRpc: Number(rule.aboveRpc) } : { minRpc: Number(rule.minRpc) }),
+      promoteAt: rule.promoteAt != null ? Number(rule.promoteAt) : threshold,
+      demoteBelow: rule.demoteBelow != null ? Number(rule.demoteBelow) : threshold,
+    };
+  });
+}
+
+/**
+ * @param {object} profile
+ * @param {{ rpcRules?: object, hysteresis?: object }} defaults engine fallback when the profile has neither
+ */
+function getTierRules(profile, defaults = {}) {
+  if (Array.isArray(profile?.tierRules) && profile.tierRules.length) {
+    return normalizeTierRules(profile.tierRules);
+  }
+  return normalizeTierRules(
+    tierRulesFromLegacy(profile?.rpcRules || defaults.rpcRules, profile?.hysteresis || defaults.hysteresis)
+  );
+}
+
+function meetsRule(rpc, rule) {
+  return rule.aboveRpc != null ? rpc > rule.aboveRpc : rpc >= rule.minRpc;
+}
+
+/** Tier index from RPC alone (0 = best, rules.length = floor). */
+function getRawTierIndex(rpc, rules) {
+  for (let i = 0; i < rules.length; i += 1) {
+    if (meetsRule(rpc, rules[i])) return i;
+  }
+  return rules.length;
+}
+
+/**
+ * Tier index after hysteresis. Promotion jumps to the best tier whose promoteAt is met;
+ * demotion (below the current tier's demoteBelow) lands on the best lower tier the raw RPC still meets.
+ */
+function getDesiredTierIndex(rpc, currentIndex, rules) {
+  if (currentIndex == null || currentIndex < 0) return getRawTierIndex(rpc, rules);
+  const level = Math.min(currentIndex, rules.length);
+
+  for (let j = 0; j < level; j += 1) {
+    if (rpc >= rules[j].promoteAt) return j;
+  }
+  // Extra groups below the floor (CallGrid plans with more groups than rules) rejoin the floor tier.
+  if (currentIndex > rules.length && rules.length && meetsRule(rpc, rules[rules.length - 1])) {
+    return rules.length;
+  }
+  if (level < rules.length && rpc < rules[level].demoteBelow) {
+    for (let j = level + 1; j < rules.length; j += 1) {
+      if (meetsRule(rpc, rules[j])) return j;
+    }
+    return rules.length;
+  }
+  return currentIndex;
+}
+
+/**
+ * Resolve raw + desired tier names for a target currently in `currentTier`.
+ * tierOrder = tier names best → worst (Ringba profile tiers, CallGrid plan groups). Extra bottom tiers
+ * (more tiers than rules + 1) are never targeted; with fewer tiers, indexes clamp to the last one.
+ */
+function resolveTiers(rpc, currentTier, tierOrder, rules) {
+  const order = tierOrder || [];
+  const last = Math.max(order.length - 1, 0);
+  const nameAt = (index) => order[Math.min(index, last)] ?? null;
+  const currentIndex = order.indexOf(currentTier);
+  const rawIndex = getRawTierIndex(rpc, rules);
+  const desiredIndex = getDesiredTierIndex(rpc, currentIndex, rules);
+  return {
+    rawTier: nameAt(rawIndex),
+    desiredTier: desiredIndex === currentIndex ? currentTier : nameAt(desiredIndex),
+  };
+}
+
+function isFiniteNumber(value) {
+  return typeof value === "number" && Number.isFinite(value);
+}
+
+/** Errors for a tierRules array describing `tierCount` tiers. */
+function validateTierRules(rules, tierCount) {
+  const errors = [];
+  if (!Array.isArray(rules)) return ["tierRules must be an array"];
+  if (tierCount != null && rules.length !== tierCount - 1) {
+    errors.push(`tierRules must contain ${tierCount - 1} entries for ${tierCount} tiers (got ${rules.length})`);
+  }
+  rules.forEach((rule, i) => {
+    const label = `tierRules[${i}]`;
+    if (!rule || typeof rule !== "object") {
+      errors.push(`${label} must be an object`);
+      return;
+    }
+    const hasMin = rule.minRpc != null;
+    const hasAbove = rule.aboveRpc != null;
+    if (hasMin === hasAbove) {
+      errors.push(`${label} needs exactly one of minRpc or aboveRpc`);
+      return;
+    }
+    const threshold = ruleThreshold(rule);
+    if (!Number.isFinite(threshold)) errors.push(`${label}.${hasMin ? "minRpc" : "aboveRpc"} must be a number`);
+    for (const field of ["promoteAt", "demoteBelow"]) {
+      if (rule[field] != null && !isFiniteNumber(rule[field])) errors.push(`${label}.${field} must be a number`);
+    }
+    const promoteAt = rule.promoteAt ?? threshold;
+    const demoteBelow = rule.demoteBelow ?? threshold;
+    if (Number.isFinite(threshold) && !(demoteBelow <= threshold && threshold <= promoteAt)) {
+      errors.push(`${label} hysteresis must bracket the threshold: demoteBelow (${demoteBelow}) <= ${threshold} <= promoteAt (${promoteAt})`);
+    }
+    if (i > 0 && rules[i - 1] && Number.isFinite(threshold) && ruleThreshold(rules[i - 1]) < threshold) {
+      errors.push(`${label} threshold (${threshold}) must not exceed tierRules[${i - 1}] (${ruleThreshold(rules[i - 1])})`);
+    }
+  });
+  return errors;
+}
+
+module.exports = {
+  tierRulesFromLegacy,
+  getTierRules,
+  getRawTierIndex,
+  getDesiredTierIndex,
+  resolveTiers,
+  validateTierRules,
+};
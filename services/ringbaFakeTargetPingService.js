@@ -92,8 +92,9 @@ async function savePing(params, rawQuery, rawBody) {
   return { saved: true, duplicate: false, id: created._id };
 }
 
-async function handleFakeTargetPing(query = {}, body = {}, headers = {}) {
-  if (!isAuthorized(query, headers)) {
+/** auth.apiKey is set when middleware/apiKeyAuth already verified a scoped key (skips the shared token). */
+async function handleFakeTargetPing(query = {}, body = {}, headers = {}, auth = {}) {
+  if (!auth.apiKey && !isAuthorized(query, headers)) {
     return {
       httpStatus: 401,
       body: { ok: false, error: "unauthorized" },
@@ -10,6 +10,7 @@ const path = require("path");
 const axios = require("axios");
 const ROKU_CONFIG = require("../config/roku");
 const RokuLog = require("../models/rokuLogModel");
+const enrichmentService = require("./enrichmentService");
 const ROKU_REQUEST_TIMEOUT_MS = Number(process.env.ROKU_REQUEST_TIMEOUT_MS || 8000);
 const ROKU_NETWORK_RETRY_COUNT = Number(process.env.ROKU_NETWORK_RETRY_COUNT || 2);
 const ROKU_RETRY_BASE_DELAY_MS = Number(process.env.ROKU_RETRY_BASE_DELAY_MS || 500);
@@ -20,16 +21,6 @@ function hasValidIp(conversion) {
   return typeof ip === "string" && ip.trim().length > 0;
 }
 
-// Audience Acuity (Realink 2.0) identity lookup config.
-// Uses AA_KEY_ID + timestamp + md5(timestamp + AA_SECRET) auth.
-const AA_ORIGIN = (process.env.AA_ORIGIN || "https://api.audienceacuity.com").trim();
-const AA_KEY_ID = (process.env.AA_KEY_ID || "").trim();
-const AA_SECRET = (process.env.AA_SECRET || "").trim();
-const AA_TEMPLATE = process.env.AA_TEMPLATE ? Number(process.env.AA_TEMPLATE) : 6323591;
-// Optional: point to your local Audience Acuity / Realink 2.0 proxy:
-// e.g. http://localhost:3000 where proxy exposes POST /identities/byPhone?clean=1
-const AA_PROXY_ORIGIN = (process.env.AA_PROXY_ORIGIN || "").trim();
-
 /** 1-hour dedupe: do not send the same caller to Roku more than once per hour. */
 const RECENT_CALLERS_TTL_MS = 60 * 60 * 1000;
 const RECENT_CALLERS_FILE = path.join(__dirname, "..", "logs", "roku-recent-callers.json");
@@ -242,289 +233,6 @@ function normalizeName(raw) {
   return raw.trim().toLowerCase();
 }
 
-/**
- * Normalize raw phone for Audience Acuity:
- * - take the last 10 digits always
- */
-function normalizePhoneForAudienceAcuity(rawPhone) {
-  if (rawPhone == null || typeof rawPhone !== "string") return "";
-  const digits = rawPhone.replace(/\D/g, "");
-  if (digits.length < 10) return "";
-  return digits.slice(-10);
-}
-
-function normalizeGenderForRoku(rawGender) {
-  if (rawGender == null || typeof rawGender !== "string") return null;
-  const s = rawGender.trim().toLowerCase();
-  if (!s) return null;
-  if (s === "m" || s === "male") return "male";
-  if (s === "f" || s === "female") return "female";
-  return "unknown";
-}
-
-function normalizeDateOfBirthForRoku(rawDob) {
-  if (rawDob == null || typeof rawDob !== "string") return null;
-  const s = rawDob.trim();
-  if (!/^\d{4}-\d{2}-\d{2}$/.test(s)) return null;
-  return s;
-}
-
-/**
- * Audience Acuity (Realink 2.0) identity lookup - get caller data by phone.
- * Triggered only when Ringba provides a valid non-empty ip.
- *
- * On API error or no match, returns null (we then send to Roku with phone only).
- * @param {Object} conversion - Ringba conversion (phone/caller_phone etc.)
- * @returns {Promise<{
- *   email: string|null,
- *   firstName: string|null,
- *   lastName: string|null,
- *   gender: string|null,
- *   dateOfBirth: string|null,
- *   city: string|null,
- *   state: string|null,
- *   zip: string|null,
- *   ipAddress: string|null,
- *   aGA: string|null,
- *   aID: string|null,
- *   aGI: string|null,
- * }|null>}
- */
-async function getCallerDataFromAudienceAcuity(conversion, audit = {}) {
-  const rawPhone = getRawPhoneForLookup(conversion);
-  if (!rawPhone) {
-    console.warn("📋 AudienceAcuity: no phone on conversion, skipping lookup");
-    return null;
-  }
-
-  const phoneForAA = normalizePhoneForAudienceAcuity(rawPhone);
-  if (!phoneForAA) {
-    console.warn("📋 AudienceAcuity: phone is not at least 10 digits, skipping lookup", { phone: rawPhone });
-    return null;
-  }
-
-  audit.source = "audienceacuity_direct";
-
-  if (!AA_ORIGIN || !AA_KEY_ID || !AA_SECRET) {
-    audit.reason = "missing_env_AA_KEY_ID_AA_SECRET";
-    console.warn("📋 AudienceAcuity: missing AA_KEY_ID/AA_SECRET (skipping lookup)");
-    return null;
-  }
-
-  try {
-    const requestBody = { inputs: [phoneForAA], template: AA_TEMPLATE };
-
-    const now = Date.now().toString(36);
-    const hash = crypto.createHash("md5").update(`${now}${AA_SECRET}`, "utf8").digest("hex");
-    const authHeader = `Bearer ${AA_KEY_ID}${now}${hash}`;
-
-    const url = `${AA_ORIGIN}/v2/identities/byPhone`;
-    const response = await axios.post(url, requestBody, {
-      headers: {
-        "Content-Type": "application/json",
-        Authorization: authHeader,
-      },
-      timeout: 10000,
-    });
-
-    audit.requestedAt = new Date().toISOString();
-    audit.httpStatus = response?.status;
-
-    const data = response.data;
-    const results = data?.results ?? data?.[0]?.results ?? null;
-    const identity = Array.isArray(results?.[0]?.identities) ? results[0].identities[0] : null;
-    if (!identity) {
-      audit.reason = "no_identity_match";
-      console.warn("📋 AudienceAcuity: no identity match", { phone: phoneForAA });
-      return null;
-    }
-
-    // Handle both raw AA identity shapes and the "cleaned" identity shape you tested.
-    // Email selection rules (per your request):
-    // 1) prefer emails with optIn: true
-    // 2) within that set, choose the one with highest rankOrder
-    // 3) if none have optIn, choose highest rankOrder from the full list
-    // 4) ties: choose the first one in the array
-    const selectBestEmail = () => {
-      const emails = identity?.emails;
-      if (!Array.isArray(emails) || emails.length === 0) return null;
-
-      // Keep original order by using a single pass that only updates on "strictly better".
-      const hasOptInTrue = emails.some((e) => typeof e === "object" && e != null && e.optIn === true);
-      let bestRank = -Infinity;
-      let bestEmail = null;
-
-      for (const entry of emails) {
-        // AA sometimes returns emails as strings; we can't infer optIn/rankOrder then.
-        if (typeof entry === "string") {
-          if (hasOptInTrue) continue; // only consider explicit opt-in emails when available
-          // If we only have plain strings, pick the first one (preserve order).
-          if (bestEmail == null) bestEmail = entry;
-          continue;
-        }
-
-        if (!entry || typeof entry !== "object") continue;
-        const emailStr = typeof entry.email === "string" ? entry.email : null;
-        if (!emailStr) continue;
-
-        if (hasOptInTrue && entry.optIn !== true) continue;
-
-        const rank = Number(entry.rankOrder);
-        const safeRank = Number.isFinite(rank) ? rank : -Infinity;
-
-        if (safeRank > bestRank) {
-          bestRank = safeRank;
-          bestEmail = emailStr;
-        }
-        // If safeRank === bestRank, we intentionally keep the first one (no update).
-      }
-
-      return bestEmail;
-    };
-
-    const email = selectBestEmail() ?? (typeof identity?.email === "string" ? identity.email : null);
-
-    let firstName = identity?.firstName ?? null;
-    let lastName = identity?.lastName ?? null;
-
-    // If AA didn't provide split names, derive from identity.name
-    if ((!firstName || !lastName) && typeof identity?.name === "string" && identity.name.trim()) {
-      const parts = identity.name.trim().split(/\s+/).filter(Boolean);
-      if (parts.length > 0) {
-        firstName = parts[0] || null;
-        const rest = parts.slice(1).join(" ").trim();
-        lastName = rest || null;
-      }
-    }
-
-    // Prefer top-level identity fields, then fall back to nested identity.data fields
-    // to match the external clean proxy behavior.
-    const rawGender = identity?.gender ?? identity?.data?.gender ?? null;
-    const rawDob = identity?.dateOfBirth ?? identity?.birthDate ?? identity?.data?.birthDate ?? null;
-    const gender = normalizeGenderForRoku(rawGender);
-    const dateOfBirth = normalizeDateOfBirthForRoku(rawDob);
-
-    let city = identity?.city ?? null;
-    let state = identity?.state ?? null;
-    let zip = identity?.zip ?? null;
-
-    // If AA provided a full address but not split geo fields, parse from address string:
-    // Example: "1532 Brown St, Middletown OH 45044"
-    if ((!city || !state || !zip) && typeof identity?.address === "string" && identity.address.trim()) {
-      const addr = identity.address.trim();
-      // Grab: ", <city> <STATE> <zip>"
-      const m = addr.match(/,\s*([^,]+?)\s+([A-Za-z]{2})\s+(\d{5})(?:-\d{4})?/);
-      if (m) {
-        city = m[1];
-        state = m[2].toUpperCase();
-        zip = m[3];
-      }
-    }
-
-    // IP selection rules (per your request):
-    // - identity.ips is an array of { ip, intensity }
-    // - choose the highest intensity
-    // - ties: choose the first one
-    const selectBestIp = () => {
-      const ips = identity?.ips;
-      if (!Array.isArray(ips) || ips.length === 0) return null;
-
-      let bestIntensity = -Infinity;
-      let bestIp = null;
-
-      for (const entry of ips) {
-        const ipStr = entry && typeof entry === "object" ? entry.ip : null;
-        if (typeof ipStr !== "string" || !ipStr.trim()) continue;
-
-        const intensity = entry && typeof entry === "object" ? Number(entry.intensity) : NaN;
-        const safeIntensity = Number.isFinite(intensity) ? intensity : -Infinity;
-
-        if (safeIntensity > bestIntensity) {
-          bestIntensity = safeIntensity;
-          bestIp = ipStr;
-        }
-        // If safeIntensity === bestIntensity, keep first (no update).
-      }
-
-      return bestIp;
-    };
-
-    const ipAddress = selectBestIp() ?? identity?.ipAddress ?? null;
-
-    let aGA = null;
-    let aID = null;
-    let aGI = null;
-    const devices =
-      (Array.isArray(identity?.devices) ? identity.devices : null) ??
-      (Array.isArray(identity?.data?.devices) ? identity.data.devices : null) ??
-      [];
-    if (devices.length > 0) {
-      for (const d of devices) {
-        const idType = String(d?.idType ?? "").trim().toUpperCase();
-        const deviceId = typeof d?.deviceId === "string" ? d.deviceId.trim() : "";
-        if (!deviceId) continue;
-
-        if (idType === "GAID" || idType === "ADID" || idType === "AAID") aGA = deviceId;
-        else if (idType === "IDFA") aID = deviceId;
-        else if (idType === "IDFV") aGI = deviceId;
-        if (aGA && aID && aGI) break;
-      }
-    } else if (identity?.mobileId) {
-      // If AA response does not include device idType, we don't know whether this is Apple vs Android.
-      // Send the same mobileId to all Roku mobile-id fields to avoid losing enrichment.
-      aGA = identity.mobileId;
-      aID = identity.mobileId;
-      aGI = identity.mobileId;
-    }
-
-    const toStr = (v) => (v != null && typeof v === "string" && v.trim() ? v.trim() : null);
-
-    const cleaned = {
-      email: toStr(email),
-      firstName: toStr(firstName),
-      lastName: toStr(lastName),
-      gender,
-      dateOfBirth,
-      city: toStr(city),
-      state: toStr(state),
-      zip: toStr(zip),
-      ipAddress: toStr(ipAddress),
-      aGA,
-      aID,
-      aGI,
-    };
-
-    // If AA returns the identity object but all fields are null, treat as no enrichment.
-    const hasAny =
-      cleaned.email ||
-      cleaned.firstName ||
-      cleaned.lastName ||
-      cleaned.gender ||
-      cleaned.dateOfBirth ||
-      cleaned.city ||
-      cleaned.state ||
-      cleaned.zip ||
-      cleaned.ipAddress ||
-      cleaned.aGA ||
-      cleaned.aID ||
-      cleaned.aGI;
-    audit.reason = hasAny ? "enriched" : "identity_fields_all_null";
-
-    return cleaned;
-  } catch (error) {
-    const errStatus = error.response?.status;
-    const msg = error.response?.data ? JSON.stringify(error.response.data) : error.message;
-    audit.reason = "api_error";
-    audit.httpStatus = errStatus;
-    audit.errorMessage = typeof msg === "string" ? msg.slice(0, 500) : String(msg);
-    console.warn("📋 AudienceAcuity API error (continuing to Roku with phone only):", {
-      status: errStatus,
-      message: msg,
-    });
-    return null;
-  }
-}
-
 /**
  * Get event_time in UNIX epoch seconds from Ringba timestampMicros
  */
@@ -695,8 +403,9 @@ function buildRokuEvent(conversion, options = {}) {
  * API key comes from Ringba per conversion (roku_api_key / rokuApiKey) - each ad account has its own key.
  * event_group_id from Ringba (per conversion or body default).
  * @param {Array<Object>} conversions - Ringba conversion objects (without dclid)
- * @param {{ defaultEventGroupId?: string }} options - optional body-level event_group_id from Ringba
- * @returns {Promise<Array<{ conversion, sentToRoku, response?, error? }>>}
+ * @param {{ defaultEventGroupId?: string, skipDuplicateCheck?: boolean }} options - optional body-level event_group_id
+ *   from Ringba; skipDuplicateCheck for outbox retries (the first attempt already recorded the caller)
+ * @returns {Promise<Array<{ conversion, sentToRoku, response?, error?, status? }>>}
  */
 async function sendConversionsToRoku(conversions, options = {}) {
   const url = ROKU_CONFIG.CAPI_EVENTS_URL;
@@ -718,7 +427,7 @@ async function sendConversionsToRoku(conversions, options = {}) {
       continue;
     }
 
-    const isDuplicate = await isDuplicateAndAdd(conversion);
+    const isDuplicate = options.skipDuplicateCheck ? false : await isDuplicateAndAdd(conversion);
     if (isDuplicate) {
       results.push({ conversion, skipped: true });
       appendRokuAudit({
@@ -731,13 +440,13 @@ async function sendConversionsToRoku(conversions, options = {}) {
       continue;
     }
 
-    // Call AA only when Ringba conversion does NOT include an IP.
+    // Enrich (cache / Audience Acuity) only when Ringba conversion does NOT include an IP.
     const useAudienceAcuity = !hasValidIp(conversion);
 
     let callerData = null;
     const audienceAudit = {};
     if (useAudienceAcuity) {
-      callerData = await getCallerDataFromAudienceAcuity(conversion, audienceAudit);
+      callerData = await enrichmentService.getCallerProfile(conversion, audienceAudit);
     }
 
     const aaSuccess = !!(
@@ -841,6 +550,7 @@ async function sendConversionsToRoku(conversions, options = {}) {
         conversion,
         ...(payload !== undefined && { sentToRoku: payload }),
         error: errMsg,
+        status: error.response?.status ?? null,
       });
       appendRokuAudit({
         timestamp: new Date().toISOString(),
@@ -855,9 +565,14 @@ async function sendConversionsToRoku(conversions, options = {}) {
   return results;
 }
 
-/** @deprecated Kept for backward compatibility; now uses Audience Acuity. */
+/** @deprecated Use enrichmentService.getCallerProfile (cached, provider-agnostic). */
+async function getCallerDataFromAudienceAcuity(conversion, audit = {}) {
+  return enrichmentService.getCallerProfile(conversion, audit);
+}
+
+/** @deprecated Kept for backward compatibility; now uses the enrichment cache / providers. */
 async function getCallerEmailFromExternalApi(conversion) {
-  const data = await getCallerDataFromAudienceAcuity(conversion);
+  const data = await enrichmentService.getCallerProfile(conversion);
   return data?.email ?? null;
 }
 
@@ -867,6 +582,7 @@ module.exports = {
   normalizePhone,
   normalizeEmail,
   normalizeName,
+  sha256Hash,
   getCallerDataFromAudienceAcuity,
   getCallerEmailFromExternalApi,
   timestampMicrosToEpochSeconds,
@@ -0,0 +1,184 @@
+/**
+ * Route version history (routeVersions). Every create / update / delete of a Domain.routes entry stores a full
+ * snapshot with its author; rollbackRoute() writes an older snapshot back onto the route (or re-adds a deleted
+ * one with its original id). nginx regeneration and cache purges after a rollback are done by routeController.
+ * Recording never fails the route change: without Mongo it is a no-op and write errors are only logged.
+ */
+const mongoose = require("mongoose");
+const RouteVersion = require("../models/routeVersionModel");
+
+/** Route fields kept per version and restored by a rollback. */
+const ROUTE_FIELDS = [
+  "route",
+  "template",
+  "organization",
+  "ringbaID",
+  "rtkID",
+  "phoneNumber",
+  "platform",
+  "createdBy",
+  "creditedTo",
+  "trackingPlatform",
+  "callgridOrganizationId",
+  "callgridCampaignId",
+  "callgridCampaignSourceId",
+  "callgridMediaBuyerName",
+];
+/** Attribution follows ownership transfers (domainOwnershipService), so a rollback keeps the current values. */
+const OWNERSHIP_FIELDS = ["createdBy", "creditedTo"];
+
+function isHistoryAvailable() {
+  return mongoose.connection.readyState === 1;
+}
+
+function snapshotRoute(route) {
+  if (!route) return null;
+  const source = typeof route.toObject === "function" ? route.toObject() : route;
+  const out = {};
+  for (const field of ROUTE_FIELDS) {
+    if (source[field] !== undefined && source[field] !== null) out[field] = source[field];
+  }
+  return out;
+}
+
+function actorFromUser(user) {
+  return { userId: user?.userId || null, email: user?.email || null, role: user?.role || null };
+}
+
+/**
+ * Store a new version of one route. Never throws.
+ * The first change to a route created before history existed also stores `previous` as a baseline version,
+ * so there is always something to roll back to.
+ * @param {string} domain
+ * @param {Object} routeDoc - Domain.routes subdocument after the change (the removed one for delete)
+ * @param {{ action: "create"|"update"|"delete"|"rollback", previous?: Object, user?: Object, rolledBackTo?: number }} options
+ */
+async function recordRouteVersion(domain, routeDoc, { action, previous = null, user = null, rolledBackTo = null }) {
+  if (!isHistoryAvailable() || !routeDoc?._id) return null;
+  try {
+    const routeId = String(routeDoc._id);
+    const last = await RouteVersion.findOne({ domain, routeId }).sort({ version: -1 }).select("version").lean();
+    let version = (last?.version || 0) + 1;
+    if (!last && previous && action !== "create") {
+      await RouteVersion.create({
+        domain,
+        routeId,
+        route: previous.route || routeDoc.route,
+        version,
+        action: "baseline",
+        snapshot: previous,
+        changedBy: actorFromUser(null),
+      });
+      version += 1;
+    }
+    return await RouteVersion.create({
+      domain,
+      routeId,
+      route: routeDoc.route,
+      version,
+      action,
+      snapshot: snapshotRoute(routeDoc),
+      rolledBackTo,
+      changedBy: actorFromUser(user),
+    });
+  } catch (err) {
+    console.warn(`⚠️ routeVersions write failed (${domain}/${routeDoc?.route}):`, err.message);
+    return null;
+  }
+}
+
+/** routeId for a route path: the live route, else the most recent version stored under that path (deleted route). */
+async function resolveRouteId(domainDoc, route) {
+  const live = (domainDoc.routes || []).find((r) => r.route === route);
+  if (live) return { routeId: String(live._id), routeDoc: live };
+  const latest = await RouteVersion.findOne({ domain: domainDoc.domain, route }).sort({ createdAt: -1 }).lean();
+  return latest ? { routeId: latest.routeId, routeDoc: null } : { routeId: null, routeDoc: null };
+}
+
+function toPublicVersion({ _id, __v, ...doc }) {
+  return { id: _id.toString(), ...doc };
+}
+
+/** Versions of one route, newest first. */
+async function listRouteVersions(domainDoc, route, options = {}) {
+  if (!isHistoryAvailable()) return { ok: false, status: 503, error: "MongoDB not connected" };
+  const { routeId, routeDoc } = await resolveRouteId(domainDoc, route);
+  if (!routeId) return { ok: false, status: 404, error: "Route not found under this domain." };
+  const limit = Math.min(Math.max(parseInt(options.limit, 10) || 50, 1), 500);
+  const versions = await RouteVersion.find({ domain: domainDoc.domain, routeId })
+    .sort({ version: -1 })
+    .limit(limit)
+    .lean();
+  return {
+    ok: true,
+    domain: domainDoc.domain,
+    route,
+    routeId,
+    deleted: !routeDoc,
+    count: versions.length,
+    versions: versions.map(toPublicVersion),
+  };
+}
+
+/**
+ * Write version `version` back onto the route and save the domain. A deleted route is re-added with its
+ * original id; a version with another path renames the route back (409 if that path is taken).
+ * createdBy / creditedTo stay as they are on an existing route.
+ * @returns {Promise<{ ok, status?, error?, route?, previousRoute?, version?, rolledBackTo?, before?, after? }>}
+ */
+async function rollbackRoute(domainDoc, route, version, user) {
+  if (!isHistoryAvailable()) return { ok: false, status: 503, error: "MongoDB not connected" };
+  const targetVersion = parseInt(version, 10);
+  if (!Number.isInteger(targetVersion) || targetVersion < 1) {
+    return { ok: false, status: 400, error: "version must be a positive integer" };
+  }
+  const { routeId, routeDoc } = await resolveRouteId(domainDoc, route);
+  if (!routeId) return { ok: false, status: 404, error: "Route not found under this domain." };
+  const target = await RouteVersion.findOne({ domain: domainDoc.domain, routeId, version: targetVersion }).lean();
+  if (!target) return { ok: false, status: 404, error: `Version ${targetVersion} not found for this route.` };
+  if (target.action === "delete") {
+    return { ok: false, status: 400, error: `Version ${targetVersion} records the deletion — pick an earlier version.` };
+  }
+
+  const snapshot = target.snapshot || {};
+  const taken = domainDoc.routes.find((r) => r.route === snapshot.route && String(r._id) !== routeId);
+  if (taken) {
+    return { ok: false, status: 409, error: `Route path "${snapshot.route}" is used by another route on this domain.` };
+  }
+
+  const before = snapshotRoute(routeDoc);
+  if (routeDoc) {
+    for (const field of ROUTE_FIELDS) {
+      if (!OWNERSHIP_FIELDS.includes(field)) routeDoc[field] = snapshot[field] ?? undefined;
+    }
+    routeDoc.updatedAt = new Date();
+  } else {
+    domainDoc.routes.push({ ...snapshot, _id: routeId, updatedAt: new Date() });
+  }
+  await domainDoc.save();
+
+  const restored = domainDoc.routes.find((r) => String(r._id) === routeId);
+  const recorded = await recordRouteVersion(domainDoc.domain, restored, {
+    action: "rollback",
+    previous: before,
+    user,
+    rolledBackTo: targetVersion,
+  });
+  return {
+    ok: true,
+    route: restored.route,
+    previousRoute: route,
+    version: recorded?.version ?? null,
+    rolledBackTo: targetVersion,
+    before,
+    after: snapshotRoute(restored),
+  };
+}
+
+module.exports = {
+  ROUTE_FIELDS,
+  snapshotRoute,
+  recordRouteVersion,
+  listRouteVersions,
+  rollbackRoute,
+};
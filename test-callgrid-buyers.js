@@ -11,6 +11,7 @@
 require("dotenv").config({ quiet: true });
 const mongoose = require("mongoose");
 const Company = require("./models/companyModel");
+const credentialVault = require("./services/credentialVault");
 const { fetchBuyersByDayReport, parseBuyersReportCliArgs } = require("./services/callgridReportService");
 const { fetchDashboardBuyersStatsReport, normalizeBuyers } = require("./services/callgridStatsReportService");
 
@@ -29,7 +30,7 @@ async function loadBuyersFromDb(accountIDFilter) {
     companies.map((c) => ({
       buyer: c.companyName,
       organizationId: c.accountID,
-      apiKey: c.apiToken,
+      apiKey: credentialVault.reveal(c.apiToken, `company ${c.accountID} apiToken`),
     }))
   );
 }
@@ -0,0 +1,77 @@
+const assert = require("assert");
+
+const apiKeyService = require("../services/apiKeyService");
+const { extractApiKey, requireApiKey } = require("../middleware/apiKeyAuth");
+
+function fakeRes() {
+  return {
+    statusCode: 200,
+    body: null,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    },
+  };
+}
+
+async function run() {
+  // IP allowlist: exact, CIDR, IPv4-mapped IPv6, empty = any.
+  assert.strictEqual(apiKeyService.ipAllowed("10.0.0.5", []), true);
+  assert.strictEqual(apiKeyService.ipAllowed("10.0.0.5", ["10.0.0.5"]), true);
+  assert.strictEqual(apiKeyService.ipAllowed("::ffff:10.0.0.5", ["10.0.0.0/24"]), true);
+  assert.strictEqual(apiKeyService.ipAllowed("10.0.1.5", ["10.0.0.0/24"]), false);
+  assert.strictEqual(apiKeyService.ipAllowed("", ["10.0.0.0/24"]), false);
+
+  // Scopes: exact and wildcard grants.
+  assert.strictEqual(apiKeyService.keyHasScope({ scopes: ["ringTree:pixel"] }, "ringTree:pixel"), true);
+  assert.strictEqual(apiKeyService.keyHasScope({ scopes: ["ringTree:pixel"] }, "callgrid:pixel"), false);
+  assert.strictEqual(apiKeyService.keyHasScope({ scopes: ["conversions:*"] }, "conversions:roku"), true);
+  assert.strictEqual(apiKeyService.keyHasScope({ scopes: ["*"] }, "callgrid:pixel"), true);
+
+  assert.deepStrictEqual(apiKeyService.validateKeyInput({ name: "Ringba FE", scopes: ["ringTree:pixel"] }), []);
+  assert.strictEqual(apiKeyService.validateKeyInput({ name: "x", scopes: ["nope:read"] }).length, 1);
+  assert.strictEqual(apiKeyService.validateKeyInput({ name: "x", scopes: ["*"], ipAllowlist: ["1.2.3/8"] }).length, 1);
+  assert.ok(apiKeyService.validateKeyInput({ scopes: [] }).length >= 2);
+
+  // Only ak_ values count as API keys; legacy secrets in the same params fall through.
+  assert.strictEqual(extractApiKey({ headers: {}, query: { token: "legacy-secret" } }), null);
+  assert.strictEqual(extractApiKey({ headers: { "x-api-key": "legacy-secret" }, query: {} }), null);
+  assert.strictEqual(extractApiKey({ headers: { "x-api-key": "ak_1234abcd_xyz" }, query: {} }).key, "ak_1234abcd_xyz");
+  assert.strictEqual(
+    extractApiKey({ headers: { authorization: "ApiKey ak_1234abcd_xyz" }, query: {} }).key,
+    "ak_1234abcd_xyz"
+  );
+  assert.deepStrictEqual(extractApiKey({ headers: {}, query: { api_key: "ak_1_2" } }).source, {
+    in: "query",
+    param: "api_key",
+  });
+
+  // No key + scope not enforced -> legacy path (next()).
+  let nextCalled = false;
+  await requireApiKey("ringTree:pixel")({ headers: {}, query: {}, body: {} }, fakeRes(), () => {
+    nextCalled = true;
+  });
+  assert.strictEqual(nextCalled, true);
+
+  // A presented key without Mongo -> 503, never silently accepted.
+  const res = fakeRes();
+  nextCalled = false;
+  await requireApiKey("ringTree:pixel")({ headers: {}, query: { api_key: "ak_1234abcd_xyz" }, body: {} }, res, () => {
+    nextCalled = true;
+  });
+  assert.strictEqual(nextCalled, false);
+  assert.strictEqual(res.statusCode, 503);
+
+  assert.throws(() => requireApiKey("nope:read"));
+
+  console.log("PASS apiKeys.test");
+}
+
+run().catch((err) => {
+  console.error("FAIL apiKeys.test", err);
+  process.exit(1);
+});
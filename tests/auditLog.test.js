@@ -0,0 +1,100 @@
+const assert = require("assert");
+const crypto = require("crypto");
+
+process.env.CREDENTIALS_ENCRYPTION_KEY = crypto.randomBytes(32).toString("hex");
+
+const mongoose = require("mongoose");
+const AuditLog = require("../models/auditLogModel");
+const credentialVault = require("../services/credentialVault");
+const auditLogService = require("../services/auditLogService");
+
+async function run() {
+  // Route diff: the previous phone number / Ringba id are kept.
+  const before = auditLogService.snapshotRoute({ route: "quote", template: "t1", phoneNumber: "8005550100", ringbaID: "CA1" });
+  const after = auditLogService.snapshotRoute({ route: "quote", template: "t1", phoneNumber: "8005550199", ringbaID: "CA2" });
+  assert.deepStrictEqual(auditLogService.diffSnapshots(before, after), [
+    { path: "phoneNumber", from: "8005550100", to: "8005550199" },
+    { path: "ringbaID", from: "CA1", to: "CA2" },
+  ]);
+
+  // Domain diff: routes keyed by name, so a reorder is not a change.
+  const domain = { domain: "a.com", rtkID: "r1", certificationTags: ["x"], routes: [{ route: "a" }, { route: "b", phoneNumber: "1" }] };
+  const moved = { ...domain, certificationTags: ["x", "y"], routes: [{ route: "b", phoneNumber: "2" }, { route: "a" }] };
+  assert.deepStrictEqual(
+    auditLogService.diffSnapshots(auditLogService.snapshotDomain(domain), auditLogService.snapshotDomain(moved)),
+    [
+      { path: "certificationTags", from: ["x"], to: ["x", "y"] },
+      { path: "routes.b.phoneNumber", from: "1", to: "2" },
+    ]
+  );
+
+  const created = [];
+  AuditLog.create = async (doc) => (created.push(doc), doc);
+
+  // Without Mongo recording is a no-op.
+  assert.strictEqual(await auditLogService.recordAudit({}, { action: "route.update", targetType: "route" }), null);
+
+  Object.defineProperty(mongoose.connection, "readyState", { get: () => 1, configurable: true });
+  try {
+    const req = {
+      user: { userId: "u1", email: "ops@example.com", role: "tech" },
+      headers: { "x-forwarded-for": "203.0.113.9, 10.0.0.1" },
+    };
+    await auditLogService.recordAudit(req, { action: "route.update", targetType: "route", domain: "a.com", route: "quote", before, after });
+    assert.deepStrictEqual(created[0].actor, req.user);
+    assert.strictEqual(created[0].ip, "203.0.113.9");
+    assert.strictEqual(created[0].diff.length, 2);
+
+    // Company tokens: masked in snapshots, a rotation shows in the diff even with the same last 4 chars.
+    const oldToken = credentialVault.seal("token-aaaa-1234");
+    const newToken = credentialVault.seal("token-bbbb-1234");
+    await auditLogService.recordAudit(req, {
+      action: "company.update",
+      targetType: "company",
+      accountID: "RA1",
+      before: auditLogService.snapshotCompany({ companyName: "Acme", accountID: "RA1", apiToken: oldToken }),
+      after: auditLogService.snapshotCompany({ companyName: "Acme Inc", accountID: "RA1", apiToken: newToken }),
+    });
+    const entry = created[1];
+    assert.ok(!JSON.stringify(entry).includes("token-"));
+    assert.ok(!JSON.stringify(entry).includes("enc:v1"));
+    assert.strictEqual(entry.before.apiToken, "****1234");
+    assert.deepStrictEqual(entry.diff, [
+      { path: "companyName", from: "Acme", to: "Acme Inc" },
+      { path: "apiToken", from: "****1234", to: "****1234" },
+    ]);
+
+    // Unchanged token (re-sealed with a new IV) is not a change.
+    await auditLogService.recordAudit(req, {
+      action: "company.update",
+      targetType: "company",
+      before: { apiToken: oldToken },
+      after: { apiToken: credentialVault.seal("token-aaaa-1234") },
+    });
+    assert.deepStrictEqual(created[2].diff, []);
+
+    // A failed write never reaches the caller.
+    AuditLog.create = async () => {
+      throw new Error("boom");
+    };
+    assert.strictEqual(await auditLogService.recordAudit(req, { action: "domain.update", targetType: "domain" }), null);
+
+    const badAction = await auditLogService.searchAudit({ action: "domain.nuke" });
+    assert.strictEqual(badAction.status, 400);
+  } finally {
+    delete mongoose.connection.readyState;
+  }
+
+  // Append-only: query updates / deletes are rejected before reaching Mongo.
+  await assert.rejects(AuditLog.deleteMany({}).exec(), /append-only/);
+  await assert.rejects(AuditLog.updateOne({}, { $set: { ip: null } }).exec(), /append-only/);
+
+  console.log("PASS auditLog.test");
+}
+
+run()
+  .then(() => process.exit(0))
+  .catch((err) => {
+    console.error("FAIL auditLog.test", err);
+    process.exit(1);
+  });
@@ -0,0 +1,141 @@
+const assert = require("assert");
+const mongoose = require("mongoose");
+const Domain = require("../models/domainModel");
+const CLOUDFLARE_CONFIG = require("../config/cloudflare");
+const templateService = require("../services/templateService");
+const dynamicRoutes = require("../services/dynamicRoutes");
+const domainProvisioningService = require("../services/domainProvisioningService");
+const auditLogService = require("../services/auditLogService");
+const routeVersionService = require("../services/routeVersionService");
+const domainOwnershipService = require("../services/domainOwnershipService");
+const bulkImportService = require("../services/bulkImportService");
+
+const req = { user: { userId: "u1", email: "buyer@example.com", role: "admin" }, headers: {}, ip: "127.0.0.1" };
+
+async function run() {
+  assert.deepStrictEqual(bulkImportService.parseCsv('a,"b,c","d ""q"""\r\n\r\n1,2,3\n'), [
+    ["a", "b,c", 'd "q"'],
+    ["1", "2", "3"],
+  ]);
+  assert.match(bulkImportService.parseImportBody("domain,nope\nx.com,1").error, /Unknown CSV column\(s\): nope/);
+
+  Object.assign(CLOUDFLARE_CONFIG, {
+    API_TOKEN: "cf",
+    SERVER_IP: "127.0.0.1",
+    INTERNAL_SERVER_URL: "https://lander.example",
+    INTERNAL_API_TOKEN: "internal",
+  });
+  const stored = [
+    { domain: "archived.com", status: "archived", assignedTo: "buyer@example.com", routes: [] },
+    { domain: "live.com", status: "active", assignedTo: "buyer@example.com", rtkID: null, routes: [{ route: "old" }] },
+    { domain: "other.com", status: "active", assignedTo: "someone@example.com", routes: [] },
+  ];
+  const queued = [];
+  const audits = [];
+  const nginx = [];
+  Domain.find = (filter) => ({
+    select: () => ({ lean: async () => stored.filter((d) => filter.domain.$in.includes(d.domain)) }),
+  });
+  Domain.findOne = async ({ domain }) => {
+    const doc = stored.find((d) => d.domain === domain);
+    return doc && Object.assign(doc, { save: async () => doc });
+  };
+  domainProvisioningService.findOpenJobs = async () => new Map([["busy.com", "waiting_zone"]]);
+  domainProvisioningService.startProvisioning = async (input) => {
+    queued.push(input);
+    return { ok: true, status: 202, job: { id: `job-${queued.length}` } };
+  };
+  templateService.validateTemplate = async (template) =>
+    template === "missing" ? { success: false, error: "no such directory" } : { success: true };
+  dynamicRoutes.generateNginxConfig = async (doc) => nginx.push(doc.domain);
+  auditLogService.recordAudit = async (_req, entry) => audits.push(entry);
+  routeVersionService.recordRouteVersion = async () => null;
+  domainOwnershipService.resolveOwners = async (refs) =>
+    new Map(refs.filter((r) => r === "buyer@example.com").map((r) => [r, { _id: "u1", email: r }]));
+
+  Object.defineProperty(mongoose.connection, "readyState", { get: () => 1, configurable: true });
+  try {
+    // Domains: two CSV rows for one domain = two routes; conflicts and bad templates are per-row errors.
+    const csv = [
+      "domain,assignedTo,id,platform,vertical,certificationTags,route,template,phoneNumber",
+      "new.com,buyer@example.com,acct-1,Facebook,ACA,LegitScript;BBB,quote,cb-groc,+18005550100",
+      "new.com,buyer@example.com,acct-1,Facebook,ACA,,home,ms-ss,",
+      "archived.com,buyer@example.com,acct-2,Facebook,ACA,,,,",
+      "busy.com,buyer@example.com,acct-3,Facebook,ACA,,,,",
+      "bad.com,buyer@example.com,acct-4,Google,Medicare,,quote,missing,",
+      "new.com,buyer@example.com,acct-1,Facebook,ACA,,quote,cb-groc,",
+    ].join("\n");
+    const dry = await bulkImportService.importDomains(csv, { req, dryRun: true });
+    assert.strictEqual(dry.status, 200);
+    assert.deepStrictEqual(dry.rows.map((r) => r.status), ["valid", "valid", "invalid", "invalid", "invalid", "invalid"]);
+    assert.match(dry.rows[2].errors[0], /archived — restore it/);
+    assert.match(dry.rows[3].errors[0], /already waiting_zone/);
+    assert.match(dry.rows[4].errors[0], /template "missing" not found/);
+    assert.match(dry.rows[5].errors[0], /duplicate route "quote"/);
+    assert.strictEqual(queued.length, 0);
+
+    const blocked = await bulkImportService.importDomains(csv, { req });
+    assert.strictEqual(blocked.status, 400);
+    assert.strictEqual(blocked.summary.skipped, 2);
+    assert.strictEqual(queued.length, 0);
+
+    // skipInvalid: the valid domains are queued (one job with both routes), invalid rows are only reported.
+    const partial = await bulkImportService.importDomains(csv.split("\n").slice(0, 5).join("\n"), { req, skipInvalid: true });
+    assert.strictEqual(partial.status, 202);
+    assert.deepStrictEqual(partial.rows.map((r) => r.status), ["queued", "queued", "invalid", "invalid"]);
+    assert.strictEqual(partial.rows[0].jobId, "job-1");
+    assert.strictEqual(queued.length, 1);
+    assert.deepStrictEqual(queued[0].certificationTags, ["LegitScript", "BBB"]);
+    assert.strictEqual(queued[0].ownerId, "u1");
+    assert.strictEqual(queued[0].organization, "Paragon");
+    assert.deepStrictEqual(
+      queued[0].routes.map((r) => [r.route, r.template, r.organization, r.platform, r.createdBy]),
+      [
+        ["quote", "cb-groc", "paragon media", "Facebook", "buyer@example.com"],
+        ["home", "ms-ss", "paragon media", "Facebook", "buyer@example.com"],
+      ]
+    );
+
+    // Routes: JSON rows on existing domains; access, duplicates and existing routes are checked up front.
+    const buyerReq = { ...req, user: { ...req.user, role: "mediaBuyer" } };
+    const routes = await bulkImportService.importRoutes(
+      [
+        { domain: "live.com", route: "quote", template: "cb-groc", organization: "elite", platform: "Facebook", rtkID: "rt-1" },
+        { domain: "live.com", route: "cg", template: "cb-groc", organization: "elite", platform: "Facebook",
+          trackingPlatform: "callgrid", callgridCampaignId: "cmp-1" },
+        { domain: "live.com", route: "old", template: "cb-groc", organization: "elite", platform: "Facebook" },
+        { domain: "live.com", route: "quote", template: "cb-groc", organization: "elite", platform: "Facebook" },
+        { domain: "other.com", route: "x", template: "cb-groc", organization: "elite", platform: "Facebook" },
+        { domain: "gone.com", route: "x", template: "cb-groc", organization: "Paragon", platform: "Facebook" },
+      ],
+      {
+        req: buyerReq,
+        canAccess: (doc) => doc.assignedTo === buyerReq.user.email,
+        skipInvalid: true,
+      }
+    );
+    assert.strictEqual(routes.status, 200);
+    assert.deepStrictEqual(routes.rows.map((r) => r.status), ["created", "created", "invalid", "invalid", "invalid", "invalid"]);
+    assert.match(routes.rows[2].errors[0], /already exists on live.com/);
+    assert.match(routes.rows[3].errors[0], /duplicate route in this import \(row 1\)/);
+    assert.match(routes.rows[4].errors[0], /don't have access/);
+    assert.ok(routes.rows[5].errors.some((e) => /organization must be one of/.test(e)));
+    assert.ok(routes.rows[5].errors.some((e) => /gone.com not found/.test(e)));
+    const live = stored.find((d) => d.domain === "live.com");
+    assert.deepStrictEqual(live.routes.map((r) => r.route), ["old", "quote", "cg"]);
+    assert.strictEqual(live.routes[2].callgridCampaignId, "cmp-1");
+    assert.deepStrictEqual(nginx, ["live.com"]);
+    assert.deepStrictEqual(audits.map((a) => `${a.action}:${a.route}`), ["route.create:quote", "route.create:cg"]);
+  } finally {
+    delete mongoose.connection.readyState;
+  }
+
+  console.log("PASS bulkImport.test");
+}
+
+run()
+  .then(() => process.exit(0))
+  .catch((err) => {
+    console.error("FAIL bulkImport.test", err);
+    process.exit(1);
+  });
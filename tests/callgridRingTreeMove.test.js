@@ -0,0 +1,208 @@
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+process.env.CALLGRID_API_KEY = process.env.CALLGRID_API_KEY || "test-key";
+process.env.CALLGRID_RING_TREE_PROFILES_JSON = JSON.stringify({ medicare: { campaignId: "camp-1", planId: "plan-1" } });
+
+const CFG = require("../config/callgridRingTreeTarget");
+const ringTreeHistoryService = require("../services/ringTreeHistoryService");
+const slackService = require("../services/slackService");
+const callgridRingTreeTargetService = require("../services/callgridRingTreeTargetService");
+
+function campaignFixture() {
+  return {
+    id: "camp-1",
+    routingGroups: {
+      plans: [
+        {
+          id: "plan-1",
+          groups: [
+            {
+              id: "g1",
+              name: "Medicare T1",
+              destinations: ["dest-a"],
+              weights: [{ destinationId: "dest-a", weight: 3, priority: 2 }],
+            },
+            { id: "g2", name: "Medicare T2", destinations: ["dest-b"], weights: [] },
+          ],
+        },
+      ],
+    },
+  };
+}
+
+async function run() {
+  const originalFetch = global.fetch;
+  const originalCfg = { DRY_RUN: CFG.DRY_RUN, EVENTS_FILE: CFG.EVENTS_FILE };
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "callgrid-ring-tree-move-"));
+  const profile = { key: "medicare", campaignId: "camp-1", planId: "plan-1" };
+
+  try {
+    // Weight + priority travel with the destination
+    const built = callgridRingTreeTargetService.buildMovedRoutingGroups(
+      campaignFixture(),
+      "plan-1",
+      "dest-a",
+      "Medicare T1",
+      "Medicare T2"
+    );
+    assert.strictEqual(built.ok, true);
+    const [t1, t2] = built.routingGroups.plans[0].groups;
+    assert.deepStrictEqual(t1.destinations, []);
+    assert.deepStrictEqual(t2.destinations, ["dest-b", "dest-a"]);
+    assert.deepStrictEqual(t2.weights, [{ destinationId: "dest-a", weight: 3, priority: 2 }]);
+
+    // Confirmed move: PATCH then re-read shows destination only in T2
+    let calls = [];
+    global.fetch = async (url, opts) => {
+      calls.push(opts.method);
+      if (opts.method === "PATCH") return { ok: true, json: async () => ({}) };
+      return { ok: true, json: async () => ({ id: "camp-1", routingGroups: built.routingGroups }) };
+    };
+    const original = campaignFixture();
+    const moved = await callgridRingTreeTargetService.moveDestinationBetweenGroups(
+      profile,
+      original,
+      original.routingGroups.plans[0],
+      "dest-a",
+      "Medicare T1",
+      "Medicare T2"
+    );
+    assert.strictEqual(moved.ok, true);
+    assert.strictEqual(moved.weight, 3);
+    assert.deepStrictEqual(calls, ["PATCH", "GET"]);
+
+    // Half-applied: destination in both groups → rollback PATCH with original routingGroups
+    calls = [];
+    let rollbackBody = null;
+    global.fetch = async (url, opts) => {
+      calls.push(opts.method);
+      if (opts.method === "PATCH") {
+        if (calls.length > 1) rollbackBody = JSON.parse(opts.body);
+        return { ok: true, json: async () => ({}) };
+      }
+      const half = campaignFixture();
+      half.routingGroups.plans[0].groups[1].destinations.push("dest-a");
+      return { ok: true, json: async () => half };
+    };
+    const half = campaignFixture();
+    const failed = await callgridRingTreeTargetService.moveDestinationBetweenGroups(
+      profile,
+      half,
+      half.routingGroups.plans[0],
+      "dest-a",
+      "Medicare T1",
+      "Medicare T2"
+    );
+    assert.strictEqual(failed.ok, false);
+    assert.strictEqual(failed.rolledBack, true);
+    assert.deepStrictEqual(failed.verifiedGroups, ["Medicare T1", "Medicare T2"]);
+    assert.deepStrictEqual(calls, ["PATCH", "GET", "PATCH"]);
+    assert.deepStrictEqual(rollbackBody.routingGroups, campaignFixture().routingGroups);
+
+    // PATCH throws after a partial apply → re-read, original routingGroups PATCHed back
+    calls = [];
+    rollbackBody = null;
+    global.fetch = async (url, opts) => {
+      calls.push(opts.method);
+      if (opts.method === "PATCH") {
+        if (calls.length === 1) throw new Error("socket hang up");
+        rollbackBody = JSON.parse(opts.body);
+        return { ok: true, json: async () => ({}) };
+      }
+      const partial = campaignFixture();
+      partial.routingGroups.plans[0].groups[1].destinations.push("dest-a");
+      return { ok: true, json: async () => partial };
+    };
+    const thrown = campaignFixture();
+    const patchFailed = await callgridRingTreeTargetService.moveDestinationBetweenGroups(
+      profile,
+      thrown,
+      thrown.routingGroups.plans[0],
+      "dest-a",
+      "Medicare T1",
+      "Medicare T2"
+    );
+    assert.strictEqual(patchFailed.ok, false);
+    assert.match(patchFailed.error, /patch failed: .*socket hang up/);
+    assert.strictEqual(patchFailed.rolledBack, true);
+    assert.deepStrictEqual(calls, ["PATCH", "GET", "PATCH"]);
+    assert.deepStrictEqual(rollbackBody.routingGroups, campaignFixture().routingGroups);
+
+    // PATCH throws but nothing was applied → no rollback PATCH
+    calls = [];
+    global.fetch = async (url, opts) => {
+      calls.push(opts.method);
+      if (opts.method === "PATCH") throw new Error("503");
+      return { ok: true, json: async () => campaignFixture() };
+    };
+    const untouched = campaignFixture();
+    const notApplied = await callgridRingTreeTargetService.moveDestinationBetweenGroups(
+      profile,
+      untouched,
+      untouched.routingGroups.plans[0],
+      "dest-a",
+      "Medicare T1",
+      "Medicare T2"
+    );
+    assert.strictEqual(notApplied.ok, false);
+    assert.strictEqual(notApplied.rolledBack, false);
+    assert.strictEqual(notApplied.rollbackError, null);
+    assert.deepStrictEqual(notApplied.verifiedGroups, ["Medicare T1"]);
+    assert.deepStrictEqual(calls, ["PATCH", "GET"]);
+
+    // Live move from the eval path: calls taken in the old tier are dropped, dedupe ids are kept
+    Object.assign(CFG, { DRY_RUN: false, EVENTS_FILE: path.join(dir, "events.jsonl") });
+    ringTreeHistoryService.recordEvent = async () => null;
+    slackService.sendCallGridRingTreeSlackMessage = async () => null;
+    const promoted = callgridRingTreeTargetService.buildMovedRoutingGroups(
+      campaignFixture(),
+      "plan-1",
+      "dest-b",
+      "Medicare T2",
+      "Medicare T1"
+    );
+    let patched = false;
+    global.fetch = async (url, opts) => {
+      if (opts.method === "PATCH") {
+        patched = true;
+        return { ok: true, json: async () => ({}) };
+      }
+      return { ok: true, json: async () => (patched ? { id: "camp-1", routingGroups: promoted.routingGroups } : campaignFixture()) };
+    };
+    const window = [
+      { callId: "w1", callerPhone: "+15550000001", revenue: 20, receivedAt: new Date().toISOString() },
+      { callId: "w2", callerPhone: "+15550000002", revenue: 20, receivedAt: new Date().toISOString() },
+    ];
+    const state = callgridRingTreeTargetService.emptyState();
+    state.profiles.medicare = {
+      destinations: { "dest-b": { destinationName: "Buyer B", batch: [window[0]], window: [...window], seenCallIds: ["w1", "w2"] } },
+      lastMoveAt: {},
+    };
+    const evaluated = await callgridRingTreeTargetService.evaluateBatchMove({
+      profileKey: "medicare",
+      destinationId: "dest-b",
+      destinationName: "Buyer B",
+      batch: window,
+      rpc: 20,
+      state,
+    });
+    assert.deepStrictEqual([evaluated.action, evaluated.currentTier, evaluated.desiredTier], ["move_completed", "Medicare T2", "Medicare T1"]);
+    const destState = state.profiles.medicare.destinations["dest-b"];
+    assert.deepStrictEqual([destState.batch, destState.window, destState.seenCallIds], [[], [], ["w1", "w2"]]);
+    assert.ok(state.profiles.medicare.lastMoveAt["dest-b"]);
+
+    console.log("PASS callgridRingTreeMove.test");
+  } finally {
+    global.fetch = originalFetch;
+    Object.assign(CFG, originalCfg);
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+run().catch((err) => {
+  console.error("FAIL callgridRingTreeMove.test", err);
+  process.exit(1);
+});
@@ -0,0 +1,122 @@
+const assert = require("assert");
+
+const dynamicRingTreeTargetService = require("../services/dynamicRingTreeTargetService");
+const rokuConversionService = require("../services/rokuConversionService");
+const conversionBackfillService = require("../services/conversionBackfillService");
+
+function record(id, callDt, extra = {}) {
+  return {
+    inboundCallId: id,
+    callDt,
+    campaignName: "Paragon - Medicare",
+    buyer: "Wright Source",
+    inboundPhoneNumber: "+15551234567",
+    hasConverted: "true",
+    conversionAmount: "45",
+    ...extra,
+  };
+}
+
+async function run() {
+  assert.ok(!conversionBackfillService.validateInput({ destination: "fax", from: "2026-10-01", to: "2026-10-02" }).ok);
+  assert.ok(!conversionBackfillService.validateInput({ destination: "roku", from: "2026-09-01", to: "2026-10-15" }).ok);
+  const realRun = conversionBackfillService.validateInput({ destination: "roku", from: "2026-10-01", to: "2026-10-01", dryRun: false });
+  assert.deepStrictEqual(realRun.errors, ["defaults.roku_api_key, defaults.event_group_id required for roku"]);
+
+  // The synchronous endpoint caps calllogs pages (~13s apart); the CLI keeps the full 20.
+  const range = { destination: "meta", from: "2026-10-01", to: "2026-10-01", maxPages: 20 };
+  assert.strictEqual(conversionBackfillService.validateInput(range).params.maxPages, 20);
+  const http = conversionBackfillService.validateInput({ ...range, pageLimit: conversionBackfillService.CALLLOGS_HTTP_MAX_PAGES });
+  assert.strictEqual(http.params.maxPages, 3);
+  assert.strictEqual(conversionBackfillService.validateInput({ ...range, maxPages: 2, pageLimit: 3 }).params.maxPages, 2);
+
+  // Campaign / buyer filters go to calllogs; unconverted calls are dropped.
+  let sentBody = null;
+  dynamicRingTreeTargetService.ringbaRequest = async (method, path, { data }) => {
+    sentBody = data;
+    return {
+      status: 200,
+      data: {
+        report: {
+          totalCount: 5,
+          records: [
+            record("c1", "2026-10-01T14:00:00Z"),
+            record("c2", "2026-10-01T14:20:00Z"),
+            record("c3", "2026-10-01T16:00:00Z"),
+            record("c4", "2026-10-01T17:00:00Z", { hasConverted: "false", conversionAmount: "0" }),
+            record("c5", "2026-10-01T18:00:00Z", { inboundPhoneNumber: "-no value-" }),
+          ],
+        },
+      },
+    };
+  };
+
+  const input = {
+    destination: "roku",
+    from: "2026-10-01",
+    to: "2026-10-01",
+    campaign: "Paragon - Medicare",
+    buyer: "Wright Source,Other Buyer",
+    defaults: { roku_api_key: "k1", event_group_id: "g1" },
+  };
+  const preview = await conversionBackfillService.runBackfill(input);
+  assert.strictEqual(preview.dryRun, true);
+  assert.strictEqual(sentBody.filters.length, 2);
+  assert.deepStrictEqual(sentBody.filters[1].anyConditionToMatch.map((c) => c.value), ["Wright Source", "Other Buyer"]);
+  assert.strictEqual(preview.convertedCalls, 4);
+  // Roku: one event per phone per hour, so c2 (20 min after c1) is skipped; c5 has no phone.
+  assert.deepStrictEqual(preview.conversions.map((c) => c.callId), ["c1", "c3"]);
+  assert.deepStrictEqual(
+    preview.skipped.map((s) => [s.callId, s.reason]),
+    [["c2", "duplicate_for_destination"], ["c5", "missing: phone"]]
+  );
+  assert.strictEqual(preview.conversions[0].preview.event_group_id, "g1");
+  assert.strictEqual(preview.conversions[0].preview.events[0].event_id, "c1");
+
+  // Real run without Mongo delivers inline through the outbox adapters.
+  const delivered = [];
+  rokuConversionService.sendConversionsToRoku = async (list) => {
+    delivered.push(...list);
+    return list.map(() => ({ sentToRoku: true, response: {} }));
+  };
+  const sent = await conversionBackfillService.runBackfill({ ...input, dryRun: false }, { email: "ops@example.com" });
+  assert.strictEqual(sent.delivery.success, true);
+  assert.deepStrictEqual(delivered.map((c) => c.event_id), ["c1", "c3"]);
+  assert.strictEqual(delivered[0].roku_api_key, "k1");
+
+  // Google: conversionDateTime is the call time; same click id twice is sent once.
+  const plan = conversionBackfillService.planBackfill(
+    { destination: "google", defaults: { conversionActionId: "123" }, dryRun: false, limit: 10 },
+    [
+      { callId: "g1", at: new Date("2026-10-01T14:00:00Z"), tags: { gclid: "abc" } },
+      { callId: "g2", at: new Date("2026-10-01T15:00:00Z"), tags: { gclid: "abc" } },
+      { callId: "g3", at: new Date("2026-10-01T16:00:00Z"), tags: {} },
+    ],
+    new Map([["g9", "delivered"]])
+  );
+  assert.strictEqual(plan.send.length, 1);
+  assert.strictEqual(plan.send[0].conversion.conversionDateTime, "2026-10-01 14:00:00+00:00");
+  assert.deepStrictEqual(plan.skipped.map((s) => s.reason), ["duplicate_for_destination", "missing: gclid/gbraid/wbraid"]);
+
+  const jadePlan = conversionBackfillService.planBackfill(
+    { destination: "jade", defaults: {}, dryRun: false, limit: 10 },
+    [
+      { callId: "j1", at: new Date("2026-10-01T14:00:00Z"), callerPhone: "5551234567", tags: {} },
+      { callId: "j2", at: new Date("2026-10-01T23:00:00Z"), callerPhone: "5551234567", tags: {} },
+      { callId: "j3", at: new Date("2026-10-02T05:00:00Z"), callerPhone: "5551234567", tags: {} },
+    ],
+    new Map([["j1", "delivered"]])
+  );
+  // j1 is already in the outbox, so j2 (same ET day) is a duplicate; j3 is 01:00 ET on Oct 2.
+  assert.deepStrictEqual(jadePlan.send.map((s) => s.row.callId), ["j3"]);
+  assert.deepStrictEqual(jadePlan.skipped.map((s) => s.reason), ["outbox_delivered", "duplicate_for_destination"]);
+
+  console.log("PASS conversionBackfill.test");
+}
+
+run()
+  .then(() => process.exit(0))
+  .catch((err) => {
+    console.error("FAIL conversionBackfill.test", err);
+    process.exit(1);
+  });
@@ -0,0 +1,55 @@
+const assert = require("assert");
+
+const jadeLeadService = require("../services/jadeLeadService");
+const { getAdapter } = require("../services/conversionDestinations");
+const conversionDeliveryLogService = require("../services/conversionDeliveryLogService");
+
+async function run() {
+  // One hash per caller regardless of formatting.
+  const hash = conversionDeliveryLogService.hashPhone("+1 (555) 123-4567");
+  assert.strictEqual(hash, conversionDeliveryLogService.hashPhone("5551234567"));
+  assert.strictEqual(hash.length, 64);
+  assert.strictEqual(conversionDeliveryLogService.hashPhone("12345"), null);
+
+  // Plain PII is redacted, click ids masked, hashed Roku user_data kept.
+  const redacted = conversionDeliveryLogService.redact({
+    first_name: "Jane",
+    phone_home: "5551234567",
+    state: "TX",
+    conversions: [{ gclid: "Cj0KCQjwabcdefgh1234" }],
+    events: [{ user_data: { ph: "abc123", client_ip_address: "1.2.3.4" } }],
+  });
+  assert.deepStrictEqual(redacted, {
+    first_name: "[redacted]",
+    phone_home: "[redacted]",
+    state: "TX",
+    conversions: [{ gclid: "Cj0K...1234" }],
+    events: [{ user_data: { ph: "abc123", client_ip_address: "[redacted]" } }],
+  });
+
+  // Adapters report the body they sent so it can be logged.
+  jadeLeadService.sendConversionsToJade = async () => ({
+    success: true,
+    data: { success: true, data: { phone_home: "5551234567", subid: "paragon" }, jadeResponse: { status: 200 } },
+  });
+  const outcome = await getAdapter("jade").deliver({ phone: "5551234567" });
+  assert.strictEqual(outcome.outcome, "delivered");
+  assert.deepStrictEqual(outcome.request, { phone_home: "5551234567", subid: "paragon" });
+
+  // No Mongo connection: logging is a no-op, never an error.
+  assert.strictEqual(
+    await conversionDeliveryLogService.recordDelivery({ destination: "jade", payload: {}, outcome, latencyMs: 5 }),
+    null
+  );
+  const search = await conversionDeliveryLogService.searchDeliveries({ callId: "x" });
+  assert.strictEqual(search.status, 503);
+
+  console.log("PASS conversionDeliveryLog.test");
+}
+
+run()
+  .then(() => process.exit(0))
+  .catch((err) => {
+    console.error("FAIL conversionDeliveryLog.test", err);
+    process.exit(1);
+  });
@@ -0,0 +1,134 @@
+const assert = require("assert");
+
+const ConversionOutbox = require("../models/conversionOutboxModel");
+const cm360Service = require("../services/cm360Service");
+const rokuConversionService = require("../services/rokuConversionService");
+const jadeLeadService = require("../services/jadeLeadService");
+const { getAdapter } = require("../services/conversionDestinations");
+const conversionOutboxService = require("../services/conversionOutboxService");
+
+const CFG = { baseDelayMs: 1000, maxDelayMs: 10000 };
+
+async function run() {
+  // Backoff doubles per attempt, caps at maxDelayMs, jitter stays within ±20%.
+  const mid = () => 0.5;
+  assert.strictEqual(conversionOutboxService.computeBackoffMs(1, CFG, mid), 1000);
+  assert.strictEqual(conversionOutboxService.computeBackoffMs(3, CFG, mid), 4000);
+  assert.strictEqual(conversionOutboxService.computeBackoffMs(10, CFG, mid), 10000);
+  assert.strictEqual(conversionOutboxService.computeBackoffMs(1, CFG, () => 0), 800);
+  assert.strictEqual(conversionOutboxService.computeBackoffMs(1, CFG, () => 1), 1200);
+
+  // Adapters classify failures as retryable or permanent.
+  rokuConversionService.sendConversionsToRoku = async () => [{ error: "[network_tls_error] socket hang up" }];
+  let outcome = await getAdapter("roku").deliver({ phone: "5551234567" });
+  assert.strictEqual(outcome.outcome, "failed");
+  assert.strictEqual(outcome.retryable, true);
+  assert.ok(outcome.alert.startsWith("ROKU [network_tls_error]"));
+
+  rokuConversionService.sendConversionsToRoku = async () => [{ error: '{"code":"bad_request"}', status: 400 }];
+  outcome = await getAdapter("roku").deliver({ phone: "5551234567" });
+  assert.strictEqual(outcome.retryable, false);
+
+  let seenOptions = null;
+  rokuConversionService.sendConversionsToRoku = async (list, options) => {
+    seenOptions = options;
+    return [{ skipped: true }];
+  };
+  outcome = await getAdapter("roku").deliver({ phone: "5551234567" }, { defaultEventGroupId: "g1" }, { retry: true });
+  assert.strictEqual(outcome.outcome, "skipped");
+  assert.deepStrictEqual(seenOptions, { defaultEventGroupId: "g1", skipDuplicateCheck: true });
+
+  jadeLeadService.sendConversionsToJade = async () => ({
+    success: false,
+    data: { success: false, failureReason: "duplicate_same_et_day" },
+  });
+  assert.strictEqual((await getAdapter("jade").deliver({})).outcome, "skipped");
+
+  cm360Service.sendConversionsToCM360 = async () => {
+    const err = new Error("CM360 API error: 503 Service Unavailable");
+    err.status = 503;
+    throw err;
+  };
+  outcome = await getAdapter("cm360").deliver({ ordinal: "o-1" });
+  assert.strictEqual(outcome.retryable, true);
+  assert.strictEqual(outcome.httpStatus, 503);
+
+  cm360Service.sendConversionsToCM360 = async () => ({
+    hasFailures: true,
+    status: [{ errors: [{ message: "invalid dclid" }] }],
+  });
+  outcome = await getAdapter("cm360").deliver({ ordinal: "o-2" });
+  assert.strictEqual(outcome.retryable, false);
+  assert.strictEqual(outcome.alert, "o-2 failed. Err message : invalid dclid");
+
+  // processJob: retry with backoff, then dead-letter at maxAttempts; permanent errors go straight to dead.
+  const updates = [];
+  ConversionOutbox.updateOne = async (filter, update) => {
+    updates.push(update);
+    return { modifiedCount: 1 };
+  };
+  cm360Service.sendConversionsToCM360 = async () => {
+    const err = new Error("CM360 API network error: ETIMEDOUT");
+    throw err;
+  };
+  const job = { _id: "job1", destination: "cm360", payload: { ordinal: "o-3" }, attempts: 0, maxAttempts: 2 };
+  let processed = await conversionOutboxService.processJob(job);
+  assert.strictEqual(processed.status, "pending");
+  assert.ok(updates[0].$set.nextAttemptAt > new Date());
+  assert.strictEqual(updates[0].$push.history.$each[0].outcome, "retry");
+
+  processed = await conversionOutboxService.processJob({ ...job, attempts: 1 });
+  assert.strictEqual(processed.status, "dead");
+  assert.strictEqual(updates[1].$set.deadReason, "max_attempts");
+
+  cm360Service.sendConversionsToCM360 = async () => ({ hasFailures: true, status: [{ errors: [{ message: "x" }] }] });
+  processed = await conversionOutboxService.processJob(job);
+  assert.strictEqual(processed.status, "dead");
+  assert.strictEqual(updates[2].$set.deadReason, "permanent_error");
+
+  cm360Service.sendConversionsToCM360 = async () => ({ kind: "ok" });
+  processed = await conversionOutboxService.processJob(job);
+  assert.strictEqual(processed.status, "delivered");
+  assert.deepStrictEqual(updates[3].$set.result, { kind: "ok" });
+
+  // No Mongo connection: submitConversions delivers inline and reports per-conversion outcomes.
+  const submitted = await conversionOutboxService.submitConversions("cm360", [{ ordinal: "o-4" }]);
+  assert.strictEqual(submitted.queued, false);
+  const summary = conversionOutboxService.summarizeSubmission(submitted);
+  assert.strictEqual(summary.success, true);
+  assert.strictEqual(summary.results[0].outcome, "delivered");
+  assert.deepStrictEqual(
+    conversionOutboxService.summarizeSubmission({ queued: true, ids: ["a", "b"] }),
+    { success: true, queued: 2, outboxIds: ["a", "b"] }
+  );
+
+  // listJobs: unparseable from / to are a 400, never a Mongo cast error.
+  let listFilter = null;
+  const query = {
+    select: () => query,
+    sort: () => query,
+    skip: () => query,
+    limit: () => query,
+    lean: async () => [],
+  };
+  ConversionOutbox.find = (filter) => {
+    listFilter = filter;
+    return query;
+  };
+  ConversionOutbox.countDocuments = async () => 0;
+  const invalid = await conversionOutboxService.listJobs({ from: "yesterday", to: "2026-10-01" });
+  assert.deepStrictEqual(invalid, { ok: false, status: 400, error: "from / to must be valid dates" });
+  assert.strictEqual(listFilter, null);
+  const listed = await conversionOutboxService.listJobs({ status: "dead", from: "2026-10-01", to: " " });
+  assert.strictEqual(listed.ok, true);
+  assert.deepStrictEqual(listFilter, { status: "dead", createdAt: { $gte: new Date("2026-10-01") } });
+
+  console.log("PASS conversionOutbox.test");
+}
+
+run()
+  .then(() => process.exit(0))
+  .catch((err) => {
+    console.error("FAIL conversionOutbox.test", err);
+    process.exit(1);
+  });
@@ -0,0 +1,95 @@
+const assert = require("assert");
+const crypto = require("crypto");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const oldKey = crypto.randomBytes(32);
+const newKey = crypto.randomBytes(32);
+const keyFile = path.join(os.tmpdir(), `credential-key-${process.pid}`);
+fs.writeFileSync(keyFile, `${newKey.toString("hex")}\n`);
+process.env.CREDENTIALS_ENCRYPTION_KEY_FILE = keyFile;
+process.env.CREDENTIALS_PREVIOUS_KEYS = oldKey.toString("base64");
+
+const mongoose = require("mongoose");
+const credentialCrypto = require("../services/credentialCrypto");
+const credentialVault = require("../services/credentialVault");
+
+async function run() {
+  fs.unlinkSync(keyFile);
+  assert.strictEqual(credentialCrypto.currentKeyId(), credentialCrypto.keyIdFor(newKey));
+
+  // seal / reveal / mask; plaintext (pre-migration) values still read.
+  const token = "ringba-token-0123456789";
+  const sealed = credentialVault.seal(token);
+  assert.ok(credentialCrypto.isEncrypted(sealed));
+  assert.strictEqual(credentialVault.seal(sealed), sealed);
+  assert.strictEqual(credentialVault.reveal(sealed), token);
+  assert.strictEqual(credentialVault.reveal(token), token);
+  assert.strictEqual(credentialVault.mask(sealed), "****6789");
+  assert.strictEqual(credentialVault.mask("short"), "****");
+  assert.strictEqual(credentialVault.mask(""), "");
+
+  // Values under a previous key decrypt; a key that is not configured reveals "" instead of throwing.
+  const underOldKey = credentialCrypto.encryptSecret(token, oldKey);
+  assert.strictEqual(credentialVault.reveal(underOldKey), token);
+  const underUnknownKey = credentialCrypto.encryptSecret(token, crypto.randomBytes(32));
+  assert.strictEqual(credentialVault.reveal(underUnknownKey, "test"), "");
+  assert.strictEqual(credentialVault.mask(underUnknownKey), "****(unreadable)");
+
+  // Outbox payloads: Roku / Meta keys sealed at rest, revealed for delivery, masked for the admin API.
+  const payload = { roku_api_key: "roku-key-abcdef12", phone: "5551234567" };
+  const stored = credentialVault.sealConversionSecrets(payload);
+  assert.ok(credentialCrypto.isEncrypted(stored.roku_api_key));
+  assert.strictEqual(stored.phone, "5551234567");
+  assert.deepStrictEqual(credentialVault.revealConversionSecrets(stored), payload);
+  assert.strictEqual(credentialVault.maskConversionSecrets(stored).roku_api_key, "****ef12");
+
+  // Migration: plaintext and previous-key values are rewritten under the current key; dry-run writes nothing.
+  const docs = [
+    { _id: 1, apiToken: token },
+    { _id: 2, apiToken: underOldKey },
+    { _id: 3, apiToken: sealed },
+    { _id: 4, apiToken: underUnknownKey },
+  ];
+  const writes = [];
+  const companies = credentialVault.STORES.find((s) => s.name === "companies").model;
+  companies.find = () => ({
+    select: () => ({ lean: () => ({ cursor: () => docs }) }),
+  });
+  companies.bulkWrite = async (ops) => writes.push(...ops);
+  Object.defineProperty(mongoose.connection, "readyState", { get: () => 1, configurable: true });
+  try {
+    const dry = await credentialVault.reencryptStores({ stores: ["companies"] });
+    assert.deepStrictEqual(dry.stores[0], {
+      name: "companies",
+      scanned: 4,
+      plaintext: 1,
+      current: 1,
+      previous: 1,
+      unknown: 1,
+      updated: 2,
+    });
+    assert.strictEqual(writes.length, 0);
+
+    const applied = await credentialVault.reencryptStores({ stores: ["companies"], dryRun: false });
+    assert.strictEqual(applied.stores[0].updated, 2);
+    assert.deepStrictEqual(writes.map((w) => w.updateOne.filter._id), [1, 2]);
+    for (const w of writes) {
+      const value = w.updateOne.update.$set.apiToken;
+      assert.strictEqual(credentialCrypto.keyIdOf(value), credentialCrypto.currentKeyId());
+      assert.strictEqual(credentialVault.reveal(value), token);
+    }
+  } finally {
+    delete mongoose.connection.readyState;
+  }
+
+  console.log("PASS credentialVault.test");
+}
+
+run()
+  .then(() => process.exit(0))
+  .catch((err) => {
+    console.error("FAIL credentialVault.test", err);
+    process.exit(1);
+  });
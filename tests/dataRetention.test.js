@@ -0,0 +1,92 @@
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const CFG = require("../config/dataRetention");
+const dataRetentionService = require("../services/dataRetentionService");
+const { hashPhone } = require("../services/conversionDeliveryLogService");
+
+async function run() {
+  // Env names per store; overrides apply, defaults otherwise.
+  assert.strictEqual(CFG.envPrefix("ringbaFakeTargetPings"), "DATA_RETENTION_RINGBA_FAKE_TARGET_PINGS");
+  process.env.DATA_RETENTION_ROKU_LOGS_REDACT_DAYS = "3";
+  assert.deepStrictEqual(CFG.getStorePolicy("rokuLogs"), { ttlDays: 90, redactAfterDays: 3 });
+  delete process.env.DATA_RETENTION_ROKU_LOGS_REDACT_DAYS;
+
+  // Phones become hashes, plain PII is dropped, Roku's hashed user_data stays.
+  const redacted = dataRetentionService.redactValue({
+    phone: "+1 (555) 123-4567",
+    firstName: "Jane",
+    state: "TX",
+    events: [{ user_data: { ph: "abc123", client_ip_address: "1.2.3.4" } }],
+  });
+  assert.deepStrictEqual(redacted, {
+    phone: `sha256:${hashPhone("5551234567")}`,
+    firstName: null,
+    state: "TX",
+    events: [{ user_data: { ph: "abc123", client_ip_address: null } }],
+  });
+  // Idempotent: an already-hashed phone is left as is.
+  assert.deepStrictEqual(dataRetentionService.redactValue(redacted), redacted);
+
+  // Erasure matches raw phones in any format, our hash and Roku's hashes — not other numbers.
+  const subject = dataRetentionService.buildSubject({ phone: "555-123-4567", email: "Jane+ads@Example.com" });
+  const match = (entry) => dataRetentionService.entryMatchesSubject(entry, subject);
+  assert.strictEqual(match({ conversion: { caller_phone: "+15551234567" } }), true);
+  assert.strictEqual(match({ phone: `sha256:${hashPhone("5551234567")}` }), true);
+  assert.strictEqual(match({ events: [{ user_data: { ph: subject.rokuPhoneHashes[1] } }] }), true);
+  assert.strictEqual(match({ email: "jane@example.com" }), true);
+  assert.strictEqual(match({ phone: "5559994567", amount: 15551234567 }), false);
+  assert.strictEqual(dataRetentionService.buildSubject({ phone: "123" }).digits, "");
+
+  // JSONL pass: old lines dropped, middle-aged lines redacted, recent lines untouched.
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "data-retention-"));
+  const file = path.join(dir, "roku-audit.jsonl");
+  const now = Date.now();
+  const daysAgo = (d) => new Date(now - d * 24 * 60 * 60 * 1000).toISOString();
+  fs.writeFileSync(
+    file,
+    [
+      { timestamp: daysAgo(40), phone: "5551234567" },
+      { timestamp: daysAgo(10), phone: "5551234567", ip: "1.2.3.4" },
+      { timestamp: daysAgo(1), phone: "5559990000" },
+    ]
+      .map((e) => JSON.stringify(e))
+      .join("\n") + "\n"
+  );
+  const counts = await dataRetentionService.rewriteJsonl(
+    file,
+    dataRetentionService.retentionTransform("timestamp", new Date(daysAgo(30)), new Date(daysAgo(7)))
+  );
+  assert.deepStrictEqual(counts, { lines: 3, dropped: 1, changed: 1 });
+  const lines = fs.readFileSync(file, "utf8").trim().split("\n").map((l) => JSON.parse(l));
+  assert.deepStrictEqual(lines, [
+    { timestamp: daysAgo(10), phone: `sha256:${hashPhone("5551234567")}`, ip: null, _piiRedacted: true },
+    { timestamp: daysAgo(1), phone: "5559990000" },
+  ]);
+
+  // Dry-run counts without touching the file; a missing file is reported as null.
+  const before = fs.readFileSync(file, "utf8");
+  const dry = await dataRetentionService.rewriteJsonl(file, (line) => (line.includes("5559990000") ? null : line), {
+    dryRun: true,
+  });
+  assert.strictEqual(dry.dropped, 1);
+  assert.strictEqual(fs.readFileSync(file, "utf8"), before);
+  assert.strictEqual(await dataRetentionService.rewriteJsonl(path.join(dir, "missing.jsonl"), (l) => l), null);
+  fs.rmSync(dir, { recursive: true, force: true });
+
+  // No Mongo connection: erasure refuses rather than half-erasing.
+  const erased = await dataRetentionService.eraseSubject({ phone: "5551234567" });
+  assert.strictEqual(erased.status, 503);
+  assert.strictEqual((await dataRetentionService.eraseSubject({})).status, 400);
+
+  console.log("PASS dataRetention.test");
+}
+
+run()
+  .then(() => process.exit(0))
+  .catch((err) => {
+    console.error("FAIL dataRetention.test", err);
+    process.exit(1);
+  });
@@ -0,0 +1,154 @@
+const assert = require("assert");
+const mongoose = require("mongoose");
+const Domain = require("../models/domainModel");
+const DomainHealth = require("../models/domainHealthModel");
+const DomainProvisioningJob = require("../models/domainProvisioningJobModel");
+const cloudflareService = require("../services/cloudflareService");
+const cloudflareProxy = require("../services/cloudflareProxyEnable");
+const redtrackService = require("../services/redtrackService");
+const dynamicRoutes = require("../services/dynamicRoutes");
+const domainHealthProbes = require("../services/domainHealthProbes");
+const auditLogService = require("../services/auditLogService");
+const slackService = require("../services/slackService");
+const domainHealthService = require("../services/domainHealthService");
+
+async function run() {
+  // Reality: wildcard A record edited, trk CNAME lost its proxy, SSL mode flexible, RedTrack unverified,
+  // nginx fragment gone.
+  const records = [
+    { id: "a1", type: "A", name: "drift.com", content: "1.2.3.4", proxied: true },
+    { id: "a2", type: "A", name: "*.drift.com", content: "9.9.9.9", proxied: true },
+    { id: "c1", type: "CNAME", name: "trk.drift.com", content: "dx8jy.ttrk.io.", proxied: false },
+  ];
+  let sslMode = "flexible";
+  const fragments = new Map();
+  const slack = [];
+  const audits = [];
+  const probed = [];
+  const domainDoc = {
+    domain: "drift.com",
+    assignedTo: "buyer@example.com",
+    cloudflareZoneId: "z1",
+    aRecordIP: "1.2.3.4",
+    proxyStatus: "enabled",
+    redtrackDomainId: "rt1",
+    routes: [{ route: "quote", template: "cb-groc" }],
+    save: async () => domainDoc,
+  };
+
+  cloudflareService.findZone = async () => ({ id: "z1", status: "active", name_servers: [] });
+  cloudflareService.listDNSRecords = async (zoneId, params = {}) =>
+    records.filter((r) => (!params.type || r.type === params.type) && (!params.name || r.name === params.name)).map((r) => ({ ...r }));
+  cloudflareService.updateDNSRecord = async (zoneId, id, changes) => Object.assign(records.find((r) => r.id === id), changes);
+  cloudflareService.setARecord = async () => ({ createdRecordIds: [], existingRecordIds: ["a1", "a2"] });
+  cloudflareService.getSSLMode = async () => sslMode;
+  cloudflareService.setSSLMode = async (zoneId, mode) => {
+    sslMode = mode;
+    return { value: mode };
+  };
+  cloudflareProxy.disableProxyForTrkCNAME = async () => assert.fail("RedTrack domain exists — no re-registration");
+  redtrackService.getRedTrackDedicatedDomain = () => "dx8jy.ttrk.io";
+  redtrackService.checkDomainStatus = async (id) => ({ id, status: "pending", verified: false });
+  domainHealthProbes.readNginxFragment = (domain) => ({ local: true, content: fragments.get(domain) ?? null });
+  domainHealthProbes.probeUrl = async (url) => {
+    probed.push(url);
+    return { httpStatus: 200, ms: 5 };
+  };
+  dynamicRoutes.generateNginxConfig = async (doc) => fragments.set(doc.domain, dynamicRoutes.buildDomainFragment(doc));
+  auditLogService.recordAudit = async (req, entry) => audits.push({ by: req.user.email, ...entry });
+  slackService.sendSlackMessage = async (message) => slack.push(message);
+
+  const store = new Map();
+  const deleted = [];
+  DomainHealth.findOne = ({ domain }) => {
+    const query = { select: () => query, lean: async () => store.get(domain) || null };
+    return query;
+  };
+  DomainHealth.findOneAndUpdate = ({ domain }, update) => ({
+    lean: async () => {
+      store.set(domain, { ...store.get(domain), domain, ...update.$set });
+      return store.get(domain);
+    },
+  });
+  DomainHealth.deleteMany = async (filter) => deleted.push(filter);
+  // new.com is still provisioning (no zone, no records yet): the round leaves it to the provisioning job.
+  const provisioningDoc = { domain: "new.com", assignedTo: "buyer@example.com", routes: [] };
+  Domain.find = () => ({ lean: async () => [domainDoc, provisioningDoc] });
+  let jobFilter = null;
+  DomainProvisioningJob.find = (filter) => {
+    jobFilter = filter;
+    const query = { select: () => query, lean: async () => [{ domain: "new.com", status: "waiting_zone" }] };
+    return query;
+  };
+
+  Object.defineProperty(mongoose.connection, "readyState", { get: () => 1, configurable: true });
+  try {
+    // Scheduled round: drift is stored per check and new drift goes to Slack once.
+    const round = await domainHealthService.runHealthRound({ trigger: "test" });
+    assert.deepStrictEqual(round.newlyDrifted, ["drift.com"]);
+    assert.deepStrictEqual([round.checked, round.provisioning], [1, 1]);
+    assert.deepStrictEqual(jobFilter.domain, { $in: ["drift.com", "new.com"] });
+    assert.ok(!store.has("new.com"));
+    assert.deepStrictEqual(deleted, [{ domain: { $nin: ["drift.com", "new.com"] } }]);
+    const health = store.get("drift.com");
+    const byName = Object.fromEntries(health.checks.map((c) => [c.name, c]));
+    assert.strictEqual(health.status, "drift");
+    assert.strictEqual(health.driftCount, 5);
+    assert.strictEqual(byName.zone.status, "ok");
+    assert.match(byName.aRecords.message, /\*\.drift\.com → 9\.9\.9\.9/);
+    assert.match(byName.trkCname.message, /proxied: false/);
+    assert.strictEqual(byName.sslMode.actual, "flexible");
+    assert.strictEqual(byName.redtrack.repairable, false);
+    assert.strictEqual(byName.nginx.message, "Config fragment missing");
+    assert.strictEqual(byName.routes.status, "ok");
+    assert.deepStrictEqual(probed, ["https://drift.com/quote/"]);
+    assert.strictEqual(slack.length, 1);
+    assert.match(slack[0], /drift\.com: aRecords/);
+    const driftSince = health.driftSince;
+
+    // Repair re-applies DNS, SSL mode and nginx; RedTrack verification stays as reported drift.
+    const repaired = await domainHealthService.repairDomain(domainDoc, { user: { email: "ops@example.com" }, headers: {} });
+    assert.deepStrictEqual(repaired.actions.map((a) => [a.check, a.ok]), [
+      ["aRecords", true],
+      ["trkCname", true],
+      ["sslMode", true],
+      ["nginx", true],
+    ]);
+    assert.strictEqual(records[1].content, "1.2.3.4");
+    assert.strictEqual(records[2].proxied, true);
+    assert.strictEqual(sslMode, "full");
+    assert.ok(fragments.get("drift.com").includes("location = /quote {"));
+    assert.strictEqual(repaired.health.driftCount, 1);
+    assert.strictEqual(repaired.health.lastRepair.by, "ops@example.com");
+    assert.strictEqual(repaired.health.driftSince, driftSince);
+    assert.strictEqual(audits[0].action, "domain.repair");
+    assert.deepStrictEqual(audits[0].meta.driftBefore, ["aRecords", "trkCname", "sslMode", "redtrack", "nginx"]);
+
+    // Still drifting (RedTrack) → no second Slack alert; once verified the domain is healthy.
+    await domainHealthService.runHealthRound({ trigger: "test" });
+    assert.strictEqual(slack.length, 1);
+    redtrackService.checkDomainStatus = async (id) => ({ id, status: "active", verified: true });
+    const { health: healthy } = await domainHealthService.checkDomain(domainDoc);
+    assert.strictEqual(healthy.status, "healthy");
+    assert.strictEqual(healthy.driftSince, null);
+
+    // A Cloudflare outage is an error, not drift; zone-dependent checks are skipped.
+    cloudflareService.findZone = async () => {
+      throw new Error("Failed to look up Cloudflare zone: 503");
+    };
+    const { health: outage } = await domainHealthService.checkDomain(domainDoc);
+    assert.strictEqual(outage.status, "error");
+    assert.strictEqual(outage.checks.find((c) => c.name === "aRecords").status, "skipped");
+  } finally {
+    delete mongoose.connection.readyState;
+  }
+
+  console.log("PASS domainHealth.test");
+}
+
+run()
+  .then(() => process.exit(0))
+  .catch((err) => {
+    console.error("FAIL domainHealth.test", err);
+    process.exit(1);
+  });
@@ -0,0 +1,164 @@
+const assert = require("assert");
+const mongoose = require("mongoose");
+const Domain = require("../models/domainModel");
+const User = require("../models/userModel");
+const DomainOwnershipTransfer = require("../models/domainOwnershipTransferModel");
+const auditLogService = require("../services/auditLogService");
+const routeVersionService = require("../services/routeVersionService");
+const domainOwnershipService = require("../services/domainOwnershipService");
+const routeController = require("../controllers/routeController");
+
+const LEAVER = "64b000000000000000000001";
+const BUYER = "64b000000000000000000002";
+const PARTNER = "64b000000000000000000003";
+
+async function run() {
+  const { canAccessDomain, accessFilter, creatorCondition, isCreatedByForStats } = domainOwnershipService;
+  const buyer = { userId: BUYER, email: "buyer@example.com", role: "mediaBuyer", teams: ["auto"] };
+  assert.ok(canAccessDomain(buyer, { ownerId: BUYER, assignedTo: "old@example.com" }));
+  assert.ok(canAccessDomain(buyer, { assignedTo: "buyer@example.com" }), "email-only (not backfilled) domains");
+  assert.ok(canAccessDomain(buyer, { ownerId: LEAVER, coOwnerIds: [new mongoose.Types.ObjectId(BUYER)] }));
+  assert.ok(canAccessDomain(buyer, { ownerId: LEAVER, team: "auto" }));
+  assert.ok(!canAccessDomain(buyer, { ownerId: LEAVER, assignedTo: "leaver@example.com", team: "health" }));
+  assert.ok(canAccessDomain({ role: "tech" }, { ownerId: LEAVER }));
+  assert.deepStrictEqual(accessFilter({ role: "admin" }), {});
+  assert.deepStrictEqual(accessFilter(buyer).$or, [
+    { assignedTo: "buyer@example.com" },
+    { ownerId: BUYER },
+    { coOwnerIds: BUYER },
+    { team: { $in: ["auto"] } },
+  ]);
+  assert.deepStrictEqual(creatorCondition("a@x.com", "createdBy", "routes."), { "routes.createdBy": "a@x.com" });
+  assert.ok(isCreatedByForStats({ createdBy: "new@x.com", creditedTo: "old@x.com" }, "old@x.com"));
+  assert.ok(!isCreatedByForStats({ createdBy: "new@x.com", creditedTo: "old@x.com" }, "new@x.com"));
+  assert.ok(isCreatedByForStats({ createdBy: "new@x.com", creditedTo: "old@x.com" }, "new@x.com", "createdBy"));
+
+  const users = [
+    { _id: new mongoose.Types.ObjectId(LEAVER), email: "leaver@example.com", isActive: false },
+    { _id: new mongoose.Types.ObjectId(BUYER), email: "buyer@example.com", isActive: true },
+    { _id: new mongoose.Types.ObjectId(PARTNER), email: "partner@example.com", isActive: true },
+  ];
+  const matchesUser = (u, f) => (f.email ? u.email === f.email : String(u._id) === String(f._id));
+  const chain = (result) => {
+    const query = { select: () => query, sort: () => query, limit: () => query, lean: async () => result() };
+    return query;
+  };
+  User.find = (filter) =>
+    chain(() =>
+      filter.$or
+        ? users.filter((u) => u.isActive !== false && filter.$or.some((f) => matchesUser(u, f)))
+        : users.filter((u) => filter._id.$in.map(String).includes(String(u._id)))
+    );
+  User.findOne = (filter) => chain(() => users.find((u) => matchesUser(u, filter)) || null);
+
+  const history = [];
+  const audits = [];
+  const versions = [];
+  DomainOwnershipTransfer.create = async (doc) => history.push(doc) && doc;
+  DomainOwnershipTransfer.find = ({ domain }) => chain(() => history.filter((h) => h.domain === domain).reverse());
+  auditLogService.recordAudit = async (_req, entry) => audits.push(entry);
+  routeVersionService.recordRouteVersion = async (domain, route, opts) => versions.push({ domain, route: route.route, ...opts });
+
+  const makeDomain = (domain, fields) => {
+    const doc = { domain, status: "active", coOwnerIds: [], ...fields };
+    doc.save = async () => doc;
+    return doc;
+  };
+  const req = { user: { userId: "admin", email: "ops@example.com", role: "admin" }, headers: {} };
+
+  Object.defineProperty(mongoose.connection, "readyState", { get: () => 1, configurable: true });
+  try {
+    // Single transfer: createdBy moves, stats stay credited to the previous owner, history + audit recorded.
+    const quote = makeDomain("quote.com", {
+      ownerId: LEAVER,
+      assignedTo: "leaver@example.com",
+      coOwnerIds: [BUYER],
+      routes: [
+        { route: "a", createdBy: "leaver@example.com" },
+        { route: "b", createdBy: "ops@example.com" },
+      ],
+    });
+    const unknown = await domainOwnershipService.transferDomain(quote, { to: "nobody@example.com" }, req);
+    assert.strictEqual(unknown.status, 400);
+    assert.strictEqual(await domainOwnershipService.transferDomain(quote, { to: "leaver@example.com" }, req).then((r) => r.status), 400);
+
+    const moved = await domainOwnershipService.transferDomain(quote, { to: BUYER, keepPreviousAsCoOwner: true, reason: "left" }, req);
+    assert.ok(moved.ok);
+    assert.strictEqual(String(quote.ownerId), BUYER);
+    assert.strictEqual(quote.assignedTo, "buyer@example.com");
+    assert.deepStrictEqual(quote.coOwnerIds, [LEAVER], "new owner leaves the co-owner list, previous owner joins it");
+    assert.deepStrictEqual(quote.routes.map((r) => [r.createdBy, r.creditedTo]), [
+      ["buyer@example.com", "leaver@example.com"],
+      ["ops@example.com", undefined],
+    ]);
+    assert.deepStrictEqual(history[0].routesUpdated, ["a"]);
+    assert.strictEqual(history[0].reason, "left");
+    assert.strictEqual(history[0].transferredBy.email, "ops@example.com");
+    assert.strictEqual(audits[0].action, "domain.transfer");
+    assert.deepStrictEqual(audits[0].meta.from, { userId: LEAVER, email: "leaver@example.com" });
+    assert.deepStrictEqual(versions.map((v) => v.route), ["a"]);
+
+    // Leaver hand-over: every owned domain (legacy email-only too) and co-ownerships, stats re-attributed.
+    const legacy = makeDomain("legacy.com", {
+      assignedTo: "leaver@example.com",
+      status: "archived",
+      routes: [{ route: "x", createdBy: "leaver@example.com", creditedTo: "first@example.com" }],
+    });
+    const shared = makeDomain("shared.com", { ownerId: BUYER, assignedTo: "buyer@example.com", coOwnerIds: [LEAVER] });
+    const other = makeDomain("other.com", { ownerId: BUYER, assignedTo: "buyer@example.com", coOwnerIds: [LEAVER] });
+    Domain.find = async (filter) => (filter.$or ? [legacy] : [shared, other]);
+    const handover = await domainOwnershipService.transferUserDomains(
+      { from: "leaver@example.com", to: "partner@example.com", reattributeStats: true },
+      req
+    );
+    assert.strictEqual(handover.transferred, 1);
+    assert.deepStrictEqual(handover.domains, [{ domain: "legacy.com", ok: true, routesUpdated: ["x"] }]);
+    assert.strictEqual(legacy.assignedTo, "partner@example.com");
+    assert.deepStrictEqual([legacy.routes[0].createdBy, legacy.routes[0].creditedTo], ["partner@example.com", undefined]);
+    assert.deepStrictEqual(shared.coOwnerIds, [PARTNER]);
+    assert.deepStrictEqual(handover.coOwnershipsMoved, ["shared.com", "other.com"]);
+    assert.strictEqual(history[1].reattributeStats, true);
+
+    // Co-owners / team: unknown users are rejected; the owner is never listed as a co-owner.
+    const rejected = await domainOwnershipService.updateOwners(quote, { coOwners: ["nobody@example.com"] }, req);
+    assert.strictEqual(rejected.status, 400);
+    const owners = await domainOwnershipService.updateOwners(quote, { coOwners: [PARTNER, "buyer@example.com"], team: " Auto " }, req);
+    assert.ok(owners.ok);
+    assert.strictEqual(quote.team, "auto");
+    assert.deepStrictEqual(owners.ownership.coOwners, [{ userId: PARTNER, email: "partner@example.com", active: true }]);
+    assert.strictEqual(owners.ownership.owner.email, "buyer@example.com");
+    assert.strictEqual(owners.ownership.transfers.length, 1);
+
+    // updateDomainName: media buyers cannot edit someone else's domain or change its owner (domains:transfer).
+    const respond = () => {
+      const res = { statusCode: 200, body: null };
+      res.status = (code) => Object.assign(res, { statusCode: code });
+      res.json = (body) => Object.assign(res, { body });
+      return res;
+    };
+    const buyerDomain = makeDomain("buyer.com", { ownerId: BUYER, assignedTo: "buyer@example.com", routes: [] });
+    Domain.findOne = async ({ domain }) => [legacy, buyerDomain].find((d) => d.domain === domain) || null;
+    const saves = history.length;
+    const foreign = respond();
+    await routeController.updateDomainName({ user: buyer, body: { oldDomain: "legacy.com", newAssignedTo: "buyer@example.com" } }, foreign);
+    assert.strictEqual(foreign.statusCode, 403);
+    assert.strictEqual(legacy.assignedTo, "partner@example.com");
+    const takeover = respond();
+    await routeController.updateDomainName({ user: buyer, body: { oldDomain: "buyer.com", newAssignedTo: "partner@example.com" } }, takeover);
+    assert.strictEqual(takeover.statusCode, 403);
+    assert.match(takeover.body.error, /domains:transfer/);
+    assert.strictEqual(buyerDomain.assignedTo, "buyer@example.com");
+    assert.strictEqual(history.length, saves);
+  } finally {
+    delete mongoose.connection.readyState;
+  }
+
+  console.log("PASS domainOwnership.test");
+}
+
+run()
+  .then(() => process.exit(0))
+  .catch((err) => {
+    console.error("FAIL domainOwnership.test", err);
+    process.exit(1);
+  });
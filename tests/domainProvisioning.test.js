@@ -0,0 +1,132 @@
+const assert = require("assert");
+
+process.env.SERVER_IP = "203.0.113.10";
+process.env.DOMAIN_PROVISIONING_REDTRACK_DNS_WAIT_MS = "0";
+process.env.DOMAIN_PROVISIONING_STEP_MAX_ATTEMPTS = "3";
+
+const Domain = require("../models/domainModel");
+const DomainProvisioningJob = require("../models/domainProvisioningJobModel");
+const cloudflareService = require("../services/cloudflareService");
+const cloudflareProxy = require("../services/cloudflareProxyEnable");
+const redtrackService = require("../services/redtrackService");
+const dynamicRoutes = require("../services/dynamicRoutes");
+const domainProvisioningService = require("../services/domainProvisioningService");
+
+function newJob(domain) {
+  const job = new DomainProvisioningJob({
+    domain,
+    status: "processing",
+    input: { assignedTo: "buyer@example.com", id: "ABC-123", platform: "Facebook", vertical: "auto" },
+    steps: domainProvisioningService.STEP_NAMES.map((name) => ({ name })),
+  });
+  job.save = async () => job;
+  return job;
+}
+
+const stepStatus = (job, name) => job.steps.find((s) => s.name === name);
+
+async function run() {
+  const calls = [];
+  let zoneStatus = "pending";
+  let aRecordFailures = 1;
+  let redtrackFailures = 0;
+  let cancelRequested = false;
+  const domains = new Map();
+
+  cloudflareService.getOrCreateZone = async (name) => ({ id: `zone-${name}`, status: zoneStatus, name_servers: ["a.ns"] });
+  cloudflareService.setARecord = async () => {
+    calls.push("setARecord");
+    if (aRecordFailures-- > 0) throw new Error("Cloudflare 502");
+    return { createdRecordIds: ["rec-1", "rec-2"], existingRecordIds: [] };
+  };
+  cloudflareService.createRedTrackCNAME = async () => calls.push("cname");
+  cloudflareService.setSSLMode = async () => ({ success: true });
+  cloudflareService.deleteDNSRecords = async () => calls.push("deleteDNSRecords");
+  cloudflareProxy.disableProxyForTrkCNAME = async () => ({ success: true });
+  cloudflareProxy.enableProxyForDomain = async (name, ids) => calls.push(`proxy:${ids.join(",")}`);
+  cloudflareProxy.enableProxyForTrkCNAME = async () => ({ success: true });
+  redtrackService.getRedTrackDedicatedDomain = () => "dx8jy.ttrk.io";
+  redtrackService.addRedTrackDomain = async (name) => {
+    if (redtrackFailures-- > 0) throw new Error("RedTrack timeout");
+    return { domainId: "rt-1", trackingDomain: `trk.${name}` };
+  };
+  redtrackService.deleteRedTrackDomain = async () => calls.push("deleteRedTrackDomain");
+  dynamicRoutes.generateNginxConfig = async () => calls.push("nginx");
+  Domain.findOne = async ({ domain }) => [...domains.values()].find((d) => d.domain === domain) || null;
+  Domain.findById = async (id) => domains.get(String(id)) || null;
+  Domain.create = async (data) => {
+    const doc = new Domain(data);
+    doc.save = async () => doc;
+    domains.set(String(doc._id), doc);
+    calls.push("Domain.create");
+    return doc;
+  };
+  Domain.findByIdAndDelete = async (id) => (calls.push("Domain.delete"), domains.delete(String(id)));
+  DomainProvisioningJob.findOne = () => ({
+    select: () => ({ lean: async () => (cancelRequested ? { cancelledBy: "ops@example.com" } : null) }),
+  });
+
+  // Zone still pending nameservers: parked, not counted as an attempt.
+  const job = newJob("lander.com");
+  await domainProvisioningService.runJob(job);
+  assert.strictEqual(job.status, "waiting_zone");
+  assert.strictEqual(stepStatus(job, "cloudflareZone").status, "waiting");
+  assert.strictEqual(stepStatus(job, "cloudflareZone").attempts, 0);
+  assert.ok(job.nextAttemptAt > new Date());
+
+  // Zone active: resumes on its own; a transient Cloudflare error is retried with backoff.
+  zoneStatus = "active";
+  await domainProvisioningService.runJob(job);
+  assert.strictEqual(job.status, "pending");
+  assert.strictEqual(stepStatus(job, "cloudflareZone").status, "done");
+  assert.strictEqual(stepStatus(job, "aRecords").status, "failed");
+  assert.strictEqual(stepStatus(job, "aRecords").attempts, 1);
+
+  await domainProvisioningService.runJob(job);
+  assert.strictEqual(job.status, "succeeded", job.error);
+  assert.strictEqual(stepStatus(job, "aRecords").attempts, 2);
+  assert.ok(job.steps.every((s) => s.status === "done"));
+  const domainDoc = domains.get(job.context.domainId);
+  assert.strictEqual(domainDoc.proxyStatus, "enabled");
+  assert.strictEqual(domainDoc.redtrackTrackingDomain, "trk.lander.com");
+  assert.strictEqual(domainDoc.assignedTo, "buyer@example.com");
+  assert.ok(calls.includes("proxy:rec-1,rec-2"));
+
+  // Re-running a step finds what the first attempt created.
+  stepStatus(job, "domainRecord").status = "pending";
+  await domainProvisioningService.runJob(job);
+  assert.strictEqual(calls.filter((c) => c === "Domain.create").length, 1);
+
+  // A domain created outside this job is a permanent failure.
+  const other = newJob("lander.com");
+  await domainProvisioningService.runJob(other);
+  assert.strictEqual(other.status, "failed");
+  assert.match(other.error, /^domainRecord: .*already exists/);
+  assert.strictEqual(stepStatus(other, "domainRecord").attempts, 1);
+
+  // Cancel: completed steps are undone in reverse order, the zone is kept.
+  calls.length = 0;
+  aRecordFailures = 0;
+  redtrackFailures = 1;
+  const cancelled = newJob("second.com");
+  await domainProvisioningService.runJob(cancelled);
+  assert.strictEqual(cancelled.status, "pending");
+  assert.strictEqual(stepStatus(cancelled, "redtrackDomain").status, "failed");
+  cancelRequested = true;
+  await domainProvisioningService.runJob(cancelled);
+  assert.strictEqual(cancelled.status, "cancelled");
+  assert.strictEqual(cancelled.cancelledBy, "ops@example.com");
+  assert.deepStrictEqual(calls.slice(-2), ["Domain.delete", "deleteDNSRecords"]);
+  assert.ok(!calls.includes("deleteRedTrackDomain"));
+  assert.strictEqual(stepStatus(cancelled, "domainRecord").status, "compensated");
+  assert.strictEqual(stepStatus(cancelled, "cloudflareZone").status, "done");
+
+  console.log("PASS domainProvisioning.test");
+}
+
+run()
+  .then(() => process.exit(0))
+  .catch((err) => {
+    console.error("FAIL domainProvisioning.test", err);
+    process.exit(1);
+  });
@@ -0,0 +1,85 @@
+const assert = require("assert");
+const mongoose = require("mongoose");
+const Domain = require("../models/domainModel");
+const CLOUDFLARE_CONFIG = require("../config/cloudflare");
+const cloudflareService = require("../services/cloudflareService");
+const slackService = require("../services/slackService");
+const domainRegistrarService = require("../services/domainRegistrarService");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const inDays = (days) => new Date(Date.now() + days * DAY_MS + 60 * 60 * 1000).toISOString();
+
+async function run() {
+  Object.assign(CLOUDFLARE_CONFIG, { API_TOKEN: "cf", ACCOUNT_ID: "acct" });
+  cloudflareService.listRegistrarRegistrations = async () => [
+    { domain: "soon.com", expiresAt: inDays(5), autoRenew: false, locked: true, status: "active" },
+    { domain: "fine.com", expiresAt: inDays(200), autoRenew: true, locked: true, status: "active" },
+    { domain: "old.com", expiresAt: inDays(90), autoRenew: true, locked: false, status: "active" },
+    { domain: "forgotten.com", expiresAt: inDays(60), autoRenew: true, locked: true, status: "active" },
+  ];
+  const stored = [
+    { _id: 1, domain: "Soon.com", status: "active", assignedTo: "buyer@example.com" },
+    { _id: 2, domain: "fine.com", status: "active", assignedTo: "other@example.com" },
+    { _id: 3, domain: "old.com", status: "archived", assignedTo: "buyer@example.com" },
+    { _id: 4, domain: "elsewhere.com", status: "active", assignedTo: "buyer@example.com" },
+  ];
+  Domain.bulkWrite = async (ops) => {
+    for (const { updateOne } of ops) Object.assign(stored.find((d) => d._id === updateOne.filter._id), updateOne.update.$set);
+  };
+  Domain.find = (filter) => {
+    const matches = (d) =>
+      (!filter["registrar.registered"] || d.registrar?.registered) &&
+      (!filter.$or || filter.$or.some((f) => f.assignedTo === d.assignedTo));
+    const query = { select: () => query, lean: async () => stored.filter(matches) };
+    return query;
+  };
+  const slack = [];
+  slackService.sendSlackMessage = async (message) => slack.push(message);
+
+  Object.defineProperty(mongoose.connection, "readyState", { get: () => 1, configurable: true });
+  try {
+    // Scheduled round: registrations land on the Domain documents, one digest with all three issue lists.
+    const round = await domainRegistrarService.runRegistrarRound({ trigger: "test" });
+    assert.strictEqual(round.ok, true);
+    assert.strictEqual(round.registered, 3);
+    assert.deepStrictEqual(round.untracked, ["forgotten.com"]);
+    assert.deepStrictEqual([round.expiring, round.autoRenewOff, round.archivedAutoRenewOn], [1, 1, 1]);
+    assert.strictEqual(stored[0].registrar.autoRenew, false);
+    assert.ok(stored[0].registrar.expiresAt instanceof Date);
+    assert.deepStrictEqual(Object.keys(stored[3].registrar), ["registered", "syncedAt"]);
+    assert.strictEqual(stored[3].registrar.registered, false);
+    assert.strictEqual(slack.length, 1);
+    assert.match(slack[0], /Expiring within 30 days \(1\):\*\n• Soon\.com — expires \S+ \(5d\), auto-renew OFF, buyer@example\.com/);
+    assert.match(slack[0], /Archived but still auto-renewing \(1\):\*\n• old\.com/);
+
+    // Endpoint: media buyers only see their own domains; days widens the expiry window.
+    const buyer = { userId: "u1", email: "buyer@example.com", role: "mediaBuyer" };
+    const mine = await domainRegistrarService.findRegistrarIssues({ days: "365" }, buyer);
+    assert.strictEqual(mine.registered, 2);
+    assert.deepStrictEqual(mine.expiring.map((e) => [e.domain, e.daysLeft]), [["Soon.com", 5]]);
+    assert.deepStrictEqual(mine.archivedAutoRenewOn.map((e) => e.domain), ["old.com"]);
+    const all = await domainRegistrarService.findRegistrarIssues({ days: "365" }, { role: "admin" });
+    assert.deepStrictEqual(all.expiring.map((e) => e.domain), ["Soon.com", "fine.com"]);
+    assert.strictEqual((await domainRegistrarService.findRegistrarIssues({ days: "soon" })).status, 400);
+
+    // Archive / restore keep the stored flag in step with the auto-renew call.
+    const fields = {};
+    domainRegistrarService.noteAutoRenew({ set: (path, value) => (fields[path] = value) }, { status: "disabled", autoRenew: false });
+    domainRegistrarService.noteAutoRenew({ set: () => assert.fail("no registration") }, { status: "not_cloudflare_registration" });
+    assert.deepStrictEqual(fields, { "registrar.registered": true, "registrar.autoRenew": false });
+
+    // Nothing to report → no digest.
+    assert.strictEqual(domainRegistrarService.buildDigest({ expiring: [], autoRenewOff: [], archivedAutoRenewOn: [] }, 30), null);
+  } finally {
+    delete mongoose.connection.readyState;
+  }
+
+  console.log("PASS domainRegistrar.test");
+}
+
+run()
+  .then(() => process.exit(0))
+  .catch((err) => {
+    console.error("FAIL domainRegistrar.test", err);
+    process.exit(1);
+  });
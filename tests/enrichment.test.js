@@ -0,0 +1,96 @@
+const assert = require("assert");
+
+process.env.ENRICHMENT_AUDIENCEACUITY_FAILURE_THRESHOLD = "2";
+process.env.ENRICHMENT_AUDIENCEACUITY_COOLDOWN_MS = "60000";
+
+const slackService = require("../services/slackService");
+const { PROVIDERS, parseAudienceAcuityIdentity } = require("../services/enrichmentProviders");
+const enrichmentService = require("../services/enrichmentService");
+
+async function run() {
+  const alerts = [];
+  slackService.sendSlackMessage = async (message) => alerts.push(message);
+  const aa = PROVIDERS.audienceacuity;
+  aa.isConfigured = () => true;
+
+  // Audience Acuity parsing: opt-in email wins, split name, address geo fallback.
+  const parsed = parseAudienceAcuityIdentity({
+    name: "Jane Q Doe",
+    emails: [{ email: "x@a.com", rankOrder: 9 }, { email: "jane@b.com", optIn: true, rankOrder: 1 }],
+    address: "1532 Brown St, Middletown oh 45044",
+  });
+  assert.strictEqual(parsed.email, "jane@b.com");
+  assert.strictEqual(parsed.firstName, "Jane");
+  assert.strictEqual(parsed.lastName, "Q Doe");
+  assert.deepStrictEqual([parsed.city, parsed.state, parsed.zip], ["Middletown", "OH", "45044"]);
+
+  // Concurrent lookups for the same caller share one provider call.
+  let calls = 0;
+  aa.lookup = async (phone10) => {
+    calls += 1;
+    assert.strictEqual(phone10, "5551234567");
+    await new Promise((resolve) => setTimeout(resolve, 10));
+    return { matched: true, profile: { firstName: "Jane", state: "TX" } };
+  };
+  const audit = {};
+  const [a, b] = await Promise.all([
+    enrichmentService.getCallerProfile({ caller_phone: "+1 (555) 123-4567" }, audit),
+    enrichmentService.getCallerProfile("555.123.4567"),
+  ]);
+  assert.strictEqual(calls, 1);
+  assert.deepStrictEqual(a, { firstName: "Jane", state: "TX" });
+  assert.strictEqual(b, a);
+  assert.strictEqual(audit.source, "audienceacuity");
+  assert.strictEqual(audit.reason, "enriched");
+
+  const noPhone = {};
+  assert.strictEqual(await enrichmentService.getCallerProfile({ phone: "123" }, noPhone), null);
+  assert.strictEqual(noPhone.reason, "invalid_phone");
+
+  // Errors never throw; after FAILURE_THRESHOLD consecutive errors the circuit opens and the provider is skipped.
+  calls = 0;
+  aa.lookup = async () => {
+    calls += 1;
+    throw new Error("timeout of 10000ms exceeded");
+  };
+  const failed = {};
+  assert.strictEqual(await enrichmentService.getCallerProfile("5550000001", failed), null);
+  assert.strictEqual(failed.reason, "api_error");
+  await enrichmentService.getCallerProfile("5550000002");
+  assert.strictEqual(calls, 2);
+  assert.strictEqual(alerts.length, 1);
+  const skipped = {};
+  assert.strictEqual(await enrichmentService.getCallerProfile("5550000003", skipped), null);
+  assert.strictEqual(calls, 2);
+  assert.deepStrictEqual(skipped.skippedProviders, ["audienceacuity:circuit_open"]);
+  const [status] = enrichmentService.getProviderStatus();
+  assert.strictEqual(status.circuit, "open");
+
+  // After the cooldown one trial lookup goes through; success closes the circuit.
+  const realNow = Date.now;
+  Date.now = () => realNow() + 61000;
+  try {
+    aa.lookup = async () => ({ matched: false, profile: null });
+    const trial = {};
+    assert.strictEqual(await enrichmentService.getCallerProfile("5550000004", trial), null);
+    assert.strictEqual(trial.reason, "no_identity_match");
+    assert.strictEqual(enrichmentService.getProviderStatus()[0].circuit, "closed");
+  } finally {
+    Date.now = realNow;
+  }
+
+  // Without Mongo usage still reports provider state.
+  const usage = await enrichmentService.getUsage({});
+  assert.strictEqual(usage.ok, true);
+  assert.strictEqual(usage.providers[0].provider, "audienceacuity");
+  assert.strictEqual((await enrichmentService.getUsage({ from: "2026-13" })).status, 400);
+
+  console.log("PASS enrichment.test");
+}
+
+run()
+  .then(() => process.exit(0))
+  .catch((err) => {
+    console.error("FAIL enrichment.test", err);
+    process.exit(1);
+  });
@@ -0,0 +1,116 @@
+const assert = require("assert");
+const crypto = require("crypto");
+
+process.env.CREDENTIALS_ENCRYPTION_KEY = crypto.randomBytes(32).toString("hex");
+process.env.GOOGLE_ADS_CLIENT_ID = "env-client";
+process.env.GOOGLE_ADS_CLIENT_SECRET = "env-secret";
+process.env.GOOGLE_ADS_DEVELOPER_TOKEN = "env-dev-token";
+process.env.GOOGLE_ADS_REFRESH_TOKEN = "env-refresh";
+delete process.env.GOOGLE_ADS_MCC1_REFRESH_TOKEN;
+
+const mongoose = require("mongoose");
+const GoogleAdsAccount = require("../models/googleAdsAccountModel");
+const credentialCrypto = require("../services/credentialCrypto");
+const googleAdsAccountService = require("../services/googleAdsAccountService");
+const googleConversionService = require("../services/googleConversionService");
+
+async function run() {
+  // Encryption: round trip, random IV, wrong key rejected.
+  const sealed = credentialCrypto.encryptSecret("1//refresh-token");
+  assert.ok(credentialCrypto.isEncrypted(sealed));
+  assert.ok(!sealed.includes("refresh-token"));
+  assert.notStrictEqual(sealed, credentialCrypto.encryptSecret("1//refresh-token"));
+  assert.strictEqual(credentialCrypto.decryptSecret(sealed), "1//refresh-token");
+  assert.throws(() => credentialCrypto.decryptSecret(sealed, crypto.randomBytes(32)), /encrypted with key/);
+
+  // Input validation: ids normalized, secrets encrypted, refresh token required on create.
+  const { errors, set } = googleAdsAccountService.validateAccountInput({
+    key: "IPM",
+    customerId: "388-500-7144",
+    loginCustomerId: "9126998560",
+    refreshToken: "1//ipm",
+    conversionActionIds: ["7559018081", "7559018081"],
+    redtrackCampaignIds: ["rt-abc"],
+  });
+  assert.deepStrictEqual(errors, []);
+  assert.strictEqual(set.key, "ipm");
+  assert.strictEqual(set.customerId, "3885007144");
+  assert.deepStrictEqual(set.conversionActionIds, ["7559018081"]);
+  assert.strictEqual(credentialCrypto.decryptSecret(set.refreshTokenEncrypted), "1//ipm");
+  assert.strictEqual(googleAdsAccountService.validateAccountInput({ key: "x y" }).errors.length, 4);
+  assert.deepStrictEqual(
+    googleAdsAccountService.validateAccountInput({ refreshToken: "" }, { partial: true }).errors,
+    ["refreshToken cannot be cleared"]
+  );
+
+  // Without Mongo, routing falls back to the legacy env packs.
+  assert.strictEqual((await googleConversionService.resolveGoogleAdsAccount({})).accountKey, "default");
+  await assert.rejects(googleConversionService.resolveGoogleAdsAccount({ mcc: "1" }), { code: "mcc1_config_missing" });
+  await assert.rejects(googleConversionService.resolveGoogleAdsAccount({ account: "nope" }), {
+    code: "google_ads_account_not_found",
+    statusCode: 503,
+  });
+
+  // Stored accounts: explicit key > conversion action > RedTrack campaign > legacy.
+  const docs = [
+    { ...set, clientId: "", clientSecretEncrypted: "", developerTokenEncrypted: "", active: true },
+    {
+      key: "brandx",
+      customerId: "1112223333",
+      loginCustomerId: "1112223333",
+      clientId: "bx-client",
+      clientSecretEncrypted: credentialCrypto.encryptSecret("bx-secret"),
+      developerTokenEncrypted: credentialCrypto.encryptSecret("bx-dev"),
+      refreshTokenEncrypted: credentialCrypto.encryptSecret("1//bx"),
+      conversionActionIds: ["111"],
+      redtrackCampaignIds: ["rt-abc"],
+      active: false,
+    },
+  ];
+  Object.defineProperty(mongoose.connection, "readyState", { get: () => 1, configurable: true });
+  GoogleAdsAccount.find = () => ({ lean: async () => docs });
+  try {
+    const byAction = await googleConversionService.resolveGoogleAdsAccount({ conversionActionId: "7559018081" });
+    assert.strictEqual(byAction.accountKey, "ipm");
+    assert.strictEqual(byAction.matchedBy, "conversionActionId");
+    assert.strictEqual(byAction.refreshToken, "1//ipm");
+    assert.strictEqual(byAction.clientSecret, "env-secret");
+
+    const byCampaign = await googleConversionService.resolveGoogleAdsAccount({ rt_campaign_id: "rt-abc" });
+    assert.strictEqual(byCampaign.matchedBy, "redtrackCampaign");
+    assert.strictEqual(byCampaign.googleCustomerId, "3885007144");
+
+    // Inactive accounts are skipped by mappings and rejected by explicit key.
+    assert.strictEqual((await googleConversionService.resolveGoogleAdsAccount({ conversionActionId: "111" })).accountKey, "default");
+    await assert.rejects(googleConversionService.resolveGoogleAdsAccount({ account: "BrandX" }), {
+      code: "google_ads_account_inactive",
+    });
+
+    // Cache: a new account shows up after invalidation, without a restart.
+    docs[1].active = true;
+    assert.strictEqual((await googleConversionService.resolveGoogleAdsAccount({ conversionActionId: "111" })).accountKey, "default");
+    googleAdsAccountService.invalidateCache();
+    const brandx = await googleConversionService.resolveGoogleAdsAccount({ conversionActionId: "111", mcc: "1" });
+    assert.strictEqual(brandx.accountKey, "brandx");
+    assert.strictEqual(brandx.developerToken, "bx-dev");
+
+    const preview = await googleConversionService.previewUploadPayload({ account: "ipm", conversionActionId: "5", gclid: "g1" });
+    assert.strictEqual(preview.accountKey, "ipm");
+    assert.strictEqual(preview.body.conversions[0].conversionAction, "customers/3885007144/conversionActions/5");
+
+    const listed = googleAdsAccountService.toPublicAccount(docs[1]);
+    assert.deepStrictEqual(listed.credentials, { clientSecret: "****cret", developerToken: "****", refreshToken: "****" });
+    assert.ok(!JSON.stringify(listed).includes("enc:v1"));
+  } finally {
+    delete mongoose.connection.readyState;
+  }
+
+  console.log("PASS googleAdsAccounts.test");
+}
+
+run()
+  .then(() => process.exit(0))
+  .catch((err) => {
+    console.error("FAIL googleAdsAccounts.test", err);
+    process.exit(1);
+  });
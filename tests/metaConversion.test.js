@@ -0,0 +1,120 @@
+const assert = require("assert");
+const { createMetaCapiStub } = require("../scripts/meta-capi-stub");
+
+async function run() {
+  const { server, received } = createMetaCapiStub();
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  process.env.META_CAPI_BASE_URL = `http://127.0.0.1:${server.address().port}`;
+
+  const crypto = require("crypto");
+  const META_CONFIG = require("../config/meta");
+  const metaConversionService = require("../services/metaConversionService");
+  const { getAdapter } = require("../services/conversionDestinations");
+  const conversionOutboxService = require("../services/conversionOutboxService");
+  const ringbaController = require("../controllers/ringbaController");
+  const { submitConversions } = conversionOutboxService;
+  const sha = (v) => crypto.createHash("sha256").update(v, "utf8").digest("hex");
+
+  try {
+    const eventId = `test-${Date.now()}`;
+    const conversion = {
+      pixel_id: "123456",
+      meta_access_token: "EAAtoken",
+      event_id: eventId,
+      event_name: "purchase",
+      phone: "+1 (555) 123-4567",
+      email: " Jane@Example.com ",
+      fbclid: "IwAR0abc",
+      st: "TX",
+      event_time: "1760000000",
+      value: "42.5",
+    };
+
+    // Hashing matches Roku's normalizers; phone gets the US country code Meta requires.
+    const { pixelId, payload } = metaConversionService.buildMetaEvent(conversion);
+    const [event] = payload.data;
+    assert.strictEqual(pixelId, "123456");
+    assert.strictEqual(event.event_name, "Purchase");
+    assert.strictEqual(event.action_source, "phone_call");
+    assert.deepStrictEqual(event.user_data.ph, [sha("15551234567")]);
+    assert.deepStrictEqual(event.user_data.em, [sha("jane@example.com")]);
+    assert.deepStrictEqual(event.user_data.st, [sha("tx")]);
+    assert.strictEqual(event.user_data.fbc, "fb.1.1760000000000.IwAR0abc");
+    assert.deepStrictEqual(event.custom_data, { value: 42.5, currency: "USD" });
+    assert.deepStrictEqual(metaConversionService.missingMetaFields({ phone: "555" }), [
+      "pixel_id",
+      "meta_access_token",
+      "event_id (or callId)",
+      "phone, email, fbclid/fbc, fbp or ip",
+    ]);
+
+    // event_time is pinned when the webhook is received, so an outbox retry does not report the event late.
+    const before = Math.floor(Date.now() / 1000);
+    const { event_time: _eventTime, ...untimed } = conversion;
+    const prepared = metaConversionService.prepareQueuedConversion(untimed);
+    assert.ok(prepared.event_time >= before && prepared.event_time <= Math.floor(Date.now() / 1000) + 1);
+    assert.strictEqual(metaConversionService.prepareQueuedConversion({ timestampMicros: "1760000000000000" }).event_time, 1760000000);
+    assert.strictEqual(metaConversionService.prepareQueuedConversion(conversion).event_time, 1760000000);
+    const queued = [];
+    conversionOutboxService.submitConversions = async (destination, conversions) => {
+      queued.push(...conversions);
+      return { queued: true, ids: conversions.map((_, i) => `job-${i}`) };
+    };
+    const res = { statusCode: 200, body: null };
+    res.status = (code) => Object.assign(res, { statusCode: code });
+    res.json = (body) => Object.assign(res, { body });
+    await ringbaController.handleMetaConversion({ body: { conversions: [untimed] } }, res);
+    assert.deepStrictEqual([res.statusCode, res.body.queued], [200, 1]);
+    assert.ok(queued[0].event_time >= before);
+    // Delivered an hour later by the worker: the receipt time is still reported.
+    const now = Date.now;
+    Date.now = () => now() + 60 * 60 * 1000;
+    const delayed = metaConversionService.buildMetaEvent(queued[0]).payload.data[0];
+    Date.now = now;
+    assert.strictEqual(delayed.event_time, queued[0].event_time);
+    assert.strictEqual(delayed.user_data.fbc, `fb.1.${queued[0].event_time * 1000}.IwAR0abc`);
+    conversionOutboxService.submitConversions = submitConversions;
+
+    // Delivered through the outbox adapter to the local stub; the token is sent but not logged as request.
+    const delivered = await getAdapter("meta").deliver(conversion);
+    assert.strictEqual(delivered.outcome, "delivered");
+    assert.strictEqual(delivered.result.events_received, 1);
+    assert.strictEqual(received.length, 1);
+    assert.strictEqual(received[0].pixelId, "123456");
+    assert.strictEqual(received[0].body.access_token, "EAAtoken");
+    assert.strictEqual(delivered.request.access_token, undefined);
+
+    // Same event_id again is skipped; a retry (ctx.retry) bypasses the check.
+    assert.strictEqual((await getAdapter("meta").deliver(conversion)).outcome, "skipped");
+    assert.strictEqual((await getAdapter("meta").deliver(conversion, {}, { retry: true })).outcome, "delivered");
+    assert.strictEqual(received.length, 2);
+
+    // A conversion without a token never reaches Meta and is not retried.
+    const rejected = await getAdapter("meta").deliver({ ...conversion, event_id: `${eventId}-b`, meta_access_token: " " });
+    assert.strictEqual(rejected.outcome, "failed");
+    assert.strictEqual(rejected.retryable, false);
+    assert.strictEqual(received.length, 2);
+
+    // Graph API 5xx is retryable and the error carries Meta's message.
+    const failing = createMetaCapiStub({ failStatus: 500 });
+    await new Promise((resolve) => failing.server.listen(0, "127.0.0.1", resolve));
+    META_CONFIG.GRAPH_API_BASE = `http://127.0.0.1:${failing.server.address().port}`;
+    const outage = await getAdapter("meta").deliver({ ...conversion, event_id: `${eventId}-c` });
+    failing.server.close();
+    assert.strictEqual(outage.outcome, "failed");
+    assert.strictEqual(outage.retryable, true);
+    assert.strictEqual(outage.httpStatus, 500);
+    assert.ok(outage.error.startsWith("Stub failure (code 2"));
+  } finally {
+    server.close();
+  }
+
+  console.log("PASS metaConversion.test");
+}
+
+run()
+  .then(() => process.exit(0))
+  .catch((err) => {
+    console.error("FAIL metaConversion.test", err);
+    process.exit(1);
+  });
@@ -0,0 +1,155 @@
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const CFG = require("../config/dynamicRingTreeTarget");
+const dynamicRingTreeTargetService = require("../services/dynamicRingTreeTargetService");
+const ringTreeBacktestService = require("../services/ringTreeBacktestService");
+
+const MIN_MS = 60 * 1000;
+const START = Date.parse("2026-10-01T10:00:00.000Z");
+const at = (minutes) => new Date(START + minutes * MIN_MS);
+
+const PROFILE = {
+  key: "bt",
+  label: "Backtest",
+  enabled: false,
+  targetNamePrefix: "BT -",
+  tiers: [{ name: "T1" }, { name: "T2" }, { name: "T3" }],
+  tierRules: [
+    { minRpc: 20, promoteAt: 22, demoteBelow: 18 },
+    { minRpc: 10, promoteAt: 11, demoteBelow: 9 },
+  ],
+  batchSize: 2,
+  moveCooldownMs: 60 * MIN_MS,
+};
+
+// One target, batches of 2 calls 10 min apart (batch RPC 25, 19, 5, 5):
+// promote T3→T1 at 10m, 19 is held in T1 by demoteBelow 18, the 50m demotion is inside the 1h cooldown, 70m moves.
+const REVENUES = [25, 25, 19, 19, 5, 5, 4, 6];
+const CALLS = REVENUES.map((revenue, i) => ({
+  at: at(i * 10),
+  callId: `call-${i}`,
+  targetId: i < 2 ? "RTT-old" : "RTT-new",
+  targetName: "BT - Buyer",
+  callerPhone: `+1555000000${i}`,
+  revenue,
+}));
+
+async function run() {
+  // Anything that reaches Ringba, the state store or the live move path fails the test.
+  const touched = [];
+  for (const name of ["loadState", "saveState", "evaluateBatchMove", "manualMoveTarget", "handlePixelIngest", "fetchPingTrees"]) {
+    dynamicRingTreeTargetService[name] = async () => {
+      touched.push(name);
+      throw new Error(`${name} must not be called by the backtester`);
+    };
+  }
+  const ringbaCalls = [];
+  dynamicRingTreeTargetService.ringbaRequest = async (method, url, options) => {
+    ringbaCalls.push({ method, url, offset: options.data.offset });
+    return {
+      status: 200,
+      data: {
+        report: {
+          totalCount: 5000,
+          records: CALLS.slice(0, 2).map((c) => ({
+            inboundCallId: c.callId,
+            callDt: c.at.getTime(),
+            targetId: c.targetId,
+            targetName: c.targetName,
+            inboundPhoneNumber: c.callerPhone,
+            conversionAmount: c.revenue,
+          })),
+        },
+      },
+    };
+  };
+
+  // Replay: moves, hysteresis block, cooldown skip; time and revenue-weighted RPC per tier.
+  const replay = ringTreeBacktestService.replayCalls([...CALLS].reverse(), PROFILE, {
+    to: at(120),
+    initialTiers: { "BT - Buyer": "T3" },
+  });
+  const [target] = replay.targets;
+  assert.deepStrictEqual(target.targetIds, ["RTT-old", "RTT-new"], "history carries across the new RTT id");
+  assert.deepStrictEqual(
+    target.moves.map((m) => [m.at, m.from, m.to, m.rpc, m.demotion]),
+    [
+      [at(10).toISOString(), "T3", "T1", 25, false],
+      [at(70).toISOString(), "T1", "T3", 5, true],
+    ]
+  );
+  assert.deepStrictEqual([target.batches, target.hysteresisBlocks, target.cooldownSkips, target.finalTier], [4, 1, 1, "T3"]);
+  assert.deepStrictEqual(replay.summary.tiers, {
+    T1: { timeMs: 60 * MIN_MS, calls: 6, revenue: 58, rpc: 9.6667 },
+    T2: { timeMs: 0, calls: 0, revenue: 0, rpc: null },
+    T3: { timeMs: 60 * MIN_MS, calls: 2, revenue: 50, rpc: 25 },
+  });
+  assert.deepStrictEqual([replay.summary.promotions, replay.summary.demotions], [1, 1]);
+
+  // No starting tier: the first batch places the target without counting a move.
+  const unplaced = ringTreeBacktestService.replayCalls(CALLS.slice(0, 2), PROFILE, { to: at(20) });
+  assert.deepStrictEqual([unplaced.targets[0].initialTierSource, unplaced.targets[0].finalTier, unplaced.summary.moves], ["first_batch", "T1", 0]);
+
+  // runBacktest (events): candidate without cooldown vs the live rules as baseline.
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "ring-tree-backtest-"));
+  const originalEventsFile = CFG.EVENTS_FILE;
+  try {
+    CFG.EVENTS_FILE = path.join(dir, "events.jsonl");
+    const lines = CALLS.map((c) =>
+      JSON.stringify({ at: c.at.toISOString(), type: "pixel_ingest", status: "accumulating", profileKey: "bt", ...c, callerPhone: undefined })
+    );
+    lines.push(JSON.stringify({ at: at(5).toISOString(), type: "pixel_ingest", status: "duplicate_call_id", profileKey: "bt", callId: "dup", targetId: "RTT-old" }));
+    fs.writeFileSync(CFG.EVENTS_FILE, `${lines.join("\n")}\n`);
+    const eventsSize = fs.statSync(CFG.EVENTS_FILE).size;
+    CFG.setStoredProfiles({ bt: PROFILE });
+
+    const result = await ringTreeBacktestService.runBacktest({
+      profile: "bt",
+      from: "2026-10-01",
+      to: "2026-10-01",
+      rules: { moveCooldownMs: 0 },
+      initialTiers: { "BT - Buyer": "T3" },
+    });
+    assert.strictEqual(result.ok, true);
+    assert.strictEqual(result.summary.calls, 8, "only accepted pixel_ingest lines are replayed");
+    assert.deepStrictEqual([result.summary.moves, result.summary.cooldownSkips], [2, 0]);
+    assert.deepStrictEqual(result.targets[0].moves.map((m) => m.at), [at(10).toISOString(), at(50).toISOString()]);
+    assert.deepStrictEqual([result.baseline.summary.moves, result.baseline.summary.cooldownSkips], [2, 1]);
+    assert.strictEqual(result.baseline.rules.moveCooldownMs, 60 * MIN_MS);
+    assert.strictEqual(result.rules.moveCooldownMs, 0);
+    assert.ok(result.summary.tiers.T3.timeMs > result.baseline.summary.tiers.T3.timeMs);
+    assert.strictEqual(fs.statSync(CFG.EVENTS_FILE).size, eventsSize, "the events log is read, never appended to");
+
+    const invalid = await ringTreeBacktestService.runBacktest({ profile: "bt", from: "2026-10-01", to: "2026-10-02", rules: { tierRules: [{ minRpc: 5 }] } });
+    assert.strictEqual(invalid.status, 400);
+    assert.match(invalid.errors[0], /tierRules must contain 2 entries/);
+
+    // calllogs: read-only POST /calllogs, capped by pageLimit (the HTTP endpoint's synchronous budget).
+    const pulled = await ringTreeBacktestService.runBacktest({
+      profile: "bt",
+      from: "2026-10-01",
+      to: "2026-10-01",
+      source: "calllogs",
+      maxPages: 20,
+      pageLimit: 1,
+    });
+    assert.deepStrictEqual(ringbaCalls, [{ method: "POST", url: "/calllogs", offset: 0 }]);
+    assert.deepStrictEqual([pulled.pages, pulled.totalCount, pulled.truncated, pulled.summary.calls], [1, 5000, true, 2]);
+    assert.strictEqual(ringTreeBacktestService.CALLLOGS_HTTP_MAX_PAGES, 3);
+  } finally {
+    CFG.EVENTS_FILE = originalEventsFile;
+    CFG.setStoredProfiles({});
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+  assert.deepStrictEqual(touched, []);
+
+  console.log("PASS ringTreeBacktest.test");
+}
+
+run().catch((err) => {
+  console.error("FAIL ringTreeBacktest.test", err);
+  process.exit(1);
+});
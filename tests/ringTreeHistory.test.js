@@ -0,0 +1,109 @@
+const assert = require("assert");
+const mongoose = require("mongoose");
+const RingTreeEvent = require("../models/ringTreeEventModel");
+const ringTreeHistoryService = require("../services/ringTreeHistoryService");
+
+const HOUR_MS = 60 * 60 * 1000;
+const START = Date.parse("2026-10-01T00:00:00.000Z");
+const at = (hours) => new Date(START + hours * HOUR_MS);
+
+async function run() {
+  const { classifyAction, buildEventDoc, recordEvent, getTargetTimeline } = ringTreeHistoryService;
+
+  assert.strictEqual(classifyAction({ type: "eval_no_move" }), "eval_no_move");
+  assert.strictEqual(classifyAction({ type: "eval_no_move", blockedByHysteresis: true }), "hysteresis_block");
+  assert.strictEqual(classifyAction({ type: "eval_skipped", reason: "move_cooldown" }), "cooldown_skip");
+  assert.strictEqual(classifyAction({ type: "eval_skipped", reason: "pinned" }), "pinned_skip");
+  assert.strictEqual(classifyAction({ type: "eval_skipped", reason: "target_not_in_profile_tiers" }), "eval_skipped");
+  assert.strictEqual(classifyAction({ type: "move_completed" }), "live_move");
+  assert.strictEqual(classifyAction({ type: "manual_move" }), "manual_move");
+  assert.strictEqual(classifyAction({ type: "target_pinned" }), "pin");
+  assert.strictEqual(classifyAction({ type: "target_unpinned" }), "unpin");
+
+  // CallGrid destinations map onto targetId/targetName; tierAfter is the new tier only for real moves.
+  const doc = buildEventDoc("callgrid", {
+    at: at(1).toISOString(),
+    type: "move_completed",
+    profileKey: "medicare",
+    destinationId: "dest-a",
+    destinationName: "Buyer A",
+    rpc: "21.5",
+    currentTier: "T2",
+    desiredTier: "T1",
+    planId: "plan-1",
+  });
+  assert.deepStrictEqual(
+    [doc.engine, doc.action, doc.targetId, doc.targetName, doc.rpc, doc.tierAfter, doc.details],
+    ["callgrid", "live_move", "dest-a", "Buyer A", 21.5, "T1", { planId: "plan-1" }]
+  );
+  assert.strictEqual(buildEventDoc("ringba", { type: "dry_run_move", currentTier: "T2", desiredTier: "T1" }).tierAfter, "T2");
+  assert.strictEqual(buildEventDoc("ringba", { type: "dry_run_move" }).dryRun, true);
+
+  const stored = [];
+  RingTreeEvent.create = async (eventDoc) => {
+    if (eventDoc.targetId === "boom") throw new Error("write failed");
+    stored.push(eventDoc);
+    return eventDoc;
+  };
+  const warn = console.warn;
+  Object.defineProperty(mongoose.connection, "readyState", { get: () => 1, configurable: true });
+  try {
+    // Recording: decisions only, never throws.
+    assert.strictEqual(await recordEvent("ringba", { type: "pixel_ingest", targetId: "t1" }), null);
+    await recordEvent("ringba", { type: "eval_skipped", reason: "pinned", targetId: "t1", at: at(0).toISOString() });
+    console.warn = () => {};
+    assert.strictEqual(await recordEvent("ringba", { type: "eval_no_move", targetId: "boom" }), null);
+    console.warn = warn;
+    assert.deepStrictEqual(stored.map((e) => [e.engine, e.action, e.targetId]), [["ringba", "pinned_skip", "t1"]]);
+
+    // Timeline: in T2 for 2h, moved to T1 at 2h, evaluated once more at 3h; range ends at 10h (in the past).
+    let events = [
+      { at: at(3), engine: "ringba", action: "eval_no_move", rpc: 22, currentTier: "T1", tierAfter: "T1" },
+      { at: at(0), engine: "ringba", action: "eval_no_move", rpc: 15, currentTier: "T2", tierAfter: "T2", targetName: "Buyer" },
+      { at: at(2), engine: "ringba", action: "live_move", rpc: 25, currentTier: "T2", desiredTier: "T1", tierAfter: "T1" },
+    ];
+    const sorts = [];
+    RingTreeEvent.find = () => {
+      const query = { docs: [...events] };
+      query.sort = (spec) => {
+        sorts.push(spec);
+        query.docs.sort((a, b) => (a.at - b.at) * spec.at);
+        return query;
+      };
+      query.limit = (n) => {
+        query.docs = query.docs.slice(0, n);
+        return query;
+      };
+      query.lean = async () => query.docs;
+      return query;
+    };
+    const timeline = await getTargetTimeline({ targetId: "t1", from: "2026-10-01", to: at(10).toISOString() });
+    assert.deepStrictEqual(sorts, [{ at: -1 }]);
+    assert.deepStrictEqual(timeline.points.map((p) => p.rpc), [15, 25, 22], "oldest first");
+    assert.deepStrictEqual([timeline.currentTier, timeline.moves, timeline.truncated], ["T1", 1, false]);
+    assert.deepStrictEqual(timeline.tierDurationsMs, { T2: 2 * HOUR_MS, T1: 8 * HOUR_MS }, "last segment closes at to");
+
+    // Open-ended range: the last segment runs until now.
+    const open = await getTargetTimeline({ targetId: "t1" });
+    assert.ok(Math.abs(open.tierDurationsMs.T1 - (Date.now() - at(2).getTime())) < 5000);
+
+    // More events than the limit: the newest are kept.
+    events = Array.from({ length: 5001 }, (_, i) => ({ at: at(i), engine: "ringba", action: "eval_no_move", rpc: i, currentTier: "T1" }));
+    const wide = await getTargetTimeline({ targetId: "t1", to: at(6000).toISOString() });
+    assert.strictEqual(wide.truncated, true);
+    assert.deepStrictEqual([wide.count, wide.points[0].rpc, wide.points[wide.count - 1].rpc], [5000, 1, 5000]);
+
+    assert.strictEqual((await getTargetTimeline({})).error, "targetId is required");
+    assert.match((await getTargetTimeline({ targetId: "t1", from: "soon" })).error, /from\/to/);
+  } finally {
+    console.warn = warn;
+    delete mongoose.connection.readyState;
+  }
+
+  console.log("PASS ringTreeHistory.test");
+}
+
+run().catch((err) => {
+  console.error("FAIL ringTreeHistory.test", err);
+  process.exit(1);
+});
@@ -0,0 +1,177 @@
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const axios = require("axios");
+const mongoose = require("mongoose");
+
+const CFG = require("../config/dynamicRingTreeTarget");
+
+// The Ringba service builds its state store at load time: point it at a scratch dir first.
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "ring-tree-pins-"));
+Object.assign(CFG, {
+  STATE_BACKEND: "json",
+  STATE_FILE: path.join(dir, "state.json"),
+  EVENTS_FILE: path.join(dir, "events.jsonl"),
+  RINGBA_ACCOUNT_ID: "acct",
+  RINGBA_API_TOKEN: "token",
+  REVENUE_BACKFILL_ENABLED: false,
+});
+
+const RingTreePin = require("../models/ringTreePinModel");
+const ringTreeHistoryService = require("../services/ringTreeHistoryService");
+const slackService = require("../services/slackService");
+const dynamicRingTreeTargetService = require("../services/dynamicRingTreeTargetService");
+
+const HOUR_MS = 60 * 60 * 1000;
+const PROFILE = {
+  key: "pt",
+  label: "Pins",
+  enabled: true,
+  dryRun: false,
+  targetNamePrefix: "PT -",
+  tiers: [
+    { name: "PT - Tier 1", pingTreeId: "PT1" },
+    { name: "PT - Tier 2", pingTreeId: "PT2" },
+    { name: "PT - Tier 3", pingTreeId: "PT3" },
+  ],
+  tierRules: [
+    { minRpc: 20, promoteAt: 22, demoteBelow: 18 },
+    { minRpc: 10, promoteAt: 11, demoteBelow: 9 },
+  ],
+  batchSize: 2,
+  moveCooldownMs: HOUR_MS,
+};
+const PING_TREES = [
+  { id: "PT1", name: "PT - Tier 1", targets: [{ id: "RTT-forced", name: "PT - Forced" }] },
+  {
+    id: "PT2",
+    name: "PT - Tier 2",
+    targets: [
+      { id: "RTT-pinned", name: "PT - Pinned" },
+      { id: "RTT-expired", name: "PT - Expired" },
+    ],
+  },
+  { id: "PT3", name: "PT - Tier 3", targets: [] },
+];
+
+/** Matches the findActivePin filter: profileKey + (targetKey | targetId) + (no expiry | expiresAt > now). */
+function pinMatches(pin, filter) {
+  if (pin.profileKey !== filter.profileKey) return false;
+  return filter.$and.every((clause) =>
+    clause.$or.some((cond) => {
+      const [field, value] = Object.entries(cond)[0];
+      if (field !== "expiresAt") return pin[field] === value;
+      return value === null ? pin.expiresAt == null : pin.expiresAt != null && pin.expiresAt > value.$gt;
+    })
+  );
+}
+
+async function run() {
+  const requests = [];
+  const originalAdapter = axios.defaults.adapter;
+  axios.defaults.adapter = async (config) => {
+    const url = config.url.replace(/^.*\/v2\/acct/, "");
+    requests.push(`${config.method.toUpperCase()} ${url}`);
+    let data = {};
+    if (url === "/pingtrees") data = { pingTrees: PING_TREES };
+    if (url.startsWith("/pingtreetargets/")) data = { pingTreeTarget: { name: "cfg", url: "https://buyer.example" } };
+    if (config.method === "patch") data = { targets: [{ id: JSON.parse(config.data).targetId }] };
+    return { data, status: 200, statusText: "OK", headers: {}, config, request: {} };
+  };
+  const events = [];
+  ringTreeHistoryService.recordEvent = async (engine, event) => events.push({ engine, ...event });
+  const slack = [];
+  slackService.sendRingTreeSlackMessage = async (message) => slack.push(message);
+
+  const pins = [
+    { profileKey: "pt", targetKey: "pt - pinned", targetId: "RTT-pinned", targetName: "PT - Pinned", tier: "PT - Tier 2", expiresAt: null },
+    {
+      profileKey: "pt",
+      targetKey: "pt - expired",
+      targetId: "RTT-expired",
+      targetName: "PT - Expired",
+      tier: "PT - Tier 2",
+      expiresAt: new Date(Date.now() - HOUR_MS),
+    },
+  ];
+  RingTreePin.findOne = (filter) => ({ lean: async () => pins.find((p) => pinMatches(p, filter)) || null });
+  CFG.setStoredProfiles({ pt: PROFILE });
+
+  const evaluate = (targetId, targetName, rpc, state = dynamicRingTreeTargetService.emptyState()) =>
+    dynamicRingTreeTargetService.evaluateBatchMove({
+      profileKey: "pt",
+      targetId,
+      targetName,
+      batch: [
+        { callId: `${targetId}-1`, callerPhone: "+15550000001", revenue: rpc },
+        { callId: `${targetId}-2`, callerPhone: "+15550000002", revenue: rpc },
+      ],
+      rpc,
+      state,
+    });
+  const writes = () => requests.filter((r) => !r.startsWith("GET "));
+
+  Object.defineProperty(mongoose.connection, "readyState", { get: () => 1, configurable: true });
+  try {
+    // Pinned: RPC 30 wants Tier 1, but the pin keeps the target in Tier 2 — no Ringba writes, audited as pinned.
+    const pinned = await evaluate("RTT-pinned", "PT - Pinned", 30);
+    assert.deepStrictEqual([pinned.action, pinned.reason, pinned.desiredTier], ["skipped", "pinned", "PT - Tier 1"]);
+    assert.deepStrictEqual(writes(), []);
+    const pinnedEvent = events.find((e) => e.reason === "pinned");
+    assert.deepStrictEqual([pinnedEvent.engine, pinnedEvent.pinnedTier, pinnedEvent.rawTier], ["ringba", "PT - Tier 2", "PT - Tier 1"]);
+
+    // Expired pin no longer blocks: the same evaluation moves the target.
+    const expired = await evaluate("RTT-expired", "PT - Expired", 30);
+    assert.strictEqual(expired.action, "move_completed");
+    assert.deepStrictEqual(writes(), ["DELETE /pingtrees/PT2/Targets/RTT-expired", "PATCH /pingtrees/PT1/Targets"]);
+    assert.ok(events.some((e) => e.type === "move_completed" && e.targetId === "RTT-expired"));
+
+    // Automatic evaluation of the forced target: hysteresis holds it at 19, cooldown blocks the demotion at 5.
+    const lastMoveAt = new Date(Date.now() - 10 * 60 * 1000).toISOString();
+    fs.writeFileSync(
+      CFG.STATE_FILE,
+      JSON.stringify({ version: 1, profiles: { pt: { targets: {}, lastMoveAt: { "RTT-forced": lastMoveAt } } } })
+    );
+    const state = await dynamicRingTreeTargetService.loadState();
+    const held = await evaluate("RTT-forced", "PT - Forced", 19, state);
+    assert.deepStrictEqual([held.action, held.blockedByHysteresis], ["no_move", true]);
+    const cooling = await evaluate("RTT-forced", "PT - Forced", 5, state);
+    assert.deepStrictEqual([cooling.action, cooling.reason], ["skipped", "move_cooldown"]);
+    requests.length = 0;
+
+    // Force move: ignores cooldown and hysteresis, still goes through the audited move path.
+    const actor = { userId: "u1", email: "ops@example.com", role: "admin" };
+    const forced = await dynamicRingTreeTargetService.manualMoveTarget({
+      profileKey: "pt",
+      target: "PT - Forced",
+      tier: "PT - Tier 2",
+      reason: "buyer asked",
+      actor,
+    });
+    assert.deepStrictEqual([forced.ok, forced.action, forced.currentTier, forced.desiredTier], [true, "move_completed", "PT - Tier 1", "PT - Tier 2"]);
+    assert.deepStrictEqual(writes(), ["DELETE /pingtrees/PT1/Targets/RTT-forced", "PATCH /pingtrees/PT2/Targets"]);
+    const audit = events.find((e) => e.type === "manual_move");
+    assert.deepStrictEqual([audit.manual, audit.reason, audit.actor], [true, "buyer asked", actor]);
+    assert.match(slack[slack.length - 1], /PT - Forced manually moved from .+ to .+\.\nManual move by ops@example\.com — buyer asked/);
+    const stored = JSON.parse(fs.readFileSync(CFG.STATE_FILE, "utf8"));
+    assert.ok(stored.profiles.pt.lastMoveAt["RTT-forced"] > lastMoveAt, "cooldown restarts after a force move");
+
+    // A force move to another tier than the active pin is refused.
+    requests.length = 0;
+    const refused = await dynamicRingTreeTargetService.manualMoveTarget({ profileKey: "pt", target: "RTT-pinned", tier: "PT - Tier 1", actor });
+    assert.strictEqual(refused.status, 409);
+    assert.deepStrictEqual(writes(), []);
+  } finally {
+    delete mongoose.connection.readyState;
+    axios.defaults.adapter = originalAdapter;
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+
+  console.log("PASS ringTreePins.test");
+}
+
+run().catch((err) => {
+  console.error("FAIL ringTreePins.test", err);
+  process.exit(1);
+});
@@ -0,0 +1,135 @@
+const assert = require("assert");
+
+const RingTreeProfile = require("../models/ringTreeProfileModel");
+const RingTreeProfileVersion = require("../models/ringTreeProfileVersionModel");
+const dynamicRingTreeTargetService = require("../services/dynamicRingTreeTargetService");
+const ringTreeProfileService = require("../services/ringTreeProfileService");
+
+const TIER_RULES = [{ minRpc: 20, promoteAt: 21, demoteBelow: 19 }];
+const RPC_RULES = { mode: "min", tier1Min: 20, tier2Min: 15 };
+const HYSTERESIS = { promoteToTier1: 21, demoteFromTier1: 19, promoteToTier2: 16, demoteFromTier2: 14 };
+
+function errorsOf(result) {
+  return result.errors.join("\n");
+}
+
+async function run() {
+  const { validateProfile, validateRpcRulesAndHysteresis, saveProfile, deleteProfile } = ringTreeProfileService;
+  const solar = (fields = {}) => ({
+    key: "solar",
+    label: "Solar",
+    enabled: false,
+    tiers: [{ name: "Solar - Tier 1" }, { name: "Solar - Tier 2" }],
+    tierRules: TIER_RULES,
+    ...fields,
+  });
+
+  // Tier count: at least MIN_TIER_COUNT; 3 tiers may use rpcRules, anything else needs N-1 tierRules.
+  assert.match(errorsOf(await validateProfile(solar({ tiers: [{ name: "Only" }] }))), /at least 2 entries \(got 1\)/);
+  const four = ["A", "B", "C", "D"].map((name) => ({ name }));
+  assert.match(errorsOf(await validateProfile(solar({ tiers: four, tierRules: undefined }))), /tierRules \(3 entries\) is required/);
+  assert.match(errorsOf(await validateProfile(solar({ tiers: four }))), /must contain 3 entries for 4 tiers \(got 1\)/);
+  assert.ok((await validateProfile(solar())).ok);
+  const three = ["A", "B", "C"].map((name) => ({ name }));
+  assert.ok((await validateProfile(solar({ tiers: three, tierRules: undefined, rpcRules: RPC_RULES, hysteresis: HYSTERESIS }))).ok);
+  assert.match(errorsOf(await validateProfile(solar({ tiers: [{ name: "A" }, { name: "A" }] }))), /distinct names/);
+
+  // Hysteresis must bracket each threshold and demote below promote.
+  assert.deepStrictEqual(validateRpcRulesAndHysteresis(RPC_RULES, HYSTERESIS), []);
+  const unbracketed = validateRpcRulesAndHysteresis(RPC_RULES, { ...HYSTERESIS, promoteToTier1: 18 });
+  assert.deepStrictEqual(unbracketed, [
+    "hysteresis for Tier1 must bracket rpcRules.tier1Min: demoteFromTier1 (19) <= 20 <= promoteToTier1 (18)",
+    "hysteresis.demoteFromTier1 (19) must be below promoteToTier1 (18)",
+  ]);
+  assert.match(
+    validateRpcRulesAndHysteresis({ mode: "above", tier1Above: 20, tier2Min: 15 }, { ...HYSTERESIS, demoteFromTier2: 15.5 })[0],
+    /Tier2 must bracket rpcRules.tier2Min: demoteFromTier2 \(15.5\) <= 15/
+  );
+  assert.deepStrictEqual(validateRpcRulesAndHysteresis({ mode: "min", tier1Min: 10, tier2Min: 15 }, HYSTERESIS).slice(0, 1), [
+    "rpcRules.tier2Min (15) must not exceed tier1Min (10)",
+  ]);
+
+  // Ping trees: required when enabled, resolved against Ringba (one fetch, or the pingTrees passed in).
+  const enabled = (ids) => solar({ enabled: true, tiers: ids.map((pingTreeId, i) => ({ name: `T${i + 1}`, pingTreeId })) });
+  assert.match(errorsOf(await validateProfile(enabled(["PT1", ""]))), /tiers\[1\].pingTreeId is required when the profile is enabled/);
+  assert.match(errorsOf(await validateProfile(enabled(["PT1", "PT1"]))), /distinct pingTreeIds/);
+  let fetches = 0;
+  dynamicRingTreeTargetService.fetchPingTrees = async () => {
+    fetches += 1;
+    return [{ id: "PT1" }, { uid: "PT2" }];
+  };
+  assert.ok((await validateProfile(enabled(["PT1", "PT2"]))).ok);
+  assert.deepStrictEqual((await validateProfile(enabled(["PT1", "PT9"]))).errors, [
+    "tiers[1].pingTreeId PT9 was not found in Ringba pingtrees",
+  ]);
+  assert.strictEqual(fetches, 2);
+  assert.ok((await validateProfile(enabled(["PT1", "PT3"]), { pingTrees: [{ id: "PT1" }, { pingTreeId: "PT3" }] })).ok);
+  assert.strictEqual(fetches, 2, "pingTrees passed in are reused");
+  dynamicRingTreeTargetService.fetchPingTrees = async () => {
+    throw new Error("timeout");
+  };
+  assert.deepStrictEqual((await validateProfile(enabled(["PT1", "PT2"]))).errors, [
+    "Could not verify ping tree IDs with Ringba: timeout",
+  ]);
+
+  // Save / delete: versions are recorded with the actor and keep counting past the history maximum.
+  const profiles = [];
+  const versions = [];
+  const lean = (value) => ({ lean: async () => value, sort: () => ({ lean: async () => value }) });
+  RingTreeProfile.find = () => lean(profiles.map((p) => ({ ...p })));
+  RingTreeProfile.findOne = ({ key }) => lean(profiles.find((p) => p.key === key) || null);
+  RingTreeProfile.findOneAndUpdate = async (filter, update) => {
+    const doc = profiles.find((p) => p.key === filter.key);
+    const expected = typeof filter.version === "number" ? filter.version : undefined;
+    if (doc ? doc.version !== expected : expected !== undefined) return null;
+    if (doc) return Object.assign(doc, update.$set);
+    profiles.push({ _id: `id-${filter.key}`, ...update.$set });
+    return profiles[profiles.length - 1];
+  };
+  RingTreeProfile.deleteOne = async ({ _id }) => profiles.splice(profiles.findIndex((p) => p._id === _id), 1);
+  RingTreeProfileVersion.findOne = ({ key }) =>
+    lean(versions.filter((v) => v.key === key).sort((a, b) => b.version - a.version)[0] || null);
+  RingTreeProfileVersion.create = async (doc) => versions.push(doc) && doc;
+  const ops = { userId: "u1", email: "ops@example.com", role: "admin" };
+
+  const invalid = await saveProfile("solar", { ...solar(), tierRules: [] }, ops, { create: true });
+  assert.strictEqual(invalid.status, 400);
+  assert.strictEqual(versions.length, 0);
+
+  const created = await saveProfile("solar", solar(), ops, { create: true });
+  assert.deepStrictEqual([created.status, created.version], [201, 1]);
+  assert.deepStrictEqual(profiles[0].updatedBy, ops);
+  assert.deepStrictEqual([versions[0].action, versions[0].version, versions[0].previous], ["create", 1, null]);
+  assert.deepStrictEqual(versions[0].changedBy, ops);
+  assert.strictEqual((await saveProfile("solar", solar(), ops, { create: true })).status, 409);
+
+  const updated = await saveProfile("solar", { label: "Solar US" }, { userId: "u2", email: "buyer@example.com", role: "tech" });
+  assert.deepStrictEqual([updated.status, updated.version, updated.profile.label], [200, 2, "Solar US"]);
+  assert.strictEqual(versions[1].previous.label, "Solar");
+  assert.strictEqual(versions[1].changedBy.email, "buyer@example.com");
+
+  // History already past the stored version (e.g. a version written by another process): delete continues from it.
+  versions.push({ key: "solar", version: 5, action: "update" });
+  const deleted = await deleteProfile("solar", ops);
+  assert.ok(deleted.deleted);
+  assert.deepStrictEqual([versions[3].action, versions[3].version, versions[3].profile], ["delete", 6, null]);
+  assert.strictEqual(versions[3].previous.label, "Solar US");
+  assert.strictEqual((await deleteProfile("solar", ops)).status, 404);
+
+  const recreated = await saveProfile("solar", solar(), ops, { create: true });
+  assert.strictEqual(recreated.version, 7, "re-create never reuses a version number");
+  assert.strictEqual(new Set(versions.map((v) => v.version)).size, versions.length);
+
+  // Concurrent edit: the version guard misses → 409, no history written.
+  RingTreeProfile.findOneAndUpdate = async () => null;
+  const conflict = await saveProfile("solar", { label: "Other" }, ops);
+  assert.strictEqual(conflict.status, 409);
+  assert.strictEqual(versions.length, 5);
+
+  console.log("PASS ringTreeProfileService.test");
+}
+
+run().catch((err) => {
+  console.error("FAIL ringTreeProfileService.test", err);
+  process.exit(1);
+});
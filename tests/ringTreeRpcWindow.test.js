@@ -0,0 +1,70 @@
+const assert = require("assert");
+const ringTreeRpcWindow = require("../services/ringTreeRpcWindow");
+
+const HOUR_MS = 60 * 60 * 1000;
+const NOW = Date.parse("2026-10-19T12:00:00.000Z");
+const call = (hoursAgo, revenue, callId = `c${hoursAgo}`) => ({
+  callId,
+  revenue,
+  receivedAt: new Date(NOW - hoursAgo * HOUR_MS).toISOString(),
+});
+
+async function run() {
+  const { getEvaluationConfig, pruneWindow, computeWindowRpc, isWindowStale, validateEvaluation } = ringTreeRpcWindow;
+
+  // Defaults: batch unless rolling; a rolling window with no bounds falls back to the batch size.
+  assert.deepStrictEqual(getEvaluationConfig({}, 10), { mode: "batch", batchSize: 10 });
+  assert.deepStrictEqual(getEvaluationConfig({ evaluation: { mode: "rolling" } }, 10), {
+    mode: "rolling",
+    windowCalls: 10,
+    windowHours: null,
+    halfLifeHours: null,
+    minCalls: 10,
+  });
+  const hoursOnly = getEvaluationConfig({ evaluation: { mode: "rolling", windowHours: "72", windowCalls: "x" } }, 10);
+  assert.deepStrictEqual([hoursOnly.windowCalls, hoursOnly.windowHours, hoursOnly.minCalls], [null, 72, 10]);
+  assert.strictEqual(getEvaluationConfig({ evaluation: { mode: "rolling", windowCalls: 4 } }, 10).minCalls, 4);
+
+  // Pruning: age cutoff first, then the newest windowCalls; falsy entries are dropped.
+  const window = [call(100, 1), null, call(50, 2), call(10, 3), call(1, 4)];
+  assert.deepStrictEqual(pruneWindow(window, { windowHours: 72 }, NOW).map((c) => c.revenue), [2, 3, 4]);
+  assert.deepStrictEqual(pruneWindow(window, { windowCalls: 2 }, NOW).map((c) => c.revenue), [3, 4]);
+  assert.deepStrictEqual(pruneWindow(window, { windowHours: 72, windowCalls: 5 }, NOW).map((c) => c.revenue), [2, 3, 4]);
+  assert.deepStrictEqual(pruneWindow([call(1, 1, "a"), { callId: "b", revenue: 2 }], { windowHours: 1000 }, NOW).map((c) => c.callId), ["a"]);
+  assert.deepStrictEqual(pruneWindow(undefined, { windowCalls: 3 }, NOW), []);
+
+  // RPC: plain mean without decay; with halfLifeHours a call one half-life older weighs half.
+  const parse = (v) => Number(v) || 0;
+  assert.strictEqual(computeWindowRpc([], {}, parse, NOW), 0);
+  assert.strictEqual(computeWindowRpc([call(0, 30), call(24, 0)], {}, parse, NOW), 15);
+  assert.strictEqual(computeWindowRpc([call(0, 30), call(24, 0)], { halfLifeHours: 24 }, parse, NOW), 20);
+  assert.strictEqual(computeWindowRpc([call(0, 0), call(48, 50)], { halfLifeHours: 24 }, parse, NOW), 10);
+  assert.strictEqual(computeWindowRpc([call(-1, 9)], { halfLifeHours: 24 }, parse, NOW), 9, "future calls weigh 1");
+  assert.strictEqual(computeWindowRpc([call(0, 10), call(0, 0), call(0, 0)], {}, parse, NOW), 3.3333);
+
+  assert.ok(isWindowStale([call(24 * 8, 1)], NOW));
+  assert.ok(!isWindowStale([call(24 * 8, 1), call(2, 1)], NOW));
+
+  // Validation: invalid rolling settings are rejected; batch ignores the rolling fields.
+  assert.deepStrictEqual(validateEvaluation(undefined), []);
+  assert.deepStrictEqual(validateEvaluation({ mode: "rolling", windowCalls: 30, windowHours: 72, halfLifeHours: 24, minCalls: 10 }), []);
+  assert.deepStrictEqual(validateEvaluation({ mode: "batch", windowCalls: -1 }), []);
+  assert.deepStrictEqual(validateEvaluation("rolling"), ["evaluation must be an object"]);
+  assert.deepStrictEqual(validateEvaluation({ mode: "sliding" }), ["evaluation.mode must be one of: batch, rolling"]);
+  assert.deepStrictEqual(validateEvaluation({ mode: "rolling", windowCalls: 0, minCalls: "two", windowHours: -5, halfLifeHours: "x" }), [
+    "evaluation.windowCalls must be a positive integer",
+    "evaluation.minCalls must be a positive integer",
+    "evaluation.windowHours must be a positive number",
+    "evaluation.halfLifeHours must be a positive number",
+  ]);
+  assert.deepStrictEqual(validateEvaluation({ mode: "rolling", windowCalls: 5, minCalls: 8 }), [
+    "evaluation.minCalls (8) must not exceed windowCalls (5)",
+  ]);
+
+  console.log("PASS ringTreeRpcWindow.test");
+}
+
+run().catch((err) => {
+  console.error("FAIL ringTreeRpcWindow.test", err);
+  process.exit(1);
+});
@@ -0,0 +1,128 @@
+const assert = require("assert");
+
+const RingTreeTargetState = require("../models/ringTreeTargetStateModel");
+const { createMongoStateStore } = require("../services/ringTreeStateStore");
+
+/** In-memory ringTreeTargetStates with the conditional writes the store relies on. */
+function fakeCollection() {
+  const docs = [];
+  let nextId = 1;
+  const matches = (doc, filter) =>
+    Object.entries(filter).every(([key, value]) =>
+      value && typeof value === "object" && Array.isArray(value.$in) ? value.$in.includes(doc[key]) : doc[key] === value
+    );
+  RingTreeTargetState.find = (filter) => ({
+    lean: async () => docs.filter((d) => matches(d, filter)).map((d) => JSON.parse(JSON.stringify(d))),
+  });
+  RingTreeTargetState.updateOne = async (filter, update, options = {}) => {
+    let doc = docs.find((d) => matches(d, filter));
+    if (!doc && options.upsert) {
+      doc = { _id: nextId++, ...filter, data: null, lastMoveAt: null, version: 0 };
+      docs.push(doc);
+    }
+    if (!doc) return { matchedCount: 0 };
+    Object.assign(doc, update.$set);
+    doc.version += update.$inc?.version || 0;
+    return { matchedCount: 1 };
+  };
+  RingTreeTargetState.deleteOne = async (filter) => {
+    const index = docs.findIndex((d) => matches(d, filter));
+    if (index >= 0) docs.splice(index, 1);
+    return { deletedCount: index >= 0 ? 1 : 0 };
+  };
+  RingTreeTargetState.create = async (fields) => {
+    if (docs.some((d) => d.engine === fields.engine && d.profileKey === fields.profileKey && d.entityId === fields.entityId)) {
+      throw Object.assign(new Error("E11000 duplicate key"), { code: 11000 });
+    }
+    docs.push({ _id: nextId++, ...fields });
+  };
+  return docs;
+}
+
+/** Another API process ingesting a pixel for the same target between our read and our write. */
+async function concurrentPixel(store, id, revenue) {
+  await store.update({ profileKey: "fe", ids: [id] }, (state) => {
+    const entries = (state.profiles.fe ||= { targets: {}, lastMoveAt: {} }).targets;
+    const entry = (entries[id] ||= { batch: [], seenCallIds: [] });
+    entry.batch.push(revenue);
+  });
+}
+
+async function run() {
+  const docs = fakeCollection();
+  const store = createMongoStateStore({
+    engine: "ringba",
+    collectionKey: "targets",
+    emptyState: () => ({ version: 1, profiles: {} }),
+  });
+  const scope = { profileKey: "fe", ids: ["t1"] };
+  const entryOf = (state) => (state.profiles.fe ||= { targets: {}, lastMoveAt: {} }).targets;
+
+  // Insert race: both processes create t1; the loser gets E11000 → state_conflict → re-read and re-run.
+  let attempts = 0;
+  await store.update(scope, async (state) => {
+    attempts += 1;
+    const entries = entryOf(state);
+    if (attempts === 1) await concurrentPixel(store, "t1", 5);
+    entries.t1 ||= { batch: [], seenCallIds: [] };
+    entries.t1.batch.push(10);
+  });
+  assert.strictEqual(attempts, 2);
+  assert.deepStrictEqual(docs[0].data.batch, [5, 10], "the retry re-read the other process's pixel");
+  assert.strictEqual(docs.length, 1);
+
+  // Update race: version moved under us → CAS misses, fn re-runs on the fresh state, nothing is lost.
+  const seen = [];
+  await store.update(scope, async (state) => {
+    seen.push([...entryOf(state).t1.batch]);
+    if (seen.length === 1) await concurrentPixel(store, "t1", 7);
+    entryOf(state).t1.batch.push(20);
+  });
+  assert.deepStrictEqual(seen, [[5, 10], [5, 10, 7]]);
+  assert.deepStrictEqual(docs[0].data.batch, [5, 10, 7, 20]);
+  const versionAfterRetry = docs[0].version;
+
+  // Side effects (tier move) run once: no re-run on conflict, the pixel's batch wins, lastMoveAt is forced.
+  let moves = 0;
+  const result = await store.update(
+    scope,
+    async (state) => {
+      moves += 1;
+      await concurrentPixel(store, "t1", 3);
+      entryOf(state).t1.batch = [];
+      state.profiles.fe.lastMoveAt.t1 = "2026-10-19T00:00:00.000Z";
+      return "moved";
+    },
+    { retryOnConflict: false }
+  );
+  assert.strictEqual(result, "moved");
+  assert.strictEqual(moves, 1, "a move must never be repeated by the conflict retry");
+  assert.deepStrictEqual(docs[0].data.batch, [5, 10, 7, 20, 3]);
+  assert.strictEqual(docs[0].lastMoveAt, "2026-10-19T00:00:00.000Z");
+  assert.strictEqual(docs[0].version, versionAfterRetry + 2);
+
+  // A side-effect write without a conflict is a plain compare-and-swap.
+  await store.update(scope, async (state) => {
+    entryOf(state).t1.batch = [];
+  }, { retryOnConflict: false });
+  assert.deepStrictEqual(docs[0].data.batch, []);
+
+  // Losing every retry surfaces the conflict instead of looping forever.
+  let runs = 0;
+  await assert.rejects(
+    store.update(scope, async (state) => {
+      runs += 1;
+      await concurrentPixel(store, "t1", 1);
+      entryOf(state).t1.batch.push(99);
+    }),
+    (err) => err.code === "state_conflict"
+  );
+  assert.strictEqual(runs, 9);
+
+  console.log("PASS ringTreeStateStore.test");
+}
+
+run().catch((err) => {
+  console.error("FAIL ringTreeStateStore.test", err);
+  process.exit(1);
+});
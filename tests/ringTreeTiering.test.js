@@ -0,0 +1,65 @@
+const assert = require("assert");
+
+const ringTreeTiering = require("../services/ringTreeTiering");
+
+const FE_RPC_RULES = { mode: "min", tier1Min: 20, tier2Min: 15 };
+const FE_HYSTERESIS = { promoteToTier1: 21, demoteFromTier1: 19, promoteToTier2: 16, demoteFromTier2: 14 };
+
+function desired(rpc, currentTier, order, rules) {
+  return ringTreeTiering.resolveTiers(rpc, currentTier, order, rules).desiredTier;
+}
+
+async function run() {
+  // Legacy rpcRules + hysteresis keep the original 3-tier behavior.
+  const legacy = ringTreeTiering.getTierRules({ rpcRules: FE_RPC_RULES, hysteresis: FE_HYSTERESIS });
+  const three = ["T1", "T2", "T3"];
+  assert.strictEqual(legacy.length, 2);
+  assert.strictEqual(desired(25, "T3", three, legacy), "T1");
+  assert.strictEqual(desired(16.5, "T3", three, legacy), "T2");
+  assert.strictEqual(desired(15.5, "T3", three, legacy), "T3");
+  assert.strictEqual(desired(18, "T1", three, legacy), "T2");
+  assert.strictEqual(desired(10, "T1", three, legacy), "T3");
+  assert.strictEqual(desired(19.5, "T1", three, legacy), "T1");
+  assert.strictEqual(desired(13, "T2", three, legacy), "T3");
+  assert.strictEqual(ringTreeTiering.resolveTiers(20, null, three, legacy).rawTier, "T1");
+
+  // "above" mode is a strict boundary on tier 1 only.
+  const above = ringTreeTiering.getTierRules({ rpcRules: { mode: "above", tier1Above: 11, tier2Min: 8 } });
+  assert.strictEqual(ringTreeTiering.resolveTiers(11, null, three, above).rawTier, "T2");
+  assert.strictEqual(ringTreeTiering.resolveTiers(8, null, three, above).rawTier, "T2");
+
+  // Two and four tiers with their own bands.
+  const two = ringTreeTiering.getTierRules({ tierRules: [{ minRpc: 10, promoteAt: 12, demoteBelow: 8 }] });
+  assert.strictEqual(desired(11, "B", ["A", "B"], two), "B");
+  assert.strictEqual(desired(12, "B", ["A", "B"], two), "A");
+  assert.strictEqual(desired(9, "A", ["A", "B"], two), "A");
+  assert.strictEqual(desired(7.9, "A", ["A", "B"], two), "B");
+
+  const fourRules = [
+    { minRpc: 30, promoteAt: 32, demoteBelow: 28 },
+    { minRpc: 20 },
+    { aboveRpc: 10, promoteAt: 11, demoteBelow: 9 },
+  ];
+  const four = ringTreeTiering.getTierRules({ tierRules: fourRules });
+  const order = ["A", "B", "C", "D"];
+  assert.strictEqual(desired(5, "A", order, four), "D");
+  assert.strictEqual(desired(25, "A", order, four), "B");
+  assert.strictEqual(desired(25, "D", order, four), "B");
+  assert.strictEqual(desired(10.5, "D", order, four), "D");
+  assert.strictEqual(desired(31, "B", order, four), "B");
+
+  // Unknown current tier falls back to the raw tier.
+  assert.strictEqual(desired(21, "elsewhere", order, four), "B");
+
+  assert.deepStrictEqual(ringTreeTiering.validateTierRules(fourRules, 4), []);
+  assert.strictEqual(ringTreeTiering.validateTierRules(fourRules, 3).length, 1);
+  assert.ok(ringTreeTiering.validateTierRules([{ minRpc: 10, promoteAt: 9 }], 2).length > 0);
+  assert.ok(ringTreeTiering.validateTierRules([{ minRpc: 5 }, { minRpc: 10 }], 3).length > 0);
+
+  console.log("PASS ringTreeTiering.test");
+}
+
+run().catch((err) => {
+  console.error("FAIL ringTreeTiering.test", err);
+  process.exit(1);
+});
@@ -0,0 +1,78 @@
+const assert = require("assert");
+
+const { PERMISSIONS, roleHasPermission, getRolePermissions } = require("../config/permissions");
+const { authenticate, allowPublic } = require("../middleware/authorize");
+
+// Every admin router mounted in app.js (webhookRoutes / ringbaRoutes use scoped API keys, checked below).
+const ROUTERS = [
+  "accountingRoutes",
+  "apiKeyRoutes",
+  "auditRoutes",
+  "authRoutes",
+  "callgridLanderRoutes",
+  "callgridRingTreeTargetRoutes",
+  "conversionDeliveryRoutes",
+  "conversionOutboxRoutes",
+  "dynamicRingTreeTargetRoutes",
+  "enrichmentRoutes",
+  "googleAdsAccountRoutes",
+  "paragonCloaking",
+  "privacyRoutes",
+  "redtrackRoutes",
+  "ringbaFakeTargetPingRoutes",
+  "rokuAdSpendRoutes",
+  "rokuAdsRoutes",
+  "rokuLogsRoutes",
+  "routeManager",
+  "sslRoutes",
+  "statePerformanceRoutes",
+  "trackRoutes",
+];
+
+const WEBHOOK_ROUTERS = ["webhookRoutes", "ringbaRoutes"];
+
+const isUserGuard = (h) => h === allowPublic || h === authenticate || Array.isArray(h.permissions);
+const isApiKeyGuard = (h) => typeof h.apiKeyScope === "string";
+
+function unguardedRoutes(name, isGuard = isUserGuard) {
+  const router = require(`../routes/${name}`);
+  const missing = [];
+  for (const layer of router.stack) {
+    if (!layer.route) continue;
+    const handlers = layer.route.stack.map((l) => l.handle);
+    if (!handlers.some(isGuard)) {
+      const methods = Object.keys(layer.route.methods).join(",").toUpperCase();
+      missing.push(`${name}: ${methods} ${layer.route.path}`);
+    }
+  }
+  return missing;
+}
+
+async function run() {
+  const missing = ROUTERS.flatMap((name) => unguardedRoutes(name));
+  assert.deepStrictEqual(missing, [], `routes without requirePermission/authenticate/allowPublic:\n${missing.join("\n")}`);
+  const missingKeys = WEBHOOK_ROUTERS.flatMap((name) => unguardedRoutes(name, isApiKeyGuard));
+  assert.deepStrictEqual(missingKeys, [], `webhook routes without requireApiKey:\n${missingKeys.join("\n")}`);
+
+  assert.strictEqual(roleHasPermission("admin", "users:manage"), true);
+  assert.strictEqual(roleHasPermission("tech", "ringTree:override"), true);
+  assert.strictEqual(roleHasPermission("tech", "users:manage"), false);
+  assert.strictEqual(roleHasPermission("mediaBuyer", "domains:write"), true);
+  assert.strictEqual(roleHasPermission("mediaBuyer", "cache:purgeAll"), false);
+  assert.strictEqual(roleHasPermission("accountManager", "domains:restore"), false);
+  assert.strictEqual(roleHasPermission("accounting", "accounting:write"), true);
+  assert.strictEqual(roleHasPermission("accounting", "domains:read"), false);
+  assert.strictEqual(roleHasPermission("unknown", "domains:read"), false);
+  assert.strictEqual(roleHasPermission(undefined, "domains:read"), false);
+  assert.deepStrictEqual(getRolePermissions("ceo"), PERMISSIONS);
+
+  console.log("PASS routePermissions.test");
+}
+
+// Route modules pull in services that open timers/connections, so exit explicitly.
+run()
+  .then(() => process.exit(0))
+  .catch((err) => {
+    console.error("FAIL routePermissions.test", err);
+    process.exit(1);
+  });
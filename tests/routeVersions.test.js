@@ -0,0 +1,101 @@
+const assert = require("assert");
+
+const mongoose = require("mongoose");
+const Domain = require("../models/domainModel");
+const RouteVersion = require("../models/routeVersionModel");
+const routeVersionService = require("../services/routeVersionService");
+
+/** In-memory routeVersions: findOne(...).sort().select().lean() / find(...).sort().limit().lean() / create. */
+function fakeStore() {
+  const rows = [];
+  const matches = (filter) => (row) => Object.entries(filter).every(([k, v]) => row[k] === v);
+  const query = (result) => {
+    const q = {
+      sort: (spec) => {
+        const [[key, dir]] = Object.entries(spec);
+        result = [...result].sort((a, b) => (a[key] > b[key] ? dir : -dir));
+        return q;
+      },
+      select: () => q,
+      limit: (n) => ((result = result.slice(0, n)), q),
+      lean: async () => result,
+    };
+    return q;
+  };
+  RouteVersion.find = (filter) => query(rows.filter(matches(filter)));
+  RouteVersion.findOne = (filter) => {
+    const q = query(rows.filter(matches(filter)));
+    const lean = q.lean;
+    q.lean = async () => (await lean())[0] || null;
+    return q;
+  };
+  let seq = 0;
+  RouteVersion.create = async (doc) => {
+    const row = { _id: new mongoose.Types.ObjectId(), createdAt: new Date(Date.now() + seq++), ...doc };
+    rows.push(row);
+    return row;
+  };
+  return rows;
+}
+
+async function run() {
+  const rows = fakeStore();
+  const user = { userId: "u1", email: "buyer@example.com", role: "mediaBuyer" };
+  const domainDoc = new Domain({
+    domain: "lander.com",
+    assignedTo: "buyer@example.com",
+    id: "1",
+    platform: "Facebook",
+    routes: [{ route: "quote", template: "t1", platform: "Facebook", phoneNumber: "8005550100", ringbaID: "CA1" }],
+  });
+  domainDoc.save = async () => domainDoc;
+  const quote = domainDoc.routes[0];
+
+  Object.defineProperty(mongoose.connection, "readyState", { get: () => 1, configurable: true });
+  try {
+    // First change of a pre-existing route stores a baseline, then the update.
+    const previous = routeVersionService.snapshotRoute(quote);
+    quote.template = "t2-broken";
+    quote.phoneNumber = "8005550199";
+    await routeVersionService.recordRouteVersion("lander.com", quote, { action: "update", previous, user });
+    assert.deepStrictEqual(rows.map((r) => [r.version, r.action]), [[1, "baseline"], [2, "update"]]);
+    assert.strictEqual(rows[1].changedBy.email, "buyer@example.com");
+
+    const listed = await routeVersionService.listRouteVersions(domainDoc, "quote");
+    assert.deepStrictEqual(listed.versions.map((v) => v.version), [2, 1]);
+
+    // Rollback restores the snapshot and is itself a new version.
+    const rolled = await routeVersionService.rollbackRoute(domainDoc, "quote", "1", user);
+    assert.strictEqual(rolled.ok, true);
+    assert.strictEqual(rolled.rolledBackTo, 1);
+    assert.strictEqual(rolled.version, 3);
+    assert.strictEqual(quote.template, "t1");
+    assert.strictEqual(quote.phoneNumber, "8005550100");
+    assert.strictEqual(rolled.before.template, "t2-broken");
+
+    // Deleted routes come back with their id; the deletion itself is not a rollback target.
+    const routeId = String(quote._id);
+    await routeVersionService.recordRouteVersion("lander.com", quote, { action: "delete", user });
+    domainDoc.routes.pull(quote._id);
+    assert.strictEqual((await routeVersionService.rollbackRoute(domainDoc, "quote", 4, user)).status, 400);
+    const restored = await routeVersionService.rollbackRoute(domainDoc, "quote", 2, user);
+    assert.strictEqual(restored.ok, true);
+    assert.strictEqual(String(domainDoc.routes[0]._id), routeId);
+    assert.strictEqual(domainDoc.routes[0].template, "t2-broken");
+
+    assert.strictEqual((await routeVersionService.rollbackRoute(domainDoc, "quote", 99, user)).status, 404);
+    assert.strictEqual((await routeVersionService.rollbackRoute(domainDoc, "quote", "x", user)).status, 400);
+    assert.strictEqual((await routeVersionService.listRouteVersions(domainDoc, "nope")).status, 404);
+  } finally {
+    delete mongoose.connection.readyState;
+  }
+
+  console.log("PASS routeVersions.test");
+}
+
+run()
+  .then(() => process.exit(0))
+  .catch((err) => {
+    console.error("FAIL routeVersions.test", err);
+    process.exit(1);
+  });